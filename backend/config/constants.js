@@ -30,6 +30,16 @@ module.exports = {
     CC_FEE_PERCENT: 0.05  // eNom charges 5% for CC refills
   },
 
+  // eNom API transport
+  ENOM: {
+    REQUEST_TIMEOUT_MS: 30000,
+    MAX_RETRIES: 2,                 // Extra attempts for read-only commands
+    RETRY_BASE_DELAY_MS: 500,       // Doubles each attempt, plus jitter
+    RETRY_MAX_DELAY_MS: 5000,
+    BREAKER_FAILURE_THRESHOLD: 5,   // Consecutive transport failures before failing fast
+    BREAKER_RESET_MS: 30000         // How long the breaker stays open
+  },
+
   // Cache TTLs (milliseconds)
   CACHE: {
     MAINTENANCE_TTL: 5000,      // 5 seconds
@@ -57,5 +67,10 @@ module.exports = {
   CART: {
     ITEM_EXPIRY_HOURS: 24,
     MAX_ITEMS: 20
+  },
+
+  // Registrar providers
+  REGISTRAR: {
+    DEFAULT: 'enom'  // Provider used when a domain has no registrar set
   }
 };
@@ -0,0 +1,12 @@
+-- Add registrar column to track which registrar provider manages each domain
+-- Routes and jobs resolve the provider adapter from this value (see services/registrars)
+
+ALTER TABLE domains ADD COLUMN IF NOT EXISTS registrar VARCHAR(50) DEFAULT 'enom';
+
+-- Existing domains were all registered through eNom
+UPDATE domains SET registrar = 'enom' WHERE registrar IS NULL;
+
+COMMENT ON COLUMN domains.registrar IS 'Registrar provider managing this domain (e.g., enom)';
+
+-- Index for filtering by registrar
+CREATE INDEX IF NOT EXISTS idx_domains_registrar ON domains(registrar);
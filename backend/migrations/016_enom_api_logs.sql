@@ -0,0 +1,35 @@
+-- eNom API call log
+-- Every EnomAPI.request() call is recorded so failed registrations can be reconstructed.
+-- Params are sanitized before insert (credentials, auth codes and contact details redacted).
+
+CREATE TABLE IF NOT EXISTS enom_api_logs (
+    id SERIAL PRIMARY KEY,
+    command VARCHAR(100) NOT NULL,
+    mode VARCHAR(20) NOT NULL, -- test, production, simulator
+    params JSONB,
+    success BOOLEAN NOT NULL DEFAULT false,
+    err_count INTEGER DEFAULT 0,
+    errors JSONB, -- Array of eNom ErrN messages or the transport error
+    duration_ms INTEGER,
+    attempts INTEGER DEFAULT 1,
+    domain_name VARCHAR(255), -- sld.tld when the command targets a domain
+    domain_id INTEGER REFERENCES domains(id) ON DELETE SET NULL,
+    order_id INTEGER REFERENCES orders(id) ON DELETE SET NULL,
+    user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_enom_api_logs_created ON enom_api_logs(created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_enom_api_logs_command ON enom_api_logs(command, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_enom_api_logs_domain_name ON enom_api_logs(domain_name);
+CREATE INDEX IF NOT EXISTS idx_enom_api_logs_domain ON enom_api_logs(domain_id) WHERE domain_id IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_enom_api_logs_order ON enom_api_logs(order_id) WHERE order_id IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_enom_api_logs_failed ON enom_api_logs(created_at DESC) WHERE success = false;
+
+COMMENT ON COLUMN enom_api_logs.params IS 'Request params with credentials and contact PII redacted';
+COMMENT ON COLUMN enom_api_logs.attempts IS 'Transport attempts including retries of read-only commands';
+
+-- Retention period used by the cleanEnomApiLogs job
+INSERT INTO app_settings (key, value, description)
+VALUES ('enom_api_log_retention_days', '30', 'Days to keep eNom API call logs before they are purged')
+ON CONFLICT (key) DO NOTHING;
@@ -0,0 +1,16 @@
+-- Child nameservers (glue records)
+-- Hosts like ns1.example.com registered at the registry under one of our domains.
+-- The registry is the source of truth; this table tracks which hosts belong to which
+-- domain so they can be listed and checked before use in nameserver updates.
+
+CREATE TABLE IF NOT EXISTS domain_child_nameservers (
+    id SERIAL PRIMARY KEY,
+    domain_id INTEGER NOT NULL REFERENCES domains(id) ON DELETE CASCADE,
+    hostname VARCHAR(255) NOT NULL UNIQUE, -- Lowercase, no trailing dot
+    ipv4 VARCHAR(15),
+    ipv6 VARCHAR(45),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_domain_child_nameservers_domain ON domain_child_nameservers(domain_id);
@@ -0,0 +1,86 @@
+-- DNS record templates
+-- Admin-managed sets of host records (e.g. Google Workspace MX/SPF) that customers can
+-- apply to a domain. String fields in records may contain placeholders:
+--   {domain}, {sld}, {tld}, {domain_dashed} - filled in from the domain
+--   {anything_else}                         - supplied by the customer, described in variables
+
+CREATE TABLE IF NOT EXISTS dns_templates (
+    id SERIAL PRIMARY KEY,
+    slug VARCHAR(100) UNIQUE NOT NULL,
+    name VARCHAR(255) NOT NULL,
+    description TEXT,
+    category VARCHAR(50) DEFAULT 'other', -- email, website, other
+    records JSONB NOT NULL DEFAULT '[]', -- [{ hostName, recordType, address, mxPref, ... }]
+    variables JSONB NOT NULL DEFAULT '[]', -- [{ key, label, placeholder, required }]
+    is_active BOOLEAN DEFAULT true,
+    is_builtin BOOLEAN DEFAULT false,
+    sort_order INTEGER DEFAULT 0,
+    created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_dns_templates_active ON dns_templates(is_active, sort_order);
+
+-- Built-in templates
+INSERT INTO dns_templates (slug, name, description, category, records, variables, is_builtin, sort_order) VALUES
+('google-workspace', 'Google Workspace', 'Gmail mail delivery, SPF and domain verification for Google Workspace', 'email',
+'[
+  {"hostName": "@", "recordType": "MX", "address": "smtp.google.com", "mxPref": 1},
+  {"hostName": "@", "recordType": "TXT", "address": "v=spf1 include:_spf.google.com ~all"},
+  {"hostName": "@", "recordType": "TXT", "address": "google-site-verification={verification_token}"}
+]',
+'[
+  {"key": "verification_token", "label": "Verification token", "placeholder": "From Google Admin console (optional)", "required": false}
+]', true, 10),
+
+('microsoft-365', 'Microsoft 365', 'Exchange Online mail, SPF, Autodiscover, Teams and device enrollment for Microsoft 365', 'email',
+'[
+  {"hostName": "@", "recordType": "MX", "address": "{domain_dashed}.mail.protection.outlook.com", "mxPref": 0},
+  {"hostName": "@", "recordType": "TXT", "address": "v=spf1 include:spf.protection.outlook.com -all"},
+  {"hostName": "@", "recordType": "TXT", "address": "MS={verification_token}"},
+  {"hostName": "autodiscover", "recordType": "CNAME", "address": "autodiscover.outlook.com"},
+  {"hostName": "sip", "recordType": "CNAME", "address": "sipdir.online.lync.com"},
+  {"hostName": "lyncdiscover", "recordType": "CNAME", "address": "webdir.online.lync.com"},
+  {"hostName": "enterpriseregistration", "recordType": "CNAME", "address": "enterpriseregistration.windows.net"},
+  {"hostName": "enterpriseenrollment", "recordType": "CNAME", "address": "enterpriseenrollment.manage.microsoft.com"},
+  {"hostName": "_sip._tls", "recordType": "SRV", "priority": 100, "weight": 1, "port": 443, "target": "sipdir.online.lync.com"},
+  {"hostName": "_sipfederationtls._tcp", "recordType": "SRV", "priority": 100, "weight": 1, "port": 5061, "target": "sipfed.online.lync.com"}
+]',
+'[
+  {"key": "verification_token", "label": "Verification code", "placeholder": "MS=ms12345678 value without MS= (optional)", "required": false}
+]', true, 20),
+
+('zoho-mail', 'Zoho Mail', 'Zoho Mail delivery, SPF and domain verification', 'email',
+'[
+  {"hostName": "@", "recordType": "MX", "address": "mx.zoho.com", "mxPref": 10},
+  {"hostName": "@", "recordType": "MX", "address": "mx2.zoho.com", "mxPref": 20},
+  {"hostName": "@", "recordType": "MX", "address": "mx3.zoho.com", "mxPref": 50},
+  {"hostName": "@", "recordType": "TXT", "address": "v=spf1 include:zoho.com ~all"},
+  {"hostName": "@", "recordType": "TXT", "address": "zoho-verification={verification_token}.zmverify.zoho.com"}
+]',
+'[
+  {"key": "verification_token", "label": "Verification code", "placeholder": "zb12345678 (optional)", "required": false}
+]', true, 30),
+
+('shopify', 'Shopify', 'Point the domain and www at a Shopify store', 'website',
+'[
+  {"hostName": "@", "recordType": "A", "address": "23.227.38.65"},
+  {"hostName": "www", "recordType": "CNAME", "address": "shops.myshopify.com"}
+]',
+'[]', true, 40),
+
+('squarespace', 'Squarespace', 'Point the domain and www at a Squarespace site', 'website',
+'[
+  {"hostName": "@", "recordType": "A", "address": "198.185.159.144"},
+  {"hostName": "@", "recordType": "A", "address": "198.185.159.145"},
+  {"hostName": "@", "recordType": "A", "address": "198.49.23.144"},
+  {"hostName": "@", "recordType": "A", "address": "198.49.23.145"},
+  {"hostName": "www", "recordType": "CNAME", "address": "ext-sq.squarespace.com"},
+  {"hostName": "{verification_host}", "recordType": "CNAME", "address": "verify.squarespace.com"}
+]',
+'[
+  {"key": "verification_host", "label": "Verification host", "placeholder": "Unique host from Squarespace DNS settings (optional)", "required": false}
+]', true, 50)
+
+ON CONFLICT (slug) DO NOTHING;
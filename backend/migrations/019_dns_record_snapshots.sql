@@ -0,0 +1,17 @@
+-- DNS change history
+-- Every DNS write (record edits, zone imports, templates, URL forwarding, restores) first
+-- stores the record set it is about to replace, so any earlier state can be re-applied.
+
+CREATE TABLE IF NOT EXISTS dns_record_snapshots (
+    id SERIAL PRIMARY KEY,
+    domain_id INTEGER NOT NULL REFERENCES domains(id) ON DELETE CASCADE,
+    records JSONB NOT NULL DEFAULT '[]', -- Host records as returned by getHostRecords()
+    record_count INTEGER NOT NULL DEFAULT 0,
+    action VARCHAR(50) NOT NULL, -- The change that followed, e.g. set_records, delete_record, restore
+    source VARCHAR(20) NOT NULL DEFAULT 'customer', -- customer or admin
+    user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    impersonated_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_dns_record_snapshots_domain ON dns_record_snapshots(domain_id, created_at DESC);
@@ -0,0 +1,37 @@
+-- Bulk DNS batches
+-- One add/replace/delete record operation applied to many domains in the background.
+-- Each domain is its own item with its own result, since every domain needs a separate
+-- GetHosts/SetHosts round trip and can fail independently.
+
+CREATE TABLE IF NOT EXISTS dns_bulk_batches (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER REFERENCES users(id) ON DELETE SET NULL, -- Who started the batch
+    impersonated_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    source VARCHAR(20) NOT NULL DEFAULT 'customer', -- customer or admin
+    operation VARCHAR(20) NOT NULL, -- add, replace, delete
+    params JSONB NOT NULL DEFAULT '{}', -- { records, match }
+    status VARCHAR(20) NOT NULL DEFAULT 'pending', -- pending, running, completed, failed
+    total INTEGER NOT NULL DEFAULT 0,
+    succeeded INTEGER NOT NULL DEFAULT 0,
+    skipped INTEGER NOT NULL DEFAULT 0,
+    failed INTEGER NOT NULL DEFAULT 0,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    started_at TIMESTAMP,
+    completed_at TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS dns_bulk_batch_items (
+    id SERIAL PRIMARY KEY,
+    batch_id INTEGER NOT NULL REFERENCES dns_bulk_batches(id) ON DELETE CASCADE,
+    domain_id INTEGER REFERENCES domains(id) ON DELETE SET NULL,
+    domain_name VARCHAR(255) NOT NULL, -- Kept for display if the domain is later removed
+    status VARCHAR(20) NOT NULL DEFAULT 'pending', -- pending, success, skipped, failed
+    message TEXT,
+    records_before INTEGER,
+    records_after INTEGER,
+    processed_at TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_dns_bulk_batches_user ON dns_bulk_batches(user_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_dns_bulk_batches_status ON dns_bulk_batches(status);
+CREATE INDEX IF NOT EXISTS idx_dns_bulk_batch_items_batch ON dns_bulk_batch_items(batch_id);
@@ -0,0 +1,62 @@
+-- Outgoing domain transfers
+-- A customer starting a transfer away unlocks the domain and is emailed the auth code at the
+-- registrant address. The domain sync marks the transfer completed once the domain has left
+-- the registrar account.
+
+CREATE TABLE IF NOT EXISTS domain_transfers_out (
+    id SERIAL PRIMARY KEY,
+    domain_id INTEGER REFERENCES domains(id) ON DELETE SET NULL,
+    user_id INTEGER REFERENCES users(id) ON DELETE SET NULL, -- Domain owner when the transfer was started
+    domain_name VARCHAR(255) NOT NULL,
+    tld VARCHAR(20) NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'pending'
+        CHECK (status IN ('pending', 'completed', 'cancelled')),
+    auth_code_sent_to VARCHAR(255), -- Registrant email the auth code was sent to
+    source VARCHAR(20) NOT NULL DEFAULT 'customer', -- customer or admin
+    requested_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    impersonated_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    cancelled_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    last_checked_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    completed_at TIMESTAMP,
+    cancelled_at TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_domain_transfers_out_status ON domain_transfers_out(status, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_domain_transfers_out_user ON domain_transfers_out(user_id, created_at DESC);
+
+-- Only one pending transfer-out per domain
+CREATE UNIQUE INDEX IF NOT EXISTS idx_domain_transfers_out_pending
+    ON domain_transfers_out(domain_id) WHERE status = 'pending';
+
+-- Email templates
+INSERT INTO email_templates (template_key, name, description, subject, html_content, variables) VALUES
+('transfer_out_auth_code', 'Transfer Out: Auth Code', 'Sent to the registrant when a transfer away is started', 'Transfer Authorization Code: {{domain}}',
+'<h2>Your Transfer Authorization Code</h2>
+<p>Hi {{username}},</p>
+<p>A transfer away from {{site_name}} was started for:</p>
+<div class="highlight" style="text-align: center;">
+  <span class="domain-name">{{domain}}</span>
+</div>
+<p>The domain has been unlocked. Give this authorization (EPP) code to your new registrar:</p>
+<div class="highlight" style="text-align: center; font-family: monospace; font-size: 18px;">
+  {{authCode}}
+</div>
+<p>Transfers usually complete within 5-7 days. Auto-renew will be turned off once the domain has left your account.</p>
+<p><strong>Didn''t request this?</strong> Cancel the transfer from your dashboard right away. Cancelling locks the domain again.</p>
+<p style="text-align: center;">
+  <a href="{{site_url}}/dashboard" class="btn btn-warning">Manage Transfer</a>
+</p>',
+ARRAY['username', 'domain', 'authCode', 'site_name', 'site_url']),
+
+('transfer_out_complete', 'Transfer Out: Complete', 'Sent when a domain has been transferred to another registrar', 'Transfer Away Complete: {{domain}}',
+'<h2><span class="status-badge status-success">Complete</span></h2>
+<h2>Domain Transferred Away</h2>
+<p>Hi {{username}},</p>
+<p>Your domain has left {{site_name}} and is now managed by your new registrar:</p>
+<div class="highlight" style="text-align: center;">
+  <span class="domain-name">{{domain}}</span>
+</div>
+<p>Auto-renew has been turned off, so you will not be charged for this domain again.</p>',
+ARRAY['username', 'domain', 'site_name'])
+ON CONFLICT (template_key) DO NOTHING;
@@ -0,0 +1,25 @@
+-- Bulk inbound transfers
+-- A pasted/uploaded list of domain,authcode pairs is pre-checked in the background
+-- (supported TLD, registered elsewhere, not locked, outside the 60-day window) and the
+-- eligible domains are added to the cart. Every domain gets a domain_transfers row,
+-- which then follows the transfer through checkout and registrar processing.
+
+CREATE TABLE IF NOT EXISTS transfer_batches (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+    impersonated_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'checking', -- checking, completed
+    total INTEGER NOT NULL DEFAULT 0,
+    eligible INTEGER NOT NULL DEFAULT 0,
+    ineligible INTEGER NOT NULL DEFAULT 0,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    completed_at TIMESTAMP
+);
+
+ALTER TABLE domain_transfers ADD COLUMN IF NOT EXISTS batch_id INTEGER REFERENCES transfer_batches(id) ON DELETE SET NULL;
+ALTER TABLE domain_transfers ADD COLUMN IF NOT EXISTS price DECIMAL(10,2);
+ALTER TABLE domain_transfers ADD COLUMN IF NOT EXISTS precheck JSONB; -- { transferLocked, statuses, registeredAt, registry }
+
+CREATE INDEX IF NOT EXISTS idx_transfer_batches_user ON transfer_batches(user_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_domain_transfers_batch ON domain_transfers(batch_id);
+CREATE INDEX IF NOT EXISTS idx_domain_transfers_order_item ON domain_transfers(order_item_id);
@@ -0,0 +1,81 @@
+-- Inbound transfer lifecycle
+-- syncPendingTransfers now tracks each submitted transfer through the stages below and
+-- emails the customer on every change. Customers can resend the approval email, replace
+-- a wrong auth code or cancel from the dashboard.
+--
+-- domain_transfers.status after submission:
+--   pending_approval, awaiting_auth, rejected  (still polled)
+--   completed, failed, cancelled               (final)
+
+CREATE INDEX IF NOT EXISTS idx_domain_transfers_enom ON domain_transfers(enom_transfer_id);
+
+-- Email templates
+INSERT INTO email_templates (template_key, name, description, subject, html_content, variables) VALUES
+('transfer_pending_approval', 'Transfer Awaiting Approval', 'Sent when a transfer goes back to waiting for owner approval', 'Transfer Awaiting Approval: {{domain}}',
+'<h2><span class="status-badge status-warning">Awaiting Approval</span></h2>
+<h2>Approve Your Domain Transfer</h2>
+<p>Hi {{username}},</p>
+<p>The transfer of your domain is waiting for approval:</p>
+<div class="highlight" style="text-align: center;">
+  <span class="domain-name">{{domain}}</span>
+</div>
+<p>{{reason}}</p>
+<p>Click the approval link in the email sent to the domain''s administrative contact. Can''t find it? Check your spam folder or resend it from your dashboard.</p>
+<p style="text-align: center;">
+  <a href="{{site_url}}/dashboard" class="btn btn-warning">Manage Transfer</a>
+</p>',
+ARRAY['username', 'domain', 'reason', 'site_url']),
+
+('transfer_awaiting_auth', 'Transfer Needs Auth Code', 'Sent when the current registrar does not accept the auth code', 'Action Required: Auth code needed for {{domain}}',
+'<h2><span class="status-badge status-error">Action Required</span></h2>
+<h2>Transfer Needs a Valid Auth Code</h2>
+<p>Hi {{username}},</p>
+<p>The current registrar did not accept the authorization (EPP) code for:</p>
+<div class="highlight" style="text-align: center;">
+  <span class="domain-name">{{domain}}</span>
+</div>
+<div class="highlight">
+  <strong>Registrar response:</strong> {{reason}}
+</div>
+<p>Get a new auth code from your current registrar and enter it in your dashboard. The transfer is resubmitted as soon as you save it.</p>
+<p style="text-align: center;">
+  <a href="{{site_url}}/dashboard" class="btn btn-warning">Update Auth Code</a>
+</p>',
+ARRAY['username', 'domain', 'reason', 'site_url']),
+
+('transfer_rejected', 'Transfer Rejected', 'Sent when the current registrar or domain owner rejects a transfer', 'Transfer Rejected: {{domain}}',
+'<h2><span class="status-badge status-error">Rejected</span></h2>
+<h2>Domain Transfer Rejected</h2>
+<p>Hi {{username}},</p>
+<p>The transfer of your domain was rejected:</p>
+<div class="highlight" style="text-align: center;">
+  <span class="domain-name">{{domain}}</span>
+</div>
+<div class="highlight">
+  <strong>Reason:</strong> {{reason}}
+</div>
+<p><strong>What to do:</strong></p>
+<ul>
+  <li>Make sure the domain is unlocked at your current registrar</li>
+  <li>Check that the auth code is correct, and update it from your dashboard if not</li>
+  <li>Contact support if you need assistance</li>
+</ul>
+<p style="text-align: center;">
+  <a href="{{site_url}}/dashboard" class="btn btn-warning">Manage Transfer</a>
+</p>',
+ARRAY['username', 'domain', 'reason', 'site_url']),
+
+('transfer_failed', 'Transfer Failed', 'Sent when a transfer fails for good', 'Transfer Failed: {{domain}}',
+'<h2><span class="status-badge status-error">Failed</span></h2>
+<h2>Domain Transfer Failed</h2>
+<p>Hi {{username}},</p>
+<p>We were unable to complete the transfer of your domain:</p>
+<div class="highlight" style="text-align: center;">
+  <span class="domain-name">{{domain}}</span>
+</div>
+<div class="highlight">
+  <strong>Reason:</strong> {{reason}}
+</div>
+<p>The domain stays with your current registrar. Contact {{support_email}} to try again or to discuss a refund.</p>',
+ARRAY['username', 'domain', 'reason', 'support_email'])
+ON CONFLICT (template_key) DO NOTHING;
@@ -0,0 +1,21 @@
+-- Premium domain pricing
+-- Premium names are priced from the registrar's premium price with their own markup
+-- (app_settings premium_*) instead of tld_pricing. The quote travels with the cart item
+-- (options.premium); these columns carry it through the order and into renewals.
+
+-- Registry price passed to the registrar as CustomerSuppliedPrice
+ALTER TABLE order_items ADD COLUMN IF NOT EXISTS premium_price DECIMAL(10,2);
+-- Retail / registry renewal price per year, copied to the domain once registered
+ALTER TABLE order_items ADD COLUMN IF NOT EXISTS premium_renew_price DECIMAL(10,2);
+ALTER TABLE order_items ADD COLUMN IF NOT EXISTS premium_renew_cost DECIMAL(10,2);
+
+ALTER TABLE domains ADD COLUMN IF NOT EXISTS is_premium BOOLEAN DEFAULT false;
+ALTER TABLE domains ADD COLUMN IF NOT EXISTS premium_renew_price DECIMAL(10,2);
+ALTER TABLE domains ADD COLUMN IF NOT EXISTS premium_renew_cost DECIMAL(10,2);
+
+INSERT INTO app_settings (key, value, description) VALUES
+('premium_enabled', 'true', 'Allow premium domains to be bought online'),
+('premium_price_markup', '1.15', 'Multiplier applied to the registry premium price'),
+('premium_min_margin', '25', 'Minimum margin in dollars on a premium domain'),
+('premium_max_price', '10000', 'Premium domains priced above this need to go through support')
+ON CONFLICT (key) DO NOTHING;
@@ -0,0 +1,64 @@
+-- Domain watchlist
+-- Customers watch domains that are taken; the watchDomains job re-checks them every
+-- check_interval_hours and, once one becomes available, emails the customer and
+-- optionally adds it to their cart or registers it with their saved card (mode).
+--
+-- domain_watchlist.status:
+--   watching   - still taken, re-checked on its interval
+--   available  - became available; the customer was emailed (and it was added to the cart)
+--   registered - registered for the customer by the watch
+
+CREATE TABLE IF NOT EXISTS domain_watchlist (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    domain_name VARCHAR(255) NOT NULL,
+    tld VARCHAR(20) NOT NULL,
+    mode VARCHAR(20) NOT NULL DEFAULT 'notify', -- 'notify', 'cart', 'register'
+    check_interval_hours INTEGER NOT NULL DEFAULT 24,
+    status VARCHAR(20) NOT NULL DEFAULT 'watching',
+    result_message TEXT,
+    last_checked_at TIMESTAMP,
+    available_at TIMESTAMP,
+    domain_id INTEGER REFERENCES domains(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (user_id, domain_name, tld)
+);
+
+CREATE INDEX IF NOT EXISTS idx_domain_watchlist_due ON domain_watchlist(status, last_checked_at);
+CREATE INDEX IF NOT EXISTS idx_domain_watchlist_domain ON domain_watchlist(domain_name, tld);
+
+-- Email templates
+INSERT INTO email_templates (template_key, name, description, subject, html_content, variables) VALUES
+('domain_watch_available', 'Watched Domain Available', 'Sent when a domain on a customer''s watchlist becomes available', 'Now Available: {{domain}}',
+'<h2><span class="status-badge status-success">Available</span></h2>
+<h2>A Domain You Watch Is Available</h2>
+<p>Hi {{username}},</p>
+<p>A domain on your watchlist can be registered now:</p>
+<div class="highlight" style="text-align: center;">
+  <span class="domain-name">{{domain}}</span>
+</div>
+<p>{{actionMessage}}</p>
+<p>Available domains are often taken again quickly, so don''t wait too long.</p>
+<p style="text-align: center;">
+  <a href="{{site_url}}" class="btn btn-success">Register Now</a>
+</p>',
+ARRAY['username', 'domain', 'actionMessage', 'site_url']),
+
+('domain_watch_registered', 'Watched Domain Registered', 'Sent when a watched domain was registered with the customer''s saved card', 'Registered: {{domain}}',
+'<h2><span class="status-badge status-success">Registered</span></h2>
+<h2>We Caught Your Domain</h2>
+<p>Hi {{username}},</p>
+<p>A domain on your watchlist became available and has been registered to your account:</p>
+<div class="highlight" style="text-align: center;">
+  <span class="domain-name">{{domain}}</span>
+</div>
+<div class="highlight">
+  <strong>Charged to your saved card:</strong> ${{cost}}<br>
+  <strong>Expires:</strong> {{expirationDate}}
+</div>
+<p style="text-align: center;">
+  <a href="{{site_url}}/dashboard" class="btn">Manage Domain</a>
+</p>',
+ARRAY['username', 'domain', 'cost', 'expirationDate', 'site_url'])
+ON CONFLICT (template_key) DO NOTHING;
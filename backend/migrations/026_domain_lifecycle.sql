@@ -0,0 +1,17 @@
+-- Domain lifecycle after expiry
+-- syncDomains derives these domains.status values from the registrar's status and
+-- the TLD's grace/redemption windows (utils/domainLifecycle.js):
+--   grace          - expired, still renewable (at price_late_renew when set)
+--   redemption     - deleted by the registry; only a restore (price_redemption) recovers it
+--   pending_delete - past redemption; will be released and can't be recovered
+-- 'expired' is kept for domains that haven't been re-synced since.
+
+ALTER TABLE tld_pricing ADD COLUMN IF NOT EXISTS cost_late_renew DECIMAL(10,2);
+ALTER TABLE tld_pricing ADD COLUMN IF NOT EXISTS price_late_renew DECIMAL(10,2);
+-- Restore fee on top of a one-year renewal
+ALTER TABLE tld_pricing ADD COLUMN IF NOT EXISTS cost_redemption DECIMAL(10,2) DEFAULT 80.00;
+ALTER TABLE tld_pricing ADD COLUMN IF NOT EXISTS price_redemption DECIMAL(10,2) DEFAULT 129.99;
+ALTER TABLE tld_pricing ADD COLUMN IF NOT EXISTS grace_period_days INTEGER DEFAULT 30;
+ALTER TABLE tld_pricing ADD COLUMN IF NOT EXISTS redemption_period_days INTEGER DEFAULT 30;
+
+CREATE INDEX IF NOT EXISTS idx_domains_status ON domains(status);
@@ -0,0 +1,14 @@
+-- Per-domain auto-renewal preferences
+-- The autoRenew job renews a domain for auto_renew_years once it is within
+-- auto_renew_days_before days of expiry. NULL means the site default
+-- (app_settings auto_renew_default_years / auto_renew_threshold_days).
+
+ALTER TABLE domains ADD COLUMN IF NOT EXISTS auto_renew_years INTEGER
+    CHECK (auto_renew_years BETWEEN 1 AND 10);
+ALTER TABLE domains ADD COLUMN IF NOT EXISTS auto_renew_days_before INTEGER
+    CHECK (auto_renew_days_before BETWEEN 1 AND 90);
+
+INSERT INTO app_settings (key, value, description) VALUES
+('auto_renew_default_years', '1', 'Years to auto-renew for when a domain has no preference'),
+('auto_renew_threshold_days', '30', 'Days before expiry to auto-renew when a domain has no preference')
+ON CONFLICT (key) DO NOTHING;
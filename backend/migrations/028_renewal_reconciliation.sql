@@ -0,0 +1,95 @@
+-- Auto-renewal reconciliation queue
+-- When autoRenewDomains has charged the customer but the registrar renewal fails, the
+-- charge is queued here. The reconcileRenewals job retries the renewal up to
+-- renewal_retry_attempts times, renewal_retry_interval_minutes apart, then refunds the
+-- Stripe PaymentIntent.
+--
+-- renewal_reconciliations.status:
+--   pending       - renewal still being retried
+--   renewed       - a retry renewed the domain
+--   refunded      - retries ran out (or an admin refunded) and the charge was refunded
+--   refund_failed - the refund itself failed; needs an admin
+--   resolved      - closed by an admin without a renewal or refund from the queue
+
+CREATE TABLE IF NOT EXISTS renewal_reconciliations (
+    id SERIAL PRIMARY KEY,
+    domain_id INTEGER REFERENCES domains(id) ON DELETE SET NULL,
+    user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    domain_name VARCHAR(255) NOT NULL, -- full name, e.g. example.com
+    years INTEGER NOT NULL DEFAULT 1,
+    amount DECIMAL(10, 2) NOT NULL,     -- charged to the customer
+    cost DECIMAL(10, 2),                -- registrar cost of the renewal
+    stripe_payment_intent_id VARCHAR(255),
+    status VARCHAR(20) NOT NULL DEFAULT 'pending',
+    attempts INTEGER NOT NULL DEFAULT 0, -- retries made by the queue (not the original attempt)
+    last_error TEXT,
+    next_retry_at TIMESTAMP,
+    refund_id VARCHAR(255),
+    resolution_note TEXT,
+    resolved_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    resolved_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_renewal_reconciliations_due ON renewal_reconciliations(status, next_retry_at);
+CREATE INDEX IF NOT EXISTS idx_renewal_reconciliations_domain ON renewal_reconciliations(domain_id);
+
+INSERT INTO app_settings (key, value, description) VALUES
+('renewal_retry_attempts', '3', 'Times to retry a charged auto-renewal that failed at the registrar before refunding'),
+('renewal_retry_interval_minutes', '60', 'Minutes between retries of a charged auto-renewal')
+ON CONFLICT (key) DO NOTHING;
+
+-- Email templates
+INSERT INTO email_templates (template_key, name, description, subject, html_content, variables) VALUES
+('renewal_delayed', 'Renewal Delayed', 'Sent when an auto-renewal was charged but the registrar renewal failed and will be retried', 'Renewal Delayed: {{domain}}',
+'<h2><span class="status-badge status-warning">Delayed</span></h2>
+<h2>Your Renewal Is Taking Longer</h2>
+<p>Your saved card was charged to renew:</p>
+<div class="highlight" style="text-align: center;">
+  <span class="domain-name">{{domain}}</span>
+</div>
+<div class="highlight">
+  <strong>Charged:</strong> ${{amount}}<br>
+  <strong>Expires:</strong> {{expirationDate}}
+</div>
+<p>The registry did not accept the renewal on the first try. We will keep retrying automatically, and if it still can''t be renewed we will refund the charge in full.</p>
+<p>You don''t need to do anything.</p>',
+ARRAY['domain', 'amount', 'expirationDate']),
+
+('renewal_refunded', 'Renewal Refunded', 'Sent when a charged auto-renewal could not be completed and was refunded', 'Renewal Refunded: {{domain}}',
+'<h2><span class="status-badge status-error">Not Renewed</span></h2>
+<h2>We Refunded Your Renewal</h2>
+<p>We were unable to renew your domain:</p>
+<div class="highlight" style="text-align: center;">
+  <span class="domain-name">{{domain}}</span>
+  <p style="margin-top: 8px; color: #dc2626; font-weight: 600;">
+    Expires: {{expirationDate}}
+  </p>
+</div>
+<div class="highlight">
+  <strong>Refunded:</strong> ${{amount}}
+</div>
+<p>The refund has been issued to your card and should appear within 5-10 business days.</p>
+<p>Auto-renew has been turned off for this domain. Please renew it manually before it expires, or contact support if you need help.</p>
+<p style="text-align: center;">
+  <a href="{{site_url}}/dashboard" class="btn btn-warning">Renew Manually</a>
+</p>',
+ARRAY['domain', 'amount', 'expirationDate', 'site_url']),
+
+('admin_renewal_reconciliation', 'Admin: Renewal Reconciliation', 'Sent to admins when a charged auto-renewal failed at the registrar', '[Admin] Renewal {{outcome}}: {{domain}}',
+'<h2><span class="status-badge status-error">{{outcome}}</span></h2>
+<h2>Charged Auto-Renewal Needs Reconciliation</h2>
+<div class="highlight">
+  <strong>Domain:</strong> {{domain}}<br>
+  <strong>Customer:</strong> {{customerEmail}}<br>
+  <strong>Charged:</strong> ${{amount}}<br>
+  <strong>Payment Intent:</strong> {{paymentIntentId}}<br>
+  <strong>Error:</strong> {{error}}
+</div>
+<p>{{message}}</p>
+<p style="text-align: center;">
+  <a href="{{site_url}}/admin" class="btn">View in Admin</a>
+</p>',
+ARRAY['domain', 'customerEmail', 'amount', 'paymentIntentId', 'error', 'outcome', 'message', 'site_url'])
+ON CONFLICT (template_key) DO NOTHING;
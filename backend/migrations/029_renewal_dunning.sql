@@ -0,0 +1,124 @@
+-- Dunning for failed auto-renewal payments
+-- When autoRenewDomains can't charge the saved card it opens a dunning cycle for the
+-- domain instead of turning auto-renew off. The charge is retried on the days before
+-- expiry listed in auto_renew_dunning_days, and each failure emails the customer a link
+-- (pay_token) to pay with a new card. Auto-renew is only turned off after the last retry.
+--
+-- renewal_dunning.status:
+--   active    - retries still scheduled (next_attempt_date)
+--   paid      - a retry or the pay link renewed the domain
+--   exhausted - the last retry failed; auto-renew was turned off (the pay link still works until expiry)
+--   cancelled - the owner turned auto-renew off while retries were still scheduled
+
+CREATE TABLE IF NOT EXISTS renewal_dunning (
+    id SERIAL PRIMARY KEY,
+    domain_id INTEGER NOT NULL REFERENCES domains(id) ON DELETE CASCADE,
+    user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    expiration_date TIMESTAMP NOT NULL, -- the expiry this cycle is trying to renew past
+    years INTEGER NOT NULL DEFAULT 1,
+    amount DECIMAL(10, 2) NOT NULL,
+    cost DECIMAL(10, 2),
+    status VARCHAR(20) NOT NULL DEFAULT 'active',
+    attempts INTEGER NOT NULL DEFAULT 0,
+    next_attempt_date DATE,
+    last_error TEXT,
+    pay_token VARCHAR(64) UNIQUE,
+    pay_token_expires_at TIMESTAMP,
+    pay_payment_intent_id VARCHAR(255),  -- PaymentIntent created for the pay link
+    paid_payment_intent_id VARCHAR(255), -- charge that renewed the domain (retry or pay link)
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    resolved_at TIMESTAMP
+);
+
+-- At most one open cycle per domain
+CREATE UNIQUE INDEX IF NOT EXISTS idx_renewal_dunning_active
+    ON renewal_dunning(domain_id) WHERE status = 'active';
+CREATE INDEX IF NOT EXISTS idx_renewal_dunning_next ON renewal_dunning(status, next_attempt_date);
+
+-- Every auto-renewal charge attempt, for support
+CREATE TABLE IF NOT EXISTS renewal_payment_attempts (
+    id SERIAL PRIMARY KEY,
+    domain_id INTEGER NOT NULL REFERENCES domains(id) ON DELETE CASCADE,
+    user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    dunning_id INTEGER REFERENCES renewal_dunning(id) ON DELETE SET NULL,
+    source VARCHAR(20) NOT NULL,  -- 'auto_renew', 'dunning', 'pay_link'
+    status VARCHAR(20) NOT NULL,  -- 'succeeded', 'failed'
+    amount DECIMAL(10, 2) NOT NULL,
+    years INTEGER NOT NULL DEFAULT 1,
+    error TEXT,
+    stripe_payment_intent_id VARCHAR(255),
+    email_sent VARCHAR(100),      -- template key of the email sent for this attempt
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_renewal_payment_attempts_domain ON renewal_payment_attempts(domain_id, created_at DESC);
+
+INSERT INTO app_settings (key, value, description) VALUES
+('auto_renew_dunning_days', '[7,3,1]', 'Days before expiry to retry a failed auto-renewal payment')
+ON CONFLICT (key) DO NOTHING;
+
+-- Email templates (one per escalation step)
+INSERT INTO email_templates (template_key, name, description, subject, html_content, variables) VALUES
+('renewal_payment_failed', 'Renewal Payment Failed', 'First failed auto-renewal charge; a retry is scheduled', 'Payment Failed: {{domain}} renewal',
+'<h2><span class="status-badge status-warning">Payment Failed</span></h2>
+<h2>We Couldn''t Charge Your Card</h2>
+<p>Hi {{username}},</p>
+<p>We tried to auto-renew your domain but the payment didn''t go through:</p>
+<div class="highlight" style="text-align: center;">
+  <span class="domain-name">{{domain}}</span>
+  <p style="margin-top: 8px;">Expires: {{expirationDate}}</p>
+</div>
+<div class="highlight">
+  <strong>Amount:</strong> ${{amount}}<br>
+  <strong>Reason:</strong> {{error}}
+</div>
+<p>We''ll try again on <strong>{{nextAttemptDate}}</strong>. To avoid any interruption, update your card and pay now:</p>
+<p style="text-align: center;">
+  <a href="{{payUrl}}" class="btn">Update Card &amp; Pay</a>
+</p>',
+ARRAY['username', 'domain', 'expirationDate', 'amount', 'error', 'nextAttemptDate', 'payUrl']),
+
+('renewal_payment_reminder', 'Renewal Payment Retry Failed', 'A scheduled retry of a failed auto-renewal charge failed again', 'Action Required: {{domain}} expires in {{daysLeft}} days',
+'<h2><span class="status-badge status-error">Action Required</span></h2>
+<h2>Your Domain Renewal Is Still Unpaid</h2>
+<p>Hi {{username}},</p>
+<p>We tried your card again and the renewal payment failed (attempt {{attemptNumber}}):</p>
+<div class="highlight" style="text-align: center;">
+  <span class="domain-name">{{domain}}</span>
+  <p style="margin-top: 8px; color: #dc2626; font-weight: 600;">
+    Expires in {{daysLeft}} days ({{expirationDate}})
+  </p>
+</div>
+<div class="highlight">
+  <strong>Amount:</strong> ${{amount}}<br>
+  <strong>Reason:</strong> {{error}}
+</div>
+<p>Next retry: <strong>{{nextAttemptDate}}</strong>. Please update your card now so the domain doesn''t expire:</p>
+<p style="text-align: center;">
+  <a href="{{payUrl}}" class="btn btn-warning">Update Card &amp; Pay</a>
+</p>',
+ARRAY['username', 'domain', 'expirationDate', 'daysLeft', 'attemptNumber', 'amount', 'error', 'nextAttemptDate', 'payUrl']),
+
+('renewal_payment_final', 'Renewal Payment Final Notice', 'The last retry of a failed auto-renewal charge failed and auto-renew was turned off', 'Final Notice: {{domain}} will expire on {{expirationDate}}',
+'<h2><span class="status-badge status-error">Final Notice</span></h2>
+<h2>Your Domain Will Expire</h2>
+<p>Hi {{username}},</p>
+<p>This was our last attempt to charge your card for the renewal of:</p>
+<div class="highlight" style="text-align: center;">
+  <span class="domain-name">{{domain}}</span>
+  <p style="margin-top: 8px; color: #dc2626; font-weight: 600;">
+    Expires: {{expirationDate}}
+  </p>
+</div>
+<div class="highlight">
+  <strong>Amount:</strong> ${{amount}}<br>
+  <strong>Reason:</strong> {{error}}
+</div>
+<p>Auto-renew has been turned off and we won''t try your card again. If you want to keep the domain, pay before it expires:</p>
+<p style="text-align: center;">
+  <a href="{{payUrl}}" class="btn btn-warning">Pay Now</a>
+</p>
+<p>After it expires you may still be able to renew it from your dashboard for a limited time, at a higher price.</p>',
+ARRAY['username', 'domain', 'expirationDate', 'amount', 'error', 'payUrl'])
+ON CONFLICT (template_key) DO NOTHING;
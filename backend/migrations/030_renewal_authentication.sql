@@ -0,0 +1,53 @@
+-- Customer authentication (SCA / 3-D Secure) for off-session auto-renewal charges
+-- When the bank asks for authentication, autoRenewDomains keeps the declined PaymentIntent
+-- and emails the customer a link (token) to /renew/authenticate. The page confirms that same
+-- PaymentIntent with Stripe.js, then the domain is renewed the same way the job renews it.
+-- The job leaves the domain alone while a request is pending.
+--
+-- renewal_authentications.status:
+--   pending - waiting for the customer to authenticate
+--   paid    - authenticated and charged; the renewal ran (or was queued for reconciliation)
+--   expired - not completed before the domain expired, or the domain was renewed another way
+
+CREATE TABLE IF NOT EXISTS renewal_authentications (
+    id SERIAL PRIMARY KEY,
+    domain_id INTEGER NOT NULL REFERENCES domains(id) ON DELETE CASCADE,
+    user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    dunning_id INTEGER REFERENCES renewal_dunning(id) ON DELETE SET NULL,
+    stripe_payment_intent_id VARCHAR(255) NOT NULL UNIQUE,
+    expiration_date TIMESTAMP NOT NULL, -- the expiry this charge renews past
+    years INTEGER NOT NULL DEFAULT 1,
+    amount DECIMAL(10, 2) NOT NULL,
+    cost DECIMAL(10, 2),
+    status VARCHAR(20) NOT NULL DEFAULT 'pending',
+    token VARCHAR(64) NOT NULL UNIQUE,
+    expires_at TIMESTAMP NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    completed_at TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_renewal_authentications_domain ON renewal_authentications(domain_id, status);
+
+-- renewal_payment_attempts also records status 'requires_action' and source 'authentication'
+
+INSERT INTO email_templates (template_key, name, description, subject, html_content, variables) VALUES
+('renewal_authentication_required', 'Renewal Authentication Required', 'Auto-renewal charge needs the customer to authenticate the payment (3-D Secure)', 'Action Required: Confirm the renewal payment for {{domain}}',
+'<h2><span class="status-badge status-warning">Action Required</span></h2>
+<h2>Your Bank Needs You to Confirm This Payment</h2>
+<p>Hi {{username}},</p>
+<p>We tried to auto-renew your domain, but your bank requires you to authenticate the payment before it can go through:</p>
+<div class="highlight" style="text-align: center;">
+  <span class="domain-name">{{domain}}</span>
+  <p style="margin-top: 8px;">Expires: {{expirationDate}}</p>
+</div>
+<div class="highlight">
+  <strong>Amount:</strong> ${{amount}}
+</div>
+<p>It only takes a moment - open the link below and confirm the payment with your bank. Your domain is renewed as soon as it''s done.</p>
+<p style="text-align: center;">
+  <a href="{{authUrl}}" class="btn">Complete Payment</a>
+</p>
+<p>The link works until the domain expires.</p>',
+ARRAY['username', 'domain', 'expirationDate', 'amount', 'authUrl'])
+ON CONFLICT (template_key) DO NOTHING;
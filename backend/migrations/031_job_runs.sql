@@ -0,0 +1,46 @@
+-- Persistent background job runs
+-- Every run of a JobScheduler job is recorded here instead of in memory, so history
+-- survives restarts. A failed run queues a retry (status 'queued', scheduled_at in the
+-- future) with exponential backoff: job_retry_backoff_seconds * 2^(attempt - 1), up to
+-- job_retry_attempts retries. The scheduler picks up due retries every 30 seconds.
+--
+-- job_runs.status:
+--   queued    - waiting for scheduled_at (a retry, or a manual trigger about to start)
+--   running   - in progress; progress is updated as it goes
+--   succeeded - finished; result holds the job's counts
+--   failed    - threw an error (error, error_stack)
+--   cancelled - cancelled by an admin before or while running
+--
+-- job_runs.trigger: 'schedule' (cron), 'manual' (admin) or 'retry'
+
+CREATE TABLE IF NOT EXISTS job_runs (
+    id SERIAL PRIMARY KEY,
+    job_name VARCHAR(100) NOT NULL,
+    trigger VARCHAR(20) NOT NULL DEFAULT 'schedule',
+    status VARCHAR(20) NOT NULL DEFAULT 'queued',
+    attempt INTEGER NOT NULL DEFAULT 1,
+    retry_of INTEGER REFERENCES job_runs(id) ON DELETE SET NULL, -- first run of a retry chain
+    triggered_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    scheduled_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    started_at TIMESTAMP,
+    finished_at TIMESTAMP,
+    duration_ms INTEGER,
+    progress JSONB,            -- { done, total, message }
+    result JSONB,              -- counts returned by the job, e.g. { renewed: 3, failed: 1 }
+    error TEXT,
+    error_stack TEXT,
+    cancel_requested_at TIMESTAMP,
+    cancelled_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_job_runs_job ON job_runs(job_name, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_job_runs_queued ON job_runs(scheduled_at) WHERE status = 'queued';
+CREATE INDEX IF NOT EXISTS idx_job_runs_created ON job_runs(created_at);
+
+INSERT INTO app_settings (key, value, description) VALUES
+('job_retry_attempts', '3', 'Times to retry a failed background job run'),
+('job_retry_backoff_seconds', '60', 'Wait before the first retry of a failed job run; doubles for each further retry'),
+('job_run_retention_days', '30', 'Days to keep background job run history')
+ON CONFLICT (key) DO NOTHING;
@@ -0,0 +1,26 @@
+-- Cluster-safe background jobs
+-- With several app instances running the scheduler, each job run first takes the job's
+-- lease row. Only the holder runs the job; it renews the lease every minute while the run
+-- is going. A lease that isn't renewed (the instance crashed or hung) expires after
+-- 5 minutes, its run is marked failed and retried, and any instance can take the job again.
+--
+-- job_leases.last_scheduled_for is the cron tick (to the minute) the job last ran for, so
+-- a tick fired on every instance runs once even when the first run finishes before the
+-- other instances get to it.
+
+CREATE TABLE IF NOT EXISTS job_leases (
+    job_name VARCHAR(100) PRIMARY KEY,
+    holder VARCHAR(255) NOT NULL,      -- instance id: hostname:pid:random
+    acquired_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    renewed_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    expires_at TIMESTAMP NOT NULL,
+    last_scheduled_for TIMESTAMP
+);
+
+-- Which instance ran each run
+ALTER TABLE job_runs ADD COLUMN IF NOT EXISTS instance_id VARCHAR(255);
+
+-- The autoRenew job claims each domain before charging it, so two workers can never
+-- charge the same renewal. A claim left by a crashed worker expires.
+ALTER TABLE domains ADD COLUMN IF NOT EXISTS auto_renew_claimed_by VARCHAR(255);
+ALTER TABLE domains ADD COLUMN IF NOT EXISTS auto_renew_claimed_until TIMESTAMP;
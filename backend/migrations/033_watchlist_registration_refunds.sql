@@ -0,0 +1,22 @@
+-- Watchlist auto-registration refunds
+-- A 'register' watch charges the saved card before registering the domain. When the
+-- registrar then fails, the charge is refunded straight away and admins are emailed
+-- (with 'Refund Failed' if the refund itself failed and the customer is still charged).
+
+INSERT INTO email_templates (template_key, name, description, subject, html_content, variables) VALUES
+('admin_watchlist_register_failed', 'Admin: Watchlist Registration Failed', 'Sent to admins when a charged watchlist auto-registration failed at the registrar', '[Admin] Watchlist Registration {{outcome}}: {{domain}}',
+'<h2><span class="status-badge status-error">{{outcome}}</span></h2>
+<h2>Watchlist Auto-Registration Failed</h2>
+<div class="highlight">
+  <strong>Domain:</strong> {{domain}}<br>
+  <strong>Customer:</strong> {{customerEmail}}<br>
+  <strong>Charged:</strong> ${{amount}}<br>
+  <strong>Payment Intent:</strong> {{paymentIntentId}}<br>
+  <strong>Error:</strong> {{error}}
+</div>
+<p>{{message}}</p>
+<p style="text-align: center;">
+  <a href="{{site_url}}/admin" class="btn">View in Admin</a>
+</p>',
+ARRAY['domain', 'customerEmail', 'amount', 'paymentIntentId', 'error', 'outcome', 'message', 'site_url'])
+ON CONFLICT (template_key) DO NOTHING;
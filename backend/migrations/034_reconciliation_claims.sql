@@ -0,0 +1,11 @@
+-- Renewal reconciliation claims
+-- The reconcileRenewals job and admin Retry/Refund actions claim a row before acting on
+-- it, so the same charge is never renewed twice or refunded after a successful retry.
+--
+-- renewal_reconciliations.status (added):
+--   processing - claimed by the job or an admin; previous_status is restored if the
+--                retry fails, and a claim older than 30 minutes (crashed worker) is released
+--                by the next reconcileRenewals run
+
+ALTER TABLE renewal_reconciliations ADD COLUMN IF NOT EXISTS previous_status VARCHAR(20);
+ALTER TABLE renewal_reconciliations ADD COLUMN IF NOT EXISTS processing_started_at TIMESTAMP;
@@ -0,0 +1,7 @@
+-- Renewal reconciliation expiry check
+-- A renewal that timed out at the registrar may still have gone through. Each queued
+-- charge records the domain's expiry from before the renewal; a retry first looks the
+-- domain up at the registrar and, if the expiry has already moved past it, marks the
+-- charge renewed instead of extending the domain a second time.
+
+ALTER TABLE renewal_reconciliations ADD COLUMN IF NOT EXISTS expiration_before TIMESTAMP;
@@ -0,0 +1,9 @@
+-- Bulk DNS batch ownership
+-- A batch runs in the app instance that started it. That instance holds a lease on the
+-- batch and renews it every minute while processing; only batches whose lease has expired
+-- (the instance stopped or crashed) are treated as interrupted by the others.
+
+ALTER TABLE dns_bulk_batches ADD COLUMN IF NOT EXISTS owner_instance VARCHAR(255); -- instance id: hostname:pid:random
+ALTER TABLE dns_bulk_batches ADD COLUMN IF NOT EXISTS lease_expires_at TIMESTAMP;
+
+CREATE INDEX IF NOT EXISTS idx_dns_bulk_batches_open ON dns_bulk_batches(status) WHERE status IN ('pending', 'running');
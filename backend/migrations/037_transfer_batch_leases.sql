@@ -0,0 +1,7 @@
+-- Bulk transfer batch ownership
+-- Pre-checks run in the app instance that started the batch. That instance holds a lease
+-- on the batch and renews it every minute while checking; only batches whose lease has
+-- expired (the instance stopped or crashed) are treated as interrupted by the others.
+
+ALTER TABLE transfer_batches ADD COLUMN IF NOT EXISTS owner_instance VARCHAR(255); -- instance id: hostname:pid:random
+ALTER TABLE transfer_batches ADD COLUMN IF NOT EXISTS lease_expires_at TIMESTAMP;
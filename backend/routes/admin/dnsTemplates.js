@@ -0,0 +1,160 @@
+/**
+ * Admin DNS Template Routes
+ * Manage the DNS record templates customers can apply to their domains
+ *
+ * Access Levels:
+ * - Level 1+: View templates
+ * - Level 3+: Create, edit and delete templates
+ */
+const express = require('express');
+const router = express.Router();
+const { logAudit, ROLE_LEVELS } = require('../../middleware/auth');
+const { validateTemplate } = require('../../utils/dnsTemplates');
+
+// Helper to check admin level (3+)
+function requireAdminLevel(req, res) {
+  if (req.user.role_level < ROLE_LEVELS.ADMIN && !req.user.is_admin) {
+    res.status(403).json({ error: 'Admin access required' });
+    return false;
+  }
+  return true;
+}
+
+// Get all DNS templates (including inactive)
+router.get('/dns-templates', async (req, res) => {
+  const pool = req.app.locals.pool;
+
+  try {
+    const result = await pool.query('SELECT * FROM dns_templates ORDER BY sort_order, name');
+    res.json(result.rows);
+  } catch (error) {
+    console.error('Error fetching DNS templates:', error);
+    res.status(500).json({ error: 'Failed to fetch DNS templates' });
+  }
+});
+
+// Create a DNS template
+// Requires level 3+ (Admin)
+router.post('/dns-templates', async (req, res) => {
+  if (!requireAdminLevel(req, res)) return;
+  const pool = req.app.locals.pool;
+
+  const validation = validateTemplate(req.body);
+  if (validation.error) {
+    return res.status(400).json({ error: validation.error });
+  }
+  const t = validation.template;
+
+  try {
+    const result = await pool.query(
+      `INSERT INTO dns_templates (
+        slug, name, description, category, records, variables, is_active, sort_order, created_by
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+      RETURNING *`,
+      [
+        t.slug, t.name, t.description, t.category,
+        JSON.stringify(t.records), JSON.stringify(t.variables),
+        t.is_active, t.sort_order, req.user.id
+      ]
+    );
+
+    await logAudit(pool, req.user.id, 'create_dns_template', 'dns_template', result.rows[0].id, null, result.rows[0], req);
+
+    res.status(201).json(result.rows[0]);
+  } catch (error) {
+    if (error.code === '23505') {
+      return res.status(400).json({ error: 'A template with this slug already exists' });
+    }
+    console.error('Error creating DNS template:', error);
+    res.status(500).json({ error: 'Failed to create DNS template' });
+  }
+});
+
+// Update a DNS template
+// Requires level 3+ (Admin)
+router.put('/dns-templates/:id', async (req, res) => {
+  if (!requireAdminLevel(req, res)) return;
+  const pool = req.app.locals.pool;
+  const templateId = parseInt(req.params.id);
+
+  try {
+    const currentResult = await pool.query('SELECT * FROM dns_templates WHERE id = $1', [templateId]);
+    if (currentResult.rows.length === 0) {
+      return res.status(404).json({ error: 'DNS template not found' });
+    }
+    const oldValues = currentResult.rows[0];
+
+    // Fields that are not sent keep their current values
+    const validation = validateTemplate({ ...oldValues, ...req.body });
+    if (validation.error) {
+      return res.status(400).json({ error: validation.error });
+    }
+    const t = validation.template;
+
+    // Built-in slugs are fixed so the migration does not re-create them
+    if (oldValues.is_builtin && t.slug !== oldValues.slug) {
+      return res.status(400).json({ error: 'The slug of a built-in template cannot be changed' });
+    }
+
+    const result = await pool.query(
+      `UPDATE dns_templates SET
+        slug = $1,
+        name = $2,
+        description = $3,
+        category = $4,
+        records = $5,
+        variables = $6,
+        is_active = $7,
+        sort_order = $8,
+        updated_at = CURRENT_TIMESTAMP
+       WHERE id = $9
+       RETURNING *`,
+      [
+        t.slug, t.name, t.description, t.category,
+        JSON.stringify(t.records), JSON.stringify(t.variables),
+        t.is_active, t.sort_order, templateId
+      ]
+    );
+
+    await logAudit(pool, req.user.id, 'update_dns_template', 'dns_template', templateId, oldValues, result.rows[0], req);
+
+    res.json(result.rows[0]);
+  } catch (error) {
+    if (error.code === '23505') {
+      return res.status(400).json({ error: 'A template with this slug already exists' });
+    }
+    console.error('Error updating DNS template:', error);
+    res.status(500).json({ error: 'Failed to update DNS template' });
+  }
+});
+
+// Delete a DNS template
+// Built-in templates can only be deactivated
+// Requires level 3+ (Admin)
+router.delete('/dns-templates/:id', async (req, res) => {
+  if (!requireAdminLevel(req, res)) return;
+  const pool = req.app.locals.pool;
+  const templateId = parseInt(req.params.id);
+
+  try {
+    const currentResult = await pool.query('SELECT * FROM dns_templates WHERE id = $1', [templateId]);
+    if (currentResult.rows.length === 0) {
+      return res.status(404).json({ error: 'DNS template not found' });
+    }
+    const template = currentResult.rows[0];
+
+    if (template.is_builtin) {
+      return res.status(400).json({ error: 'Built-in templates cannot be deleted. Deactivate them instead' });
+    }
+
+    await pool.query('DELETE FROM dns_templates WHERE id = $1', [templateId]);
+    await logAudit(pool, req.user.id, 'delete_dns_template', 'dns_template', templateId, template, null, req);
+
+    res.json({ success: true, message: 'DNS template deleted' });
+  } catch (error) {
+    console.error('Error deleting DNS template:', error);
+    res.status(500).json({ error: 'Failed to delete DNS template' });
+  }
+});
+
+module.exports = router;
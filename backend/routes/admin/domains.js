@@ -8,8 +8,34 @@
  */
 const express = require('express');
 const router = express.Router();
+const multer = require('multer');
 const { logAudit, ROLE_LEVELS } = require('../../middleware/auth');
-const enom = require('../../services/enom');
+const registrars = require('../../services/registrars');
+const dnsBulk = require('../../services/dnsBulk');
+const { validateDsRecord, parseDsRecordKey, sameDsRecord } = require('../../utils/dnssec');
+const { validateHostRecord } = require('../../utils/dnsRecords');
+const { exportZoneFile, planZoneImport } = require('../../utils/zoneFile');
+const { renderTemplate, planTemplateApply } = require('../../utils/dnsTemplates');
+const { snapshotDnsRecords, listDnsSnapshots, getDnsSnapshotRestorePlan } = require('../../utils/dnsSnapshots');
+const { MAX_BULK_DOMAINS, validateBulkOperation } = require('../../utils/dnsBulk');
+const { validateEmailUser, validateEmailForward } = require('../../utils/emailForwarding');
+const { getPendingTransferOut, cancelTransferOut, listTransfersOut } = require('../../utils/transferOut');
+const { listMostWatched } = require('../../utils/watchlist');
+const { deriveLifecycleStatus, loadLifecyclePricing } = require('../../utils/domainLifecycle');
+const { cancelDunning, listPaymentAttempts } = require('../../utils/renewalDunning');
+
+// Zone file uploads are parsed in memory
+const zoneUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 256 * 1024 } // 256KB max
+});
+const {
+  normalizeHostname,
+  validateChildNameserver,
+  getDelegatedNameservers,
+  findMissingGlueHosts,
+  getDomainChildNameservers
+} = require('../../utils/childNameservers');
 
 /**
  * Get the eNom mode for a domain
@@ -172,10 +198,21 @@ router.get('/domains/:id', async (req, res) => {
       contacts.registrant = contactResult.rows[0];
     }
 
+    // Auto-renewal charge attempts and the latest dunning cycle, for support
+    const renewalAttempts = await listPaymentAttempts(pool, domainId);
+    const dunningResult = await pool.query(
+      `SELECT id, status, attempts, next_attempt_date, last_error, amount, years, expiration_date, created_at, resolved_at
+       FROM renewal_dunning WHERE domain_id = $1
+       ORDER BY created_at DESC LIMIT 1`,
+      [domainId]
+    );
+
     res.json({
       ...domain,
       notes: notesResult.rows,
       orderHistory: ordersResult.rows,
+      renewalAttempts,
+      dunning: dunningResult.rows[0] || null,
       contacts
     });
   } catch (error) {
@@ -240,7 +277,7 @@ router.put('/domains/:id', async (req, res) => {
 
       // Update nameservers at eNom
       try {
-        await enom.updateNameservers(sld, tld, suspendedNs, { mode: domainMode });
+        await registrars.forDomain(domain).updateNameservers(sld, tld, suspendedNs, { mode: domainMode });
         nameserversUpdate = JSON.stringify(suspendedNs);
         console.log(`[Admin] Domain ${sld}.${tld} suspended - nameservers changed to suspended defaults`);
       } catch (enomError) {
@@ -255,7 +292,7 @@ router.put('/domains/:id', async (req, res) => {
           : domain.suspended_original_ns;
 
         if (Array.isArray(originalNs) && originalNs.length >= 2) {
-          await enom.updateNameservers(sld, tld, originalNs, { mode: domainMode });
+          await registrars.forDomain(domain).updateNameservers(sld, tld, originalNs, { mode: domainMode });
           nameserversUpdate = JSON.stringify(originalNs);
           suspendedOriginalNs = null; // Clear saved NS
           console.log(`[Admin] Domain ${sld}.${tld} unsuspended - nameservers restored`);
@@ -268,7 +305,7 @@ router.put('/domains/:id', async (req, res) => {
     // If changing privacy, sync with eNom
     if (privacy_enabled !== undefined && privacy_enabled !== domain.privacy_enabled) {
       try {
-        await enom.setWhoisPrivacy(sld, tld, privacy_enabled, { mode: domainMode });
+        await registrars.forDomain(domain).setWhoisPrivacy(sld, tld, privacy_enabled, { mode: domainMode });
       } catch (enomError) {
         console.error('eNom privacy sync failed:', enomError.message);
       }
@@ -314,7 +351,7 @@ router.get('/domains/:id/contacts', async (req, res) => {
     const tld = domain.tld;
 
     // Get contacts from eNom
-    const contacts = await enom.getWhoisContacts(sld, tld, { mode: domainMode });
+    const contacts = await registrars.forDomain(domain).getWhoisContacts(sld, tld, { mode: domainMode });
 
     res.json({
       domain: `${sld}.${tld}`,
@@ -347,7 +384,7 @@ router.put('/domains/:id/contacts', async (req, res) => {
     const tld = domain.tld;
 
     // Get current contacts first (for partial update support)
-    const currentContacts = await enom.getWhoisContacts(sld, tld, { mode: domainMode });
+    const currentContacts = await registrars.forDomain(domain).getWhoisContacts(sld, tld, { mode: domainMode });
 
     // Helper to normalize contact format for eNom API
     const normalizeContact = (contact) => {
@@ -376,7 +413,7 @@ router.put('/domains/:id/contacts', async (req, res) => {
     };
 
     // Update contacts via eNom
-    await enom.updateContacts(sld, tld, updatedContacts, { mode: domainMode });
+    await registrars.forDomain(domain).updateContacts(sld, tld, updatedContacts, { mode: domainMode });
 
     await logAudit(pool, req.user.id, 'update_contacts', 'domain', domainId, null, { contacts: Object.keys(req.body) }, req);
 
@@ -411,7 +448,7 @@ router.post('/domains/:id/sync', async (req, res) => {
     const tld = domain.tld;
 
     // Get comprehensive info from eNom (using domain's recorded mode)
-    const info = await enom.getFullDomainData(sld, tld, { mode: domainMode });
+    const info = await registrars.forDomain(domain).getFullDomainData(sld, tld, { mode: domainMode });
     const nameservers = info.nameservers;
 
     // Parse expiration date (format: MM/DD/YYYY or MM/DD/YYYY HH:MM:SS AM/PM)
@@ -423,6 +460,9 @@ router.post('/domains/:id/sync', async (req, res) => {
       }
     }
 
+    const lifecyclePricing = await loadLifecyclePricing(pool, [tld]);
+    const status = deriveLifecycleStatus(info.status, expDate || domain.expiration_date, lifecyclePricing.get(tld) || {});
+
     // Update domain
     const result = await pool.query(
       `UPDATE domains SET
@@ -433,7 +473,7 @@ router.post('/domains/:id/sync', async (req, res) => {
         nameservers = $5,
         last_synced_at = CURRENT_TIMESTAMP,
         enom_status_raw = $6,
-        status = CASE WHEN $1 < CURRENT_DATE THEN 'expired' ELSE 'active' END,
+        status = $8,
         updated_at = CURRENT_TIMESTAMP
        WHERE id = $7
        RETURNING *`,
@@ -444,7 +484,8 @@ router.post('/domains/:id/sync', async (req, res) => {
         info.lockStatus,
         JSON.stringify(nameservers),
         JSON.stringify(info),
-        domainId
+        domainId,
+        status
       ]
     );
 
@@ -470,14 +511,15 @@ router.post('/domains/sync-all', async (req, res) => {
   try {
     // Get domains that need syncing (oldest sync first)
     const domainsResult = await pool.query(
-      `SELECT id, domain_name, tld, enom_mode FROM domains
-       WHERE status = 'active'
+      `SELECT id, domain_name, tld, enom_mode, registrar, expiration_date FROM domains
+       WHERE status IN ('active', 'expired', 'grace', 'redemption')
        ORDER BY last_synced_at ASC NULLS FIRST
        LIMIT $1`,
       [parseInt(limit)]
     );
 
     const results = { synced: 0, failed: 0, errors: [] };
+    const lifecyclePricing = await loadLifecyclePricing(pool, domainsResult.rows.map(d => d.tld));
 
     for (const domain of domainsResult.rows) {
       try {
@@ -485,7 +527,7 @@ router.post('/domains/sync-all', async (req, res) => {
         const tld = domain.tld;
         const domainMode = domain.enom_mode || 'test';
 
-        const info = await enom.getFullDomainData(sld, tld, { mode: domainMode });
+        const info = await registrars.forDomain(domain).getFullDomainData(sld, tld, { mode: domainMode });
         const nameservers = info.nameservers;
 
         let expDate = null;
@@ -496,6 +538,8 @@ router.post('/domains/sync-all', async (req, res) => {
           }
         }
 
+        const status = deriveLifecycleStatus(info.status, expDate || domain.expiration_date, lifecyclePricing.get(tld) || {});
+
         await pool.query(
           `UPDATE domains SET
             expiration_date = COALESCE($1, expiration_date),
@@ -503,9 +547,9 @@ router.post('/domains/sync-all', async (req, res) => {
             privacy_enabled = $3,
             nameservers = $4,
             last_synced_at = CURRENT_TIMESTAMP,
-            status = CASE WHEN $1 < CURRENT_DATE THEN 'expired' ELSE status END
+            status = $6
            WHERE id = $5`,
-          [expDate, info.autoRenew, info.privacyEnabled, JSON.stringify(nameservers), domain.id]
+          [expDate, info.autoRenew, info.privacyEnabled, JSON.stringify(nameservers), domain.id, status]
         );
 
         results.synced++;
@@ -545,7 +589,7 @@ router.post('/domains/:id/auth-code', async (req, res) => {
     const sld = domain.domain_name;
     const tld = domain.tld;
 
-    const result = await enom.getAuthCode(sld, tld, { mode: domainMode });
+    const result = await registrars.forDomain(domain).getAuthCode(sld, tld, { mode: domainMode });
 
     await logAudit(pool, req.user.id, 'get_auth_code', 'domain', domainId, null, null, req);
 
@@ -580,6 +624,9 @@ router.put('/domains/:id/autorenew', async (req, res) => {
       'UPDATE domains SET auto_renew = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2',
       [auto_renew, domainId]
     );
+    if (!auto_renew) {
+      await cancelDunning(pool, domainId);
+    }
 
     await logAudit(pool, req.user.id, auto_renew ? 'enable_autorenew' : 'disable_autorenew', 'domain', domainId,
       { auto_renew: domain.auto_renew }, { auto_renew }, req);
@@ -615,7 +662,7 @@ router.put('/domains/:id/privacy', async (req, res) => {
     // Check current privacy status at eNom first (using domain's recorded mode)
     let privacyStatus = { purchased: false, enabled: false };
     try {
-      privacyStatus = await enom.getPrivacyStatus(sld, tld, { mode: domainMode });
+      privacyStatus = await registrars.forDomain(domain).getPrivacyStatus(sld, tld, { mode: domainMode });
     } catch (err) {
       console.log('Could not fetch privacy status, will attempt purchase if enabling');
     }
@@ -627,24 +674,24 @@ router.put('/domains/:id/privacy', async (req, res) => {
       if (!privacyStatus.purchased) {
         try {
           console.log(`[Admin] Purchasing ID Protect for ${sld}.${tld}`);
-          await enom.purchasePrivacy(sld, tld, 1, { mode: domainMode });
+          await registrars.forDomain(domain).purchasePrivacy(sld, tld, 1, { mode: domainMode });
           costIncurred = true;
           console.log(`[Admin] ID Protect purchased successfully for ${sld}.${tld}`);
 
           // Purchase typically auto-enables, verify status
           try {
-            const newStatus = await enom.getPrivacyStatus(sld, tld, { mode: domainMode });
+            const newStatus = await registrars.forDomain(domain).getPrivacyStatus(sld, tld, { mode: domainMode });
             if (newStatus.enabled) {
               console.log(`[Admin] Privacy already enabled after purchase for ${sld}.${tld}`);
               // Skip the enable call since it's already active
             } else {
               // Not auto-enabled, try to enable
-              await enom.setWhoisPrivacy(sld, tld, true, { mode: domainMode });
+              await registrars.forDomain(domain).setWhoisPrivacy(sld, tld, true, { mode: domainMode });
             }
           } catch (statusErr) {
             // If we can't check status, try enabling anyway but don't fail if it errors
             try {
-              await enom.setWhoisPrivacy(sld, tld, true, { mode: domainMode });
+              await registrars.forDomain(domain).setWhoisPrivacy(sld, tld, true, { mode: domainMode });
             } catch (enableErr) {
               console.log(`[Admin] Enable after purchase failed (may already be active): ${enableErr.message}`);
             }
@@ -659,7 +706,7 @@ router.put('/domains/:id/privacy', async (req, res) => {
       } else if (!privacyStatus.enabled) {
         // Already purchased but not enabled - just enable it
         try {
-          await enom.setWhoisPrivacy(sld, tld, true, { mode: domainMode });
+          await registrars.forDomain(domain).setWhoisPrivacy(sld, tld, true, { mode: domainMode });
         } catch (enomError) {
           console.error('eNom privacy enable failed:', enomError.message);
           return res.status(500).json({ error: 'Failed to enable privacy at eNom: ' + enomError.message });
@@ -669,7 +716,7 @@ router.put('/domains/:id/privacy', async (req, res) => {
     } else {
       // Disabling privacy - just turn it off (doesn't cost anything)
       try {
-        await enom.setWhoisPrivacy(sld, tld, false, { mode: domainMode });
+        await registrars.forDomain(domain).setWhoisPrivacy(sld, tld, false, { mode: domainMode });
       } catch (enomError) {
         console.error('eNom privacy disable failed:', enomError.message);
         return res.status(500).json({ error: 'Failed to disable privacy at eNom: ' + enomError.message });
@@ -727,13 +774,23 @@ router.put('/domains/:id/nameservers', async (req, res) => {
 
     const domain = domainResult.rows[0];
     const domainMode = getDomainEnomMode(domain);
+    const registrar = registrars.forDomain(domain);
 
     const sld = domain.domain_name;
     const tld = domain.tld;
 
+    // In-zone nameservers (ns1.<this domain>) need glue registered first
+    const missingGlue = await findMissingGlueHosts(pool, domain, nameservers, registrar, domainMode);
+    if (missingGlue.length > 0) {
+      return res.status(400).json({
+        error: `Register ${missingGlue.join(', ')} as a child nameserver before using it`,
+        missingGlue
+      });
+    }
+
     // Update at eNom (using domain's recorded mode)
     try {
-      await enom.updateNameservers(sld, tld, nameservers, { mode: domainMode });
+      await registrar.updateNameservers(sld, tld, nameservers, { mode: domainMode });
     } catch (enomError) {
       console.error('eNom nameserver update failed:', enomError.message);
       return res.status(500).json({ error: 'Failed to update nameservers at eNom: ' + enomError.message });
@@ -775,7 +832,7 @@ router.post('/domains/:id/lock', async (req, res) => {
     const sld = domain.domain_name;
     const tld = domain.tld;
 
-    await enom.setDomainLock(sld, tld, lock, { mode: domainMode });
+    await registrars.forDomain(domain).setDomainLock(sld, tld, lock, { mode: domainMode });
 
     await pool.query(
       'UPDATE domains SET lock_status = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2',
@@ -791,6 +848,157 @@ router.post('/domains/:id/lock', async (req, res) => {
   }
 });
 
+// ============================================
+// ADMIN CHILD NAMESERVER (GLUE RECORD) MANAGEMENT
+// ============================================
+
+// List child nameservers for any domain (admin)
+router.get('/domains/:id/child-nameservers', async (req, res) => {
+  const pool = req.app.locals.pool;
+  const domainId = parseInt(req.params.id);
+
+  try {
+    const result = await pool.query('SELECT * FROM domains WHERE id = $1', [domainId]);
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Domain not found' });
+    }
+
+    const domain = result.rows[0];
+    const domainMode = getDomainEnomMode(domain);
+
+    const nameservers = await getDomainChildNameservers(pool, domain, registrars.forDomain(domain), domainMode);
+    res.json(nameservers);
+  } catch (error) {
+    console.error('Error getting child nameservers:', error);
+    res.status(500).json({ error: error.message || 'Failed to get child nameservers' });
+  }
+});
+
+// Register a child nameserver for any domain (admin)
+// Requires level 3+ (Admin)
+router.post('/domains/:id/child-nameservers', async (req, res) => {
+  if (!requireAdminLevel(req, res)) return;
+  const pool = req.app.locals.pool;
+  const domainId = parseInt(req.params.id);
+
+  try {
+    const result = await pool.query('SELECT * FROM domains WHERE id = $1', [domainId]);
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Domain not found' });
+    }
+
+    const domain = result.rows[0];
+    const domainMode = getDomainEnomMode(domain);
+
+    const { error: validationError, host } = validateChildNameserver(req.body, domain.domain_name, domain.tld);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const registerResult = await registrars.forDomain(domain).registerChildNameserver(domain.domain_name, domain.tld, host, { mode: domainMode });
+
+    await pool.query(
+      `INSERT INTO domain_child_nameservers (domain_id, hostname, ipv4, ipv6)
+       VALUES ($1, $2, $3, $4)
+       ON CONFLICT (hostname) DO UPDATE SET
+         domain_id = EXCLUDED.domain_id, ipv4 = EXCLUDED.ipv4, ipv6 = EXCLUDED.ipv6, updated_at = CURRENT_TIMESTAMP`,
+      [domainId, host.hostname, host.ipv4, host.ipv6]
+    );
+
+    await logAudit(pool, req.user.id, 'register_child_nameserver', 'domain', domainId, null, host, req);
+
+    res.json(registerResult);
+  } catch (error) {
+    console.error('Error registering child nameserver:', error);
+    res.status(500).json({ error: error.message || 'Failed to register child nameserver' });
+  }
+});
+
+// Update glue addresses of a child nameserver for any domain (admin)
+// Requires level 3+ (Admin)
+router.put('/domains/:id/child-nameservers/:hostname', async (req, res) => {
+  if (!requireAdminLevel(req, res)) return;
+  const pool = req.app.locals.pool;
+  const domainId = parseInt(req.params.id);
+
+  try {
+    const result = await pool.query('SELECT * FROM domains WHERE id = $1', [domainId]);
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Domain not found' });
+    }
+
+    const domain = result.rows[0];
+    const domainMode = getDomainEnomMode(domain);
+
+    const { error: validationError, host } = validateChildNameserver(
+      { ...req.body, hostname: req.params.hostname }, domain.domain_name, domain.tld
+    );
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const updateResult = await registrars.forDomain(domain).updateChildNameserver(domain.domain_name, domain.tld, host, { mode: domainMode });
+
+    await pool.query(
+      `INSERT INTO domain_child_nameservers (domain_id, hostname, ipv4, ipv6)
+       VALUES ($1, $2, $3, $4)
+       ON CONFLICT (hostname) DO UPDATE SET
+         ipv4 = EXCLUDED.ipv4, ipv6 = EXCLUDED.ipv6, updated_at = CURRENT_TIMESTAMP`,
+      [domainId, host.hostname, host.ipv4, host.ipv6]
+    );
+
+    await logAudit(pool, req.user.id, 'update_child_nameserver', 'domain', domainId, updateResult.previous, host, req);
+
+    res.json(updateResult);
+  } catch (error) {
+    console.error('Error updating child nameserver:', error);
+    res.status(500).json({ error: error.message || 'Failed to update child nameserver' });
+  }
+});
+
+// Delete a child nameserver for any domain (admin)
+// Requires level 3+ (Admin)
+router.delete('/domains/:id/child-nameservers/:hostname', async (req, res) => {
+  if (!requireAdminLevel(req, res)) return;
+  const pool = req.app.locals.pool;
+  const domainId = parseInt(req.params.id);
+  const hostname = normalizeHostname(req.params.hostname);
+
+  try {
+    const result = await pool.query('SELECT * FROM domains WHERE id = $1', [domainId]);
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Domain not found' });
+    }
+
+    const domain = result.rows[0];
+    const domainMode = getDomainEnomMode(domain);
+
+    const tracked = await pool.query(
+      'SELECT * FROM domain_child_nameservers WHERE domain_id = $1 AND hostname = $2',
+      [domainId, hostname]
+    );
+    if (tracked.rows.length === 0) {
+      return res.status(404).json({ error: 'Child nameserver not found' });
+    }
+
+    if (getDelegatedNameservers(domain).includes(hostname)) {
+      return res.status(400).json({ error: `${hostname} is still used as a nameserver for this domain. Change the nameservers first.` });
+    }
+
+    const deleteResult = await registrars.forDomain(domain).deleteChildNameserver(domain.domain_name, domain.tld, hostname, { mode: domainMode });
+
+    await pool.query('DELETE FROM domain_child_nameservers WHERE id = $1', [tracked.rows[0].id]);
+
+    await logAudit(pool, req.user.id, 'delete_child_nameserver', 'domain', domainId,
+      { hostname, ipv4: tracked.rows[0].ipv4, ipv6: tracked.rows[0].ipv6 }, null, req);
+
+    res.json(deleteResult);
+  } catch (error) {
+    console.error('Error deleting child nameserver:', error);
+    res.status(500).json({ error: error.message || 'Failed to delete child nameserver' });
+  }
+});
+
 // ============================================
 // ADMIN DNS HOST RECORD MANAGEMENT
 // ============================================
@@ -809,7 +1017,7 @@ router.get('/domains/:id/dns', async (req, res) => {
     const domain = result.rows[0];
     const domainMode = getDomainEnomMode(domain);
 
-    const records = await enom.getHostRecords(domain.domain_name, domain.tld, { mode: domainMode });
+    const records = await registrars.forDomain(domain).getHostRecords(domain.domain_name, domain.tld, { mode: domainMode });
     res.json(records);
   } catch (error) {
     console.error('Error getting DNS records:', error);
@@ -817,6 +1025,185 @@ router.get('/domains/:id/dns', async (req, res) => {
   }
 });
 
+// Export DNS records of any domain as a BIND zone file (admin)
+router.get('/domains/:id/dns/export', async (req, res) => {
+  const pool = req.app.locals.pool;
+  const domainId = parseInt(req.params.id);
+
+  try {
+    const result = await pool.query('SELECT * FROM domains WHERE id = $1', [domainId]);
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Domain not found' });
+    }
+
+    const domain = result.rows[0];
+    const domainMode = getDomainEnomMode(domain);
+    const domainName = `${domain.domain_name}.${domain.tld}`;
+
+    const current = await registrars.forDomain(domain).getHostRecords(domain.domain_name, domain.tld, { mode: domainMode });
+    if (current.error) {
+      return res.status(502).json({ error: current.error });
+    }
+
+    res.setHeader('Content-Type', 'text/plain; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="${domainName}.zone"`);
+    res.send(exportZoneFile(domainName, current.records));
+  } catch (error) {
+    console.error('Error exporting DNS zone:', error);
+    res.status(500).json({ error: error.message || 'Failed to export DNS zone' });
+  }
+});
+
+// Import a BIND zone file for any domain (admin)
+// Preview is available to all staff; applying requires level 3+ (Admin)
+router.post('/domains/:id/dns/import', zoneUpload.single('file'), async (req, res) => {
+  const apply = req.body.apply === true || req.body.apply === 'true';
+  if (apply && !requireAdminLevel(req, res)) return;
+  const pool = req.app.locals.pool;
+  const domainId = parseInt(req.params.id);
+  const zoneText = req.file ? req.file.buffer.toString('utf8') : req.body.zone;
+
+  if (!zoneText || typeof zoneText !== 'string' || !zoneText.trim()) {
+    return res.status(400).json({ error: 'Zone file contents are required' });
+  }
+
+  try {
+    const result = await pool.query('SELECT * FROM domains WHERE id = $1', [domainId]);
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Domain not found' });
+    }
+
+    const domain = result.rows[0];
+    const domainMode = getDomainEnomMode(domain);
+    const registrar = registrars.forDomain(domain);
+
+    const current = await registrar.getHostRecords(domain.domain_name, domain.tld, { mode: domainMode });
+    if (current.error) {
+      return res.status(502).json({ error: current.error });
+    }
+
+    const plan = planZoneImport(current.records, zoneText, `${domain.domain_name}.${domain.tld}`);
+    const preview = {
+      diff: plan.diff,
+      recordCount: plan.records.length,
+      unsupported: plan.unsupported,
+      errors: plan.errors
+    };
+
+    if (!apply) {
+      return res.json({ applied: false, ...preview });
+    }
+
+    if (plan.errors.length > 0) {
+      return res.status(400).json({ error: 'Fix the zone file errors before applying', applied: false, ...preview });
+    }
+
+    await snapshotDnsRecords(pool, req, domain, { records: current.records, action: 'import_zone', source: 'admin' });
+
+    const setResult = await registrar.setHostRecords(domain.domain_name, domain.tld, plan.records, { mode: domainMode });
+
+    await logAudit(pool, req.user.id, 'import_dns_zone', 'domain', domainId,
+      { recordCount: current.records.length },
+      { recordCount: plan.records.length, added: plan.diff.added.length, removed: plan.diff.removed.length },
+      req);
+
+    res.json({ applied: true, ...preview, result: setResult });
+  } catch (error) {
+    console.error('Error importing DNS zone:', error);
+    res.status(500).json({ error: error.message || 'Failed to import DNS zone' });
+  }
+});
+
+// List DNS templates that can be applied to a domain (admin)
+router.get('/domains/:id/dns/templates', async (req, res) => {
+  const pool = req.app.locals.pool;
+
+  try {
+    const result = await pool.query(
+      `SELECT id, slug, name, description, category, records, variables
+       FROM dns_templates
+       WHERE is_active = true
+       ORDER BY sort_order, name`
+    );
+
+    res.json(result.rows);
+  } catch (error) {
+    console.error('Error listing DNS templates:', error);
+    res.status(500).json({ error: 'Failed to list DNS templates' });
+  }
+});
+
+// Apply a DNS template to any domain (admin)
+// Preview is available to all staff; applying requires level 3+ (Admin)
+router.post('/domains/:id/dns/templates/:templateId', async (req, res) => {
+  const { values = {}, mode = 'merge', apply = false } = req.body;
+  if (apply && !requireAdminLevel(req, res)) return;
+  const pool = req.app.locals.pool;
+  const domainId = parseInt(req.params.id);
+  const templateId = parseInt(req.params.templateId);
+
+  if (!['merge', 'replace'].includes(mode)) {
+    return res.status(400).json({ error: 'mode must be merge or replace' });
+  }
+
+  try {
+    const result = await pool.query('SELECT * FROM domains WHERE id = $1', [domainId]);
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Domain not found' });
+    }
+
+    const templateResult = await pool.query(
+      'SELECT * FROM dns_templates WHERE id = $1 AND is_active = true',
+      [templateId]
+    );
+    if (templateResult.rows.length === 0) {
+      return res.status(404).json({ error: 'DNS template not found' });
+    }
+
+    const domain = result.rows[0];
+    const template = templateResult.rows[0];
+    const domainMode = getDomainEnomMode(domain);
+    const registrar = registrars.forDomain(domain);
+
+    const current = await registrar.getHostRecords(domain.domain_name, domain.tld, { mode: domainMode });
+    if (current.error) {
+      return res.status(502).json({ error: current.error });
+    }
+
+    const rendered = renderTemplate(template, domain.domain_name, domain.tld, values);
+    const plan = planTemplateApply(current.records, rendered.records, mode);
+    const preview = {
+      diff: plan.diff,
+      conflicts: plan.conflicts,
+      skipped: rendered.skipped.length,
+      recordCount: plan.records.length,
+      errors: [...rendered.errors, ...plan.errors]
+    };
+
+    if (!apply) {
+      return res.json({ applied: false, ...preview });
+    }
+
+    if (preview.errors.length > 0) {
+      return res.status(400).json({ error: preview.errors[0].message, applied: false, ...preview });
+    }
+
+    await snapshotDnsRecords(pool, req, domain, { records: current.records, action: 'apply_template', source: 'admin' });
+
+    const setResult = await registrar.setHostRecords(domain.domain_name, domain.tld, plan.records, { mode: domainMode });
+
+    await logAudit(pool, req.user.id, 'apply_dns_template', 'domain', domainId,
+      { recordCount: current.records.length },
+      { template: template.slug, mode, recordCount: plan.records.length, added: plan.diff.added.length, removed: plan.diff.removed.length },
+      req);
+
+    res.json({ applied: true, ...preview, result: setResult });
+  } catch (error) {
+    console.error('Error applying DNS template:', error);
+    res.status(500).json({ error: error.message || 'Failed to apply DNS template' });
+  }
+});
+
 // Set all DNS records for any domain (admin)
 // Requires level 3+ (Admin)
 router.put('/domains/:id/dns', async (req, res) => {
@@ -829,6 +1216,16 @@ router.put('/domains/:id/dns', async (req, res) => {
     return res.status(400).json({ error: 'records array is required' });
   }
 
+  // Validate each record for its type
+  const validRecords = [];
+  for (let i = 0; i < records.length; i++) {
+    const { error: validationError, record } = validateHostRecord(records[i]);
+    if (validationError) {
+      return res.status(400).json({ error: `Record ${i + 1}: ${validationError}` });
+    }
+    validRecords.push(record);
+  }
+
   try {
     const result = await pool.query('SELECT * FROM domains WHERE id = $1', [domainId]);
     if (result.rows.length === 0) {
@@ -838,9 +1235,12 @@ router.put('/domains/:id/dns', async (req, res) => {
     const domain = result.rows[0];
     const domainMode = getDomainEnomMode(domain);
 
-    const setResult = await enom.setHostRecords(domain.domain_name, domain.tld, records, { mode: domainMode });
+    const registrar = registrars.forDomain(domain);
+    await snapshotDnsRecords(pool, req, domain, { provider: registrar, mode: domainMode, action: 'set_records', source: 'admin' });
+
+    const setResult = await registrar.setHostRecords(domain.domain_name, domain.tld, validRecords, { mode: domainMode });
 
-    await logAudit(pool, req.user.id, 'update_dns', 'domain', domainId, null, { recordCount: records.length }, req);
+    await logAudit(pool, req.user.id, 'update_dns', 'domain', domainId, null, { recordCount: validRecords.length }, req);
 
     res.json(setResult);
   } catch (error) {
@@ -855,10 +1255,9 @@ router.post('/domains/:id/dns', async (req, res) => {
   if (!requireAdminLevel(req, res)) return;
   const pool = req.app.locals.pool;
   const domainId = parseInt(req.params.id);
-  const { hostName, recordType, address, mxPref } = req.body;
-
-  if (!recordType || !address) {
-    return res.status(400).json({ error: 'recordType and address are required' });
+  const { error: validationError, record } = validateHostRecord(req.body);
+  if (validationError) {
+    return res.status(400).json({ error: validationError });
   }
 
   try {
@@ -870,14 +1269,13 @@ router.post('/domains/:id/dns', async (req, res) => {
     const domain = result.rows[0];
     const domainMode = getDomainEnomMode(domain);
 
-    const addResult = await enom.addHostRecord(domain.domain_name, domain.tld, {
-      hostName: hostName || '@',
-      recordType,
-      address,
-      mxPref
-    }, { mode: domainMode });
+    const registrar = registrars.forDomain(domain);
+    await snapshotDnsRecords(pool, req, domain, { provider: registrar, mode: domainMode, action: 'add_record', source: 'admin' });
 
-    await logAudit(pool, req.user.id, 'add_dns_record', 'domain', domainId, null, { hostName, recordType, address }, req);
+    const addResult = await registrar.addHostRecord(domain.domain_name, domain.tld, record, { mode: domainMode });
+
+    await logAudit(pool, req.user.id, 'add_dns_record', 'domain', domainId, null,
+      { hostName: record.hostName, recordType: record.recordType, address: record.address }, req);
 
     res.json(addResult);
   } catch (error) {
@@ -903,7 +1301,10 @@ router.delete('/domains/:id/dns/:recordIndex', async (req, res) => {
     const domain = result.rows[0];
     const domainMode = getDomainEnomMode(domain);
 
-    const deleteResult = await enom.deleteHostRecord(domain.domain_name, domain.tld, recordIndex, { mode: domainMode });
+    const registrar = registrars.forDomain(domain);
+    await snapshotDnsRecords(pool, req, domain, { provider: registrar, mode: domainMode, action: 'delete_record', source: 'admin' });
+
+    const deleteResult = await registrar.deleteHostRecord(domain.domain_name, domain.tld, recordIndex, { mode: domainMode });
 
     await logAudit(pool, req.user.id, 'delete_dns_record', 'domain', domainId, null, { recordIndex }, req);
 
@@ -914,6 +1315,425 @@ router.delete('/domains/:id/dns/:recordIndex', async (req, res) => {
   }
 });
 
+// DNS change history for any domain (admin)
+router.get('/domains/:id/dns/history', async (req, res) => {
+  const pool = req.app.locals.pool;
+  const domainId = parseInt(req.params.id);
+
+  try {
+    const snapshots = await listDnsSnapshots(pool, domainId);
+    res.json(snapshots);
+  } catch (error) {
+    console.error('Error getting DNS history:', error);
+    res.status(500).json({ error: 'Failed to get DNS history' });
+  }
+});
+
+// Get a snapshot's records and what restoring it would change (admin)
+router.get('/domains/:id/dns/history/:snapshotId', async (req, res) => {
+  const pool = req.app.locals.pool;
+  const domainId = parseInt(req.params.id);
+  const snapshotId = parseInt(req.params.snapshotId);
+
+  try {
+    const result = await pool.query('SELECT * FROM domains WHERE id = $1', [domainId]);
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Domain not found' });
+    }
+
+    const domain = result.rows[0];
+    const plan = await getDnsSnapshotRestorePlan(pool, domain, snapshotId, registrars.forDomain(domain), getDomainEnomMode(domain));
+    if (!plan) {
+      return res.status(404).json({ error: 'Snapshot not found' });
+    }
+
+    res.json({
+      id: plan.snapshot.id,
+      action: plan.snapshot.action,
+      created_at: plan.snapshot.created_at,
+      records: plan.snapshot.records,
+      diff: plan.diff
+    });
+  } catch (error) {
+    console.error('Error getting DNS snapshot:', error);
+    res.status(500).json({ error: error.message || 'Failed to get DNS snapshot' });
+  }
+});
+
+// Restore a DNS snapshot for any domain (admin)
+// Requires level 3+ (Admin)
+router.post('/domains/:id/dns/history/:snapshotId/restore', async (req, res) => {
+  if (!requireAdminLevel(req, res)) return;
+  const pool = req.app.locals.pool;
+  const domainId = parseInt(req.params.id);
+  const snapshotId = parseInt(req.params.snapshotId);
+
+  try {
+    const result = await pool.query('SELECT * FROM domains WHERE id = $1', [domainId]);
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Domain not found' });
+    }
+
+    const domain = result.rows[0];
+    const domainMode = getDomainEnomMode(domain);
+    const registrar = registrars.forDomain(domain);
+
+    const plan = await getDnsSnapshotRestorePlan(pool, domain, snapshotId, registrar, domainMode);
+    if (!plan) {
+      return res.status(404).json({ error: 'Snapshot not found' });
+    }
+
+    await snapshotDnsRecords(pool, req, domain, { records: plan.current, action: 'restore', source: 'admin' });
+
+    const setResult = await registrar.setHostRecords(domain.domain_name, domain.tld, plan.snapshot.records, { mode: domainMode });
+
+    await logAudit(pool, req.user.id, 'restore_dns_snapshot', 'domain', domainId,
+      { recordCount: plan.current.length },
+      { snapshotId, recordCount: plan.snapshot.records.length },
+      req);
+
+    res.json({ restored: true, diff: plan.diff, result: setResult });
+  } catch (error) {
+    console.error('Error restoring DNS snapshot:', error);
+    res.status(500).json({ error: error.message || 'Failed to restore DNS snapshot' });
+  }
+});
+
+// ============================================
+// ADMIN BULK DNS
+// ============================================
+
+// Load a domain for a bulk batch (admins may change any customer's domain)
+async function loadBulkDomain(pool, domainId) {
+  const result = await pool.query('SELECT * FROM domains WHERE id = $1', [domainId]);
+  if (result.rows.length === 0) {
+    return { error: 'Domain not found', status: 404 };
+  }
+  const domain = result.rows[0];
+  domain.enomMode = getDomainEnomMode(domain);
+  return { domain };
+}
+
+// Apply one DNS operation to domains of any customers as a background batch (admin)
+// Requires level 3+ (Admin)
+router.post('/dns-batches', async (req, res) => {
+  if (!requireAdminLevel(req, res)) return;
+  const pool = req.app.locals.pool;
+  const domainIds = Array.isArray(req.body.domainIds)
+    ? [...new Set(req.body.domainIds.map(id => parseInt(id)).filter(id => !Number.isNaN(id)))]
+    : [];
+
+  if (domainIds.length === 0) {
+    return res.status(400).json({ error: 'Select at least one domain' });
+  }
+  if (domainIds.length > MAX_BULK_DOMAINS) {
+    return res.status(400).json({ error: `At most ${MAX_BULK_DOMAINS} domains can be changed in one batch` });
+  }
+
+  const { error: validationError, operation } = validateBulkOperation(req.body);
+  if (validationError) {
+    return res.status(400).json({ error: validationError });
+  }
+
+  try {
+    const domains = [];
+    for (const domainId of domainIds) {
+      const access = await loadBulkDomain(pool, domainId);
+      if (access.error) {
+        return res.status(access.status).json({ error: `Domain #${domainId}: ${access.error}` });
+      }
+      domains.push(access.domain);
+    }
+
+    const batch = await dnsBulk.start(req, {
+      domains,
+      operation,
+      source: 'admin',
+      authorize: (domainId) => loadBulkDomain(pool, domainId)
+    });
+
+    await logAudit(pool, req.user.id, 'bulk_dns', 'dns_bulk_batch', batch.id, null,
+      { operation: operation.type, match: operation.match, records: operation.records.length, domains: domainIds },
+      req);
+
+    res.status(202).json(batch);
+  } catch (error) {
+    console.error('Error starting bulk DNS batch:', error);
+    res.status(500).json({ error: error.message || 'Failed to start bulk DNS batch' });
+  }
+});
+
+// List recent bulk DNS batches of all users (admin)
+router.get('/dns-batches', async (req, res) => {
+  try {
+    const batches = await dnsBulk.listBatches({ limit: Math.min(parseInt(req.query.limit) || 50, 200) });
+    res.json(batches);
+  } catch (error) {
+    console.error('Error listing bulk DNS batches:', error);
+    res.status(500).json({ error: 'Failed to list bulk DNS batches' });
+  }
+});
+
+// Get any bulk DNS batch with per-domain results (admin)
+router.get('/dns-batches/:batchId', async (req, res) => {
+  try {
+    const batch = await dnsBulk.getBatch(parseInt(req.params.batchId));
+    if (!batch) {
+      return res.status(404).json({ error: 'Batch not found' });
+    }
+    res.json(batch);
+  } catch (error) {
+    console.error('Error getting bulk DNS batch:', error);
+    res.status(500).json({ error: 'Failed to get bulk DNS batch' });
+  }
+});
+
+// ============================================
+// ADMIN DNSSEC MANAGEMENT
+// ============================================
+
+// Get DS records for any domain (admin)
+router.get('/domains/:id/dnssec', async (req, res) => {
+  const pool = req.app.locals.pool;
+  const domainId = parseInt(req.params.id);
+
+  try {
+    const result = await pool.query('SELECT * FROM domains WHERE id = $1', [domainId]);
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Domain not found' });
+    }
+
+    const domain = result.rows[0];
+    const domainMode = getDomainEnomMode(domain);
+
+    const records = await registrars.forDomain(domain).getDnssecRecords(domain.domain_name, domain.tld, { mode: domainMode });
+    res.json(records);
+  } catch (error) {
+    console.error('Error getting DNSSEC records:', error);
+    res.status(500).json({ error: error.message || 'Failed to get DNSSEC records' });
+  }
+});
+
+// Add DS record for any domain (admin)
+// Requires level 3+ (Admin)
+router.post('/domains/:id/dnssec', async (req, res) => {
+  if (!requireAdminLevel(req, res)) return;
+  const pool = req.app.locals.pool;
+  const domainId = parseInt(req.params.id);
+
+  const { error: validationError, record } = validateDsRecord(req.body);
+  if (validationError) {
+    return res.status(400).json({ error: validationError });
+  }
+
+  try {
+    const result = await pool.query('SELECT * FROM domains WHERE id = $1', [domainId]);
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Domain not found' });
+    }
+
+    const domain = result.rows[0];
+    const domainMode = getDomainEnomMode(domain);
+
+    const addResult = await registrars.forDomain(domain).addDnssecRecord(domain.domain_name, domain.tld, record, { mode: domainMode });
+
+    await logAudit(pool, req.user.id, 'add_dnssec_record', 'domain', domainId, null, record, req);
+
+    res.json(addResult);
+  } catch (error) {
+    console.error('Error adding DNSSEC record:', error);
+    res.status(500).json({ error: error.message || 'Failed to add DNSSEC record' });
+  }
+});
+
+// Delete DS record for any domain (admin), identified by key tag, algorithm, digest type and digest
+// Requires level 3+ (Admin)
+router.delete('/domains/:id/dnssec/:keyTag/:algorithm/:digestType/:digest', async (req, res) => {
+  if (!requireAdminLevel(req, res)) return;
+  const pool = req.app.locals.pool;
+  const domainId = parseInt(req.params.id);
+
+  const { error: validationError, record } = parseDsRecordKey(req.params);
+  if (validationError) {
+    return res.status(400).json({ error: validationError });
+  }
+
+  try {
+    const result = await pool.query('SELECT * FROM domains WHERE id = $1', [domainId]);
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Domain not found' });
+    }
+
+    const domain = result.rows[0];
+    const domainMode = getDomainEnomMode(domain);
+    const registrar = registrars.forDomain(domain);
+
+    const existing = await registrar.getDnssecRecords(domain.domain_name, domain.tld, { mode: domainMode });
+    if (!(existing.records || []).some(published => sameDsRecord(published, record))) {
+      return res.status(404).json({ error: 'DS record not found' });
+    }
+
+    const deleteResult = await registrar.deleteDnssecRecord(domain.domain_name, domain.tld, record, { mode: domainMode });
+
+    await logAudit(pool, req.user.id, 'delete_dnssec_record', 'domain', domainId, deleteResult.removed, null, req);
+
+    res.json(deleteResult);
+  } catch (error) {
+    console.error('Error deleting DNSSEC record:', error);
+    res.status(500).json({ error: error.message || 'Failed to delete DNSSEC record' });
+  }
+});
+
+// ============================================
+// ADMIN EMAIL FORWARDING
+// ============================================
+
+// Get email forwards for any domain (admin)
+router.get('/domains/:id/email-forwarding', async (req, res) => {
+  const pool = req.app.locals.pool;
+  const domainId = parseInt(req.params.id);
+
+  try {
+    const result = await pool.query('SELECT * FROM domains WHERE id = $1', [domainId]);
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Domain not found' });
+    }
+
+    const domain = result.rows[0];
+    const domainMode = getDomainEnomMode(domain);
+
+    const forwards = await registrars.forDomain(domain).getEmailForwarding(domain.domain_name, domain.tld, { mode: domainMode });
+    res.json(forwards);
+  } catch (error) {
+    console.error('Error getting email forwarding:', error);
+    res.status(500).json({ error: error.message || 'Failed to get email forwarding' });
+  }
+});
+
+// Add email forward for any domain (admin)
+// Requires level 3+ (Admin)
+router.post('/domains/:id/email-forwarding', async (req, res) => {
+  if (!requireAdminLevel(req, res)) return;
+  const pool = req.app.locals.pool;
+  const domainId = parseInt(req.params.id);
+
+  try {
+    const result = await pool.query('SELECT * FROM domains WHERE id = $1', [domainId]);
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Domain not found' });
+    }
+
+    const domain = result.rows[0];
+    const domainMode = getDomainEnomMode(domain);
+    const fullDomain = `${domain.domain_name}.${domain.tld}`;
+
+    const { error: validationError, forward } = validateEmailForward(req.body, fullDomain);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const registrar = registrars.forDomain(domain);
+    const current = await registrar.getEmailForwarding(domain.domain_name, domain.tld, { mode: domainMode });
+    if (current.forwards.some(f => f.emailUser.toLowerCase() === forward.emailUser)) {
+      return res.status(409).json({ error: `A forward for ${forward.emailUser}@${fullDomain} already exists` });
+    }
+
+    const setResult = await registrar.setEmailForward(domain.domain_name, domain.tld, forward.emailUser, forward.forwardTo, { mode: domainMode });
+
+    await logAudit(pool, req.user.id, 'add_email_forward', 'domain', domainId, null, forward, req);
+
+    res.json(setResult);
+  } catch (error) {
+    console.error('Error setting email forwarding:', error);
+    res.status(500).json({ error: error.message || 'Failed to set email forwarding' });
+  }
+});
+
+// Update an email forward for any domain (admin)
+// Requires level 3+ (Admin)
+router.put('/domains/:id/email-forwarding/:emailUser', async (req, res) => {
+  if (!requireAdminLevel(req, res)) return;
+  const pool = req.app.locals.pool;
+  const domainId = parseInt(req.params.id);
+  const originalUser = req.params.emailUser.toLowerCase();
+
+  try {
+    const result = await pool.query('SELECT * FROM domains WHERE id = $1', [domainId]);
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Domain not found' });
+    }
+
+    const domain = result.rows[0];
+    const domainMode = getDomainEnomMode(domain);
+    const fullDomain = `${domain.domain_name}.${domain.tld}`;
+
+    const { error: validationError, forward } = validateEmailForward(
+      { emailUser: req.body.emailUser || originalUser, forwardTo: req.body.forwardTo },
+      fullDomain
+    );
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const registrar = registrars.forDomain(domain);
+    const current = await registrar.getEmailForwarding(domain.domain_name, domain.tld, { mode: domainMode });
+    const existing = current.forwards.find(f => f.emailUser.toLowerCase() === originalUser);
+    if (!existing) {
+      return res.status(404).json({ error: 'Email forward not found' });
+    }
+    const renamed = forward.emailUser !== originalUser;
+    if (renamed && current.forwards.some(f => f.emailUser.toLowerCase() === forward.emailUser)) {
+      return res.status(409).json({ error: `A forward for ${forward.emailUser}@${fullDomain} already exists` });
+    }
+
+    // Add the new alias before removing the old one so mail is never dropped in between
+    const setResult = await registrar.setEmailForward(domain.domain_name, domain.tld, forward.emailUser, forward.forwardTo, { mode: domainMode });
+    if (renamed) {
+      await registrar.deleteEmailForward(domain.domain_name, domain.tld, originalUser, { mode: domainMode });
+    }
+
+    await logAudit(pool, req.user.id, 'update_email_forward', 'domain', domainId,
+      { emailUser: originalUser, forwardTo: existing.forwardTo }, forward, req);
+
+    res.json(setResult);
+  } catch (error) {
+    console.error('Error updating email forwarding:', error);
+    res.status(500).json({ error: error.message || 'Failed to update email forwarding' });
+  }
+});
+
+// Delete an email forward for any domain (admin)
+// Requires level 3+ (Admin)
+router.delete('/domains/:id/email-forwarding/:emailUser', async (req, res) => {
+  if (!requireAdminLevel(req, res)) return;
+  const pool = req.app.locals.pool;
+  const domainId = parseInt(req.params.id);
+
+  const { error: validationError, emailUser } = validateEmailUser(req.params.emailUser);
+  if (validationError) {
+    return res.status(400).json({ error: validationError });
+  }
+
+  try {
+    const result = await pool.query('SELECT * FROM domains WHERE id = $1', [domainId]);
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Domain not found' });
+    }
+
+    const domain = result.rows[0];
+    const domainMode = getDomainEnomMode(domain);
+
+    const deleteResult = await registrars.forDomain(domain).deleteEmailForward(domain.domain_name, domain.tld, emailUser, { mode: domainMode });
+
+    await logAudit(pool, req.user.id, 'delete_email_forward', 'domain', domainId, { emailUser }, null, req);
+
+    res.json(deleteResult);
+  } catch (error) {
+    console.error('Error deleting email forwarding:', error);
+    res.status(500).json({ error: error.message || 'Failed to delete email forwarding' });
+  }
+});
+
 // Update URL forwarding for any domain (admin)
 // Requires level 3+ (Admin)
 router.put('/domains/:id/url-forwarding', async (req, res) => {
@@ -935,7 +1755,10 @@ router.put('/domains/:id/url-forwarding', async (req, res) => {
     const domain = result.rows[0];
     const domainMode = getDomainEnomMode(domain);
 
-    const setResult = await enom.setUrlForwarding(domain.domain_name, domain.tld, {
+    const registrar = registrars.forDomain(domain);
+    await snapshotDnsRecords(pool, req, domain, { provider: registrar, mode: domainMode, action: 'set_url_forwarding', source: 'admin' });
+
+    const setResult = await registrar.setUrlForwarding(domain.domain_name, domain.tld, {
       forwardUrl,
       forwardType: forwardType || 'temporary',
       cloak: cloak || false,
@@ -967,7 +1790,10 @@ router.delete('/domains/:id/url-forwarding', async (req, res) => {
     const domain = result.rows[0];
     const domainMode = getDomainEnomMode(domain);
 
-    const deleteResult = await enom.disableUrlForwarding(domain.domain_name, domain.tld, { mode: domainMode });
+    const registrar = registrars.forDomain(domain);
+    await snapshotDnsRecords(pool, req, domain, { provider: registrar, mode: domainMode, action: 'disable_url_forwarding', source: 'admin' });
+
+    const deleteResult = await registrar.disableUrlForwarding(domain.domain_name, domain.tld, { mode: domainMode });
 
     await logAudit(pool, req.user.id, 'disable_url_forwarding', 'domain', domainId, null, null, req);
 
@@ -978,6 +1804,91 @@ router.delete('/domains/:id/url-forwarding', async (req, res) => {
   }
 });
 
+// ============================================
+// ADMIN OUTGOING TRANSFERS
+// ============================================
+
+// List transfers away from the registrar account
+// Query: status (pending, completed, cancelled), limit
+router.get('/transfers-out', async (req, res) => {
+  const pool = req.app.locals.pool;
+  const { status } = req.query;
+  const limit = Math.min(Math.max(parseInt(req.query.limit) || 100, 1), 500);
+
+  if (status && !['pending', 'completed', 'cancelled'].includes(status)) {
+    return res.status(400).json({ error: 'Invalid status' });
+  }
+
+  try {
+    const transfers = await listTransfersOut(pool, { status: status || null, limit });
+    res.json(transfers);
+  } catch (error) {
+    console.error('Error listing outgoing transfers:', error);
+    res.status(500).json({ error: 'Failed to list outgoing transfers' });
+  }
+});
+
+// Cancel a pending transfer away and lock the domain again (admin)
+// Requires level 3+ (Admin)
+router.delete('/domains/:id/transfer-out', async (req, res) => {
+  if (!requireAdminLevel(req, res)) return;
+  const pool = req.app.locals.pool;
+  const domainId = parseInt(req.params.id);
+
+  try {
+    const result = await pool.query('SELECT * FROM domains WHERE id = $1', [domainId]);
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Domain not found' });
+    }
+
+    const domain = result.rows[0];
+    const transfer = await getPendingTransferOut(pool, domainId);
+    if (!transfer) {
+      return res.status(404).json({ error: 'No transfer in progress for this domain' });
+    }
+
+    const cancelled = await cancelTransferOut(pool, req, domain, transfer, {
+      provider: registrars.forDomain(domain),
+      mode: getDomainEnomMode(domain)
+    });
+
+    await logAudit(pool, req.user.id, 'cancel_transfer_out', 'domain', domainId,
+      { status: 'pending' }, { status: 'cancelled', transferId: transfer.id }, req);
+
+    res.json({ transfer: cancelled, message: 'Transfer cancelled and domain locked' });
+  } catch (error) {
+    console.error('Error cancelling transfer out:', error);
+    res.status(500).json({ error: error.message || 'Failed to cancel transfer' });
+  }
+});
+
+// ============================================
+// ADMIN DOMAIN WATCHLIST
+// ============================================
+
+// Most-watched domain names across all customers, with watchlist totals
+// Query: limit
+router.get('/watchlist', async (req, res) => {
+  const pool = req.app.locals.pool;
+  const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 500);
+
+  try {
+    const names = await listMostWatched(pool, limit);
+    const totalsResult = await pool.query(
+      `SELECT COUNT(*)::int as watches,
+              COUNT(DISTINCT user_id)::int as customers,
+              COUNT(*) FILTER (WHERE status = 'watching')::int as watching,
+              COUNT(*) FILTER (WHERE status = 'available')::int as available,
+              COUNT(*) FILTER (WHERE status = 'registered')::int as registered
+       FROM domain_watchlist`
+    );
+    res.json({ names, totals: totalsResult.rows[0] });
+  } catch (error) {
+    console.error('Error listing watchlist:', error);
+    res.status(500).json({ error: 'Failed to list watchlist' });
+  }
+});
+
 // Admin: Push domain to another user (immediate transfer, no acceptance needed)
 // Requires level 3+ (Admin)
 router.post('/domains/:id/push', async (req, res) => {
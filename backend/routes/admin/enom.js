@@ -4,7 +4,7 @@
  *
  * Access Levels:
  * - Level 1+: View sub-accounts, balance, transfers, pricing (read-only)
- * - Level 3+: Sync domains, import domains, manage transfers
+ * - Level 3+: Sync domains, import domains, manage transfers, API call log, control simulator
  */
 const express = require('express');
 const router = express.Router();
@@ -709,4 +709,232 @@ router.get('/enom/tlds', async (req, res) => {
   }
 });
 
+// ============================================
+// API CALL LOG
+// ============================================
+
+// Build WHERE clause shared by the API log list and count queries
+function buildApiLogFilters(query) {
+  const { command, mode, success, domain, domain_id, order_id, user_id, start_date, end_date } = query;
+  const conditions = [];
+  const params = [];
+
+  if (command) {
+    params.push(command);
+    conditions.push(`l.command = $${params.length}`);
+  }
+  if (mode) {
+    params.push(mode);
+    conditions.push(`l.mode = $${params.length}`);
+  }
+  if (success === 'true' || success === 'false') {
+    params.push(success === 'true');
+    conditions.push(`l.success = $${params.length}`);
+  }
+  if (domain) {
+    params.push(`%${domain.toLowerCase()}%`);
+    conditions.push(`l.domain_name ILIKE $${params.length}`);
+  }
+  if (domain_id) {
+    params.push(parseInt(domain_id));
+    conditions.push(`l.domain_id = $${params.length}`);
+  }
+  if (order_id) {
+    params.push(parseInt(order_id));
+    conditions.push(`l.order_id = $${params.length}`);
+  }
+  if (user_id) {
+    params.push(parseInt(user_id));
+    conditions.push(`l.user_id = $${params.length}`);
+  }
+  if (start_date) {
+    params.push(start_date);
+    conditions.push(`l.created_at >= $${params.length}`);
+  }
+  if (end_date) {
+    params.push(end_date);
+    conditions.push(`l.created_at <= $${params.length}`);
+  }
+
+  return {
+    where: conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '',
+    params
+  };
+}
+
+// List eNom API calls with filters
+// Requires level 3+ (Admin) - logs are linked to customers and orders
+router.get('/enom/api-logs', async (req, res) => {
+  if (!requireAdminLevel(req, res)) return;
+  const pool = req.app.locals.pool;
+  const page = Math.max(1, parseInt(req.query.page) || 1);
+  const limit = Math.min(Math.max(1, parseInt(req.query.limit) || 50), 500);
+  const offset = (page - 1) * limit;
+
+  try {
+    const { where, params } = buildApiLogFilters(req.query);
+
+    const [result, countResult] = await Promise.all([
+      pool.query(
+        `SELECT l.id, l.command, l.mode, l.success, l.err_count, l.errors, l.duration_ms, l.attempts,
+                l.domain_name, l.domain_id, l.order_id, l.user_id, l.created_at, u.username
+         FROM enom_api_logs l
+         LEFT JOIN users u ON l.user_id = u.id
+         ${where}
+         ORDER BY l.created_at DESC
+         LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+        [...params, limit, offset]
+      ),
+      pool.query(`SELECT COUNT(*) FROM enom_api_logs l ${where}`, params)
+    ]);
+
+    const total = parseInt(countResult.rows[0].count);
+
+    res.json({
+      logs: result.rows,
+      total,
+      page,
+      totalPages: Math.ceil(total / limit)
+    });
+  } catch (error) {
+    console.error('Error fetching eNom API logs:', error);
+    res.status(500).json({ error: 'Failed to fetch eNom API logs' });
+  }
+});
+
+// Commands seen in the API log with call/failure counts (for filter dropdown)
+// Requires level 3+ (Admin)
+router.get('/enom/api-logs/commands', async (req, res) => {
+  if (!requireAdminLevel(req, res)) return;
+  const pool = req.app.locals.pool;
+
+  try {
+    const result = await pool.query(`
+      SELECT command, COUNT(*) as count, COUNT(*) FILTER (WHERE success = false) as failed
+      FROM enom_api_logs
+      GROUP BY command
+      ORDER BY count DESC
+    `);
+
+    res.json(result.rows);
+  } catch (error) {
+    console.error('Error fetching eNom API log commands:', error);
+    res.status(500).json({ error: 'Failed to fetch eNom API log commands' });
+  }
+});
+
+// Get a single API call including sanitized params
+// Requires level 3+ (Admin)
+router.get('/enom/api-logs/:id', async (req, res) => {
+  if (!requireAdminLevel(req, res)) return;
+  const pool = req.app.locals.pool;
+
+  try {
+    const result = await pool.query(
+      `SELECT l.*, u.username, u.email, d.domain_name as linked_domain, d.tld as linked_tld
+       FROM enom_api_logs l
+       LEFT JOIN users u ON l.user_id = u.id
+       LEFT JOIN domains d ON l.domain_id = d.id
+       WHERE l.id = $1`,
+      [req.params.id]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'API log entry not found' });
+    }
+
+    res.json(result.rows[0]);
+  } catch (error) {
+    console.error('Error fetching eNom API log:', error);
+    res.status(500).json({ error: 'Failed to fetch eNom API log' });
+  }
+});
+
+// Purge API log entries older than N days (defaults to the retention setting)
+// Requires level 3+ (Admin)
+router.delete('/enom/api-logs', async (req, res) => {
+  if (!requireAdminLevel(req, res)) return;
+  const pool = req.app.locals.pool;
+
+  try {
+    let days = parseInt(req.query.older_than_days);
+    if (!days) {
+      const setting = await pool.query(
+        "SELECT value FROM app_settings WHERE key = 'enom_api_log_retention_days'"
+      );
+      days = parseInt(setting.rows[0]?.value) || 30;
+    }
+    if (days < 1) {
+      return res.status(400).json({ error: 'older_than_days must be at least 1' });
+    }
+
+    const result = await pool.query(
+      "DELETE FROM enom_api_logs WHERE created_at < CURRENT_TIMESTAMP - INTERVAL '1 day' * $1",
+      [days]
+    );
+
+    await logAudit(pool, req.user.id, 'purge_enom_api_logs', 'enom_api_logs', null, null, {
+      olderThanDays: days,
+      deleted: result.rowCount
+    }, req);
+
+    res.json({ success: true, deleted: result.rowCount, olderThanDays: days });
+  } catch (error) {
+    console.error('Error purging eNom API logs:', error);
+    res.status(500).json({ error: 'Failed to purge eNom API logs' });
+  }
+});
+
+// ============================================
+// SIMULATOR CONTROLS (ENOM_ENV=simulator only)
+// ============================================
+
+// Helper to reject simulator routes when talking to real eNom
+function requireSimulator(res) {
+  if (enom.getMode().mode !== 'simulator') {
+    res.status(400).json({ error: 'eNom simulator is not active (set ENOM_ENV=simulator)' });
+    return false;
+  }
+  return true;
+}
+
+// Get simulator state (domains, balance, transfers, injected errors)
+router.get('/enom/simulator', async (req, res) => {
+  if (!requireSimulator(res)) return;
+  res.json(require('../../services/enom-simulator').getState());
+});
+
+// Inject an error into upcoming simulator calls
+// Requires level 3+ (Admin)
+router.post('/enom/simulator/errors', async (req, res) => {
+  if (!requireAdminLevel(req, res)) return;
+  if (!requireSimulator(res)) return;
+  const { command, message, count, domain, networkError, delayMs } = req.body;
+
+  const rule = require('../../services/enom-simulator').injectError({
+    command, message, count, domain, networkError, delayMs
+  });
+  res.json({ success: true, rule });
+});
+
+// Clear injected errors (all, or a single rule with ?id=)
+// Requires level 3+ (Admin)
+router.delete('/enom/simulator/errors', async (req, res) => {
+  if (!requireAdminLevel(req, res)) return;
+  if (!requireSimulator(res)) return;
+
+  require('../../services/enom-simulator').clearErrors(req.query.id);
+  res.json({ success: true });
+});
+
+// Reset simulator state
+// Requires level 3+ (Admin)
+router.post('/enom/simulator/reset', async (req, res) => {
+  if (!requireAdminLevel(req, res)) return;
+  if (!requireSimulator(res)) return;
+
+  require('../../services/enom-simulator').reset();
+  res.json({ success: true });
+});
+
 module.exports = router;
@@ -27,6 +27,9 @@ const settingsRoutes = require('./settings');
 const auditRoutes = require('./audit');
 const rolesRoutes = require('./roles');
 const balanceRoutes = require('./balance');
+const dnsTemplatesRoutes = require('./dnsTemplates');
+const reconciliationRoutes = require('./reconciliation');
+const jobsRoutes = require('./jobs');
 
 // Mount routes - all at root level to maintain existing API paths
 router.use(statsRoutes);
@@ -38,6 +41,9 @@ router.use(enomRoutes);
 router.use(settingsRoutes);
 router.use(auditRoutes);
 router.use(rolesRoutes);
+router.use(dnsTemplatesRoutes);
+router.use(reconciliationRoutes);
+router.use(jobsRoutes);
 router.use('/balance', balanceRoutes);
 
 module.exports = router;
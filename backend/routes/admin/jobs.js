@@ -0,0 +1,127 @@
+/**
+ * Admin Background Job Routes
+ * Job schedule, run history (job_runs), live progress, manual triggers and cancellation
+ * With several instances, each reports its own scheduler; runs and leases say which instance ran them
+ *
+ * Access Levels:
+ * - Level 3+ (Admin): Everything
+ */
+const express = require('express');
+const router = express.Router();
+const { logAudit, ROLE_LEVELS } = require('../../middleware/auth');
+const jobScheduler = require('../../services/jobs');
+const { JOB_RUN_STATUSES, listJobRuns, getJobRun } = require('../../utils/jobRuns');
+const { INSTANCE_ID } = require('../../utils/jobLeases');
+
+// Helper to check admin level (3+)
+function requireAdminLevel(req, res) {
+  if (req.user.role_level < ROLE_LEVELS.ADMIN && !req.user.is_admin) {
+    res.status(403).json({ error: 'Admin access required' });
+    return false;
+  }
+  return true;
+}
+
+// Scheduled jobs with their last run, last success, queued/running runs and lease holder
+router.get('/jobs', async (req, res) => {
+  if (!requireAdminLevel(req, res)) return;
+
+  try {
+    res.json({
+      running: jobScheduler.running,
+      instance: INSTANCE_ID,
+      jobs: await jobScheduler.getStatus()
+    });
+  } catch (error) {
+    console.error('Error getting job status:', error);
+    res.status(500).json({ error: 'Failed to get job status' });
+  }
+});
+
+// Run history, newest first
+router.get('/jobs/runs', async (req, res) => {
+  if (!requireAdminLevel(req, res)) return;
+  const pool = req.app.locals.pool;
+
+  const { job, status, page = 1, limit = 50 } = req.query;
+  if (status && !JOB_RUN_STATUSES.includes(status)) {
+    return res.status(400).json({ error: 'Invalid status' });
+  }
+  const pageSize = Math.min(parseInt(limit) || 50, 200);
+  const pageNumber = Math.max(parseInt(page) || 1, 1);
+
+  try {
+    const { runs, total } = await listJobRuns(pool, {
+      jobName: job || null,
+      status: status || null,
+      limit: pageSize,
+      offset: (pageNumber - 1) * pageSize
+    });
+    res.json({ runs, total, page: pageNumber, limit: pageSize });
+  } catch (error) {
+    console.error('Error listing job runs:', error);
+    res.status(500).json({ error: 'Failed to list job runs' });
+  }
+});
+
+// One run, including the error stack
+router.get('/jobs/runs/:id', async (req, res) => {
+  if (!requireAdminLevel(req, res)) return;
+  const pool = req.app.locals.pool;
+
+  try {
+    const run = await getJobRun(pool, parseInt(req.params.id));
+    if (!run) {
+      return res.status(404).json({ error: 'Job run not found' });
+    }
+    res.json(run);
+  } catch (error) {
+    console.error('Error getting job run:', error);
+    res.status(500).json({ error: 'Failed to get job run' });
+  }
+});
+
+// Start a job now; it runs in the background
+router.post('/jobs/:name/trigger', async (req, res) => {
+  if (!requireAdminLevel(req, res)) return;
+  const pool = req.app.locals.pool;
+
+  try {
+    const run = await jobScheduler.trigger(req.params.name, req.user.id);
+
+    await logAudit(pool, req.user.id, 'trigger_job', 'job_run', run.id, null, { job: req.params.name }, req);
+
+    res.json({ success: true, message: `Job ${req.params.name} started`, run });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Cancel a queued or running run
+router.post('/jobs/runs/:id/cancel', async (req, res) => {
+  if (!requireAdminLevel(req, res)) return;
+  const pool = req.app.locals.pool;
+  const id = parseInt(req.params.id);
+
+  try {
+    const run = await jobScheduler.cancel(id, req.user.id);
+    if (!run) {
+      return res.status(400).json({ error: 'Only queued or running jobs can be cancelled' });
+    }
+
+    await logAudit(pool, req.user.id, 'cancel_job_run', 'job_run', id, null, { job: run.job_name, status: run.status }, req);
+
+    res.json({
+      success: true,
+      message: run.status === 'cancelled'
+        ? `Queued run of ${run.job_name} cancelled`
+        : `Cancelling ${run.job_name} - it stops at its next checkpoint`,
+      run
+    });
+  } catch (error) {
+    console.error('Error cancelling job run:', error);
+    res.status(500).json({ error: 'Failed to cancel job run' });
+  }
+});
+
+module.exports = router;
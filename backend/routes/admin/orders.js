@@ -9,8 +9,9 @@
 const express = require('express');
 const router = express.Router();
 const { logAudit, ROLE_LEVELS } = require('../../middleware/auth');
-const enom = require('../../services/enom');
+const registrars = require('../../services/registrars');
 const stripeService = require('../../services/stripe');
+const { markTransferSubmitted } = require('../../utils/transferIn');
 
 // List all orders
 router.get('/orders', async (req, res) => {
@@ -281,9 +282,12 @@ router.post('/orders/:orderId/items/:itemId/retry', async (req, res) => {
     const tld = parts.pop();
     const sld = parts.join('.');
 
+    // New registrations and transfers go to the default registrar
+    const registrar = registrars.getDefault();
+
     let result;
     if (item.item_type === 'register') {
-      result = await enom.registerDomain({
+      result = await registrar.registerDomain({
         sld,
         tld,
         years: item.years,
@@ -298,20 +302,35 @@ router.post('/orders/:orderId/items/:itemId/retry', async (req, res) => {
           state: contact.state,
           postalCode: contact.postal_code,
           country: contact.country
-        }
+        },
+        premiumPrice: item.premium_price ? parseFloat(item.premium_price) : null,
+        orderId: item.order_id
       });
 
       // Create domain record
       if (result.success) {
         await pool.query(
-          `INSERT INTO domains (user_id, domain_name, tld, status, enom_order_id, enom_mode)
-           VALUES ($1, $2, $3, 'active', $4, $5)
-           ON CONFLICT (domain_name) DO UPDATE SET status = 'active', enom_order_id = $4, enom_mode = $5`,
-          [item.user_id, `${sld}.${tld}`, tld, result.orderId, enom.getMode().mode]
+          `INSERT INTO domains (user_id, domain_name, tld, status, enom_order_id, enom_mode, registrar,
+                                is_premium, premium_renew_price, premium_renew_cost)
+           VALUES ($1, $2, $3, 'active', $4, $5, $6, $7, $8, $9)
+           ON CONFLICT (domain_name) DO UPDATE SET status = 'active', enom_order_id = $4, enom_mode = $5, registrar = $6,
+             is_premium = $7, premium_renew_price = $8, premium_renew_cost = $9`,
+          [item.user_id, `${sld}.${tld}`, tld, result.orderId, registrar.getMode().mode, registrar.name,
+           !!item.premium_price, item.premium_renew_price, item.premium_renew_cost]
         );
       }
     } else if (item.item_type === 'renew') {
-      result = await enom.renewDomain(sld, tld, item.years);
+      const domainResult = await pool.query(
+        'SELECT registrar FROM domains WHERE domain_name = $1 AND tld = $2',
+        [sld, tld]
+      );
+      result = await registrars.forDomain(domainResult.rows[0]).renewDomain(sld, tld, item.years, { orderId: item.order_id });
+    } else if (item.item_type === 'restore') {
+      const domainResult = await pool.query(
+        'SELECT registrar FROM domains WHERE domain_name = $1 AND tld = $2',
+        [sld, tld]
+      );
+      result = await registrars.forDomain(domainResult.rows[0]).restoreDomain(sld, tld, { orderId: item.order_id });
     } else if (item.item_type === 'transfer') {
       // Get transfer auth code if stored
       const transferResult = await pool.query(
@@ -320,7 +339,7 @@ router.post('/orders/:orderId/items/:itemId/retry', async (req, res) => {
       );
       const authCode = transferResult.rows[0]?.auth_code || '';
 
-      result = await enom.initiateTransfer({
+      result = await registrar.initiateTransfer({
         sld,
         tld,
         authCode,
@@ -335,7 +354,8 @@ router.post('/orders/:orderId/items/:itemId/retry', async (req, res) => {
           state: contact.state,
           postalCode: contact.postal_code,
           country: contact.country
-        }
+        },
+        orderId: item.order_id
       });
     }
 
@@ -351,6 +371,10 @@ router.post('/orders/:orderId/items/:itemId/retry', async (req, res) => {
       [result.orderId || result.transferOrderId, JSON.stringify(result), itemId]
     );
 
+    if (item.item_type === 'transfer') {
+      await markTransferSubmitted(pool, item.id, result.transferOrderId);
+    }
+
     // Check if all items are now completed
     const remainingFailed = await pool.query(
       `SELECT COUNT(*) FROM order_items WHERE order_id = $1 AND status = 'failed'`,
@@ -75,9 +75,15 @@ router.put('/pricing/:tld', async (req, res) => {
     cost_register, cost_renew, cost_transfer,
     price_register, price_renew, price_transfer,
     price_privacy, min_years, max_years, is_active,
-    promo_price, promo_expires_at
+    promo_price, promo_expires_at,
+    cost_late_renew, price_late_renew, cost_redemption, price_redemption,
+    grace_period_days, redemption_period_days
   } = req.body;
 
+  // Late-renewal prices are optional: omitted keeps the current value, '' clears it
+  // so domains in grace renew at the normal price
+  const optionalPrice = (value) => (value === undefined || value === null ? null : String(value));
+
   try {
     // Get current values for audit
     const currentResult = await pool.query('SELECT * FROM tld_pricing WHERE tld = $1', [tld.toLowerCase()]);
@@ -101,6 +107,12 @@ router.put('/pricing/:tld', async (req, res) => {
         is_active = COALESCE($10, is_active),
         promo_price = $11,
         promo_expires_at = $12,
+        cost_late_renew = CASE WHEN $14::text IS NULL THEN cost_late_renew ELSE NULLIF($14::text, '')::decimal END,
+        price_late_renew = CASE WHEN $15::text IS NULL THEN price_late_renew ELSE NULLIF($15::text, '')::decimal END,
+        cost_redemption = COALESCE($16, cost_redemption),
+        price_redemption = COALESCE($17, price_redemption),
+        grace_period_days = COALESCE($18, grace_period_days),
+        redemption_period_days = COALESCE($19, redemption_period_days),
         updated_at = CURRENT_TIMESTAMP
        WHERE tld = $13
        RETURNING *`,
@@ -109,7 +121,10 @@ router.put('/pricing/:tld', async (req, res) => {
         price_register, price_renew, price_transfer,
         price_privacy, min_years, max_years, is_active,
         promo_price || null, promo_expires_at || null,
-        tld.toLowerCase()
+        tld.toLowerCase(),
+        optionalPrice(cost_late_renew), optionalPrice(price_late_renew),
+        cost_redemption, price_redemption,
+        grace_period_days, redemption_period_days
       ]
     );
 
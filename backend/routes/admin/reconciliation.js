@@ -0,0 +1,174 @@
+/**
+ * Admin Renewal Reconciliation Routes
+ * Auto-renewals that were charged but failed at the registrar (see utils/renewalReconciliation)
+ *
+ * Access Levels:
+ * - Level 1+: View the queue
+ * - Level 3+: Retry, refund or mark resolved
+ */
+const express = require('express');
+const router = express.Router();
+const { logAudit, ROLE_LEVELS } = require('../../middleware/auth');
+const {
+  CLAIMABLE_STATUSES,
+  getReconciliation,
+  claimReconciliation,
+  listReconciliations,
+  retryReconciliation,
+  refundReconciliation,
+  resolveReconciliation
+} = require('../../utils/renewalReconciliation');
+
+const RECONCILIATION_STATUSES = ['pending', 'processing', 'renewed', 'refunded', 'refund_failed', 'resolved'];
+
+// Helper to check admin level (3+)
+function requireAdminLevel(req, res) {
+  if (req.user.role_level < ROLE_LEVELS.ADMIN && !req.user.is_admin) {
+    res.status(403).json({ error: 'Admin access required' });
+    return false;
+  }
+  return true;
+}
+
+// Send the response for a reconciliation that couldn't be claimed or resolved
+async function sendUnclaimable(pool, id, res) {
+  const reconciliation = await getReconciliation(pool, id);
+  if (!reconciliation) {
+    return res.status(404).json({ error: 'Reconciliation not found' });
+  }
+  if (reconciliation.status === 'processing') {
+    return res.status(409).json({ error: 'This charge is being retried or refunded right now. Refresh in a moment.' });
+  }
+  res.status(400).json({ error: `This charge is already ${reconciliation.status.replace('_', ' ')}` });
+}
+
+// Claim an unresolved reconciliation for an action, or send the error response
+async function claimUnresolved(pool, id, res) {
+  const reconciliation = await claimReconciliation(pool, id);
+  if (!reconciliation) {
+    await sendUnclaimable(pool, id, res);
+    return null;
+  }
+  return reconciliation;
+}
+
+// List charged renewals, unresolved ones by default, with totals
+router.get('/renewal-reconciliations', async (req, res) => {
+  const pool = req.app.locals.pool;
+  const status = req.query.status || 'unresolved';
+
+  if (status !== 'unresolved' && status !== 'all' && !RECONCILIATION_STATUSES.includes(status)) {
+    return res.status(400).json({ error: 'Invalid status' });
+  }
+
+  try {
+    const reconciliations = await listReconciliations(pool, status);
+    const totals = await pool.query(
+      `SELECT status, COUNT(*)::int as count, COALESCE(SUM(amount), 0) as amount
+       FROM renewal_reconciliations
+       GROUP BY status`
+    );
+    res.json({ reconciliations, totals: totals.rows });
+  } catch (error) {
+    console.error('Error listing renewal reconciliations:', error);
+    res.status(500).json({ error: 'Failed to list renewal reconciliations' });
+  }
+});
+
+// Retry the registrar renewal now
+// Requires level 3+ (Admin)
+router.post('/renewal-reconciliations/:id/retry', async (req, res) => {
+  if (!requireAdminLevel(req, res)) return;
+  const pool = req.app.locals.pool;
+  const id = parseInt(req.params.id);
+
+  try {
+    const reconciliation = await claimUnresolved(pool, id, res);
+    if (!reconciliation) return;
+
+    const result = await retryReconciliation(pool, reconciliation);
+
+    await logAudit(pool, req.user.id, 'retry_renewal_reconciliation', 'renewal_reconciliation', id,
+      { status: reconciliation.previous_status, attempts: reconciliation.attempts },
+      { status: result.success ? 'renewed' : reconciliation.previous_status, error: result.error || null },
+      req
+    );
+
+    if (!result.success) {
+      return res.status(502).json({ error: `Renewal failed: ${result.error}` });
+    }
+    res.json({ success: true, message: `${reconciliation.domain_name} renewed`, newExpiration: result.newExpiration });
+  } catch (error) {
+    console.error('Error retrying renewal reconciliation:', error);
+    res.status(500).json({ error: 'Failed to retry renewal' });
+  }
+});
+
+// Refund the charge without waiting for the retries to run out
+// Requires level 3+ (Admin)
+router.post('/renewal-reconciliations/:id/refund', async (req, res) => {
+  if (!requireAdminLevel(req, res)) return;
+  const pool = req.app.locals.pool;
+  const id = parseInt(req.params.id);
+  const { reason } = req.body;
+
+  try {
+    const reconciliation = await claimUnresolved(pool, id, res);
+    if (!reconciliation) return;
+
+    const result = await refundReconciliation(pool, reconciliation,
+      `Refunded by ${req.user.username || 'admin'}${reason ? `: ${reason}` : '.'}`,
+      req.user.id
+    );
+
+    await logAudit(pool, req.user.id, 'refund_renewal_reconciliation', 'renewal_reconciliation', id,
+      { status: reconciliation.previous_status },
+      { status: result.success ? 'refunded' : 'refund_failed', refund_id: result.refundId || null, error: result.error || null },
+      req
+    );
+
+    if (!result.success) {
+      return res.status(502).json({ error: `Refund failed: ${result.error}` });
+    }
+    res.json({ success: true, message: `Refunded $${parseFloat(reconciliation.amount).toFixed(2)} for ${reconciliation.domain_name}`, refundId: result.refundId });
+  } catch (error) {
+    console.error('Error refunding renewal reconciliation:', error);
+    res.status(500).json({ error: 'Failed to refund charge' });
+  }
+});
+
+// Close a charge that was sorted out outside the queue
+// Requires level 3+ (Admin)
+router.post('/renewal-reconciliations/:id/resolve', async (req, res) => {
+  if (!requireAdminLevel(req, res)) return;
+  const pool = req.app.locals.pool;
+  const id = parseInt(req.params.id);
+  const note = (req.body.note || '').trim();
+
+  if (!note) {
+    return res.status(400).json({ error: 'A note explaining the resolution is required' });
+  }
+
+  try {
+    const reconciliation = await getReconciliation(pool, id);
+    const resolved = reconciliation && CLAIMABLE_STATUSES.includes(reconciliation.status)
+      ? await resolveReconciliation(pool, id, req.user.id, note)
+      : null;
+    if (!resolved) {
+      return sendUnclaimable(pool, id, res);
+    }
+
+    await logAudit(pool, req.user.id, 'resolve_renewal_reconciliation', 'renewal_reconciliation', id,
+      { status: reconciliation.status },
+      { status: 'resolved', note },
+      req
+    );
+
+    res.json({ success: true, message: `${reconciliation.domain_name} marked resolved`, reconciliation: resolved });
+  } catch (error) {
+    console.error('Error resolving renewal reconciliation:', error);
+    res.status(500).json({ error: 'Failed to resolve reconciliation' });
+  }
+});
+
+module.exports = router;
@@ -13,6 +13,19 @@ const enom = require('../../services/enom');
 const stripeService = require('../../services/stripe');
 const emailService = require('../../services/email');
 const colorUtils = require('../../utils/colorUtils');
+const { DEFAULT_SPINNER_SETTINGS, isValidSpinnerSetting } = require('../../utils/domainSpinner');
+const { DEFAULT_PREMIUM_SETTINGS } = require('../../utils/premiumPricing');
+const {
+  DEFAULT_AUTO_RENEW_SETTINGS, MAX_AUTO_RENEW_YEARS, MIN_AUTO_RENEW_DAYS_BEFORE, MAX_AUTO_RENEW_DAYS_BEFORE
+} = require('../../utils/autoRenew');
+const {
+  DEFAULT_RECONCILIATION_SETTINGS, MAX_RENEWAL_RETRY_ATTEMPTS,
+  MIN_RENEWAL_RETRY_INTERVAL_MINUTES, MAX_RENEWAL_RETRY_INTERVAL_MINUTES
+} = require('../../utils/renewalReconciliation');
+const { DEFAULT_DUNNING_SETTINGS, parseDunningDays } = require('../../utils/renewalDunning');
+const {
+  DEFAULT_JOB_RUN_SETTINGS, MAX_JOB_RETRY_ATTEMPTS, MIN_JOB_RETRY_BACKOFF_SECONDS, MAX_JOB_RETRY_BACKOFF_SECONDS
+} = require('../../utils/jobRuns');
 
 // Helper to check admin level (3+)
 function requireAdminLevel(req, res) {
@@ -132,7 +145,15 @@ const DEFAULT_SETTINGS = {
   suspended_nameservers: 'ns1.suspended.example.com,ns2.suspended.example.com',
   auto_sync_enabled: 'true',
   sync_interval_hours: '6',
-  auto_renew_threshold_days: '30',
+
+  // Auto-renewal defaults for domains without their own preference
+  ...DEFAULT_AUTO_RENEW_SETTINGS,
+
+  // Retries of charged auto-renewals that failed at the registrar, before refunding
+  ...DEFAULT_RECONCILIATION_SETTINGS,
+
+  // Days before expiry to retry a failed auto-renewal payment
+  ...DEFAULT_DUNNING_SETTINGS,
 
   // Order settings
   order_expiration_hours: '24',
@@ -142,6 +163,12 @@ const DEFAULT_SETTINGS = {
   // Domain transfer settings
   push_timeout_days: '7',
 
+  // Domain search suggestions (word lists and TLD weighting)
+  ...DEFAULT_SPINNER_SETTINGS,
+
+  // eNom API call log
+  enom_api_log_retention_days: '30',
+
   // Notification settings
   admin_notification_email: 'admin@example.com',
   admin_email_notifications: 'true',
@@ -159,6 +186,12 @@ const DEFAULT_SETTINGS = {
   job_sync_transfers_schedule: '0 */2 * * *',
   job_auto_renew_schedule: '0 3 * * *',
   job_expire_push_schedule: '30 * * * *',
+  job_clean_enom_logs_schedule: '0 4 * * *',
+  job_domain_watch_schedule: '15 * * * *',
+  job_renewal_reconcile_schedule: '*/15 * * * *',
+
+  // Retries of failed job runs and how long run history is kept
+  ...DEFAULT_JOB_RUN_SETTINGS,
 
   // Cart settings
   cart_item_expiry_hours: '24',
@@ -168,6 +201,9 @@ const DEFAULT_SETTINGS = {
   default_privacy_price: '9.99',
   default_price_markup: '1.30',
 
+  // Premium domain pricing
+  ...DEFAULT_PREMIUM_SETTINGS,
+
   // Tax settings
   tax_enabled: 'false',
   tax_rate: '0',
@@ -244,7 +280,24 @@ router.put('/settings', async (req, res) => {
       sync_interval_hours: (v) => parseInt(v) >= 1 && parseInt(v) <= 168,
       order_expiration_hours: (v) => parseInt(v) >= 1 && parseInt(v) <= 168,
       expiring_domain_days: (v) => parseInt(v) >= 1 && parseInt(v) <= 90,
-      push_timeout_days: (v) => parseInt(v) >= 1 && parseInt(v) <= 30
+      push_timeout_days: (v) => parseInt(v) >= 1 && parseInt(v) <= 30,
+      enom_api_log_retention_days: (v) => parseInt(v) >= 1 && parseInt(v) <= 365,
+      suggestion_prefixes: (v) => isValidSpinnerSetting('suggestion_prefixes', v),
+      suggestion_suffixes: (v) => isValidSpinnerSetting('suggestion_suffixes', v),
+      suggestion_synonyms: (v) => isValidSpinnerSetting('suggestion_synonyms', v),
+      suggestion_tld_weights: (v) => isValidSpinnerSetting('suggestion_tld_weights', v),
+      suggestion_max_results: (v) => isValidSpinnerSetting('suggestion_max_results', v),
+      premium_price_markup: (v) => parseFloat(v) >= 1 && parseFloat(v) <= 10,
+      premium_min_margin: (v) => parseFloat(v) >= 0,
+      premium_max_price: (v) => parseFloat(v) >= 0,
+      auto_renew_default_years: (v) => parseInt(v) >= 1 && parseInt(v) <= MAX_AUTO_RENEW_YEARS,
+      auto_renew_threshold_days: (v) => parseInt(v) >= MIN_AUTO_RENEW_DAYS_BEFORE && parseInt(v) <= MAX_AUTO_RENEW_DAYS_BEFORE,
+      renewal_retry_attempts: (v) => parseInt(v) >= 0 && parseInt(v) <= MAX_RENEWAL_RETRY_ATTEMPTS,
+      renewal_retry_interval_minutes: (v) => parseInt(v) >= MIN_RENEWAL_RETRY_INTERVAL_MINUTES && parseInt(v) <= MAX_RENEWAL_RETRY_INTERVAL_MINUTES,
+      auto_renew_dunning_days: (v) => parseDunningDays(v) !== null,
+      job_retry_attempts: (v) => parseInt(v) >= 0 && parseInt(v) <= MAX_JOB_RETRY_ATTEMPTS,
+      job_retry_backoff_seconds: (v) => parseInt(v) >= MIN_JOB_RETRY_BACKOFF_SECONDS && parseInt(v) <= MAX_JOB_RETRY_BACKOFF_SECONDS,
+      job_run_retention_days: (v) => parseInt(v) >= 1 && parseInt(v) <= 365
     };
 
     // Track if any email-related settings are being updated
@@ -2,6 +2,16 @@ const express = require('express');
 const router = express.Router();
 const { authMiddleware } = require('../middleware/auth');
 const { CART } = require('../config/constants');
+const registrars = require('../services/registrars');
+const { loadPremiumSettings, buildPremiumQuote, registerItemPrice } = require('../utils/premiumPricing');
+const { domainStage, quoteRenewal, restorePrice } = require('../utils/domainLifecycle');
+
+// Registry (cost) prices in premium quotes stay server-side
+function publicCartItem(item) {
+  if (!item.options?.premium) return item;
+  const { registryPrice, registryRenewPrice, ...premium } = item.options.premium;
+  return { ...item, options: { ...item.options, premium } };
+}
 
 // Get cart contents
 router.get('/', authMiddleware, async (req, res) => {
@@ -22,7 +32,7 @@ router.get('/', authMiddleware, async (req, res) => {
       [req.user.id]
     );
 
-    const items = result.rows;
+    const items = result.rows.map(publicCartItem);
     const subtotal = items.reduce((sum, item) => sum + parseFloat(item.price), 0);
 
     res.json({
@@ -39,10 +49,14 @@ router.get('/', authMiddleware, async (req, res) => {
 // Add item to cart
 router.post('/add', authMiddleware, async (req, res) => {
   const pool = req.app.locals.pool;
-  const { item_type, domain_name, tld, years = 1, options = {} } = req.body;
+  const { item_type, domain_name, tld } = req.body;
+  // A restore always includes exactly one year of renewal
+  const years = item_type === 'restore' ? 1 : (req.body.years ?? 1);
+  // Premium quotes are only ever set by the server
+  const { premium, ...options } = req.body.options || {};
 
   // Validation
-  if (!['register', 'transfer', 'renew'].includes(item_type)) {
+  if (!['register', 'transfer', 'renew', 'restore'].includes(item_type)) {
     return res.status(400).json({ error: 'Invalid item type' });
   }
 
@@ -89,21 +103,72 @@ router.post('/add', authMiddleware, async (req, res) => {
     let price;
 
     switch (item_type) {
-      case 'register':
-        price = parseFloat(pricing.price_register) * years;
+      case 'register': {
+        // Premium names are priced from the registry's premium price
+        try {
+          const availability = await registrars.getDefault().checkDomain(domain_name.toLowerCase(), tld.toLowerCase());
+          const quote = buildPremiumQuote(availability, await loadPremiumSettings(pool));
+          if (quote && !quote.purchasable) {
+            return res.status(400).json({ error: quote.reason });
+          }
+          if (quote) {
+            options.premium = quote;
+          }
+        } catch (checkError) {
+          // Priced as standard for now; checkout re-verifies with the registrar before payment
+          console.error(`Premium check failed for ${domain_name}.${tld}:`, checkError.message);
+        }
+        price = registerItemPrice(pricing, years, options);
         break;
+      }
       case 'transfer':
         price = parseFloat(pricing.price_transfer);
         break;
-      case 'renew':
-        price = parseFloat(pricing.price_renew) * years;
+      case 'renew': {
+        // Priced like auto-renewals: premium domains at the premium renewal price they were
+        // registered with, domains in their grace period at the late-renewal price
+        const domainResult = await pool.query(
+          `SELECT status, expiration_date, premium_renew_price FROM domains
+           WHERE domain_name = $1 AND tld = $2 AND user_id = $3`,
+          [domain_name.toLowerCase(), tld.toLowerCase(), req.user.id]
+        );
+        const domain = domainResult.rows[0];
+        if (!domain) {
+          price = quoteRenewal({}, pricing, years).price;
+          break;
+        }
+        const stage = domainStage(domain, pricing);
+        if (stage === 'redemption') {
+          return res.status(400).json({ error: 'This domain is in redemption and can no longer be renewed. Restore it instead.' });
+        }
+        if (stage === 'pending_delete') {
+          return res.status(400).json({ error: 'This domain is pending deletion and can no longer be renewed' });
+        }
+        price = quoteRenewal(domain, pricing, years).price;
+        break;
+      }
+      case 'restore': {
+        const domainResult = await pool.query(
+          `SELECT status, expiration_date, premium_renew_price FROM domains
+           WHERE domain_name = $1 AND tld = $2 AND user_id = $3`,
+          [domain_name.toLowerCase(), tld.toLowerCase(), req.user.id]
+        );
+        const domain = domainResult.rows[0];
+        if (!domain) {
+          return res.status(404).json({ error: 'Domain not found' });
+        }
+        if (domainStage(domain, pricing) !== 'redemption') {
+          return res.status(400).json({ error: 'Only domains in redemption can be restored' });
+        }
+        price = restorePrice(domain, pricing);
         break;
+      }
       default:
         return res.status(400).json({ error: `Invalid item type: ${item_type}` });
     }
 
-    // Add privacy cost if requested
-    if (options.privacy) {
+    // Add privacy cost if requested (already included in registration prices)
+    if (options.privacy && !['register', 'restore'].includes(item_type)) {
       price += parseFloat(pricing.price_privacy);
     }
 
@@ -114,7 +179,7 @@ router.post('/add', authMiddleware, async (req, res) => {
       [req.user.id, item_type, domain_name.toLowerCase(), tld.toLowerCase(), years, price, JSON.stringify(options)]
     );
 
-    res.status(201).json(result.rows[0]);
+    res.status(201).json(publicCartItem(result.rows[0]));
   } catch (error) {
     console.error('Error adding to cart:', error);
     res.status(500).json({ error: 'Failed to add to cart' });
@@ -125,7 +190,7 @@ router.post('/add', authMiddleware, async (req, res) => {
 router.put('/:itemId', authMiddleware, async (req, res) => {
   const pool = req.app.locals.pool;
   const itemId = parseInt(req.params.itemId, 10);
-  const { years, options } = req.body;
+  const { years } = req.body;
 
   // Validate itemId
   if (isNaN(itemId) || itemId <= 0) {
@@ -145,6 +210,13 @@ router.put('/:itemId', authMiddleware, async (req, res) => {
 
     const item = itemResult.rows[0];
 
+    // The premium quote can't be changed or removed by the client
+    let options = null;
+    if (req.body.options) {
+      const { premium, ...clientOptions } = req.body.options;
+      options = item.options?.premium ? { ...clientOptions, premium: item.options.premium } : clientOptions;
+    }
+
     // Recalculate price if years changed
     let newPrice = item.price;
     if (years && years !== item.years) {
@@ -155,18 +227,26 @@ router.put('/:itemId', authMiddleware, async (req, res) => {
 
       if (pricingResult.rows.length > 0) {
         const pricing = pricingResult.rows[0];
-        // Transfer items don't support year changes
-        if (item.item_type === 'transfer') {
-          return res.status(400).json({ error: 'Cannot change years for transfer items' });
+        // Transfer and restore items don't support year changes
+        if (item.item_type === 'transfer' || item.item_type === 'restore') {
+          return res.status(400).json({ error: `Cannot change years for ${item.item_type} items` });
         }
-        const basePrice = item.item_type === 'register'
-          ? pricing.price_register
-          : pricing.price_renew;
-        newPrice = parseFloat(basePrice) * years;
-
         const currentOptions = item.options || {};
-        if (currentOptions.privacy || options?.privacy) {
-          newPrice += parseFloat(pricing.price_privacy);
+        const privacy = currentOptions.privacy || options?.privacy;
+        if (item.item_type === 'register') {
+          // Keeps the premium quote from when the item was added
+          newPrice = registerItemPrice(pricing, years, { privacy, premium: currentOptions.premium });
+        } else {
+          const domainResult = await pool.query(
+            `SELECT status, expiration_date, premium_renew_price FROM domains
+             WHERE domain_name = $1 AND tld = $2 AND user_id = $3`,
+            [item.domain_name, item.tld, req.user.id]
+          );
+          const domain = domainResult.rows[0];
+          newPrice = quoteRenewal(domain || {}, pricing, years).price;
+          if (privacy) {
+            newPrice += parseFloat(pricing.price_privacy);
+          }
         }
       }
     }
@@ -181,7 +261,7 @@ router.put('/:itemId', authMiddleware, async (req, res) => {
       [years, options ? JSON.stringify(options) : null, newPrice, itemId, req.user.id]
     );
 
-    res.json(result.rows[0]);
+    res.json(publicCartItem(result.rows[0]));
   } catch (error) {
     console.error('Error updating cart item:', error);
     res.status(500).json({ error: 'Failed to update cart item' });
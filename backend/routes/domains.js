@@ -1,8 +1,54 @@
 const express = require('express');
 const router = express.Router();
+const multer = require('multer');
 const { authMiddleware, adminMiddleware } = require('../middleware/auth');
-const enom = require('../services/enom');
+const registrars = require('../services/registrars');
 const stripeService = require('../services/stripe');
+const dnsBulk = require('../services/dnsBulk');
+const transferBatches = require('../services/transferBatches');
+const { validateDsRecord, parseDsRecordKey, sameDsRecord } = require('../utils/dnssec');
+const { validateHostRecord } = require('../utils/dnsRecords');
+const { exportZoneFile, planZoneImport } = require('../utils/zoneFile');
+const { renderTemplate, planTemplateApply } = require('../utils/dnsTemplates');
+const { snapshotDnsRecords, listDnsSnapshots, getDnsSnapshotRestorePlan } = require('../utils/dnsSnapshots');
+const { MAX_BULK_DOMAINS, validateBulkOperation } = require('../utils/dnsBulk');
+const { validateEmailUser, validateEmailForward } = require('../utils/emailForwarding');
+const {
+  TRANSFER_LOCK_DAYS, getTransferLockEnd, getPendingTransferOut, startTransferOut, cancelTransferOut, listTransfersOut
+} = require('../utils/transferOut');
+const {
+  ACTIVE_TRANSFER_STATUSES, parseDomainName, parseTransferList, validateAuthCode, setTransferStatus, listUserTransfers, getUserTransfer
+} = require('../utils/transferIn');
+const {
+  DEFAULT_WATCH_INTERVAL, MAX_WATCHES_PER_USER, validateWatchOptions, checkAutoRegisterReady, listUserWatches, getUserWatch
+} = require('../utils/watchlist');
+const { loadSpinnerConfig, extractKeywords, generateNames, rankCandidates } = require('../utils/domainSpinner');
+const { loadPremiumSettings, buildPremiumQuote, displayPricing } = require('../utils/premiumPricing');
+const {
+  AUTO_RENEW_DAYS_BEFORE_OPTIONS, MAX_AUTO_RENEW_YEARS, loadAutoRenewDefaults, validateAutoRenewPreferences,
+  resolveAutoRenewPreferences, nextAutoRenewDate
+} = require('../utils/autoRenew');
+const {
+  EXPIRED_STATUSES, domainStage, quoteRenewal, getLifecycleInfo, loadLifecyclePricing
+} = require('../utils/domainLifecycle');
+const { cancelDunning } = require('../utils/renewalDunning');
+
+// Suggestions are checked in batches of this size (the /check-bulk limit), up to a total cap
+const SUGGESTION_BATCH_SIZE = 20;
+const SUGGESTION_MAX_CHECKS = 60;
+
+// Zone file uploads are parsed in memory
+const zoneUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 256 * 1024 } // 256KB max
+});
+const {
+  normalizeHostname,
+  validateChildNameserver,
+  getDelegatedNameservers,
+  findMissingGlueHosts,
+  getDomainChildNameservers
+} = require('../utils/childNameservers');
 // Nameserver validation - security fix
 function isValidNameserver(ns) {
   if (!ns || typeof ns !== 'string') return false;
@@ -62,7 +108,7 @@ router.get('/tld-requirements/:tld', async (req, res) => {
   const { tld } = req.params;
 
   try {
-    const requirements = await enom.getExtendedAttributes(tld);
+    const requirements = await registrars.getDefault().getExtendedAttributes(tld);
     res.json(requirements);
   } catch (error) {
     console.error('Error fetching TLD requirements:', error);
@@ -82,7 +128,7 @@ router.post('/tld-requirements', async (req, res) => {
     const results = {};
     for (const tld of [...new Set(tlds)]) { // Dedupe
       try {
-        results[tld] = await enom.getExtendedAttributes(tld);
+        results[tld] = await registrars.getDefault().getExtendedAttributes(tld);
       } catch (e) {
         results[tld] = { tld, hasRequirements: false, attributes: [], error: e.message };
       }
@@ -127,20 +173,20 @@ router.get('/check/:domain', async (req, res) => {
     const pricing = tldResult.rows[0];
 
     // Call eNom API to check availability
-    const availability = await enom.checkDomain(sld, tld);
+    const availability = await registrars.getDefault().checkDomain(sld, tld);
+    const quote = buildPremiumQuote(availability, await loadPremiumSettings(pool));
 
     res.json({
       domain: `${sld}.${tld}`,
       sld,
       tld,
-      available: availability.available,
-      premium: availability.premium,
-      premiumPrice: availability.premiumPrice,
+      available: availability.available && (!quote || quote.purchasable),
+      premium: !!quote,
+      premiumPrice: quote ? quote.price : null,
+      premiumRenewPrice: quote ? quote.renewPrice : null,
+      unavailableReason: quote && !quote.purchasable ? quote.reason : undefined,
       pricing: {
-        register: availability.premium && availability.premiumPrice
-          ? availability.premiumPrice
-          : parseFloat(pricing.price_register),
-        renew: parseFloat(pricing.price_renew),
+        ...displayPricing(pricing, quote),
         transfer: parseFloat(pricing.price_transfer),
         privacy: parseFloat(pricing.price_privacy)
       }
@@ -199,27 +245,24 @@ router.post('/check-bulk', async (req, res) => {
 
     // Check availability with eNom
     if (domainChecks.length > 0) {
-      const enomResults = await enom.checkDomainBulk(
+      const enomResults = await registrars.getDefault().checkDomainBulk(
         domainChecks.map(d => ({ sld: d.sld, tld: d.tld }))
       );
+      const premiumSettings = await loadPremiumSettings(pool);
 
       for (let i = 0; i < enomResults.length; i++) {
         const enomResult = enomResults[i];
         const domainCheck = domainChecks[i];
+        const quote = buildPremiumQuote(enomResult, premiumSettings);
 
         results.push({
           domain: enomResult.domain,
           sld: enomResult.sld,
           tld: enomResult.tld,
-          available: enomResult.available,
-          premium: enomResult.premium,
-          error: enomResult.error,
-          pricing: {
-            register: enomResult.premium && enomResult.premiumPrice
-              ? enomResult.premiumPrice
-              : parseFloat(domainCheck.pricing.price_register),
-            renew: parseFloat(domainCheck.pricing.price_renew)
-          }
+          available: enomResult.available && (!quote || quote.purchasable),
+          premium: !!quote,
+          error: enomResult.error || (quote && !quote.purchasable ? quote.reason : undefined),
+          pricing: displayPricing(domainCheck.pricing, quote)
         });
       }
     }
@@ -232,41 +275,53 @@ router.post('/check-bulk', async (req, res) => {
 });
 
 // Get domain suggestions
+// The term may be several words ("best coffee shop"); variations are ranked and checked
+// in batches until enough available names are found
 router.get('/suggestions/:term', async (req, res) => {
-  const { term } = req.params;
   const pool = req.app.locals.pool;
 
-  // Sanitize term
-  const cleanTerm = term.toLowerCase().replace(/[^a-z0-9-]/g, '');
+  try {
+    const config = await loadSpinnerConfig(pool);
+    const keywords = extractKeywords(req.params.term, config);
 
-  if (cleanTerm.length < 2) {
-    return res.status(400).json({ error: 'Search term too short' });
-  }
+    if (keywords.join('').length < 2) {
+      return res.status(400).json({ error: 'Search term too short' });
+    }
 
-  try {
-    // Get active TLDs
     const tldResult = await pool.query(
-      'SELECT tld, price_register FROM tld_pricing WHERE is_active = true ORDER BY price_register LIMIT 10'
+      'SELECT tld, price_register, price_renew FROM tld_pricing WHERE is_active = true'
     );
-
-    // Build domain list to check
-    const domainsToCheck = tldResult.rows.map(row => ({
-      sld: cleanTerm,
-      tld: row.tld
-    }));
-
-    // Check availability with eNom
-    const enomResults = await enom.checkDomainBulk(domainsToCheck);
-
-    const suggestions = enomResults.map((result, index) => ({
-      domain: result.domain,
-      tld: result.tld,
-      price: result.premium && result.premiumPrice
-        ? result.premiumPrice
-        : parseFloat(tldResult.rows[index].price_register),
-      available: result.available,
-      premium: result.premium
-    }));
+    const candidates = rankCandidates(generateNames(keywords, config), tldResult.rows, config)
+      .slice(0, SUGGESTION_MAX_CHECKS);
+
+    const registrar = registrars.getDefault();
+    const premiumSettings = await loadPremiumSettings(pool);
+    const suggestions = [];
+
+    for (let i = 0; i < candidates.length && suggestions.length < config.maxResults; i += SUGGESTION_BATCH_SIZE) {
+      const batch = candidates.slice(i, i + SUGGESTION_BATCH_SIZE);
+      const results = await registrar.checkDomainBulk(batch.map(c => ({ sld: c.sld, tld: c.tld })));
+
+      results.forEach((result, index) => {
+        if (!result.available || suggestions.length >= config.maxResults) return;
+        const candidate = batch[index];
+        const quote = buildPremiumQuote(result, premiumSettings);
+        if (quote && !quote.purchasable) return;
+        const pricing = displayPricing(candidate.pricing, quote);
+
+        suggestions.push({
+          domain: result.domain,
+          sld: candidate.sld,
+          tld: candidate.tld,
+          type: candidate.type,
+          score: candidate.score,
+          price: pricing.register,
+          renew: pricing.renew,
+          available: true,
+          premium: !!quote
+        });
+      });
+    }
 
     res.json(suggestions);
   } catch (error) {
@@ -282,20 +337,467 @@ router.get('/', authMiddleware, async (req, res) => {
   try {
     const result = await pool.query(
       `SELECT id, domain_name, tld, status, registration_date, expiration_date,
-              auto_renew, privacy_enabled, lock_status, nameservers, enom_mode
+              auto_renew, privacy_enabled, lock_status, nameservers, enom_mode, premium_renew_price
        FROM domains
        WHERE user_id = $1
        ORDER BY expiration_date ASC`,
       [req.user.id]
     );
 
-    res.json(result.rows);
+    // Expired domains say what can still be done with them, and by when
+    const expired = result.rows.filter(d => EXPIRED_STATUSES.includes(d.status));
+    const lifecyclePricing = expired.length > 0
+      ? await loadLifecyclePricing(pool, expired.map(d => d.tld))
+      : new Map();
+
+    res.json(result.rows.map(domain => ({
+      ...domain,
+      lifecycle: getLifecycleInfo(domain, lifecyclePricing.get(domain.tld) || {})
+    })));
   } catch (error) {
     console.error('Error fetching domains:', error);
     res.status(500).json({ error: 'Failed to fetch domains' });
   }
 });
 
+// ============================================
+// BULK DNS ROUTES
+// Defined before the /:id routes so /dns-batches is not read as a domain ID
+// ============================================
+
+// Apply one DNS operation to several of the user's domains as a background batch
+// Body: { domainIds, operation: 'add' | 'replace' | 'delete', records, match: { hostName, recordType, address } }
+router.post('/dns-batches', authMiddleware, async (req, res) => {
+  const pool = req.app.locals.pool;
+  const domainIds = Array.isArray(req.body.domainIds)
+    ? [...new Set(req.body.domainIds.map(id => parseInt(id)).filter(id => !Number.isNaN(id)))]
+    : [];
+
+  if (domainIds.length === 0) {
+    return res.status(400).json({ error: 'Select at least one domain' });
+  }
+  if (domainIds.length > MAX_BULK_DOMAINS) {
+    return res.status(400).json({ error: `At most ${MAX_BULK_DOMAINS} domains can be changed in one batch` });
+  }
+
+  const { error: validationError, operation } = validateBulkOperation(req.body);
+  if (validationError) {
+    return res.status(400).json({ error: validationError });
+  }
+
+  try {
+    // Every domain must belong to the user and not be suspended
+    const domains = [];
+    for (const domainId of domainIds) {
+      const access = await checkDomainAccess(pool, domainId, req.user.id);
+      if (access.error) {
+        return res.status(access.status).json({ error: `Domain #${domainId}: ${access.error}` });
+      }
+      domains.push(access.domain);
+    }
+
+    const batch = await dnsBulk.start(req, {
+      domains,
+      operation,
+      source: 'customer',
+      authorize: (domainId) => checkDomainAccess(pool, domainId, req.user.id)
+    });
+
+    res.status(202).json(batch);
+  } catch (error) {
+    console.error('Error starting bulk DNS batch:', error);
+    res.status(500).json({ error: error.message || 'Failed to start bulk DNS batch' });
+  }
+});
+
+// List the user's recent bulk DNS batches
+router.get('/dns-batches', authMiddleware, async (req, res) => {
+  try {
+    const batches = await dnsBulk.listBatches({ userId: req.user.id });
+    res.json(batches);
+  } catch (error) {
+    console.error('Error listing bulk DNS batches:', error);
+    res.status(500).json({ error: 'Failed to list bulk DNS batches' });
+  }
+});
+
+// Get a bulk DNS batch with per-domain results
+router.get('/dns-batches/:batchId', authMiddleware, async (req, res) => {
+  try {
+    const batch = await dnsBulk.getBatch(parseInt(req.params.batchId), req.user.id);
+    if (!batch) {
+      return res.status(404).json({ error: 'Batch not found' });
+    }
+    res.json(batch);
+  } catch (error) {
+    console.error('Error getting bulk DNS batch:', error);
+    res.status(500).json({ error: 'Failed to get bulk DNS batch' });
+  }
+});
+
+// ============================================
+// BULK TRANSFER ROUTES
+// Defined before the /:id routes so /transfer-batches is not read as a domain ID
+// ============================================
+
+// Pre-check a list of inbound transfers and add the eligible ones to the cart
+// Body: { list } - CSV text, one domain,authcode pair per line
+router.post('/transfer-batches', authMiddleware, async (req, res) => {
+  const { error: parseError, entries, rejected } = parseTransferList(req.body.list);
+  if (parseError) {
+    return res.status(400).json({ error: parseError });
+  }
+  if (entries.length === 0) {
+    return res.status(400).json({ error: 'No line in the list has a valid domain and auth code', rejected });
+  }
+
+  try {
+    const batch = await transferBatches.start(req, entries);
+    res.status(202).json({ ...batch, rejected });
+  } catch (error) {
+    console.error('Error starting bulk transfer:', error);
+    res.status(500).json({ error: 'Failed to start bulk transfer' });
+  }
+});
+
+// List the user's recent bulk transfers
+router.get('/transfer-batches', authMiddleware, async (req, res) => {
+  try {
+    const batches = await transferBatches.listBatches({ userId: req.user.id });
+    res.json(batches);
+  } catch (error) {
+    console.error('Error listing bulk transfers:', error);
+    res.status(500).json({ error: 'Failed to list bulk transfers' });
+  }
+});
+
+// Get a bulk transfer with the status of each domain
+router.get('/transfer-batches/:batchId', authMiddleware, async (req, res) => {
+  try {
+    const batch = await transferBatches.getBatch(parseInt(req.params.batchId), req.user.id);
+    if (!batch) {
+      return res.status(404).json({ error: 'Batch not found' });
+    }
+    res.json(batch);
+  } catch (error) {
+    console.error('Error getting bulk transfer:', error);
+    res.status(500).json({ error: 'Failed to get bulk transfer' });
+  }
+});
+
+// ============================================
+// INBOUND TRANSFER ROUTES
+// Transfers ordered by the user, with resend / auth code / cancel actions
+// ============================================
+
+// List the user's transfers, newest first
+router.get('/transfers', authMiddleware, async (req, res) => {
+  const pool = req.app.locals.pool;
+
+  try {
+    const transfers = await listUserTransfers(pool, req.user.id);
+    res.json(transfers);
+  } catch (error) {
+    console.error('Error listing transfers:', error);
+    res.status(500).json({ error: 'Failed to list transfers' });
+  }
+});
+
+// Resend the approval email for a transfer waiting on the domain owner
+router.post('/transfers/:transferId/resend', authMiddleware, async (req, res) => {
+  const pool = req.app.locals.pool;
+
+  try {
+    const transfer = await getUserTransfer(pool, parseInt(req.params.transferId), req.user.id);
+    if (!transfer) {
+      return res.status(404).json({ error: 'Transfer not found' });
+    }
+    if (!transfer.enom_transfer_id || !['processing', 'pending_approval'].includes(transfer.status)) {
+      return res.status(400).json({ error: 'Only transfers waiting for approval can have the approval email resent' });
+    }
+
+    await registrars.getDefault().resendTransferAuth(transfer.enom_transfer_id);
+
+    await pool.query(
+      `INSERT INTO activity_logs (user_id, action, entity_type, entity_id, details)
+       VALUES ($1, $2, $3, $4, $5)`,
+      [req.user.id, 'transfer_auth_resent', 'transfer', transfer.id, JSON.stringify({ domain: `${transfer.domain_name}.${transfer.tld}` })]
+    );
+
+    res.json({ message: 'Approval email resent' });
+  } catch (error) {
+    console.error('Error resending transfer approval:', error);
+    res.status(500).json({ error: error.message || 'Failed to resend approval email' });
+  }
+});
+
+// Replace a wrong auth code; submitted transfers are resubmitted with it
+// Body: { authCode }
+router.put('/transfers/:transferId/auth-code', authMiddleware, async (req, res) => {
+  const pool = req.app.locals.pool;
+  const authCode = typeof req.body.authCode === 'string' ? req.body.authCode.trim() : '';
+
+  const authCodeError = validateAuthCode(authCode);
+  if (authCodeError) {
+    return res.status(400).json({ error: authCodeError });
+  }
+
+  try {
+    const transfer = await getUserTransfer(pool, parseInt(req.params.transferId), req.user.id);
+    if (!transfer) {
+      return res.status(404).json({ error: 'Transfer not found' });
+    }
+
+    const submitted = transfer.enom_transfer_id && ACTIVE_TRANSFER_STATUSES.includes(transfer.status);
+    // Not yet submitted (or submission failed): the new code is used when the order item is retried
+    const notSubmitted = !transfer.enom_transfer_id && ['pending', 'failed'].includes(transfer.status);
+    if (!submitted && !notSubmitted) {
+      return res.status(400).json({ error: `The auth code can't be changed for a ${transfer.status} transfer` });
+    }
+
+    if (submitted) {
+      await registrars.getDefault().updateTransferAuthCode(transfer.enom_transfer_id, authCode);
+    }
+
+    await pool.query(
+      'UPDATE domain_transfers SET auth_code = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2',
+      [authCode, transfer.id]
+    );
+    const updated = submitted
+      ? await setTransferStatus(pool, transfer, 'pending_approval', 'Resubmitted with a new auth code', { notify: false })
+      : transfer;
+
+    await pool.query(
+      `INSERT INTO activity_logs (user_id, action, entity_type, entity_id, details)
+       VALUES ($1, $2, $3, $4, $5)`,
+      [req.user.id, 'transfer_auth_code_updated', 'transfer', transfer.id, JSON.stringify({ domain: `${transfer.domain_name}.${transfer.tld}`, resubmitted: !!submitted })]
+    );
+
+    res.json({
+      status: updated.status,
+      message: submitted ? 'Auth code updated and transfer resubmitted' : 'Auth code saved'
+    });
+  } catch (error) {
+    console.error('Error updating transfer auth code:', error);
+    res.status(500).json({ error: error.message || 'Failed to update auth code' });
+  }
+});
+
+// Cancel a submitted transfer
+router.delete('/transfers/:transferId', authMiddleware, async (req, res) => {
+  const pool = req.app.locals.pool;
+
+  try {
+    const transfer = await getUserTransfer(pool, parseInt(req.params.transferId), req.user.id);
+    if (!transfer) {
+      return res.status(404).json({ error: 'Transfer not found' });
+    }
+    if (!transfer.enom_transfer_id || !ACTIVE_TRANSFER_STATUSES.includes(transfer.status)) {
+      return res.status(400).json({ error: `A ${transfer.status} transfer can't be cancelled` });
+    }
+
+    await registrars.getDefault().cancelTransfer(transfer.enom_transfer_id);
+    const cancelled = await setTransferStatus(pool, transfer, 'cancelled', 'Cancelled by customer', { notify: false });
+
+    await pool.query(
+      `INSERT INTO activity_logs (user_id, action, entity_type, entity_id, details)
+       VALUES ($1, $2, $3, $4, $5)`,
+      [req.user.id, 'transfer_cancelled', 'transfer', transfer.id, JSON.stringify({ domain: `${transfer.domain_name}.${transfer.tld}` })]
+    );
+
+    res.json({ status: cancelled.status, message: 'Transfer cancelled' });
+  } catch (error) {
+    console.error('Error cancelling transfer:', error);
+    res.status(500).json({ error: error.message || 'Failed to cancel transfer' });
+  }
+});
+
+// ============================================
+// WATCHLIST ROUTES
+// Taken domains the user wants to know about (re-checked by the watchDomains job)
+// ============================================
+
+// List the user's watched domains, newest first
+router.get('/watchlist', authMiddleware, async (req, res) => {
+  const pool = req.app.locals.pool;
+
+  try {
+    const watches = await listUserWatches(pool, req.user.id);
+    res.json(watches);
+  } catch (error) {
+    console.error('Error listing watchlist:', error);
+    res.status(500).json({ error: 'Failed to list watchlist' });
+  }
+});
+
+// Watch a taken domain
+// Body: { domain, mode?: 'notify' | 'cart' | 'register', intervalHours? }
+router.post('/watchlist', authMiddleware, async (req, res) => {
+  const pool = req.app.locals.pool;
+  const { mode = 'notify', intervalHours = DEFAULT_WATCH_INTERVAL } = req.body;
+
+  const parsed = parseDomainName(req.body.domain);
+  if (!parsed) {
+    return res.status(400).json({ error: 'Invalid domain name' });
+  }
+  const optionsError = validateWatchOptions({ mode, intervalHours });
+  if (optionsError) {
+    return res.status(400).json({ error: optionsError });
+  }
+
+  const { sld, tld } = parsed;
+  const fullDomain = `${sld}.${tld}`;
+
+  try {
+    const tldResult = await pool.query(
+      'SELECT tld FROM tld_pricing WHERE tld = $1 AND is_active = true',
+      [tld]
+    );
+    if (tldResult.rows.length === 0) {
+      return res.status(400).json({ error: 'TLD not supported', tld });
+    }
+
+    const existing = await pool.query(
+      'SELECT id FROM domain_watchlist WHERE user_id = $1 AND domain_name = $2 AND tld = $3',
+      [req.user.id, sld, tld]
+    );
+    if (existing.rows.length > 0) {
+      return res.status(400).json({ error: `${fullDomain} is already on your watchlist` });
+    }
+
+    const owned = await pool.query(
+      `SELECT id FROM domains WHERE user_id = $1 AND domain_name = $2 AND tld = $3 AND status <> 'transferred_away'`,
+      [req.user.id, sld, tld]
+    );
+    if (owned.rows.length > 0) {
+      return res.status(400).json({ error: `${fullDomain} is already in your account` });
+    }
+
+    const countResult = await pool.query(
+      `SELECT COUNT(*) FROM domain_watchlist WHERE user_id = $1 AND status = 'watching'`,
+      [req.user.id]
+    );
+    if (parseInt(countResult.rows[0].count) >= MAX_WATCHES_PER_USER) {
+      return res.status(400).json({ error: `You can watch at most ${MAX_WATCHES_PER_USER} domains at a time` });
+    }
+
+    if (mode === 'register') {
+      const readyError = await checkAutoRegisterReady(pool, req.user.id);
+      if (readyError) {
+        return res.status(400).json({ error: readyError });
+      }
+    }
+
+    // Only taken names can be watched; a failed check doesn't block adding the watch
+    try {
+      const availability = await registrars.getDefault().checkDomain(sld, tld);
+      if (availability.available) {
+        return res.status(400).json({ error: `${fullDomain} is available now - register it instead`, available: true });
+      }
+    } catch (checkError) {
+      console.error(`Watchlist availability check failed for ${fullDomain}:`, checkError.message);
+    }
+
+    const result = await pool.query(
+      `INSERT INTO domain_watchlist (user_id, domain_name, tld, mode, check_interval_hours, last_checked_at)
+       VALUES ($1, $2, $3, $4, $5, CURRENT_TIMESTAMP)
+       RETURNING *`,
+      [req.user.id, sld, tld, mode, parseInt(intervalHours)]
+    );
+
+    await pool.query(
+      `INSERT INTO activity_logs (user_id, action, entity_type, entity_id, details)
+       VALUES ($1, $2, $3, $4, $5)`,
+      [req.user.id, 'watchlist_added', 'domain_watch', result.rows[0].id, JSON.stringify({ domain: fullDomain, mode })]
+    );
+
+    res.status(201).json({ ...result.rows[0], message: `Watching ${fullDomain}` });
+  } catch (error) {
+    console.error('Error adding to watchlist:', error);
+    res.status(500).json({ error: 'Failed to add domain to watchlist' });
+  }
+});
+
+// Change how a domain is watched, or start watching it again after it was found available
+// Body: { mode?, intervalHours?, resume? }
+router.put('/watchlist/:watchId', authMiddleware, async (req, res) => {
+  const pool = req.app.locals.pool;
+  const { mode, intervalHours, resume } = req.body;
+
+  const optionsError = validateWatchOptions({ mode, intervalHours });
+  if (optionsError) {
+    return res.status(400).json({ error: optionsError });
+  }
+
+  try {
+    const watch = await getUserWatch(pool, parseInt(req.params.watchId), req.user.id);
+    if (!watch) {
+      return res.status(404).json({ error: 'Watch not found' });
+    }
+    if (watch.status === 'registered') {
+      return res.status(400).json({ error: 'This domain has already been registered for you' });
+    }
+    if (resume && watch.status !== 'watching') {
+      const countResult = await pool.query(
+        `SELECT COUNT(*) FROM domain_watchlist WHERE user_id = $1 AND status = 'watching'`,
+        [req.user.id]
+      );
+      if (parseInt(countResult.rows[0].count) >= MAX_WATCHES_PER_USER) {
+        return res.status(400).json({ error: `You can watch at most ${MAX_WATCHES_PER_USER} domains at a time` });
+      }
+    }
+    if (mode === 'register' && watch.mode !== 'register') {
+      const readyError = await checkAutoRegisterReady(pool, req.user.id);
+      if (readyError) {
+        return res.status(400).json({ error: readyError });
+      }
+    }
+
+    const result = await pool.query(
+      `UPDATE domain_watchlist SET
+        mode = COALESCE($1, mode),
+        check_interval_hours = COALESCE($2, check_interval_hours),
+        status = CASE WHEN $3 THEN 'watching' ELSE status END,
+        result_message = CASE WHEN $3 THEN NULL ELSE result_message END,
+        last_checked_at = CASE WHEN $3 THEN NULL ELSE last_checked_at END,
+        updated_at = CURRENT_TIMESTAMP
+       WHERE id = $4
+       RETURNING *`,
+      [mode || null, intervalHours !== undefined ? parseInt(intervalHours) : null, !!resume, watch.id]
+    );
+
+    res.json({ ...result.rows[0], message: resume ? 'Watching again' : 'Watch updated' });
+  } catch (error) {
+    console.error('Error updating watch:', error);
+    res.status(500).json({ error: 'Failed to update watch' });
+  }
+});
+
+// Stop watching a domain
+router.delete('/watchlist/:watchId', authMiddleware, async (req, res) => {
+  const pool = req.app.locals.pool;
+
+  try {
+    const watch = await getUserWatch(pool, parseInt(req.params.watchId), req.user.id);
+    if (!watch) {
+      return res.status(404).json({ error: 'Watch not found' });
+    }
+
+    await pool.query('DELETE FROM domain_watchlist WHERE id = $1', [watch.id]);
+
+    await pool.query(
+      `INSERT INTO activity_logs (user_id, action, entity_type, entity_id, details)
+       VALUES ($1, $2, $3, $4, $5)`,
+      [req.user.id, 'watchlist_removed', 'domain_watch', watch.id, JSON.stringify({ domain: `${watch.domain_name}.${watch.tld}` })]
+    );
+
+    res.json({ message: 'Removed from watchlist' });
+  } catch (error) {
+    console.error('Error removing watch:', error);
+    res.status(500).json({ error: 'Failed to remove watch' });
+  }
+});
+
 // ============================================
 // DOMAIN BY ID ROUTES
 // NOTE: /push-requests route is defined later in this file (before module.exports)
@@ -328,7 +830,7 @@ router.get('/:id', authMiddleware, async (req, res) => {
     const tld = domain.tld;
 
     try {
-      const enomInfo = await enom.getDomainInfo(sld, tld);
+      const enomInfo = await registrars.forDomain(domain).getDomainInfo(sld, tld);
       domain.enom_status = enomInfo.status;
       domain.enom_expiration = enomInfo.expirationDate;
     } catch (e) {
@@ -336,6 +838,11 @@ router.get('/:id', authMiddleware, async (req, res) => {
       console.error('Failed to get eNom info:', e.message);
     }
 
+    if (EXPIRED_STATUSES.includes(domain.status)) {
+      const lifecyclePricing = await loadLifecyclePricing(pool, [tld]);
+      domain.lifecycle = getLifecycleInfo(domain, lifecyclePricing.get(tld) || {});
+    }
+
     res.json(domain);
   } catch (error) {
     console.error('Error fetching domain:', error);
@@ -408,9 +915,19 @@ router.put('/:id/nameservers', authMiddleware, async (req, res) => {
     const domain = access.domain;
     const sld = domain.domain_name;
     const tld = domain.tld;
+    const registrar = registrars.forDomain(domain);
+
+    // In-zone nameservers (ns1.<this domain>) need glue registered first
+    const missingGlue = await findMissingGlueHosts(pool, domain, nameservers, registrar, domain.enomMode);
+    if (missingGlue.length > 0) {
+      return res.status(400).json({
+        error: `Register ${missingGlue.join(', ')} as a child nameserver before using it`,
+        missingGlue
+      });
+    }
 
     // Call eNom API to update nameservers (use domain's mode)
-    await enom.updateNameservers(sld, tld, nameservers, { mode: domain.enomMode });
+    await registrar.updateNameservers(sld, tld, nameservers, { mode: domain.enomMode });
 
     // Update local database
     await pool.query(
@@ -445,7 +962,7 @@ router.put('/:id/autorenew', authMiddleware, async (req, res) => {
     // If turning OFF auto-renew, just update the database (no payment method needed)
     if (!auto_renew) {
       // Call eNom API to update auto-renew (use domain's mode)
-      await enom.setAutoRenew(sld, tld, false, { mode: domain.enomMode });
+      await registrars.forDomain(domain).setAutoRenew(sld, tld, false, { mode: domain.enomMode });
 
       const result = await pool.query(
         `UPDATE domains SET auto_renew = false, updated_at = CURRENT_TIMESTAMP
@@ -454,6 +971,9 @@ router.put('/:id/autorenew', authMiddleware, async (req, res) => {
         [domainId]
       );
 
+      // No more retries of a failed renewal payment
+      await cancelDunning(pool, domainId);
+
       return res.json(result.rows[0]);
     }
 
@@ -470,7 +990,7 @@ router.put('/:id/autorenew', authMiddleware, async (req, res) => {
     }
 
     // Payment method exists, enable auto-renew (use domain's mode)
-    await enom.setAutoRenew(sld, tld, true, { mode: domain.enomMode });
+    await registrars.forDomain(domain).setAutoRenew(sld, tld, true, { mode: domain.enomMode });
 
     const result = await pool.query(
       `UPDATE domains SET auto_renew = true, updated_at = CURRENT_TIMESTAMP
@@ -556,7 +1076,7 @@ router.post('/:id/setup-auto-renew', authMiddleware, async (req, res) => {
 router.post('/:id/confirm-auto-renew', authMiddleware, async (req, res) => {
   const pool = req.app.locals.pool;
   const domainId = parseInt(req.params.id);
-  const { setup_intent_id, payment_method_id } = req.body;
+  const { setup_intent_id, payment_method_id, years = null, daysBefore = null } = req.body;
 
   if (!setup_intent_id && !payment_method_id) {
     return res.status(400).json({ error: 'setup_intent_id or payment_method_id required' });
@@ -573,6 +1093,13 @@ router.post('/:id/confirm-auto-renew', authMiddleware, async (req, res) => {
     const sld = domain.domain_name;
     const tld = domain.tld;
 
+    // The term and renewal window can be chosen while setting up (null = site default)
+    const pricingResult = await pool.query('SELECT max_years FROM tld_pricing WHERE tld = $1', [tld]);
+    const prefsError = validateAutoRenewPreferences({ years, daysBefore }, pricingResult.rows[0]);
+    if (prefsError) {
+      return res.status(400).json({ error: prefsError });
+    }
+
     let paymentMethodId = payment_method_id;
 
     // If setup_intent_id provided, retrieve the payment method from it
@@ -602,17 +1129,19 @@ router.post('/:id/confirm-auto-renew', authMiddleware, async (req, res) => {
     const paymentMethod = await stripeService.retrievePaymentMethod(paymentMethodId);
 
     // Update eNom auto-renew setting (use domain's mode)
-    await enom.setAutoRenew(sld, tld, true, { mode: domain.enomMode });
+    await registrars.forDomain(domain).setAutoRenew(sld, tld, true, { mode: domain.enomMode });
 
     // Save payment method to domain and enable auto-renew
     const result = await pool.query(
       `UPDATE domains SET
         auto_renew = true,
         auto_renew_payment_method_id = $1,
+        auto_renew_years = $3,
+        auto_renew_days_before = $4,
         updated_at = CURRENT_TIMESTAMP
        WHERE id = $2
-       RETURNING id, domain_name, tld, auto_renew, auto_renew_payment_method_id`,
-      [paymentMethodId, domainId]
+       RETURNING id, domain_name, tld, auto_renew, auto_renew_payment_method_id, auto_renew_years, auto_renew_days_before`,
+      [paymentMethodId, domainId, years, daysBefore]
     );
 
     // Log activity
@@ -627,7 +1156,9 @@ router.post('/:id/confirm-auto-renew', authMiddleware, async (req, res) => {
         JSON.stringify({
           domain: `${domain.domain_name}.${domain.tld}`,
           paymentMethodLast4: paymentMethod.card?.last4,
-          paymentMethodBrand: paymentMethod.card?.brand
+          paymentMethodBrand: paymentMethod.card?.brand,
+          years,
+          daysBefore
         })
       ]
     );
@@ -658,7 +1189,9 @@ router.get('/:id/auto-renew-status', authMiddleware, async (req, res) => {
   try {
     // Verify ownership
     const domainResult = await pool.query(
-      'SELECT id, domain_name, tld, auto_renew, auto_renew_payment_method_id, expiration_date FROM domains WHERE id = $1 AND user_id = $2',
+      `SELECT id, domain_name, tld, auto_renew, auto_renew_payment_method_id, expiration_date,
+              is_premium, premium_renew_price, auto_renew_years, auto_renew_days_before
+       FROM domains WHERE id = $1 AND user_id = $2`,
       [domainId, req.user.id]
     );
 
@@ -688,9 +1221,16 @@ router.get('/:id/auto-renew-status', authMiddleware, async (req, res) => {
 
     // Get renewal pricing
     const pricingResult = await pool.query(
-      'SELECT price_renew FROM tld_pricing WHERE tld = $1',
+      'SELECT * FROM tld_pricing WHERE tld = $1',
       [domain.tld]
     );
+    const pricing = pricingResult.rows[0] || {};
+
+    const defaults = await loadAutoRenewDefaults(pool);
+    const prefs = resolveAutoRenewPreferences(domain, defaults);
+    const maxYears = Math.min(parseInt(pricing.max_years) || MAX_AUTO_RENEW_YEARS, MAX_AUTO_RENEW_YEARS);
+    const yearOptions = Array.from({ length: maxYears }, (_, i) => i + 1);
+    const quote = quoteRenewal(domain, pricing, Math.min(prefs.years, maxYears));
 
     res.json({
       domainId: domain.id,
@@ -698,7 +1238,22 @@ router.get('/:id/auto-renew-status', authMiddleware, async (req, res) => {
       autoRenew: domain.auto_renew,
       expirationDate: domain.expiration_date,
       paymentMethod,
-      renewalPrice: pricingResult.rows[0]?.price_renew || null
+      premium: !!domain.is_premium,
+      renewalPrice: quote.unitPrice || null,
+      years: prefs.years,
+      daysBefore: prefs.daysBefore,
+      yearsIsDefault: prefs.yearsIsDefault,
+      daysBeforeIsDefault: prefs.daysBeforeIsDefault,
+      nextAttemptDate: nextAutoRenewDate(domain.expiration_date, prefs.daysBefore),
+      termPrice: quote.price,
+      promoApplied: quote.promoApplied,
+      // What each renewal would cost for every term the customer can pick
+      termPrices: Object.fromEntries(yearOptions.map(y => [y, quoteRenewal(domain, pricing, y).price])),
+      defaults,
+      options: {
+        years: yearOptions,
+        daysBefore: AUTO_RENEW_DAYS_BEFORE_OPTIONS
+      }
     });
   } catch (error) {
     console.error('Error getting auto-renew status:', error);
@@ -706,41 +1261,97 @@ router.get('/:id/auto-renew-status', authMiddleware, async (req, res) => {
   }
 });
 
-// Remove auto-renew payment method (disable auto-renew)
-router.delete('/:id/auto-renew', authMiddleware, async (req, res) => {
+// Set the auto-renew term and renewal window
+// Body: { years, daysBefore } - null resets either to the site default
+router.put('/:id/auto-renew-preferences', authMiddleware, async (req, res) => {
   const pool = req.app.locals.pool;
   const domainId = parseInt(req.params.id);
+  const { years = null, daysBefore = null } = req.body;
 
   try {
-    // Verify ownership and check if suspended
     const access = await checkDomainAccess(pool, domainId, req.user.id);
     if (access.error) {
       return res.status(access.status).json({ error: access.error });
     }
 
     const domain = access.domain;
-    const sld = domain.domain_name;
-    const tld = domain.tld;
-
-    // Update eNom auto-renew setting (use domain's mode)
-    await enom.setAutoRenew(sld, tld, false, { mode: domain.enomMode });
+    const pricingResult = await pool.query(
+      'SELECT price_renew, promo_price, promo_expires_at, max_years FROM tld_pricing WHERE tld = $1',
+      [domain.tld]
+    );
+    const error = validateAutoRenewPreferences({ years, daysBefore }, pricingResult.rows[0]);
+    if (error) {
+      return res.status(400).json({ error });
+    }
 
-    // Disable auto-renew and clear payment method
     const result = await pool.query(
-      `UPDATE domains SET
-        auto_renew = false,
-        auto_renew_payment_method_id = NULL,
-        updated_at = CURRENT_TIMESTAMP
-       WHERE id = $1
-       RETURNING id, domain_name, tld, auto_renew`,
-      [domainId]
+      `UPDATE domains SET auto_renew_years = $1, auto_renew_days_before = $2, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $3
+       RETURNING *`,
+      [years, daysBefore, domainId]
     );
 
-    res.json({
-      success: true,
-      domain: result.rows[0],
-      message: 'Auto-renewal disabled'
-    });
+    await pool.query(
+      `INSERT INTO activity_logs (user_id, action, entity_type, entity_id, details)
+       VALUES ($1, $2, $3, $4, $5)`,
+      [req.user.id, 'auto_renew_preferences_updated', 'domain', domainId,
+       JSON.stringify({ domain: `${domain.domain_name}.${domain.tld}`, years, daysBefore })]
+    );
+
+    const prefs = resolveAutoRenewPreferences(result.rows[0], await loadAutoRenewDefaults(pool));
+    const quote = quoteRenewal(result.rows[0], pricingResult.rows[0] || {}, prefs.years);
+
+    res.json({
+      message: `${domain.domain_name}.${domain.tld} will auto-renew for ${prefs.years} year${prefs.years > 1 ? 's' : ''}, ${prefs.daysBefore} days before it expires`,
+      years: prefs.years,
+      daysBefore: prefs.daysBefore,
+      yearsIsDefault: prefs.yearsIsDefault,
+      daysBeforeIsDefault: prefs.daysBeforeIsDefault,
+      nextAttemptDate: nextAutoRenewDate(result.rows[0].expiration_date, prefs.daysBefore),
+      termPrice: quote.price,
+      promoApplied: quote.promoApplied
+    });
+  } catch (error) {
+    console.error('Error updating auto-renew preferences:', error);
+    res.status(500).json({ error: 'Failed to update auto-renew preferences' });
+  }
+});
+
+// Remove auto-renew payment method (disable auto-renew)
+router.delete('/:id/auto-renew', authMiddleware, async (req, res) => {
+  const pool = req.app.locals.pool;
+  const domainId = parseInt(req.params.id);
+
+  try {
+    // Verify ownership and check if suspended
+    const access = await checkDomainAccess(pool, domainId, req.user.id);
+    if (access.error) {
+      return res.status(access.status).json({ error: access.error });
+    }
+
+    const domain = access.domain;
+    const sld = domain.domain_name;
+    const tld = domain.tld;
+
+    // Update eNom auto-renew setting (use domain's mode)
+    await registrars.forDomain(domain).setAutoRenew(sld, tld, false, { mode: domain.enomMode });
+
+    // Disable auto-renew and clear payment method
+    const result = await pool.query(
+      `UPDATE domains SET
+        auto_renew = false,
+        auto_renew_payment_method_id = NULL,
+        updated_at = CURRENT_TIMESTAMP
+       WHERE id = $1
+       RETURNING id, domain_name, tld, auto_renew`,
+      [domainId]
+    );
+
+    res.json({
+      success: true,
+      domain: result.rows[0],
+      message: 'Auto-renewal disabled'
+    });
   } catch (error) {
     console.error('Error disabling auto-renew:', error);
     res.status(500).json({ error: 'Failed to disable auto-renew' });
@@ -768,7 +1379,7 @@ router.get('/:id/privacy', authMiddleware, async (req, res) => {
     const tld = domain.tld;
 
     // Get privacy status from eNom (use domain's mode)
-    const privacyStatus = await enom.getPrivacyStatus(sld, tld, { mode: domain.enom_mode || 'test' });
+    const privacyStatus = await registrars.forDomain(domain).getPrivacyStatus(sld, tld, { mode: domain.enom_mode || 'test' });
 
     res.json({
       domainId,
@@ -801,7 +1412,7 @@ router.put('/:id/privacy', authMiddleware, async (req, res) => {
 
     // If trying to enable privacy, check if it's already purchased
     if (privacy_enabled) {
-      const privacyStatus = await enom.getPrivacyStatus(sld, tld, { mode: domain.enomMode });
+      const privacyStatus = await registrars.forDomain(domain).getPrivacyStatus(sld, tld, { mode: domain.enomMode });
 
       // If privacy will incur a charge and force is not set, return warning
       if (privacyStatus && privacyStatus.willCharge && !force) {
@@ -815,7 +1426,7 @@ router.put('/:id/privacy', authMiddleware, async (req, res) => {
     }
 
     // Call eNom API to toggle privacy (use domain's mode)
-    await enom.setWhoisPrivacy(sld, tld, !!privacy_enabled, { mode: domain.enomMode });
+    await registrars.forDomain(domain).setWhoisPrivacy(sld, tld, !!privacy_enabled, { mode: domain.enomMode });
 
     // Update local database
     const result = await pool.query(
@@ -850,7 +1461,7 @@ router.put('/:id/lock', authMiddleware, async (req, res) => {
     const tld = domain.tld;
 
     // Call eNom API to set lock status (use domain's mode)
-    await enom.setDomainLock(sld, tld, !!locked, { mode: domain.enomMode });
+    await registrars.forDomain(domain).setDomainLock(sld, tld, !!locked, { mode: domain.enomMode });
 
     // Update local database
     const result = await pool.query(
@@ -888,7 +1499,7 @@ router.get('/:id/authcode', authMiddleware, async (req, res) => {
     const tld = domain.tld;
 
     // Get auth code from eNom (this also unlocks the domain) - use domain's mode
-    const result = await enom.getAuthCode(sld, tld, { mode: domain.enom_mode || 'test' });
+    const result = await registrars.forDomain(domain).getAuthCode(sld, tld, { mode: domain.enom_mode || 'test' });
 
     // Update lock status in database since getAuthCode unlocks the domain
     await pool.query(
@@ -907,6 +1518,115 @@ router.get('/:id/authcode', authMiddleware, async (req, res) => {
   }
 });
 
+// Get the transfer-away status of a domain: eligibility and the latest transfer
+router.get('/:id/transfer-out', authMiddleware, async (req, res) => {
+  const pool = req.app.locals.pool;
+  const domainId = parseInt(req.params.id);
+
+  try {
+    const access = await checkDomainAccess(pool, domainId, req.user.id, { allowSuspended: true });
+    if (access.error) {
+      return res.status(access.status).json({ error: access.error });
+    }
+
+    const domain = access.domain;
+    const [latest] = await listTransfersOut(pool, { domainId, limit: 1 });
+    const lockEnd = await getTransferLockEnd(pool, domain);
+
+    res.json({
+      transfer: latest || null,
+      eligible: domain.status === 'active' && !lockEnd && latest?.status !== 'pending',
+      transferLockedUntil: lockEnd,
+      transferLockDays: TRANSFER_LOCK_DAYS
+    });
+  } catch (error) {
+    console.error('Error getting transfer-out status:', error);
+    res.status(500).json({ error: 'Failed to get transfer status' });
+  }
+});
+
+// Start transferring a domain away: unlocks it and emails the auth code to the registrant
+router.post('/:id/transfer-out', authMiddleware, async (req, res) => {
+  const pool = req.app.locals.pool;
+  const domainId = parseInt(req.params.id);
+
+  try {
+    // Verify ownership and check if suspended
+    const access = await checkDomainAccess(pool, domainId, req.user.id);
+    if (access.error) {
+      return res.status(access.status).json({ error: access.error });
+    }
+
+    const domain = access.domain;
+    const result = await startTransferOut(pool, req, domain, {
+      provider: registrars.forDomain(domain),
+      mode: domain.enomMode,
+      source: req.user.impersonatedBy ? 'admin' : 'customer'
+    });
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    await pool.query(
+      `INSERT INTO activity_logs (user_id, action, entity_type, entity_id, details)
+       VALUES ($1, $2, $3, $4, $5)`,
+      [
+        req.user.id,
+        'transfer_out_started',
+        'domain',
+        domainId,
+        JSON.stringify({ domain: `${domain.domain_name}.${domain.tld}`, sentTo: result.transfer.auth_code_sent_to })
+      ]
+    );
+
+    res.status(201).json({
+      transfer: result.transfer,
+      emailSent: result.emailSent,
+      message: result.emailSent
+        ? `Domain unlocked. The auth code was emailed to ${result.transfer.auth_code_sent_to}.`
+        : 'Domain unlocked, but the auth code email could not be sent. Contact support for the code.'
+    });
+  } catch (error) {
+    console.error('Error starting transfer out:', error);
+    res.status(500).json({ error: error.message || 'Failed to start transfer' });
+  }
+});
+
+// Cancel a pending transfer away and lock the domain again
+router.delete('/:id/transfer-out', authMiddleware, async (req, res) => {
+  const pool = req.app.locals.pool;
+  const domainId = parseInt(req.params.id);
+
+  try {
+    const access = await checkDomainAccess(pool, domainId, req.user.id, { allowSuspended: true });
+    if (access.error) {
+      return res.status(access.status).json({ error: access.error });
+    }
+
+    const domain = access.domain;
+    const transfer = await getPendingTransferOut(pool, domainId);
+    if (!transfer) {
+      return res.status(404).json({ error: 'No transfer in progress for this domain' });
+    }
+
+    const cancelled = await cancelTransferOut(pool, req, domain, transfer, {
+      provider: registrars.forDomain(domain),
+      mode: domain.enomMode
+    });
+
+    await pool.query(
+      `INSERT INTO activity_logs (user_id, action, entity_type, entity_id, details)
+       VALUES ($1, $2, $3, $4, $5)`,
+      [req.user.id, 'transfer_out_cancelled', 'domain', domainId, JSON.stringify({ domain: `${domain.domain_name}.${domain.tld}` })]
+    );
+
+    res.json({ transfer: cancelled, message: 'Transfer cancelled and domain locked' });
+  } catch (error) {
+    console.error('Error cancelling transfer out:', error);
+    res.status(500).json({ error: error.message || 'Failed to cancel transfer' });
+  }
+});
+
 // Get WHOIS contacts for domain
 router.get('/:id/contacts', authMiddleware, async (req, res) => {
   const pool = req.app.locals.pool;
@@ -928,7 +1648,7 @@ router.get('/:id/contacts', authMiddleware, async (req, res) => {
     const tld = domain.tld;
 
     // Get contacts from eNom (use domain's mode)
-    const contacts = await enom.getWhoisContacts(sld, tld, { mode: domain.enom_mode || 'test' });
+    const contacts = await registrars.forDomain(domain).getWhoisContacts(sld, tld, { mode: domain.enom_mode || 'test' });
 
     res.json({
       domain: domain.domain_name,
@@ -958,7 +1678,7 @@ router.put('/:id/contacts', authMiddleware, async (req, res) => {
     const tld = domain.tld;
 
     // Get current contacts first (for partial update support) - use domain's mode
-    const currentContacts = await enom.getWhoisContacts(sld, tld, { mode: domain.enomMode });
+    const currentContacts = await registrars.forDomain(domain).getWhoisContacts(sld, tld, { mode: domain.enomMode });
 
     // Helper to normalize contact format for eNom API
     const normalizeContact = (contact) => {
@@ -987,7 +1707,7 @@ router.put('/:id/contacts', authMiddleware, async (req, res) => {
     };
 
     // Update contacts via eNom (use domain's mode)
-    await enom.updateContacts(sld, tld, updatedContacts, { mode: domain.enomMode });
+    await registrars.forDomain(domain).updateContacts(sld, tld, updatedContacts, { mode: domain.enomMode });
 
     res.json({
       success: true,
@@ -1025,7 +1745,7 @@ router.post('/:id/renew', authMiddleware, async (req, res) => {
 
     // Get renewal pricing
     const pricingResult = await pool.query(
-      'SELECT price_renew FROM tld_pricing WHERE tld = $1',
+      'SELECT * FROM tld_pricing WHERE tld = $1',
       [tld]
     );
 
@@ -1033,10 +1753,19 @@ router.post('/:id/renew', authMiddleware, async (req, res) => {
       return res.status(400).json({ error: 'TLD pricing not found' });
     }
 
-    const renewalPrice = parseFloat(pricingResult.rows[0].price_renew) * years;
+    // Past the renewal grace period a domain can only be restored (or not at all)
+    const stage = domainStage(domain, pricingResult.rows[0]);
+    if (stage === 'redemption') {
+      return res.status(400).json({ error: 'This domain is in redemption and can no longer be renewed. Restore it instead.' });
+    }
+    if (stage === 'pending_delete') {
+      return res.status(400).json({ error: 'This domain is pending deletion and can no longer be renewed' });
+    }
+
+    const renewalPrice = quoteRenewal(domain, pricingResult.rows[0], years).price;
 
     // Renew via eNom (use domain's mode)
-    const result = await enom.renewDomain(sld, tld, years, { mode: domain.enomMode });
+    const result = await registrars.forDomain(domain).renewDomain(sld, tld, years, { mode: domain.enomMode });
 
     // Parse new expiration date
     let newExpDate = null;
@@ -1089,7 +1818,7 @@ router.post('/:id/renew', authMiddleware, async (req, res) => {
 // Get eNom account balance (admin only)
 router.get('/admin/balance', authMiddleware, adminMiddleware, async (req, res) => {
   try {
-    const balance = await enom.getBalance();
+    const balance = await registrars.getDefault().getBalance();
     res.json(balance);
   } catch (error) {
     console.error('Error fetching balance:', error);
@@ -1122,7 +1851,7 @@ router.get('/:id/dns', authMiddleware, async (req, res) => {
     const tld = domain.tld;
 
     // Get host records from eNom
-    const records = await enom.getHostRecords(sld, tld, { mode: domain.enom_mode || 'test' });
+    const records = await registrars.forDomain(domain).getHostRecords(sld, tld, { mode: domain.enom_mode || 'test' });
 
     res.json(records);
   } catch (error) {
@@ -1131,6 +1860,174 @@ router.get('/:id/dns', authMiddleware, async (req, res) => {
   }
 });
 
+// Export DNS records as a BIND zone file
+router.get('/:id/dns/export', authMiddleware, async (req, res) => {
+  const pool = req.app.locals.pool;
+  const domainId = parseInt(req.params.id);
+
+  try {
+    const access = await checkDomainAccess(pool, domainId, req.user.id, { allowSuspended: true });
+    if (access.error) {
+      return res.status(access.status).json({ error: access.error });
+    }
+
+    const domain = access.domain;
+    const domainName = `${domain.domain_name}.${domain.tld}`;
+    const current = await registrars.forDomain(domain).getHostRecords(domain.domain_name, domain.tld, { mode: domain.enomMode });
+    if (current.error) {
+      return res.status(502).json({ error: current.error });
+    }
+
+    res.setHeader('Content-Type', 'text/plain; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="${domainName}.zone"`);
+    res.send(exportZoneFile(domainName, current.records));
+  } catch (error) {
+    console.error('Error exporting DNS zone:', error);
+    res.status(500).json({ error: error.message || 'Failed to export DNS zone' });
+  }
+});
+
+// Import a BIND zone file (pasted as "zone" or uploaded as "file")
+// Returns a preview diff unless apply=true; applying replaces all DNS records except URL forwarding
+router.post('/:id/dns/import', authMiddleware, zoneUpload.single('file'), async (req, res) => {
+  const pool = req.app.locals.pool;
+  const domainId = parseInt(req.params.id);
+  const zoneText = req.file ? req.file.buffer.toString('utf8') : req.body.zone;
+  const apply = req.body.apply === true || req.body.apply === 'true';
+
+  if (!zoneText || typeof zoneText !== 'string' || !zoneText.trim()) {
+    return res.status(400).json({ error: 'Zone file contents are required' });
+  }
+
+  try {
+    // Verify ownership and check if suspended
+    const access = await checkDomainAccess(pool, domainId, req.user.id);
+    if (access.error) {
+      return res.status(access.status).json({ error: access.error });
+    }
+
+    const domain = access.domain;
+    const registrar = registrars.forDomain(domain);
+    const current = await registrar.getHostRecords(domain.domain_name, domain.tld, { mode: domain.enomMode });
+    if (current.error) {
+      return res.status(502).json({ error: current.error });
+    }
+
+    const plan = planZoneImport(current.records, zoneText, `${domain.domain_name}.${domain.tld}`);
+    const preview = {
+      diff: plan.diff,
+      recordCount: plan.records.length,
+      unsupported: plan.unsupported,
+      errors: plan.errors
+    };
+
+    if (!apply) {
+      return res.json({ applied: false, ...preview });
+    }
+
+    if (plan.errors.length > 0) {
+      return res.status(400).json({ error: 'Fix the zone file errors before applying', applied: false, ...preview });
+    }
+
+    await snapshotDnsRecords(pool, req, domain, { records: current.records, action: 'import_zone' });
+
+    const result = await registrar.setHostRecords(domain.domain_name, domain.tld, plan.records, { mode: domain.enomMode });
+
+    res.json({ applied: true, ...preview, result });
+  } catch (error) {
+    console.error('Error importing DNS zone:', error);
+    res.status(500).json({ error: error.message || 'Failed to import DNS zone' });
+  }
+});
+
+// List DNS templates that can be applied to a domain
+router.get('/:id/dns/templates', authMiddleware, async (req, res) => {
+  const pool = req.app.locals.pool;
+  const domainId = parseInt(req.params.id);
+
+  try {
+    const access = await checkDomainAccess(pool, domainId, req.user.id, { allowSuspended: true });
+    if (access.error) {
+      return res.status(access.status).json({ error: access.error });
+    }
+
+    const result = await pool.query(
+      `SELECT id, slug, name, description, category, records, variables
+       FROM dns_templates
+       WHERE is_active = true
+       ORDER BY sort_order, name`
+    );
+
+    res.json(result.rows);
+  } catch (error) {
+    console.error('Error listing DNS templates:', error);
+    res.status(500).json({ error: 'Failed to list DNS templates' });
+  }
+});
+
+// Apply a DNS template: { values, mode: 'merge' | 'replace', apply }
+// Returns a preview with conflicts unless apply=true
+router.post('/:id/dns/templates/:templateId', authMiddleware, async (req, res) => {
+  const pool = req.app.locals.pool;
+  const domainId = parseInt(req.params.id);
+  const templateId = parseInt(req.params.templateId);
+  const { values = {}, mode = 'merge', apply = false } = req.body;
+
+  if (!['merge', 'replace'].includes(mode)) {
+    return res.status(400).json({ error: 'mode must be merge or replace' });
+  }
+
+  try {
+    // Verify ownership and check if suspended
+    const access = await checkDomainAccess(pool, domainId, req.user.id);
+    if (access.error) {
+      return res.status(access.status).json({ error: access.error });
+    }
+
+    const templateResult = await pool.query(
+      'SELECT * FROM dns_templates WHERE id = $1 AND is_active = true',
+      [templateId]
+    );
+    if (templateResult.rows.length === 0) {
+      return res.status(404).json({ error: 'DNS template not found' });
+    }
+
+    const domain = access.domain;
+    const registrar = registrars.forDomain(domain);
+    const current = await registrar.getHostRecords(domain.domain_name, domain.tld, { mode: domain.enomMode });
+    if (current.error) {
+      return res.status(502).json({ error: current.error });
+    }
+
+    const rendered = renderTemplate(templateResult.rows[0], domain.domain_name, domain.tld, values);
+    const plan = planTemplateApply(current.records, rendered.records, mode);
+    const preview = {
+      diff: plan.diff,
+      conflicts: plan.conflicts,
+      skipped: rendered.skipped.length,
+      recordCount: plan.records.length,
+      errors: [...rendered.errors, ...plan.errors]
+    };
+
+    if (!apply) {
+      return res.json({ applied: false, ...preview });
+    }
+
+    if (preview.errors.length > 0) {
+      return res.status(400).json({ error: preview.errors[0].message, applied: false, ...preview });
+    }
+
+    await snapshotDnsRecords(pool, req, domain, { records: current.records, action: 'apply_template' });
+
+    const result = await registrar.setHostRecords(domain.domain_name, domain.tld, plan.records, { mode: domain.enomMode });
+
+    res.json({ applied: true, ...preview, result });
+  } catch (error) {
+    console.error('Error applying DNS template:', error);
+    res.status(500).json({ error: error.message || 'Failed to apply DNS template' });
+  }
+});
+
 // Set all DNS host records for a domain (replaces existing)
 router.put('/:id/dns', authMiddleware, async (req, res) => {
   const pool = req.app.locals.pool;
@@ -1141,6 +2038,16 @@ router.put('/:id/dns', authMiddleware, async (req, res) => {
     return res.status(400).json({ error: 'records array is required' });
   }
 
+  // Validate each record for its type
+  const validRecords = [];
+  for (let i = 0; i < records.length; i++) {
+    const { error: validationError, record } = validateHostRecord(records[i]);
+    if (validationError) {
+      return res.status(400).json({ error: `Record ${i + 1}: ${validationError}` });
+    }
+    validRecords.push(record);
+  }
+
   try {
     // Verify ownership and check if suspended
     const access = await checkDomainAccess(pool, domainId, req.user.id);
@@ -1152,8 +2059,11 @@ router.put('/:id/dns', authMiddleware, async (req, res) => {
     const sld = domain.domain_name;
     const tld = domain.tld;
 
+    const registrar = registrars.forDomain(domain);
+    await snapshotDnsRecords(pool, req, domain, { provider: registrar, mode: domain.enomMode, action: 'set_records' });
+
     // Set host records via eNom
-    const result = await enom.setHostRecords(sld, tld, records, { mode: domain.enomMode });
+    const result = await registrar.setHostRecords(sld, tld, validRecords, { mode: domain.enomMode });
 
     res.json(result);
   } catch (error) {
@@ -1166,10 +2076,9 @@ router.put('/:id/dns', authMiddleware, async (req, res) => {
 router.post('/:id/dns', authMiddleware, async (req, res) => {
   const pool = req.app.locals.pool;
   const domainId = parseInt(req.params.id);
-  const { hostName, recordType, address, mxPref } = req.body;
-
-  if (!recordType || !address) {
-    return res.status(400).json({ error: 'recordType and address are required' });
+  const { error: validationError, record } = validateHostRecord(req.body);
+  if (validationError) {
+    return res.status(400).json({ error: validationError });
   }
 
   try {
@@ -1183,13 +2092,11 @@ router.post('/:id/dns', authMiddleware, async (req, res) => {
     const sld = domain.domain_name;
     const tld = domain.tld;
 
+    const registrar = registrars.forDomain(domain);
+    await snapshotDnsRecords(pool, req, domain, { provider: registrar, mode: domain.enomMode, action: 'add_record' });
+
     // Add host record via eNom
-    const result = await enom.addHostRecord(sld, tld, {
-      hostName: hostName || '@',
-      recordType,
-      address,
-      mxPref
-    }, { mode: domain.enomMode });
+    const result = await registrar.addHostRecord(sld, tld, record, { mode: domain.enomMode });
 
     res.json(result);
   } catch (error) {
@@ -1215,8 +2122,11 @@ router.delete('/:id/dns/:recordIndex', authMiddleware, async (req, res) => {
     const sld = domain.domain_name;
     const tld = domain.tld;
 
+    const registrar = registrars.forDomain(domain);
+    await snapshotDnsRecords(pool, req, domain, { provider: registrar, mode: domain.enomMode, action: 'delete_record' });
+
     // Delete host record via eNom
-    const result = await enom.deleteHostRecord(sld, tld, recordIndex, { mode: domain.enomMode });
+    const result = await registrar.deleteHostRecord(sld, tld, recordIndex, { mode: domain.enomMode });
 
     res.json(result);
   } catch (error) {
@@ -1225,32 +2135,332 @@ router.delete('/:id/dns/:recordIndex', authMiddleware, async (req, res) => {
   }
 });
 
+// DNS change history: one snapshot of the previous records per DNS write, newest first
+router.get('/:id/dns/history', authMiddleware, async (req, res) => {
+  const pool = req.app.locals.pool;
+  const domainId = parseInt(req.params.id);
+
+  try {
+    const access = await checkDomainAccess(pool, domainId, req.user.id, { allowSuspended: true });
+    if (access.error) {
+      return res.status(access.status).json({ error: access.error });
+    }
+
+    const snapshots = await listDnsSnapshots(pool, domainId);
+
+    // Staff identities are not shown to customers
+    res.json(snapshots.map(s => ({
+      id: s.id,
+      action: s.action,
+      source: s.impersonated_by ? 'admin' : s.source,
+      record_count: s.record_count,
+      created_at: s.created_at
+    })));
+  } catch (error) {
+    console.error('Error getting DNS history:', error);
+    res.status(500).json({ error: 'Failed to get DNS history' });
+  }
+});
+
+// Get a snapshot's records and what restoring it would change
+router.get('/:id/dns/history/:snapshotId', authMiddleware, async (req, res) => {
+  const pool = req.app.locals.pool;
+  const domainId = parseInt(req.params.id);
+  const snapshotId = parseInt(req.params.snapshotId);
+
+  try {
+    const access = await checkDomainAccess(pool, domainId, req.user.id, { allowSuspended: true });
+    if (access.error) {
+      return res.status(access.status).json({ error: access.error });
+    }
+
+    const domain = access.domain;
+    const plan = await getDnsSnapshotRestorePlan(pool, domain, snapshotId, registrars.forDomain(domain), domain.enomMode);
+    if (!plan) {
+      return res.status(404).json({ error: 'Snapshot not found' });
+    }
+
+    res.json({
+      id: plan.snapshot.id,
+      action: plan.snapshot.action,
+      created_at: plan.snapshot.created_at,
+      records: plan.snapshot.records,
+      diff: plan.diff
+    });
+  } catch (error) {
+    console.error('Error getting DNS snapshot:', error);
+    res.status(500).json({ error: error.message || 'Failed to get DNS snapshot' });
+  }
+});
+
+// Restore a snapshot (the current records are snapshotted first, so a restore can be undone)
+router.post('/:id/dns/history/:snapshotId/restore', authMiddleware, async (req, res) => {
+  const pool = req.app.locals.pool;
+  const domainId = parseInt(req.params.id);
+  const snapshotId = parseInt(req.params.snapshotId);
+
+  try {
+    // Verify ownership and check if suspended
+    const access = await checkDomainAccess(pool, domainId, req.user.id);
+    if (access.error) {
+      return res.status(access.status).json({ error: access.error });
+    }
+
+    const domain = access.domain;
+    const registrar = registrars.forDomain(domain);
+    const plan = await getDnsSnapshotRestorePlan(pool, domain, snapshotId, registrar, domain.enomMode);
+    if (!plan) {
+      return res.status(404).json({ error: 'Snapshot not found' });
+    }
+
+    await snapshotDnsRecords(pool, req, domain, { records: plan.current, action: 'restore' });
+
+    const result = await registrar.setHostRecords(domain.domain_name, domain.tld, plan.snapshot.records, { mode: domain.enomMode });
+
+    res.json({ restored: true, diff: plan.diff, result });
+  } catch (error) {
+    console.error('Error restoring DNS snapshot:', error);
+    res.status(500).json({ error: error.message || 'Failed to restore DNS snapshot' });
+  }
+});
+
 // ============================================
-// EMAIL FORWARDING ROUTES (DEPRECATED)
+// CHILD NAMESERVER (GLUE RECORD) ROUTES
 // ============================================
 
-// Get email forwarding for a domain
-router.get('/:id/email-forwarding', authMiddleware, async (req, res) => {
+// List child nameservers registered under a domain
+router.get('/:id/child-nameservers', authMiddleware, async (req, res) => {
   const pool = req.app.locals.pool;
   const domainId = parseInt(req.params.id);
 
   try {
-    // Verify ownership
-    const domainResult = await pool.query(
-      'SELECT * FROM domains WHERE id = $1 AND user_id = $2',
-      [domainId, req.user.id]
+    const access = await checkDomainAccess(pool, domainId, req.user.id, { allowSuspended: true });
+    if (access.error) {
+      return res.status(access.status).json({ error: access.error });
+    }
+
+    const domain = access.domain;
+    const result = await getDomainChildNameservers(pool, domain, registrars.forDomain(domain), domain.enomMode);
+
+    res.json(result);
+  } catch (error) {
+    console.error('Error getting child nameservers:', error);
+    res.status(500).json({ error: error.message || 'Failed to get child nameservers' });
+  }
+});
+
+// Register a child nameserver with glue addresses
+router.post('/:id/child-nameservers', authMiddleware, async (req, res) => {
+  const pool = req.app.locals.pool;
+  const domainId = parseInt(req.params.id);
+
+  try {
+    // Verify ownership and check if suspended
+    const access = await checkDomainAccess(pool, domainId, req.user.id);
+    if (access.error) {
+      return res.status(access.status).json({ error: access.error });
+    }
+
+    const domain = access.domain;
+    const { error: validationError, host } = validateChildNameserver(req.body, domain.domain_name, domain.tld);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const result = await registrars.forDomain(domain).registerChildNameserver(domain.domain_name, domain.tld, host, { mode: domain.enomMode });
+
+    await pool.query(
+      `INSERT INTO domain_child_nameservers (domain_id, hostname, ipv4, ipv6)
+       VALUES ($1, $2, $3, $4)
+       ON CONFLICT (hostname) DO UPDATE SET
+         domain_id = EXCLUDED.domain_id, ipv4 = EXCLUDED.ipv4, ipv6 = EXCLUDED.ipv6, updated_at = CURRENT_TIMESTAMP`,
+      [domainId, host.hostname, host.ipv4, host.ipv6]
     );
 
-    if (domainResult.rows.length === 0) {
-      return res.status(404).json({ error: 'Domain not found' });
+    res.json(result);
+  } catch (error) {
+    console.error('Error registering child nameserver:', error);
+    res.status(500).json({ error: error.message || 'Failed to register child nameserver' });
+  }
+});
+
+// Update the glue addresses of a child nameserver
+router.put('/:id/child-nameservers/:hostname', authMiddleware, async (req, res) => {
+  const pool = req.app.locals.pool;
+  const domainId = parseInt(req.params.id);
+
+  try {
+    // Verify ownership and check if suspended
+    const access = await checkDomainAccess(pool, domainId, req.user.id);
+    if (access.error) {
+      return res.status(access.status).json({ error: access.error });
     }
 
-    const domain = domainResult.rows[0];
-    const sld = domain.domain_name;
-    const tld = domain.tld;
+    const domain = access.domain;
+    const { error: validationError, host } = validateChildNameserver(
+      { ...req.body, hostname: req.params.hostname }, domain.domain_name, domain.tld
+    );
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const result = await registrars.forDomain(domain).updateChildNameserver(domain.domain_name, domain.tld, host, { mode: domain.enomMode });
+
+    await pool.query(
+      `INSERT INTO domain_child_nameservers (domain_id, hostname, ipv4, ipv6)
+       VALUES ($1, $2, $3, $4)
+       ON CONFLICT (hostname) DO UPDATE SET
+         ipv4 = EXCLUDED.ipv4, ipv6 = EXCLUDED.ipv6, updated_at = CURRENT_TIMESTAMP`,
+      [domainId, host.hostname, host.ipv4, host.ipv6]
+    );
+
+    res.json(result);
+  } catch (error) {
+    console.error('Error updating child nameserver:', error);
+    res.status(500).json({ error: error.message || 'Failed to update child nameserver' });
+  }
+});
+
+// Delete a child nameserver
+router.delete('/:id/child-nameservers/:hostname', authMiddleware, async (req, res) => {
+  const pool = req.app.locals.pool;
+  const domainId = parseInt(req.params.id);
+  const hostname = normalizeHostname(req.params.hostname);
+
+  try {
+    // Verify ownership and check if suspended
+    const access = await checkDomainAccess(pool, domainId, req.user.id);
+    if (access.error) {
+      return res.status(access.status).json({ error: access.error });
+    }
+
+    const domain = access.domain;
+    const tracked = await pool.query(
+      'SELECT id FROM domain_child_nameservers WHERE domain_id = $1 AND hostname = $2',
+      [domainId, hostname]
+    );
+    if (tracked.rows.length === 0) {
+      return res.status(404).json({ error: 'Child nameserver not found' });
+    }
+
+    if (getDelegatedNameservers(domain).includes(hostname)) {
+      return res.status(400).json({ error: `${hostname} is still used as a nameserver for this domain. Change the nameservers first.` });
+    }
+
+    const result = await registrars.forDomain(domain).deleteChildNameserver(domain.domain_name, domain.tld, hostname, { mode: domain.enomMode });
+
+    await pool.query('DELETE FROM domain_child_nameservers WHERE id = $1', [tracked.rows[0].id]);
+
+    res.json(result);
+  } catch (error) {
+    console.error('Error deleting child nameserver:', error);
+    res.status(500).json({ error: error.message || 'Failed to delete child nameserver' });
+  }
+});
+
+// ============================================
+// DNSSEC ROUTES
+// ============================================
+
+// Get DS records for a domain
+router.get('/:id/dnssec', authMiddleware, async (req, res) => {
+  const pool = req.app.locals.pool;
+  const domainId = parseInt(req.params.id);
+
+  try {
+    const access = await checkDomainAccess(pool, domainId, req.user.id, { allowSuspended: true });
+    if (access.error) {
+      return res.status(access.status).json({ error: access.error });
+    }
+
+    const domain = access.domain;
+    const result = await registrars.forDomain(domain).getDnssecRecords(domain.domain_name, domain.tld, { mode: domain.enomMode });
+
+    res.json(result);
+  } catch (error) {
+    console.error('Error getting DNSSEC records:', error);
+    res.status(500).json({ error: error.message || 'Failed to get DNSSEC records' });
+  }
+});
+
+// Add a DS record
+router.post('/:id/dnssec', authMiddleware, async (req, res) => {
+  const pool = req.app.locals.pool;
+  const domainId = parseInt(req.params.id);
+
+  const { error: validationError, record } = validateDsRecord(req.body);
+  if (validationError) {
+    return res.status(400).json({ error: validationError });
+  }
+
+  try {
+    // Verify ownership and check if suspended
+    const access = await checkDomainAccess(pool, domainId, req.user.id);
+    if (access.error) {
+      return res.status(access.status).json({ error: access.error });
+    }
+
+    const domain = access.domain;
+    const result = await registrars.forDomain(domain).addDnssecRecord(domain.domain_name, domain.tld, record, { mode: domain.enomMode });
+
+    res.json(result);
+  } catch (error) {
+    console.error('Error adding DNSSEC record:', error);
+    res.status(500).json({ error: error.message || 'Failed to add DNSSEC record' });
+  }
+});
+
+// Remove a DS record, identified by its key tag, algorithm, digest type and digest
+router.delete('/:id/dnssec/:keyTag/:algorithm/:digestType/:digest', authMiddleware, async (req, res) => {
+  const pool = req.app.locals.pool;
+  const domainId = parseInt(req.params.id);
+
+  const { error: validationError, record } = parseDsRecordKey(req.params);
+  if (validationError) {
+    return res.status(400).json({ error: validationError });
+  }
+
+  try {
+    // Verify ownership and check if suspended
+    const access = await checkDomainAccess(pool, domainId, req.user.id);
+    if (access.error) {
+      return res.status(access.status).json({ error: access.error });
+    }
+
+    const domain = access.domain;
+    const registrar = registrars.forDomain(domain);
+
+    const existing = await registrar.getDnssecRecords(domain.domain_name, domain.tld, { mode: domain.enomMode });
+    if (!(existing.records || []).some(published => sameDsRecord(published, record))) {
+      return res.status(404).json({ error: 'DS record not found' });
+    }
 
-    // Get email forwards from eNom
-    const forwards = await enom.getEmailForwarding(sld, tld, { mode: domain.enom_mode || 'test' });
+    const result = await registrar.deleteDnssecRecord(domain.domain_name, domain.tld, record, { mode: domain.enomMode });
+
+    res.json(result);
+  } catch (error) {
+    console.error('Error deleting DNSSEC record:', error);
+    res.status(500).json({ error: error.message || 'Failed to delete DNSSEC record' });
+  }
+});
+
+// ============================================
+// EMAIL FORWARDING ROUTES
+// ============================================
+
+// Get email forwarding for a domain
+router.get('/:id/email-forwarding', authMiddleware, async (req, res) => {
+  const pool = req.app.locals.pool;
+  const domainId = parseInt(req.params.id);
+
+  try {
+    const access = await checkDomainAccess(pool, domainId, req.user.id, { allowSuspended: true });
+    if (access.error) {
+      return res.status(access.status).json({ error: access.error });
+    }
+
+    const domain = access.domain;
+    const forwards = await registrars.forDomain(domain).getEmailForwarding(domain.domain_name, domain.tld, { mode: domain.enomMode });
 
     res.json(forwards);
   } catch (error) {
@@ -1260,14 +2470,10 @@ router.get('/:id/email-forwarding', authMiddleware, async (req, res) => {
 });
 
 // Add email forwarding
+// Body: { emailUser, forwardTo } - emailUser "*" is the catch-all
 router.post('/:id/email-forwarding', authMiddleware, async (req, res) => {
   const pool = req.app.locals.pool;
   const domainId = parseInt(req.params.id);
-  const { emailUser, forwardTo } = req.body;
-
-  if (!emailUser || !forwardTo) {
-    return res.status(400).json({ error: 'emailUser and forwardTo are required' });
-  }
 
   try {
     // Verify ownership and check if suspended
@@ -1280,8 +2486,19 @@ router.post('/:id/email-forwarding', authMiddleware, async (req, res) => {
     const sld = domain.domain_name;
     const tld = domain.tld;
 
-    // Set email forward via eNom
-    const result = await enom.setEmailForward(sld, tld, emailUser, forwardTo, { mode: domain.enomMode });
+    const { error: validationError, forward } = validateEmailForward(req.body, `${sld}.${tld}`);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    // SetEmailForward overwrites an existing alias, so adding one that exists is refused
+    const registrar = registrars.forDomain(domain);
+    const current = await registrar.getEmailForwarding(sld, tld, { mode: domain.enomMode });
+    if (current.forwards.some(f => f.emailUser.toLowerCase() === forward.emailUser)) {
+      return res.status(409).json({ error: `A forward for ${forward.emailUser}@${sld}.${tld} already exists` });
+    }
+
+    const result = await registrar.setEmailForward(sld, tld, forward.emailUser, forward.forwardTo, { mode: domain.enomMode });
 
     res.json(result);
   } catch (error) {
@@ -1290,11 +2507,65 @@ router.post('/:id/email-forwarding', authMiddleware, async (req, res) => {
   }
 });
 
+// Update an email forward (destination and/or alias)
+// Body: { emailUser, forwardTo }
+router.put('/:id/email-forwarding/:emailUser', authMiddleware, async (req, res) => {
+  const pool = req.app.locals.pool;
+  const domainId = parseInt(req.params.id);
+  const originalUser = req.params.emailUser.toLowerCase();
+
+  try {
+    // Verify ownership and check if suspended
+    const access = await checkDomainAccess(pool, domainId, req.user.id);
+    if (access.error) {
+      return res.status(access.status).json({ error: access.error });
+    }
+
+    const domain = access.domain;
+    const sld = domain.domain_name;
+    const tld = domain.tld;
+
+    const { error: validationError, forward } = validateEmailForward(
+      { emailUser: req.body.emailUser || originalUser, forwardTo: req.body.forwardTo },
+      `${sld}.${tld}`
+    );
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const registrar = registrars.forDomain(domain);
+    const current = await registrar.getEmailForwarding(sld, tld, { mode: domain.enomMode });
+    const existingUsers = current.forwards.map(f => f.emailUser.toLowerCase());
+    if (!existingUsers.includes(originalUser)) {
+      return res.status(404).json({ error: 'Email forward not found' });
+    }
+    const renamed = forward.emailUser !== originalUser;
+    if (renamed && existingUsers.includes(forward.emailUser)) {
+      return res.status(409).json({ error: `A forward for ${forward.emailUser}@${sld}.${tld} already exists` });
+    }
+
+    // Add the new alias before removing the old one so mail is never dropped in between
+    const result = await registrar.setEmailForward(sld, tld, forward.emailUser, forward.forwardTo, { mode: domain.enomMode });
+    if (renamed) {
+      await registrar.deleteEmailForward(sld, tld, originalUser, { mode: domain.enomMode });
+    }
+
+    res.json(result);
+  } catch (error) {
+    console.error('Error updating email forwarding:', error);
+    res.status(500).json({ error: error.message || 'Failed to update email forwarding' });
+  }
+});
+
 // Delete email forwarding
 router.delete('/:id/email-forwarding/:emailUser', authMiddleware, async (req, res) => {
   const pool = req.app.locals.pool;
   const domainId = parseInt(req.params.id);
-  const { emailUser } = req.params;
+
+  const { error: validationError, emailUser } = validateEmailUser(req.params.emailUser);
+  if (validationError) {
+    return res.status(400).json({ error: validationError });
+  }
 
   try {
     // Verify ownership and check if suspended
@@ -1308,7 +2579,7 @@ router.delete('/:id/email-forwarding/:emailUser', authMiddleware, async (req, re
     const tld = domain.tld;
 
     // Delete email forward via eNom
-    const result = await enom.deleteEmailForward(sld, tld, emailUser, { mode: domain.enomMode });
+    const result = await registrars.forDomain(domain).deleteEmailForward(sld, tld, emailUser, { mode: domain.enomMode });
 
     res.json(result);
   } catch (error) {
@@ -1342,7 +2613,7 @@ router.get('/:id/url-forwarding', authMiddleware, async (req, res) => {
     const tld = domain.tld;
 
     // Get URL forwarding from eNom
-    const forwarding = await enom.getUrlForwarding(sld, tld, { mode: domain.enom_mode || 'test' });
+    const forwarding = await registrars.forDomain(domain).getUrlForwarding(sld, tld, { mode: domain.enom_mode || 'test' });
 
     res.json(forwarding);
   } catch (error) {
@@ -1372,9 +2643,12 @@ router.put('/:id/url-forwarding', authMiddleware, async (req, res) => {
     const sld = domain.domain_name;
     const tld = domain.tld;
 
+    const registrar = registrars.forDomain(domain);
+    await snapshotDnsRecords(pool, req, domain, { provider: registrar, mode: domain.enomMode, action: 'set_url_forwarding' });
+
     // Set URL forwarding via eNom
     console.log(`[URL Forward] Setting forwarding for ${sld}.${tld}: type=${forwardType}, url=${forwardUrl}, cloak=${cloak}`);
-    const result = await enom.setUrlForwarding(sld, tld, {
+    const result = await registrar.setUrlForwarding(sld, tld, {
       forwardUrl,
       forwardType: forwardType || 'temporary',
       cloak: cloak || false,
@@ -1407,8 +2681,11 @@ router.delete('/:id/url-forwarding', authMiddleware, async (req, res) => {
     const sld = domain.domain_name;
     const tld = domain.tld;
 
+    const registrar = registrars.forDomain(domain);
+    await snapshotDnsRecords(pool, req, domain, { provider: registrar, mode: domain.enomMode, action: 'disable_url_forwarding' });
+
     // Disable URL forwarding via eNom
-    const result = await enom.disableUrlForwarding(sld, tld, { mode: domain.enomMode });
+    const result = await registrar.disableUrlForwarding(sld, tld, { mode: domain.enomMode });
 
     res.json(result);
   } catch (error) {
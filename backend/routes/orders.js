@@ -2,7 +2,9 @@ const express = require('express');
 const crypto = require('crypto');
 const router = express.Router();
 const { authMiddleware, parseIntParam } = require('../middleware/auth');
-const enomService = require('../services/enom');
+const registrars = require('../services/registrars');
+const { linkTransferOrderItem, getTransferAuthCode, markTransferSubmitted, markTransferFailed } = require('../utils/transferIn');
+const { premiumRegistryCost, verifyCartPricing, describeCartChanges } = require('../utils/premiumPricing');
 
 // Generate order number
 function generateOrderNumber() {
@@ -106,6 +108,15 @@ router.post('/checkout', authMiddleware, async (req, res) => {
       });
     }
 
+    // Paid orders were verified when the payment intent was created; unpaid ones are verified now
+    if (!payment_intent_id) {
+      const verification = await verifyCartPricing(pool, registrars.getDefault(), req.user.id);
+      const cartChanges = describeCartChanges(verification);
+      if (cartChanges) {
+        return res.status(409).json({ error: cartChanges, ...verification });
+      }
+    }
+
     // Get cart items
     const cartResult = await pool.query(
       `SELECT * FROM cart_items
@@ -178,12 +189,15 @@ router.post('/checkout', authMiddleware, async (req, res) => {
       // Calculate unit price correctly: for multi-year purchases, divide by years; otherwise use total
       const itemYears = parseInt(item.years) || 1;
       const unitPrice = itemYears > 1 ? parseFloat(item.price) / itemYears : parseFloat(item.price);
+      const premium = item.item_type === 'register' ? item.options?.premium : null;
 
-      await pool.query(
+      const orderItemResult = await pool.query(
         `INSERT INTO order_items (
           order_id, item_type, domain_name, tld, years,
-          unit_price, quantity, total_price, status
-        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)`,
+          unit_price, quantity, total_price, status,
+          premium_price, premium_renew_price, premium_renew_cost
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
+        RETURNING id`,
         [
           order.id,
           item.item_type,
@@ -193,9 +207,17 @@ router.post('/checkout', authMiddleware, async (req, res) => {
           unitPrice,
           itemYears,
           parseFloat(item.price),
-          'pending'
+          'pending',
+          premium ? premiumRegistryCost(premium, itemYears) : null,
+          premium ? premium.renewPrice : null,
+          premium ? premium.registryRenewPrice : null
         ]
       );
+
+      // The auth code lives in the cart item's options; keep it with the transfer record
+      if (item.item_type === 'transfer') {
+        await linkTransferOrderItem(pool, req.user.id, orderItemResult.rows[0].id, item);
+      }
     }
 
     // Clear cart
@@ -273,33 +295,39 @@ router.post('/:orderId/items/:itemId/retry', authMiddleware, async (req, res) =>
     let result;
 
     try {
-      // Call appropriate eNom API based on item type
+      // Call the appropriate registrar API based on item type
       switch (item.item_type) {
         case 'register':
           // Get registrant contact from the order
           const orderData = orderResult.rows[0];
           const registrantContact = orderData.registrant_contact || {};
 
-          result = await enomService.registerDomain(
-            item.domain_name,
-            item.tld,
-            item.years || 1,
-            registrantContact
-          );
+          result = await registrars.getDefault().registerDomain({
+            sld: item.domain_name,
+            tld: item.tld,
+            years: item.years || 1,
+            registrant: {
+              firstName: registrantContact.first_name,
+              lastName: registrantContact.last_name,
+              organization: registrantContact.organization || '',
+              email: registrantContact.email,
+              phone: registrantContact.phone,
+              address1: registrantContact.address_line1,
+              address2: registrantContact.address_line2 || '',
+              city: registrantContact.city,
+              state: registrantContact.state,
+              postalCode: registrantContact.postal_code,
+              country: registrantContact.country || 'US'
+            },
+            premiumPrice: item.premium_price ? parseFloat(item.premium_price) : null,
+            orderId: item.order_id
+          });
           break;
 
         case 'transfer':
-          // Transfers need EPP/auth code - check if stored or require user input
-          // Parse options if it's a JSON string
-          let transferOptions = item.options;
-          if (typeof transferOptions === 'string') {
-            try {
-              transferOptions = JSON.parse(transferOptions);
-            } catch (e) {
-              transferOptions = {};
-            }
-          }
-          if (!transferOptions?.auth_code) {
+          // Transfers need the EPP/auth code recorded with the transfer at checkout
+          const authCode = await getTransferAuthCode(pool, item.id);
+          if (!authCode) {
             await pool.query(
               `UPDATE order_items SET status = 'failed', error = 'Authorization code required for transfer retry', updated_at = CURRENT_TIMESTAMP
                WHERE id = $1`,
@@ -307,21 +335,35 @@ router.post('/:orderId/items/:itemId/retry', authMiddleware, async (req, res) =>
             );
             return res.status(400).json({ error: 'Authorization code required. Please contact support.' });
           }
-          result = await enomService.initiateTransfer(
-            item.domain_name,
-            item.tld,
-            transferOptions.auth_code
-          );
+          result = await registrars.getDefault().initiateTransfer({
+            sld: item.domain_name,
+            tld: item.tld,
+            authCode,
+            orderId: item.order_id
+          });
           break;
 
         case 'renew':
-          result = await enomService.renewDomain(
+          const domainResult = await pool.query(
+            'SELECT registrar FROM domains WHERE domain_name = $1 AND tld = $2',
+            [item.domain_name, item.tld]
+          );
+          result = await registrars.forDomain(domainResult.rows[0]).renewDomain(
             item.domain_name,
             item.tld,
             item.years || 1
           );
           break;
 
+        case 'restore': {
+          const restoreDomainResult = await pool.query(
+            'SELECT registrar FROM domains WHERE domain_name = $1 AND tld = $2',
+            [item.domain_name, item.tld]
+          );
+          result = await registrars.forDomain(restoreDomainResult.rows[0]).restoreDomain(item.domain_name, item.tld);
+          break;
+        }
+
         default:
           await pool.query(
             `UPDATE order_items SET status = 'failed', error = 'Unknown item type', updated_at = CURRENT_TIMESTAMP
@@ -341,6 +383,10 @@ router.post('/:orderId/items/:itemId/retry', authMiddleware, async (req, res) =>
         [result?.orderId || null, parseInt(itemId)]
       );
 
+      if (item.item_type === 'transfer') {
+        await markTransferSubmitted(pool, item.id, result?.transferOrderId);
+      }
+
       res.json({
         message: 'Retry successful',
         domain: fullDomain,
@@ -357,6 +403,9 @@ router.post('/:orderId/items/:itemId/retry', authMiddleware, async (req, res) =>
          WHERE id = $2`,
         [enomError.message || 'eNom API error', parseInt(itemId)]
       );
+      if (item.item_type === 'transfer') {
+        await markTransferFailed(pool, item.id, enomError.message || 'eNom API error');
+      }
       return res.status(500).json({
         error: 'Retry failed',
         details: enomError.message
@@ -1,10 +1,15 @@
 const express = require('express');
 const router = express.Router();
 const { authMiddleware, ROLE_LEVELS } = require('../middleware/auth');
-const enom = require('../services/enom');
+const registrars = require('../services/registrars');
 const stripeService = require('../services/stripe');
 const emailService = require('../services/email');
 const { PRICING } = require('../config/constants');
+const { getTransferAuthCode, markTransferSubmitted, markTransferFailed } = require('../utils/transferIn');
+const { verifyCartPricing, describeCartChanges } = require('../utils/premiumPricing');
+const { loadLifecyclePricing, restoreCost } = require('../utils/domainLifecycle');
+const { getPayLinkDunning, createPayLinkIntent, completePayLinkPayment } = require('../utils/renewalDunning');
+const { getRenewalAuthentication, completeRenewalAuthentication } = require('../utils/renewalAuthentication');
 
 // Get Stripe config
 router.get('/config', (req, res) => {
@@ -27,6 +32,13 @@ router.post('/create-payment-intent', authMiddleware, async (req, res) => {
   const { billing_address } = req.body;
 
   try {
+    // Re-verify registration prices (premium status and registry price) before charging
+    const verification = await verifyCartPricing(pool, registrars.getDefault(), req.user.id);
+    const cartChanges = describeCartChanges(verification);
+    if (cartChanges) {
+      return res.status(409).json({ error: cartChanges, ...verification });
+    }
+
     // Get cart total
     const cartResult = await pool.query(
       `SELECT SUM(price) as total FROM cart_items
@@ -127,7 +139,7 @@ router.post('/privacy-purchase', authMiddleware, async (req, res) => {
     }
 
     // Check if privacy is already purchased
-    const privacyStatus = await enom.getPrivacyStatus(sld, tld);
+    const privacyStatus = await registrars.forDomain(domain).getPrivacyStatus(sld, tld);
     if (!privacyStatus.willCharge) {
       return res.status(400).json({
         error: 'Privacy is already purchased for this domain',
@@ -196,6 +208,151 @@ router.post('/privacy-purchase', authMiddleware, async (req, res) => {
   }
 });
 
+// Pay link from a failed auto-renewal email (no login - the token is the credential)
+router.get('/renewal-payment/:token', async (req, res) => {
+  if (!stripeService.isConfigured()) {
+    return res.status(503).json({ error: 'Payment processing not configured' });
+  }
+  const pool = req.app.locals.pool;
+
+  try {
+    const { dunning, error, status } = await getPayLinkDunning(pool, req.params.token);
+    if (error) {
+      return res.status(status).json({ error });
+    }
+
+    const paymentIntent = await createPayLinkIntent(pool, dunning);
+
+    res.json({
+      clientSecret: paymentIntent.client_secret,
+      paymentIntentId: paymentIntent.id,
+      domainName: `${dunning.domain_name}.${dunning.tld}`,
+      amount: parseFloat(dunning.amount),
+      years: dunning.years,
+      expirationDate: dunning.current_expiration_date,
+      attempts: dunning.attempts,
+      autoRenewDisabled: dunning.status === 'exhausted'
+    });
+  } catch (error) {
+    console.error('Renewal pay link error:', error);
+    res.status(500).json({ error: 'Failed to initialize payment. Please try again.' });
+  }
+});
+
+// Finish a pay-link renewal once the card is confirmed (the webhook does the same if the page is closed)
+router.post('/renewal-payment/:token/confirm', async (req, res) => {
+  if (!stripeService.isConfigured()) {
+    return res.status(503).json({ error: 'Payment processing not configured' });
+  }
+  const pool = req.app.locals.pool;
+  const { payment_intent_id } = req.body;
+
+  if (!payment_intent_id) {
+    return res.status(400).json({ error: 'Payment intent ID is required' });
+  }
+
+  try {
+    const { dunning, error, status } = await getPayLinkDunning(pool, req.params.token);
+    if (error && status !== 410) {
+      return res.status(status).json({ error });
+    }
+
+    const paymentIntent = await stripeService.retrievePaymentIntent(payment_intent_id);
+    const dunningId = dunning ? dunning.id : (await pool.query(
+      'SELECT id FROM renewal_dunning WHERE pay_token = $1', [req.params.token]
+    )).rows[0]?.id;
+
+    if (paymentIntent.metadata?.type !== 'renewal_pay_link' || parseInt(paymentIntent.metadata.dunningId) !== dunningId) {
+      return res.status(400).json({ error: 'Payment does not match this renewal' });
+    }
+    if (paymentIntent.status !== 'succeeded') {
+      return res.status(400).json({ error: 'Payment has not completed', status: paymentIntent.status });
+    }
+
+    await savePaymentMethodIfNew(pool, paymentIntent, parseInt(paymentIntent.metadata.userId));
+    const result = await completePayLinkPayment(pool, paymentIntent);
+
+    if (!result.success) {
+      return res.status(result.charged ? 202 : 409).json(result);
+    }
+    res.json(result);
+  } catch (error) {
+    console.error('Renewal pay link confirm error:', error);
+    res.status(500).json({ error: 'Failed to complete renewal' });
+  }
+});
+
+// Auto-renewal charge the bank wants authenticated (link from the email, no login)
+// Returns the existing PaymentIntent so the page can confirm it with Stripe.js
+router.get('/renewal-authentication/:token', async (req, res) => {
+  if (!stripeService.isConfigured()) {
+    return res.status(503).json({ error: 'Payment processing not configured' });
+  }
+  const pool = req.app.locals.pool;
+
+  try {
+    const { authentication, error, status } = await getRenewalAuthentication(pool, req.params.token);
+    if (error) {
+      return res.status(status).json({ error });
+    }
+
+    const paymentIntent = await stripeService.retrievePaymentIntent(authentication.stripe_payment_intent_id);
+
+    // Authenticated already (the webhook may not have arrived yet)
+    if (paymentIntent.status === 'succeeded') {
+      const result = await completeRenewalAuthentication(pool, paymentIntent);
+      return res.json({ completed: true, ...result });
+    }
+
+    const failedMethod = paymentIntent.last_payment_error?.payment_method;
+    res.json({
+      clientSecret: paymentIntent.client_secret,
+      paymentIntentId: paymentIntent.id,
+      paymentMethodId: failedMethod?.id || paymentIntent.payment_method,
+      card: failedMethod?.card ? { brand: failedMethod.card.brand, last4: failedMethod.card.last4 } : null,
+      domainName: `${authentication.domain_name}.${authentication.tld}`,
+      amount: parseFloat(authentication.amount),
+      years: authentication.years,
+      expirationDate: authentication.current_expiration_date
+    });
+  } catch (error) {
+    console.error('Renewal authentication error:', error);
+    res.status(500).json({ error: 'Failed to load payment. Please try again.' });
+  }
+});
+
+// Renew the domain once the customer has authenticated the payment
+router.post('/renewal-authentication/:token/confirm', async (req, res) => {
+  if (!stripeService.isConfigured()) {
+    return res.status(503).json({ error: 'Payment processing not configured' });
+  }
+  const pool = req.app.locals.pool;
+
+  try {
+    const result = await pool.query(
+      'SELECT stripe_payment_intent_id FROM renewal_authentications WHERE token = $1',
+      [req.params.token]
+    );
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Invalid payment link' });
+    }
+
+    const paymentIntent = await stripeService.retrievePaymentIntent(result.rows[0].stripe_payment_intent_id);
+    if (paymentIntent.status !== 'succeeded') {
+      return res.status(400).json({ error: 'Payment has not completed', status: paymentIntent.status });
+    }
+
+    const completion = await completeRenewalAuthentication(pool, paymentIntent);
+    if (!completion.success) {
+      return res.status(completion.charged ? 202 : 409).json(completion);
+    }
+    res.json(completion);
+  } catch (error) {
+    console.error('Renewal authentication confirm error:', error);
+    res.status(500).json({ error: 'Failed to complete renewal' });
+  }
+});
+
 // Stripe webhook handler
 router.post('/webhook', async (req, res) => {
   if (!stripeService.isConfigured()) {
@@ -297,6 +454,18 @@ async function savePaymentMethodIfNew(pool, paymentIntent, userId) {
   }
 }
 
+/**
+ * Resolve the registrar provider that manages an existing domain
+ * Falls back to the default provider when the domain is not in our database
+ */
+async function getDomainRegistrar(pool, sld, tld) {
+  const result = await pool.query(
+    'SELECT registrar FROM domains WHERE domain_name = $1 AND tld = $2',
+    [sld, tld]
+  );
+  return registrars.forDomain(result.rows[0]);
+}
+
 /**
  * Handle successful payment - process domain registrations/transfers/renewals
  */
@@ -314,6 +483,18 @@ async function handlePaymentSuccess(pool, paymentIntent) {
     return;
   }
 
+  // Renewal paid from a dunning pay link
+  if (metadata?.type === 'renewal_pay_link') {
+    await completePayLinkPayment(pool, paymentIntent);
+    return;
+  }
+
+  // Off-session auto-renewal charges; only ones the customer had to authenticate need work here
+  if (metadata?.type === 'auto_renewal') {
+    await completeRenewalAuthentication(pool, paymentIntent);
+    return;
+  }
+
   // Update order payment status
   const orderResult = await pool.query(
     `UPDATE orders
@@ -367,6 +548,9 @@ async function handlePaymentSuccess(pool, paymentIntent) {
     country: storedContact.country || 'US'
   };
 
+  // New registrations and inbound transfers go to the default registrar
+  const registrar = registrars.getDefault();
+
   // Process each order item
   let allSucceeded = true;
   const results = [];
@@ -395,15 +579,17 @@ async function handlePaymentSuccess(pool, paymentIntent) {
 
         // Register new domain with smart refill
         console.log(`Registering domain: ${item.domain_name}.${item.tld} (cost: $${item.total_price})`);
-        const smartResult = await enom.smartPurchase({
+        const smartResult = await registrar.smartPurchase({
           sld: item.domain_name,
           tld: item.tld,
           years: item.years || 1,
           nameservers: ['dns1.name-services.com', 'dns2.name-services.com', 'dns3.name-services.com', 'dns4.name-services.com'],
           registrant: registrantContact,
           privacy: false,
-          cost: parseFloat(item.total_price),
-          extendedAttributes: domainExtendedAttrs
+          cost: item.premium_price ? parseFloat(item.premium_price) : parseFloat(item.total_price),
+          premiumPrice: item.premium_price ? parseFloat(item.premium_price) : null,
+          extendedAttributes: domainExtendedAttrs,
+          orderId: order.id
         });
         result = smartResult.purchaseResult || smartResult;
 
@@ -429,8 +615,9 @@ async function handlePaymentSuccess(pool, paymentIntent) {
           await pool.query(
             `INSERT INTO domains (
               user_id, domain_name, tld, status, expiration_date,
-              auto_renew, auto_renew_payment_method_id, enom_order_id, enom_mode, created_at
-            ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, CURRENT_TIMESTAMP)
+              auto_renew, auto_renew_payment_method_id, enom_order_id, enom_mode, registrar,
+              is_premium, premium_renew_price, premium_renew_cost, created_at
+            ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, CURRENT_TIMESTAMP)
             ON CONFLICT (domain_name, tld) DO UPDATE SET
               user_id = $1,
               status = $4,
@@ -439,6 +626,10 @@ async function handlePaymentSuccess(pool, paymentIntent) {
               auto_renew_payment_method_id = $7,
               enom_order_id = $8,
               enom_mode = $9,
+              registrar = $10,
+              is_premium = $11,
+              premium_renew_price = $12,
+              premium_renew_cost = $13,
               updated_at = CURRENT_TIMESTAMP`,
             [
               order.user_id,
@@ -449,7 +640,11 @@ async function handlePaymentSuccess(pool, paymentIntent) {
               autoRenew,
               paymentMethodId,
               result.orderId,
-              enom.getMode().mode
+              registrar.getMode().mode,
+              registrar.name,
+              !!item.premium_price,
+              item.premium_renew_price,
+              item.premium_renew_cost
             ]
           );
         }
@@ -457,13 +652,14 @@ async function handlePaymentSuccess(pool, paymentIntent) {
       } else if (item.item_type === 'transfer') {
         // Initiate domain transfer with smart refill
         console.log(`Initiating transfer: ${item.domain_name}.${item.tld} (cost: $${item.total_price})`);
-        const smartResult = await enom.smartTransfer({
+        const smartResult = await registrar.smartTransfer({
           sld: item.domain_name,
           tld: item.tld,
-          authCode: item.auth_code || '',
+          authCode: await getTransferAuthCode(pool, item.id),
           registrant: registrantContact,
           years: 1,
-          cost: parseFloat(item.total_price)
+          cost: parseFloat(item.total_price),
+          orderId: order.id
         });
         result = smartResult.transferResult || smartResult;
 
@@ -488,8 +684,8 @@ async function handlePaymentSuccess(pool, paymentIntent) {
 
           await pool.query(
             `INSERT INTO domains (
-              user_id, domain_name, tld, status, auto_renew, auto_renew_payment_method_id, enom_order_id, enom_mode, created_at
-            ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, CURRENT_TIMESTAMP)
+              user_id, domain_name, tld, status, auto_renew, auto_renew_payment_method_id, enom_order_id, enom_mode, registrar, created_at
+            ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, CURRENT_TIMESTAMP)
             ON CONFLICT (domain_name, tld) DO UPDATE SET
               user_id = $1,
               status = $4,
@@ -497,6 +693,7 @@ async function handlePaymentSuccess(pool, paymentIntent) {
               auto_renew_payment_method_id = $6,
               enom_order_id = $7,
               enom_mode = $8,
+              registrar = $9,
               updated_at = CURRENT_TIMESTAMP`,
             [
               order.user_id,
@@ -506,19 +703,24 @@ async function handlePaymentSuccess(pool, paymentIntent) {
               autoRenew,
               paymentMethodId,
               result.transferOrderId,
-              enom.getMode().mode
+              registrar.getMode().mode,
+              registrar.name
             ]
           );
+
+          await markTransferSubmitted(pool, item.id, result.transferOrderId);
         }
 
       } else if (item.item_type === 'renew') {
         // Renew existing domain with smart refill
         console.log(`Renewing domain: ${item.domain_name}.${item.tld} (cost: $${item.total_price})`);
-        const smartResult = await enom.smartRenewal(
+        const renewRegistrar = await getDomainRegistrar(pool, item.domain_name, item.tld);
+        const smartResult = await renewRegistrar.smartRenewal(
           item.domain_name,
           item.tld,
           item.years || 1,
-          parseFloat(item.total_price)
+          parseFloat(item.total_price),
+          { orderId: order.id }
         );
         result = smartResult.renewResult || smartResult;
 
@@ -541,7 +743,7 @@ async function handlePaymentSuccess(pool, paymentIntent) {
           if (!newExpiration) {
             console.log(`Expiration not in renewal response, fetching from eNom...`);
             try {
-              const domainInfo = await enom.getDomainInfo(item.domain_name, item.tld);
+              const domainInfo = await renewRegistrar.getDomainInfo(item.domain_name, item.tld);
               newExpiration = domainInfo.expirationDate;
             } catch (e) {
               console.error('Failed to fetch expiration after renewal:', e.message);
@@ -575,6 +777,46 @@ async function handlePaymentSuccess(pool, paymentIntent) {
             );
           }
         }
+      } else if (item.item_type === 'restore') {
+        // Restore a domain out of redemption - the registrar charges the redemption fee plus a 1-year renewal
+        console.log(`Restoring domain: ${item.domain_name}.${item.tld} (price: $${item.total_price})`);
+        const domainResult = await pool.query(
+          'SELECT * FROM domains WHERE domain_name = $1 AND tld = $2',
+          [item.domain_name, item.tld]
+        );
+        const lifecyclePricing = await loadLifecyclePricing(pool, [item.tld]);
+        const restoreRegistrar = registrars.forDomain(domainResult.rows[0]);
+        const smartResult = await restoreRegistrar.smartRestore(
+          item.domain_name,
+          item.tld,
+          restoreCost(domainResult.rows[0] || {}, lifecyclePricing.get(item.tld) || {}),
+          { orderId: order.id }
+        );
+        result = smartResult.restoreResult || smartResult;
+
+        if (smartResult.refillResult) {
+          console.log(`Auto-refilled $${smartResult.refillResult.requestedAmount} for domain restore`);
+          await pool.query(
+            `INSERT INTO balance_transactions
+             (transaction_type, amount, fee_amount, net_amount, domain_name, order_id, auto_refill, notes)
+             VALUES ($1, $2, $3, $4, $5, $6, $7, $8)`,
+            ['refill', smartResult.refillResult.requestedAmount, smartResult.refillResult.feeAmount,
+             smartResult.refillResult.netAmount, item.domain_name + '.' + item.tld, order.id, true,
+             'Auto-refill for domain restore']
+          );
+        }
+
+        if (result.success) {
+          // Without an expiry from the registrar, the restore's renewal year runs from the old expiry
+          await pool.query(
+            `UPDATE domains SET
+              expiration_date = COALESCE($1, expiration_date + INTERVAL '1 year'),
+              status = 'active',
+              updated_at = CURRENT_TIMESTAMP
+             WHERE domain_name = $2 AND tld = $3`,
+            [result.newExpiration || null, item.domain_name, item.tld]
+          );
+        }
       }
 
       // Update order item status
@@ -607,6 +849,9 @@ async function handlePaymentSuccess(pool, paymentIntent) {
          WHERE id = $2`,
         [error.message, item.id]
       );
+      if (item.item_type === 'transfer') {
+        await markTransferFailed(pool, item.id, error.message);
+      }
 
       results.push({ itemId: item.id, success: false, error: error.message });
     }
@@ -797,8 +1042,9 @@ async function handlePrivacyPurchaseSuccess(pool, paymentIntent) {
   const { domainId, domainName, sld, tld, userId } = metadata;
 
   try {
-    // Purchase privacy via eNom (this buys AND enables ID Protect)
-    await enom.purchasePrivacy(sld, tld, 1);
+    // Purchase privacy via the domain's registrar (for eNom this buys AND enables ID Protect)
+    const domainResult = await pool.query('SELECT registrar FROM domains WHERE id = $1', [domainId]);
+    await registrars.forDomain(domainResult.rows[0]).purchasePrivacy(sld, tld, 1);
 
     // Update domain record
     await pool.query(
@@ -1030,15 +1276,16 @@ router.delete('/payment-methods/:pmId', authMiddleware, async (req, res) => {
 
 /**
  * Charge a saved payment method for auto-renewal
- * Called by the auto-renew background job
+ * Called by the auto-renew background job (and the watchlist job for auto-registrations)
  * @param {Pool} pool - Database pool
  * @param {number} userId - User ID
  * @param {number} amount - Amount in dollars
  * @param {string} domainName - Domain being renewed
  * @param {string} paymentMethodId - Optional specific payment method (uses default if not provided)
+ * @param {string} type - metadata.type of the payment intent
  * @returns {Object} - { success, paymentIntentId, error }
  */
-async function chargeForAutoRenewal(pool, userId, amount, domainName, paymentMethodId = null) {
+async function chargeForAutoRenewal(pool, userId, amount, domainName, paymentMethodId = null, type = 'auto_renewal') {
   if (!stripeService.isConfigured()) {
     return { success: false, error: 'Stripe not configured' };
   }
@@ -1071,7 +1318,7 @@ async function chargeForAutoRenewal(pool, userId, amount, domainName, paymentMet
       confirm: true,
       metadata: {
         userId: userId.toString(),
-        type: 'auto_renewal',
+        type,
         domainName: domainName
       }
     });
@@ -1079,6 +1326,8 @@ async function chargeForAutoRenewal(pool, userId, amount, domainName, paymentMet
     if (paymentIntent.status === 'succeeded') {
       console.log(`Auto-renewal payment succeeded for ${domainName}: $${amount}`);
       return { success: true, paymentIntentId: paymentIntent.id };
+    } else if (paymentIntent.status === 'requires_action') {
+      return { success: false, error: 'Card requires authentication', requiresAction: true, paymentIntentId: paymentIntent.id };
     } else {
       return { success: false, error: `Payment status: ${paymentIntent.status}` };
     }
@@ -1086,8 +1335,14 @@ async function chargeForAutoRenewal(pool, userId, amount, domainName, paymentMet
     console.error(`Auto-renewal payment failed for ${domainName}:`, error.message);
 
     // Handle specific Stripe errors
+    // The PaymentIntent is kept so the customer can authenticate it on-session (see utils/renewalAuthentication)
     if (error.code === 'authentication_required') {
-      return { success: false, error: 'Card requires authentication - please update payment method', requiresAction: true };
+      return {
+        success: false,
+        error: 'Card requires authentication',
+        requiresAction: true,
+        paymentIntentId: error.payment_intent?.id || error.raw?.payment_intent?.id
+      };
     } else if (error.code === 'card_declined') {
       return { success: false, error: 'Card was declined - please update payment method', cardDeclined: true };
     }
@@ -0,0 +1,17 @@
+/**
+ * Standalone eNom API simulator
+ * Serves /interface.asp from in-memory state for manual testing with curl
+ * Run with: node scripts/enom-simulator.js [port]
+ *
+ * The API server does not need this - with ENOM_ENV=simulator it calls the
+ * simulator in-process.
+ */
+
+const simulator = require('../services/enom-simulator');
+
+const port = parseInt(process.argv[2] || process.env.ENOM_SIMULATOR_PORT || '8089');
+
+simulator.createServer().listen(port, '127.0.0.1', () => {
+  console.log(`[eNom Simulator] Listening on http://127.0.0.1:${port}/interface.asp`);
+  console.log(`[eNom Simulator] Try: curl "http://127.0.0.1:${port}/interface.asp?command=Check&sld=example&tld=com"`);
+});
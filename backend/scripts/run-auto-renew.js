@@ -6,6 +6,7 @@
 require('dotenv').config();
 const { Pool } = require('pg');
 const jobs = require('../services/jobs');
+const { getJobRun } = require('../utils/jobRuns');
 
 async function main() {
   console.log('Setting up database connection...');
@@ -24,10 +25,21 @@ async function main() {
   console.log('Starting auto-renew job...');
   console.log('==========================================');
 
+  // Run through the scheduler like an admin trigger: the job's lease keeps it from running
+  // alongside a scheduled run on any instance, and the run is recorded in job_runs
   try {
-    await jobs.autoRenewDomains();
+    const run = await jobs.runJob('autoRenew', jobs.autoRenewDomains.bind(jobs), { trigger: 'manual' });
     console.log('==========================================');
-    console.log('Auto-renew job completed!');
+    if (!run) {
+      console.log('Auto-renew job did not start: it is already running, or the run could not be recorded (see above)');
+    } else {
+      const finished = await getJobRun(pool, run.id);
+      if (finished.status === 'succeeded') {
+        console.log(`Auto-renew job completed! (run #${run.id})`);
+      } else {
+        console.error(`Auto-renew job ${finished.status} (run #${run.id})${finished.error ? `: ${finished.error}` : ''}`);
+      }
+    }
   } catch (error) {
     console.error('Auto-renew job failed:', error);
   }
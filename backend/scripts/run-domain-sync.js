@@ -6,6 +6,7 @@
 require('dotenv').config();
 const { Pool } = require('pg');
 const jobs = require('../services/jobs');
+const { getJobRun } = require('../utils/jobRuns');
 
 async function main() {
   console.log('Setting up database connection...');
@@ -24,10 +25,21 @@ async function main() {
   console.log('Starting domain sync job...');
   console.log('==========================================');
 
+  // Run through the scheduler like an admin trigger: the job's lease keeps it from running
+  // alongside a scheduled run on any instance, and the run is recorded in job_runs
   try {
-    await jobs.syncDomains();
+    const run = await jobs.runJob('domainSync', jobs.syncDomains.bind(jobs), { trigger: 'manual' });
     console.log('==========================================');
-    console.log('Domain sync job completed!');
+    if (!run) {
+      console.log('Domain sync job did not start: it is already running, or the run could not be recorded (see above)');
+    } else {
+      const finished = await getJobRun(pool, run.id);
+      if (finished.status === 'succeeded') {
+        console.log(`Domain sync job completed! (run #${run.id})`);
+      } else {
+        console.error(`Domain sync job ${finished.status} (run #${run.id})${finished.error ? `: ${finished.error}` : ''}`);
+      }
+    }
   } catch (error) {
     console.error('Domain sync job failed:', error);
   }
@@ -8,6 +8,8 @@ require('dotenv').config({ path: path.join(__dirname, '.env') });
 // Services
 const jobScheduler = require('./services/jobs');
 const emailService = require('./services/email');
+const dnsBulk = require('./services/dnsBulk');
+const transferBatches = require('./services/transferBatches');
 
 const app = express();
 const PORT = process.env.PORT || 5001;
@@ -327,6 +329,7 @@ app.get('/api/health', async (req, res) => {
     memory: process.memoryUsage(),
     database: 'unknown',
     enomEnv: enomService.getMode().mode,
+    enomCircuit: enomService.getCircuitState(),
     jobScheduler: jobScheduler.running ? 'running' : 'stopped'
   };
 
@@ -344,24 +347,6 @@ app.get('/api/health', async (req, res) => {
   res.status(health.status === 'ok' ? 200 : 503).json(health);
 });
 
-// Job scheduler status endpoint (admin only)
-app.get('/api/jobs/status', require('./middleware/auth').authMiddleware, require('./middleware/auth').adminMiddleware, (req, res) => {
-  res.json({
-    running: jobScheduler.running,
-    jobs: jobScheduler.getStatus()
-  });
-});
-
-// Manually trigger a job (admin only)
-app.post('/api/jobs/:name/trigger', require('./middleware/auth').authMiddleware, require('./middleware/auth').adminMiddleware, async (req, res) => {
-  try {
-    await jobScheduler.trigger(req.params.name);
-    res.json({ success: true, message: `Job ${req.params.name} triggered` });
-  } catch (error) {
-    res.status(400).json({ error: error.message });
-  }
-});
-
 // ============ PUBLIC SITE CONFIG ============
 
 // Get public site configuration (logo, site name, etc.) - no auth required
@@ -502,6 +487,12 @@ app.listen(PORT, '0.0.0.0', async () => {
   // Initialize job scheduler with database pool
   jobScheduler.init(pool);
 
+  // Bulk DNS batches run in this process; finish any left over from a restart
+  dnsBulk.init(pool);
+
+  // Bulk transfer pre-checks also run in this process
+  transferBatches.init(pool);
+
   // Start background jobs (disabled by default, enable with env var)
   if (process.env.ENABLE_JOB_SCHEDULER === 'true') {
     jobScheduler.start();
@@ -0,0 +1,295 @@
+/**
+ * Bulk DNS Service
+ * Runs one add/replace/delete record operation across many domains as a tracked
+ * background batch (dns_bulk_batches / dns_bulk_batch_items)
+ *
+ * Domains are processed one at a time: each needs its own GetHosts/SetHosts round
+ * trip, and running them in parallel would hit eNom's rate limits.
+ */
+
+const registrars = require('./registrars');
+const { applyBulkOperation } = require('../utils/dnsBulk');
+const { snapshotDnsRecords } = require('../utils/dnsSnapshots');
+const { INSTANCE_ID, JOB_LEASE_SECONDS, JOB_LEASE_RENEW_MS } = require('../utils/jobLeases');
+
+// Pause between domains to stay well inside eNom's rate limits
+const DOMAIN_DELAY_MS = 500;
+
+class DnsBulkService {
+  constructor() {
+    this.pool = null;
+    this.delayMs = DOMAIN_DELAY_MS;
+    this.recoveryTimer = null;
+  }
+
+  /**
+   * Initialize with the database pool
+   * Each batch runs in the instance that started it, which keeps a lease on it while
+   * processing. Batches whose lease expired can't be resumed (the access check they were
+   * started with is gone), so their remaining domains are marked failed - now, and
+   * periodically for instances that stop while this one is running.
+   * @param {Pool} pool - PostgreSQL connection pool
+   */
+  async init(pool) {
+    this.pool = pool;
+
+    await this.recoverInterruptedBatches();
+    if (!this.recoveryTimer) {
+      this.recoveryTimer = setInterval(() => this.recoverInterruptedBatches(), JOB_LEASE_RENEW_MS);
+      this.recoveryTimer.unref();
+    }
+  }
+
+  /**
+   * Finish batches whose instance stopped processing them
+   */
+  async recoverInterruptedBatches() {
+    try {
+      const interrupted = await this.pool.query(
+        `UPDATE dns_bulk_batch_items SET status = 'failed', message = 'Interrupted: the server processing this batch stopped', processed_at = CURRENT_TIMESTAMP
+         WHERE status = 'pending' AND batch_id IN (
+           SELECT id FROM dns_bulk_batches
+           WHERE status IN ('pending', 'running')
+             AND (lease_expires_at IS NULL OR lease_expires_at < CURRENT_TIMESTAMP)
+         )
+         RETURNING batch_id`
+      );
+      const batchIds = [...new Set(interrupted.rows.map(r => r.batch_id))];
+      for (const batchId of batchIds) {
+        await this.finishBatch(batchId);
+      }
+      if (batchIds.length > 0) {
+        console.log(`[dnsBulk] Marked ${batchIds.length} interrupted batch(es) as finished`);
+      }
+    } catch (error) {
+      console.error('[dnsBulk] Failed to recover interrupted batches:', error.message);
+    }
+  }
+
+  /**
+   * Create a batch and start processing it in the background
+   * @param {object} req - Request (acting user and impersonator come from req.user)
+   * @param {object} params
+   * @param {Array<object>} params.domains - Domain rows that passed the access check
+   * @param {object} params.operation - From validateBulkOperation()
+   * @param {string} params.source - 'customer' or 'admin'
+   * @param {Function} params.authorize - async (domainId) => { domain } | { error };
+   *   re-checked for every domain when it is processed, since ownership can change meanwhile
+   * @returns {Promise<object>} - The batch row
+   */
+  async start(req, { domains, operation, source, authorize }) {
+    const batchResult = await this.pool.query(
+      `INSERT INTO dns_bulk_batches
+        (user_id, impersonated_by, source, operation, params, total, owner_instance, lease_expires_at)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, CURRENT_TIMESTAMP + INTERVAL '1 second' * $8)
+       RETURNING *`,
+      [
+        req.user.id, req.user.impersonatedBy || null, source, operation.type,
+        JSON.stringify({ records: operation.records, match: operation.match }), domains.length,
+        INSTANCE_ID, JOB_LEASE_SECONDS
+      ]
+    );
+    const batch = batchResult.rows[0];
+
+    for (const domain of domains) {
+      await this.pool.query(
+        'INSERT INTO dns_bulk_batch_items (batch_id, domain_id, domain_name) VALUES ($1, $2, $3)',
+        [batch.id, domain.id, `${domain.domain_name}.${domain.tld}`]
+      );
+    }
+
+    // Snapshots taken by the batch are attributed to whoever started it
+    const actor = { user: { id: req.user.id, impersonatedBy: req.user.impersonatedBy || null } };
+
+    // Keep the lease while processing so other instances don't treat the batch as interrupted
+    const leaseTimer = setInterval(() => this.renewLease(batch.id), JOB_LEASE_RENEW_MS);
+    this.run(batch.id, operation, { actor, source, authorize })
+      .catch(error => {
+        console.error(`[dnsBulk] Batch #${batch.id} failed:`, error.message);
+      })
+      .finally(() => clearInterval(leaseTimer));
+
+    return batch;
+  }
+
+  /**
+   * Process every pending domain of a batch
+   */
+  async run(batchId, operation, { actor, source, authorize }) {
+    await this.pool.query(
+      `UPDATE dns_bulk_batches SET status = 'running', started_at = CURRENT_TIMESTAMP WHERE id = $1`,
+      [batchId]
+    );
+
+    const items = await this.pool.query(
+      `SELECT * FROM dns_bulk_batch_items WHERE batch_id = $1 AND status = 'pending' ORDER BY id`,
+      [batchId]
+    );
+
+    for (let i = 0; i < items.rows.length; i++) {
+      const item = items.rows[i];
+      let outcome;
+      try {
+        outcome = await this.processDomain(item, operation, { actor, source, authorize });
+      } catch (error) {
+        outcome = { status: 'failed', message: error.message };
+      }
+
+      await this.pool.query(
+        `UPDATE dns_bulk_batch_items
+         SET status = $1, message = $2, records_before = $3, records_after = $4, processed_at = CURRENT_TIMESTAMP
+         WHERE id = $5`,
+        [outcome.status, outcome.message || null, outcome.recordsBefore ?? null, outcome.recordsAfter ?? null, item.id]
+      );
+
+      if (i < items.rows.length - 1 && this.delayMs > 0) {
+        await new Promise(resolve => setTimeout(resolve, this.delayMs));
+      }
+    }
+
+    await this.finishBatch(batchId);
+  }
+
+  /**
+   * Extend this instance's lease on a batch it is processing
+   */
+  async renewLease(batchId) {
+    try {
+      await this.pool.query(
+        `UPDATE dns_bulk_batches SET lease_expires_at = CURRENT_TIMESTAMP + INTERVAL '1 second' * $3
+         WHERE id = $1 AND owner_instance = $2`,
+        [batchId, INSTANCE_ID, JOB_LEASE_SECONDS]
+      );
+    } catch (error) {
+      console.error(`[dnsBulk] Failed to renew the lease on batch #${batchId}:`, error.message);
+    }
+  }
+
+  /**
+   * Apply the operation to one domain
+   * @returns {Promise<object>} - { status, message, recordsBefore, recordsAfter }
+   */
+  async processDomain(item, operation, { actor, source, authorize }) {
+    if (!item.domain_id) {
+      return { status: 'failed', message: 'Domain no longer exists' };
+    }
+
+    const access = await authorize(item.domain_id);
+    if (access.error) {
+      return { status: 'failed', message: access.error };
+    }
+
+    const domain = access.domain;
+    const provider = registrars.forDomain(domain);
+    const current = await provider.getHostRecords(domain.domain_name, domain.tld, { mode: domain.enomMode });
+    if (current.error) {
+      return { status: 'failed', message: current.error };
+    }
+
+    const plan = applyBulkOperation(current.records, operation);
+    if (plan.error) {
+      return { status: 'failed', message: plan.error, recordsBefore: current.records.length };
+    }
+    if (!plan.changed) {
+      return {
+        status: 'skipped',
+        message: operation.type === 'delete' ? 'No matching records' : 'Records already present',
+        recordsBefore: current.records.length,
+        recordsAfter: current.records.length
+      };
+    }
+
+    await snapshotDnsRecords(this.pool, actor, domain, {
+      records: current.records,
+      action: `bulk_${operation.type}`,
+      source
+    });
+
+    await provider.setHostRecords(domain.domain_name, domain.tld, plan.records, { mode: domain.enomMode });
+
+    return {
+      status: 'success',
+      message: `${plan.added} added, ${plan.removed} removed`,
+      recordsBefore: current.records.length,
+      recordsAfter: plan.records.length
+    };
+  }
+
+  /**
+   * Update a batch's counters from its items and mark it finished
+   */
+  async finishBatch(batchId) {
+    await this.pool.query(
+      `UPDATE dns_bulk_batches b SET
+        succeeded = c.succeeded,
+        skipped = c.skipped,
+        failed = c.failed,
+        status = CASE WHEN c.succeeded = 0 AND c.skipped = 0 AND c.failed > 0 THEN 'failed' ELSE 'completed' END,
+        completed_at = CURRENT_TIMESTAMP
+       FROM (
+         SELECT COUNT(*) FILTER (WHERE status = 'success') as succeeded,
+                COUNT(*) FILTER (WHERE status = 'skipped') as skipped,
+                COUNT(*) FILTER (WHERE status = 'failed') as failed
+         FROM dns_bulk_batch_items WHERE batch_id = $1
+       ) c
+       WHERE b.id = $1`,
+      [batchId]
+    );
+  }
+
+  /**
+   * Get a batch with its per-domain results
+   * @param {number} batchId - Batch ID
+   * @param {number} [userId] - Only return the batch if this user started it
+   * @returns {Promise<object|null>}
+   */
+  async getBatch(batchId, userId = null) {
+    const params = [batchId];
+    let query = 'SELECT * FROM dns_bulk_batches WHERE id = $1';
+    if (userId) {
+      params.push(userId);
+      query += ' AND user_id = $2';
+    }
+
+    const result = await this.pool.query(query, params);
+    if (result.rows.length === 0) {
+      return null;
+    }
+
+    const batch = result.rows[0];
+    const items = await this.pool.query(
+      `SELECT id, domain_id, domain_name, status, message, records_before, records_after, processed_at
+       FROM dns_bulk_batch_items WHERE batch_id = $1 ORDER BY id`,
+      [batchId]
+    );
+    const processed = items.rows.filter(item => item.status !== 'pending').length;
+
+    return { ...batch, processed, items: items.rows };
+  }
+
+  /**
+   * List recent batches, newest first
+   * @param {object} options - { userId, limit }
+   * @returns {Promise<Array>}
+   */
+  async listBatches({ userId = null, limit = 20 } = {}) {
+    const params = [];
+    let query = `
+      SELECT b.*, u.username
+      FROM dns_bulk_batches b
+      LEFT JOIN users u ON u.id = b.user_id
+    `;
+    if (userId) {
+      params.push(userId);
+      query += ` WHERE b.user_id = $${params.length}`;
+    }
+    params.push(limit);
+    query += ` ORDER BY b.id DESC LIMIT $${params.length}`;
+
+    const result = await this.pool.query(query, params);
+    return result.rows;
+  }
+}
+
+// Export singleton instance
+module.exports = new DnsBulkService();
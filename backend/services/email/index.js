@@ -532,6 +532,38 @@ class EmailService {
     return this.sendTemplate('transfer_complete', to, { domain, username });
   }
 
+  async sendTransferPendingApproval(to, { domain, username, reason }) {
+    return this.sendTemplate('transfer_pending_approval', to, { domain, username, reason });
+  }
+
+  async sendTransferAwaitingAuth(to, { domain, username, reason }) {
+    return this.sendTemplate('transfer_awaiting_auth', to, { domain, username, reason });
+  }
+
+  async sendTransferRejected(to, { domain, username, reason }) {
+    return this.sendTemplate('transfer_rejected', to, { domain, username, reason });
+  }
+
+  async sendTransferFailed(to, { domain, username, reason }) {
+    return this.sendTemplate('transfer_failed', to, { domain, username, reason });
+  }
+
+  async sendTransferOutAuthCode(to, { domain, authCode, username }) {
+    return this.sendTemplate('transfer_out_auth_code', to, { domain, authCode, username });
+  }
+
+  async sendTransferOutComplete(to, { domain, username }) {
+    return this.sendTemplate('transfer_out_complete', to, { domain, username });
+  }
+
+  async sendDomainWatchAvailable(to, { domain, username, actionMessage }) {
+    return this.sendTemplate('domain_watch_available', to, { domain, username, actionMessage });
+  }
+
+  async sendDomainWatchRegistered(to, { domain, username, cost, expirationDate }) {
+    return this.sendTemplate('domain_watch_registered', to, { domain, username, cost: parseFloat(cost).toFixed(2), expirationDate });
+  }
+
   async sendRenewalConfirmation(to, { domain, years, newExpiration, cost }) {
     return this.sendTemplate('renewal_confirmation', to, { domain, years, newExpiration, cost: parseFloat(cost).toFixed(2) });
   }
@@ -540,6 +572,38 @@ class EmailService {
     return this.sendTemplate('renewal_failed', to, { domain, error, expirationDate });
   }
 
+  async sendRenewalPaymentFailed(to, { domain, username, expirationDate, amount, error, nextAttemptDate, payUrl }) {
+    return this.sendTemplate('renewal_payment_failed', to, {
+      domain, username, expirationDate, amount: parseFloat(amount).toFixed(2), error, nextAttemptDate, payUrl
+    });
+  }
+
+  async sendRenewalPaymentReminder(to, { domain, username, expirationDate, daysLeft, attemptNumber, amount, error, nextAttemptDate, payUrl }) {
+    return this.sendTemplate('renewal_payment_reminder', to, {
+      domain, username, expirationDate, daysLeft, attemptNumber, amount: parseFloat(amount).toFixed(2), error, nextAttemptDate, payUrl
+    });
+  }
+
+  async sendRenewalPaymentFinal(to, { domain, username, expirationDate, amount, error, payUrl }) {
+    return this.sendTemplate('renewal_payment_final', to, {
+      domain, username, expirationDate, amount: parseFloat(amount).toFixed(2), error, payUrl
+    });
+  }
+
+  async sendRenewalAuthenticationRequired(to, { domain, username, expirationDate, amount, authUrl }) {
+    return this.sendTemplate('renewal_authentication_required', to, {
+      domain, username, expirationDate, amount: parseFloat(amount).toFixed(2), authUrl
+    });
+  }
+
+  async sendRenewalDelayed(to, { domain, amount, expirationDate }) {
+    return this.sendTemplate('renewal_delayed', to, { domain, amount: parseFloat(amount).toFixed(2), expirationDate });
+  }
+
+  async sendRenewalRefunded(to, { domain, amount, expirationDate }) {
+    return this.sendTemplate('renewal_refunded', to, { domain, amount: parseFloat(amount).toFixed(2), expirationDate });
+  }
+
   async sendEmailVerification(to, { username, verificationUrl }) {
     return this.sendTemplate('email_verification', to, { username, verificationUrl });
   }
@@ -557,6 +621,18 @@ class EmailService {
     return this.sendTemplate('admin_order_failed', to, { orderNumber, customerEmail, error, itemCount });
   }
 
+  async sendAdminRenewalReconciliation(to, { domain, customerEmail, amount, paymentIntentId, error, outcome, message }) {
+    return this.sendTemplate('admin_renewal_reconciliation', to, {
+      domain, customerEmail, amount: parseFloat(amount).toFixed(2), paymentIntentId, error, outcome, message
+    });
+  }
+
+  async sendAdminWatchlistRegisterFailed(to, { domain, customerEmail, amount, paymentIntentId, error, outcome, message }) {
+    return this.sendTemplate('admin_watchlist_register_failed', to, {
+      domain, customerEmail, amount: parseFloat(amount).toFixed(2), paymentIntentId, error, outcome, message
+    });
+  }
+
   /**
    * Send a test email to verify configuration
    * @param {string} to - Recipient email
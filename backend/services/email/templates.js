@@ -285,6 +285,167 @@ module.exports = {
     `)
   }),
 
+  // Transfer waiting for the domain owner to approve it
+  transfer_pending_approval: ({ domain, username, reason }) => ({
+    subject: `Transfer Awaiting Approval: ${domain}`,
+    html: baseWrapper(`
+      <h2><span class="status-badge status-warning">Awaiting Approval</span></h2>
+      <h2>Approve Your Domain Transfer</h2>
+      <p>Hi ${username},</p>
+      <p>The transfer of your domain is waiting for approval:</p>
+      <div class="highlight" style="text-align: center;">
+        <span class="domain-name">${domain}</span>
+      </div>
+      <p>${reason}</p>
+      <p>Click the approval link in the email sent to the domain's administrative contact. Can't find it? Check your spam folder or resend it from your dashboard.</p>
+      <p style="text-align: center;">
+        <a href="${SITE_URL}/dashboard" class="btn btn-warning">Manage Transfer</a>
+      </p>
+    `)
+  }),
+
+  // Transfer stalled on a missing or wrong auth code
+  transfer_awaiting_auth: ({ domain, username, reason }) => ({
+    subject: `Action Required: Auth code needed for ${domain}`,
+    html: baseWrapper(`
+      <h2><span class="status-badge status-error">Action Required</span></h2>
+      <h2>Transfer Needs a Valid Auth Code</h2>
+      <p>Hi ${username},</p>
+      <p>The current registrar did not accept the authorization (EPP) code for:</p>
+      <div class="highlight" style="text-align: center;">
+        <span class="domain-name">${domain}</span>
+      </div>
+      <div class="highlight">
+        <strong>Registrar response:</strong> ${reason}
+      </div>
+      <p>Get a new auth code from your current registrar and enter it in your dashboard. The transfer is resubmitted as soon as you save it.</p>
+      <p style="text-align: center;">
+        <a href="${SITE_URL}/dashboard" class="btn btn-warning">Update Auth Code</a>
+      </p>
+    `)
+  }),
+
+  // Transfer rejected by the current registrar or the domain owner
+  transfer_rejected: ({ domain, username, reason }) => ({
+    subject: `Transfer Rejected: ${domain}`,
+    html: baseWrapper(`
+      <h2><span class="status-badge status-error">Rejected</span></h2>
+      <h2>Domain Transfer Rejected</h2>
+      <p>Hi ${username},</p>
+      <p>The transfer of your domain was rejected:</p>
+      <div class="highlight" style="text-align: center;">
+        <span class="domain-name">${domain}</span>
+      </div>
+      <div class="highlight">
+        <strong>Reason:</strong> ${reason}
+      </div>
+      <p><strong>What to do:</strong></p>
+      <ul>
+        <li>Make sure the domain is unlocked at your current registrar</li>
+        <li>Check that the auth code is correct, and update it from your dashboard if not</li>
+        <li>Contact support if you need assistance</li>
+      </ul>
+      <p style="text-align: center;">
+        <a href="${SITE_URL}/dashboard" class="btn btn-warning">Manage Transfer</a>
+      </p>
+    `)
+  }),
+
+  // Transfer failed for good
+  transfer_failed: ({ domain, username, reason }) => ({
+    subject: `Transfer Failed: ${domain}`,
+    html: baseWrapper(`
+      <h2><span class="status-badge status-error">Failed</span></h2>
+      <h2>Domain Transfer Failed</h2>
+      <p>Hi ${username},</p>
+      <p>We were unable to complete the transfer of your domain:</p>
+      <div class="highlight" style="text-align: center;">
+        <span class="domain-name">${domain}</span>
+      </div>
+      <div class="highlight">
+        <strong>Reason:</strong> ${reason}
+      </div>
+      <p>The domain stays with your current registrar. Contact ${SUPPORT_EMAIL} to try again or to discuss a refund.</p>
+    `)
+  }),
+
+  // Transfer out: auth code sent to the registrant
+  transfer_out_auth_code: ({ domain, authCode, username }) => ({
+    subject: `Transfer Authorization Code: ${domain}`,
+    html: baseWrapper(`
+      <h2>Your Transfer Authorization Code</h2>
+      <p>Hi ${username},</p>
+      <p>A transfer away from ${SITE_NAME} was started for:</p>
+      <div class="highlight" style="text-align: center;">
+        <span class="domain-name">${domain}</span>
+      </div>
+      <p>The domain has been unlocked. Give this authorization (EPP) code to your new registrar:</p>
+      <div class="highlight" style="text-align: center; font-family: monospace; font-size: 18px;">
+        ${authCode}
+      </div>
+      <p>Transfers usually complete within 5-7 days. Auto-renew will be turned off once the domain has left your account.</p>
+      <p><strong>Didn't request this?</strong> Cancel the transfer from your dashboard right away. Cancelling locks the domain again.</p>
+      <p style="text-align: center;">
+        <a href="${SITE_URL}/dashboard" class="btn btn-warning">Manage Transfer</a>
+      </p>
+    `)
+  }),
+
+  // Transfer out: domain has left the registrar account
+  transfer_out_complete: ({ domain, username }) => ({
+    subject: `Transfer Away Complete: ${domain}`,
+    html: baseWrapper(`
+      <h2><span class="status-badge status-success">Complete</span></h2>
+      <h2>Domain Transferred Away</h2>
+      <p>Hi ${username},</p>
+      <p>Your domain has left ${SITE_NAME} and is now managed by your new registrar:</p>
+      <div class="highlight" style="text-align: center;">
+        <span class="domain-name">${domain}</span>
+      </div>
+      <p>Auto-renew has been turned off, so you will not be charged for this domain again.</p>
+    `)
+  }),
+
+  // Watchlist: a watched domain became available
+  domain_watch_available: ({ domain, username, actionMessage }) => ({
+    subject: `Now Available: ${domain}`,
+    html: baseWrapper(`
+      <h2><span class="status-badge status-success">Available</span></h2>
+      <h2>A Domain You Watch Is Available</h2>
+      <p>Hi ${username},</p>
+      <p>A domain on your watchlist can be registered now:</p>
+      <div class="highlight" style="text-align: center;">
+        <span class="domain-name">${domain}</span>
+      </div>
+      <p>${actionMessage}</p>
+      <p>Available domains are often taken again quickly, so don't wait too long.</p>
+      <p style="text-align: center;">
+        <a href="${SITE_URL}" class="btn btn-success">Register Now</a>
+      </p>
+    `)
+  }),
+
+  // Watchlist: a watched domain was registered with the saved card
+  domain_watch_registered: ({ domain, username, cost, expirationDate }) => ({
+    subject: `Registered: ${domain}`,
+    html: baseWrapper(`
+      <h2><span class="status-badge status-success">Registered</span></h2>
+      <h2>We Caught Your Domain</h2>
+      <p>Hi ${username},</p>
+      <p>A domain on your watchlist became available and has been registered to your account:</p>
+      <div class="highlight" style="text-align: center;">
+        <span class="domain-name">${domain}</span>
+      </div>
+      <div class="highlight">
+        <strong>Charged to your saved card:</strong> $${cost}<br>
+        <strong>Expires:</strong> ${expirationDate}
+      </div>
+      <p style="text-align: center;">
+        <a href="${SITE_URL}/dashboard" class="btn">Manage Domain</a>
+      </p>
+    `)
+  }),
+
   // Admin: New order notification
   admin_new_order: ({ orderNumber, customerEmail, total, itemCount }) => ({
     subject: `[Admin] New Order: ${orderNumber}`,
@@ -385,5 +546,185 @@ module.exports = {
         <a href="${SITE_URL}/dashboard" class="btn btn-warning">Renew Manually</a>
       </p>
     `)
+  }),
+
+  // Dunning: first failed auto-renewal charge, a retry is scheduled
+  renewal_payment_failed: ({ domain, username, expirationDate, amount, error, nextAttemptDate, payUrl }) => ({
+    subject: `Payment Failed: ${domain} renewal`,
+    html: baseWrapper(`
+      <h2><span class="status-badge status-warning">Payment Failed</span></h2>
+      <h2>We Couldn't Charge Your Card</h2>
+      <p>Hi ${username},</p>
+      <p>We tried to auto-renew your domain but the payment didn't go through:</p>
+      <div class="highlight" style="text-align: center;">
+        <span class="domain-name">${domain}</span>
+        <p style="margin-top: 8px;">Expires: ${expirationDate}</p>
+      </div>
+      <div class="highlight">
+        <strong>Amount:</strong> $${amount}<br>
+        <strong>Reason:</strong> ${error}
+      </div>
+      <p>We'll try again on <strong>${nextAttemptDate}</strong>. To avoid any interruption, update your card and pay now:</p>
+      <p style="text-align: center;">
+        <a href="${payUrl}" class="btn">Update Card &amp; Pay</a>
+      </p>
+    `)
+  }),
+
+  // Dunning: a scheduled retry failed again
+  renewal_payment_reminder: ({ domain, username, expirationDate, daysLeft, attemptNumber, amount, error, nextAttemptDate, payUrl }) => ({
+    subject: `Action Required: ${domain} expires in ${daysLeft} days`,
+    html: baseWrapper(`
+      <h2><span class="status-badge status-error">Action Required</span></h2>
+      <h2>Your Domain Renewal Is Still Unpaid</h2>
+      <p>Hi ${username},</p>
+      <p>We tried your card again and the renewal payment failed (attempt ${attemptNumber}):</p>
+      <div class="highlight" style="text-align: center;">
+        <span class="domain-name">${domain}</span>
+        <p style="margin-top: 8px; color: #dc2626; font-weight: 600;">
+          Expires in ${daysLeft} days (${expirationDate})
+        </p>
+      </div>
+      <div class="highlight">
+        <strong>Amount:</strong> $${amount}<br>
+        <strong>Reason:</strong> ${error}
+      </div>
+      <p>Next retry: <strong>${nextAttemptDate}</strong>. Please update your card now so the domain doesn't expire:</p>
+      <p style="text-align: center;">
+        <a href="${payUrl}" class="btn btn-warning">Update Card &amp; Pay</a>
+      </p>
+    `)
+  }),
+
+  // Dunning: the last retry failed and auto-renew was turned off
+  renewal_payment_final: ({ domain, username, expirationDate, amount, error, payUrl }) => ({
+    subject: `Final Notice: ${domain} will expire on ${expirationDate}`,
+    html: baseWrapper(`
+      <h2><span class="status-badge status-error">Final Notice</span></h2>
+      <h2>Your Domain Will Expire</h2>
+      <p>Hi ${username},</p>
+      <p>This was our last attempt to charge your card for the renewal of:</p>
+      <div class="highlight" style="text-align: center;">
+        <span class="domain-name">${domain}</span>
+        <p style="margin-top: 8px; color: #dc2626; font-weight: 600;">
+          Expires: ${expirationDate}
+        </p>
+      </div>
+      <div class="highlight">
+        <strong>Amount:</strong> $${amount}<br>
+        <strong>Reason:</strong> ${error}
+      </div>
+      <p>Auto-renew has been turned off and we won't try your card again. If you want to keep the domain, pay before it expires:</p>
+      <p style="text-align: center;">
+        <a href="${payUrl}" class="btn btn-warning">Pay Now</a>
+      </p>
+      <p>After it expires you may still be able to renew it from your dashboard for a limited time, at a higher price.</p>
+    `)
+  }),
+
+  // Off-session auto-renewal charge needs 3-D Secure; link to complete it on-session
+  renewal_authentication_required: ({ domain, username, expirationDate, amount, authUrl }) => ({
+    subject: `Action Required: Confirm the renewal payment for ${domain}`,
+    html: baseWrapper(`
+      <h2><span class="status-badge status-warning">Action Required</span></h2>
+      <h2>Your Bank Needs You to Confirm This Payment</h2>
+      <p>Hi ${username},</p>
+      <p>We tried to auto-renew your domain, but your bank requires you to authenticate the payment before it can go through:</p>
+      <div class="highlight" style="text-align: center;">
+        <span class="domain-name">${domain}</span>
+        <p style="margin-top: 8px;">Expires: ${expirationDate}</p>
+      </div>
+      <div class="highlight">
+        <strong>Amount:</strong> $${amount}
+      </div>
+      <p>It only takes a moment - open the link below and confirm the payment with your bank. Your domain is renewed as soon as it's done.</p>
+      <p style="text-align: center;">
+        <a href="${authUrl}" class="btn">Complete Payment</a>
+      </p>
+      <p>The link works until the domain expires.</p>
+    `)
+  }),
+
+  // Auto-renewal charged but the registrar renewal failed; queued for retry
+  renewal_delayed: ({ domain, amount, expirationDate }) => ({
+    subject: `Renewal Delayed: ${domain}`,
+    html: baseWrapper(`
+      <h2><span class="status-badge status-warning">Delayed</span></h2>
+      <h2>Your Renewal Is Taking Longer</h2>
+      <p>Your saved card was charged to renew:</p>
+      <div class="highlight" style="text-align: center;">
+        <span class="domain-name">${domain}</span>
+      </div>
+      <div class="highlight">
+        <strong>Charged:</strong> $${amount}<br>
+        <strong>Expires:</strong> ${expirationDate}
+      </div>
+      <p>The registry did not accept the renewal on the first try. We will keep retrying automatically, and if it still can't be renewed we will refund the charge in full.</p>
+      <p>You don't need to do anything.</p>
+    `)
+  }),
+
+  // Charged auto-renewal could not be completed and was refunded
+  renewal_refunded: ({ domain, amount, expirationDate }) => ({
+    subject: `Renewal Refunded: ${domain}`,
+    html: baseWrapper(`
+      <h2><span class="status-badge status-error">Not Renewed</span></h2>
+      <h2>We Refunded Your Renewal</h2>
+      <p>We were unable to renew your domain:</p>
+      <div class="highlight" style="text-align: center;">
+        <span class="domain-name">${domain}</span>
+        <p style="margin-top: 8px; color: #dc2626; font-weight: 600;">
+          Expires: ${expirationDate}
+        </p>
+      </div>
+      <div class="highlight">
+        <strong>Refunded:</strong> $${amount}
+      </div>
+      <p>The refund has been issued to your card and should appear within 5-10 business days.</p>
+      <p>Auto-renew has been turned off for this domain. Please renew it manually before it expires, or contact support if you need help.</p>
+      <p style="text-align: center;">
+        <a href="${SITE_URL}/dashboard" class="btn btn-warning">Renew Manually</a>
+      </p>
+    `)
+  }),
+
+  // Admin: charged auto-renewal failed at the registrar
+  admin_renewal_reconciliation: ({ domain, customerEmail, amount, paymentIntentId, error, outcome, message }) => ({
+    subject: `[Admin] Renewal ${outcome}: ${domain}`,
+    html: baseWrapper(`
+      <h2><span class="status-badge status-error">${outcome}</span></h2>
+      <h2>Charged Auto-Renewal Needs Reconciliation</h2>
+      <div class="highlight">
+        <strong>Domain:</strong> ${domain}<br>
+        <strong>Customer:</strong> ${customerEmail}<br>
+        <strong>Charged:</strong> $${amount}<br>
+        <strong>Payment Intent:</strong> ${paymentIntentId}<br>
+        <strong>Error:</strong> ${error}
+      </div>
+      <p>${message}</p>
+      <p style="text-align: center;">
+        <a href="${SITE_URL}/admin" class="btn">View in Admin</a>
+      </p>
+    `)
+  }),
+
+  // Admin: a watchlist auto-registration was charged but failed at the registrar
+  admin_watchlist_register_failed: ({ domain, customerEmail, amount, paymentIntentId, error, outcome, message }) => ({
+    subject: `[Admin] Watchlist Registration ${outcome}: ${domain}`,
+    html: baseWrapper(`
+      <h2><span class="status-badge status-error">${outcome}</span></h2>
+      <h2>Watchlist Auto-Registration Failed</h2>
+      <div class="highlight">
+        <strong>Domain:</strong> ${domain}<br>
+        <strong>Customer:</strong> ${customerEmail}<br>
+        <strong>Charged:</strong> $${amount}<br>
+        <strong>Payment Intent:</strong> ${paymentIntentId}<br>
+        <strong>Error:</strong> ${error}
+      </div>
+      <p>${message}</p>
+      <p style="text-align: center;">
+        <a href="${SITE_URL}/admin" class="btn">View in Admin</a>
+      </p>
+    `)
   })
 };
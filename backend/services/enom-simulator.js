@@ -0,0 +1,1114 @@
+/**
+ * eNom API Simulator
+ *
+ * In-memory stand-in for reseller.enom.com used when ENOM_ENV=simulator.
+ * Accepts the same /interface.asp?command=... requests as the real API and
+ * answers in eNom's text key=value format, so EnomAPI.parseTextResponse()
+ * and every caller work unchanged without network access or credentials.
+ *
+ * State (domains, host records, nameserver hosts, balance, transfers,
+ * sub-accounts) lives in
+ * memory and is lost on restart. Errors can be injected per command to
+ * exercise failure paths (see injectError()).
+ *
+ * Conventions used to make availability checks deterministic:
+ * - SLDs starting with "taken" or already registered here are unavailable
+ * - SLDs of 3 characters or fewer are premium; Purchase fails for them unless
+ *   CustomerSuppliedPrice covers the premium price
+ * - Transfers with an auth code starting with "bad" stall on an invalid auth code
+ *   until the code is updated
+ *
+ * Can also run standalone: node scripts/enom-simulator.js
+ */
+
+const http = require('http');
+const querystring = require('querystring');
+const { BALANCE } = require('../config/constants');
+
+// Default nameservers assigned when UseDNS=default
+const DEFAULT_NAMESERVERS = [
+  'dns1.name-services.com',
+  'dns2.name-services.com',
+  'dns3.name-services.com',
+  'dns4.name-services.com'
+];
+
+// Reseller cost per year by TLD (anything else uses DEFAULT_COST)
+const TLD_COSTS = {
+  com: 10.29,
+  net: 12.49,
+  org: 11.99,
+  info: 4.99,
+  biz: 14.99,
+  co: 24.99,
+  io: 39.99,
+  us: 7.99,
+  me: 16.99
+};
+const DEFAULT_COST = 15.00;
+const PREMIUM_COST = 450.00;
+const PRIVACY_COST = 5.00;
+const REDEMPTION_COST = 80.00;
+const STARTING_BALANCE = 1000.00;
+
+// Days after expiry that a domain can still be renewed, then restored, before it is pending delete
+const GRACE_DAYS = 30;
+const REDEMPTION_DAYS = 30;
+const REGISTRATION_STATUSES = {
+  registered: 'Registered',
+  expired: 'Expired',
+  redemption: 'Redemption',
+  pending_delete: 'Pending Delete'
+};
+
+// Transfer statuses advance one step each time the order is polled
+const TRANSFER_STEPS = ['Pending', 'Processing', 'Completed'];
+
+// Record types SetHosts accepts
+const HOST_RECORD_TYPES = ['A', 'AAAA', 'CNAME', 'MX', 'TXT', 'SRV', 'CAA', 'NS', 'URL', 'URL301', 'Frame'];
+
+const CONTACT_TYPES = ['Registrant', 'Admin', 'Tech', 'AuxBilling'];
+const CONTACT_FIELDS = [
+  'FirstName', 'LastName', 'Organization', 'Address1', 'Address2', 'City',
+  'StateProvince', 'PostalCode', 'Country', 'EmailAddress', 'Phone'
+];
+
+class EnomSimulator {
+  constructor() {
+    this.reset();
+  }
+
+  /**
+   * Clear all state and injected errors
+   */
+  reset() {
+    this.balance = STARTING_BALANCE;
+    this.domains = new Map();
+    this.transfers = new Map();
+    this.nameserverHosts = new Map();
+    this.subAccounts = [
+      {
+        account: '000-000-0001',
+        loginId: 'simclient',
+        partyId: 'SIMPARTY0001',
+        firstName: 'Sim',
+        lastName: 'Client',
+        email: 'simclient@example.com'
+      }
+    ];
+    this.errorRules = [];
+    this.callCount = 0;
+    this.nextOrderId = 100000;
+    this.nextTransferId = 500000;
+    this.nextDomainId = 900000;
+  }
+
+  // ============================================
+  // ERROR INJECTION
+  // ============================================
+
+  /**
+   * Make upcoming calls fail
+   * @param {object} rule - Error rule
+   * @param {string} rule.command - Command to fail (case-insensitive) or '*' for any
+   * @param {string} rule.message - Error text returned as Err1
+   * @param {number} rule.count - Number of calls to fail (0 = until cleared)
+   * @param {string} rule.domain - Only fail calls for this sld.tld
+   * @param {boolean} rule.networkError - Simulate a transport failure instead of an ErrCount response
+   * @param {number} rule.delayMs - Delay the response (combine with a short timeout to simulate hangs)
+   * @returns {object} - The stored rule
+   */
+  injectError(rule = {}) {
+    const count = rule.count === undefined ? 1 : parseInt(rule.count);
+    const stored = {
+      id: this.errorRules.length ? Math.max(...this.errorRules.map(r => r.id)) + 1 : 1,
+      command: (rule.command || '*').toLowerCase(),
+      message: rule.message || 'Simulated eNom error',
+      remaining: Number.isInteger(count) && count >= 0 ? count : 1,
+      domain: rule.domain ? rule.domain.toLowerCase() : null,
+      networkError: !!rule.networkError,
+      delayMs: parseInt(rule.delayMs) || 0
+    };
+    this.errorRules.push(stored);
+    return stored;
+  }
+
+  /**
+   * Remove injected errors
+   * @param {number} id - Rule to remove (all rules when omitted)
+   */
+  clearErrors(id) {
+    if (id === undefined || id === null) {
+      this.errorRules = [];
+    } else {
+      this.errorRules = this.errorRules.filter(r => r.id !== parseInt(id));
+    }
+  }
+
+  /**
+   * Find (and consume) the error rule matching a call
+   */
+  takeErrorRule(command, params) {
+    const cmd = command.toLowerCase();
+    const domain = params.sld && params.tld ? `${params.sld}.${params.tld}`.toLowerCase() : null;
+
+    const rule = this.errorRules.find(r =>
+      (r.command === '*' || r.command === cmd) &&
+      (!r.domain || r.domain === domain)
+    );
+    if (!rule) return null;
+
+    if (rule.remaining > 0) {
+      rule.remaining--;
+      if (rule.remaining === 0) {
+        this.errorRules = this.errorRules.filter(r => r !== rule);
+      }
+    }
+    return rule;
+  }
+
+  /**
+   * Snapshot of simulator state for inspection
+   * @returns {object}
+   */
+  getState() {
+    return {
+      balance: parseFloat(this.balance.toFixed(2)),
+      callCount: this.callCount,
+      domains: Array.from(this.domains.values()).map(d => ({
+        domain: `${d.sld}.${d.tld}`,
+        domainNameId: d.id,
+        expiration: d.expiration.toISOString(),
+        locked: d.locked,
+        autoRenew: d.autoRenew,
+        privacyEnabled: d.privacyEnabled,
+        nameservers: d.nameservers,
+        hostCount: d.hosts.length,
+        emailForwardCount: d.emailForwards.length,
+        account: d.account
+      })),
+      transfers: Array.from(this.transfers.values()),
+      nameserverHosts: Array.from(this.nameserverHosts.values()),
+      subAccounts: this.subAccounts,
+      errorRules: this.errorRules
+    };
+  }
+
+  // ============================================
+  // REQUEST HANDLING
+  // ============================================
+
+  /**
+   * Handle an /interface.asp request path
+   * @param {string} path - Request path including query string
+   * @returns {Promise<string>} - Text response in eNom key=value format
+   * @throws {Error} When a networkError rule is injected
+   */
+  async handleRequest(path) {
+    const queryIndex = path.indexOf('?');
+    const params = querystring.parse(queryIndex >= 0 ? path.substring(queryIndex + 1) : '');
+    const command = params.command || params.Command || '';
+
+    this.callCount++;
+
+    const rule = command ? this.takeErrorRule(command, params) : null;
+    if (rule && rule.delayMs) {
+      await new Promise(resolve => setTimeout(resolve, rule.delayMs));
+    }
+    if (rule && rule.networkError) {
+      throw new Error(rule.message);
+    }
+    if (rule) {
+      return this.formatResponse(command, {}, [rule.message]);
+    }
+
+    try {
+      const handler = this.handlers()[command.toLowerCase()];
+      if (!handler) {
+        return this.formatResponse(command, {}, [`Invalid command: ${command}`]);
+      }
+      return this.formatResponse(command, handler.call(this, params));
+    } catch (error) {
+      return this.formatResponse(command, {}, [error.message]);
+    }
+  }
+
+  /**
+   * Build an eNom text response
+   * @param {string} command - Command name
+   * @param {object} fields - Response fields
+   * @param {Array<string>} errors - Error messages (ErrCount/ErrN)
+   * @returns {string}
+   */
+  formatResponse(command, fields = {}, errors = []) {
+    const lines = [
+      ';URL Interface',
+      ';Machine is SIMULATOR',
+      ';Encoding Type is utf-8',
+      `Command=${command.toUpperCase()}`,
+      'Language=eng'
+    ];
+
+    for (const [key, value] of Object.entries(fields)) {
+      if (value !== undefined && value !== null) {
+        lines.push(`${key}=${value}`);
+      }
+    }
+
+    lines.push(`ErrCount=${errors.length}`);
+    errors.forEach((err, i) => lines.push(`Err${i + 1}=${err}`));
+    lines.push('Server=SIMULATOR');
+    lines.push('Site=eNom');
+    lines.push('IsLockable=True');
+    lines.push('IsRealTimeTLD=True');
+    lines.push(`TimeDifference=+0.00`);
+    lines.push(`ExecTime=0.001`);
+    lines.push(`Done=true`);
+
+    return lines.join('\r\n') + '\r\n';
+  }
+
+  /**
+   * Map of lower-cased command names to handlers
+   */
+  handlers() {
+    return {
+      check: this.cmdCheck,
+      purchase: this.cmdPurchase,
+      extend: this.cmdExtend,
+      updateexpireddomains: this.cmdUpdateExpiredDomains,
+      getdomaininfo: this.cmdGetDomainInfo,
+      getdns: this.cmdGetDns,
+      modifyns: this.cmdModifyNs,
+      getreglock: this.cmdGetRegLock,
+      setreglock: this.cmdSetRegLock,
+      getrenew: this.cmdGetRenew,
+      setrenew: this.cmdSetRenew,
+      getwppsinfo: this.cmdGetWppsInfo,
+      purchaseservices: this.cmdPurchaseServices,
+      enableservices: this.cmdEnableServices,
+      disableservices: this.cmdDisableServices,
+      getcontacts: this.cmdGetContacts,
+      contacts: this.cmdContacts,
+      synchauthinfo: this.cmdSynchAuthInfo,
+      getdomains: this.cmdGetDomains,
+      getsubaccounts: this.cmdGetSubAccounts,
+      getbalance: this.cmdGetBalance,
+      refillaccount: this.cmdRefillAccount,
+      gethosts: this.cmdGetHosts,
+      sethosts: this.cmdSetHosts,
+      getemailforward: this.cmdGetEmailForward,
+      setemailforward: this.cmdSetEmailForward,
+      deleteemailforward: this.cmdDeleteEmailForward,
+      getdnssec: this.cmdGetDnsSec,
+      adddnssec: this.cmdAddDnsSec,
+      deletednssec: this.cmdDeleteDnsSec,
+      registernameserver: this.cmdRegisterNameServer,
+      updatenameserver: this.cmdUpdateNameServer,
+      deletenameserver: this.cmdDeleteNameServer,
+      checknsstatus: this.cmdCheckNsStatus,
+      pe_getproductprice: this.cmdGetPrice,
+      pe_getresellerprice: this.cmdGetPrice,
+      pe_gettldlist: this.cmdGetTldList,
+      tp_createorder: this.cmdTransferCreate,
+      tp_getorderdetail: this.cmdTransferDetail,
+      tp_getorder: this.cmdTransferList,
+      tp_cancelorder: this.cmdTransferCancel,
+      tp_resendemail: this.cmdTransferResend,
+      tp_updateorderdetail: this.cmdTransferUpdate
+    };
+  }
+
+  // ============================================
+  // HELPERS
+  // ============================================
+
+  domainKey(sld, tld) {
+    return `${(sld || '').toLowerCase()}.${(tld || '').toLowerCase()}`;
+  }
+
+  requireDomain(params) {
+    const domain = this.domains.get(this.domainKey(params.sld, params.tld));
+    if (!domain || (params.Account && domain.account !== params.Account)) {
+      throw new Error('Domain name not found');
+    }
+    return domain;
+  }
+
+  costFor(sld, tld) {
+    if (this.isPremium(sld)) return PREMIUM_COST;
+    return TLD_COSTS[(tld || '').toLowerCase()] || DEFAULT_COST;
+  }
+
+  isPremium(sld) {
+    return (sld || '').length <= 3;
+  }
+
+  /**
+   * Where an expired domain is in the deletion cycle:
+   * 'registered', 'expired' (renewal grace), 'redemption' or 'pending_delete'
+   */
+  lifecycleStage(domain) {
+    const daysPast = (Date.now() - domain.expiration.getTime()) / (24 * 60 * 60 * 1000);
+    if (daysPast < 0) return 'registered';
+    if (daysPast < GRACE_DAYS) return 'expired';
+    if (daysPast < GRACE_DAYS + REDEMPTION_DAYS) return 'redemption';
+    // The simulator never purges domains, so they stay pending delete
+    return 'pending_delete';
+  }
+
+  charge(amount) {
+    if (this.balance < amount) {
+      throw new Error(`Insufficient funds: balance $${this.balance.toFixed(2)}, required $${amount.toFixed(2)}`);
+    }
+    this.balance -= amount;
+  }
+
+  addYears(date, years) {
+    const result = new Date(date);
+    result.setFullYear(result.getFullYear() + years);
+    return result;
+  }
+
+  // eNom GetDomainInfo format: "8/18/2026 11:59:00 PM"
+  formatEnomDate(date) {
+    return `${date.getMonth() + 1}/${date.getDate()}/${date.getFullYear()} 11:59:00 PM`;
+  }
+
+  // eNom Extend format: "2028-01-15 01:18:01.107"
+  formatIsoDateTime(date) {
+    return date.toISOString().replace('T', ' ').replace('Z', '');
+  }
+
+  formatMoney(amount) {
+    return amount.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+  }
+
+  readNameservers(params) {
+    const nameservers = [];
+    for (let i = 1; i <= 13; i++) {
+      if (params[`NS${i}`]) nameservers.push(params[`NS${i}`].toLowerCase());
+    }
+    return nameservers;
+  }
+
+  readContacts(params, existing = {}) {
+    const contacts = { ...existing };
+    for (const type of CONTACT_TYPES) {
+      if (params[`${type}FirstName`] || params[`${type}EmailAddress`]) {
+        contacts[type] = {};
+        for (const field of CONTACT_FIELDS) {
+          contacts[type][field] = params[`${type}${field}`] || '';
+        }
+      }
+    }
+    return contacts;
+  }
+
+  createDomain(sld, tld, years, params = {}) {
+    const now = new Date();
+    const nameservers = this.readNameservers(params);
+    const domain = {
+      id: String(this.nextDomainId++),
+      sld: sld.toLowerCase(),
+      tld: tld.toLowerCase(),
+      registered: now,
+      expiration: this.addYears(now, years),
+      locked: true,
+      autoRenew: params.RenewName === '1',
+      privacyEnabled: false,
+      privacyExpiration: null,
+      nameservers: nameservers.length > 0 ? nameservers : [...DEFAULT_NAMESERVERS],
+      contacts: this.readContacts(params),
+      hosts: [],
+      emailForwards: [],
+      dnssec: [],
+      authCode: Math.random().toString(36).slice(2, 12).toUpperCase(),
+      account: params.Account || null
+    };
+    this.domains.set(this.domainKey(sld, tld), domain);
+    return domain;
+  }
+
+  // ============================================
+  // AVAILABILITY, REGISTRATION & RENEWAL
+  // ============================================
+
+  cmdCheck(params) {
+    const { sld, tld } = params;
+    if (!sld || !tld) throw new Error('Domain name required');
+
+    const taken = this.domains.has(this.domainKey(sld, tld)) || sld.toLowerCase().startsWith('taken');
+    const premium = !taken && this.isPremium(sld);
+
+    return {
+      DomainName: `${sld}.${tld}`,
+      RRPCode: taken ? '211' : '210',
+      RRPText: taken ? 'Domain not available' : 'Domain available',
+      IsPremiumName: premium ? 'true' : 'false',
+      PremiumPrice: premium ? PREMIUM_COST.toFixed(2) : undefined,
+      PremiumRenewPrice: premium ? PREMIUM_COST.toFixed(2) : undefined
+    };
+  }
+
+  cmdPurchase(params) {
+    const { sld, tld } = params;
+    if (this.domains.has(this.domainKey(sld, tld)) || (sld || '').toLowerCase().startsWith('taken')) {
+      throw new Error('Domain name not available');
+    }
+
+    const years = parseInt(params.NumYears) || 1;
+    if (this.isPremium(sld) && !(parseFloat(params.CustomerSuppliedPrice) >= PREMIUM_COST * years)) {
+      throw new Error('Premium domain: CustomerSuppliedPrice does not match the premium price');
+    }
+    this.charge(this.costFor(sld, tld) * years);
+    const domain = this.createDomain(sld, tld, years, params);
+
+    if (params.WPPSEmail) {
+      domain.privacyEnabled = true;
+      domain.privacyExpiration = this.addYears(new Date(), 1);
+    }
+
+    return {
+      OrderID: String(this.nextOrderId++),
+      RRPCode: '200',
+      RRPText: 'Command completed successfully',
+      DomainStatus: 'registered',
+      ExpirationDate: this.formatEnomDate(domain.expiration)
+    };
+  }
+
+  cmdExtend(params) {
+    const domain = this.requireDomain(params);
+    const years = parseInt(params.NumYears) || 1;
+    const stage = this.lifecycleStage(domain);
+    if (stage === 'redemption') {
+      throw new Error('Domain is in redemption and must be restored with UpdateExpiredDomains');
+    }
+    if (stage === 'pending_delete') {
+      throw new Error('Domain is pending deletion and cannot be renewed');
+    }
+    this.charge(this.costFor(domain.sld, domain.tld) * years);
+
+    // Renewals in the grace period extend from the current expiry, even though it has passed
+    domain.expiration = this.addYears(domain.expiration, years);
+
+    return {
+      OrderID: String(this.nextOrderId++),
+      DomainName: `${domain.sld}.${domain.tld}`,
+      ExpirationDate: this.formatIsoDateTime(domain.expiration)
+    };
+  }
+
+  cmdUpdateExpiredDomains(params) {
+    const [sld, ...rest] = (params.DomainName || '').split('.');
+    const domain = this.requireDomain({ ...params, sld, tld: rest.join('.') });
+    if (this.lifecycleStage(domain) !== 'redemption') {
+      throw new Error('Domain is not in the redemption period');
+    }
+    this.charge(REDEMPTION_COST + this.costFor(domain.sld, domain.tld));
+
+    // A restore includes a one-year renewal from the original expiry
+    domain.expiration = this.addYears(domain.expiration, 1);
+
+    return {
+      OrderID: String(this.nextOrderId++),
+      DomainName: `${domain.sld}.${domain.tld}`,
+      ExpirationDate: this.formatIsoDateTime(domain.expiration)
+    };
+  }
+
+  cmdGetDomainInfo(params) {
+    const domain = this.requireDomain(params);
+    const stage = this.lifecycleStage(domain);
+    const fields = {
+      domainname: `${domain.sld}.${domain.tld}`,
+      domainnameid: domain.id,
+      registrationstatus: REGISTRATION_STATUSES[stage],
+      status: stage === 'registered' ? 'Active' : 'Expired',
+      expiration: this.formatEnomDate(domain.expiration),
+      registration: this.formatEnomDate(domain.registered),
+      registrar: 'eNom, LLC',
+      'auto-renew': domain.autoRenew ? '1' : '0',
+      RegistrarLock: domain.locked ? 'REGISTRAR-LOCK' : 'ACTIVE'
+    };
+    domain.nameservers.forEach((ns, i) => { fields[`dns${i + 1}`] = ns; });
+    return fields;
+  }
+
+  // ============================================
+  // NAMESERVERS, LOCK, AUTO-RENEW & AUTH CODE
+  // ============================================
+
+  cmdGetDns(params) {
+    const domain = this.requireDomain(params);
+    const fields = { UseDNS: this.usesDefaultDns(domain) ? 'default' : '' };
+    domain.nameservers.forEach((ns, i) => { fields[`DNS${i + 1}`] = ns; });
+    return fields;
+  }
+
+  cmdModifyNs(params) {
+    const domain = this.requireDomain(params);
+    if (params.UseDNS === 'default') {
+      domain.nameservers = [...DEFAULT_NAMESERVERS];
+    } else {
+      const nameservers = this.readNameservers(params);
+      if (nameservers.length < 2) {
+        throw new Error('At least two nameservers are required');
+      }
+      // The registry refuses in-zone nameservers that have no glue
+      const suffix = `.${domain.sld}.${domain.tld}`;
+      const missingGlue = nameservers.find(ns => ns.endsWith(suffix) && !this.nameserverHosts.has(ns));
+      if (missingGlue) {
+        throw new Error(`Name server ${missingGlue} is not registered`);
+      }
+      domain.nameservers = nameservers;
+    }
+    return { RRPCode: '200', RRPText: 'Command completed successfully' };
+  }
+
+  usesDefaultDns(domain) {
+    return domain.nameservers.some(ns => ns.includes('name-services.com'));
+  }
+
+  cmdGetRegLock(params) {
+    const domain = this.requireDomain(params);
+    return { RegLock: domain.locked ? '1' : '0', 'reg-lock': domain.locked ? '1' : '0' };
+  }
+
+  cmdSetRegLock(params) {
+    const domain = this.requireDomain(params);
+    domain.locked = params.UnlockRegistrar !== '1';
+    return { RegistrarLock: domain.locked ? 'REGISTRAR-LOCK' : 'ACTIVE' };
+  }
+
+  cmdGetRenew(params) {
+    const domain = this.requireDomain(params);
+    return { RenewName: domain.autoRenew ? '1' : '0', AutoRenew: domain.autoRenew ? '1' : '0' };
+  }
+
+  cmdSetRenew(params) {
+    const domain = this.requireDomain(params);
+    domain.autoRenew = params.RenewFlag === '1';
+    return { RenewName: domain.autoRenew ? '1' : '0' };
+  }
+
+  cmdSynchAuthInfo(params) {
+    const domain = this.requireDomain(params);
+    if (domain.locked) {
+      throw new Error('Domain is locked. Unlock the domain before retrieving the auth code');
+    }
+    return { AuthInfo: domain.authCode, InfoSynched: 'True' };
+  }
+
+  // ============================================
+  // WHOIS PRIVACY & CONTACTS
+  // ============================================
+
+  cmdGetWppsInfo(params) {
+    const domain = this.requireDomain(params);
+    return {
+      WPPSEnabled: domain.privacyEnabled ? '1' : '0',
+      WPPSExpDate: domain.privacyExpiration ? this.formatEnomDate(domain.privacyExpiration) : undefined
+    };
+  }
+
+  cmdPurchaseServices(params) {
+    const domain = this.requireDomain(params);
+    if ((params.Service || '').toUpperCase() !== 'WPPS') {
+      throw new Error(`Service not supported by simulator: ${params.Service}`);
+    }
+    const years = parseInt(params.NumYears) || 1;
+    this.charge(PRIVACY_COST * years);
+    const from = domain.privacyExpiration && domain.privacyExpiration > new Date() ? domain.privacyExpiration : new Date();
+    domain.privacyExpiration = this.addYears(from, years);
+    domain.privacyEnabled = true;
+    return { OrderID: String(this.nextOrderId++) };
+  }
+
+  cmdEnableServices(params) {
+    const domain = this.requireDomain(params);
+    if (!domain.privacyExpiration || domain.privacyExpiration < new Date()) {
+      throw new Error('ID Protect has not been purchased for this domain');
+    }
+    domain.privacyEnabled = true;
+    return {};
+  }
+
+  cmdDisableServices(params) {
+    const domain = this.requireDomain(params);
+    domain.privacyEnabled = false;
+    return {};
+  }
+
+  cmdGetContacts(params) {
+    const domain = this.requireDomain(params);
+    const fields = {};
+    for (const type of CONTACT_TYPES) {
+      const contact = domain.contacts[type] || domain.contacts.Registrant;
+      if (!contact) continue;
+      for (const field of CONTACT_FIELDS) {
+        fields[`${type}${field}`] = contact[field];
+      }
+    }
+    return fields;
+  }
+
+  cmdContacts(params) {
+    const domain = this.requireDomain(params);
+    domain.contacts = this.readContacts(params, domain.contacts);
+    return {};
+  }
+
+  // ============================================
+  // ACCOUNT, SUB-ACCOUNTS & BALANCE
+  // ============================================
+
+  cmdGetDomains(params) {
+    const domains = Array.from(this.domains.values())
+      .filter(d => !params.Account || d.account === params.Account);
+
+    const fields = { DomainCount: domains.length };
+    domains.forEach((d, idx) => {
+      const i = idx + 1;
+      fields[`DomainNameID${i}`] = d.id;
+      fields[`sld${i}`] = d.sld;
+      fields[`tld${i}`] = d.tld;
+      fields[`expiration-date${i}`] = this.formatEnomDate(d.expiration);
+      fields[`auto-renew${i}`] = d.autoRenew ? 'Yes' : 'No';
+      fields[`wppsstatus${i}`] = d.privacyEnabled ? 'enabled' : 'disabled';
+    });
+    return fields;
+  }
+
+  cmdGetSubAccounts() {
+    const fields = { Count: this.subAccounts.length };
+    this.subAccounts.forEach((sa, idx) => {
+      const i = idx + 1;
+      fields[`Account${i}`] = sa.account;
+      fields[`LoginID${i}`] = sa.loginId;
+      fields[`PartyID${i}`] = sa.partyId;
+      fields[`FName${i}`] = sa.firstName;
+      fields[`LName${i}`] = sa.lastName;
+      fields[`EmailAddress${i}`] = sa.email;
+      fields[`DomainCount${i}`] = Array.from(this.domains.values()).filter(d => d.account === sa.account).length;
+    });
+    return fields;
+  }
+
+  cmdGetBalance() {
+    return {
+      Balance: this.formatMoney(this.balance),
+      AvailableBalance: this.formatMoney(this.balance)
+    };
+  }
+
+  cmdRefillAccount(params) {
+    const amount = parseFloat(params.CCAmount);
+    if (!amount || amount < BALANCE.MIN_REFILL) {
+      throw new Error(`Minimum refill amount is $${BALANCE.MIN_REFILL}`);
+    }
+    // eNom keeps a percentage of card refills as a processing fee
+    this.balance += amount * (1 - BALANCE.CC_FEE_PERCENT);
+    return {
+      TransactionID: `SIM${this.nextOrderId++}`,
+      Balance: this.formatMoney(this.balance)
+    };
+  }
+
+  // ============================================
+  // DNS HOST RECORDS & EMAIL FORWARDING
+  // ============================================
+
+  cmdGetHosts(params) {
+    const domain = this.requireDomain(params);
+    const fields = { HostRecordCount: domain.hosts.length };
+    domain.hosts.forEach((h, idx) => {
+      const i = idx + 1;
+      fields[`HostName${i}`] = h.hostName;
+      fields[`RecordType${i}`] = h.recordType;
+      fields[`Address${i}`] = h.address;
+      if (h.mxPref) fields[`MXPref${i}`] = h.mxPref;
+    });
+    return fields;
+  }
+
+  cmdSetHosts(params) {
+    const domain = this.requireDomain(params);
+    if (!this.usesDefaultDns(domain)) {
+      throw new Error('Domain is not using eNom DNS. Host records cannot be set');
+    }
+
+    const hosts = [];
+    for (let i = 1; params[`RecordType${i}`]; i++) {
+      const recordType = params[`RecordType${i}`];
+      if (!HOST_RECORD_TYPES.includes(recordType)) {
+        throw new Error(`Invalid record type: ${recordType}`);
+      }
+      if (recordType === 'NS' && (params[`HostName${i}`] || '@') === '@') {
+        throw new Error('NS records are only allowed for subdomains');
+      }
+      hosts.push({
+        hostName: params[`HostName${i}`] || '@',
+        recordType,
+        address: params[`Address${i}`] || '',
+        mxPref: params[`MXPref${i}`] || null
+      });
+    }
+    domain.hosts = hosts;
+    return {};
+  }
+
+  cmdGetEmailForward(params) {
+    const domain = this.requireDomain(params);
+    if (domain.emailForwards.length === 0) {
+      throw new Error('No Email Forwards found');
+    }
+    const fields = { ForwardCount: domain.emailForwards.length };
+    domain.emailForwards.forEach((f, idx) => {
+      fields[`forward${idx + 1}email`] = f.emailUser;
+      fields[`forward${idx + 1}value`] = f.forwardTo;
+    });
+    return fields;
+  }
+
+  cmdSetEmailForward(params) {
+    const domain = this.requireDomain(params);
+    const emailUser = (params.EmailUser || '').toLowerCase();
+    const forwardTo = (params.ForwardEmail || '').toLowerCase();
+    if (!emailUser || !forwardTo) {
+      throw new Error('EmailUser and ForwardEmail are required');
+    }
+    const existing = domain.emailForwards.find(f => f.emailUser === emailUser);
+    if (existing) {
+      existing.forwardTo = forwardTo;
+    } else {
+      domain.emailForwards.push({ emailUser, forwardTo });
+    }
+    return {};
+  }
+
+  cmdDeleteEmailForward(params) {
+    const domain = this.requireDomain(params);
+    const emailUser = (params.EmailUser || '').toLowerCase();
+    const before = domain.emailForwards.length;
+    domain.emailForwards = domain.emailForwards.filter(f => f.emailUser !== emailUser);
+    if (domain.emailForwards.length === before) {
+      throw new Error(`Email forward not found: ${emailUser}`);
+    }
+    return {};
+  }
+
+  // ============================================
+  // DNSSEC
+  // ============================================
+
+  readDsRecord(params) {
+    const ds = {
+      keyTag: parseInt(params.KeyTag),
+      algorithm: parseInt(params.Alg),
+      digestType: parseInt(params.DigestType),
+      digest: (params.Digest || '').toUpperCase()
+    };
+    if (Number.isNaN(ds.keyTag) || Number.isNaN(ds.algorithm) || Number.isNaN(ds.digestType) || !ds.digest) {
+      throw new Error('KeyTag, Alg, DigestType and Digest are required');
+    }
+    return ds;
+  }
+
+  sameDsRecord(a, b) {
+    return a.keyTag === b.keyTag && a.algorithm === b.algorithm &&
+      a.digestType === b.digestType && a.digest === b.digest;
+  }
+
+  cmdGetDnsSec(params) {
+    const domain = this.requireDomain(params);
+    const records = domain.dnssec || [];
+    const fields = { DnsSecCount: records.length };
+    records.forEach((ds, idx) => {
+      const i = idx + 1;
+      fields[`KeyTag${i}`] = ds.keyTag;
+      fields[`Algorithm${i}`] = ds.algorithm;
+      fields[`DigestType${i}`] = ds.digestType;
+      fields[`Digest${i}`] = ds.digest;
+    });
+    return fields;
+  }
+
+  cmdAddDnsSec(params) {
+    const domain = this.requireDomain(params);
+    const ds = this.readDsRecord(params);
+    domain.dnssec = domain.dnssec || [];
+    if (domain.dnssec.some(existing => this.sameDsRecord(existing, ds))) {
+      throw new Error('DS record already exists');
+    }
+    domain.dnssec.push(ds);
+    return {};
+  }
+
+  cmdDeleteDnsSec(params) {
+    const domain = this.requireDomain(params);
+    const ds = this.readDsRecord(params);
+    const before = (domain.dnssec || []).length;
+    domain.dnssec = (domain.dnssec || []).filter(existing => !this.sameDsRecord(existing, ds));
+    if (domain.dnssec.length === before) {
+      throw new Error('DS record not found');
+    }
+    return {};
+  }
+
+  // ============================================
+  // CHILD NAMESERVERS
+  // ============================================
+
+  // The parent is the registered domain the host sits under (ns1.example.com -> example.com)
+  requireParentDomain(hostname) {
+    const parent = Array.from(this.domains.values())
+      .find(d => hostname.endsWith(`.${d.sld}.${d.tld}`));
+    if (!parent) {
+      throw new Error(`Parent domain for ${hostname} not found`);
+    }
+    return parent;
+  }
+
+  requireNameserverHost(hostname) {
+    const host = this.nameserverHosts.get((hostname || '').toLowerCase());
+    if (!host) {
+      throw new Error('Name server not found');
+    }
+    return host;
+  }
+
+  cmdRegisterNameServer(params) {
+    const hostname = (params.Add || '').toLowerCase();
+    if (!hostname) throw new Error('Name server is required');
+    if (!params.IP && !params.IPv6) throw new Error('IP address is required');
+
+    const parent = this.requireParentDomain(hostname);
+    if (params.Account && parent.account !== params.Account) {
+      throw new Error('Domain name not found');
+    }
+    if (this.nameserverHosts.has(hostname)) {
+      throw new Error('Name server already exists');
+    }
+
+    this.nameserverHosts.set(hostname, {
+      hostname,
+      parent: `${parent.sld}.${parent.tld}`,
+      ipv4: params.IP || null,
+      ipv6: params.IPv6 ? params.IPv6.toLowerCase() : null
+    });
+    return { NsSuccess: 1 };
+  }
+
+  cmdUpdateNameServer(params) {
+    const host = this.requireNameserverHost(params.NS);
+
+    if (params.NewIP !== undefined) {
+      if ((params.OldIP || null) !== host.ipv4) throw new Error('Old IP address does not match');
+      host.ipv4 = params.NewIP || null;
+    }
+    if (params.NewIPv6 !== undefined) {
+      if ((params.OldIPv6 || '').toLowerCase() !== (host.ipv6 || '')) throw new Error('Old IPv6 address does not match');
+      host.ipv6 = params.NewIPv6 ? params.NewIPv6.toLowerCase() : null;
+    }
+    if (!host.ipv4 && !host.ipv6) {
+      throw new Error('Name server must keep at least one IP address');
+    }
+    return { NsSuccess: 1 };
+  }
+
+  cmdDeleteNameServer(params) {
+    const host = this.requireNameserverHost(params.NS);
+    const inUse = Array.from(this.domains.values()).find(d => d.nameservers.includes(host.hostname));
+    if (inUse) {
+      throw new Error(`Name server is in use by ${inUse.sld}.${inUse.tld}`);
+    }
+    this.nameserverHosts.delete(host.hostname);
+    return { NsSuccess: 1 };
+  }
+
+  cmdCheckNsStatus(params) {
+    const host = this.requireNameserverHost(params.CheckNSName);
+    return {
+      NsCheckSuccess: 1,
+      NsName: host.hostname,
+      IpAddress: host.ipv4,
+      IPv6Address: host.ipv6
+    };
+  }
+
+  // ============================================
+  // PRICING
+  // ============================================
+
+  cmdGetPrice(params) {
+    const tld = (params.TLD || params.tld || '').toLowerCase();
+    if (!tld) throw new Error('TLD required');
+    return { Price: (TLD_COSTS[tld] || DEFAULT_COST).toFixed(2), ProductType: params.ProductType };
+  }
+
+  cmdGetTldList() {
+    const tlds = Object.keys(TLD_COSTS);
+    const fields = { TLDCount: tlds.length };
+    tlds.forEach((tld, i) => { fields[`tld${i + 1}`] = tld; });
+    return fields;
+  }
+
+  // ============================================
+  // TRANSFERS
+  // ============================================
+
+  cmdTransferCreate(params) {
+    const { sld, tld } = params;
+    if (!sld || !tld) throw new Error('Domain name required');
+    if (this.domains.has(this.domainKey(sld, tld))) {
+      throw new Error('Domain is already in this account');
+    }
+    if (!params.AuthInfo && !params.DomainPassword) {
+      throw new Error('Auth code is required');
+    }
+
+    this.charge(this.costFor(sld, tld));
+
+    const transfer = {
+      transferOrderId: String(this.nextTransferId++),
+      orderId: String(this.nextOrderId++),
+      sld: sld.toLowerCase(),
+      tld: tld.toLowerCase(),
+      authCode: params.AuthInfo || params.DomainPassword,
+      years: parseInt(params.NumYears) || 1,
+      contacts: this.readContacts(params),
+      status: 'Pending',
+      statusDescription: 'Awaiting auto verification of transfer request',
+      orderDate: new Date().toISOString(),
+      statusDate: new Date().toISOString()
+    };
+    this.transfers.set(transfer.transferOrderId, transfer);
+
+    return {
+      TransferOrderID: transfer.transferOrderId,
+      OrderID: transfer.orderId,
+      TransferStatus: transfer.status,
+      StatusDesc: transfer.statusDescription
+    };
+  }
+
+  requireTransfer(params) {
+    const transfer = this.transfers.get(String(params.TransferOrderID));
+    if (!transfer) throw new Error('Transfer order not found');
+    return transfer;
+  }
+
+  cmdTransferDetail(params) {
+    const transfer = this.requireTransfer(params);
+
+    // Each poll moves an active transfer one step closer to completion
+    const step = TRANSFER_STEPS.indexOf(transfer.status);
+    if (transfer.status === 'Pending' && /^bad/i.test(transfer.authCode)) {
+      transfer.statusDescription = 'Invalid EPP authorization code';
+    } else if (step >= 0 && step < TRANSFER_STEPS.length - 1) {
+      transfer.status = TRANSFER_STEPS[step + 1];
+      transfer.statusDate = new Date().toISOString();
+      transfer.statusDescription = transfer.status === 'Completed'
+        ? 'Transfer completed successfully'
+        : 'Transfer request sent to losing registrar';
+
+      if (transfer.status === 'Completed') {
+        const domain = this.createDomain(transfer.sld, transfer.tld, transfer.years);
+        domain.contacts = transfer.contacts;
+      }
+    }
+
+    return {
+      TransferOrderDetailID: transfer.transferOrderId,
+      TransferStatus: transfer.status,
+      StatusDesc: transfer.statusDescription,
+      DomainName: `${transfer.sld}.${transfer.tld}`,
+      OrderID: transfer.orderId,
+      OrderDate: transfer.orderDate,
+      StatusUpdateDate: transfer.statusDate,
+      CurrentRegistrar: 'Simulated Losing Registrar'
+    };
+  }
+
+  cmdTransferList() {
+    const active = Array.from(this.transfers.values())
+      .filter(t => t.status === 'Pending' || t.status === 'Processing');
+    const fields = { TransferOrderCount: active.length };
+    active.forEach((t, idx) => {
+      const i = idx + 1;
+      fields[`transferorderid${i}`] = t.transferOrderId;
+      fields[`sld${i}`] = t.sld;
+      fields[`tld${i}`] = t.tld;
+      fields[`statusdesc${i}`] = t.statusDescription;
+      fields[`orderdate${i}`] = t.orderDate;
+    });
+    return fields;
+  }
+
+  cmdTransferCancel(params) {
+    const transfer = this.requireTransfer(params);
+    if (transfer.status === 'Completed') {
+      throw new Error('Completed transfers cannot be cancelled');
+    }
+    transfer.status = 'Cancelled';
+    transfer.statusDescription = 'Cancelled by reseller';
+    transfer.statusDate = new Date().toISOString();
+    return {};
+  }
+
+  cmdTransferResend(params) {
+    const transfer = this.requireTransfer(params);
+    if (transfer.status !== 'Pending' && transfer.status !== 'Processing') {
+      throw new Error('Transfer is not awaiting authorization');
+    }
+    return {};
+  }
+
+  cmdTransferUpdate(params) {
+    // One domain per simulated order, so the detail ID is the order ID
+    const transfer = this.requireTransfer({ TransferOrderID: params.TransferOrderDetailID || params.TransferOrderID });
+    if (transfer.status !== 'Pending' && transfer.status !== 'Processing') {
+      throw new Error('Only pending transfers can be updated');
+    }
+    if (!params.AuthInfo && !params.DomainPassword) {
+      throw new Error('Auth code is required');
+    }
+    transfer.authCode = params.AuthInfo || params.DomainPassword;
+    transfer.status = 'Pending';
+    transfer.statusDescription = 'Awaiting auto verification of transfer request';
+    transfer.statusDate = new Date().toISOString();
+    return {};
+  }
+
+  // ============================================
+  // STANDALONE SERVER
+  // ============================================
+
+  /**
+   * Create an HTTP server that serves /interface.asp from this simulator
+   * @returns {http.Server}
+   */
+  createServer() {
+    return http.createServer(async (req, res) => {
+      if (!req.url.toLowerCase().startsWith('/interface.asp')) {
+        res.writeHead(404, { 'Content-Type': 'text/plain' });
+        res.end('Not found');
+        return;
+      }
+
+      try {
+        const body = await this.handleRequest(req.url);
+        res.writeHead(200, { 'Content-Type': 'text/plain; charset=utf-8' });
+        res.end(body);
+      } catch (error) {
+        // Simulated network failure - drop the connection
+        req.socket.destroy();
+      }
+    });
+  }
+}
+
+module.exports = new EnomSimulator();
+module.exports.EnomSimulator = EnomSimulator;
@@ -1,6 +1,18 @@
 const https = require('https');
 const querystring = require('querystring');
-const { BALANCE } = require('../config/constants');
+const { BALANCE, ENOM } = require('../config/constants');
+const CircuitBreaker = require('../utils/circuitBreaker');
+const { validateDsRecord, sameDsRecord } = require('../utils/dnssec');
+const { HOST_RECORD_TYPES, MAX_HOST_RECORDS, formatHostAddress, parseHostRecord } = require('../utils/dnsRecords');
+
+// Local simulator used when ENOM_ENV=simulator (lazy-loaded, never needed in production)
+let simulatorModule = null;
+function getSimulator() {
+  if (!simulatorModule) {
+    simulatorModule = require('./enom-simulator');
+  }
+  return simulatorModule;
+}
 
 // Crypto utilities for encrypted card storage (lazy-loaded for optional dependency)
 let cryptoModule = null;
@@ -28,6 +40,54 @@ const FALLBACK_NAMESERVERS = [
   'dns4.name-services.com'
 ];
 
+// Read-only commands that are safe to retry after a transport failure
+// Anything that purchases, renews, refills or modifies is never retried
+const RETRYABLE_COMMANDS = new Set([
+  'Check',
+  'GetDomainInfo',
+  'GetHosts',
+  'GetBalance',
+  'GetDNS',
+  'GetRegLock',
+  'GetRenew',
+  'GetWPPSInfo',
+  'GetContacts',
+  'GetDomains',
+  'GetSubAccounts',
+  'GetEmailForward',
+  'GetDnsSec',
+  'CheckNSStatus',
+  'TP_GetOrderDetail',
+  'TP_GetOrder',
+  'PE_GetProductPrice',
+  'PE_GetResellerPrice',
+  'PE_GetTLDList'
+]);
+
+// Request params never written to enom_api_logs as-is
+// Credentials/auth codes, registrant contact details and ccTLD identity numbers
+const SECRET_PARAM_PATTERN = /^(uid|pw)$|password|authinfo|aadhar|panumber|^cc|cvv/i;
+const CONTACT_PARAM_PATTERN = /^(Registrant|Admin|Tech|AuxBilling|Billing)(FirstName|LastName|OrganizationName|Organization|OrgName|JobTitle|Address1|Address2|City|StateProvince|PostalCode|EmailAddress|Phone|Fax)$|email|phone/i;
+
+/**
+ * Copy request params with sensitive values redacted for logging
+ * @param {object} params - eNom request params
+ * @returns {object} - Sanitized copy
+ */
+function sanitizeParams(params) {
+  const sanitized = {};
+  for (const [key, value] of Object.entries(params || {})) {
+    if (value === '' || value === undefined || value === null) {
+      sanitized[key] = value;
+    } else if (SECRET_PARAM_PATTERN.test(key) || CONTACT_PARAM_PATTERN.test(key)) {
+      sanitized[key] = '[REDACTED]';
+    } else {
+      sanitized[key] = value;
+    }
+  }
+  return sanitized;
+}
+
 // Cached nameservers from DB
 let cachedNameservers = null;
 let nameserversCacheTime = 0;
@@ -46,12 +106,24 @@ class EnomAPI {
         uid: process.env.ENOM_TEST_UID || process.env.ENOM_UID,
         pw: process.env.ENOM_TEST_PW || process.env.ENOM_PW,
         baseUrl: 'resellertest.enom.com'
+      },
+      simulator: {
+        uid: 'simulator',
+        pw: 'simulator',
+        baseUrl: 'simulator'
       }
     };
 
+    // ENOM_ENV=simulator pins every request to the local simulator so an
+    // offline dev environment can never reach the real eNom endpoints
+    this.simulatorOnly = process.env.ENOM_ENV === 'simulator';
+
     // Database pool for settings queries
     this.pool = null;
 
+    // Circuit breakers keyed by mode (each mode is a separate endpoint)
+    this.circuitBreakers = {};
+
     // Initialize with env var setting
     this.setMode(process.env.ENOM_ENV || 'test');
   }
@@ -102,11 +174,15 @@ class EnomAPI {
   }
 
   /**
-   * Switch between test and production mode
-   * @param {string} mode - 'test' or 'production'
+   * Switch between test, production and simulator mode
+   * @param {string} mode - 'test', 'production' or 'simulator'
    */
   setMode(mode) {
-    const validMode = mode === 'production' ? 'production' : 'test';
+    let validMode = ['production', 'simulator'].includes(mode) ? mode : 'test';
+    if (this.simulatorOnly && validMode !== 'simulator') {
+      console.log(`[eNom] ENOM_ENV=simulator - ignoring switch to ${validMode} mode`);
+      validMode = 'simulator';
+    }
     this.env = validMode;
 
     const creds = this.credentials[validMode];
@@ -174,15 +250,20 @@ class EnomAPI {
 
   /**
    * Make an API request to eNom
+   * Read-only commands are retried with exponential backoff on transport
+   * failures; all other commands (Purchase, Extend, RefillAccount, ...) get a
+   * single attempt since a retry could charge or register twice.
+   * A per-mode circuit breaker fails fast while eNom is unreachable.
    * @param {string} command - The eNom command to execute
    * @param {object} params - Additional parameters for the command
    * @param {object} options - Request options
    * @param {string} options.mode - Override mode for this request ('test' or 'production')
+   * @param {object} options.context - { domainId, orderId, userId } recorded in enom_api_logs
    * @returns {Promise<object>} - Parsed response
    */
   async request(command, params = {}, options = {}) {
     // Allow per-request mode override for managing domains registered in different modes
-    const requestMode = options.mode || this.env;
+    const requestMode = this.simulatorOnly ? 'simulator' : (options.mode || this.env);
     const creds = this.credentials[requestMode];
     const useUid = creds?.uid || this.uid;
     const usePw = creds?.pw || this.pw;
@@ -191,7 +272,8 @@ class EnomAPI {
     if (options.mode && options.mode !== this.env) {
       console.log(`[eNom API] Using ${requestMode} mode for this request (global: ${this.env})`);
     }
-    console.log(`[eNom API] Command: ${command}, Params:`, JSON.stringify(params));
+    // Params are not logged here - they can contain contact details (see logApiCall)
+    console.log(`[eNom API] Command: ${command}${params.sld ? ` (${params.sld}.${params.tld})` : ''}`);
 
     const queryParams = {
       command,
@@ -204,9 +286,128 @@ class EnomAPI {
     const queryString = querystring.stringify(queryParams);
     const url = `/interface.asp?${queryString}`;
 
+    const breaker = this.getCircuitBreaker(requestMode);
+    const maxAttempts = RETRYABLE_COMMANDS.has(command) ? ENOM.MAX_RETRIES + 1 : 1;
+    const startTime = Date.now();
+    let attempt = 0;
+
+    try {
+      for (;;) {
+        attempt++;
+
+        if (!breaker.canRequest()) {
+          const error = new Error(
+            `eNom is temporarily unavailable, please try again in ${Math.ceil(breaker.retryAfterMs() / 1000)}s`
+          );
+          error.code = 'CIRCUIT_OPEN';
+          throw error;
+        }
+
+        let data;
+        try {
+          data = requestMode === 'simulator'
+            ? await this.sendSimulatorRequest(url)
+            : await this.sendHttpsRequest(useBaseUrl, url);
+        } catch (error) {
+          breaker.recordFailure(error);
+
+          if (attempt >= maxAttempts) {
+            throw error;
+          }
+
+          const delay = this.getRetryDelay(attempt);
+          console.log(`[eNom API] ${command} attempt ${attempt} failed (${error.message}), retrying in ${delay}ms`);
+          await new Promise(resolve => setTimeout(resolve, delay));
+          continue;
+        }
+
+        // eNom answered - the service is up even if the command itself failed
+        breaker.recordSuccess();
+        const response = this.parseApiResponse(data);
+
+        this.logApiCall(command, params, requestMode, options.context, {
+          success: true,
+          durationMs: Date.now() - startTime,
+          attempts: attempt
+        });
+        return response;
+      }
+    } catch (error) {
+      this.logApiCall(command, params, requestMode, options.context, {
+        success: false,
+        errCount: error.enomErrors ? error.enomErrors.length : 0,
+        errors: error.enomErrors || [error.message],
+        durationMs: Date.now() - startTime,
+        attempts: attempt
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Record a request() call in enom_api_logs
+   * Runs in the background - a logging failure never fails the eNom call.
+   * Domain and owner are resolved from sld/tld when not passed in context.
+   * @param {string} command - eNom command
+   * @param {object} params - Request params (sanitized before storing)
+   * @param {string} mode - Mode the request was sent in
+   * @param {object} context - Optional { domainId, orderId, userId }
+   * @param {object} result - { success, errCount, errors, durationMs, attempts }
+   */
+  logApiCall(command, params, mode, context = {}, result) {
+    if (!this.pool) return;
+
+    const sld = params.sld ? String(params.sld).toLowerCase() : null;
+    const tld = params.tld ? String(params.tld).toLowerCase() : null;
+    const ctx = context || {};
+
+    this.pool.query(
+      `INSERT INTO enom_api_logs (
+        command, mode, params, success, err_count, errors, duration_ms, attempts,
+        domain_name, domain_id, order_id, user_id
+      )
+      SELECT $1, $2, $3, $4, $5, $6, $7, $8, $9,
+        COALESCE($10::integer, d.id), $11, COALESCE($12::integer, d.user_id)
+      FROM (SELECT 1) AS one
+      LEFT JOIN domains d ON d.domain_name = $13 AND d.tld = $14`,
+      [
+        command,
+        mode,
+        JSON.stringify(sanitizeParams(params)),
+        result.success,
+        result.errCount || 0,
+        result.errors ? JSON.stringify(result.errors) : null,
+        result.durationMs,
+        result.attempts,
+        sld && tld ? `${sld}.${tld}` : null,
+        ctx.domainId || null,
+        ctx.orderId || null,
+        ctx.userId || null,
+        sld,
+        tld
+      ]
+    ).catch(err => {
+      console.error('[eNom API] Failed to write API log:', err.message);
+    });
+  }
+
+  /**
+   * Send a single HTTPS request to eNom
+   * @param {string} hostname - eNom API host
+   * @param {string} url - /interface.asp path with query string
+   * @returns {Promise<string>} - Raw response body
+   * @throws {Error} On network errors, timeouts and 5xx responses (error.transient = true)
+   */
+  sendHttpsRequest(hostname, url) {
     return new Promise((resolve, reject) => {
+      const fail = (message) => {
+        const error = new Error(message);
+        error.transient = true;
+        reject(error);
+      };
+
       const reqOptions = {
-        hostname: useBaseUrl,
+        hostname,
         port: 443,
         path: url,
         method: 'GET',
@@ -223,47 +424,129 @@ class EnomAPI {
         });
 
         res.on('end', () => {
-          try {
-            // Parse text format response (key=value pairs)
-            const response = this.parseTextResponse(data);
-
-            // Check for errors
-            if (response.ErrCount && parseInt(response.ErrCount) > 0) {
-              const errors = [];
-              for (let i = 1; i <= parseInt(response.ErrCount); i++) {
-                if (response[`Err${i}`]) {
-                  errors.push(response[`Err${i}`]);
-                }
-              }
-              reject(new Error(errors.join(', ') || 'Unknown eNom error'));
-              return;
-            }
-
-            resolve(response);
-          } catch (e) {
-            // Try to extract error from response
-            if (data.includes('Error')) {
-              reject(new Error(`eNom API Error: ${data.substring(0, 200)}`));
-            } else {
-              reject(new Error(`Failed to parse eNom response: ${e.message}`));
-            }
+          if (res.statusCode >= 500) {
+            fail(`eNom API HTTP ${res.statusCode}`);
+            return;
           }
+          resolve(data);
         });
       });
 
       req.on('error', (error) => {
-        reject(new Error(`eNom request failed: ${error.message}`));
+        fail(`eNom request failed: ${error.message}`);
       });
 
-      req.setTimeout(30000, () => {
+      req.setTimeout(ENOM.REQUEST_TIMEOUT_MS, () => {
         req.destroy();
-        reject(new Error('eNom request timeout'));
+        fail('eNom request timeout');
       });
 
       req.end();
     });
   }
 
+  /**
+   * Send a single request to the local simulator instead of eNom
+   * @param {string} url - /interface.asp path with query string
+   * @returns {Promise<string>} - Raw response body
+   * @throws {Error} On simulated network errors and timeouts (error.transient = true)
+   */
+  async sendSimulatorRequest(url) {
+    let timer;
+    try {
+      return await Promise.race([
+        getSimulator().handleRequest(url),
+        new Promise((resolve, reject) => {
+          timer = setTimeout(() => reject(new Error('timeout')), ENOM.REQUEST_TIMEOUT_MS);
+        })
+      ]);
+    } catch (error) {
+      const wrapped = new Error(error.message === 'timeout'
+        ? 'eNom request timeout'
+        : `eNom request failed: ${error.message}`);
+      wrapped.transient = true;
+      throw wrapped;
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  /**
+   * Parse a raw eNom response and convert ErrCount errors into a rejection
+   * @param {string} data - Raw response body
+   * @returns {object} - Parsed key-value pairs
+   * @throws {Error} If eNom reported errors
+   */
+  parseApiResponse(data) {
+    let response;
+    try {
+      // Parse text format response (key=value pairs)
+      response = this.parseTextResponse(data);
+    } catch (e) {
+      // Try to extract error from response
+      if (data.includes('Error')) {
+        throw new Error(`eNom API Error: ${data.substring(0, 200)}`);
+      }
+      throw new Error(`Failed to parse eNom response: ${e.message}`);
+    }
+
+    // Check for errors
+    if (response.ErrCount && parseInt(response.ErrCount) > 0) {
+      const errors = [];
+      for (let i = 1; i <= parseInt(response.ErrCount); i++) {
+        if (response[`Err${i}`]) {
+          errors.push(response[`Err${i}`]);
+        }
+      }
+      const error = new Error(errors.join(', ') || 'Unknown eNom error');
+      error.enomErrors = errors;
+      throw error;
+    }
+
+    return response;
+  }
+
+  /**
+   * Backoff delay before the next retry: base * 2^(attempt-1) plus up to 20% jitter
+   * @param {number} attempt - Attempt that just failed (1-based)
+   * @returns {number} - Delay in milliseconds
+   */
+  getRetryDelay(attempt) {
+    const delay = Math.min(ENOM.RETRY_BASE_DELAY_MS * Math.pow(2, attempt - 1), ENOM.RETRY_MAX_DELAY_MS);
+    return Math.round(delay + delay * 0.2 * Math.random());
+  }
+
+  /**
+   * Get the circuit breaker for an eNom endpoint (one per mode)
+   * @param {string} mode - 'test', 'production' or 'simulator'
+   * @returns {CircuitBreaker}
+   */
+  getCircuitBreaker(mode) {
+    if (!this.circuitBreakers[mode]) {
+      this.circuitBreakers[mode] = new CircuitBreaker(`eNom ${mode}`, {
+        failureThreshold: ENOM.BREAKER_FAILURE_THRESHOLD,
+        resetTimeoutMs: ENOM.BREAKER_RESET_MS
+      });
+    }
+    return this.circuitBreakers[mode];
+  }
+
+  /**
+   * Get circuit breaker state for the active mode and any mode used since startup
+   * @returns {object} - { current, breakers: { [mode]: state } }
+   */
+  getCircuitState() {
+    this.getCircuitBreaker(this.env);
+    const breakers = {};
+    for (const [mode, breaker] of Object.entries(this.circuitBreakers)) {
+      breakers[mode] = breaker.getState();
+    }
+    return {
+      current: breakers[this.env].state,
+      breakers
+    };
+  }
+
   /**
    * Parse eNom text format response into an object
    * @param {string} text - Raw text response
@@ -310,6 +593,8 @@ class EnomAPI {
         available,
         premium,
         premiumPrice: premium ? parseFloat(response.PremiumPrice || 0) : null,
+        // Premium names usually renew at their own price too; fall back to the registration price
+        premiumRenewPrice: premium ? parseFloat(response.PremiumRenewPrice || response.PremiumPrice || 0) : null,
         rrpCode: response.RRPCode,
         message: response.RRPText || ''
       };
@@ -485,7 +770,8 @@ class EnomAPI {
       tech,
       billing,
       privacy = false,
-      extendedAttributes = {}  // ccTLD-specific attributes (e.g., .in requires Aadhaar/PAN)
+      extendedAttributes = {},  // ccTLD-specific attributes (e.g., .in requires Aadhaar/PAN)
+      premiumPrice = null       // Registry price for the whole period, required for premium names
     } = params;
 
     // Validate domain parts
@@ -532,6 +818,11 @@ class EnomAPI {
       Object.assign(requestParams, this.formatContact(billingContact, 'AuxBilling'));
     }
 
+    // Premium names are only registered when the price we agreed to matches the registry's
+    if (premiumPrice) {
+      requestParams.CustomerSuppliedPrice = parseFloat(premiumPrice).toFixed(2);
+    }
+
     // Add privacy if requested
     if (privacy && registrant && registrant.email) {
       requestParams.WPPSEmail = registrant.email;
@@ -548,7 +839,9 @@ class EnomAPI {
     }
 
     try {
-      const response = await this.request('Purchase', requestParams);
+      const response = await this.request('Purchase', requestParams, {
+        context: { orderId: params.orderId }
+      });
 
       return {
         success: true,
@@ -596,7 +889,7 @@ class EnomAPI {
         sld,
         tld,
         NumYears: years
-      }, { mode: options.mode });
+      }, { mode: options.mode, context: { orderId: options.orderId } });
 
       console.log(`[eNom] Extend response for ${sld}.${tld}:`, JSON.stringify(response));
 
@@ -622,6 +915,39 @@ class EnomAPI {
     }
   }
 
+  /**
+   * Restore a domain from the redemption grace period (RGP)
+   * eNom charges the redemption fee plus a one-year renewal
+   * @param {string} sld - Second level domain
+   * @param {string} tld - Top level domain
+   * @returns {Promise<object>} - Restore result
+   */
+  async restoreDomain(sld, tld, options = {}) {
+    try {
+      this.validateDomainParts(sld, tld);
+      const response = await this.request('UpdateExpiredDomains', {
+        DomainName: `${sld}.${tld}`
+      }, { mode: options.mode, context: { orderId: options.orderId } });
+
+      console.log(`[eNom] UpdateExpiredDomains response for ${sld}.${tld}:`, JSON.stringify(response));
+
+      let newExpiration = response.ExpirationDate || response['expiration-date'] || response.DomainExpDate || response.RegistryExpDate;
+      if (newExpiration && newExpiration.includes(' ')) {
+        newExpiration = newExpiration.split(' ')[0];
+      }
+
+      return {
+        success: true,
+        orderId: response.OrderID,
+        domainName: `${sld}.${tld}`,
+        newExpiration
+      };
+    } catch (error) {
+      console.error(`eNom restore error for ${sld}.${tld}:`, error.message);
+      throw error;
+    }
+  }
+
   /**
    * Update nameservers for a domain
    * @param {string} sld - Second level domain
@@ -1245,7 +1571,9 @@ class EnomAPI {
     }
 
     try {
-      const response = await this.request('TP_CreateOrder', requestParams);
+      const response = await this.request('TP_CreateOrder', requestParams, {
+        context: { orderId: params.orderId }
+      });
 
       return {
         success: true,
@@ -1366,6 +1694,37 @@ class EnomAPI {
     }
   }
 
+  /**
+   * Replace the auth code of a pending transfer and resubmit it
+   * @param {string} transferOrderId - Transfer order ID
+   * @param {string} authCode - New EPP/auth code
+   * @returns {Promise<object>} - Result
+   */
+  async updateTransferAuthCode(transferOrderId, authCode) {
+    try {
+      // Auth codes are stored per domain of the order (the order detail), not on the order itself
+      const detail = await this.request('TP_GetOrderDetail', {
+        TransferOrderID: transferOrderId
+      });
+      const detailId = detail.TransferOrderDetailID || detail.transferorderdetailid || transferOrderId;
+
+      await this.request('TP_UpdateOrderDetail', {
+        TransferOrderDetailID: detailId,
+        AuthInfo: authCode,
+        DomainPassword: authCode
+      });
+
+      return {
+        success: true,
+        transferOrderId,
+        message: 'Auth code updated and transfer resubmitted'
+      };
+    } catch (error) {
+      console.error(`eNom update transfer auth code error for ${transferOrderId}:`, error.message);
+      throw error;
+    }
+  }
+
   /**
    * Set domain lock status
    * @param {string} sld - Second level domain
@@ -1583,6 +1942,21 @@ class EnomAPI {
       throw new Error('Minimum refill amount is $' + MIN_REFILL);
     }
 
+    // The simulator accepts refills without a stored card
+    if (this.env === 'simulator') {
+      const response = await this.request('RefillAccount', { CCAmount: amount.toFixed(2), debit: 'true' });
+      const feeAmount = amount * CC_FEE_PERCENT;
+      return {
+        success: true,
+        requestedAmount: amount,
+        feePercent: CC_FEE_PERCENT * 100,
+        feeAmount: parseFloat(feeAmount.toFixed(2)),
+        netAmount: parseFloat((amount - feeAmount).toFixed(2)),
+        transactionId: response.TransactionID,
+        message: 'Account refilled successfully (simulator)'
+      };
+    }
+
     // Load encrypted card details using lazy-loaded crypto module
     const { loadCredentials, credentialsExist } = getCryptoModule();
     const encryptionKey = process.env.ENOM_CC_KEY;
@@ -1811,7 +2185,7 @@ class EnomAPI {
       }
 
       if (!dryRun) {
-        const renewResult = await this.renewDomain(sld, tld, years, { mode });
+        const renewResult = await this.renewDomain(sld, tld, years, { mode, orderId: options.orderId });
         result.renewResult = renewResult;
         result.success = true;
         const finalBalance = await this.getDetailedBalance();
@@ -1829,6 +2203,42 @@ class EnomAPI {
     }
   }
 
+  /**
+   * Smart domain restore (redemption) with automatic balance management
+   */
+  async smartRestore(sld, tld, cost, options = {}) {
+    const { autoRefill = true, mode } = options;
+    const result = { success: false };
+
+    try {
+      const balanceInfo = await this.getDetailedBalance();
+      result.currentBalance = balanceInfo.availableBalance;
+
+      const refillCalc = this.calculateRefillNeeded(cost, balanceInfo.availableBalance);
+      result.refillCalculation = refillCalc;
+
+      if (refillCalc.needsRefill) {
+        if (!autoRefill) {
+          throw new Error(`Insufficient balance for restore. Need $${cost}, have $${balanceInfo.availableBalance}`);
+        }
+        result.refillResult = await this.refillAccount(refillCalc.refillAmount);
+
+        const verifyBalance = await this.getDetailedBalance();
+        if (verifyBalance.availableBalance < cost) {
+          throw new Error(`Refill processed but balance insufficient for restore`);
+        }
+      }
+
+      result.restoreResult = await this.restoreDomain(sld, tld, { mode, orderId: options.orderId });
+      result.success = true;
+      return result;
+    } catch (error) {
+      result.success = false;
+      result.error = error.message;
+      throw error;
+    }
+  }
+
   /**
    * Smart domain transfer with automatic balance management
    */
@@ -2085,6 +2495,11 @@ class EnomAPI {
       return { tld: tldLower, hasRequirements: false, attributes: [], requiredCount: 0 };
     }
 
+    // The simulator has no extended attribute data
+    if (this.env === 'simulator') {
+      return { tld: tldLower, hasRequirements: false, attributes: [], requiredCount: 0 };
+    }
+
     // For unknown TLDs, try to fetch from eNom (fallback)
     const params = {
       tld: tld.toLowerCase(),
@@ -2305,8 +2720,8 @@ class EnomAPI {
     try {
       this.validateDomainParts(sld, tld);
 
-      // Validate email user (local part)
-      if (!emailUser || !/^[a-zA-Z0-9._%+-]+$/.test(emailUser)) {
+      // Validate email user (local part, or "*" for a catch-all)
+      if (!emailUser || (emailUser !== '*' && !/^[a-zA-Z0-9._%+-]+$/.test(emailUser))) {
         throw new Error('Invalid email username format');
       }
 
@@ -2380,7 +2795,7 @@ class EnomAPI {
       const records = [];
 
       // eNom returns host records as HostName1, RecordType1, Address1, MXPref1, etc.
-      for (let i = 1; i <= 50; i++) {
+      for (let i = 1; i <= MAX_HOST_RECORDS; i++) {
         const hostName = response[`HostName${i}`];
         const recordType = response[`RecordType${i}`];
         const address = response[`Address${i}`];
@@ -2388,14 +2803,15 @@ class EnomAPI {
 
         if (!recordType || !address) break;
 
-        records.push({
+        // SRV and CAA records also get their parts (priority/weight/port/target, flags/tag/value)
+        records.push(parseHostRecord({
           id: i,
           hostName: hostName || '@',
           recordType,
           address,
           mxPref: mxPref ? parseInt(mxPref) : null,
           ttl: 300 // eNom default
-        });
+        }));
       }
 
       return {
@@ -2431,18 +2847,17 @@ class EnomAPI {
       records.forEach((record, index) => {
         const i = index + 1;
 
-        // Validate record type
-        const validTypes = ['A', 'AAAA', 'CNAME', 'MX', 'TXT', 'URL', 'URL301', 'Frame'];
-        if (!validTypes.includes(record.recordType)) {
+        // Validate record type (per-type value checks live in utils/dnsRecords)
+        if (!HOST_RECORD_TYPES.includes(record.recordType)) {
           throw new Error(`Invalid record type: ${record.recordType}`);
         }
 
         requestParams[`HostName${i}`] = record.hostName || '@';
         requestParams[`RecordType${i}`] = record.recordType;
-        requestParams[`Address${i}`] = record.address;
+        requestParams[`Address${i}`] = formatHostAddress(record);
 
-        // Add MX preference if applicable
-        if (record.recordType === 'MX' && record.mxPref) {
+        // Add MX preference if applicable (0 is a valid preference)
+        if (record.recordType === 'MX' && record.mxPref != null && record.mxPref !== '') {
           requestParams[`MXPref${i}`] = record.mxPref;
         }
       });
@@ -2778,6 +3193,274 @@ class EnomAPI {
       throw error;
     }
   }
+
+  // ============================================
+  // DNSSEC (DS RECORDS)
+  // ============================================
+
+  /**
+   * Get DS records published at the registry for a domain
+   * @param {string} sld - Second level domain
+   * @param {string} tld - Top level domain
+   * @returns {Promise<object>} - { domainName, records: [{ keyTag, algorithm, digestType, digest }], count }
+   */
+  async getDnssecRecords(sld, tld, options = {}) {
+    try {
+      this.validateDomainParts(sld, tld);
+      const response = await this.request('GetDnsSec', { sld, tld }, { mode: options.mode });
+
+      const records = [];
+
+      // eNom returns DS data as KeyTag1, Algorithm1 (or Alg1), DigestType1, Digest1, etc.
+      for (let i = 1; i <= 20; i++) {
+        const keyTag = response[`KeyTag${i}`];
+        const algorithm = response[`Algorithm${i}`] || response[`Alg${i}`];
+        const digestType = response[`DigestType${i}`];
+        const digest = response[`Digest${i}`];
+
+        if (!keyTag || !digest) break;
+
+        records.push({
+          keyTag: parseInt(keyTag),
+          algorithm: parseInt(algorithm),
+          digestType: parseInt(digestType),
+          digest: digest.toUpperCase()
+        });
+      }
+
+      return {
+        domainName: `${sld}.${tld}`,
+        records,
+        count: records.length
+      };
+    } catch (error) {
+      console.error(`eNom get DNSSEC error for ${sld}.${tld}:`, error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Publish a DS record for a domain
+   * @param {string} sld - Second level domain
+   * @param {string} tld - Top level domain
+   * @param {object} record - { keyTag, algorithm, digestType, digest } (validated by utils/dnssec)
+   * @returns {Promise<object>} - Result
+   */
+  async addDnssecRecord(sld, tld, record, options = {}) {
+    try {
+      this.validateDomainParts(sld, tld);
+      const { error, record: ds } = validateDsRecord(record);
+      if (error) {
+        throw new Error(error);
+      }
+
+      await this.request('AddDnsSec', {
+        sld,
+        tld,
+        KeyTag: ds.keyTag,
+        Alg: ds.algorithm,
+        DigestType: ds.digestType,
+        Digest: ds.digest
+      }, { mode: options.mode });
+
+      return {
+        success: true,
+        domainName: `${sld}.${tld}`,
+        record: ds
+      };
+    } catch (error) {
+      console.error(`eNom add DNSSEC error for ${sld}.${tld}:`, error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Remove a published DS record
+   * @param {string} sld - Second level domain
+   * @param {string} tld - Top level domain
+   * @param {object} record - { keyTag, algorithm, digestType, digest } (parsed by utils/dnssec parseDsRecordKey)
+   * @returns {Promise<object>} - Result
+   */
+  async deleteDnssecRecord(sld, tld, record, options = {}) {
+    try {
+      const existing = await this.getDnssecRecords(sld, tld, options);
+      const records = existing.records || [];
+
+      const ds = records.find(published => sameDsRecord(published, record));
+      if (!ds) {
+        throw new Error('DS record not found');
+      }
+
+      await this.request('DeleteDnsSec', {
+        sld,
+        tld,
+        KeyTag: ds.keyTag,
+        Alg: ds.algorithm,
+        DigestType: ds.digestType,
+        Digest: ds.digest
+      }, { mode: options.mode });
+
+      return {
+        success: true,
+        domainName: `${sld}.${tld}`,
+        removed: ds,
+        recordCount: records.length - 1
+      };
+    } catch (error) {
+      console.error(`eNom delete DNSSEC error for ${sld}.${tld}:`, error.message);
+      throw error;
+    }
+  }
+  // ============================================
+  // CHILD NAMESERVERS (GLUE RECORDS)
+  // ============================================
+
+  /**
+   * Look up a registered nameserver host at the registry
+   * @param {string} hostname - Fully qualified host (e.g. ns1.example.com)
+   * @returns {Promise<object|null>} - { hostname, ipv4, ipv6 }, or null if the host is not registered
+   */
+  async getChildNameserver(hostname, options = {}) {
+    try {
+      const response = await this.request('CheckNSStatus', { CheckNSName: hostname }, { mode: options.mode });
+
+      const ipv4 = response.IpAddress || response.IPAddress || response.IPAddress1 || null;
+      const ipv6 = response.IPv6Address || response.IPv6Address1 || null;
+
+      return {
+        hostname: (response.NsName || hostname).toLowerCase(),
+        ipv4,
+        ipv6: ipv6 ? ipv6.toLowerCase() : null
+      };
+    } catch (error) {
+      // eNom reports unknown hosts as an ErrCount response rather than an empty result
+      if (error.enomErrors && /not found|does not exist|not registered|invalid name ?server/i.test(error.message)) {
+        return null;
+      }
+      console.error(`eNom check NS status error for ${hostname}:`, error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Get registry data for the child nameservers of a domain
+   * eNom has no command that lists hosts by parent domain, so callers pass the known hostnames
+   * @param {string} sld - Second level domain
+   * @param {string} tld - Top level domain
+   * @param {Array<string>} hostnames - Hosts to look up
+   * @returns {Promise<object>} - { domainName, nameservers: [{ hostname, ipv4, ipv6, registered }], count }
+   */
+  async listChildNameservers(sld, tld, hostnames, options = {}) {
+    this.validateDomainParts(sld, tld);
+
+    const nameservers = [];
+    for (const hostname of hostnames) {
+      const host = await this.getChildNameserver(hostname, options);
+      nameservers.push(host
+        ? { ...host, registered: true }
+        : { hostname, ipv4: null, ipv6: null, registered: false });
+    }
+
+    return {
+      domainName: `${sld}.${tld}`,
+      nameservers,
+      count: nameservers.length
+    };
+  }
+
+  /**
+   * Register a child nameserver with its glue addresses
+   * @param {string} sld - Second level domain
+   * @param {string} tld - Top level domain
+   * @param {object} host - { hostname, ipv4, ipv6 } (validated by utils/childNameservers)
+   * @returns {Promise<object>} - Result
+   */
+  async registerChildNameserver(sld, tld, host, options = {}) {
+    try {
+      this.validateDomainParts(sld, tld);
+
+      const params = { sld, tld, Add: host.hostname };
+      if (host.ipv4) params.IP = host.ipv4;
+      if (host.ipv6) params.IPv6 = host.ipv6;
+
+      await this.request('RegisterNameServer', params, { mode: options.mode });
+
+      return {
+        success: true,
+        domainName: `${sld}.${tld}`,
+        nameserver: host
+      };
+    } catch (error) {
+      console.error(`eNom register nameserver error for ${host.hostname}:`, error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Change the glue addresses of a child nameserver
+   * @param {string} sld - Second level domain
+   * @param {string} tld - Top level domain
+   * @param {object} host - { hostname, ipv4, ipv6 } with the new addresses
+   * @returns {Promise<object>} - Result including the previous addresses
+   */
+  async updateChildNameserver(sld, tld, host, options = {}) {
+    try {
+      this.validateDomainParts(sld, tld);
+
+      const current = await this.getChildNameserver(host.hostname, options);
+      if (!current) {
+        throw new Error(`Nameserver ${host.hostname} is not registered`);
+      }
+
+      const params = { sld, tld, NS: host.hostname };
+      if (host.ipv4 !== current.ipv4) {
+        params.OldIP = current.ipv4 || '';
+        params.NewIP = host.ipv4 || '';
+      }
+      if (host.ipv6 !== current.ipv6) {
+        params.OldIPv6 = current.ipv6 || '';
+        params.NewIPv6 = host.ipv6 || '';
+      }
+
+      if (params.NewIP !== undefined || params.NewIPv6 !== undefined) {
+        await this.request('UpdateNameServer', params, { mode: options.mode });
+      }
+
+      return {
+        success: true,
+        domainName: `${sld}.${tld}`,
+        nameserver: host,
+        previous: current
+      };
+    } catch (error) {
+      console.error(`eNom update nameserver error for ${host.hostname}:`, error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete a child nameserver from the registry
+   * The registry rejects this while any domain still delegates to the host
+   * @param {string} sld - Second level domain
+   * @param {string} tld - Top level domain
+   * @param {string} hostname - Host to delete
+   * @returns {Promise<object>} - Result
+   */
+  async deleteChildNameserver(sld, tld, hostname, options = {}) {
+    try {
+      this.validateDomainParts(sld, tld);
+      await this.request('DeleteNameServer', { sld, tld, NS: hostname }, { mode: options.mode });
+
+      return {
+        success: true,
+        domainName: `${sld}.${tld}`,
+        hostname
+      };
+    } catch (error) {
+      console.error(`eNom delete nameserver error for ${hostname}:`, error.message);
+      throw error;
+    }
+  }
 }
 
 module.exports = new EnomAPI();
@@ -1,18 +1,80 @@
 /**
  * Background Job Scheduler
  * Handles scheduled tasks like domain sync, expiration notifications, etc.
+ * Every run is recorded in job_runs (utils/jobRuns) with its outcome, counts and errors;
+ * failed runs are retried with backoff. Handlers take a run context for progress and
+ * cancellation and return their counts.
+ * Several instances can run the scheduler: a run only starts on the instance holding the
+ * job's lease (utils/jobLeases), and autoRenew claims each domain before charging it.
  */
 
 const cron = require('node-cron');
 const email = require('../email');
-const enom = require('../enom');
+const registrars = require('../registrars');
+const { isTransferredAway, completeTransferOut } = require('../../utils/transferOut');
+const { ACTIVE_TRANSFER_STATUSES, mapRegistrarTransferStatus, setTransferStatus } = require('../../utils/transferIn');
+const { loadPremiumSettings } = require('../../utils/premiumPricing');
+const { deriveLifecycleStatus, loadLifecyclePricing, quoteRenewal } = require('../../utils/domainLifecycle');
+const { loadAutoRenewDefaults, resolveAutoRenewPreferences } = require('../../utils/autoRenew');
+const {
+  UNRESOLVED_STATUSES, loadReconciliationSettings, releaseStaleReconciliationClaims, getDueReconciliations,
+  processReconciliation, completeChargedRenewal, queueRenewalReconciliation
+} = require('../../utils/renewalReconciliation');
+const {
+  handleFailedRenewalPayment, closeDunning, closeRenewedDunning, recordPaymentAttempt
+} = require('../../utils/renewalDunning');
+const { requestRenewalAuthentication, expireRenewalAuthentications } = require('../../utils/renewalAuthentication');
+const { WATCH_CHECK_BATCH_SIZE, getDueWatches, markWatchChecked, handleAvailableWatch } = require('../../utils/watchlist');
+const {
+  NO_RUN, loadJobRunSettings, createJobRun, startJobRun, finishJobRun, queueJobRetry, getDueJobRuns,
+  createRunContext, requestJobRunCancel, failInterruptedJobRuns, pruneJobRuns, getJobSummaries
+} = require('../../utils/jobRuns');
+const {
+  INSTANCE_ID, JOB_LEASE_RENEW_MS, acquireJobLease, renewJobLease, releaseJobLease, getActiveJobLeases
+} = require('../../utils/jobLeases');
+
+// How often queued runs (retries, manual triggers) are checked for
+const QUEUE_POLL_MS = 30 * 1000;
+
+// How often old run history is pruned
+const PRUNE_INTERVAL_MS = 24 * 60 * 60 * 1000;
+
+// How long autoRenew's claim on a domain lasts; a crashed worker's claim expires after this
+const AUTO_RENEW_CLAIM_MINUTES = 15;
+
+// Domains the autoRenew job should renew now: $1 eNom mode, $2 default days before expiry,
+// $3 unresolved reconciliation statuses. Checked again when each domain is claimed.
+const AUTO_RENEW_DUE_CONDITIONS = `
+        d.status = 'active'
+        AND d.auto_renew = true
+        AND (d.enom_mode = $1 OR d.enom_mode IS NULL)
+        AND d.expiration_date BETWEEN CURRENT_DATE
+          AND CURRENT_DATE + make_interval(days => COALESCE(d.auto_renew_days_before, $2))
+        AND (u.default_payment_method_id IS NOT NULL OR d.auto_renew_payment_method_id IS NOT NULL)
+        AND NOT EXISTS (
+          SELECT 1 FROM domain_transfers_out t WHERE t.domain_id = d.id AND t.status = 'pending'
+        )
+        AND NOT EXISTS (
+          SELECT 1 FROM renewal_reconciliations r WHERE r.domain_id = d.id AND r.status = ANY($3)
+        )
+        AND NOT EXISTS (
+          SELECT 1 FROM renewal_dunning rd
+          WHERE rd.domain_id = d.id AND rd.status = 'active' AND rd.next_attempt_date > CURRENT_DATE
+        )
+        AND NOT EXISTS (
+          SELECT 1 FROM renewal_authentications ra WHERE ra.domain_id = d.id AND ra.status = 'pending'
+        )`;
 
 class JobScheduler {
   constructor() {
     this.jobs = new Map();
     this.cronJobs = new Map();
+    this.activeRuns = new Map(); // job name -> { runId, context }
     this.running = false;
     this.pool = null;
+    this.queueTimer = null;
+    this.checkingQueue = false;
+    this.lastPrunedAt = null;
   }
 
   /**
@@ -24,6 +86,28 @@ class JobScheduler {
     console.log('Job scheduler initialized');
   }
 
+  /**
+   * Mark runs whose instance has lost the job's lease (crashed, restarted or hung) as
+   * failed and retry them like any other failure. Only processes that schedule jobs do
+   * this (not one-off scripts), at startup and on every queue check.
+   */
+  async recoverInterruptedRuns() {
+    if (!this.pool) return;
+
+    try {
+      const interrupted = await failInterruptedJobRuns(this.pool);
+      if (interrupted.length > 0) {
+        const settings = await loadJobRunSettings(this.pool);
+        for (const run of interrupted) {
+          await queueJobRetry(this.pool, run, settings);
+        }
+        console.log(`[Job] Marked ${interrupted.length} interrupted run(s) as failed: ${interrupted.map(run => `${run.job_name} #${run.id}`).join(', ')}`);
+      }
+    } catch (error) {
+      console.error('[Job] Failed to recover interrupted runs:', error.message);
+    }
+  }
+
   /**
    * Start all scheduled jobs
    */
@@ -54,6 +138,19 @@ class JobScheduler {
     // Expire pending domain push requests - every hour
     this.scheduleCron('expirePushRequests', '30 * * * *', this.expirePushRequests.bind(this));
 
+    // Purge eNom API call logs past the retention period - daily at 4 AM
+    this.scheduleCron('cleanEnomApiLogs', '0 4 * * *', this.cleanEnomApiLogs.bind(this));
+
+    // Re-check watchlist domains that are due - every hour at :15
+    this.scheduleCron('watchDomains', '15 * * * *', this.watchDomains.bind(this));
+
+    // Retry charged auto-renewals that failed at the registrar - every 15 minutes
+    this.scheduleCron('reconcileRenewals', '*/15 * * * *', this.reconcileRenewals.bind(this));
+
+    // Retries of failed runs and manual triggers are queued in job_runs
+    this.recoverInterruptedRuns();
+    this.queueTimer = setInterval(() => this.runQueuedJobs(), QUEUE_POLL_MS);
+
     console.log('Job scheduler started with', this.cronJobs.size, 'cron jobs');
   }
 
@@ -76,6 +173,9 @@ class JobScheduler {
     }
     this.cronJobs.clear();
 
+    clearInterval(this.queueTimer);
+    this.queueTimer = null;
+
     console.log('Job scheduler stopped');
   }
 
@@ -83,7 +183,7 @@ class JobScheduler {
    * Schedule a cron-based job
    * @param {string} name - Job name
    * @param {string} cronExpression - Cron expression (e.g., '0 3 * * *' for 3 AM daily)
-   * @param {Function} handler - Job handler function
+   * @param {Function} handler - Job handler function, called with the run context
    */
   scheduleCron(name, cronExpression, handler) {
     const task = cron.schedule(cronExpression, async () => {
@@ -97,10 +197,7 @@ class JobScheduler {
       name,
       cronExpression,
       handler,
-      task,
-      lastRun: null,
-      runCount: 0,
-      errors: []
+      task
     });
 
     console.log(`Scheduled cron job: ${name} (${cronExpression}) - Timezone: America/New_York`);
@@ -124,57 +221,154 @@ class JobScheduler {
       name,
       intervalMs,
       handler,
-      intervalId,
-      lastRun: new Date(),
-      runCount: 0,
-      errors: []
+      intervalId
     });
 
     console.log(`Scheduled interval job: ${name} (every ${intervalMs / 1000}s)`);
   }
 
   /**
-   * Run a job with error handling
+   * Run a job, recording the run in job_runs
+   * A run that throws is retried with backoff (see utils/jobRuns). A job that is
+   * already running - in this process, or on another instance holding its lease - is
+   * skipped rather than run twice at once, as is a cron tick another instance already ran.
    * @param {string} name - Job name
    * @param {Function} handler - Job handler
+   * @param {object} options - { trigger, triggeredBy, queuedRun } (queuedRun: a job_runs row to start)
+   * @returns {Promise<object|null>} - The run, or null if it didn't start
    */
-  async runJob(name, handler) {
-    // Check both interval jobs and cron jobs
-    const job = this.jobs.get(name) || this.cronJobs.get(name);
-    const startTime = Date.now();
+  async runJob(name, handler, { trigger = 'schedule', triggeredBy = null, queuedRun = null } = {}) {
+    if (!this.pool) return null;
+
+    if (this.activeRuns.has(name)) {
+      console.log(`[Job] Skipped: ${name} is already running`);
+      return null;
+    }
+    // Claimed before the first await so a second tick can't slip in
+    const active = { runId: null, context: null };
+    this.activeRuns.set(name, active);
 
+    let run;
     try {
-      console.log(`[Job] Running: ${name}`);
-      await handler();
+      const leased = await acquireJobLease(this.pool, name, { scheduled: !queuedRun && trigger === 'schedule' });
+      if (!leased) {
+        console.log(`[Job] Skipped: ${name} is running or already ran on another instance`);
+        this.activeRuns.delete(name);
+        return null;
+      }
+
+      run = queuedRun
+        ? await startJobRun(this.pool, queuedRun.id)
+        : await createJobRun(this.pool, { jobName: name, trigger, triggeredBy });
+    } catch (error) {
+      console.error(`[Job] Failed to record run of ${name}:`, error.message);
+    }
+    if (!run) {
+      await this.releaseLease(name);
+      this.activeRuns.delete(name);
+      return null;
+    }
+
+    const context = createRunContext(this.pool, run);
+    active.runId = run.id;
+    active.context = context;
+    const startTime = Date.now();
 
-      if (job) {
-        job.lastRun = new Date();
-        job.runCount++;
-        job.lastDuration = Date.now() - startTime;
+    // Keep the lease while the job runs. If it was lost (this process stalled past its
+    // expiry and another instance took over), stop at the next checkpoint.
+    const leaseTimer = setInterval(async () => {
+      try {
+        if (!await renewJobLease(this.pool, name)) {
+          console.error(`[Job] Lost the lease on ${name} (run #${run.id}), stopping`);
+          context.cancel();
+        }
+      } catch (error) {
+        console.error(`[Job] Failed to renew the lease on ${name}:`, error.message);
       }
+    }, JOB_LEASE_RENEW_MS);
+
+    try {
+      console.log(`[Job] Running: ${name} (run #${run.id}${run.attempt > 1 ? `, attempt ${run.attempt}` : ''})`);
+      const result = await handler(context);
+
+      const status = context.cancelled ? 'cancelled' : 'succeeded';
+      await finishJobRun(this.pool, run.id, { status, result: result || null });
 
-      console.log(`[Job] Completed: ${name} (${Date.now() - startTime}ms)`);
+      console.log(`[Job] ${status === 'cancelled' ? 'Cancelled' : 'Completed'}: ${name} (${Date.now() - startTime}ms)`);
     } catch (error) {
       console.error(`[Job] Error in ${name}:`, error.message);
 
-      if (job) {
-        job.errors.push({
-          time: new Date(),
-          message: error.message
-        });
-        // Keep only last 10 errors
-        if (job.errors.length > 10) {
-          job.errors.shift();
+      try {
+        const failed = await finishJobRun(this.pool, run.id, { status: 'failed', error });
+        const retry = failed && !context.cancelled
+          ? await queueJobRetry(this.pool, failed, await loadJobRunSettings(this.pool))
+          : null;
+        if (retry) {
+          console.log(`[Job] Retry ${retry.attempt - 1} of ${name} queued for ${new Date(retry.scheduled_at).toISOString()}`);
         }
+      } catch (recordError) {
+        console.error(`[Job] Failed to record failure of ${name}:`, recordError.message);
       }
+    } finally {
+      clearInterval(leaseTimer);
+      await this.releaseLease(name);
+      this.activeRuns.delete(name);
+    }
+
+    return run;
+  }
+
+  async releaseLease(name) {
+    try {
+      await releaseJobLease(this.pool, name);
+    } catch (error) {
+      // The lease expires on its own
+      console.error(`[Job] Failed to release the lease on ${name}:`, error.message);
     }
   }
 
   /**
-   * Get job status
-   * @returns {Array} - Job status array
+   * Fail interrupted runs, start queued runs that are due and prune old history once a day
    */
-  getStatus() {
+  async runQueuedJobs() {
+    if (!this.pool || this.checkingQueue) return;
+    this.checkingQueue = true;
+
+    try {
+      await this.recoverInterruptedRuns();
+
+      const due = await getDueJobRuns(this.pool);
+      for (const run of due) {
+        const job = this.jobs.get(run.job_name) || this.cronJobs.get(run.job_name);
+        if (!job) continue;
+        // Not awaited: queued runs of different jobs run side by side, like cron ticks
+        this.runJob(run.job_name, job.handler, { queuedRun: run });
+      }
+
+      if (!this.lastPrunedAt || Date.now() - this.lastPrunedAt > PRUNE_INTERVAL_MS) {
+        this.lastPrunedAt = Date.now();
+        const settings = await loadJobRunSettings(this.pool);
+        const pruned = await pruneJobRuns(this.pool, settings.retentionDays);
+        if (pruned > 0) {
+          console.log(`[Job] Pruned ${pruned} run(s) older than ${settings.retentionDays} days`);
+        }
+      }
+    } catch (error) {
+      console.error('[Job] Failed to check queued runs:', error.message);
+    } finally {
+      this.checkingQueue = false;
+    }
+  }
+
+  /**
+   * Get job status: schedule, last run, last success, queued/running runs and the
+   * instance holding the job's lease
+   * @returns {Promise<Array>} - Job status array
+   */
+  async getStatus() {
+    const summaries = this.pool ? await getJobSummaries(this.pool) : new Map();
+    const leases = this.pool ? await getActiveJobLeases(this.pool) : new Map();
+    const emptySummary = { lastRun: null, lastSuccess: null, activeRuns: [] };
     const status = [];
 
     // Interval-based jobs
@@ -183,10 +377,8 @@ class JobScheduler {
         name,
         type: 'interval',
         intervalMs: job.intervalMs,
-        lastRun: job.lastRun,
-        lastDuration: job.lastDuration,
-        runCount: job.runCount,
-        recentErrors: job.errors.slice(-3)
+        ...(summaries.get(name) || emptySummary),
+        lease: leases.get(name) || null
       });
     }
 
@@ -196,27 +388,63 @@ class JobScheduler {
         name,
         type: 'cron',
         cronExpression: job.cronExpression,
-        lastRun: job.lastRun,
-        lastDuration: job.lastDuration,
-        runCount: job.runCount,
-        recentErrors: job.errors.slice(-3)
+        ...(summaries.get(name) || emptySummary),
+        lease: leases.get(name) || null
       });
     }
 
+    // Jobs with history that aren't scheduled in this process
+    for (const [name, summary] of summaries) {
+      if (!this.jobs.has(name) && !this.cronJobs.has(name)) {
+        status.push({ name, type: null, ...summary, lease: leases.get(name) || null });
+      }
+    }
+
     return status;
   }
 
   /**
    * Manually trigger a job
+   * The run is queued and started in the background; follow it in job_runs.
    * @param {string} name - Job name
+   * @param {number} userId - Admin who triggered it
+   * @returns {Promise<object>} - The queued run
    */
-  async trigger(name) {
+  async trigger(name, userId = null) {
     // Check both interval and cron jobs
     const job = this.jobs.get(name) || this.cronJobs.get(name);
     if (!job) {
       throw new Error(`Job not found: ${name}`);
     }
-    await this.runJob(name, job.handler);
+    if (this.activeRuns.has(name)) {
+      throw new Error(`Job ${name} is already running`);
+    }
+    const lease = (await getActiveJobLeases(this.pool)).get(name);
+    if (lease) {
+      throw new Error(`Job ${name} is already running on ${lease.holder}`);
+    }
+
+    const run = await createJobRun(this.pool, { jobName: name, trigger: 'manual', status: 'queued', triggeredBy: userId });
+    this.runJob(name, job.handler, { queuedRun: run });
+    return run;
+  }
+
+  /**
+   * Cancel a queued or running run
+   * A running job stops at its next progress check; jobs that don't report progress
+   * finish their current pass first.
+   * @returns {Promise<object|null>} - The run, or null if it isn't queued or running
+   */
+  async cancel(runId, userId) {
+    const run = await requestJobRunCancel(this.pool, runId, userId);
+    if (!run) return null;
+
+    for (const active of this.activeRuns.values()) {
+      if (active.runId === runId) {
+        active.context.cancel();
+      }
+    }
+    return run;
   }
 
   // ===== JOB HANDLERS =====
@@ -225,16 +453,20 @@ class JobScheduler {
    * Sync domains with eNom - fetches all available data
    * Only syncs domains that match the current eNom mode
    */
-  async syncDomains() {
+  async syncDomains(run = NO_RUN) {
     if (!this.pool) return;
 
+    // Finish outgoing transfers first so domains that have left aren't synced as active
+    await this.syncOutboundTransfers();
+
     // Get current eNom mode
-    const currentMode = enom.getMode().mode;
+    const currentMode = registrars.getDefault().getMode().mode;
 
-    // Get domains that need syncing (not synced in 6 hours) and match current mode
+    // Get domains that need syncing (not synced in 6 hours) and match current mode.
+    // Expired domains keep syncing until they're pending delete so their lifecycle stage stays current
     const result = await this.pool.query(`
-      SELECT id, domain_name, tld, enom_mode FROM domains
-      WHERE status IN ('active', 'pending')
+      SELECT id, domain_name, tld, enom_mode, registrar FROM domains
+      WHERE status IN ('active', 'pending', 'expired', 'grace', 'redemption')
         AND (enom_mode = $1 OR enom_mode IS NULL)
         AND (last_synced_at IS NULL OR last_synced_at < NOW() - INTERVAL '6 hours')
       ORDER BY last_synced_at ASC NULLS FIRST
@@ -243,10 +475,14 @@ class JobScheduler {
 
     console.log(`[domainSync] Found ${result.rows.length} domains to sync`);
 
+    const lifecyclePricing = await loadLifecyclePricing(this.pool, result.rows.map(d => d.tld));
+
     let synced = 0;
     let failed = 0;
 
-    for (const domain of result.rows) {
+    for (const [index, domain] of result.rows.entries()) {
+      if (await run.progress(index, result.rows.length, `${domain.domain_name}.${domain.tld}`)) break;
+
       // Declare outside try block so they're accessible in catch for error logging
       const sld = domain.domain_name;
       const tld = domain.tld;
@@ -255,7 +491,7 @@ class JobScheduler {
       try {
 
         // Fetch comprehensive data from eNom (5 API calls in parallel)
-        const data = await enom.getFullDomainData(sld, tld, { mode: domainMode });
+        const data = await registrars.forDomain(domain).getFullDomainData(sld, tld, { mode: domainMode });
 
         // Parse expiration date (format: "8/18/2026 11:59:00 PM")
         let expDate = null;
@@ -266,13 +502,8 @@ class JobScheduler {
           }
         }
 
-        // Determine status
-        let status = 'active';
-        if (data.status === 'Expired') {
-          status = 'expired';
-        } else if (expDate && new Date(expDate) < new Date()) {
-          status = 'expired';
-        }
+        // Determine status, including grace/redemption/pending delete once expired
+        const status = deriveLifecycleStatus(data.status, expDate, lifecyclePricing.get(tld) || {});
 
         // Note: We preserve local auto_renew setting - it controls OUR renewal system,
         // separate from eNom's auto-renew which is handled at the registrar level
@@ -309,12 +540,67 @@ class JobScheduler {
     }
 
     console.log(`[domainSync] Complete - Synced: ${synced}, Failed: ${failed}`);
+    return { synced, failed };
+  }
+
+  /**
+   * Detect completed outgoing transfers
+   * The registrar doesn't report transfers away, so a pending transfer is complete once
+   * the domain can no longer be found in the account.
+   */
+  async syncOutboundTransfers() {
+    const result = await this.pool.query(`
+      SELECT t.*, d.enom_mode, d.registrar
+      FROM domain_transfers_out t
+      JOIN domains d ON d.id = t.domain_id
+      WHERE t.status = 'pending'
+      ORDER BY t.last_checked_at ASC NULLS FIRST
+    `);
+
+    let completed = 0;
+
+    for (const transfer of result.rows) {
+      const sld = transfer.domain_name;
+      const tld = transfer.tld;
+
+      let lookup;
+      try {
+        const info = await registrars.forDomain(transfer).getDomainInfo(sld, tld, { mode: transfer.enom_mode || 'test' });
+        lookup = { info };
+      } catch (error) {
+        lookup = { error };
+      }
+
+      try {
+        if (isTransferredAway(lookup)) {
+          await completeTransferOut(this.pool, transfer);
+          completed++;
+          console.log(`[domainSync] Transfer away complete: ${sld}.${tld}`);
+        } else {
+          if (lookup.error) {
+            console.error(`[domainSync] Failed to check transfer away of ${sld}.${tld}:`, lookup.error.message);
+          }
+          await this.pool.query(
+            'UPDATE domain_transfers_out SET last_checked_at = CURRENT_TIMESTAMP WHERE id = $1',
+            [transfer.id]
+          );
+        }
+      } catch (error) {
+        console.error(`[domainSync] Failed to update transfer away of ${sld}.${tld}:`, error.message);
+      }
+
+      await new Promise(resolve => setTimeout(resolve, 500));
+    }
+
+    if (result.rows.length > 0) {
+      console.log(`[domainSync] Outgoing transfers - Checked: ${result.rows.length}, Completed: ${completed}`);
+    }
   }
 
   /**
    * Send domain expiration notifications
    */
-  async sendExpirationNotifications() {
+  async sendExpirationNotifications(run = NO_RUN) {
     if (!this.pool) return;
 
     // Get setting for notification days
@@ -336,7 +622,9 @@ class JobScheduler {
 
     let sent = 0;
 
-    for (const domain of result.rows) {
+    for (const [index, domain] of result.rows.entries()) {
+      if (await run.progress(index, result.rows.length, domain.domain_name)) break;
+
       try {
         const daysLeft = Math.ceil((new Date(domain.expiration_date) - new Date()) / (1000 * 60 * 60 * 24));
 
@@ -357,6 +645,7 @@ class JobScheduler {
     }
 
     console.log(`[expirationNotifications] Sent: ${sent} notifications`);
+    return { checked: result.rows.length, sent };
   }
 
   /**
@@ -371,70 +660,56 @@ class JobScheduler {
     `);
 
     console.log(`[cleanCart] Removed: ${result.rowCount} expired cart items`);
+    return { removed: result.rowCount };
   }
 
   /**
-   * Sync pending domain transfers
+   * Purge eNom API call logs older than enom_api_log_retention_days
    */
-  async syncPendingTransfers() {
+  async cleanEnomApiLogs() {
+    if (!this.pool) return;
+
+    const setting = await this.pool.query(
+      "SELECT value FROM app_settings WHERE key = 'enom_api_log_retention_days'"
+    );
+    const retentionDays = parseInt(setting.rows[0]?.value) || 30;
+
+    const result = await this.pool.query(
+      "DELETE FROM enom_api_logs WHERE created_at < CURRENT_TIMESTAMP - INTERVAL '1 day' * $1",
+      [retentionDays]
+    );
+
+    console.log(`[cleanEnomApiLogs] Removed: ${result.rowCount} API log entries older than ${retentionDays} days`);
+    return { removed: result.rowCount };
+  }
+
+  /**
+   * Sync submitted domain transfers with the registrar
+   * Each stage change is recorded and emailed to the customer (see utils/transferIn.js)
+   */
+  async syncPendingTransfers(run = NO_RUN) {
     if (!this.pool) return;
 
-    // Get pending transfers
     const result = await this.pool.query(`
       SELECT * FROM domain_transfers
-      WHERE status IN ('pending', 'processing')
+      WHERE status = ANY($1) AND enom_transfer_id IS NOT NULL
       ORDER BY created_at ASC
-    `);
+    `, [ACTIVE_TRANSFER_STATUSES]);
 
     let updated = 0;
 
-    for (const transfer of result.rows) {
-      if (!transfer.enom_transfer_id) continue;
+    for (const [index, transfer] of result.rows.entries()) {
+      if (await run.progress(index, result.rows.length, transfer.domain_name)) break;
 
       try {
-        const status = await enom.getTransferStatus(transfer.enom_transfer_id);
-
-        // Map eNom status to our status
-        let newStatus = transfer.status;
-        if (status.status === 'Completed') {
-          newStatus = 'completed';
-        } else if (status.status === 'Cancelled' || status.status === 'Failed') {
-          newStatus = 'failed';
-        } else if (status.status === 'Processing' || status.status === 'Pending') {
-          newStatus = 'processing';
-        }
+        const status = await registrars.getDefault().getTransferStatus(transfer.enom_transfer_id);
+        const newStatus = mapRegistrarTransferStatus(status);
 
         if (newStatus !== transfer.status) {
-          await this.pool.query(`
-            UPDATE domain_transfers SET
-              status = $1,
-              transfer_completed_at = CASE WHEN $1 = 'completed' THEN CURRENT_TIMESTAMP ELSE NULL END,
-              error_message = $2,
-              updated_at = CURRENT_TIMESTAMP
-            WHERE id = $3
-          `, [newStatus, status.statusDescription, transfer.id]);
-
-          // If completed, update domain record
-          if (newStatus === 'completed') {
-            await this.pool.query(`
-              UPDATE domains SET status = 'active', updated_at = CURRENT_TIMESTAMP
-              WHERE domain_name = $1
-            `, [transfer.domain_name]);
-
-            // Send completion email
-            const userResult = await this.pool.query(
-              'SELECT email, username FROM users WHERE id = $1',
-              [transfer.user_id]
-            );
-            if (userResult.rows[0]) {
-              await email.sendTransferComplete(userResult.rows[0].email, {
-                domain: transfer.domain_name,
-                username: userResult.rows[0].username
-              });
-            }
-          }
-
+          await setTransferStatus(this.pool, transfer, newStatus, status.statusDescription);
           updated++;
+        } else if ((status.statusDescription || null) !== transfer.error_message) {
+          await setTransferStatus(this.pool, transfer, newStatus, status.statusDescription, { notify: false });
         }
       } catch (error) {
         console.error(`Failed to sync transfer ${transfer.enom_transfer_id}:`, error.message);
@@ -442,61 +717,95 @@ class JobScheduler {
     }
 
     console.log(`[syncTransfers] Updated: ${updated} transfers`);
+    return { checked: result.rows.length, updated };
   }
 
   /**
    * Auto-renew domains that are expiring soon and have auto_renew enabled
    * Flow: 1) Charge customer via Stripe, 2) Renew at eNom, 3) Update database
+   * A failed charge is retried on the dunning schedule (utils/renewalDunning)
+   * A charge the bank wants authenticated is emailed to the customer to complete (utils/renewalAuthentication)
+   * Each domain is claimed before it is charged, so a second worker (or run-auto-renew.js)
+   * skips it instead of charging it again
    * Only processes domains that match the current eNom mode
    */
-  async autoRenewDomains() {
+  async autoRenewDomains(run = NO_RUN) {
     if (!this.pool) return;
 
     // Get current eNom mode
-    const currentMode = enom.getMode().mode;
+    const currentMode = registrars.getDefault().getMode().mode;
     console.log(`[autoRenew] Running in ${currentMode} mode`);
 
     // Import stripe charger function
     const stripeRouter = require('../../routes/stripe');
     const chargeForAutoRenewal = stripeRouter.chargeForAutoRenewal;
 
-    // Get domains expiring in the next 30 days with auto_renew enabled
+    // Domains without their own term or renewal window use the site defaults
+    const defaults = await loadAutoRenewDefaults(this.pool);
+
+    // Dunning cycles for domains renewed some other way are over
+    const closedDunning = await closeRenewedDunning(this.pool);
+    if (closedDunning > 0) {
+      console.log(`[autoRenew] Closed ${closedDunning} dunning cycle(s) for domains already renewed`);
+    }
+
+    const expiredAuthentications = await expireRenewalAuthentications(this.pool);
+    if (expiredAuthentications > 0) {
+      console.log(`[autoRenew] Expired ${expiredAuthentications} uncompleted payment authentication(s)`);
+    }
+
+    // Get domains with auto_renew enabled that are inside their renewal window
     // Also check that user has a payment method on file and matches current eNom mode
     const result = await this.pool.query(`
       SELECT d.*, u.email, u.username, u.id as user_id, u.default_payment_method_id,
              d.auto_renew_payment_method_id
       FROM domains d
       JOIN users u ON d.user_id = u.id
-      WHERE d.status = 'active'
-        AND d.auto_renew = true
-        AND (d.enom_mode = $1 OR d.enom_mode IS NULL)
-        AND d.expiration_date BETWEEN CURRENT_DATE AND CURRENT_DATE + INTERVAL '30 days'
-        AND (u.default_payment_method_id IS NOT NULL OR d.auto_renew_payment_method_id IS NOT NULL)
+      WHERE ${AUTO_RENEW_DUE_CONDITIONS}
       ORDER BY d.expiration_date ASC
-    `, [currentMode]);
+    `, [currentMode, defaults.daysBefore, UNRESOLVED_STATUSES]);
 
     console.log(`[autoRenew] Found ${result.rows.length} domains to auto-renew`);
 
     let renewed = 0;
     let failed = 0;
+    let skipped = 0;
     let noPaymentMethod = 0;
 
-    for (const domain of result.rows) {
+    for (const [index, domain] of result.rows.entries()) {
       const sld = domain.domain_name;
       const tld = domain.tld;
       const fullDomain = `${sld}.${tld}`;
-      const domainMode = domain.enom_mode || 'test';
+
+      // Stop between domains, never between a charge and its renewal
+      if (await run.progress(index, result.rows.length, fullDomain)) break;
+
+      // Claimed elsewhere, or no longer due (renewed, or a payment failed) since the list was read
+      const claimed = await this.claimAutoRenewDomain(domain.id, [currentMode, defaults.daysBefore, UNRESOLVED_STATUSES]);
+      if (!claimed) {
+        console.log(`[autoRenew] Skipped ${fullDomain}: being renewed elsewhere or no longer due`);
+        skipped++;
+        continue;
+      }
+
+      // Set once the card is charged: from then on a failure must be reconciled, not reported as failed
+      let charge = null;
+      let holdClaim = false;
 
       try {
-        // Get renewal price from TLD pricing (customer sale price)
+        // Price the domain's chosen term the same way a cart renewal is priced
         const pricingResult = await this.pool.query(
-          'SELECT price_renew, cost_renew FROM tld_pricing WHERE tld = $1',
+          'SELECT * FROM tld_pricing WHERE tld = $1',
           [tld]
         );
-        const customerPrice = parseFloat(pricingResult.rows[0]?.price_renew || 15);
-        const enomCost = parseFloat(pricingResult.rows[0]?.cost_renew || 10);
+        const pricing = pricingResult.rows[0] || { price_renew: 15, cost_renew: 10 };
+        const prefs = resolveAutoRenewPreferences(domain, defaults);
+        const years = Math.min(prefs.years, parseInt(pricing.max_years) || prefs.years);
+        const quote = quoteRenewal(domain, pricing, years);
+        const customerPrice = quote.price;
+        const enomCost = quote.cost;
 
-        console.log(`[autoRenew] Processing ${fullDomain} - Customer: $${customerPrice}, eNom: $${enomCost}`);
+        console.log(`[autoRenew] Processing ${fullDomain} for ${years} year(s) - Customer: $${customerPrice}${quote.promoApplied ? ' (promo)' : ''}, eNom: $${enomCost}`);
 
         // STEP 1: Charge customer's saved payment method
         const paymentMethodId = domain.auto_renew_payment_method_id || domain.default_payment_method_id;
@@ -511,95 +820,66 @@ class JobScheduler {
         if (!chargeResult.success) {
           console.error(`[autoRenew] Payment failed for ${fullDomain}: ${chargeResult.error}`);
 
-          // Disable auto-renew if card declined or requires action
-          if (chargeResult.cardDeclined || chargeResult.requiresAction) {
-            await this.pool.query(`
-              UPDATE domains SET auto_renew = false, updated_at = CURRENT_TIMESTAMP
-              WHERE id = $1
-            `, [domain.id]);
-            console.log(`[autoRenew] Disabled auto-renew for ${fullDomain} due to payment failure`);
+          // The bank wants the customer to authenticate: email a link to complete this payment
+          if (chargeResult.requiresAction && chargeResult.paymentIntentId) {
+            await requestRenewalAuthentication(this.pool, domain, {
+              years,
+              amount: customerPrice,
+              cost: enomCost,
+              paymentIntentId: chargeResult.paymentIntentId,
+              error: chargeResult.error
+            });
+            console.log(`[autoRenew] Payment for ${fullDomain} needs authentication, emailed the customer`);
+            failed++;
+            continue;
           }
 
-          // Notify customer
-          await email.sendRenewalFailed(domain.email, {
-            domain: fullDomain,
+          // Retried on the dunning schedule; auto-renew is only turned off after the last retry
+          const { final } = await handleFailedRenewalPayment(this.pool, domain, {
+            years,
+            amount: customerPrice,
+            cost: enomCost,
             error: chargeResult.error,
-            expirationDate: new Date(domain.expiration_date).toLocaleDateString()
+            paymentIntentId: chargeResult.paymentIntentId
           });
+          if (final) {
+            console.log(`[autoRenew] Last payment retry failed for ${fullDomain}, auto-renew disabled`);
+          }
 
           failed++;
           continue;
         }
 
+        charge = { years, amount: customerPrice, cost: enomCost, paymentIntentId: chargeResult.paymentIntentId };
         console.log(`[autoRenew] Payment succeeded for ${fullDomain}, proceeding with eNom renewal`);
 
+        const dunning = await closeDunning(this.pool, domain.id, chargeResult.paymentIntentId);
+        await recordPaymentAttempt(this.pool, {
+          domainId: domain.id,
+          userId: domain.user_id,
+          dunningId: dunning?.id,
+          source: dunning ? 'dunning' : 'auto_renew',
+          status: 'succeeded',
+          amount: customerPrice,
+          years,
+          paymentIntentId: chargeResult.paymentIntentId
+        });
+
         // STEP 2: Renew at eNom using reseller balance (with auto-refill)
-        const renewResult = await enom.smartRenewal(sld, tld, 1, enomCost, { mode: domainMode });
-
-        if (!renewResult.success) {
-          // Payment succeeded but eNom failed - this needs manual resolution
-          console.error(`[autoRenew] eNom renewal failed for ${fullDomain} after payment succeeded!`);
-
-          // Log for manual resolution
-          await this.pool.query(`
-            INSERT INTO activity_logs (user_id, action, entity_type, entity_id, details)
-            VALUES ($1, $2, $3, $4, $5)
-          `, [
-            domain.user_id,
-            'auto_renewal_enom_failed',
-            'domain',
-            domain.id,
-            JSON.stringify({
-              domain: fullDomain,
-              stripePaymentIntent: chargeResult.paymentIntentId,
-              customerCharged: customerPrice,
-              error: renewResult.error || 'eNom renewal failed',
-              requiresManualResolution: true
-            })
-          ]);
+        // A registrar failure is queued for retry and refund instead of being thrown
+        const renewal = await completeChargedRenewal(this.pool, domain, {
+          years,
+          amount: customerPrice,
+          cost: enomCost,
+          paymentIntentId: chargeResult.paymentIntentId,
+          note: `Auto-renewal for ${years} year(s) (customer charged via Stripe)`
+        });
 
+        if (!renewal.success) {
           failed++;
           continue;
         }
 
-        // STEP 3: Update database
-        const newExpDate = renewResult.renewResult?.newExpiration;
-        if (newExpDate) {
-          await this.pool.query(`
-            UPDATE domains SET
-              expiration_date = $1,
-              updated_at = CURRENT_TIMESTAMP
-            WHERE id = $2
-          `, [newExpDate, domain.id]);
-        }
-
-        // Log the transaction
-        await this.pool.query(`
-          INSERT INTO balance_transactions
-          (transaction_type, amount, domain_name, auto_refill, notes, stripe_payment_intent_id)
-          VALUES ($1, $2, $3, $4, $5, $6)
-        `, [
-          'renewal',
-          customerPrice,
-          fullDomain,
-          renewResult.refillResult ? true : false,
-          'Auto-renewal (customer charged via Stripe)',
-          chargeResult.paymentIntentId
-        ]);
-
-        // Send confirmation email
-        try {
-          await email.sendRenewalConfirmation(domain.email, {
-            domain: fullDomain,
-            years: 1,
-            newExpiration: newExpDate ? new Date(newExpDate).toLocaleDateString() : 'N/A',
-            cost: customerPrice
-          });
-          console.log(`[autoRenew] Renewal confirmation email sent for ${fullDomain}`);
-        } catch (emailError) {
-          console.error(`[autoRenew] Failed to send renewal confirmation email:`, emailError.message);
-        }
-
         renewed++;
         console.log(`[autoRenew] Successfully renewed ${fullDomain}`);
 
@@ -607,15 +887,32 @@ class JobScheduler {
         failed++;
         console.error(`[autoRenew] Failed to renew ${fullDomain}:`, error.message);
 
-        // Send failure notification
-        try {
-          await email.sendRenewalFailed(domain.email, {
-            domain: fullDomain,
-            error: error.message,
-            expirationDate: new Date(domain.expiration_date).toLocaleDateString()
-          });
-        } catch (emailError) {
-          console.error(`[autoRenew] Failed to send failure email:`, emailError.message);
+        if (charge) {
+          // The customer has paid: queue the charge for a retry or refund. The queued charge
+          // keeps the domain from being charged again; if it can't be queued, keep the claim.
+          try {
+            await queueRenewalReconciliation(this.pool, domain, { ...charge, error: error.message });
+          } catch (queueError) {
+            holdClaim = true;
+            console.error(`[autoRenew] CRITICAL: ${fullDomain} was charged (${charge.paymentIntentId}) but could not be queued for reconciliation:`, queueError.message);
+          }
+        } else {
+          // Send failure notification
+          try {
+            await email.sendRenewalFailed(domain.email, {
+              domain: fullDomain,
+              error: error.message,
+              expirationDate: new Date(domain.expiration_date).toLocaleDateString()
+            });
+          } catch (emailError) {
+            console.error(`[autoRenew] Failed to send failure email:`, emailError.message);
+          }
+        }
+      } finally {
+        if (holdClaim) {
+          await this.holdAutoRenewDomain(domain.id);
+        } else {
+          await this.releaseAutoRenewDomain(domain.id);
         }
       }
 
@@ -623,6 +920,10 @@ class JobScheduler {
       await new Promise(resolve => setTimeout(resolve, 2000));
     }
 
+    if (run.cancelled) {
+      return { renewed, failed, skipped };
+    }
+
     // Log domains that couldn't be auto-renewed due to no payment method
     const noPaymentResult = await this.pool.query(`
       SELECT d.domain_name, d.tld, d.expiration_date, u.email
@@ -630,10 +931,11 @@ class JobScheduler {
       JOIN users u ON d.user_id = u.id
       WHERE d.status = 'active'
         AND d.auto_renew = true
-        AND d.expiration_date BETWEEN CURRENT_DATE AND CURRENT_DATE + INTERVAL '30 days'
+        AND d.expiration_date BETWEEN CURRENT_DATE
+          AND CURRENT_DATE + make_interval(days => COALESCE(d.auto_renew_days_before, $1))
         AND u.default_payment_method_id IS NULL
         AND d.auto_renew_payment_method_id IS NULL
-    `);
+    `, [defaults.daysBefore]);
 
     if (noPaymentResult.rows.length > 0) {
       console.log(`[autoRenew] ${noPaymentResult.rows.length} domains have auto-renew but no payment method`);
@@ -652,7 +954,98 @@ class JobScheduler {
       }
     }
 
-    console.log(`[autoRenew] Complete - Renewed: ${renewed}, Failed: ${failed}, No Payment Method: ${noPaymentMethod}`);
+    console.log(`[autoRenew] Complete - Renewed: ${renewed}, Failed: ${failed}, Skipped: ${skipped}, No Payment Method: ${noPaymentMethod}`);
+    return { renewed, failed, skipped, noPaymentMethod };
+  }
+
+  /**
+   * Claim a domain for auto-renewal if it is still due and no other worker holds it
+   * @param {number} domainId - Domain ID
+   * @param {Array} dueParams - Parameters for AUTO_RENEW_DUE_CONDITIONS
+   * @returns {Promise<boolean>} - Whether this instance may charge and renew it
+   */
+  async claimAutoRenewDomain(domainId, dueParams) {
+    // The UPDATE locks the row, so of two workers claiming at once the second sees the first's claim
+    const result = await this.pool.query(`
+      UPDATE domains d SET
+        auto_renew_claimed_by = $5,
+        auto_renew_claimed_until = CURRENT_TIMESTAMP + make_interval(mins => $6)
+      FROM users u
+      WHERE d.id = $4 AND u.id = d.user_id
+        AND (d.auto_renew_claimed_until IS NULL OR d.auto_renew_claimed_until < CURRENT_TIMESTAMP)
+        AND ${AUTO_RENEW_DUE_CONDITIONS}
+      RETURNING d.id
+    `, [...dueParams, domainId, INSTANCE_ID, AUTO_RENEW_CLAIM_MINUTES]);
+    return result.rows.length > 0;
+  }
+
+  async releaseAutoRenewDomain(domainId) {
+    try {
+      await this.pool.query(
+        `UPDATE domains SET auto_renew_claimed_by = NULL, auto_renew_claimed_until = NULL
+         WHERE id = $1 AND auto_renew_claimed_by = $2`,
+        [domainId, INSTANCE_ID]
+      );
+    } catch (error) {
+      // The claim expires on its own
+      console.error(`[autoRenew] Failed to release claim on domain ${domainId}:`, error.message);
+    }
+  }
+
+  /**
+   * Keep this instance's claim on a charged domain whose charge couldn't be recorded
+   * The claim no longer expires, so the domain isn't charged again until an admin has
+   * reconciled the payment and cleared auto_renew_claimed_until.
+   * @param {number} domainId - Domain ID
+   */
+  async holdAutoRenewDomain(domainId) {
+    try {
+      await this.pool.query(
+        `UPDATE domains SET auto_renew_claimed_until = 'infinity'
+         WHERE id = $1 AND auto_renew_claimed_by = $2`,
+        [domainId, INSTANCE_ID]
+      );
+    } catch (error) {
+      console.error(`[autoRenew] Failed to hold claim on domain ${domainId}, it expires in ${AUTO_RENEW_CLAIM_MINUTES} minutes:`, error.message);
+    }
+  }
+
+  /**
+   * Retry charged auto-renewals that failed at the registrar
+   * Each is retried until renewal_retry_attempts is reached, then refunded
+   * Rows are claimed first, so a retry or refund an admin started is never repeated
+   */
+  async reconcileRenewals(run = NO_RUN) {
+    if (!this.pool) return;
+
+    const released = await releaseStaleReconciliationClaims(this.pool);
+    if (released > 0) {
+      console.log(`[reconcile] Released ${released} stale claim(s) left by a stopped worker`);
+    }
+
+    const due = await getDueReconciliations(this.pool);
+    if (due.length === 0) {
+      console.log('[reconcile] No renewals due for retry');
+      return { processed: 0 };
+    }
+
+    const settings = await loadReconciliationSettings(this.pool);
+    const outcomes = { renewed: 0, retrying: 0, refunded: 0, refund_failed: 0, errors: 0 };
+
+    for (const [index, id] of due.entries()) {
+      if (await run.progress(index, due.length, `Reconciliation #${id}`)) break;
+
+      try {
+        const outcome = await processReconciliation(this.pool, id, settings);
+        if (outcome) outcomes[outcome]++;
+      } catch (error) {
+        console.error(`[reconcile] Error processing reconciliation #${id}:`, error.message);
+        outcomes.errors++;
+      }
+    }
+
+    console.log(`[reconcile] Processed ${due.length}: ${outcomes.renewed} renewed, ${outcomes.retrying} to retry, ${outcomes.refunded} refunded, ${outcomes.refund_failed} refund failed, ${outcomes.errors} errors`);
+    return { processed: due.length, ...outcomes };
   }
 
   /**
@@ -700,6 +1093,97 @@ class JobScheduler {
       console.error('[expirePush] Error expiring push requests:', error.message);
     }
   }
+
+  /**
+   * Re-check watched domains whose check interval has passed
+   * Available ones are handled per watch mode (email, add to cart or auto-register)
+   */
+  async watchDomains(run = NO_RUN) {
+    if (!this.pool) return;
+
+    const watches = await getDueWatches(this.pool);
+    if (watches.length === 0) {
+      console.log('[watchDomains] No watches due');
+      return { checked: 0 };
+    }
+
+    const registrar = registrars.getDefault();
+    const premiumSettings = await loadPremiumSettings(this.pool);
+    const outcomes = { watching: 0, available: 0, registered: 0, errors: 0 };
+
+    for (let i = 0; i < watches.length; i += WATCH_CHECK_BATCH_SIZE) {
+      if (await run.progress(i, watches.length)) break;
+
+      const batch = watches.slice(i, i + WATCH_CHECK_BATCH_SIZE);
+
+      let checks;
+      try {
+        checks = await registrar.checkDomainBulk(batch.map(watch => ({ sld: watch.domain_name, tld: watch.tld })));
+      } catch (error) {
+        // Leave the batch due so the next run picks it up
+        console.error('[watchDomains] Availability check failed:', error.message);
+        outcomes.errors += batch.length;
+        continue;
+      }
+
+      // Available names, with every due watch of each
+      const available = new Map();
+
+      for (let j = 0; j < batch.length; j++) {
+        const watch = batch[j];
+        const check = checks[j];
+
+        try {
+          if (check.error) {
+            await markWatchChecked(this.pool, watch.id, `Could not check availability: ${check.error}`);
+            outcomes.errors++;
+          } else if (!check.available) {
+            await markWatchChecked(this.pool, watch.id);
+            outcomes.watching++;
+          } else {
+            const fullDomain = `${watch.domain_name}.${watch.tld}`;
+            if (!available.has(fullDomain)) available.set(fullDomain, { check, watches: [] });
+            available.get(fullDomain).watches.push(watch);
+          }
+        } catch (error) {
+          console.error(`[watchDomains] Error handling ${watch.domain_name}.${watch.tld}:`, error.message);
+          outcomes.errors++;
+        }
+      }
+
+      // Only one watcher per name may be charged: the oldest 'register' watch goes first.
+      // If it registers the name, the others keep watching; otherwise they fall back to the cart.
+      for (const [fullDomain, { check, watches: nameWatches }] of available) {
+        nameWatches.sort((a, b) =>
+          (b.mode === 'register') - (a.mode === 'register') || new Date(a.created_at) - new Date(b.created_at)
+        );
+
+        let registered = false;
+        for (const [position, watch] of nameWatches.entries()) {
+          try {
+            if (registered) {
+              await markWatchChecked(this.pool, watch.id, 'Registered by someone else just as it became available');
+              outcomes.watching++;
+              continue;
+            }
+
+            const status = await handleAvailableWatch(this.pool, registrar, watch, check, premiumSettings, {
+              autoRegister: position === 0
+            });
+            registered = status === 'registered';
+            outcomes[status]++;
+            console.log(`[watchDomains] ${fullDomain} is available (${watch.mode}) -> ${status}`);
+          } catch (error) {
+            console.error(`[watchDomains] Error handling ${fullDomain}:`, error.message);
+            outcomes.errors++;
+          }
+        }
+      }
+    }
+
+    console.log(`[watchDomains] Checked ${watches.length}: ${outcomes.watching} still taken, ${outcomes.available} available, ${outcomes.registered} registered, ${outcomes.errors} errors`);
+    return { checked: watches.length, ...outcomes };
+  }
 }
 
 // Export singleton instance
@@ -0,0 +1,189 @@
+/**
+ * Registrar Provider Base Class
+ *
+ * Defines the interface every registrar adapter must implement.
+ * Domain-level methods follow the (sld, tld, ..., options) signature used
+ * throughout the codebase, where options.mode selects 'test' or 'production'.
+ *
+ * Adapters override the methods their registrar supports. Anything left
+ * unimplemented throws a descriptive error so routes can surface it.
+ */
+
+class RegistrarProvider {
+  /**
+   * @param {string} name - Identifier stored in domains.registrar (e.g., 'enom')
+   * @param {string} displayName - Human readable name for logs and errors
+   */
+  constructor(name, displayName) {
+    if (!name) {
+      throw new Error('Registrar provider name is required');
+    }
+    this.name = name;
+    this.displayName = displayName || name;
+  }
+
+  /**
+   * Throw a consistent error for operations the registrar does not support
+   * @param {string} operation - Method name
+   * @throws {Error}
+   */
+  unsupported(operation) {
+    const error = new Error(`${this.displayName} does not support ${operation}`);
+    error.code = 'REGISTRAR_UNSUPPORTED';
+    throw error;
+  }
+
+  /**
+   * Check whether this provider implements an operation
+   * @param {string} operation - Method name
+   * @returns {boolean}
+   */
+  supports(operation) {
+    return typeof this[operation] === 'function' &&
+      this[operation] !== RegistrarProvider.prototype[operation];
+  }
+
+  /**
+   * Get the provider's current global mode
+   * @returns {object} - { mode, endpoint, hasCredentials }
+   */
+  getMode() {
+    return { mode: 'production', endpoint: null, hasCredentials: false };
+  }
+
+  // ============================================
+  // AVAILABILITY & PRICING
+  // ============================================
+
+  async checkDomain(sld, tld) { this.unsupported('checkDomain'); }
+  async checkDomainBulk(domains) { this.unsupported('checkDomainBulk'); }
+  async getExtendedAttributes(tld) { this.unsupported('getExtendedAttributes'); }
+  async getTLDPricing(tld) { this.unsupported('getTLDPricing'); }
+
+  // ============================================
+  // REGISTRATION, RENEWAL & TRANSFER
+  // ============================================
+
+  async registerDomain(params) { this.unsupported('registerDomain'); }
+  async renewDomain(sld, tld, years, options = {}) { this.unsupported('renewDomain'); }
+  async restoreDomain(sld, tld, options = {}) { this.unsupported('restoreDomain'); }
+  async initiateTransfer(params) { this.unsupported('initiateTransfer'); }
+  async getTransferStatus(transferOrderId) { this.unsupported('getTransferStatus'); }
+  async getPendingTransfers() { this.unsupported('getPendingTransfers'); }
+  async cancelTransfer(transferOrderId) { this.unsupported('cancelTransfer'); }
+  async resendTransferAuth(transferOrderId) { this.unsupported('resendTransferAuth'); }
+  async updateTransferAuthCode(transferOrderId, authCode) { this.unsupported('updateTransferAuthCode'); }
+
+  /**
+   * Purchase a domain, topping up any prepaid balance first if required.
+   * Registrars without a prepaid balance can rely on this default.
+   * @returns {Promise<object>} - { success, purchaseResult, refillResult? }
+   */
+  async smartPurchase(params, options = {}) {
+    const purchaseResult = await this.registerDomain(params);
+    return { success: true, purchaseResult };
+  }
+
+  /**
+   * Renew a domain, topping up any prepaid balance first if required
+   * @returns {Promise<object>} - { success, renewResult, refillResult? }
+   */
+  async smartRenewal(sld, tld, years, cost, options = {}) {
+    const renewResult = await this.renewDomain(sld, tld, years, { mode: options.mode, orderId: options.orderId });
+    return { success: true, renewResult };
+  }
+
+  /**
+   * Restore a domain out of redemption, topping up any prepaid balance first if required
+   * @returns {Promise<object>} - { success, restoreResult, refillResult? }
+   */
+  async smartRestore(sld, tld, cost, options = {}) {
+    const restoreResult = await this.restoreDomain(sld, tld, { mode: options.mode, orderId: options.orderId });
+    return { success: true, restoreResult };
+  }
+
+  /**
+   * Transfer a domain in, topping up any prepaid balance first if required
+   * @returns {Promise<object>} - { success, transferResult, refillResult? }
+   */
+  async smartTransfer(params, options = {}) {
+    const transferResult = await this.initiateTransfer(params);
+    return { success: true, transferResult };
+  }
+
+  // ============================================
+  // DOMAIN INFO & NAMESERVERS
+  // ============================================
+
+  async getDomainInfo(sld, tld, options = {}) { this.unsupported('getDomainInfo'); }
+  async getFullDomainData(sld, tld, options = {}) { this.unsupported('getFullDomainData'); }
+  async getDefaultNameservers() { this.unsupported('getDefaultNameservers'); }
+  async getNameservers(sld, tld, options = {}) { this.unsupported('getNameservers'); }
+  async updateNameservers(sld, tld, nameservers, options = {}) { this.unsupported('updateNameservers'); }
+
+  // ============================================
+  // CONTACTS, LOCK, AUTH CODE & AUTO-RENEW
+  // ============================================
+
+  async getWhoisContacts(sld, tld, options = {}) { this.unsupported('getWhoisContacts'); }
+  async updateContacts(sld, tld, contacts, options = {}) { this.unsupported('updateContacts'); }
+  async setDomainLock(sld, tld, lock, options = {}) { this.unsupported('setDomainLock'); }
+  async getAuthCode(sld, tld, options = {}) { this.unsupported('getAuthCode'); }
+  async setAutoRenew(sld, tld, autoRenew, options = {}) { this.unsupported('setAutoRenew'); }
+
+  // ============================================
+  // WHOIS PRIVACY
+  // ============================================
+
+  async getPrivacyStatus(sld, tld, options = {}) { this.unsupported('getPrivacyStatus'); }
+  async setWhoisPrivacy(sld, tld, enable, options = {}) { this.unsupported('setWhoisPrivacy'); }
+  async purchasePrivacy(sld, tld, years = 1, options = {}) { this.unsupported('purchasePrivacy'); }
+
+  // ============================================
+  // DNS HOST RECORDS
+  // ============================================
+
+  async getHostRecords(sld, tld, options = {}) { this.unsupported('getHostRecords'); }
+  async setHostRecords(sld, tld, records, options = {}) { this.unsupported('setHostRecords'); }
+  async addHostRecord(sld, tld, record, options = {}) { this.unsupported('addHostRecord'); }
+  async deleteHostRecord(sld, tld, recordIndex, options = {}) { this.unsupported('deleteHostRecord'); }
+
+  // ============================================
+  // EMAIL & URL FORWARDING
+  // ============================================
+
+  async getEmailForwarding(sld, tld, options = {}) { this.unsupported('getEmailForwarding'); }
+  async setEmailForward(sld, tld, emailUser, forwardTo, options = {}) { this.unsupported('setEmailForward'); }
+  async deleteEmailForward(sld, tld, emailUser, options = {}) { this.unsupported('deleteEmailForward'); }
+  async getUrlForwarding(sld, tld, options = {}) { this.unsupported('getUrlForwarding'); }
+  async setUrlForwarding(sld, tld, params, options = {}) { this.unsupported('setUrlForwarding'); }
+  async disableUrlForwarding(sld, tld, options = {}) { this.unsupported('disableUrlForwarding'); }
+
+  // ============================================
+  // DNSSEC
+  // ============================================
+
+  async getDnssecRecords(sld, tld, options = {}) { this.unsupported('getDnssecRecords'); }
+  async addDnssecRecord(sld, tld, record, options = {}) { this.unsupported('addDnssecRecord'); }
+  async deleteDnssecRecord(sld, tld, record, options = {}) { this.unsupported('deleteDnssecRecord'); }
+
+  // ============================================
+  // CHILD NAMESERVERS (GLUE RECORDS)
+  // ============================================
+
+  async getChildNameserver(hostname, options = {}) { this.unsupported('getChildNameserver'); }
+  async listChildNameservers(sld, tld, hostnames, options = {}) { this.unsupported('listChildNameservers'); }
+  async registerChildNameserver(sld, tld, host, options = {}) { this.unsupported('registerChildNameserver'); }
+  async updateChildNameserver(sld, tld, host, options = {}) { this.unsupported('updateChildNameserver'); }
+  async deleteChildNameserver(sld, tld, hostname, options = {}) { this.unsupported('deleteChildNameserver'); }
+
+  // ============================================
+  // ACCOUNT BALANCE
+  // ============================================
+
+  async getBalance() { this.unsupported('getBalance'); }
+  async getDetailedBalance() { this.unsupported('getDetailedBalance'); }
+  async refillAccount(amount) { this.unsupported('refillAccount'); }
+}
+
+module.exports = RegistrarProvider;
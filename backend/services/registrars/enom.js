@@ -0,0 +1,126 @@
+/**
+ * eNom Registrar Provider
+ *
+ * Adapts the EnomAPI service to the RegistrarProvider interface.
+ * The underlying service keeps its own mode, credentials and balance
+ * handling; this adapter only forwards calls.
+ */
+
+const RegistrarProvider = require('./base');
+const enom = require('../enom');
+
+class EnomProvider extends RegistrarProvider {
+  constructor() {
+    super('enom', 'eNom');
+    this.client = enom;
+  }
+
+  getMode() {
+    return this.client.getMode();
+  }
+
+  // ============================================
+  // AVAILABILITY & PRICING
+  // ============================================
+
+  checkDomain(sld, tld) { return this.client.checkDomain(sld, tld); }
+  checkDomainBulk(domains) { return this.client.checkDomainBulk(domains); }
+  getExtendedAttributes(tld) { return this.client.getExtendedAttributes(tld); }
+  getTLDPricing(tld) { return this.client.getTLDPricing(tld); }
+
+  // ============================================
+  // REGISTRATION, RENEWAL & TRANSFER
+  // ============================================
+
+  registerDomain(params) { return this.client.registerDomain(params); }
+  renewDomain(sld, tld, years, options = {}) { return this.client.renewDomain(sld, tld, years, options); }
+  restoreDomain(sld, tld, options = {}) { return this.client.restoreDomain(sld, tld, options); }
+  initiateTransfer(params) { return this.client.initiateTransfer(params); }
+  getTransferStatus(transferOrderId) { return this.client.getTransferStatus(transferOrderId); }
+  getPendingTransfers() { return this.client.getPendingTransfers(); }
+  cancelTransfer(transferOrderId) { return this.client.cancelTransfer(transferOrderId); }
+  resendTransferAuth(transferOrderId) { return this.client.resendTransferAuth(transferOrderId); }
+  updateTransferAuthCode(transferOrderId, authCode) { return this.client.updateTransferAuthCode(transferOrderId, authCode); }
+
+  // eNom is prepaid - the smart variants refill the reseller balance when needed
+  smartPurchase(params, options = {}) { return this.client.smartPurchase(params, options); }
+  smartRenewal(sld, tld, years, cost, options = {}) { return this.client.smartRenewal(sld, tld, years, cost, options); }
+  smartRestore(sld, tld, cost, options = {}) { return this.client.smartRestore(sld, tld, cost, options); }
+  smartTransfer(params, options = {}) { return this.client.smartTransfer(params, options); }
+
+  // ============================================
+  // DOMAIN INFO & NAMESERVERS
+  // ============================================
+
+  getDomainInfo(sld, tld, options = {}) { return this.client.getDomainInfo(sld, tld, options); }
+  getFullDomainData(sld, tld, options = {}) { return this.client.getFullDomainData(sld, tld, options); }
+  getDefaultNameservers() { return this.client.getDefaultNameservers(); }
+  getNameservers(sld, tld, options = {}) { return this.client.getNameservers(sld, tld, options); }
+  updateNameservers(sld, tld, nameservers, options = {}) { return this.client.updateNameservers(sld, tld, nameservers, options); }
+
+  // ============================================
+  // CONTACTS, LOCK, AUTH CODE & AUTO-RENEW
+  // ============================================
+
+  getWhoisContacts(sld, tld, options = {}) { return this.client.getWhoisContacts(sld, tld, options); }
+  updateContacts(sld, tld, contacts, options = {}) { return this.client.updateContacts(sld, tld, contacts, options); }
+  setDomainLock(sld, tld, lock, options = {}) { return this.client.setDomainLock(sld, tld, lock, options); }
+  getAuthCode(sld, tld, options = {}) { return this.client.getAuthCode(sld, tld, options); }
+  setAutoRenew(sld, tld, autoRenew, options = {}) { return this.client.setAutoRenew(sld, tld, autoRenew, options); }
+
+  // ============================================
+  // WHOIS PRIVACY
+  // ============================================
+
+  getPrivacyStatus(sld, tld, options = {}) { return this.client.getPrivacyStatus(sld, tld, options); }
+  setWhoisPrivacy(sld, tld, enable, options = {}) { return this.client.setWhoisPrivacy(sld, tld, enable, options); }
+  purchasePrivacy(sld, tld, years = 1, options = {}) { return this.client.purchasePrivacy(sld, tld, years, options); }
+
+  // ============================================
+  // DNS HOST RECORDS
+  // ============================================
+
+  getHostRecords(sld, tld, options = {}) { return this.client.getHostRecords(sld, tld, options); }
+  setHostRecords(sld, tld, records, options = {}) { return this.client.setHostRecords(sld, tld, records, options); }
+  addHostRecord(sld, tld, record, options = {}) { return this.client.addHostRecord(sld, tld, record, options); }
+  deleteHostRecord(sld, tld, recordIndex, options = {}) { return this.client.deleteHostRecord(sld, tld, recordIndex, options); }
+
+  // ============================================
+  // EMAIL & URL FORWARDING
+  // ============================================
+
+  getEmailForwarding(sld, tld, options = {}) { return this.client.getEmailForwarding(sld, tld, options); }
+  setEmailForward(sld, tld, emailUser, forwardTo, options = {}) { return this.client.setEmailForward(sld, tld, emailUser, forwardTo, options); }
+  deleteEmailForward(sld, tld, emailUser, options = {}) { return this.client.deleteEmailForward(sld, tld, emailUser, options); }
+  getUrlForwarding(sld, tld, options = {}) { return this.client.getUrlForwarding(sld, tld, options); }
+  setUrlForwarding(sld, tld, params, options = {}) { return this.client.setUrlForwarding(sld, tld, params, options); }
+  disableUrlForwarding(sld, tld, options = {}) { return this.client.disableUrlForwarding(sld, tld, options); }
+
+  // ============================================
+  // DNSSEC
+  // ============================================
+
+  getDnssecRecords(sld, tld, options = {}) { return this.client.getDnssecRecords(sld, tld, options); }
+  addDnssecRecord(sld, tld, record, options = {}) { return this.client.addDnssecRecord(sld, tld, record, options); }
+  deleteDnssecRecord(sld, tld, record, options = {}) { return this.client.deleteDnssecRecord(sld, tld, record, options); }
+
+  // ============================================
+  // CHILD NAMESERVERS (GLUE RECORDS)
+  // ============================================
+
+  getChildNameserver(hostname, options = {}) { return this.client.getChildNameserver(hostname, options); }
+  listChildNameservers(sld, tld, hostnames, options = {}) { return this.client.listChildNameservers(sld, tld, hostnames, options); }
+  registerChildNameserver(sld, tld, host, options = {}) { return this.client.registerChildNameserver(sld, tld, host, options); }
+  updateChildNameserver(sld, tld, host, options = {}) { return this.client.updateChildNameserver(sld, tld, host, options); }
+  deleteChildNameserver(sld, tld, hostname, options = {}) { return this.client.deleteChildNameserver(sld, tld, hostname, options); }
+
+  // ============================================
+  // ACCOUNT BALANCE
+  // ============================================
+
+  getBalance() { return this.client.getBalance(); }
+  getDetailedBalance() { return this.client.getDetailedBalance(); }
+  refillAccount(amount) { return this.client.refillAccount(amount); }
+}
+
+module.exports = new EnomProvider();
@@ -0,0 +1,90 @@
+/**
+ * Registrar Provider Registry
+ *
+ * Resolves which registrar adapter handles a domain. Each domain row
+ * stores its provider in domains.registrar; rows without one fall back
+ * to REGISTRAR.DEFAULT. Additional registrars are added by extending
+ * RegistrarProvider and calling register() below.
+ */
+
+const RegistrarProvider = require('./base');
+const enomProvider = require('./enom');
+const { REGISTRAR } = require('../../config/constants');
+
+class RegistrarRegistry {
+  constructor() {
+    this.providers = new Map();
+  }
+
+  /**
+   * Register a provider adapter
+   * @param {RegistrarProvider} provider - Adapter instance
+   * @returns {RegistrarProvider}
+   */
+  register(provider) {
+    if (!(provider instanceof RegistrarProvider)) {
+      throw new Error('Registrar providers must extend RegistrarProvider');
+    }
+    this.providers.set(provider.name, provider);
+    return provider;
+  }
+
+  /**
+   * Get a provider by name
+   * @param {string} name - Provider name (defaults to REGISTRAR.DEFAULT)
+   * @returns {RegistrarProvider}
+   * @throws {Error} If no provider is registered under that name
+   */
+  get(name) {
+    const providerName = name || REGISTRAR.DEFAULT;
+    const provider = this.providers.get(providerName);
+    if (!provider) {
+      throw new Error(`Unknown registrar provider: ${providerName}`);
+    }
+    return provider;
+  }
+
+  /**
+   * Get the provider used for new registrations and lookups
+   * that are not tied to an existing domain
+   * @returns {RegistrarProvider}
+   */
+  getDefault() {
+    return this.get(REGISTRAR.DEFAULT);
+  }
+
+  /**
+   * Get the provider that manages a domain row
+   * @param {object} domain - Row from the domains table
+   * @returns {RegistrarProvider}
+   */
+  forDomain(domain) {
+    return this.get(domain?.registrar);
+  }
+
+  /**
+   * Check whether a provider name is registered
+   * @param {string} name - Provider name
+   * @returns {boolean}
+   */
+  has(name) {
+    return this.providers.has(name);
+  }
+
+  /**
+   * List registered providers
+   * @returns {Array<{name: string, displayName: string}>}
+   */
+  list() {
+    return Array.from(this.providers.values()).map(p => ({
+      name: p.name,
+      displayName: p.displayName
+    }));
+  }
+}
+
+const registry = new RegistrarRegistry();
+registry.register(enomProvider);
+
+module.exports = registry;
+module.exports.RegistrarProvider = RegistrarProvider;
@@ -0,0 +1,356 @@
+/**
+ * Bulk Transfer Service
+ * Pre-checks a list of inbound transfers in the background (transfer_batches /
+ * domain_transfers) and adds the eligible ones to the owner's cart.
+ *
+ * After checkout the same domain_transfers rows are updated by order processing and
+ * syncPendingTransfers, so a batch doubles as the status board for its transfers.
+ */
+
+const registrars = require('./registrars');
+const { lookupDomain } = require('../utils/rdap');
+const { TRANSFER_LOCK_DAYS } = require('../utils/transferOut');
+const { ACTIVE_TRANSFER_STATUSES } = require('../utils/transferIn');
+const { INSTANCE_ID, JOB_LEASE_SECONDS, JOB_LEASE_RENEW_MS } = require('../utils/jobLeases');
+
+// Pause between domains to stay well inside eNom's rate limits
+const DOMAIN_DELAY_MS = 500;
+
+class TransferBatchService {
+  constructor() {
+    this.pool = null;
+    this.delayMs = DOMAIN_DELAY_MS;
+    this.recoveryTimer = null;
+  }
+
+  /**
+   * Initialize with the database pool
+   * Each batch is checked by the instance that started it, which keeps a lease on it.
+   * Pre-checks whose lease expired are not resumed; those domains are marked ineligible
+   * so the customer can add them again - now, and periodically for instances that stop
+   * while this one is running.
+   * @param {Pool} pool - PostgreSQL connection pool
+   */
+  async init(pool) {
+    this.pool = pool;
+
+    await this.recoverInterruptedBatches();
+    if (!this.recoveryTimer) {
+      this.recoveryTimer = setInterval(() => this.recoverInterruptedBatches(), JOB_LEASE_RENEW_MS);
+      this.recoveryTimer.unref();
+    }
+  }
+
+  /**
+   * Finish batches whose instance stopped checking them
+   */
+  async recoverInterruptedBatches() {
+    try {
+      const interrupted = await this.pool.query(
+        `UPDATE domain_transfers
+         SET status = 'ineligible', error_message = 'Check interrupted: the server running it stopped. Add the domain again.',
+             updated_at = CURRENT_TIMESTAMP
+         WHERE status = 'checking' AND batch_id IN (
+           SELECT id FROM transfer_batches
+           WHERE status = 'checking'
+             AND (lease_expires_at IS NULL OR lease_expires_at < CURRENT_TIMESTAMP)
+         )
+         RETURNING batch_id`
+      );
+      const batchIds = [...new Set(interrupted.rows.map(r => r.batch_id))];
+      for (const batchId of batchIds) {
+        await this.finishBatch(batchId);
+      }
+      if (batchIds.length > 0) {
+        console.log(`[transferBatches] Marked ${batchIds.length} interrupted batch(es) as finished`);
+      }
+    } catch (error) {
+      console.error('[transferBatches] Failed to recover interrupted batches:', error.message);
+    }
+  }
+
+  /**
+   * Create a batch and start pre-checking it in the background
+   * @param {object} req - Request (owner and impersonator come from req.user)
+   * @param {Array<object>} entries - From parseTransferList(): { sld, tld, authCode }
+   * @returns {Promise<object>} - The batch row
+   */
+  async start(req, entries) {
+    const batchResult = await this.pool.query(
+      `INSERT INTO transfer_batches (user_id, impersonated_by, total, owner_instance, lease_expires_at)
+       VALUES ($1, $2, $3, $4, CURRENT_TIMESTAMP + INTERVAL '1 second' * $5)
+       RETURNING *`,
+      [req.user.id, req.user.impersonatedBy || null, entries.length, INSTANCE_ID, JOB_LEASE_SECONDS]
+    );
+    const batch = batchResult.rows[0];
+
+    for (const entry of entries) {
+      await this.pool.query(
+        `INSERT INTO domain_transfers (user_id, batch_id, domain_name, tld, auth_code, status)
+         VALUES ($1, $2, $3, $4, $5, 'checking')`,
+        [req.user.id, batch.id, entry.sld, entry.tld, entry.authCode]
+      );
+    }
+
+    // Keep the lease while checking so other instances don't treat the batch as interrupted
+    const leaseTimer = setInterval(() => this.renewLease(batch.id), JOB_LEASE_RENEW_MS);
+    this.run(batch.id, req.user.id)
+      .catch(error => {
+        console.error(`[transferBatches] Batch #${batch.id} failed:`, error.message);
+      })
+      .finally(() => clearInterval(leaseTimer));
+
+    return batch;
+  }
+
+  /**
+   * Pre-check every domain of a batch that is still being checked
+   */
+  async run(batchId, userId) {
+    const items = await this.pool.query(
+      `SELECT * FROM domain_transfers WHERE batch_id = $1 AND status = 'checking' ORDER BY id`,
+      [batchId]
+    );
+
+    for (let i = 0; i < items.rows.length; i++) {
+      const item = items.rows[i];
+      let outcome;
+      try {
+        outcome = await this.checkDomain(item, userId);
+      } catch (error) {
+        outcome = { eligible: false, message: error.message };
+      }
+
+      if (outcome.eligible) {
+        await this.addToCart(item, userId, outcome.price);
+      }
+
+      await this.pool.query(
+        `UPDATE domain_transfers
+         SET status = $1, price = $2, precheck = $3, error_message = $4, updated_at = CURRENT_TIMESTAMP
+         WHERE id = $5`,
+        [
+          outcome.eligible ? 'in_cart' : 'ineligible',
+          outcome.price ?? null,
+          outcome.precheck ? JSON.stringify(outcome.precheck) : null,
+          outcome.eligible ? null : outcome.message,
+          item.id
+        ]
+      );
+
+      if (i < items.rows.length - 1 && this.delayMs > 0) {
+        await new Promise(resolve => setTimeout(resolve, this.delayMs));
+      }
+    }
+
+    await this.finishBatch(batchId);
+  }
+
+  /**
+   * Extend this instance's lease on a batch it is checking
+   */
+  async renewLease(batchId) {
+    try {
+      await this.pool.query(
+        `UPDATE transfer_batches SET lease_expires_at = CURRENT_TIMESTAMP + INTERVAL '1 second' * $3
+         WHERE id = $1 AND owner_instance = $2`,
+        [batchId, INSTANCE_ID, JOB_LEASE_SECONDS]
+      );
+    } catch (error) {
+      console.error(`[transferBatches] Failed to renew the lease on batch #${batchId}:`, error.message);
+    }
+  }
+
+  /**
+   * Decide whether one domain can be transferred in
+   * @returns {Promise<object>} - { eligible, price, precheck } or { eligible: false, message, precheck? }
+   */
+  async checkDomain(item, userId) {
+    const fullDomain = `${item.domain_name}.${item.tld}`;
+
+    const pricing = await this.pool.query(
+      'SELECT price_transfer FROM tld_pricing WHERE tld = $1 AND is_active = true',
+      [item.tld]
+    );
+    const price = parseFloat(pricing.rows[0]?.price_transfer);
+    if (!price) {
+      return { eligible: false, message: `.${item.tld} transfers are not supported` };
+    }
+
+    const existing = await this.pool.query(
+      `SELECT user_id FROM domains WHERE domain_name = $1 AND tld = $2 AND status <> 'transferred_away'`,
+      [item.domain_name, item.tld]
+    );
+    if (existing.rows.length > 0) {
+      return {
+        eligible: false,
+        message: existing.rows[0].user_id === userId ? 'Already in your account' : 'Already registered with us'
+      };
+    }
+
+    const inProgress = await this.pool.query(
+      `SELECT id FROM domain_transfers
+       WHERE domain_name = $1 AND tld = $2 AND (status = 'pending' OR status = ANY($4)) AND id <> $3`,
+      [item.domain_name, item.tld, item.id, ACTIVE_TRANSFER_STATUSES]
+    );
+    if (inProgress.rows.length > 0) {
+      return { eligible: false, message: 'A transfer of this domain is already in progress' };
+    }
+
+    const registrar = registrars.getDefault();
+    const availability = await registrar.checkDomain(item.domain_name, item.tld);
+    if (availability.available) {
+      return { eligible: false, message: `${fullDomain} is not registered. Register it instead of transferring.` };
+    }
+
+    // The simulator has no registry behind it, so only real registrars get a registry lookup
+    if (registrar.getMode().mode === 'simulator') {
+      return { eligible: true, price, precheck: { registry: 'skipped' } };
+    }
+
+    const registry = await lookupDomain(fullDomain);
+    if (registry.error) {
+      // Not fatal: the registrar rejects locked domains itself, this only catches them earlier
+      return { eligible: true, price, precheck: { registry: 'unavailable', message: registry.error } };
+    }
+
+    const precheck = {
+      registry: 'checked',
+      statuses: registry.statuses,
+      transferLocked: registry.transferLocked,
+      registeredAt: registry.registeredAt,
+      lastTransferredAt: registry.lastTransferredAt
+    };
+
+    if (registry.transferLocked) {
+      return {
+        eligible: false,
+        precheck,
+        message: 'Locked at the current registrar (transfer prohibited). Unlock it there, then add it again.'
+      };
+    }
+
+    const starts = [registry.registeredAt, registry.lastTransferredAt].filter(Boolean).map(date => date.getTime());
+    if (starts.length > 0) {
+      const lockEnd = new Date(Math.max(...starts) + TRANSFER_LOCK_DAYS * 24 * 60 * 60 * 1000);
+      if (lockEnd > new Date()) {
+        return {
+          eligible: false,
+          precheck,
+          message: `Registered or transferred in the last ${TRANSFER_LOCK_DAYS} days. It can be transferred from ${lockEnd.toDateString()}.`
+        };
+      }
+    }
+
+    return { eligible: true, price, precheck };
+  }
+
+  /**
+   * Put an eligible transfer in the owner's cart (or refresh the auth code of one already there)
+   * Bulk lists are capped separately, so CART.MAX_ITEMS isn't applied here.
+   */
+  async addToCart(item, userId, price) {
+    const options = JSON.stringify({ auth_code: item.auth_code, domain_transfer_id: item.id });
+
+    const updated = await this.pool.query(
+      `UPDATE cart_items
+       SET price = $1, options = $2, expires_at = CURRENT_TIMESTAMP + INTERVAL '24 hours'
+       WHERE user_id = $3 AND item_type = 'transfer' AND domain_name = $4 AND tld = $5`,
+      [price, options, userId, item.domain_name, item.tld]
+    );
+    if (updated.rowCount > 0) {
+      return;
+    }
+
+    await this.pool.query(
+      `INSERT INTO cart_items (user_id, item_type, domain_name, tld, years, price, options)
+       VALUES ($1, 'transfer', $2, $3, 1, $4, $5)`,
+      [userId, item.domain_name, item.tld, price, options]
+    );
+  }
+
+  /**
+   * Update a batch's counters from its transfers and mark it finished
+   */
+  async finishBatch(batchId) {
+    await this.pool.query(
+      `UPDATE transfer_batches b SET
+        eligible = c.eligible,
+        ineligible = c.ineligible,
+        status = 'completed',
+        completed_at = CURRENT_TIMESTAMP
+       FROM (
+         SELECT COUNT(*) FILTER (WHERE status NOT IN ('checking', 'ineligible')) as eligible,
+                COUNT(*) FILTER (WHERE status = 'ineligible') as ineligible
+         FROM domain_transfers WHERE batch_id = $1
+       ) c
+       WHERE b.id = $1`,
+      [batchId]
+    );
+  }
+
+  /**
+   * Get a batch with the current state of each of its transfers (auth codes are left out)
+   * @param {number} batchId - Batch ID
+   * @param {number} [userId] - Only return the batch if it belongs to this user
+   * @returns {Promise<object|null>}
+   */
+  async getBatch(batchId, userId = null) {
+    const params = [batchId];
+    let query = 'SELECT * FROM transfer_batches WHERE id = $1';
+    if (userId) {
+      params.push(userId);
+      query += ' AND user_id = $2';
+    }
+
+    const result = await this.pool.query(query, params);
+    if (result.rows.length === 0) {
+      return null;
+    }
+
+    const batch = result.rows[0];
+    const items = await this.pool.query(
+      `SELECT t.id, t.domain_name, t.tld, t.status, t.price, t.error_message, t.precheck,
+              t.enom_transfer_id, t.transfer_requested_at, t.transfer_completed_at, t.updated_at,
+              EXISTS (
+                SELECT 1 FROM cart_items c
+                WHERE c.user_id = t.user_id AND c.item_type = 'transfer'
+                  AND c.domain_name = t.domain_name AND c.tld = t.tld
+                  AND c.expires_at > CURRENT_TIMESTAMP
+              ) as in_cart
+       FROM domain_transfers t
+       WHERE t.batch_id = $1
+       ORDER BY t.id`,
+      [batchId]
+    );
+    const checked = items.rows.filter(item => item.status !== 'checking').length;
+
+    return { ...batch, checked, items: items.rows };
+  }
+
+  /**
+   * List recent batches, newest first
+   * @param {object} options - { userId, limit }
+   * @returns {Promise<Array>}
+   */
+  async listBatches({ userId = null, limit = 20 } = {}) {
+    const params = [];
+    let query = `
+      SELECT b.*, u.username
+      FROM transfer_batches b
+      LEFT JOIN users u ON u.id = b.user_id
+    `;
+    if (userId) {
+      params.push(userId);
+      query += ` WHERE b.user_id = $${params.length}`;
+    }
+    params.push(limit);
+    query += ` ORDER BY b.id DESC LIMIT $${params.length}`;
+
+    const result = await this.pool.query(query, params);
+    return result.rows;
+  }
+}
+
+// Export singleton instance
+module.exports = new TransferBatchService();
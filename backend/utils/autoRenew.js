@@ -0,0 +1,109 @@
+/**
+ * Auto-Renewal Preference Utilities
+ * Each domain can choose how many years the autoRenew job renews it for and how many
+ * days before expiry it is renewed (domains.auto_renew_years / auto_renew_days_before).
+ * NULL falls back to the site defaults in app_settings.
+ *
+ * The term is priced with quoteRenewal (utils/domainLifecycle), the same price a
+ * renewal added to the cart would cost.
+ */
+
+const DEFAULT_AUTO_RENEW_SETTINGS = {
+  auto_renew_default_years: '1',
+  auto_renew_threshold_days: '30'
+};
+
+const MIN_AUTO_RENEW_YEARS = 1;
+const MAX_AUTO_RENEW_YEARS = 10;
+const MIN_AUTO_RENEW_DAYS_BEFORE = 1;
+const MAX_AUTO_RENEW_DAYS_BEFORE = 90;
+
+// Renewal windows offered in the dashboard
+const AUTO_RENEW_DAYS_BEFORE_OPTIONS = [7, 14, 30, 60, 90];
+
+/**
+ * Load the site-wide auto-renew defaults from app_settings
+ * @returns {Promise<object>} - { years, daysBefore }
+ */
+async function loadAutoRenewDefaults(pool) {
+  const values = { ...DEFAULT_AUTO_RENEW_SETTINGS };
+  const result = await pool.query(
+    'SELECT key, value FROM app_settings WHERE key = ANY($1)',
+    [Object.keys(DEFAULT_AUTO_RENEW_SETTINGS)]
+  );
+  for (const row of result.rows) {
+    values[row.key] = row.value;
+  }
+
+  return {
+    years: parseInt(values.auto_renew_default_years) || 1,
+    daysBefore: parseInt(values.auto_renew_threshold_days) || 30
+  };
+}
+
+function isValidYears(value) {
+  const years = Number(value);
+  return Number.isInteger(years) && years >= MIN_AUTO_RENEW_YEARS && years <= MAX_AUTO_RENEW_YEARS;
+}
+
+function isValidDaysBefore(value) {
+  const days = Number(value);
+  return Number.isInteger(days) && days >= MIN_AUTO_RENEW_DAYS_BEFORE && days <= MAX_AUTO_RENEW_DAYS_BEFORE;
+}
+
+/**
+ * Validate auto-renew preferences; null means "use the site default"
+ * @param {object} prefs - { years, daysBefore }
+ * @param {object} pricing - tld_pricing row, for the TLD's max_years
+ * @returns {string|null} - Error message, or null if valid
+ */
+function validateAutoRenewPreferences({ years, daysBefore }, pricing = {}) {
+  if (years !== undefined && years !== null) {
+    if (!isValidYears(years)) {
+      return `Years must be between ${MIN_AUTO_RENEW_YEARS} and ${MAX_AUTO_RENEW_YEARS}`;
+    }
+    if (pricing.max_years && years > parseInt(pricing.max_years)) {
+      return `This TLD can be renewed for at most ${pricing.max_years} years`;
+    }
+  }
+  if (daysBefore !== undefined && daysBefore !== null && !isValidDaysBefore(daysBefore)) {
+    return `Days before expiry must be between ${MIN_AUTO_RENEW_DAYS_BEFORE} and ${MAX_AUTO_RENEW_DAYS_BEFORE}`;
+  }
+  return null;
+}
+
+/**
+ * A domain's effective preferences
+ * @returns {object} - { years, daysBefore, yearsIsDefault, daysBeforeIsDefault }
+ */
+function resolveAutoRenewPreferences(domain, defaults) {
+  return {
+    years: domain.auto_renew_years || defaults.years,
+    daysBefore: domain.auto_renew_days_before || defaults.daysBefore,
+    yearsIsDefault: !domain.auto_renew_years,
+    daysBeforeIsDefault: !domain.auto_renew_days_before
+  };
+}
+
+/**
+ * When the autoRenew job will first try to renew a domain
+ */
+function nextAutoRenewDate(expirationDate, daysBefore) {
+  if (!expirationDate) return null;
+  const date = new Date(expirationDate);
+  date.setDate(date.getDate() - daysBefore);
+  return date;
+}
+
+module.exports = {
+  DEFAULT_AUTO_RENEW_SETTINGS,
+  MIN_AUTO_RENEW_YEARS,
+  MAX_AUTO_RENEW_YEARS,
+  MIN_AUTO_RENEW_DAYS_BEFORE,
+  MAX_AUTO_RENEW_DAYS_BEFORE,
+  AUTO_RENEW_DAYS_BEFORE_OPTIONS,
+  loadAutoRenewDefaults,
+  validateAutoRenewPreferences,
+  resolveAutoRenewPreferences,
+  nextAutoRenewDate
+};
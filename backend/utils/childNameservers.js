@@ -0,0 +1,169 @@
+/**
+ * Child Nameserver Utilities
+ * Validation for nameserver hosts registered under a domain (ns1.example.com)
+ * and the glue checks applied before those hosts are delegated to
+ */
+
+const net = require('net');
+
+const HOSTNAME_PATTERN = /^[a-z0-9]([a-z0-9-]{0,61}[a-z0-9])?(\.[a-z0-9]([a-z0-9-]{0,61}[a-z0-9])?)+$/;
+
+/**
+ * Normalize a hostname for comparison (lowercase, no trailing dot)
+ * @param {string} hostname
+ * @returns {string}
+ */
+function normalizeHostname(hostname) {
+  return typeof hostname === 'string' ? hostname.trim().toLowerCase().replace(/\.$/, '') : '';
+}
+
+/**
+ * Check whether a hostname sits under a domain (and is not the domain itself)
+ * @param {string} hostname - e.g. ns1.example.com
+ * @param {string} sld - Second level domain
+ * @param {string} tld - Top level domain
+ * @returns {boolean}
+ */
+function isSubordinateHost(hostname, sld, tld) {
+  const host = normalizeHostname(hostname);
+  const suffix = `.${sld}.${tld}`.toLowerCase();
+  return host.length > suffix.length && host.endsWith(suffix);
+}
+
+/**
+ * Validate and normalize a child nameserver
+ * @param {object} host - { hostname, ipv4, ipv6 }
+ * @param {string} sld - Parent domain SLD
+ * @param {string} tld - Parent domain TLD
+ * @returns {object} - { host } with normalized values, or { error }
+ */
+function validateChildNameserver(host, sld, tld) {
+  if (!host || typeof host !== 'object') {
+    return { error: 'Nameserver is required' };
+  }
+
+  const hostname = normalizeHostname(host.hostname);
+  if (!hostname || hostname.length > 253 || !HOSTNAME_PATTERN.test(hostname)) {
+    return { error: 'Invalid nameserver hostname' };
+  }
+  if (!isSubordinateHost(hostname, sld, tld)) {
+    return { error: `Nameserver must be a host under ${sld}.${tld} (e.g. ns1.${sld}.${tld})` };
+  }
+
+  const ipv4 = typeof host.ipv4 === 'string' && host.ipv4.trim() ? host.ipv4.trim() : null;
+  const ipv6 = typeof host.ipv6 === 'string' && host.ipv6.trim() ? host.ipv6.trim().toLowerCase() : null;
+
+  if (!ipv4 && !ipv6) {
+    return { error: 'At least one IPv4 or IPv6 address is required' };
+  }
+  if (ipv4 && !net.isIPv4(ipv4)) {
+    return { error: `Invalid IPv4 address: ${ipv4}` };
+  }
+  if (ipv6 && !net.isIPv6(ipv6)) {
+    return { error: `Invalid IPv6 address: ${ipv6}` };
+  }
+
+  return {
+    host: { hostname, ipv4, ipv6 }
+  };
+}
+
+/**
+ * Find nameservers under the domain itself that have no glue registered
+ * Hosts recorded in domain_child_nameservers pass; anything else is checked at the registry
+ * so hosts created before they were tracked here are still accepted.
+ * @param {object} pool - Database pool
+ * @param {object} domain - Domain row
+ * @param {Array<string>} nameservers - Nameservers about to be set
+ * @param {object} provider - Registrar provider for the domain
+ * @param {string} mode - eNom mode for registry lookups
+ * @returns {Promise<Array<string>>} - Hostnames that must be registered first
+ */
+async function findMissingGlueHosts(pool, domain, nameservers, provider, mode) {
+  const glueHosts = nameservers
+    .map(normalizeHostname)
+    .filter(ns => isSubordinateHost(ns, domain.domain_name, domain.tld));
+
+  if (glueHosts.length === 0) {
+    return [];
+  }
+
+  const known = await pool.query(
+    'SELECT hostname FROM domain_child_nameservers WHERE domain_id = $1 AND hostname = ANY($2)',
+    [domain.id, glueHosts]
+  );
+  const knownHosts = new Set(known.rows.map(r => r.hostname));
+
+  const missing = [];
+  for (const hostname of glueHosts) {
+    if (knownHosts.has(hostname)) continue;
+
+    const registered = await provider.getChildNameserver(hostname, { mode });
+    if (!registered) {
+      missing.push(hostname);
+      continue;
+    }
+
+    await pool.query(
+      `INSERT INTO domain_child_nameservers (domain_id, hostname, ipv4, ipv6)
+       VALUES ($1, $2, $3, $4)
+       ON CONFLICT (hostname) DO NOTHING`,
+      [domain.id, hostname, registered.ipv4, registered.ipv6]
+    );
+  }
+
+  return missing;
+}
+
+/**
+ * Nameservers currently delegated to by a domain row (stored as JSONB or a JSON string)
+ * @param {object} domain - Domain row
+ * @returns {Array<string>} - Normalized hostnames
+ */
+function getDelegatedNameservers(domain) {
+  let nameservers = domain.nameservers || [];
+  if (typeof nameservers === 'string') {
+    try {
+      nameservers = JSON.parse(nameservers);
+    } catch (e) {
+      nameservers = [];
+    }
+  }
+  return Array.isArray(nameservers) ? nameservers.map(normalizeHostname) : [];
+}
+
+/**
+ * List the child nameservers tracked for a domain with their registry state
+ * @param {object} pool - Database pool
+ * @param {object} domain - Domain row
+ * @param {object} provider - Registrar provider for the domain
+ * @param {string} mode - eNom mode for registry lookups
+ * @returns {Promise<object>} - { domainName, nameservers: [{ hostname, ipv4, ipv6, registered, inUse }], count }
+ */
+async function getDomainChildNameservers(pool, domain, provider, mode) {
+  const rows = await pool.query(
+    'SELECT hostname FROM domain_child_nameservers WHERE domain_id = $1 ORDER BY hostname',
+    [domain.id]
+  );
+
+  const result = await provider.listChildNameservers(
+    domain.domain_name, domain.tld, rows.rows.map(r => r.hostname), { mode }
+  );
+
+  const delegated = getDelegatedNameservers(domain);
+  result.nameservers = result.nameservers.map(ns => ({
+    ...ns,
+    inUse: delegated.includes(ns.hostname)
+  }));
+
+  return result;
+}
+
+module.exports = {
+  normalizeHostname,
+  isSubordinateHost,
+  validateChildNameserver,
+  getDelegatedNameservers,
+  findMissingGlueHosts,
+  getDomainChildNameservers
+};
@@ -0,0 +1,116 @@
+/**
+ * Circuit Breaker
+ * Fails fast while an upstream service is down instead of stacking up timeouts
+ *
+ * States:
+ * - closed: requests flow normally; consecutive failures are counted
+ * - open: requests are rejected immediately until resetTimeoutMs has passed
+ * - half_open: a single trial request is allowed; success closes, failure re-opens
+ */
+
+class CircuitBreaker {
+  /**
+   * @param {string} name - Name used in logs and errors
+   * @param {object} options
+   * @param {number} options.failureThreshold - Consecutive failures before opening
+   * @param {number} options.resetTimeoutMs - Time to stay open before a trial request
+   */
+  constructor(name, options = {}) {
+    this.name = name;
+    this.failureThreshold = options.failureThreshold || 5;
+    this.resetTimeoutMs = options.resetTimeoutMs || 30000;
+
+    this.state = 'closed';
+    this.failures = 0;
+    this.openedAt = null;
+    this.lastFailureAt = null;
+    this.lastError = null;
+    this.trialInFlight = false;
+  }
+
+  /**
+   * Check whether a request may proceed, moving open -> half_open when due
+   * @returns {boolean}
+   */
+  canRequest() {
+    if (this.state === 'closed') {
+      return true;
+    }
+
+    if (this.state === 'open') {
+      if (Date.now() - this.openedAt < this.resetTimeoutMs) {
+        return false;
+      }
+      this.state = 'half_open';
+      this.trialInFlight = false;
+      console.log(`[CircuitBreaker] ${this.name} half-open, allowing trial request`);
+    }
+
+    // half_open: only one trial request at a time
+    if (this.trialInFlight) {
+      return false;
+    }
+    this.trialInFlight = true;
+    return true;
+  }
+
+  /**
+   * Record a successful request
+   */
+  recordSuccess() {
+    if (this.state !== 'closed') {
+      console.log(`[CircuitBreaker] ${this.name} closed after successful trial request`);
+    }
+    this.state = 'closed';
+    this.failures = 0;
+    this.openedAt = null;
+    this.trialInFlight = false;
+  }
+
+  /**
+   * Record a failed request
+   * @param {Error} error - The failure
+   */
+  recordFailure(error) {
+    this.failures++;
+    this.lastFailureAt = new Date();
+    this.lastError = error?.message || null;
+    this.trialInFlight = false;
+
+    if (this.state === 'half_open' || this.failures >= this.failureThreshold) {
+      if (this.state !== 'open') {
+        console.error(`[CircuitBreaker] ${this.name} opened after ${this.failures} failure(s): ${this.lastError}`);
+      }
+      this.state = 'open';
+      this.openedAt = Date.now();
+    }
+  }
+
+  /**
+   * Milliseconds until an open breaker allows a trial request
+   * @returns {number}
+   */
+  retryAfterMs() {
+    if (this.state !== 'open') return 0;
+    return Math.max(0, this.resetTimeoutMs - (Date.now() - this.openedAt));
+  }
+
+  /**
+   * Current state for health checks and admin display
+   * @returns {object}
+   */
+  getState() {
+    return {
+      name: this.name,
+      state: this.state,
+      failures: this.failures,
+      failureThreshold: this.failureThreshold,
+      openedAt: this.openedAt ? new Date(this.openedAt).toISOString() : null,
+      retryAfterMs: this.retryAfterMs(),
+      lastFailureAt: this.lastFailureAt ? this.lastFailureAt.toISOString() : null,
+      lastError: this.lastError
+    };
+  }
+}
+
+module.exports = CircuitBreaker;
@@ -0,0 +1,128 @@
+/**
+ * Bulk DNS Operation Utilities
+ * Validation of bulk add/replace/delete operations and how one operation changes the
+ * record set of a single domain. The batch runner (services/dnsBulk.js) applies the
+ * result to each domain with its own setHostRecords call.
+ *
+ * - add:     add records (already present ones are left alone)
+ * - replace: remove every record matching host + type, then add records
+ * - delete:  remove records matching host + type (and address when given)
+ */
+
+const { MAX_HOST_RECORDS, validateHostRecord } = require('./dnsRecords');
+const { recordKey, diffRecords } = require('./zoneFile');
+
+const BULK_OPERATIONS = ['add', 'replace', 'delete'];
+
+// Record types bulk operations may touch (URL forwarding has its own settings)
+const BULK_RECORD_TYPES = ['A', 'AAAA', 'CNAME', 'MX', 'TXT', 'SRV', 'CAA', 'NS'];
+
+// Records per operation and domains per batch
+const MAX_BULK_RECORDS = 10;
+const MAX_BULK_DOMAINS = 100;
+
+function normalizeHost(hostName) {
+  return typeof hostName === 'string' && hostName.trim() ? hostName.trim().toLowerCase() : '@';
+}
+
+/**
+ * Validate a bulk operation request
+ * @param {object} input - { operation, records, match: { hostName, recordType, address } }
+ * @returns {object} - { operation: { type, records, match } } or { error }
+ */
+function validateBulkOperation(input) {
+  const type = input && input.operation;
+  if (!BULK_OPERATIONS.includes(type)) {
+    return { error: `operation must be one of: ${BULK_OPERATIONS.join(', ')}` };
+  }
+
+  let match = null;
+  if (type === 'replace' || type === 'delete') {
+    const source = input.match || {};
+    const recordType = String(source.recordType || '').toUpperCase();
+    if (!BULK_RECORD_TYPES.includes(recordType)) {
+      return { error: `match.recordType must be one of: ${BULK_RECORD_TYPES.join(', ')}` };
+    }
+    match = { hostName: normalizeHost(source.hostName), recordType };
+    if (type === 'delete' && typeof source.address === 'string' && source.address.trim()) {
+      match.address = source.address.trim().replace(/\.$/, '').toLowerCase();
+    }
+  }
+
+  const records = [];
+  if (type === 'add' || type === 'replace') {
+    if (!Array.isArray(input.records) || input.records.length === 0) {
+      return { error: 'At least one record is required' };
+    }
+    if (input.records.length > MAX_BULK_RECORDS) {
+      return { error: `At most ${MAX_BULK_RECORDS} records can be applied at once` };
+    }
+    for (let i = 0; i < input.records.length; i++) {
+      const { error, record } = validateHostRecord(input.records[i]);
+      if (error) {
+        return { error: `Record ${i + 1}: ${error}` };
+      }
+      if (!BULK_RECORD_TYPES.includes(record.recordType)) {
+        return { error: `Record ${i + 1}: ${record.recordType} records cannot be applied in bulk` };
+      }
+      records.push(record);
+    }
+  }
+
+  return { operation: { type, records, match } };
+}
+
+function matches(record, match) {
+  if (normalizeHost(record.hostName) !== match.hostName) return false;
+  if (record.recordType !== match.recordType) return false;
+  if (match.address && String(record.address || '').replace(/\.$/, '').toLowerCase() !== match.address) return false;
+  return true;
+}
+
+/**
+ * Apply a bulk operation to one domain's records
+ * @param {Array} currentRecords - Records from getHostRecords()
+ * @param {object} operation - From validateBulkOperation()
+ * @returns {object} - { records, changed, added, removed } or { error }
+ */
+function applyBulkOperation(currentRecords, operation) {
+  const { match } = operation;
+
+  const kept = match ? currentRecords.filter(r => !matches(r, match)) : [...currentRecords];
+
+  const keptKeys = new Set(kept.map(recordKey));
+  const toAdd = operation.records.filter(r => !keptKeys.has(recordKey(r)));
+
+  // A CNAME can't share its host name with any other record
+  for (const record of toAdd) {
+    const host = normalizeHost(record.hostName);
+    const clash = kept.find(r => normalizeHost(r.hostName) === host &&
+      (r.recordType === 'CNAME' || record.recordType === 'CNAME'));
+    if (clash) {
+      return { error: `${record.recordType} record for ${host} conflicts with the existing ${clash.recordType} record` };
+    }
+  }
+
+  const records = [...kept, ...toAdd];
+  if (records.length > MAX_HOST_RECORDS) {
+    return { error: `The DNS host allows at most ${MAX_HOST_RECORDS} records (this change would leave ${records.length})` };
+  }
+
+  // e.g. replacing records with identical ones leaves nothing to do
+  const diff = diffRecords(currentRecords, records);
+
+  return {
+    records,
+    changed: diff.added.length > 0 || diff.removed.length > 0,
+    added: diff.added.length,
+    removed: diff.removed.length
+  };
+}
+
+module.exports = {
+  BULK_OPERATIONS,
+  BULK_RECORD_TYPES,
+  MAX_BULK_DOMAINS,
+  validateBulkOperation,
+  applyBulkOperation
+};
@@ -0,0 +1,217 @@
+/**
+ * DNS Host Record Utilities
+ * Per-type validation for host records and conversion to/from eNom's SetHosts format
+ *
+ * eNom stores every host record as HostName/RecordType/Address (plus MXPref for MX).
+ * SRV and CAA data is carried in Address using zone-file presentation format:
+ * - SRV: "priority weight port target"   e.g. "10 5 5060 sip.example.com."
+ * - CAA: 'flags tag "value"'              e.g. '0 issue "letsencrypt.org"'
+ * "@" is accepted as a CNAME/MX target and means the domain itself.
+ */
+
+const net = require('net');
+
+// Record types accepted by SetHosts (URL, URL301 and Frame are managed as URL forwarding)
+const HOST_RECORD_TYPES = ['A', 'AAAA', 'CNAME', 'MX', 'TXT', 'SRV', 'CAA', 'NS', 'URL', 'URL301', 'Frame'];
+
+const CAA_TAGS = ['issue', 'issuewild', 'iodef'];
+
+// GetHosts/SetHosts handle at most this many records per domain
+const MAX_HOST_RECORDS = 50;
+
+const HOSTNAME_PATTERN = /^([a-z0-9_]([a-z0-9_-]{0,61}[a-z0-9])?)(\.[a-z0-9_]([a-z0-9_-]{0,61}[a-z0-9])?)*\.?$/i;
+const HOST_LABEL_PATTERN = /^(\*|[a-z0-9_]([a-z0-9_-]{0,61}[a-z0-9])?)(\.[a-z0-9_]([a-z0-9_-]{0,61}[a-z0-9])?)*$/i;
+const SRV_HOST_PATTERN = /^_[a-z0-9-]+\._(tcp|udp|tls|sctp)(\.[a-z0-9_]([a-z0-9_-]{0,61}[a-z0-9])?)*$/i;
+
+/**
+ * Parse a value as an integer within a range
+ * @returns {number|null}
+ */
+function toBoundedInteger(value, min, max) {
+  const str = typeof value === 'number' ? String(value) : (typeof value === 'string' ? value.trim() : '');
+  if (!/^\d+$/.test(str)) return null;
+  const num = parseInt(str, 10);
+  return num >= min && num <= max ? num : null;
+}
+
+function isHostname(value) {
+  return typeof value === 'string' && value.length <= 253 && HOSTNAME_PATTERN.test(value) && value.includes('.');
+}
+
+/**
+ * Build the eNom Address value for a record
+ * SRV and CAA use their structured fields when present, otherwise the address as given
+ * @param {object} record - Host record
+ * @returns {string}
+ */
+function formatHostAddress(record) {
+  if (record.recordType === 'SRV' && record.target !== undefined && record.target !== null) {
+    return `${record.priority} ${record.weight} ${record.port} ${record.target}`;
+  }
+  if (record.recordType === 'CAA' && record.tag) {
+    return `${record.flags || 0} ${record.tag} "${String(record.value || '').replace(/"/g, '')}"`;
+  }
+  return record.address;
+}
+
+/**
+ * Split an eNom host record into structured fields for SRV and CAA
+ * @param {object} record - { hostName, recordType, address, mxPref, ... }
+ * @returns {object} - The record with priority/weight/port/target or flags/tag/value added
+ */
+function parseHostRecord(record) {
+  const address = (record.address || '').trim();
+
+  if (record.recordType === 'SRV') {
+    const parts = address.split(/\s+/);
+    if (parts.length === 4) {
+      return {
+        ...record,
+        priority: parseInt(parts[0]),
+        weight: parseInt(parts[1]),
+        port: parseInt(parts[2]),
+        target: parts[3]
+      };
+    }
+  }
+
+  if (record.recordType === 'CAA') {
+    const match = address.match(/^(\d+)\s+([a-z0-9]+)\s+"?(.*?)"?$/i);
+    if (match) {
+      return {
+        ...record,
+        flags: parseInt(match[1]),
+        tag: match[2].toLowerCase(),
+        value: match[3]
+      };
+    }
+  }
+
+  return record;
+}
+
+/**
+ * Validate and normalize a host record
+ * Accepts SRV/CAA either as structured fields or as a presentation-format address
+ * @param {object} record - { hostName, recordType, address, mxPref, priority, weight, port, target, flags, tag, value }
+ * @returns {object} - { record } with normalized values and address, or { error }
+ */
+function validateHostRecord(record) {
+  if (!record || typeof record !== 'object') {
+    return { error: 'Record is required' };
+  }
+
+  const recordType = typeof record.recordType === 'string' ? record.recordType.trim() : '';
+  const type = HOST_RECORD_TYPES.find(t => t.toUpperCase() === recordType.toUpperCase());
+  if (!type) {
+    return { error: `Invalid record type: ${record.recordType}. Allowed: ${HOST_RECORD_TYPES.join(', ')}` };
+  }
+
+  const hostName = typeof record.hostName === 'string' && record.hostName.trim() ? record.hostName.trim().toLowerCase() : '@';
+  if (hostName !== '@' && !HOST_LABEL_PATTERN.test(hostName)) {
+    return { error: `Invalid host name: ${hostName}` };
+  }
+
+  // SRV and CAA can be given as parts; fold them into the address first
+  const source = type === 'SRV' || type === 'CAA'
+    ? parseHostRecord({ ...record, recordType: type, address: formatHostAddress({ ...record, recordType: type }) })
+    : record;
+  const address = typeof source.address === 'string' ? source.address.trim() : '';
+  if (!address) {
+    return { error: 'Record value is required' };
+  }
+
+  const normalized = { hostName, recordType: type, address };
+
+  switch (type) {
+    case 'A':
+      if (!net.isIPv4(address)) return { error: `Invalid IPv4 address: ${address}` };
+      break;
+
+    case 'AAAA':
+      if (!net.isIPv6(address)) return { error: `Invalid IPv6 address: ${address}` };
+      normalized.address = address.toLowerCase();
+      break;
+
+    case 'CNAME':
+      if (hostName === '@') return { error: 'CNAME records cannot be created for the root domain' };
+      if (address !== '@' && !isHostname(address)) return { error: `Invalid CNAME target: ${address}` };
+      break;
+
+    case 'MX': {
+      if (address !== '@' && !isHostname(address)) return { error: `Invalid mail server: ${address}` };
+      const mxPref = record.mxPref === undefined || record.mxPref === null || record.mxPref === ''
+        ? 10
+        : toBoundedInteger(record.mxPref, 0, 65535);
+      if (mxPref === null) return { error: 'MX priority must be between 0 and 65535' };
+      normalized.mxPref = mxPref;
+      break;
+    }
+
+    case 'TXT':
+      if (address.length > 2048) return { error: 'TXT value must be 2048 characters or fewer' };
+      break;
+
+    case 'SRV': {
+      if (!SRV_HOST_PATTERN.test(hostName)) {
+        return { error: 'SRV host name must be _service._protocol (e.g. _sip._tls or _autodiscover._tcp)' };
+      }
+      const priority = toBoundedInteger(source.priority, 0, 65535);
+      const weight = toBoundedInteger(source.weight, 0, 65535);
+      const port = toBoundedInteger(source.port, 0, 65535);
+      if (priority === null || weight === null || port === null) {
+        return { error: 'SRV priority, weight and port must be numbers between 0 and 65535' };
+      }
+      const target = typeof source.target === 'string' ? source.target.trim().toLowerCase() : '';
+      if (target !== '.' && !isHostname(target)) {
+        return { error: `Invalid SRV target: ${target || '(empty)'}` };
+      }
+      Object.assign(normalized, { priority, weight, port, target });
+      normalized.address = formatHostAddress(normalized);
+      break;
+    }
+
+    case 'CAA': {
+      const flags = toBoundedInteger(source.flags, 0, 255);
+      if (flags === null) return { error: 'CAA flags must be a number between 0 and 255' };
+      const tag = typeof source.tag === 'string' ? source.tag.trim().toLowerCase() : '';
+      if (!CAA_TAGS.includes(tag)) {
+        return { error: `Invalid CAA tag. Allowed: ${CAA_TAGS.join(', ')}` };
+      }
+      const value = typeof source.value === 'string' ? source.value.trim() : '';
+      if (tag === 'iodef' && !/^(mailto:|https?:\/\/)\S+$/i.test(value)) {
+        return { error: 'CAA iodef value must be a mailto: or https:// URL' };
+      }
+      // An empty issue value (";") forbids issuance entirely
+      if (tag !== 'iodef' && value !== ';' && !/^[a-z0-9.-]+(\s*;.*)?$/i.test(value)) {
+        return { error: 'CAA issue value must be a CA domain (e.g. letsencrypt.org) or ";"' };
+      }
+      Object.assign(normalized, { flags, tag, value });
+      normalized.address = formatHostAddress(normalized);
+      break;
+    }
+
+    case 'NS':
+      if (hostName === '@' || hostName === '*') {
+        return { error: 'NS records can only delegate a subdomain. Use nameserver settings for the domain itself' };
+      }
+      if (!isHostname(address)) return { error: `Invalid nameserver: ${address}` };
+      normalized.address = address.toLowerCase();
+      break;
+
+    default:
+      // URL, URL301, Frame - validated by the URL forwarding routes
+      break;
+  }
+
+  return { record: normalized };
+}
+
+module.exports = {
+  HOST_RECORD_TYPES,
+  CAA_TAGS,
+  MAX_HOST_RECORDS,
+  formatHostAddress,
+  parseHostRecord,
+  validateHostRecord
+};
@@ -0,0 +1,124 @@
+/**
+ * DNS Snapshot Utilities
+ * setHostRecords replaces the whole zone and deleteHostRecord works by index, so every DNS
+ * write stores the record set it is about to replace in dns_record_snapshots first.
+ * A snapshot can later be re-applied to roll the domain back.
+ */
+
+const { diffRecords } = require('./zoneFile');
+
+// Snapshots kept per domain; older ones are pruned when a new one is taken
+const MAX_SNAPSHOTS_PER_DOMAIN = 50;
+
+// Fields stored for each record (getHostRecords also returns a positional id and ttl)
+const SNAPSHOT_FIELDS = ['hostName', 'recordType', 'address', 'mxPref', 'priority', 'weight', 'port', 'target', 'flags', 'tag', 'value'];
+
+function stripRecord(record) {
+  const stripped = {};
+  for (const field of SNAPSHOT_FIELDS) {
+    if (record[field] !== undefined && record[field] !== null) stripped[field] = record[field];
+  }
+  return stripped;
+}
+
+/**
+ * Store the current DNS records of a domain before they are changed
+ * If the records can't be read (e.g. DNS hosting not enabled yet) there is nothing to
+ * roll back to, so no snapshot is stored and the write goes ahead.
+ * @param {object} pool - Database pool
+ * @param {object} req - Request (acting user and impersonator come from req.user)
+ * @param {object} domain - Domain row
+ * @param {object} options - { provider, mode, action, source, records }
+ *   records: current records when the caller has already fetched them
+ * @returns {Promise<object|null>} - Snapshot row, or null when none was stored
+ */
+async function snapshotDnsRecords(pool, req, domain, options) {
+  const { provider, mode, action, source = 'customer' } = options;
+
+  let records = options.records;
+  if (!records) {
+    const current = await provider.getHostRecords(domain.domain_name, domain.tld, { mode });
+    if (current.error) {
+      console.warn(`[DNS Snapshot] Skipped for ${domain.domain_name}.${domain.tld}: ${current.error}`);
+      return null;
+    }
+    records = current.records;
+  }
+
+  const stored = records.map(stripRecord);
+  const result = await pool.query(
+    `INSERT INTO dns_record_snapshots (domain_id, records, record_count, action, source, user_id, impersonated_by)
+     VALUES ($1, $2, $3, $4, $5, $6, $7)
+     RETURNING *`,
+    [domain.id, JSON.stringify(stored), stored.length, action, source, req.user.id, req.user.impersonatedBy || null]
+  );
+
+  await pool.query(
+    `DELETE FROM dns_record_snapshots
+     WHERE domain_id = $1 AND id NOT IN (
+       SELECT id FROM dns_record_snapshots WHERE domain_id = $1 ORDER BY id DESC LIMIT $2
+     )`,
+    [domain.id, MAX_SNAPSHOTS_PER_DOMAIN]
+  );
+
+  return result.rows[0];
+}
+
+/**
+ * List snapshots for a domain, newest first
+ * @param {object} pool - Database pool
+ * @param {number} domainId - Domain ID
+ * @returns {Promise<Array>} - Rows without the records themselves
+ */
+async function listDnsSnapshots(pool, domainId) {
+  const result = await pool.query(
+    `SELECT s.id, s.action, s.source, s.record_count, s.created_at,
+            s.user_id, u.username, s.impersonated_by, i.username as impersonated_by_username
+     FROM dns_record_snapshots s
+     LEFT JOIN users u ON u.id = s.user_id
+     LEFT JOIN users i ON i.id = s.impersonated_by
+     WHERE s.domain_id = $1
+     ORDER BY s.id DESC`,
+    [domainId]
+  );
+  return result.rows;
+}
+
+/**
+ * Load one snapshot of a domain and compare it with the current records
+ * @param {object} pool - Database pool
+ * @param {object} domain - Domain row
+ * @param {number} snapshotId - Snapshot ID
+ * @param {object} provider - Registrar provider for the domain
+ * @param {string} mode - eNom mode
+ * @returns {Promise<object|null>} - { snapshot, current, diff } or null if not found
+ */
+async function getDnsSnapshotRestorePlan(pool, domain, snapshotId, provider, mode) {
+  const result = await pool.query(
+    'SELECT * FROM dns_record_snapshots WHERE id = $1 AND domain_id = $2',
+    [snapshotId, domain.id]
+  );
+  if (result.rows.length === 0) {
+    return null;
+  }
+
+  const snapshot = result.rows[0];
+  const current = await provider.getHostRecords(domain.domain_name, domain.tld, { mode });
+  if (current.error) {
+    throw new Error(current.error);
+  }
+
+  return {
+    snapshot,
+    current: current.records,
+    // Restoring turns the current records into the snapshot's
+    diff: diffRecords(current.records, snapshot.records)
+  };
+}
+
+module.exports = {
+  MAX_SNAPSHOTS_PER_DOMAIN,
+  snapshotDnsRecords,
+  listDnsSnapshots,
+  getDnsSnapshotRestorePlan
+};
@@ -0,0 +1,303 @@
+/**
+ * DNS Template Utilities
+ * Validation, placeholder rendering and conflict planning for admin-managed DNS templates
+ * (stored in dns_templates, applied to a domain through setHostRecords)
+ *
+ * Template records may use placeholders in any string field:
+ * - {domain}, {sld}, {tld}, {domain_dashed} are filled in from the domain
+ * - any other {key} is a variable the customer supplies when applying
+ * Records that use an optional variable left blank are skipped, so e.g. a verification
+ * TXT record is only added when the customer has a token.
+ */
+
+const { MAX_HOST_RECORDS, validateHostRecord } = require('./dnsRecords');
+const { FORWARDING_TYPES, recordKey, diffRecords } = require('./zoneFile');
+
+// Types a template may contain (URL forwarding is configured separately)
+const TEMPLATE_RECORD_TYPES = ['A', 'AAAA', 'CNAME', 'MX', 'TXT', 'SRV', 'CAA', 'NS'];
+
+const TEMPLATE_CATEGORIES = ['email', 'website', 'other'];
+
+const BUILTIN_PLACEHOLDERS = ['domain', 'sld', 'tld', 'domain_dashed'];
+
+// Fields of a template record that are stored; everything else is dropped
+const RECORD_FIELDS = ['hostName', 'recordType', 'address', 'mxPref', 'priority', 'weight', 'port', 'target', 'flags', 'tag', 'value'];
+
+const PLACEHOLDER_PATTERN = /\{([a-z0-9_]+)\}/gi;
+const SLUG_PATTERN = /^[a-z0-9]+(-[a-z0-9]+)*$/;
+const MAX_VALUE_LENGTH = 255;
+
+/**
+ * Placeholder keys used by a record (lowercase)
+ * @param {object} record - Template record
+ * @returns {Array<string>}
+ */
+function recordPlaceholders(record) {
+  const keys = new Set();
+  for (const field of RECORD_FIELDS) {
+    if (typeof record[field] !== 'string') continue;
+    for (const match of record[field].matchAll(PLACEHOLDER_PATTERN)) {
+      keys.add(match[1].toLowerCase());
+    }
+  }
+  return [...keys];
+}
+
+/**
+ * Replace placeholders in every string field of a record
+ * @param {object} record - Template record
+ * @param {object} values - Placeholder values by key
+ * @returns {object}
+ */
+function renderRecord(record, values) {
+  const rendered = {};
+  for (const field of RECORD_FIELDS) {
+    if (record[field] === undefined || record[field] === null) continue;
+    rendered[field] = typeof record[field] === 'string'
+      ? record[field].replace(PLACEHOLDER_PATTERN, (match, key) => values[key.toLowerCase()] ?? match)
+      : record[field];
+  }
+  return rendered;
+}
+
+/**
+ * Placeholder values derived from the domain itself
+ * @param {string} sld - Second level domain
+ * @param {string} tld - Top level domain
+ * @returns {object}
+ */
+function domainPlaceholders(sld, tld) {
+  const domain = `${sld}.${tld}`.toLowerCase();
+  return {
+    domain,
+    sld: sld.toLowerCase(),
+    tld: tld.toLowerCase(),
+    domain_dashed: domain.replace(/\./g, '-')
+  };
+}
+
+function slugify(name) {
+  return name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 100);
+}
+
+/**
+ * Validate and normalize a template submitted by an admin
+ * Records without customer variables are fully validated against example.com;
+ * records with variables can only be checked once the values are known (at apply time).
+ * @param {object} input - { slug, name, description, category, records, variables, is_active, sort_order }
+ * @returns {object} - { template } or { error }
+ */
+function validateTemplate(input) {
+  if (!input || typeof input !== 'object') {
+    return { error: 'Template is required' };
+  }
+
+  const name = typeof input.name === 'string' ? input.name.trim() : '';
+  if (!name || name.length > 255) {
+    return { error: 'Template name is required (255 characters max)' };
+  }
+
+  const slug = typeof input.slug === 'string' && input.slug.trim() ? input.slug.trim().toLowerCase() : slugify(name);
+  if (!SLUG_PATTERN.test(slug) || slug.length > 100) {
+    return { error: 'Slug may only contain lowercase letters, numbers and dashes' };
+  }
+
+  const category = input.category || 'other';
+  if (!TEMPLATE_CATEGORIES.includes(category)) {
+    return { error: `Invalid category. Allowed: ${TEMPLATE_CATEGORIES.join(', ')}` };
+  }
+
+  if (!Array.isArray(input.records) || input.records.length === 0) {
+    return { error: 'At least one record is required' };
+  }
+  if (input.records.length > MAX_HOST_RECORDS) {
+    return { error: `Templates can contain at most ${MAX_HOST_RECORDS} records` };
+  }
+
+  const sample = domainPlaceholders('example', 'com');
+  const records = [];
+  const variableKeys = [];
+
+  for (let i = 0; i < input.records.length; i++) {
+    const source = input.records[i] || {};
+    const recordType = TEMPLATE_RECORD_TYPES.find(t => t === String(source.recordType || '').toUpperCase());
+    if (!recordType) {
+      return { error: `Record ${i + 1}: invalid record type. Allowed: ${TEMPLATE_RECORD_TYPES.join(', ')}` };
+    }
+
+    const record = renderRecord({ ...source, recordType }, {});
+    const customKeys = recordPlaceholders(record).filter(k => !BUILTIN_PLACEHOLDERS.includes(k));
+
+    if (customKeys.length === 0) {
+      const validation = validateHostRecord(renderRecord(record, sample));
+      if (validation.error) {
+        return { error: `Record ${i + 1}: ${validation.error}` };
+      }
+    }
+
+    customKeys.forEach(k => {
+      if (!variableKeys.includes(k)) variableKeys.push(k);
+    });
+    records.push(record);
+  }
+
+  // One variable definition per customer placeholder, keeping any label the admin gave
+  const definitions = Array.isArray(input.variables) ? input.variables : [];
+  const variables = variableKeys.map(key => {
+    const def = definitions.find(v => v && String(v.key || '').toLowerCase() === key) || {};
+    return {
+      key,
+      label: typeof def.label === 'string' && def.label.trim() ? def.label.trim() : key,
+      placeholder: typeof def.placeholder === 'string' ? def.placeholder.trim() : '',
+      required: def.required !== false
+    };
+  });
+
+  const sortOrder = parseInt(input.sort_order);
+
+  return {
+    template: {
+      slug,
+      name,
+      description: typeof input.description === 'string' ? input.description.trim() : null,
+      category,
+      records,
+      variables,
+      is_active: input.is_active !== false,
+      sort_order: Number.isNaN(sortOrder) ? 0 : sortOrder
+    }
+  };
+}
+
+/**
+ * Fill in a template for a domain
+ * @param {object} template - dns_templates row
+ * @param {string} sld - Second level domain
+ * @param {string} tld - Top level domain
+ * @param {object} values - Customer-supplied variable values by key
+ * @returns {object} - { records (validated host records), skipped, errors }
+ */
+function renderTemplate(template, sld, tld, values = {}) {
+  const errors = [];
+  const provided = {};
+
+  for (const variable of template.variables || []) {
+    const raw = values && typeof values[variable.key] === 'string' ? values[variable.key].trim() : '';
+    if (!raw) {
+      if (variable.required) errors.push({ message: `${variable.label} is required` });
+      continue;
+    }
+    if (raw.length > MAX_VALUE_LENGTH || /[{}\r\n]/.test(raw)) {
+      errors.push({ message: `${variable.label} contains invalid characters or is too long` });
+      continue;
+    }
+    provided[variable.key] = raw;
+  }
+
+  const context = { ...provided, ...domainPlaceholders(sld, tld) };
+  const records = [];
+  const skipped = [];
+
+  (template.records || []).forEach((record, i) => {
+    const missing = recordPlaceholders(record).filter(k => context[k] === undefined);
+    if (missing.length > 0) {
+      // Only optional variables can be missing here; required ones were reported above
+      skipped.push(record);
+      return;
+    }
+
+    const validation = validateHostRecord(renderRecord(record, context));
+    if (validation.error) {
+      errors.push({ message: `Record ${i + 1} (${record.hostName || '@'} ${record.recordType}): ${validation.error}` });
+      return;
+    }
+    records.push(validation.record);
+  });
+
+  return { records, skipped, errors };
+}
+
+function isSpf(record) {
+  return record.recordType === 'TXT' && /^"?v=spf1\b/i.test(record.address || '');
+}
+
+/**
+ * Why an existing record cannot stay alongside a template record, if it can't
+ * @returns {string|null}
+ */
+function conflictReason(existing, incoming) {
+  const sameHost = (existing.hostName || '@').toLowerCase() === (incoming.hostName || '@').toLowerCase();
+  if (!sameHost) return null;
+
+  if (FORWARDING_TYPES.includes(existing.recordType)) {
+    return ['A', 'AAAA', 'CNAME'].includes(incoming.recordType)
+      ? 'URL forwarding on this host would override the new records'
+      : null;
+  }
+  if (existing.recordType === 'CNAME' || incoming.recordType === 'CNAME') {
+    return 'A CNAME cannot share a host name with other records';
+  }
+  if (existing.recordType === 'MX' && incoming.recordType === 'MX') {
+    return 'Mail is moved to the template\'s mail servers';
+  }
+  if (['A', 'AAAA'].includes(incoming.recordType) && existing.recordType === incoming.recordType) {
+    return 'The host is pointed at the template\'s addresses';
+  }
+  if (isSpf(existing) && isSpf(incoming)) {
+    return 'Only one SPF record is allowed per host';
+  }
+  return null;
+}
+
+/**
+ * Work out the record set that applying rendered template records would produce
+ * - merge: existing records stay unless they conflict with a template record
+ * - replace: all DNS records are replaced; URL forwarding stays unless it conflicts
+ * @param {Array} currentRecords - Records from getHostRecords()
+ * @param {Array} templateRecords - Records from renderTemplate()
+ * @param {string} mode - 'merge' or 'replace'
+ * @returns {object} - { records (full set for setHostRecords), diff, conflicts, errors }
+ */
+function planTemplateApply(currentRecords, templateRecords, mode = 'merge') {
+  const templateKeys = new Set(templateRecords.map(recordKey));
+  const conflicts = [];
+  const kept = [];
+
+  for (const existing of currentRecords) {
+    if (templateKeys.has(recordKey(existing))) {
+      continue; // Already present; the template copy is used
+    }
+    if (mode === 'replace' && !FORWARDING_TYPES.includes(existing.recordType)) {
+      continue;
+    }
+
+    const conflicting = templateRecords.find(t => conflictReason(existing, t));
+    if (conflicting) {
+      conflicts.push({ record: existing, replacedBy: conflicting, reason: conflictReason(existing, conflicting) });
+      continue;
+    }
+    kept.push(existing);
+  }
+
+  const records = [...kept, ...templateRecords];
+  const errors = [];
+  if (records.length > MAX_HOST_RECORDS) {
+    errors.push({ message: `The DNS host allows at most ${MAX_HOST_RECORDS} records (this template would leave ${records.length})` });
+  }
+
+  return {
+    records,
+    diff: diffRecords(currentRecords, records),
+    conflicts,
+    errors
+  };
+}
+
+module.exports = {
+  TEMPLATE_RECORD_TYPES,
+  TEMPLATE_CATEGORIES,
+  BUILTIN_PLACEHOLDERS,
+  validateTemplate,
+  renderTemplate,
+  planTemplateApply
+};
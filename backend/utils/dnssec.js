@@ -0,0 +1,122 @@
+/**
+ * DNSSEC Utilities
+ * Validation for DS (Delegation Signer) records published at the registry
+ * Algorithm and digest type numbers follow the IANA DNSSEC registries
+ */
+
+// DNSKEY algorithms accepted for new DS records. RFC 8624 says RSAMD5, DSA, DSA-NSEC3-SHA1
+// and ECC-GOST MUST NOT be used for signing and RSASHA1 / RSASHA1-NSEC3-SHA1 are NOT
+// RECOMMENDED, so none of these are accepted. Existing records are listed whatever their
+// algorithm.
+const DS_ALGORITHMS = {
+  8: 'RSA/SHA-256',
+  10: 'RSA/SHA-512',
+  13: 'ECDSA P-256/SHA-256',
+  14: 'ECDSA P-384/SHA-384',
+  15: 'Ed25519',
+  16: 'Ed448'
+};
+
+// Digest types accepted for new DS records and the hex length of their digests
+// (RFC 8624 - SHA-1 and GOST R 34.11-94 MUST NOT be used for new DS records)
+const DS_DIGEST_TYPES = {
+  2: { name: 'SHA-256', length: 64 },
+  4: { name: 'SHA-384', length: 96 }
+};
+
+/**
+ * Parse a value as an integer, rejecting anything that is not a whole number
+ * @param {*} value - Input value
+ * @returns {number|null}
+ */
+function toInteger(value) {
+  if (typeof value === 'number') {
+    return Number.isInteger(value) ? value : null;
+  }
+  if (typeof value === 'string' && /^\d+$/.test(value.trim())) {
+    return parseInt(value.trim(), 10);
+  }
+  return null;
+}
+
+/**
+ * Validate and normalize a DS record
+ * @param {object} record - { keyTag, algorithm, digestType, digest }
+ * @returns {object} - { record } with normalized values, or { error }
+ */
+function validateDsRecord(record) {
+  if (!record || typeof record !== 'object') {
+    return { error: 'DS record is required' };
+  }
+
+  const keyTag = toInteger(record.keyTag);
+  if (keyTag === null || keyTag < 0 || keyTag > 65535) {
+    return { error: 'Key tag must be a number between 0 and 65535' };
+  }
+
+  const algorithm = toInteger(record.algorithm);
+  if (algorithm === null || !DS_ALGORITHMS[algorithm]) {
+    return { error: `Unsupported algorithm. Allowed: ${Object.keys(DS_ALGORITHMS).join(', ')}` };
+  }
+
+  const digestType = toInteger(record.digestType);
+  if (digestType === null || !DS_DIGEST_TYPES[digestType]) {
+    return { error: `Unsupported digest type. Allowed: ${Object.keys(DS_DIGEST_TYPES).join(', ')}` };
+  }
+
+  // Digests are often pasted with spaces from dig/ldns output
+  const digest = typeof record.digest === 'string' ? record.digest.replace(/\s+/g, '').toUpperCase() : '';
+  if (!/^[0-9A-F]+$/.test(digest)) {
+    return { error: 'Digest must be a hexadecimal string' };
+  }
+
+  const expected = DS_DIGEST_TYPES[digestType];
+  if (digest.length !== expected.length) {
+    return {
+      error: `${expected.name} digest must be ${expected.length} hex characters (got ${digest.length})`
+    };
+  }
+
+  return {
+    record: { keyTag, algorithm, digestType, digest }
+  };
+}
+
+/**
+ * Parse the identity of a published DS record (e.g. to remove it)
+ * Unlike validateDsRecord, any algorithm and digest type is accepted, so records published
+ * with ones no longer allowed can still be removed.
+ * @param {object} record - { keyTag, algorithm, digestType, digest }
+ * @returns {object} - { record } with normalized values, or { error }
+ */
+function parseDsRecordKey(record) {
+  const keyTag = toInteger(record?.keyTag);
+  const algorithm = toInteger(record?.algorithm);
+  const digestType = toInteger(record?.digestType);
+  const digest = typeof record?.digest === 'string' ? record.digest.replace(/\s+/g, '').toUpperCase() : '';
+
+  if (keyTag === null || keyTag > 65535 || algorithm === null || algorithm > 255 ||
+      digestType === null || digestType > 255 || !/^[0-9A-F]+$/.test(digest)) {
+    return { error: 'Invalid DS record' };
+  }
+
+  return {
+    record: { keyTag, algorithm, digestType, digest }
+  };
+}
+
+/**
+ * Whether two normalized DS records are the same record
+ */
+function sameDsRecord(a, b) {
+  return a.keyTag === b.keyTag && a.algorithm === b.algorithm &&
+    a.digestType === b.digestType && a.digest === b.digest;
+}
+
+module.exports = {
+  DS_ALGORITHMS,
+  DS_DIGEST_TYPES,
+  validateDsRecord,
+  parseDsRecordKey,
+  sameDsRecord
+};
@@ -0,0 +1,231 @@
+/**
+ * Domain Lifecycle Utilities
+ * What happens to a domain after it expires, and what the customer can still do:
+ *   grace          - renewal grace period; renewable, at the TLD's late-renewal price if it has one
+ *   redemption     - deleted by the registry; only a restore (redemption fee + 1-year renewal) recovers it
+ *   pending_delete - past redemption; it will be released and can't be recovered
+ *
+ * The stage comes from the registrar's status when it reports one (eNom says
+ * 'Redemption'/'RGP' or 'Pending Delete'), otherwise from the days since expiry measured
+ * against the TLD's grace_period_days and redemption_period_days.
+ * 'expired' is the pre-lifecycle status; it is treated like any other expired stage and
+ * replaced on the next sync.
+ */
+
+const EXPIRED_STATUSES = ['expired', 'grace', 'redemption', 'pending_delete'];
+
+// Used when the TLD has no pricing row or the columns aren't set
+const DEFAULT_GRACE_PERIOD_DAYS = 30;
+const DEFAULT_REDEMPTION_PERIOD_DAYS = 30;
+const DEFAULT_REDEMPTION_PRICE = 129.99;
+const DEFAULT_REDEMPTION_COST = 80.00;
+
+// Registries typically release names about five days after redemption ends
+const PENDING_DELETE_DAYS = 5;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function addDays(date, days) {
+  return new Date(new Date(date).getTime() + days * DAY_MS);
+}
+
+/**
+ * When each post-expiry window ends for a domain
+ * @param {Date|string} expirationDate
+ * @param {object} pricing - tld_pricing row (grace_period_days, redemption_period_days)
+ * @returns {object} - { graceEndsAt, redemptionEndsAt, deleteAt }
+ */
+function lifecycleDates(expirationDate, pricing = {}) {
+  const graceDays = parseInt(pricing?.grace_period_days ?? DEFAULT_GRACE_PERIOD_DAYS);
+  const redemptionDays = parseInt(pricing?.redemption_period_days ?? DEFAULT_REDEMPTION_PERIOD_DAYS);
+  const graceEndsAt = addDays(expirationDate, graceDays);
+  const redemptionEndsAt = addDays(graceEndsAt, redemptionDays);
+  return {
+    graceEndsAt,
+    redemptionEndsAt,
+    deleteAt: addDays(redemptionEndsAt, PENDING_DELETE_DAYS)
+  };
+}
+
+/**
+ * Work out a domain's status from registrar data
+ * @param {string} registrarStatus - Registrar's registration status (e.g. 'Registered', 'Expired', 'Redemption')
+ * @param {Date|string} expirationDate - Expiry reported by the registrar
+ * @param {object} pricing - tld_pricing row for the TLD
+ * @param {Date} now
+ * @returns {string} - 'active', 'grace', 'redemption' or 'pending_delete'
+ */
+function deriveLifecycleStatus(registrarStatus, expirationDate, pricing = {}, now = new Date()) {
+  const raw = (registrarStatus || '').toLowerCase();
+  if (/pending[\s_-]*delete/.test(raw)) return 'pending_delete';
+  if (/redemption|rgp/.test(raw)) return 'redemption';
+
+  if (!expirationDate) {
+    return raw === 'expired' ? 'grace' : 'active';
+  }
+  const expiration = new Date(expirationDate);
+  if (expiration > now) {
+    return raw === 'expired' ? 'grace' : 'active';
+  }
+
+  const { graceEndsAt, redemptionEndsAt } = lifecycleDates(expiration, pricing);
+  if (now < graceEndsAt) return 'grace';
+  if (now < redemptionEndsAt) return 'redemption';
+  return 'pending_delete';
+}
+
+/**
+ * The stage of a domain already in our database, resolving legacy 'expired' by date
+ */
+function domainStage(domain, pricing = {}, now = new Date()) {
+  if (domain.status !== 'expired') return domain.status;
+  return deriveLifecycleStatus(null, domain.expiration_date, pricing, now);
+}
+
+/**
+ * Price per year to renew a domain now
+ * Premium domains keep their premium renewal price; otherwise domains in grace
+ * pay the late-renewal price when the TLD has one
+ */
+function renewalUnitPrice(domain, pricing = {}) {
+  if (domain.premium_renew_price) return parseFloat(domain.premium_renew_price);
+  if (domainStage(domain, pricing) === 'grace' && pricing.price_late_renew) {
+    return parseFloat(pricing.price_late_renew);
+  }
+  return parseFloat(pricing.price_renew);
+}
+
+function isPromoActive(pricing, now = new Date()) {
+  if (!pricing.promo_price) return false;
+  return !pricing.promo_expires_at || new Date(pricing.promo_expires_at) > now;
+}
+
+/**
+ * Price renewing a domain now for a term
+ * The one renewal price for cart items, manual renewals and auto-renewals: the
+ * renewalUnitPrice per year, with a live promo_price applied to the first year of a
+ * regular (not premium or late) renewal.
+ * @param {object} domain - domains row (status, expiration_date, premium_renew_price / premium_renew_cost)
+ * @param {object} pricing - tld_pricing row
+ * @param {number} years
+ * @returns {object} - { years, price, cost, unitPrice, promoApplied }
+ */
+function quoteRenewal(domain, pricing = {}, years = 1, now = new Date()) {
+  const round = (value) => Math.round(value * 100) / 100;
+
+  if (domain.premium_renew_price) {
+    const unitPrice = parseFloat(domain.premium_renew_price);
+    return {
+      years,
+      price: round(unitPrice * years),
+      cost: round(parseFloat(domain.premium_renew_cost || 0) * years),
+      unitPrice,
+      promoApplied: false
+    };
+  }
+
+  if (domainStage(domain, pricing, now) === 'grace' && pricing.price_late_renew) {
+    const unitPrice = parseFloat(pricing.price_late_renew);
+    return {
+      years,
+      price: round(unitPrice * years),
+      cost: round(parseFloat(pricing.cost_late_renew || pricing.cost_renew || 0) * years),
+      unitPrice,
+      promoApplied: false
+    };
+  }
+
+  const unitPrice = parseFloat(pricing.price_renew || 0);
+  const promoPrice = isPromoActive(pricing, now) ? parseFloat(pricing.promo_price) : null;
+  const promoApplied = promoPrice !== null && promoPrice < unitPrice;
+  const firstYear = promoApplied ? promoPrice : unitPrice;
+
+  return {
+    years,
+    price: round(firstYear + unitPrice * (years - 1)),
+    cost: round(parseFloat(pricing.cost_renew || 0) * years),
+    unitPrice,
+    promoApplied
+  };
+}
+
+/**
+ * Customer price to restore a domain from redemption: the redemption fee plus a 1-year renewal
+ */
+function restorePrice(domain, pricing = {}) {
+  const fee = parseFloat(pricing.price_redemption ?? DEFAULT_REDEMPTION_PRICE);
+  const renewal = parseFloat(domain.premium_renew_price || pricing.price_renew);
+  return Math.round((fee + renewal) * 100) / 100;
+}
+
+/**
+ * Our registrar cost to restore a domain, used for the prepaid balance check
+ */
+function restoreCost(domain, pricing = {}) {
+  const fee = parseFloat(pricing.cost_redemption ?? DEFAULT_REDEMPTION_COST);
+  const renewal = parseFloat(domain.premium_renew_cost || pricing.cost_renew || 0);
+  return Math.round((fee + renewal) * 100) / 100;
+}
+
+/**
+ * What a customer can still do with an expired domain
+ * @returns {object|null} - null for domains that haven't expired, otherwise
+ *   { stage, expiredAt, deadline, canRenew, canRestore, renewPrice, restorePrice, deleteAt }
+ */
+function getLifecycleInfo(domain, pricing = {}, now = new Date()) {
+  if (!EXPIRED_STATUSES.includes(domain.status) || !domain.expiration_date) {
+    return null;
+  }
+
+  const stage = domainStage(domain, pricing, now);
+  const dates = lifecycleDates(domain.expiration_date, pricing);
+  const info = {
+    stage,
+    expiredAt: new Date(domain.expiration_date),
+    deleteAt: dates.deleteAt,
+    deadline: null,
+    canRenew: false,
+    canRestore: false,
+    renewPrice: null,
+    restorePrice: null
+  };
+
+  if (stage === 'grace') {
+    info.deadline = dates.graceEndsAt;
+    info.canRenew = true;
+    info.renewPrice = renewalUnitPrice(domain, pricing);
+  } else if (stage === 'redemption') {
+    info.deadline = dates.redemptionEndsAt;
+    info.canRestore = true;
+    info.restorePrice = restorePrice(domain, pricing);
+  }
+  return info;
+}
+
+/**
+ * Load lifecycle pricing for a set of TLDs
+ * @returns {Promise<Map<string, object>>} - tld -> tld_pricing row
+ */
+async function loadLifecyclePricing(pool, tlds) {
+  const result = await pool.query(
+    `SELECT tld, price_renew, cost_renew, price_late_renew, cost_late_renew,
+            price_redemption, cost_redemption, grace_period_days, redemption_period_days
+     FROM tld_pricing WHERE tld = ANY($1)`,
+    [[...new Set(tlds)]]
+  );
+  return new Map(result.rows.map(row => [row.tld, row]));
+}
+
+module.exports = {
+  EXPIRED_STATUSES,
+  PENDING_DELETE_DAYS,
+  lifecycleDates,
+  deriveLifecycleStatus,
+  domainStage,
+  renewalUnitPrice,
+  quoteRenewal,
+  restorePrice,
+  restoreCost,
+  getLifecycleInfo,
+  loadLifecyclePricing
+};
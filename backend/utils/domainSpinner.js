@@ -0,0 +1,337 @@
+/**
+ * Domain Spinner Utilities
+ * Generates ranked name variations for domain search suggestions:
+ * the exact term, hyphenation, plural/singular, synonyms, prefixes/suffixes and
+ * (for three words or more) shorter keyword combinations.
+ *
+ * Multi-word input is split on spaces/hyphens; a single run-together word
+ * ("coffeeshop") is split against the known word lists. Word lists and TLD weights
+ * are admin-tunable through app_settings (suggestion_*).
+ */
+
+const DEFAULT_PREFIXES = ['get', 'my', 'the', 'try', 'go'];
+const DEFAULT_SUFFIXES = ['hq', 'app', 'hub', 'online', 'now', 'pro'];
+const DEFAULT_SYNONYMS = {
+  shop: ['store', 'market', 'boutique'],
+  store: ['shop', 'market'],
+  best: ['top', 'prime'],
+  fast: ['quick', 'rapid'],
+  home: ['house', 'nest'],
+  web: ['net', 'online'],
+  tech: ['digital', 'labs'],
+  cloud: ['sky', 'stack'],
+  food: ['eats', 'kitchen'],
+  coffee: ['cafe', 'brew'],
+  photo: ['pics', 'snap'],
+  travel: ['trips', 'journey'],
+  design: ['studio', 'creative'],
+  fit: ['fitness', 'active'],
+  pet: ['pets', 'paws'],
+  car: ['auto', 'motors'],
+  green: ['eco', 'earth'],
+  smart: ['clever', 'bright'],
+  news: ['daily', 'times'],
+  music: ['tunes', 'sound']
+};
+// TLDs without a weight get this one; a weight of 0 keeps a TLD out of suggestions
+const DEFAULT_TLD_WEIGHTS = { com: 1, net: 0.8, org: 0.75, io: 0.7, co: 0.7 };
+const DEFAULT_TLD_WEIGHT = 0.5;
+const DEFAULT_MAX_RESULTS = 12;
+
+// Settings stored as text, in the same format the admin settings page edits
+const DEFAULT_SPINNER_SETTINGS = {
+  suggestion_prefixes: DEFAULT_PREFIXES.join(','),
+  suggestion_suffixes: DEFAULT_SUFFIXES.join(','),
+  suggestion_synonyms: Object.entries(DEFAULT_SYNONYMS).map(([word, list]) => `${word}: ${list.join(', ')}`).join('\n'),
+  suggestion_tld_weights: Object.entries(DEFAULT_TLD_WEIGHTS).map(([tld, weight]) => `${tld}:${weight}`).join(','),
+  suggestion_max_results: String(DEFAULT_MAX_RESULTS)
+};
+
+// Base score per kind of variation, before the length penalty and TLD weight
+const VARIATION_SCORES = {
+  exact: 1,
+  hyphenated: 0.9,
+  plural: 0.8,
+  synonym: 0.75,
+  prefix: 0.7,
+  suffix: 0.7,
+  keywords: 0.6
+};
+
+const WORD_PATTERN = /^[a-z0-9]+$/;
+const SLD_PATTERN = /^[a-z0-9]([a-z0-9-]{0,61}[a-z0-9])?$/;
+const MAX_INPUT_WORDS = 5;
+
+/**
+ * Parse a comma-separated word list setting
+ * @param {string} value - e.g. "get,my,the"
+ * @returns {Array<string>}
+ */
+function parseWordList(value) {
+  return [...new Set(String(value || '')
+    .split(/[,\n]/)
+    .map(word => word.trim().toLowerCase())
+    .filter(word => WORD_PATTERN.test(word)))];
+}
+
+/**
+ * Parse the synonym setting: one group per line, "word: synonym, synonym"
+ * @param {string} value
+ * @returns {object} - { word: [synonyms] }
+ */
+function parseSynonyms(value) {
+  const synonyms = {};
+  for (const line of String(value || '').split('\n')) {
+    const separator = line.indexOf(':');
+    if (separator === -1) continue;
+
+    const word = line.slice(0, separator).trim().toLowerCase();
+    const list = parseWordList(line.slice(separator + 1)).filter(synonym => synonym !== word);
+    if (WORD_PATTERN.test(word) && list.length > 0) {
+      synonyms[word] = list;
+    }
+  }
+  return synonyms;
+}
+
+/**
+ * Parse the TLD weight setting: "com:1,net:0.8"
+ * @param {string} value
+ * @returns {object} - { tld: weight }
+ */
+function parseTldWeights(value) {
+  const weights = {};
+  for (const entry of String(value || '').split(/[,\n]/)) {
+    const [tld, weight] = entry.split(':').map(part => part && part.trim().toLowerCase());
+    const parsed = parseFloat(weight);
+    if (tld && /^[a-z0-9.-]+$/.test(tld.replace(/^\./, '')) && !isNaN(parsed) && parsed >= 0) {
+      weights[tld.replace(/^\./, '')] = parsed;
+    }
+  }
+  return weights;
+}
+
+/**
+ * Validate the spinner settings before they are saved
+ * @param {string} key - Setting key
+ * @param {string} value - Setting value
+ * @returns {boolean}
+ */
+function isValidSpinnerSetting(key, value) {
+  switch (key) {
+    case 'suggestion_prefixes':
+    case 'suggestion_suffixes':
+      return parseWordList(value).length > 0 || String(value).trim() === '';
+    case 'suggestion_synonyms':
+      return String(value).trim() === '' || Object.keys(parseSynonyms(value)).length > 0;
+    case 'suggestion_tld_weights':
+      return String(value).trim() === '' || Object.keys(parseTldWeights(value)).length > 0;
+    case 'suggestion_max_results':
+      return parseInt(value) >= 1 && parseInt(value) <= 50;
+    default:
+      return true;
+  }
+}
+
+/**
+ * Load the spinner configuration from app_settings, falling back to the defaults
+ * @param {object} pool - Database pool
+ * @returns {Promise<object>} - { prefixes, suffixes, synonyms, tldWeights, maxResults }
+ */
+async function loadSpinnerConfig(pool) {
+  const values = { ...DEFAULT_SPINNER_SETTINGS };
+  const result = await pool.query(
+    'SELECT key, value FROM app_settings WHERE key = ANY($1)',
+    [Object.keys(DEFAULT_SPINNER_SETTINGS)]
+  );
+  for (const row of result.rows) {
+    values[row.key] = row.value;
+  }
+
+  return {
+    prefixes: parseWordList(values.suggestion_prefixes),
+    suffixes: parseWordList(values.suggestion_suffixes),
+    synonyms: parseSynonyms(values.suggestion_synonyms),
+    tldWeights: parseTldWeights(values.suggestion_tld_weights),
+    maxResults: parseInt(values.suggestion_max_results) || DEFAULT_MAX_RESULTS
+  };
+}
+
+/**
+ * Split a run-together term into known words ("coffeeshop" -> ["coffee", "shop"])
+ * Prefers the split with the fewest words; returns null if the term can't be fully split.
+ * @param {string} term - Lowercase letters/digits
+ * @param {Set<string>} dictionary - Known words
+ * @returns {Array<string>|null}
+ */
+function splitCompound(term, dictionary) {
+  // best[i] = fewest-word split of term.slice(0, i)
+  const best = new Array(term.length + 1).fill(null);
+  best[0] = [];
+
+  for (let end = 1; end <= term.length; end++) {
+    for (let start = Math.max(0, end - 20); start < end; start++) {
+      const word = term.slice(start, end);
+      if (best[start] === null || word.length < 2 || !dictionary.has(word)) continue;
+      if (best[end] === null || best[start].length + 1 < best[end].length) {
+        best[end] = [...best[start], word];
+      }
+    }
+  }
+
+  const split = best[term.length];
+  return split && split.length > 1 ? split : null;
+}
+
+/**
+ * Turn raw search input into keywords
+ * @param {string} input - e.g. "Best Coffee Shop", "best-coffee", "coffeeshop.com"
+ * @param {object} config - From loadSpinnerConfig()
+ * @returns {Array<string>}
+ */
+function extractKeywords(input, config) {
+  const cleaned = String(input || '')
+    .toLowerCase()
+    .replace(/^(https?:\/\/)?(www\.)?/, '')
+    .replace(/\.[a-z.]+$/, '');
+
+  const words = cleaned.split(/[\s\-_.]+/)
+    .map(word => word.replace(/[^a-z0-9]/g, ''))
+    .filter(Boolean)
+    .slice(0, MAX_INPUT_WORDS);
+
+  if (words.length === 1) {
+    const dictionary = new Set([
+      ...config.prefixes,
+      ...config.suffixes,
+      ...Object.keys(config.synonyms),
+      ...Object.values(config.synonyms).flat()
+    ]);
+    return splitCompound(words[0], dictionary) || words;
+  }
+
+  return words;
+}
+
+/**
+ * Plural or singular form of a word
+ */
+function togglePlural(word) {
+  if (word.length < 3) return null;
+  if (/ies$/.test(word)) return word.slice(0, -3) + 'y';
+  if (/(s|x|ch|sh)es$/.test(word)) return word.slice(0, -2);
+  if (/ss$/.test(word)) return word + 'es';
+  if (/s$/.test(word)) return word.slice(0, -1);
+  if (/[^aeiou]y$/.test(word)) return word.slice(0, -1) + 'ies';
+  if (/(x|ch|sh)$/.test(word)) return word + 'es';
+  return word + 's';
+}
+
+/**
+ * Check that a generated label is a valid SLD (and not an IDN/reserved "xx--" label)
+ */
+function isValidSld(sld) {
+  return SLD_PATTERN.test(sld) && sld.slice(2, 4) !== '--';
+}
+
+/**
+ * Generate name variations for a list of keywords
+ * @param {Array<string>} keywords - From extractKeywords()
+ * @param {object} config - From loadSpinnerConfig()
+ * @returns {Array<object>} - { sld, type, score }, best first, one entry per SLD
+ */
+function generateNames(keywords, config) {
+  const candidates = new Map();
+  const add = (words, type) => {
+    const sld = Array.isArray(words) ? words.join('') : words;
+    if (!isValidSld(sld)) return;
+    // Shorter names rank higher
+    const score = Math.round((VARIATION_SCORES[type] - Math.max(0, sld.length - 10) * 0.01) * 1000) / 1000;
+    const existing = candidates.get(sld);
+    if (!existing || existing.score < score) {
+      candidates.set(sld, { sld, type, score });
+    }
+  };
+
+  if (keywords.length === 0) {
+    return [];
+  }
+
+  add(keywords, 'exact');
+
+  if (keywords.length > 1) {
+    add(keywords.join('-'), 'hyphenated');
+  }
+
+  const last = keywords[keywords.length - 1];
+  const plural = togglePlural(last);
+  if (plural) {
+    add([...keywords.slice(0, -1), plural], 'plural');
+  }
+
+  keywords.forEach((word, index) => {
+    for (const synonym of config.synonyms[word] || []) {
+      add([...keywords.slice(0, index), synonym, ...keywords.slice(index + 1)], 'synonym');
+    }
+  });
+
+  for (const prefix of config.prefixes) {
+    if (keywords[0] !== prefix) {
+      add([prefix, ...keywords], 'prefix');
+    }
+  }
+  for (const suffix of config.suffixes) {
+    if (last !== suffix) {
+      add([...keywords, suffix], 'suffix');
+    }
+  }
+
+  // Drop one keyword at a time from longer phrases
+  if (keywords.length >= 3) {
+    keywords.forEach((word, index) => {
+      add(keywords.filter((_, i) => i !== index), 'keywords');
+    });
+  }
+
+  return [...candidates.values()].sort((a, b) => b.score - a.score || a.sld.length - b.sld.length);
+}
+
+/**
+ * Combine names with TLDs and rank every domain
+ * @param {Array<object>} names - From generateNames()
+ * @param {Array<object>} tlds - tld_pricing rows
+ * @param {object} config - From loadSpinnerConfig()
+ * @returns {Array<object>} - { sld, tld, type, score, pricing }, best first
+ */
+function rankCandidates(names, tlds, config) {
+  const ranked = [];
+  for (const pricing of tlds) {
+    const weight = config.tldWeights[pricing.tld] ?? DEFAULT_TLD_WEIGHT;
+    if (weight <= 0) continue;
+
+    for (const name of names) {
+      ranked.push({
+        sld: name.sld,
+        tld: pricing.tld,
+        type: name.type,
+        score: Math.round(name.score * weight * 1000) / 1000,
+        pricing
+      });
+    }
+  }
+
+  return ranked.sort((a, b) => b.score - a.score || parseFloat(a.pricing.price_register) - parseFloat(b.pricing.price_register));
+}
+
+module.exports = {
+  DEFAULT_SPINNER_SETTINGS,
+  parseWordList,
+  parseSynonyms,
+  parseTldWeights,
+  isValidSpinnerSetting,
+  loadSpinnerConfig,
+  splitCompound,
+  extractKeywords,
+  generateNames,
+  rankCandidates
+};
@@ -0,0 +1,98 @@
+/**
+ * Email Forwarding Utilities
+ * Validation for eNom email forwards (alias@domain -> external mailbox)
+ * The alias "*" is a catch-all: it receives mail for every address without its own forward.
+ */
+
+const CATCH_ALL = '*';
+
+// Local part of an address: letters, digits and . _ % + - (no leading, trailing or repeated dots)
+const LOCAL_PART_PATTERN = /^[a-z0-9_%+-]+(\.[a-z0-9_%+-]+)*$/;
+const DOMAIN_LABEL_PATTERN = /^[a-z0-9]([a-z0-9-]{0,61}[a-z0-9])?$/;
+
+/**
+ * Normalize and validate the alias (the part before @)
+ * @param {string} emailUser - Alias, or "*" for catch-all
+ * @returns {object} - { emailUser } or { error }
+ */
+function validateEmailUser(emailUser) {
+  const value = typeof emailUser === 'string' ? emailUser.trim().toLowerCase() : '';
+  if (!value) {
+    return { error: 'Email alias is required' };
+  }
+  if (value === CATCH_ALL) {
+    return { emailUser: value };
+  }
+  if (value.length > 64 || !LOCAL_PART_PATTERN.test(value)) {
+    return { error: 'Email alias may only contain letters, numbers and . _ % + - (max 64 characters)' };
+  }
+  return { emailUser: value };
+}
+
+/**
+ * Validate a destination mailbox
+ * @param {string} address - Full email address
+ * @returns {object} - { address } or { error }
+ */
+function validateDestination(address) {
+  const value = typeof address === 'string' ? address.trim().toLowerCase() : '';
+  if (!value) {
+    return { error: 'Destination address is required' };
+  }
+  if (value.length > 254) {
+    return { error: 'Destination address is too long' };
+  }
+
+  const at = value.lastIndexOf('@');
+  const localPart = value.slice(0, at);
+  const domain = value.slice(at + 1);
+  if (at < 1 || localPart.length > 64 || !LOCAL_PART_PATTERN.test(localPart)) {
+    return { error: `${value} is not a valid email address` };
+  }
+
+  const labels = domain.split('.');
+  if (labels.length < 2 || !labels.every(label => DOMAIN_LABEL_PATTERN.test(label)) || !/^[a-z]{2,}$|^xn--/.test(labels[labels.length - 1])) {
+    return { error: `${value} is not a valid email address` };
+  }
+
+  return { address: value };
+}
+
+/**
+ * Validate and normalize an email forward for a domain
+ * @param {object} input - { emailUser, forwardTo }
+ * @param {string} domainName - The domain the alias belongs to (e.g. "example.com")
+ * @returns {object} - { forward: { emailUser, forwardTo } } or { error }
+ */
+function validateEmailForward(input, domainName) {
+  if (!input || typeof input !== 'object') {
+    return { error: 'emailUser and forwardTo are required' };
+  }
+
+  const user = validateEmailUser(input.emailUser);
+  if (user.error) {
+    return { error: user.error };
+  }
+
+  const destination = validateDestination(input.forwardTo);
+  if (destination.error) {
+    return { error: destination.error };
+  }
+
+  const domain = domainName.toLowerCase();
+  if (destination.address === `${user.emailUser}@${domain}`) {
+    return { error: 'An address cannot forward to itself' };
+  }
+  // Mail the catch-all sends back to this domain would be caught by it again
+  if (user.emailUser === CATCH_ALL && destination.address.endsWith(`@${domain}`)) {
+    return { error: `The catch-all must forward to an address outside ${domain}` };
+  }
+
+  return { forward: { emailUser: user.emailUser, forwardTo: destination.address } };
+}
+
+module.exports = {
+  CATCH_ALL,
+  validateEmailUser,
+  validateEmailForward
+};
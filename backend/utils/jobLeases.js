@@ -0,0 +1,101 @@
+/**
+ * Background Job Lease Utilities
+ * Only one app instance may run a job at a time. Before a run starts, the scheduler takes
+ * the job's row in job_leases; instances that can't take it skip the run. The holder
+ * renews the lease while the run is going, so a crashed or hung instance loses it when it
+ * expires and another instance can pick the job up (see failInterruptedJobRuns).
+ *
+ * Scheduled runs also record the cron tick they ran for, so a tick fired on every
+ * instance runs once.
+ */
+
+const os = require('os');
+const crypto = require('crypto');
+
+// Identifies this process in job_leases, job_runs.instance_id and domain claims.
+// The random part keeps a restarted process (same hostname and pid in a container) from
+// being mistaken for the one before it.
+const INSTANCE_ID = `${os.hostname()}:${process.pid}:${crypto.randomBytes(3).toString('hex')}`;
+
+// A lease not renewed for this long is treated as abandoned
+const JOB_LEASE_SECONDS = 5 * 60;
+
+// How often a running job renews its lease
+const JOB_LEASE_RENEW_MS = 60 * 1000;
+
+/**
+ * Take a job's lease for this instance
+ * @param {string} jobName - Job name
+ * @param {object} options - { scheduled } (true for a cron tick: skip if the tick already ran)
+ * @returns {Promise<boolean>} - Whether this instance now holds the lease
+ */
+async function acquireJobLease(pool, jobName, { scheduled = false } = {}) {
+  const result = await pool.query(
+    `INSERT INTO job_leases (job_name, holder, acquired_at, renewed_at, expires_at, last_scheduled_for)
+     VALUES ($1, $2, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP + INTERVAL '1 second' * $3,
+             CASE WHEN $4 THEN date_trunc('minute', CURRENT_TIMESTAMP) END)
+     ON CONFLICT (job_name) DO UPDATE SET
+       holder = EXCLUDED.holder,
+       acquired_at = EXCLUDED.acquired_at,
+       renewed_at = EXCLUDED.renewed_at,
+       expires_at = EXCLUDED.expires_at,
+       last_scheduled_for = COALESCE(EXCLUDED.last_scheduled_for, job_leases.last_scheduled_for)
+     WHERE job_leases.expires_at <= CURRENT_TIMESTAMP
+       AND (EXCLUDED.last_scheduled_for IS NULL
+         OR job_leases.last_scheduled_for IS NULL
+         OR job_leases.last_scheduled_for < EXCLUDED.last_scheduled_for)
+     RETURNING job_name`,
+    [jobName, INSTANCE_ID, JOB_LEASE_SECONDS, scheduled]
+  );
+  return result.rows.length > 0;
+}
+
+/**
+ * Extend this instance's lease on a job
+ * @returns {Promise<boolean>} - false if the lease expired and was taken by another instance
+ */
+async function renewJobLease(pool, jobName) {
+  const result = await pool.query(
+    `UPDATE job_leases SET
+      renewed_at = CURRENT_TIMESTAMP,
+      expires_at = CURRENT_TIMESTAMP + INTERVAL '1 second' * $3
+     WHERE job_name = $1 AND holder = $2
+     RETURNING job_name`,
+    [jobName, INSTANCE_ID, JOB_LEASE_SECONDS]
+  );
+  return result.rows.length > 0;
+}
+
+/**
+ * Give up this instance's lease on a job so the next run can start anywhere
+ * The row is kept for its last_scheduled_for.
+ */
+async function releaseJobLease(pool, jobName) {
+  await pool.query(
+    `UPDATE job_leases SET expires_at = CURRENT_TIMESTAMP
+     WHERE job_name = $1 AND holder = $2`,
+    [jobName, INSTANCE_ID]
+  );
+}
+
+/**
+ * Leases currently held, by any instance
+ * @returns {Promise<Map>} - job name -> { holder, acquired_at, renewed_at, expires_at }
+ */
+async function getActiveJobLeases(pool) {
+  const result = await pool.query(
+    `SELECT job_name, holder, acquired_at, renewed_at, expires_at FROM job_leases
+     WHERE expires_at > CURRENT_TIMESTAMP`
+  );
+  return new Map(result.rows.map(lease => [lease.job_name, lease]));
+}
+
+module.exports = {
+  INSTANCE_ID,
+  JOB_LEASE_SECONDS,
+  JOB_LEASE_RENEW_MS,
+  acquireJobLease,
+  renewJobLease,
+  releaseJobLease,
+  getActiveJobLeases
+};
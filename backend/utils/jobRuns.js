@@ -0,0 +1,365 @@
+/**
+ * Background Job Run Utilities
+ * JobScheduler records every run in job_runs: when it started and finished, its outcome,
+ * the counts the job returned and the error if it threw. A failed run queues a retry
+ * with exponential backoff (job_retry_backoff_seconds, doubling each time) until
+ * job_retry_attempts retries have failed. Queued runs are picked up by the scheduler,
+ * so pending retries survive a restart.
+ *
+ * Jobs receive a run context to report progress and notice cancellation:
+ *   await run.progress(done, total, message);
+ *   if (run.cancelled) break;
+ *
+ * Each run records the instance that ran it (utils/jobLeases INSTANCE_ID).
+ */
+
+const { INSTANCE_ID } = require('./jobLeases');
+
+const DEFAULT_JOB_RUN_SETTINGS = {
+  job_retry_attempts: '3',
+  job_retry_backoff_seconds: '60',
+  job_run_retention_days: '30'
+};
+
+const MAX_JOB_RETRY_ATTEMPTS = 10;
+const MIN_JOB_RETRY_BACKOFF_SECONDS = 10;
+const MAX_JOB_RETRY_BACKOFF_SECONDS = 3600;
+
+// Retries never wait longer than this, however many attempts have failed
+const MAX_JOB_RETRY_DELAY_SECONDS = 6 * 60 * 60;
+
+const JOB_RUN_STATUSES = ['queued', 'running', 'succeeded', 'failed', 'cancelled'];
+const ACTIVE_JOB_RUN_STATUSES = ['queued', 'running'];
+
+// Progress is written at most this often (the last update is always written)
+const PROGRESS_WRITE_INTERVAL_MS = 2000;
+
+// Context for jobs called outside the scheduler (scripts, tests)
+const NO_RUN = {
+  id: null,
+  cancelled: false,
+  async progress() {
+    return false;
+  }
+};
+
+/**
+ * Load the retry and retention settings from app_settings
+ * @returns {Promise<object>} - { retryAttempts, backoffSeconds, retentionDays }
+ */
+async function loadJobRunSettings(pool) {
+  const values = { ...DEFAULT_JOB_RUN_SETTINGS };
+  const result = await pool.query(
+    'SELECT key, value FROM app_settings WHERE key = ANY($1)',
+    [Object.keys(DEFAULT_JOB_RUN_SETTINGS)]
+  );
+  for (const row of result.rows) {
+    values[row.key] = row.value;
+  }
+
+  const retryAttempts = parseInt(values.job_retry_attempts);
+  return {
+    retryAttempts: Number.isInteger(retryAttempts) && retryAttempts >= 0 ? retryAttempts : 3,
+    backoffSeconds: parseInt(values.job_retry_backoff_seconds) || 60,
+    retentionDays: parseInt(values.job_run_retention_days) || 30
+  };
+}
+
+/**
+ * Seconds to wait before retrying a run that failed on the given attempt
+ */
+function retryDelaySeconds(backoffSeconds, attempt) {
+  return Math.min(backoffSeconds * Math.pow(2, attempt - 1), MAX_JOB_RETRY_DELAY_SECONDS);
+}
+
+/**
+ * Record a new run
+ * @param {object} params - { jobName, trigger, status, attempt, retryOf, triggeredBy, scheduledAt }
+ * @returns {Promise<object>} - The job_runs row
+ */
+async function createJobRun(pool, { jobName, trigger = 'schedule', status = 'running', attempt = 1, retryOf = null, triggeredBy = null, scheduledAt = null }) {
+  const result = await pool.query(
+    `INSERT INTO job_runs (job_name, trigger, status, attempt, retry_of, triggered_by, scheduled_at, started_at, instance_id)
+     VALUES ($1, $2, $3, $4, $5, $6, COALESCE($7, CURRENT_TIMESTAMP),
+             CASE WHEN $3 = 'running' THEN CURRENT_TIMESTAMP END, CASE WHEN $3 = 'running' THEN $8 END)
+     RETURNING *`,
+    [jobName, trigger, status, attempt, retryOf, triggeredBy, scheduledAt, INSTANCE_ID]
+  );
+  return result.rows[0];
+}
+
+/**
+ * Claim a queued run to start it
+ * @returns {Promise<object|null>} - The run, or null if it was cancelled or already started
+ */
+async function startJobRun(pool, id) {
+  const result = await pool.query(
+    `UPDATE job_runs SET status = 'running', started_at = CURRENT_TIMESTAMP, instance_id = $2, updated_at = CURRENT_TIMESTAMP
+     WHERE id = $1 AND status = 'queued'
+     RETURNING *`,
+    [id, INSTANCE_ID]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Record how a run ended
+ * @param {object} outcome - { status, result, error }
+ * @returns {Promise<object|null>} - The updated run, or null if it had already been marked interrupted
+ */
+async function finishJobRun(pool, id, { status, result = null, error = null }) {
+  const updated = await pool.query(
+    `UPDATE job_runs SET
+      status = $1,
+      result = $2,
+      error = $3,
+      error_stack = $4,
+      finished_at = CURRENT_TIMESTAMP,
+      duration_ms = (EXTRACT(EPOCH FROM (CURRENT_TIMESTAMP - started_at)) * 1000)::int,
+      updated_at = CURRENT_TIMESTAMP
+     WHERE id = $5 AND status = 'running'
+     RETURNING *`,
+    [status, result ? JSON.stringify(result) : null, error?.message || null, error?.stack || null, id]
+  );
+  return updated.rows[0] || null;
+}
+
+/**
+ * Queue a retry of a failed run, if it has retries left
+ * @param {object} run - The failed job_runs row
+ * @param {object} settings - From loadJobRunSettings()
+ * @returns {Promise<object|null>} - The queued run, or null when retries are used up
+ */
+async function queueJobRetry(pool, run, settings) {
+  if (run.attempt > settings.retryAttempts) return null;
+
+  const delay = retryDelaySeconds(settings.backoffSeconds, run.attempt);
+  return createJobRun(pool, {
+    jobName: run.job_name,
+    trigger: 'retry',
+    status: 'queued',
+    attempt: run.attempt + 1,
+    retryOf: run.retry_of || run.id,
+    triggeredBy: run.triggered_by,
+    scheduledAt: new Date(Date.now() + delay * 1000)
+  });
+}
+
+/**
+ * Queued runs whose time has come, oldest first
+ */
+async function getDueJobRuns(pool) {
+  const result = await pool.query(
+    `SELECT * FROM job_runs
+     WHERE status = 'queued' AND scheduled_at <= CURRENT_TIMESTAMP
+     ORDER BY scheduled_at ASC`
+  );
+  return result.rows;
+}
+
+/**
+ * Context passed to a job handler for progress and cancellation
+ * Writing progress also picks up a cancellation requested from the admin console.
+ */
+function createRunContext(pool, run) {
+  let lastWrite = 0;
+
+  const context = {
+    id: run.id,
+    cancelled: !!run.cancel_requested_at,
+
+    /**
+     * Report progress
+     * @returns {Promise<boolean>} - Whether the run has been cancelled
+     */
+    async progress(done, total, message = null) {
+      const now = Date.now();
+      if (now - lastWrite < PROGRESS_WRITE_INTERVAL_MS && done < total) {
+        return context.cancelled;
+      }
+      lastWrite = now;
+
+      try {
+        const result = await pool.query(
+          `UPDATE job_runs SET progress = $1, updated_at = CURRENT_TIMESTAMP
+           WHERE id = $2
+           RETURNING cancel_requested_at`,
+          [JSON.stringify({ done, total, message }), run.id]
+        );
+        if (result.rows[0]?.cancel_requested_at) {
+          context.cancelled = true;
+        }
+      } catch (error) {
+        // Progress is informational - never fail the job over it
+        console.error(`[Job] Failed to record progress for run #${run.id}:`, error.message);
+      }
+      return context.cancelled;
+    },
+
+    cancel() {
+      context.cancelled = true;
+    }
+  };
+
+  return context;
+}
+
+/**
+ * Cancel a run: queued runs are cancelled outright, running ones are flagged and stop
+ * at their next progress check
+ * @returns {Promise<object|null>} - The updated run, or null if it isn't queued or running
+ */
+async function requestJobRunCancel(pool, id, userId) {
+  const result = await pool.query(
+    `UPDATE job_runs SET
+      status = CASE WHEN status = 'queued' THEN 'cancelled' ELSE status END,
+      finished_at = CASE WHEN status = 'queued' THEN CURRENT_TIMESTAMP ELSE finished_at END,
+      cancel_requested_at = CURRENT_TIMESTAMP,
+      cancelled_by = $2,
+      updated_at = CURRENT_TIMESTAMP
+     WHERE id = $1 AND status = ANY($3)
+     RETURNING *`,
+    [id, userId, ACTIVE_JOB_RUN_STATUSES]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Mark runs as failed whose instance no longer holds the job's lease - it crashed,
+ * restarted or hung for longer than the lease lasts
+ * @returns {Promise<Array>} - The interrupted runs
+ */
+async function failInterruptedJobRuns(pool) {
+  const result = await pool.query(
+    `UPDATE job_runs SET
+      status = 'failed',
+      error = 'Interrupted: ' || COALESCE(instance_id, 'the instance running it') || ' stopped before it finished',
+      finished_at = CURRENT_TIMESTAMP,
+      duration_ms = (EXTRACT(EPOCH FROM (CURRENT_TIMESTAMP - started_at)) * 1000)::int,
+      updated_at = CURRENT_TIMESTAMP
+     WHERE status = 'running'
+       AND NOT EXISTS (
+         SELECT 1 FROM job_leases l
+         WHERE l.job_name = job_runs.job_name AND l.holder = job_runs.instance_id
+           AND l.expires_at > CURRENT_TIMESTAMP
+       )
+     RETURNING *`
+  );
+  return result.rows;
+}
+
+/**
+ * Delete finished runs older than the retention period
+ * @returns {Promise<number>} - Number of runs deleted
+ */
+async function pruneJobRuns(pool, retentionDays) {
+  const result = await pool.query(
+    `DELETE FROM job_runs
+     WHERE status <> ALL($1) AND created_at < CURRENT_TIMESTAMP - INTERVAL '1 day' * $2`,
+    [ACTIVE_JOB_RUN_STATUSES, retentionDays]
+  );
+  return result.rowCount;
+}
+
+/**
+ * The latest run and latest successful run of every job
+ * @returns {Promise<Map>} - job name -> { lastRun, lastSuccess, activeRuns }
+ */
+async function getJobSummaries(pool) {
+  const latest = await pool.query(
+    `SELECT DISTINCT ON (job_name) * FROM job_runs
+     WHERE status <> 'queued'
+     ORDER BY job_name, created_at DESC`
+  );
+  const succeeded = await pool.query(
+    `SELECT DISTINCT ON (job_name) job_name, finished_at, duration_ms, result FROM job_runs
+     WHERE status = 'succeeded'
+     ORDER BY job_name, finished_at DESC`
+  );
+  const active = await pool.query(
+    `SELECT * FROM job_runs WHERE status = ANY($1) ORDER BY created_at ASC`,
+    [ACTIVE_JOB_RUN_STATUSES]
+  );
+
+  const summaries = new Map();
+  const summaryFor = (name) => {
+    if (!summaries.has(name)) {
+      summaries.set(name, { lastRun: null, lastSuccess: null, activeRuns: [] });
+    }
+    return summaries.get(name);
+  };
+  for (const run of latest.rows) summaryFor(run.job_name).lastRun = run;
+  for (const run of succeeded.rows) summaryFor(run.job_name).lastSuccess = run;
+  for (const run of active.rows) summaryFor(run.job_name).activeRuns.push(run);
+  return summaries;
+}
+
+/**
+ * Run history, newest first
+ * @param {object} filters - { jobName, status, limit, offset }
+ * @returns {Promise<object>} - { runs, total }
+ */
+async function listJobRuns(pool, { jobName = null, status = null, limit = 50, offset = 0 } = {}) {
+  const conditions = [];
+  const params = [];
+  if (jobName) {
+    params.push(jobName);
+    conditions.push(`r.job_name = $${params.length}`);
+  }
+  if (status) {
+    params.push(status);
+    conditions.push(`r.status = $${params.length}`);
+  }
+  const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+  const count = await pool.query(`SELECT COUNT(*)::int as total FROM job_runs r ${where}`, params);
+  const runs = await pool.query(
+    `SELECT r.id, r.job_name, r.trigger, r.status, r.attempt, r.retry_of, r.scheduled_at, r.started_at,
+            r.finished_at, r.duration_ms, r.instance_id, r.progress, r.result, r.error, r.cancel_requested_at,
+            t.username as triggered_by_username, c.username as cancelled_by_username
+     FROM job_runs r
+     LEFT JOIN users t ON r.triggered_by = t.id
+     LEFT JOIN users c ON r.cancelled_by = c.id
+     ${where}
+     ORDER BY r.created_at DESC
+     LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+    [...params, limit, offset]
+  );
+  return { runs: runs.rows, total: count.rows[0].total };
+}
+
+async function getJobRun(pool, id) {
+  const result = await pool.query(
+    `SELECT r.*, t.username as triggered_by_username, c.username as cancelled_by_username
+     FROM job_runs r
+     LEFT JOIN users t ON r.triggered_by = t.id
+     LEFT JOIN users c ON r.cancelled_by = c.id
+     WHERE r.id = $1`,
+    [id]
+  );
+  return result.rows[0] || null;
+}
+
+module.exports = {
+  DEFAULT_JOB_RUN_SETTINGS,
+  MAX_JOB_RETRY_ATTEMPTS,
+  MIN_JOB_RETRY_BACKOFF_SECONDS,
+  MAX_JOB_RETRY_BACKOFF_SECONDS,
+  JOB_RUN_STATUSES,
+  ACTIVE_JOB_RUN_STATUSES,
+  NO_RUN,
+  loadJobRunSettings,
+  retryDelaySeconds,
+  createJobRun,
+  startJobRun,
+  finishJobRun,
+  queueJobRetry,
+  getDueJobRuns,
+  createRunContext,
+  requestJobRunCancel,
+  failInterruptedJobRuns,
+  pruneJobRuns,
+  getJobSummaries,
+  listJobRuns,
+  getJobRun
+};
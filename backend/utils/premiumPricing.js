@@ -0,0 +1,229 @@
+/**
+ * Premium Domain Pricing Utilities
+ * Registry premium names are priced from the registrar's premium price, not tld_pricing.
+ *
+ * The registrar price (our cost) goes through its own markup rules (app_settings premium_*).
+ * The quote is stored in the cart item's options.premium, copied to the order item
+ * (premium_price = registry cost passed to registerDomain) and to the domain
+ * (premium_renew_price / premium_renew_cost, used for every later renewal).
+ * Cart prices for registrations are re-verified with the registrar before payment.
+ */
+
+const DEFAULT_PREMIUM_SETTINGS = {
+  premium_enabled: 'true',
+  premium_price_markup: '1.15',
+  premium_min_margin: '25',
+  premium_max_price: '10000'
+};
+
+/**
+ * Load the premium markup rules from app_settings, falling back to the defaults
+ * @param {object} pool - Database pool
+ * @returns {Promise<object>} - { enabled, markup, minMargin, maxPrice }
+ */
+async function loadPremiumSettings(pool) {
+  const values = { ...DEFAULT_PREMIUM_SETTINGS };
+  const result = await pool.query(
+    'SELECT key, value FROM app_settings WHERE key = ANY($1)',
+    [Object.keys(DEFAULT_PREMIUM_SETTINGS)]
+  );
+  for (const row of result.rows) {
+    values[row.key] = row.value;
+  }
+
+  return {
+    enabled: values.premium_enabled === 'true',
+    markup: parseFloat(values.premium_price_markup) || 1,
+    minMargin: parseFloat(values.premium_min_margin) || 0,
+    maxPrice: parseFloat(values.premium_max_price) || 0
+  };
+}
+
+/**
+ * Retail price for a premium registry price: the markup or the minimum margin, whichever is more
+ * @param {number} cost - Registry price
+ * @param {object} settings - From loadPremiumSettings()
+ * @returns {number}
+ */
+function premiumRetailPrice(cost, settings) {
+  const price = Math.max(cost * settings.markup, cost + settings.minMargin);
+  return Math.round(price * 100) / 100;
+}
+
+/**
+ * Build the premium quote for an availability result
+ * @param {object} availability - From checkDomain(): { premium, premiumPrice, premiumRenewPrice }
+ * @param {object} settings - From loadPremiumSettings()
+ * @returns {object|null} - null for standard names; otherwise
+ *   { registryPrice, registryRenewPrice, price, renewPrice, purchasable, reason? }
+ */
+function buildPremiumQuote(availability, settings) {
+  if (!availability.premium || !availability.premiumPrice) {
+    return null;
+  }
+
+  const registryPrice = parseFloat(availability.premiumPrice);
+  const registryRenewPrice = parseFloat(availability.premiumRenewPrice) || registryPrice;
+  const quote = {
+    registryPrice,
+    registryRenewPrice,
+    price: premiumRetailPrice(registryPrice, settings),
+    renewPrice: premiumRetailPrice(registryRenewPrice, settings),
+    purchasable: true
+  };
+
+  if (!settings.enabled) {
+    quote.purchasable = false;
+    quote.reason = 'Premium domains are not available for online purchase. Contact support.';
+  } else if (settings.maxPrice && quote.price > settings.maxPrice) {
+    quote.purchasable = false;
+    quote.reason = 'This premium domain is above our online purchase limit. Contact support.';
+  }
+
+  return quote;
+}
+
+/**
+ * Customer-facing pricing for a search result
+ * @param {object} pricing - tld_pricing row
+ * @param {object|null} quote - From buildPremiumQuote()
+ * @returns {object} - { register, renew }
+ */
+function displayPricing(pricing, quote) {
+  return {
+    register: quote ? quote.price : parseFloat(pricing.price_register),
+    renew: quote ? quote.renewPrice : parseFloat(pricing.price_renew)
+  };
+}
+
+/**
+ * Cart price of a registration
+ * Premium names pay the premium price for the first year and the premium renewal price after.
+ * @param {object} pricing - tld_pricing row
+ * @param {number} years - Registration period
+ * @param {object} options - Cart item options ({ privacy, premium })
+ * @returns {number}
+ */
+function registerItemPrice(pricing, years, options = {}) {
+  let price = options.premium
+    ? options.premium.price + options.premium.renewPrice * (years - 1)
+    : parseFloat(pricing.price_register) * years;
+
+  if (options.privacy) {
+    price += parseFloat(pricing.price_privacy);
+  }
+  return Math.round(price * 100) / 100;
+}
+
+/**
+ * Registry price to pass to registerDomain for a premium registration
+ * @param {object} premium - options.premium of the cart item
+ * @param {number} years - Registration period
+ * @returns {number}
+ */
+function premiumRegistryCost(premium, years) {
+  return Math.round((premium.registryPrice + premium.registryRenewPrice * (years - 1)) * 100) / 100;
+}
+
+/**
+ * Re-check every registration in a user's cart with the registrar before payment
+ * Items whose premium status or price changed are repriced in place; names that were
+ * taken in the meantime or can't be bought online are reported, not removed.
+ * @param {object} pool - Database pool
+ * @param {object} registrar - Default registrar provider
+ * @param {number} userId - Cart owner
+ * @returns {Promise<object>} - { changed: [{ domain, oldPrice, newPrice, premium }], unavailable: [{ domain, reason }] }
+ */
+async function verifyCartPricing(pool, registrar, userId) {
+  const itemsResult = await pool.query(
+    `SELECT c.*, p.price_register, p.price_renew, p.price_privacy
+     FROM cart_items c
+     JOIN tld_pricing p ON p.tld = c.tld
+     WHERE c.user_id = $1 AND c.item_type = 'register' AND c.expires_at > CURRENT_TIMESTAMP
+     ORDER BY c.id`,
+    [userId]
+  );
+  const items = itemsResult.rows;
+  const changed = [];
+  const unavailable = [];
+
+  if (items.length === 0) {
+    return { changed, unavailable };
+  }
+
+  const settings = await loadPremiumSettings(pool);
+  const checks = await registrar.checkDomainBulk(items.map(item => ({ sld: item.domain_name, tld: item.tld })));
+
+  for (let i = 0; i < items.length; i++) {
+    const item = items[i];
+    const check = checks[i];
+    const domain = `${item.domain_name}.${item.tld}`;
+
+    if (check.error) {
+      unavailable.push({ domain, reason: `Could not confirm availability: ${check.error}` });
+      continue;
+    }
+    if (!check.available) {
+      unavailable.push({ domain, reason: 'No longer available' });
+      continue;
+    }
+
+    const quote = buildPremiumQuote(check, settings);
+    if (quote && !quote.purchasable) {
+      unavailable.push({ domain, reason: quote.reason });
+      continue;
+    }
+
+    const options = { ...(item.options || {}) };
+    delete options.premium;
+    if (quote) {
+      options.premium = quote;
+    }
+
+    const years = parseInt(item.years) || 1;
+    const newPrice = registerItemPrice(item, years, options);
+    const oldPrice = parseFloat(item.price);
+    const registryChanged = (item.options?.premium?.registryPrice || null) !== (quote?.registryPrice || null)
+      || (item.options?.premium?.registryRenewPrice || null) !== (quote?.registryRenewPrice || null);
+
+    if (newPrice !== oldPrice || registryChanged) {
+      await pool.query(
+        'UPDATE cart_items SET price = $1, options = $2 WHERE id = $3',
+        [newPrice, JSON.stringify(options), item.id]
+      );
+      if (newPrice !== oldPrice) {
+        changed.push({ domain, oldPrice, newPrice, premium: !!quote });
+      }
+    }
+  }
+
+  return { changed, unavailable };
+}
+
+/**
+ * Turn a verifyCartPricing() result into an error message, or null if checkout can go ahead
+ * @param {object} verification - From verifyCartPricing()
+ * @returns {string|null}
+ */
+function describeCartChanges({ changed, unavailable }) {
+  const parts = [];
+  for (const item of unavailable) {
+    parts.push(`${item.domain}: ${item.reason}`);
+  }
+  for (const item of changed) {
+    parts.push(`${item.domain}${item.premium ? ' (premium)' : ''} is now $${item.newPrice.toFixed(2)} (was $${item.oldPrice.toFixed(2)})`);
+  }
+  return parts.length > 0 ? `Your cart was updated. ${parts.join('; ')}. Please review it before paying.` : null;
+}
+
+module.exports = {
+  DEFAULT_PREMIUM_SETTINGS,
+  loadPremiumSettings,
+  premiumRetailPrice,
+  buildPremiumQuote,
+  displayPricing,
+  registerItemPrice,
+  premiumRegistryCost,
+  verifyCartPricing,
+  describeCartChanges
+};
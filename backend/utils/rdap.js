@@ -0,0 +1,76 @@
+/**
+ * RDAP Lookup
+ * Registry data for domains registered elsewhere (status codes and key dates), used to
+ * pre-check inbound transfers before they are paid for. rdap.org redirects each query
+ * to the RDAP server of the domain's registry.
+ */
+
+const fetch = require('node-fetch');
+
+const RDAP_BASE_URL = 'https://rdap.org/domain/';
+const RDAP_TIMEOUT_MS = 8000;
+
+// EPP status codes that block a transfer away from the current registrar
+const TRANSFER_PROHIBITED_STATUSES = ['client transfer prohibited', 'server transfer prohibited'];
+
+/**
+ * Get the date of the latest event with the given action
+ * @param {Array} events - RDAP events
+ * @param {string} action - e.g. 'registration', 'transfer'
+ * @returns {Date|null}
+ */
+function latestEventDate(events, action) {
+  const dates = (events || [])
+    .filter(event => event.eventAction === action && event.eventDate)
+    .map(event => new Date(event.eventDate))
+    .filter(date => !Number.isNaN(date.getTime()));
+  if (dates.length === 0) {
+    return null;
+  }
+  return new Date(Math.max(...dates.map(date => date.getTime())));
+}
+
+/**
+ * Look up a domain's registry status
+ * @param {string} domainName - Full domain name (e.g. 'example.com')
+ * @returns {Promise<object>} - { found, statuses, transferLocked, registeredAt, lastTransferredAt }
+ *   or { error } when the registry couldn't be reached
+ */
+async function lookupDomain(domainName) {
+  let response;
+  try {
+    response = await fetch(RDAP_BASE_URL + encodeURIComponent(domainName), {
+      headers: { 'Accept': 'application/rdap+json' },
+      timeout: RDAP_TIMEOUT_MS
+    });
+  } catch (error) {
+    return { error: `Registry lookup failed: ${error.message}` };
+  }
+
+  if (response.status === 404) {
+    return { found: false, statuses: [], transferLocked: false, registeredAt: null, lastTransferredAt: null };
+  }
+  if (!response.ok) {
+    return { error: `Registry lookup failed (HTTP ${response.status})` };
+  }
+
+  let data;
+  try {
+    data = await response.json();
+  } catch (error) {
+    return { error: 'Registry returned an unreadable response' };
+  }
+
+  const statuses = (data.status || []).map(status => String(status).toLowerCase());
+  return {
+    found: true,
+    statuses,
+    transferLocked: statuses.some(status => TRANSFER_PROHIBITED_STATUSES.includes(status)),
+    registeredAt: latestEventDate(data.events, 'registration'),
+    lastTransferredAt: latestEventDate(data.events, 'transfer')
+  };
+}
+
+module.exports = {
+  lookupDomain
+};
@@ -0,0 +1,205 @@
+/**
+ * Auto-Renewal Authentication Utilities
+ * Off-session renewal charges can be refused with authentication_required when the bank
+ * wants the cardholder to confirm the payment (SCA / 3-D Secure). Instead of treating
+ * that as a failed charge, autoRenewDomains keeps the PaymentIntent in
+ * renewal_authentications and emails the customer a link (/renew/authenticate?token=...).
+ * The page confirms that same PaymentIntent with Stripe.js; once it succeeds the domain is
+ * renewed through completeChargedRenewal, the same path the job uses.
+ *
+ * The job skips a domain while its authentication is pending. Requests nobody completed
+ * are expired when the domain expires or is renewed some other way.
+ */
+
+const crypto = require('crypto');
+const email = require('../services/email');
+const stripeService = require('../services/stripe');
+const { completeChargedRenewal } = require('./renewalReconciliation');
+const { closeDunning, getActiveDunning, recordPaymentAttempt } = require('./renewalDunning');
+
+const SITE_URL = process.env.FRONTEND_URL || 'https://example.com';
+
+function renewalAuthenticationUrl(token) {
+  return `${SITE_URL}/renew/authenticate?token=${token}`;
+}
+
+/**
+ * Keep an auto-renewal PaymentIntent that needs authentication and email the customer
+ * @param {object} domain - domains row joined with the owner's email and username
+ * @param {object} charge - { years, amount, cost, paymentIntentId, error }
+ * @returns {Promise<object>} - The renewal_authentications row
+ */
+async function requestRenewalAuthentication(pool, domain, { years, amount, cost, paymentIntentId, error }) {
+  const dunning = await getActiveDunning(pool, domain.id);
+
+  const result = await pool.query(
+    `INSERT INTO renewal_authentications
+      (domain_id, user_id, dunning_id, stripe_payment_intent_id, expiration_date, years, amount, cost, token, expires_at)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $5)
+     RETURNING *`,
+    [
+      domain.id, domain.user_id, dunning?.id || null, paymentIntentId, domain.expiration_date,
+      years, amount, cost, crypto.randomBytes(32).toString('hex')
+    ]
+  );
+  const authentication = result.rows[0];
+
+  const fullDomain = `${domain.domain_name}.${domain.tld}`;
+  let emailSent = null;
+  try {
+    await email.sendRenewalAuthenticationRequired(domain.email, {
+      domain: fullDomain,
+      username: domain.username,
+      expirationDate: new Date(domain.expiration_date).toLocaleDateString(),
+      amount,
+      authUrl: renewalAuthenticationUrl(authentication.token)
+    });
+    emailSent = 'renewal_authentication_required';
+  } catch (emailError) {
+    console.error(`[autoRenew] Failed to send authentication email for ${fullDomain}:`, emailError.message);
+  }
+
+  await recordPaymentAttempt(pool, {
+    domainId: domain.id,
+    userId: domain.user_id,
+    dunningId: dunning?.id,
+    source: dunning ? 'dunning' : 'auto_renew',
+    status: 'requires_action',
+    amount,
+    years,
+    error,
+    paymentIntentId,
+    emailSent
+  });
+
+  return authentication;
+}
+
+/**
+ * Expire pending requests past the domain's expiry, or for domains renewed some other way
+ * @returns {Promise<number>} - Number of requests expired
+ */
+async function expireRenewalAuthentications(pool) {
+  const result = await pool.query(
+    `UPDATE renewal_authentications ra SET
+      status = 'expired',
+      updated_at = CURRENT_TIMESTAMP
+     FROM domains d
+     WHERE ra.domain_id = d.id
+       AND ra.status = 'pending'
+       AND (ra.expires_at < CURRENT_TIMESTAMP OR d.expiration_date > ra.expiration_date)`
+  );
+  return result.rowCount;
+}
+
+/**
+ * Look up an authentication link
+ * @returns {Promise<object>} - { authentication } (joined with the domain) or { error, status }
+ */
+async function getRenewalAuthentication(pool, token) {
+  if (!token || !/^[a-f0-9]{64}$/.test(token)) {
+    return { error: 'Invalid payment link', status: 404 };
+  }
+
+  const result = await pool.query(
+    `SELECT ra.*, d.domain_name, d.tld, d.expiration_date as current_expiration_date
+     FROM renewal_authentications ra
+     JOIN domains d ON ra.domain_id = d.id
+     WHERE ra.token = $1`,
+    [token]
+  );
+  const authentication = result.rows[0];
+
+  if (!authentication) {
+    return { error: 'Invalid payment link', status: 404 };
+  }
+  if (authentication.status === 'paid') {
+    return { error: 'This renewal has already been paid', status: 410 };
+  }
+  if (authentication.status !== 'pending' || new Date(authentication.expires_at) < new Date()) {
+    return { error: 'This payment link has expired. Please renew the domain from your dashboard.', status: 410 };
+  }
+  return { authentication };
+}
+
+/**
+ * Renew the domain behind an authenticated auto-renewal PaymentIntent
+ * Called from both the authentication page and the Stripe webhook, so it only runs once
+ * per payment. A payment completed after its request expired is refunded.
+ * @param {object} paymentIntent - Stripe PaymentIntent
+ * @returns {Promise<object>} - { success, notFound?, alreadyProcessed?, refunded?, charged?, newExpiration?, error? }
+ */
+async function completeRenewalAuthentication(pool, paymentIntent) {
+  if (paymentIntent.status !== 'succeeded') {
+    return { success: false, error: 'Payment has not completed' };
+  }
+
+  const claim = await pool.query(
+    `UPDATE renewal_authentications SET
+      status = 'paid',
+      completed_at = CURRENT_TIMESTAMP,
+      updated_at = CURRENT_TIMESTAMP
+     WHERE stripe_payment_intent_id = $1 AND status = 'pending'
+     RETURNING *`,
+    [paymentIntent.id]
+  );
+
+  if (claim.rows.length === 0) {
+    const existing = await pool.query(
+      'SELECT status FROM renewal_authentications WHERE stripe_payment_intent_id = $1',
+      [paymentIntent.id]
+    );
+    // Not an authentication request - an ordinary auto-renewal charge
+    if (existing.rows.length === 0) {
+      return { success: false, notFound: true };
+    }
+    if (existing.rows[0].status === 'paid') {
+      return { success: true, alreadyProcessed: true };
+    }
+
+    console.error(`[autoRenew] Authenticated payment ${paymentIntent.id} arrived after its request expired, refunding`);
+    await stripeService.createRefund({ payment_intent: paymentIntent.id, reason: 'duplicate' });
+    return { success: false, refunded: true, error: 'This renewal is no longer due, so your payment has been refunded' };
+  }
+  const authentication = claim.rows[0];
+
+  const domainResult = await pool.query(
+    `SELECT d.*, u.email, u.username
+     FROM domains d
+     JOIN users u ON d.user_id = u.id
+     WHERE d.id = $1`,
+    [authentication.domain_id]
+  );
+  const domain = domainResult.rows[0];
+
+  const dunning = await closeDunning(pool, authentication.domain_id, paymentIntent.id);
+  await recordPaymentAttempt(pool, {
+    domainId: authentication.domain_id,
+    userId: authentication.user_id,
+    dunningId: dunning?.id || authentication.dunning_id,
+    source: 'authentication',
+    status: 'succeeded',
+    amount: authentication.amount,
+    years: authentication.years,
+    paymentIntentId: paymentIntent.id
+  });
+
+  const renewal = await completeChargedRenewal(pool, domain, {
+    years: authentication.years,
+    amount: parseFloat(authentication.amount),
+    cost: parseFloat(authentication.cost) || parseFloat(authentication.amount),
+    paymentIntentId: paymentIntent.id,
+    note: `Auto-renewal for ${authentication.years} year(s) (customer charged via Stripe after authentication)`
+  });
+
+  return renewal.success
+    ? { success: true, newExpiration: renewal.newExpiration }
+    : { success: false, charged: true, error: 'Your payment went through but the renewal is delayed. We will retry it and refund you if it cannot be completed.' };
+}
+
+module.exports = {
+  requestRenewalAuthentication,
+  expireRenewalAuthentications,
+  getRenewalAuthentication,
+  completeRenewalAuthentication
+};
@@ -0,0 +1,451 @@
+/**
+ * Auto-Renewal Dunning Utilities
+ * When autoRenewDomains can't charge a domain's saved card it opens a dunning cycle
+ * (renewal_dunning) instead of turning auto-renew off. The charge is retried by the same
+ * job on each of the auto_renew_dunning_days before expiry (e.g. 7, 3 and 1), and every
+ * failure sends an escalating email with a pay link:
+ *   renewal_payment_failed   - first failure, a retry is scheduled
+ *   renewal_payment_reminder - a retry failed, another is scheduled
+ *   renewal_payment_final    - the last retry failed; auto-renew is turned off
+ *
+ * The pay link (/renew/pay?token=...) lets the customer pay with a new card without
+ * signing in, until the domain expires. That card becomes the domain's auto-renew card.
+ * Every charge attempt is kept in renewal_payment_attempts for support.
+ */
+
+const crypto = require('crypto');
+const email = require('../services/email');
+const stripeService = require('../services/stripe');
+const { completeChargedRenewal } = require('./renewalReconciliation');
+
+const DEFAULT_DUNNING_SETTINGS = {
+  auto_renew_dunning_days: '[7,3,1]'
+};
+
+const MAX_DUNNING_RETRIES = 10;
+const MAX_DUNNING_DAYS = 90;
+
+// Cycles whose pay link can still be used
+const PAYABLE_DUNNING_STATUSES = ['active', 'exhausted'];
+
+const SITE_URL = process.env.FRONTEND_URL || 'https://example.com';
+
+/**
+ * Parse a dunning schedule setting into retry days, furthest from expiry first
+ * @param {string} value - JSON array of days before expiry, e.g. '[7,3,1]'
+ * @returns {number[]|null} - Days, or null if the value is invalid
+ */
+function parseDunningDays(value) {
+  let days;
+  try {
+    days = JSON.parse(value);
+  } catch (error) {
+    return null;
+  }
+  if (!Array.isArray(days) || days.length > MAX_DUNNING_RETRIES) return null;
+  if (!days.every(day => Number.isInteger(day) && day >= 1 && day <= MAX_DUNNING_DAYS)) return null;
+  return [...new Set(days)].sort((a, b) => b - a);
+}
+
+/**
+ * Load the retry schedule from app_settings
+ * @returns {Promise<number[]>} - Days before expiry, furthest first
+ */
+async function loadDunningSchedule(pool) {
+  const result = await pool.query(
+    "SELECT value FROM app_settings WHERE key = 'auto_renew_dunning_days'"
+  );
+  return parseDunningDays(result.rows[0]?.value ?? DEFAULT_DUNNING_SETTINGS.auto_renew_dunning_days)
+    || parseDunningDays(DEFAULT_DUNNING_SETTINGS.auto_renew_dunning_days);
+}
+
+function startOfDay(date) {
+  const day = new Date(date);
+  day.setHours(0, 0, 0, 0);
+  return day;
+}
+
+/**
+ * The next scheduled retry after today, or null when none is left before expiry
+ */
+function nextDunningDate(expirationDate, schedule, now = new Date()) {
+  const today = startOfDay(now);
+  for (const days of schedule) {
+    const date = startOfDay(expirationDate);
+    date.setDate(date.getDate() - days);
+    if (date > today) return date;
+  }
+  return null;
+}
+
+function renewalPayUrl(token) {
+  return `${SITE_URL}/renew/pay?token=${token}`;
+}
+
+/**
+ * Record one auto-renewal charge attempt for a domain
+ * @param {object} attempt - { domainId, userId, dunningId, source, status, amount, years, error, paymentIntentId, emailSent }
+ */
+async function recordPaymentAttempt(pool, attempt) {
+  await pool.query(
+    `INSERT INTO renewal_payment_attempts
+      (domain_id, user_id, dunning_id, source, status, amount, years, error, stripe_payment_intent_id, email_sent)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)`,
+    [
+      attempt.domainId, attempt.userId, attempt.dunningId || null, attempt.source, attempt.status,
+      attempt.amount, attempt.years, attempt.error || null, attempt.paymentIntentId || null, attempt.emailSent || null
+    ]
+  );
+}
+
+async function getActiveDunning(pool, domainId) {
+  const result = await pool.query(
+    "SELECT * FROM renewal_dunning WHERE domain_id = $1 AND status = 'active'",
+    [domainId]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Handle a failed auto-renewal charge: open or advance the domain's dunning cycle,
+ * email the customer and, after the last scheduled retry, turn auto-renew off
+ * @param {object} domain - domains row joined with the owner's email and username
+ * @param {object} charge - { years, amount, cost, error, paymentIntentId }
+ * @returns {Promise<object>} - { dunning, final }
+ */
+async function handleFailedRenewalPayment(pool, domain, { years, amount, cost, error, paymentIntentId }) {
+  const schedule = await loadDunningSchedule(pool);
+  const nextDate = nextDunningDate(domain.expiration_date, schedule);
+  const final = nextDate === null;
+
+  let dunning = await getActiveDunning(pool, domain.id);
+  const source = dunning ? 'dunning' : 'auto_renew';
+
+  if (dunning) {
+    const result = await pool.query(
+      `UPDATE renewal_dunning SET
+        attempts = attempts + 1,
+        status = $1,
+        next_attempt_date = $2,
+        last_error = $3,
+        resolved_at = $4,
+        updated_at = CURRENT_TIMESTAMP
+       WHERE id = $5
+       RETURNING *`,
+      [final ? 'exhausted' : 'active', nextDate, error, final ? new Date() : null, dunning.id]
+    );
+    dunning = result.rows[0];
+  } else {
+    const result = await pool.query(
+      `INSERT INTO renewal_dunning
+        (domain_id, user_id, expiration_date, years, amount, cost, status, attempts,
+         next_attempt_date, last_error, pay_token, pay_token_expires_at, resolved_at)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, 1, $8, $9, $10, $3, $11)
+       RETURNING *`,
+      [
+        domain.id, domain.user_id, domain.expiration_date, years, amount, cost,
+        final ? 'exhausted' : 'active', nextDate, error,
+        crypto.randomBytes(32).toString('hex'), final ? new Date() : null
+      ]
+    );
+    dunning = result.rows[0];
+  }
+
+  if (final) {
+    await pool.query(
+      'UPDATE domains SET auto_renew = false, updated_at = CURRENT_TIMESTAMP WHERE id = $1',
+      [domain.id]
+    );
+  }
+
+  // Escalate: first failure, retry failures, then the final notice
+  const fullDomain = `${domain.domain_name}.${domain.tld}`;
+  const details = {
+    domain: fullDomain,
+    username: domain.username,
+    expirationDate: new Date(domain.expiration_date).toLocaleDateString(),
+    amount,
+    error,
+    payUrl: renewalPayUrl(dunning.pay_token)
+  };
+  let emailSent = null;
+  try {
+    if (final) {
+      await email.sendRenewalPaymentFinal(domain.email, details);
+      emailSent = 'renewal_payment_final';
+    } else if (dunning.attempts === 1) {
+      await email.sendRenewalPaymentFailed(domain.email, { ...details, nextAttemptDate: nextDate.toLocaleDateString() });
+      emailSent = 'renewal_payment_failed';
+    } else {
+      await email.sendRenewalPaymentReminder(domain.email, {
+        ...details,
+        nextAttemptDate: nextDate.toLocaleDateString(),
+        attemptNumber: dunning.attempts,
+        daysLeft: Math.max(0, Math.ceil((new Date(domain.expiration_date) - new Date()) / (1000 * 60 * 60 * 24)))
+      });
+      emailSent = 'renewal_payment_reminder';
+    }
+  } catch (emailError) {
+    console.error(`[dunning] Failed to send payment email for ${fullDomain}:`, emailError.message);
+  }
+
+  await recordPaymentAttempt(pool, {
+    domainId: domain.id,
+    userId: domain.user_id,
+    dunningId: dunning.id,
+    source,
+    status: 'failed',
+    amount,
+    years,
+    error,
+    paymentIntentId,
+    emailSent
+  });
+
+  return { dunning, final };
+}
+
+/**
+ * Close a domain's open or exhausted dunning cycle once its renewal has been paid
+ * @returns {Promise<object|null>} - The closed cycle, if there was one
+ */
+async function closeDunning(pool, domainId, paymentIntentId) {
+  const result = await pool.query(
+    `UPDATE renewal_dunning SET
+      status = 'paid',
+      paid_payment_intent_id = $1,
+      next_attempt_date = NULL,
+      resolved_at = CURRENT_TIMESTAMP,
+      updated_at = CURRENT_TIMESTAMP
+     WHERE domain_id = $2 AND status = ANY($3)
+     RETURNING *`,
+    [paymentIntentId, domainId, PAYABLE_DUNNING_STATUSES]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Stop retrying a domain whose owner turned auto-renew off
+ */
+async function cancelDunning(pool, domainId) {
+  await pool.query(
+    `UPDATE renewal_dunning SET
+      status = 'cancelled', next_attempt_date = NULL, resolved_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+     WHERE domain_id = $1 AND status = 'active'`,
+    [domainId]
+  );
+}
+
+/**
+ * Close cycles for domains that were renewed some other way (cart, admin, registrar)
+ * @returns {Promise<number>} - Cycles closed
+ */
+async function closeRenewedDunning(pool) {
+  const result = await pool.query(
+    `UPDATE renewal_dunning rd SET
+      status = 'paid', next_attempt_date = NULL, resolved_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+     FROM domains d
+     WHERE rd.domain_id = d.id
+       AND rd.status = ANY($1)
+       AND d.expiration_date > rd.expiration_date`,
+    [PAYABLE_DUNNING_STATUSES]
+  );
+  return result.rowCount;
+}
+
+/**
+ * Charge attempt history for a domain, newest first
+ */
+async function listPaymentAttempts(pool, domainId, limit = 50) {
+  const result = await pool.query(
+    `SELECT * FROM renewal_payment_attempts
+     WHERE domain_id = $1
+     ORDER BY created_at DESC
+     LIMIT $2`,
+    [domainId, limit]
+  );
+  return result.rows;
+}
+
+/**
+ * Look up a pay link
+ * @returns {Promise<object>} - { dunning } (joined with the domain and owner) or { error, status }
+ */
+async function getPayLinkDunning(pool, token) {
+  if (!token || !/^[a-f0-9]{64}$/.test(token)) {
+    return { error: 'Invalid payment link', status: 404 };
+  }
+
+  const result = await pool.query(
+    `SELECT rd.*, d.domain_name, d.tld, d.registrar, d.enom_mode, d.status as domain_status,
+            d.expiration_date as current_expiration_date,
+            u.email, u.username, u.stripe_customer_id
+     FROM renewal_dunning rd
+     JOIN domains d ON rd.domain_id = d.id
+     JOIN users u ON d.user_id = u.id
+     WHERE rd.pay_token = $1 AND d.user_id = rd.user_id`,
+    [token]
+  );
+  const dunning = result.rows[0];
+
+  if (!dunning) {
+    return { error: 'Invalid payment link', status: 404 };
+  }
+  if (dunning.status === 'paid' || new Date(dunning.current_expiration_date) > new Date(dunning.expiration_date)) {
+    return { error: 'This renewal has already been paid', status: 410 };
+  }
+  if (!PAYABLE_DUNNING_STATUSES.includes(dunning.status)) {
+    return { error: 'This payment link is no longer active', status: 410 };
+  }
+  if (dunning.pay_token_expires_at && new Date(dunning.pay_token_expires_at) < new Date()) {
+    return { error: 'This payment link has expired. Please renew the domain from your dashboard.', status: 410 };
+  }
+  return { dunning };
+}
+
+/**
+ * Create (or reuse) the PaymentIntent for a pay link
+ * The card is saved for off-session use so it can become the auto-renew card.
+ * @returns {Promise<object>} - Stripe PaymentIntent
+ */
+async function createPayLinkIntent(pool, dunning) {
+  if (dunning.pay_payment_intent_id) {
+    const existing = await stripeService.retrievePaymentIntent(dunning.pay_payment_intent_id);
+    if (['requires_payment_method', 'requires_confirmation', 'requires_action'].includes(existing.status)) {
+      return existing;
+    }
+  }
+
+  let customerId = dunning.stripe_customer_id;
+  if (!customerId) {
+    const customer = await stripeService.createCustomer({
+      email: dunning.email,
+      metadata: { userId: dunning.user_id.toString() }
+    });
+    customerId = customer.id;
+    await pool.query('UPDATE users SET stripe_customer_id = $1 WHERE id = $2', [customerId, dunning.user_id]);
+  }
+
+  const fullDomain = `${dunning.domain_name}.${dunning.tld}`;
+  const paymentIntent = await stripeService.createPaymentIntent({
+    amount: Math.round(parseFloat(dunning.amount) * 100),
+    currency: 'usd',
+    customer: customerId,
+    setup_future_usage: 'off_session',
+    automatic_payment_methods: { enabled: true },
+    description: `Renewal of ${fullDomain} for ${dunning.years} year(s)`,
+    metadata: {
+      userId: dunning.user_id.toString(),
+      type: 'renewal_pay_link',
+      dunningId: dunning.id.toString(),
+      domainId: dunning.domain_id.toString(),
+      domainName: fullDomain
+    }
+  });
+
+  await pool.query(
+    'UPDATE renewal_dunning SET pay_payment_intent_id = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2',
+    [paymentIntent.id, dunning.id]
+  );
+
+  return paymentIntent;
+}
+
+/**
+ * Renew the domain behind a succeeded pay-link PaymentIntent
+ * Called from both the pay page and the Stripe webhook, so it only runs once per payment.
+ * A payment for a cycle that was already paid another way is refunded.
+ * @param {object} paymentIntent - Stripe PaymentIntent with renewal_pay_link metadata
+ * @returns {Promise<object>} - { success, alreadyProcessed?, refunded?, newExpiration?, error? }
+ */
+async function completePayLinkPayment(pool, paymentIntent) {
+  const dunningId = parseInt(paymentIntent.metadata?.dunningId);
+  if (paymentIntent.status !== 'succeeded' || !dunningId) {
+    return { success: false, error: 'Payment has not completed' };
+  }
+
+  const claim = await pool.query(
+    `UPDATE renewal_dunning SET
+      status = 'paid',
+      paid_payment_intent_id = $1,
+      next_attempt_date = NULL,
+      resolved_at = CURRENT_TIMESTAMP,
+      updated_at = CURRENT_TIMESTAMP
+     WHERE id = $2 AND status = ANY($3)
+     RETURNING *`,
+    [paymentIntent.id, dunningId, PAYABLE_DUNNING_STATUSES]
+  );
+
+  if (claim.rows.length === 0) {
+    const existing = await pool.query('SELECT paid_payment_intent_id FROM renewal_dunning WHERE id = $1', [dunningId]);
+    if (existing.rows[0]?.paid_payment_intent_id === paymentIntent.id) {
+      return { success: true, alreadyProcessed: true };
+    }
+
+    // Renewed another way while the customer was paying
+    console.error(`[dunning] Pay link payment ${paymentIntent.id} arrived after cycle #${dunningId} was closed, refunding`);
+    await stripeService.createRefund({ payment_intent: paymentIntent.id, reason: 'duplicate' });
+    return { success: false, refunded: true, error: 'This renewal was already paid, so your payment has been refunded' };
+  }
+  const dunning = claim.rows[0];
+
+  const domainResult = await pool.query(
+    `SELECT d.*, u.email, u.username
+     FROM domains d
+     JOIN users u ON d.user_id = u.id
+     WHERE d.id = $1`,
+    [dunning.domain_id]
+  );
+  const domain = domainResult.rows[0];
+
+  // The new card takes over auto-renewal for the domain
+  await pool.query(
+    `UPDATE domains SET
+      auto_renew = true,
+      auto_renew_payment_method_id = COALESCE($1, auto_renew_payment_method_id),
+      updated_at = CURRENT_TIMESTAMP
+     WHERE id = $2`,
+    [paymentIntent.payment_method || null, dunning.domain_id]
+  );
+
+  await recordPaymentAttempt(pool, {
+    domainId: dunning.domain_id,
+    userId: dunning.user_id,
+    dunningId: dunning.id,
+    source: 'pay_link',
+    status: 'succeeded',
+    amount: dunning.amount,
+    years: dunning.years,
+    paymentIntentId: paymentIntent.id
+  });
+
+  const renewal = await completeChargedRenewal(pool, domain, {
+    years: dunning.years,
+    amount: parseFloat(dunning.amount),
+    cost: parseFloat(dunning.cost) || parseFloat(dunning.amount),
+    paymentIntentId: paymentIntent.id,
+    note: `Renewal for ${dunning.years} year(s) paid from a dunning pay link (customer charged via Stripe)`
+  });
+
+  return renewal.success
+    ? { success: true, newExpiration: renewal.newExpiration }
+    : { success: false, charged: true, error: 'Your payment went through but the renewal is delayed. We will retry it and refund you if it cannot be completed.' };
+}
+
+module.exports = {
+  DEFAULT_DUNNING_SETTINGS,
+  PAYABLE_DUNNING_STATUSES,
+  parseDunningDays,
+  loadDunningSchedule,
+  nextDunningDate,
+  recordPaymentAttempt,
+  getActiveDunning,
+  handleFailedRenewalPayment,
+  closeDunning,
+  cancelDunning,
+  closeRenewedDunning,
+  listPaymentAttempts,
+  getPayLinkDunning,
+  createPayLinkIntent,
+  completePayLinkPayment
+};
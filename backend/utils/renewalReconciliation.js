@@ -0,0 +1,607 @@
+/**
+ * Auto-Renewal Reconciliation Utilities
+ * autoRenewDomains charges the customer before renewing at the registrar. When that
+ * renewal fails the charge is queued in renewal_reconciliations instead of being left
+ * for someone to spot in activity_logs. The reconcileRenewals job retries the renewal
+ * every renewal_retry_interval_minutes; once renewal_retry_attempts retries have failed
+ * it refunds the Stripe PaymentIntent and turns auto-renew off for the domain.
+ *
+ * Admins and the customer are emailed when a charge is queued and when it is refunded
+ * (or the refund fails); a successful retry sends the normal renewal confirmation.
+ *
+ * The job and admin actions claim a row (status 'processing') before retrying or
+ * refunding it, so the two can never act on the same charge at once.
+ */
+
+const email = require('../services/email');
+const registrars = require('../services/registrars');
+const stripeService = require('../services/stripe');
+
+const DEFAULT_RECONCILIATION_SETTINGS = {
+  renewal_retry_attempts: '3',
+  renewal_retry_interval_minutes: '60'
+};
+
+const MAX_RENEWAL_RETRY_ATTEMPTS = 10;
+const MIN_RENEWAL_RETRY_INTERVAL_MINUTES = 5;
+const MAX_RENEWAL_RETRY_INTERVAL_MINUTES = 1440;
+
+// Charges that still hold the customer's money without a renewal
+const UNRESOLVED_STATUSES = ['pending', 'processing', 'refund_failed'];
+
+// Unresolved charges that can be claimed for a retry, refund or resolution
+const CLAIMABLE_STATUSES = ['pending', 'refund_failed'];
+
+// A claim older than this was left by a crashed worker
+const CLAIM_TIMEOUT_MINUTES = 30;
+
+/**
+ * Load the retry settings from app_settings
+ * @returns {Promise<object>} - { attempts, intervalMinutes }
+ */
+async function loadReconciliationSettings(pool) {
+  const values = { ...DEFAULT_RECONCILIATION_SETTINGS };
+  const result = await pool.query(
+    'SELECT key, value FROM app_settings WHERE key = ANY($1)',
+    [Object.keys(DEFAULT_RECONCILIATION_SETTINGS)]
+  );
+  for (const row of result.rows) {
+    values[row.key] = row.value;
+  }
+
+  const attempts = parseInt(values.renewal_retry_attempts);
+  return {
+    attempts: Number.isInteger(attempts) && attempts >= 0 ? attempts : 3,
+    intervalMinutes: parseInt(values.renewal_retry_interval_minutes) || 60
+  };
+}
+
+/**
+ * Email the admin notification address about a reconciliation, if admin emails are on
+ * @param {object} reconciliation - renewal_reconciliations row joined with customer_email
+ * @param {string} outcome - Short status for the subject, e.g. 'Refunded'
+ * @param {string} message - What happened and what (if anything) an admin needs to do
+ */
+async function notifyAdmins(pool, reconciliation, outcome, message) {
+  try {
+    const adminSettings = await pool.query(
+      "SELECT key, value FROM app_settings WHERE key IN ('admin_notification_email', 'admin_email_notifications', 'notify_on_failed_order')"
+    );
+    const settings = {};
+    for (const row of adminSettings.rows) {
+      settings[row.key] = row.value;
+    }
+
+    if (settings.admin_email_notifications !== 'false' && settings.notify_on_failed_order !== 'false' && settings.admin_notification_email) {
+      await email.sendAdminRenewalReconciliation(settings.admin_notification_email, {
+        domain: reconciliation.domain_name,
+        customerEmail: reconciliation.customer_email || 'Unknown',
+        amount: reconciliation.amount,
+        paymentIntentId: reconciliation.stripe_payment_intent_id || 'N/A',
+        error: reconciliation.last_error || 'Unknown error',
+        outcome,
+        message
+      });
+    }
+  } catch (error) {
+    console.error(`[reconcile] Failed to send admin alert for ${reconciliation.domain_name}:`, error.message);
+  }
+}
+
+async function getReconciliation(pool, id) {
+  const result = await pool.query(
+    `SELECT r.*, u.email as customer_email, u.username,
+            d.expiration_date, d.registrar, d.enom_mode, d.status as domain_status
+     FROM renewal_reconciliations r
+     LEFT JOIN users u ON r.user_id = u.id
+     LEFT JOIN domains d ON r.domain_id = d.id
+     WHERE r.id = $1`,
+    [id]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Queue a charged renewal that failed at the registrar, then alert the customer and admins
+ * @param {object} domain - domains row joined with the owner's email (as autoRenewDomains selects it)
+ * @param {object} charge - { years, amount, cost, paymentIntentId, error }
+ * @returns {Promise<object>} - The queued renewal_reconciliations row
+ */
+async function queueRenewalReconciliation(pool, domain, { years, amount, cost, paymentIntentId, error }) {
+  const settings = await loadReconciliationSettings(pool);
+  const fullDomain = `${domain.domain_name}.${domain.tld}`;
+
+  const result = await pool.query(
+    `INSERT INTO renewal_reconciliations
+      (domain_id, user_id, domain_name, years, amount, cost, stripe_payment_intent_id, last_error,
+       expiration_before, next_retry_at)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, CURRENT_TIMESTAMP + make_interval(mins => $10))
+     RETURNING *`,
+    [
+      domain.id, domain.user_id, fullDomain, years, amount, cost, paymentIntentId, error,
+      domain.expiration_date || null, settings.intervalMinutes
+    ]
+  );
+  const reconciliation = { ...result.rows[0], customer_email: domain.email };
+
+  try {
+    await email.sendRenewalDelayed(domain.email, {
+      domain: fullDomain,
+      amount,
+      expirationDate: new Date(domain.expiration_date).toLocaleDateString()
+    });
+  } catch (emailError) {
+    console.error(`[reconcile] Failed to send delayed renewal email for ${fullDomain}:`, emailError.message);
+  }
+
+  await notifyAdmins(pool, reconciliation, 'Queued',
+    settings.attempts > 0
+      ? `The renewal will be retried ${settings.attempts} time(s), every ${settings.intervalMinutes} minutes, then the charge will be refunded automatically.`
+      : 'Automatic retries are off, so the charge will be refunded on the next reconciliation run.'
+  );
+
+  return reconciliation;
+}
+
+/**
+ * Renew a domain whose renewal has already been charged
+ * A registrar failure, or a failure recording a renewal that went through, is queued for
+ * reconciliation rather than thrown, so the charge is never left unrecorded; on success
+ * the domain, balance log and customer are updated. Throws only if queueing fails.
+ * @param {object} domain - domains row joined with the owner's email
+ * @param {object} charge - { years, amount, cost, paymentIntentId, note }
+ * @returns {Promise<object>} - { success, newExpiration } or { success: false, error, reconciliation }
+ */
+async function completeChargedRenewal(pool, domain, { years, amount, cost, paymentIntentId, note }) {
+  const fullDomain = `${domain.domain_name}.${domain.tld}`;
+
+  // The card has been charged: a registrar error must not escape before it is recorded
+  let renewResult;
+  try {
+    renewResult = await registrars.forDomain(domain).smartRenewal(
+      domain.domain_name, domain.tld, years, cost, { mode: domain.enom_mode || 'test' }
+    );
+  } catch (error) {
+    renewResult = { success: false, error: error.message };
+  }
+
+  if (!renewResult.success) {
+    const error = renewResult.error || 'eNom renewal failed';
+    console.error(`[reconcile] Renewal of ${fullDomain} failed after payment succeeded, queueing for reconciliation`);
+
+    const reconciliation = await queueRenewalReconciliation(pool, domain, { years, amount, cost, paymentIntentId, error });
+
+    // Queued already: a logging failure must not make the caller queue the charge again
+    try {
+      await pool.query(
+        `INSERT INTO activity_logs (user_id, action, entity_type, entity_id, details)
+         VALUES ($1, $2, $3, $4, $5)`,
+        [
+          domain.user_id,
+          'auto_renewal_enom_failed',
+          'domain',
+          domain.id,
+          JSON.stringify({
+            domain: fullDomain,
+            stripePaymentIntent: paymentIntentId,
+            customerCharged: amount,
+            years,
+            error,
+            reconciliationId: reconciliation.id
+          })
+        ]
+      );
+    } catch (logError) {
+      console.error(`[reconcile] Failed to log failed renewal of ${fullDomain}:`, logError.message);
+    }
+
+    return { success: false, error, reconciliation };
+  }
+
+  // Renewed and paid for: if recording it fails, queue the charge so the domain isn't
+  // charged again on the next run. Its retry finds the renewal at the registrar and
+  // records it then.
+  const newExpiration = renewResult.renewResult?.newExpiration;
+  try {
+    if (newExpiration) {
+      await pool.query(
+        'UPDATE domains SET expiration_date = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2',
+        [newExpiration, domain.id]
+      );
+    }
+
+    await pool.query(
+      `INSERT INTO balance_transactions
+       (transaction_type, amount, domain_name, auto_refill, notes, stripe_payment_intent_id)
+       VALUES ($1, $2, $3, $4, $5, $6)`,
+      ['renewal', amount, fullDomain, renewResult.refillResult ? true : false, note, paymentIntentId]
+    );
+  } catch (dbError) {
+    const error = `Renewed at the registrar but recording the renewal failed: ${dbError.message}`;
+    console.error(`[reconcile] ${fullDomain}: ${error}, queueing for reconciliation`);
+    const reconciliation = await queueRenewalReconciliation(pool, domain, { years, amount, cost, paymentIntentId, error });
+    return { success: false, error, reconciliation };
+  }
+
+  try {
+    await email.sendRenewalConfirmation(domain.email, {
+      domain: fullDomain,
+      years,
+      newExpiration: newExpiration ? new Date(newExpiration).toLocaleDateString() : 'N/A',
+      cost: amount
+    });
+  } catch (emailError) {
+    console.error(`[reconcile] Failed to send renewal confirmation for ${fullDomain}:`, emailError.message);
+  }
+
+  return { success: true, newExpiration };
+}
+
+/**
+ * Claim a reconciliation so nothing else acts on it until it is released
+ * @param {Array} statuses - Statuses it may be claimed from
+ * @returns {Promise<object|null>} - The claimed reconciliation, or null if it is not in one of those statuses
+ */
+async function claimReconciliation(pool, id, statuses = CLAIMABLE_STATUSES) {
+  const result = await pool.query(
+    `UPDATE renewal_reconciliations SET
+      previous_status = status,
+      status = 'processing',
+      processing_started_at = CURRENT_TIMESTAMP,
+      updated_at = CURRENT_TIMESTAMP
+     WHERE id = $1 AND status = ANY($2)
+     RETURNING id`,
+    [id, statuses]
+  );
+  if (result.rows.length === 0) return null;
+  return getReconciliation(pool, id);
+}
+
+/**
+ * Put a claimed reconciliation back in the status it was claimed from
+ */
+async function releaseReconciliation(pool, id) {
+  await pool.query(
+    `UPDATE renewal_reconciliations SET
+      status = COALESCE(previous_status, 'pending'),
+      processing_started_at = NULL,
+      updated_at = CURRENT_TIMESTAMP
+     WHERE id = $1 AND status = 'processing'`,
+    [id]
+  );
+}
+
+/**
+ * Release claims left by a worker that stopped before finishing
+ * @returns {Promise<number>} - Number of claims released
+ */
+async function releaseStaleReconciliationClaims(pool) {
+  const result = await pool.query(
+    `UPDATE renewal_reconciliations SET
+      status = COALESCE(previous_status, 'pending'),
+      processing_started_at = NULL,
+      updated_at = CURRENT_TIMESTAMP
+     WHERE status = 'processing'
+       AND processing_started_at < CURRENT_TIMESTAMP - make_interval(mins => $1)`,
+    [CLAIM_TIMEOUT_MINUTES]
+  );
+  return result.rowCount;
+}
+
+/**
+ * Pending reconciliations whose next retry is due
+ */
+async function getDueReconciliations(pool) {
+  const result = await pool.query(
+    `SELECT id FROM renewal_reconciliations
+     WHERE status = 'pending' AND (next_retry_at IS NULL OR next_retry_at <= CURRENT_TIMESTAMP)
+     ORDER BY next_retry_at ASC NULLS FIRST`
+  );
+  return result.rows.map(row => row.id);
+}
+
+/**
+ * List reconciliations for the admin screen
+ * @param {string} status - 'unresolved' (default), 'all' or a single status
+ */
+async function listReconciliations(pool, status = 'unresolved') {
+  const params = [];
+  let where = '';
+  if (status === 'unresolved') {
+    params.push(UNRESOLVED_STATUSES);
+    where = 'WHERE r.status = ANY($1)';
+  } else if (status !== 'all') {
+    params.push(status);
+    where = 'WHERE r.status = $1';
+  }
+
+  const result = await pool.query(
+    `SELECT r.*, u.email as customer_email, u.username, d.expiration_date,
+            ru.username as resolved_by_username
+     FROM renewal_reconciliations r
+     LEFT JOIN users u ON r.user_id = u.id
+     LEFT JOIN domains d ON r.domain_id = d.id
+     LEFT JOIN users ru ON r.resolved_by = ru.id
+     ${where}
+     ORDER BY r.created_at DESC
+     LIMIT 500`,
+    params
+  );
+  return result.rows;
+}
+
+/**
+ * Look up whether the registrar already renewed a queued charge's domain
+ * A renewal that timed out may still have gone through, so the registrar's expiry is
+ * compared with the one recorded when the charge was queued. Rows queued before
+ * expiration_before was recorded are not checked.
+ * @returns {Promise<string|null>} - The registrar's expiry (YYYY-MM-DD) if it has moved past, otherwise null
+ */
+async function findCompletedRenewal(reconciliation, domain, sld, tld) {
+  if (!reconciliation.expiration_before) return null;
+
+  const info = await registrars.forDomain(domain).getDomainInfo(sld, tld, { mode: reconciliation.enom_mode || 'test' });
+
+  // Format: MM/DD/YYYY or MM/DD/YYYY HH:MM:SS AM/PM
+  const expMatch = info.expirationDate && info.expirationDate.match(/(\d{1,2})\/(\d{1,2})\/(\d{4})/);
+  if (!expMatch) {
+    throw new Error('Registrar did not return an expiration date');
+  }
+  const registrarExpiry = `${expMatch[3]}-${expMatch[1].padStart(2, '0')}-${expMatch[2].padStart(2, '0')}`;
+
+  const before = new Date(reconciliation.expiration_before);
+  const expiryBefore = `${before.getFullYear()}-${String(before.getMonth() + 1).padStart(2, '0')}-${String(before.getDate()).padStart(2, '0')}`;
+
+  return registrarExpiry > expiryBefore ? registrarExpiry : null;
+}
+
+/**
+ * Retry the registrar renewal for a claimed charge (see claimReconciliation)
+ * The registrar is checked first: if the domain was already renewed past the expiry it had
+ * when the charge was queued, the charge is marked renewed without extending it again.
+ * On success the domain, balance log and reconciliation are updated and the customer
+ * gets the usual renewal confirmation; on failure the attempt is recorded and the claim
+ * released, unless keepClaim is set because the caller refunds next.
+ * @param {object} options - { keepClaim }
+ * @returns {Promise<object>} - { success, newExpiration } or { success: false, error }
+ */
+async function retryReconciliation(pool, reconciliation, { keepClaim = false } = {}) {
+  const dot = reconciliation.domain_name.indexOf('.');
+  const sld = reconciliation.domain_name.slice(0, dot);
+  const tld = reconciliation.domain_name.slice(dot + 1);
+  const domain = { id: reconciliation.domain_id, registrar: reconciliation.registrar, enom_mode: reconciliation.enom_mode };
+
+  // The registrar client throws on most failures; treat both the same way. A failed
+  // lookup counts as a failed attempt rather than risking a second renewal.
+  let renewResult;
+  let alreadyRenewed = false;
+  if (!reconciliation.domain_id) {
+    renewResult = { success: false, error: 'Domain no longer exists' };
+  } else {
+    try {
+      const completedExpiry = await findCompletedRenewal(reconciliation, domain, sld, tld);
+      if (completedExpiry) {
+        console.log(`[reconcile] ${reconciliation.domain_name} is already renewed at the registrar (expires ${completedExpiry}), not renewing again`);
+        alreadyRenewed = true;
+        renewResult = { success: true, renewResult: { newExpiration: completedExpiry } };
+      } else {
+        renewResult = await registrars.forDomain(domain).smartRenewal(
+          sld, tld, reconciliation.years, parseFloat(reconciliation.cost) || parseFloat(reconciliation.amount),
+          { mode: reconciliation.enom_mode || 'test' }
+        );
+      }
+    } catch (error) {
+      renewResult = { success: false, error: error.message };
+    }
+  }
+
+  if (!renewResult.success) {
+    const settings = await loadReconciliationSettings(pool);
+    await pool.query(
+      `UPDATE renewal_reconciliations SET
+        attempts = attempts + 1,
+        last_error = $1,
+        next_retry_at = CURRENT_TIMESTAMP + make_interval(mins => $2),
+        updated_at = CURRENT_TIMESTAMP
+       WHERE id = $3`,
+      [renewResult.error || 'Renewal failed', settings.intervalMinutes, reconciliation.id]
+    );
+    if (!keepClaim) {
+      await releaseReconciliation(pool, reconciliation.id);
+    }
+    return { success: false, error: renewResult.error || 'Renewal failed' };
+  }
+
+  const newExpiration = renewResult.renewResult?.newExpiration;
+  if (newExpiration) {
+    await pool.query(
+      'UPDATE domains SET expiration_date = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2',
+      [newExpiration, reconciliation.domain_id]
+    );
+  }
+
+  await pool.query(
+    `INSERT INTO balance_transactions
+     (transaction_type, amount, domain_name, auto_refill, notes, stripe_payment_intent_id)
+     VALUES ($1, $2, $3, $4, $5, $6)`,
+    [
+      'renewal',
+      reconciliation.amount,
+      reconciliation.domain_name,
+      renewResult.refillResult ? true : false,
+      alreadyRenewed
+        ? `Auto-renewal for ${reconciliation.years} year(s) (customer charged via Stripe, found renewed at the registrar on retry)`
+        : `Auto-renewal for ${reconciliation.years} year(s) (customer charged via Stripe, renewed on retry)`,
+      reconciliation.stripe_payment_intent_id
+    ]
+  );
+
+  await pool.query(
+    `UPDATE renewal_reconciliations SET
+      status = 'renewed',
+      attempts = attempts + 1,
+      next_retry_at = NULL,
+      processing_started_at = NULL,
+      resolved_at = CURRENT_TIMESTAMP,
+      updated_at = CURRENT_TIMESTAMP
+     WHERE id = $1`,
+    [reconciliation.id]
+  );
+
+  if (reconciliation.customer_email) {
+    try {
+      await email.sendRenewalConfirmation(reconciliation.customer_email, {
+        domain: reconciliation.domain_name,
+        years: reconciliation.years,
+        newExpiration: newExpiration ? new Date(newExpiration).toLocaleDateString() : 'N/A',
+        cost: reconciliation.amount
+      });
+    } catch (emailError) {
+      console.error(`[reconcile] Failed to send renewal confirmation for ${reconciliation.domain_name}:`, emailError.message);
+    }
+  }
+
+  return { success: true, newExpiration };
+}
+
+/**
+ * Refund the charge behind a claimed reconciliation and turn auto-renew off for the domain
+ * A failed refund leaves the reconciliation as refund_failed for an admin.
+ * @param {string} reason - Recorded as the resolution note
+ * @param {number|null} adminId - Admin who issued the refund, or null for the job
+ * @returns {Promise<object>} - { success, refundId } or { success: false, error }
+ */
+async function refundReconciliation(pool, reconciliation, reason, adminId = null) {
+  let refund;
+  try {
+    if (!reconciliation.stripe_payment_intent_id) {
+      throw new Error('No payment intent recorded for this charge');
+    }
+    if (!stripeService.isConfigured()) {
+      throw new Error('Stripe not configured');
+    }
+    refund = await stripeService.createRefund({
+      payment_intent: reconciliation.stripe_payment_intent_id,
+      reason: 'requested_by_customer'
+    });
+  } catch (error) {
+    await pool.query(
+      `UPDATE renewal_reconciliations SET
+        status = 'refund_failed', last_error = $1, next_retry_at = NULL, processing_started_at = NULL,
+        updated_at = CURRENT_TIMESTAMP
+       WHERE id = $2`,
+      [`Refund failed: ${error.message}`, reconciliation.id]
+    );
+    await notifyAdmins(pool, { ...reconciliation, last_error: `Refund failed: ${error.message}` }, 'Refund Failed',
+      'The renewal could not be completed and the automatic refund failed. The customer is still charged - refund or renew the domain manually, then mark it resolved.'
+    );
+    return { success: false, error: error.message };
+  }
+
+  await pool.query(
+    `UPDATE renewal_reconciliations SET
+      status = 'refunded',
+      refund_id = $1,
+      resolution_note = $2,
+      resolved_by = $3,
+      resolved_at = CURRENT_TIMESTAMP,
+      next_retry_at = NULL,
+      processing_started_at = NULL,
+      updated_at = CURRENT_TIMESTAMP
+     WHERE id = $4`,
+    [refund.id, reason, adminId, reconciliation.id]
+  );
+
+  // Otherwise the next autoRenew run would charge the card again
+  if (reconciliation.domain_id) {
+    await pool.query(
+      'UPDATE domains SET auto_renew = false, updated_at = CURRENT_TIMESTAMP WHERE id = $1',
+      [reconciliation.domain_id]
+    );
+  }
+
+  if (reconciliation.customer_email) {
+    try {
+      await email.sendRenewalRefunded(reconciliation.customer_email, {
+        domain: reconciliation.domain_name,
+        amount: reconciliation.amount,
+        expirationDate: reconciliation.expiration_date
+          ? new Date(reconciliation.expiration_date).toLocaleDateString()
+          : 'N/A'
+      });
+    } catch (emailError) {
+      console.error(`[reconcile] Failed to send refund email for ${reconciliation.domain_name}:`, emailError.message);
+    }
+  }
+
+  await notifyAdmins(pool, reconciliation, 'Refunded',
+    `${reason} The customer was emailed and auto-renew was turned off for the domain.`
+  );
+
+  return { success: true, refundId: refund.id };
+}
+
+/**
+ * Job step for one due reconciliation: retry the renewal, and refund once retries run out
+ * @returns {Promise<string>} - 'renewed', 'retrying', 'refunded' or 'refund_failed'
+ */
+async function processReconciliation(pool, id, settings) {
+  // Claimed by an admin action (or resolved) since the due list was read
+  const reconciliation = await claimReconciliation(pool, id, ['pending']);
+  if (!reconciliation) return null;
+
+  if (reconciliation.attempts < settings.attempts) {
+    const lastRetry = reconciliation.attempts + 1 >= settings.attempts;
+    const result = await retryReconciliation(pool, reconciliation, { keepClaim: lastRetry });
+    if (result.success) return 'renewed';
+    if (!lastRetry) return 'retrying';
+    reconciliation.last_error = result.error;
+  }
+
+  const refund = await refundReconciliation(pool, reconciliation,
+    `Renewal still failing after ${settings.attempts} retr${settings.attempts === 1 ? 'y' : 'ies'}; refunded automatically.`
+  );
+  return refund.success ? 'refunded' : 'refund_failed';
+}
+
+/**
+ * Close a reconciliation by hand (e.g. renewed or refunded outside the queue)
+ * @returns {Promise<object|null>} - The resolved row, or null if it is no longer claimable
+ */
+async function resolveReconciliation(pool, id, adminId, note) {
+  const result = await pool.query(
+    `UPDATE renewal_reconciliations SET
+      status = 'resolved',
+      resolution_note = $1,
+      resolved_by = $2,
+      resolved_at = CURRENT_TIMESTAMP,
+      next_retry_at = NULL,
+      updated_at = CURRENT_TIMESTAMP
+     WHERE id = $3 AND status = ANY($4)
+     RETURNING *`,
+    [note, adminId, id, CLAIMABLE_STATUSES]
+  );
+  return result.rows[0] || null;
+}
+
+module.exports = {
+  DEFAULT_RECONCILIATION_SETTINGS,
+  MAX_RENEWAL_RETRY_ATTEMPTS,
+  MIN_RENEWAL_RETRY_INTERVAL_MINUTES,
+  MAX_RENEWAL_RETRY_INTERVAL_MINUTES,
+  UNRESOLVED_STATUSES,
+  CLAIMABLE_STATUSES,
+  loadReconciliationSettings,
+  getReconciliation,
+  claimReconciliation,
+  releaseReconciliation,
+  releaseStaleReconciliationClaims,
+  queueRenewalReconciliation,
+  completeChargedRenewal,
+  getDueReconciliations,
+  listReconciliations,
+  retryReconciliation,
+  refundReconciliation,
+  processReconciliation,
+  resolveReconciliation
+};
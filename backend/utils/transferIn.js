@@ -0,0 +1,388 @@
+/**
+ * Inbound Transfer Utilities
+ * Parsing of bulk "domain,authcode" lists and the domain_transfers bookkeeping that
+ * follows a transfer from the cart through checkout to the registrar.
+ *
+ * domain_transfers.status:
+ *   checking         - bulk pre-check still running
+ *   ineligible       - failed the pre-check (error_message says why)
+ *   in_cart          - passed the pre-check and was added to the cart
+ *   pending          - ordered, waiting to be submitted to the registrar
+ *   pending_approval - submitted, waiting for the owner to approve it
+ *   awaiting_auth    - the current registrar didn't accept the auth code
+ *   rejected         - rejected by the current registrar or the owner
+ *   completed / failed / cancelled
+ *
+ * syncPendingTransfers polls the registrar while a submitted transfer is active and the
+ * customer is emailed on every stage change.
+ */
+
+const email = require('../services/email');
+
+// Domains per bulk transfer list
+const MAX_BULK_TRANSFER_DOMAINS = 100;
+
+// Submitted transfers that are still polled ('processing' rows predate the stages above)
+const ACTIVE_TRANSFER_STATUSES = ['processing', 'pending_approval', 'awaiting_auth', 'rejected'];
+
+// Email sent when a transfer reaches each stage
+const STAGE_EMAILS = {
+  pending_approval: 'sendTransferPendingApproval',
+  awaiting_auth: 'sendTransferAwaitingAuth',
+  rejected: 'sendTransferRejected',
+  failed: 'sendTransferFailed',
+  completed: 'sendTransferComplete'
+};
+
+const STAGE_DEFAULT_REASONS = {
+  pending_approval: 'An approval request has been sent to the domain\'s administrative contact.',
+  awaiting_auth: 'The auth code was not accepted',
+  rejected: 'The transfer was rejected',
+  failed: 'The transfer could not be completed'
+};
+
+const SLD_PATTERN = /^[a-z0-9]([a-z0-9-]{0,61}[a-z0-9])?$/;
+const TLD_PATTERN = /^[a-z]{2,63}(\.[a-z]{2,63})?$/;
+
+/**
+ * Split a domain into SLD and TLD, accepting pasted URLs and www. prefixes
+ * @param {string} input - e.g. 'Example.com', 'https://www.example.co.uk/'
+ * @returns {object|null} - { sld, tld } or null if it isn't a domain name
+ */
+function parseDomainName(input) {
+  if (typeof input !== 'string') {
+    return null;
+  }
+
+  const cleaned = input.trim().toLowerCase()
+    .replace(/^https?:\/\//, '')
+    .replace(/[/?#].*$/, '')
+    .replace(/^www\./, '')
+    .replace(/\.$/, '');
+  const dot = cleaned.indexOf('.');
+  if (dot <= 0) {
+    return null;
+  }
+
+  const sld = cleaned.slice(0, dot);
+  const tld = cleaned.slice(dot + 1);
+  if (!SLD_PATTERN.test(sld) || !TLD_PATTERN.test(tld)) {
+    return null;
+  }
+  return { sld, tld };
+}
+
+/**
+ * Split one CSV line into fields. Tab, comma and semicolon separated lines are accepted,
+ * and fields may be double-quoted (auth codes can contain separators).
+ */
+function splitCsvLine(line) {
+  const delimiter = line.includes('\t') ? '\t' : line.includes(',') ? ',' : ';';
+  const fields = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (quoted) {
+      if (char === '"' && line[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field.trim() === '') {
+      field = '';
+      quoted = true;
+    } else if (char === delimiter) {
+      fields.push(field.trim());
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  fields.push(field.trim());
+  return fields;
+}
+
+/**
+ * Validate an EPP/auth code
+ * @param {string} authCode
+ * @returns {string|null} - Error message, or null if valid
+ */
+function validateAuthCode(authCode) {
+  if (typeof authCode !== 'string' || !authCode) {
+    return 'Missing auth code';
+  }
+  if (authCode.length > 255 || /\s/.test(authCode)) {
+    return 'Auth code must be at most 255 characters with no spaces';
+  }
+  return null;
+}
+
+/**
+ * Parse a pasted or uploaded list of domain,authcode pairs
+ * An optional header row (domain,authcode) and # comment lines are skipped.
+ * @param {string} text - CSV content
+ * @returns {object} - { entries: [{ line, sld, tld, authCode }], rejected: [{ line, input, error }] } or { error }
+ */
+function parseTransferList(text) {
+  if (typeof text !== 'string' || !text.trim()) {
+    return { error: 'Paste or upload a list of domain,authcode pairs' };
+  }
+
+  const lines = text.split(/\r?\n/)
+    .map((content, index) => ({ content: content.trim(), line: index + 1 }))
+    .filter(({ content }) => content && !content.startsWith('#'));
+
+  if (lines.length > 0 && /^"?domain/i.test(lines[0].content) && !parseDomainName(splitCsvLine(lines[0].content)[0])) {
+    lines.shift();
+  }
+
+  if (lines.length === 0) {
+    return { error: 'The list contains no domains' };
+  }
+  if (lines.length > MAX_BULK_TRANSFER_DOMAINS) {
+    return { error: `At most ${MAX_BULK_TRANSFER_DOMAINS} domains can be transferred in one list` };
+  }
+
+  const entries = [];
+  const rejected = [];
+  const seen = new Set();
+
+  for (const { content, line } of lines) {
+    const [domainInput, authCode = ''] = splitCsvLine(content);
+    const parsed = parseDomainName(domainInput);
+
+    if (!parsed) {
+      rejected.push({ line, input: domainInput, error: 'Not a valid domain name' });
+      continue;
+    }
+
+    const fullDomain = `${parsed.sld}.${parsed.tld}`;
+    if (seen.has(fullDomain)) {
+      rejected.push({ line, input: fullDomain, error: 'Listed more than once' });
+      continue;
+    }
+    seen.add(fullDomain);
+
+    const authCodeError = validateAuthCode(authCode);
+    if (authCodeError) {
+      rejected.push({ line, input: fullDomain, error: authCodeError });
+      continue;
+    }
+
+    entries.push({ line, sld: parsed.sld, tld: parsed.tld, authCode });
+  }
+
+  return { entries, rejected };
+}
+
+/**
+ * Record the transfer behind a newly created order item. Cart items added by a bulk
+ * list already have a domain_transfers row (options.domain_transfer_id); single
+ * transfers get one here.
+ * @param {object} pool - Database pool
+ * @param {number} userId - Order owner
+ * @param {number} orderItemId - The order_items row
+ * @param {object} cartItem - The cart_items row it was created from
+ * @returns {Promise<void>}
+ */
+async function linkTransferOrderItem(pool, userId, orderItemId, cartItem) {
+  const options = cartItem.options || {};
+
+  if (options.domain_transfer_id) {
+    const linked = await pool.query(
+      `UPDATE domain_transfers
+       SET order_item_id = $1, auth_code = COALESCE($2, auth_code), status = 'pending',
+           error_message = NULL, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $3 AND user_id = $4`,
+      [orderItemId, options.auth_code || null, options.domain_transfer_id, userId]
+    );
+    if (linked.rowCount > 0) {
+      return;
+    }
+  }
+
+  await pool.query(
+    `INSERT INTO domain_transfers (user_id, order_item_id, domain_name, tld, auth_code, price, status)
+     VALUES ($1, $2, $3, $4, $5, $6, 'pending')`,
+    [userId, orderItemId, cartItem.domain_name, cartItem.tld, options.auth_code || null, cartItem.price]
+  );
+}
+
+/**
+ * Get the auth code stored for a transfer order item
+ * @param {object} pool - Database pool
+ * @param {number} orderItemId - The order_items row
+ * @returns {Promise<string>} - The auth code, or '' if none was given
+ */
+async function getTransferAuthCode(pool, orderItemId) {
+  const result = await pool.query(
+    'SELECT auth_code FROM domain_transfers WHERE order_item_id = $1',
+    [orderItemId]
+  );
+  return result.rows[0]?.auth_code || '';
+}
+
+/**
+ * Record the registrar's transfer order once a transfer has been submitted
+ * @param {object} pool - Database pool
+ * @param {number} orderItemId - The order_items row
+ * @param {string} transferOrderId - Registrar transfer order ID
+ * @returns {Promise<void>}
+ */
+async function markTransferSubmitted(pool, orderItemId, transferOrderId) {
+  await pool.query(
+    `UPDATE domain_transfers
+     SET enom_transfer_id = $1, status = 'pending_approval', error_message = NULL,
+         transfer_requested_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+     WHERE order_item_id = $2`,
+    [transferOrderId || null, orderItemId]
+  );
+}
+
+/**
+ * Record that submitting a transfer to the registrar failed
+ * @param {object} pool - Database pool
+ * @param {number} orderItemId - The order_items row
+ * @param {string} message - Error message
+ * @returns {Promise<void>}
+ */
+async function markTransferFailed(pool, orderItemId, message) {
+  await pool.query(
+    `UPDATE domain_transfers SET status = 'failed', error_message = $1, updated_at = CURRENT_TIMESTAMP
+     WHERE order_item_id = $2`,
+    [message, orderItemId]
+  );
+}
+
+/**
+ * Map a registrar transfer status onto our transfer stages
+ * @param {object} registrarStatus - { status, statusDescription } from getTransferStatus()
+ * @returns {string} - completed, failed, awaiting_auth, rejected or pending_approval
+ */
+function mapRegistrarTransferStatus({ status, statusDescription }) {
+  const text = `${status || ''} ${statusDescription || ''}`;
+
+  if (/complete|transferred and paid|success/i.test(text)) {
+    return 'completed';
+  }
+  if (/cancel/i.test(text)) {
+    return 'failed';
+  }
+  if (/auth(orization)?\s*code|authinfo|epp|domain password/i.test(text)) {
+    return 'awaiting_auth';
+  }
+  if (/reject|denied|nack|locked/i.test(text)) {
+    return 'rejected';
+  }
+  if (/fail|expired|timed?\s*out/i.test(text)) {
+    return 'failed';
+  }
+  return 'pending_approval';
+}
+
+/**
+ * Move a transfer to a new stage: update the record, bring the domain row in line and
+ * (optionally) email the owner
+ * @param {object} pool - Database pool
+ * @param {object} transfer - domain_transfers row
+ * @param {string} status - New status
+ * @param {string|null} message - Registrar message or reason
+ * @param {object} [options] - { notify: false to skip the email }
+ * @returns {Promise<object>} - The updated row
+ */
+async function setTransferStatus(pool, transfer, status, message, { notify = true } = {}) {
+  const result = await pool.query(
+    `UPDATE domain_transfers SET
+       status = $1,
+       error_message = $2,
+       transfer_completed_at = CASE WHEN $1 = 'completed' THEN CURRENT_TIMESTAMP ELSE transfer_completed_at END,
+       updated_at = CURRENT_TIMESTAMP
+     WHERE id = $3
+     RETURNING *`,
+    [status, status === 'completed' ? null : message || null, transfer.id]
+  );
+
+  if (status === 'completed') {
+    await pool.query(
+      `UPDATE domains SET status = 'active', updated_at = CURRENT_TIMESTAMP
+       WHERE domain_name = $1 AND tld = $2`,
+      [transfer.domain_name, transfer.tld]
+    );
+  } else if (status === 'failed' || status === 'cancelled') {
+    // The domain never arrived; drop the placeholder created when the transfer was ordered
+    await pool.query(
+      `DELETE FROM domains WHERE domain_name = $1 AND tld = $2 AND user_id = $3 AND status = 'transfer_pending'`,
+      [transfer.domain_name, transfer.tld, transfer.user_id]
+    );
+  }
+
+  if (notify && STAGE_EMAILS[status] && transfer.user_id) {
+    const user = await pool.query('SELECT email, username FROM users WHERE id = $1', [transfer.user_id]);
+    if (user.rows[0]) {
+      await email[STAGE_EMAILS[status]](user.rows[0].email, {
+        domain: `${transfer.domain_name}.${transfer.tld}`,
+        username: user.rows[0].username,
+        reason: message || STAGE_DEFAULT_REASONS[status]
+      });
+    }
+  }
+
+  return result.rows[0];
+}
+
+/**
+ * List a user's transfers (bulk pre-checks that never reached checkout are left out)
+ * @param {object} pool - Database pool
+ * @param {number} userId - Owner
+ * @param {number} [limit]
+ * @returns {Promise<Array>}
+ */
+async function listUserTransfers(pool, userId, limit = 50) {
+  const result = await pool.query(
+    `SELECT id, batch_id, domain_name, tld, status, price, error_message,
+            enom_transfer_id IS NOT NULL as submitted,
+            transfer_requested_at, transfer_completed_at, created_at, updated_at
+     FROM domain_transfers
+     WHERE user_id = $1 AND status NOT IN ('checking', 'ineligible', 'in_cart')
+     ORDER BY id DESC
+     LIMIT $2`,
+    [userId, limit]
+  );
+  return result.rows;
+}
+
+/**
+ * Get one of a user's transfers
+ * @param {object} pool - Database pool
+ * @param {number} transferId - domain_transfers ID
+ * @param {number} userId - Owner
+ * @returns {Promise<object|null>}
+ */
+async function getUserTransfer(pool, transferId, userId) {
+  const result = await pool.query(
+    'SELECT * FROM domain_transfers WHERE id = $1 AND user_id = $2',
+    [transferId, userId]
+  );
+  return result.rows[0] || null;
+}
+
+module.exports = {
+  MAX_BULK_TRANSFER_DOMAINS,
+  ACTIVE_TRANSFER_STATUSES,
+  parseDomainName,
+  validateAuthCode,
+  parseTransferList,
+  linkTransferOrderItem,
+  getTransferAuthCode,
+  markTransferSubmitted,
+  markTransferFailed,
+  mapRegistrarTransferStatus,
+  setTransferStatus,
+  listUserTransfers,
+  getUserTransfer
+};
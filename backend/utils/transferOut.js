@@ -0,0 +1,244 @@
+/**
+ * Transfer-Out Utilities
+ * Tracks customers moving a domain to another registrar (domain_transfers_out).
+ *
+ * Starting a transfer unlocks the domain at the registrar and emails the auth code to the
+ * registrant contact. The registrar doesn't report outgoing transfers, so the domain sync
+ * detects completion by the domain no longer being found in the account.
+ */
+
+const email = require('../services/email');
+
+// ICANN transfer policy: no transfer within 60 days of registration or an inbound transfer
+const TRANSFER_LOCK_DAYS = 60;
+
+// Registrar errors meaning the domain is no longer in our account
+const DOMAIN_GONE_PATTERN = /domain name not found|not registered in this account|not in (your|this) account|does not belong to/i;
+
+/**
+ * Get the end of the 60-day transfer lock for a domain
+ * The lock runs from the later of the registration date and the last completed transfer
+ * in (domain_transfers). domains.created_at isn't used: for domains imported from the
+ * registrar account it is the import time, not when the domain changed hands.
+ * @param {object} pool - Database pool
+ * @param {object} domain - Domain row
+ * @param {Date} [now] - Current time
+ * @returns {Promise<Date|null>} - When transfers become possible, or null if they already are
+ */
+async function getTransferLockEnd(pool, domain, now = new Date()) {
+  const transferResult = await pool.query(
+    `SELECT MAX(transfer_completed_at) as completed_at FROM domain_transfers
+     WHERE domain_name = $1 AND tld = $2 AND status = 'completed'`,
+    [domain.domain_name, domain.tld]
+  );
+
+  const starts = [domain.registration_date, transferResult.rows[0]?.completed_at]
+    .filter(Boolean)
+    .map(value => new Date(value).getTime());
+  if (starts.length === 0) {
+    return null;
+  }
+
+  const lockEnd = new Date(Math.max(...starts) + TRANSFER_LOCK_DAYS * 24 * 60 * 60 * 1000);
+  return lockEnd > now ? lockEnd : null;
+}
+
+/**
+ * Check whether a registrar lookup shows the domain has left the account
+ * @param {object} lookup - { error } from a failed getDomainInfo(), or { info } from a successful one
+ * @returns {boolean}
+ */
+function isTransferredAway({ error, info }) {
+  if (error) {
+    return DOMAIN_GONE_PATTERN.test(error.message || String(error));
+  }
+  return !!(info && /transferred/i.test(info.status || ''));
+}
+
+/**
+ * Get the pending transfer-out of a domain, if any
+ * @param {object} pool - Database pool
+ * @param {number} domainId - Domain ID
+ * @returns {Promise<object|null>}
+ */
+async function getPendingTransferOut(pool, domainId) {
+  const result = await pool.query(
+    `SELECT * FROM domain_transfers_out WHERE domain_id = $1 AND status = 'pending'`,
+    [domainId]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Start a transfer away: check the transfer lock, unlock the domain, email the auth code
+ * to the registrant and record the pending transfer
+ * @param {object} pool - Database pool
+ * @param {object} req - Request (acting user and impersonator come from req.user)
+ * @param {object} domain - Domain row
+ * @param {object} options - { provider, mode, source }
+ * @returns {Promise<object>} - { transfer, emailSent } or { error, status }
+ */
+async function startTransferOut(pool, req, domain, options) {
+  const { provider, mode, source = 'customer' } = options;
+  const fullDomain = `${domain.domain_name}.${domain.tld}`;
+
+  if (domain.status !== 'active') {
+    return { error: `Only active domains can be transferred (this domain is ${domain.status})`, status: 400 };
+  }
+
+  if (await getPendingTransferOut(pool, domain.id)) {
+    return { error: 'A transfer away is already in progress for this domain', status: 409 };
+  }
+
+  const lockEnd = await getTransferLockEnd(pool, domain);
+  if (lockEnd) {
+    return {
+      error: `${fullDomain} can't be transferred until ${lockEnd.toDateString()} (${TRANSFER_LOCK_DAYS}-day lock after registration or transfer)`,
+      status: 400
+    };
+  }
+
+  const contacts = await provider.getWhoisContacts(domain.domain_name, domain.tld, { mode });
+  const registrantEmail = contacts.registrant && contacts.registrant.email;
+  if (!registrantEmail) {
+    return { error: 'The registrant contact has no email address. Update the registrant contact first.', status: 400 };
+  }
+
+  // getAuthCode unlocks the domain before fetching the code
+  const { authCode } = await provider.getAuthCode(domain.domain_name, domain.tld, { mode });
+  if (!authCode) {
+    return { error: 'The registrar did not return an auth code', status: 502 };
+  }
+
+  await pool.query(
+    'UPDATE domains SET lock_status = false, updated_at = CURRENT_TIMESTAMP WHERE id = $1',
+    [domain.id]
+  );
+
+  const result = await pool.query(
+    `INSERT INTO domain_transfers_out
+       (domain_id, user_id, domain_name, tld, auth_code_sent_to, source, requested_by, impersonated_by)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+     RETURNING *`,
+    [domain.id, domain.user_id, domain.domain_name, domain.tld, registrantEmail, source,
+      req.user.id, req.user.impersonatedBy || null]
+  );
+
+  const registrantName = [contacts.registrant.firstName, contacts.registrant.lastName].filter(Boolean).join(' ');
+  const sent = await email.sendTransferOutAuthCode(registrantEmail, {
+    domain: fullDomain,
+    authCode,
+    username: registrantName || 'there'
+  });
+
+  return { transfer: result.rows[0], emailSent: !!sent.success };
+}
+
+/**
+ * Cancel a pending transfer away and lock the domain again
+ * @param {object} pool - Database pool
+ * @param {object} req - Request (acting user comes from req.user)
+ * @param {object} domain - Domain row
+ * @param {object} transfer - Pending domain_transfers_out row
+ * @param {object} options - { provider, mode }
+ * @returns {Promise<object>} - The cancelled transfer row
+ */
+async function cancelTransferOut(pool, req, domain, transfer, options) {
+  const { provider, mode } = options;
+
+  await provider.setDomainLock(domain.domain_name, domain.tld, true, { mode });
+  await pool.query(
+    'UPDATE domains SET lock_status = true, updated_at = CURRENT_TIMESTAMP WHERE id = $1',
+    [domain.id]
+  );
+
+  const result = await pool.query(
+    `UPDATE domain_transfers_out
+     SET status = 'cancelled', cancelled_by = $1, cancelled_at = CURRENT_TIMESTAMP
+     WHERE id = $2
+     RETURNING *`,
+    [req.user.id, transfer.id]
+  );
+  return result.rows[0];
+}
+
+/**
+ * Mark a transfer away as completed: the domain is flagged transferred_away, local
+ * auto-renew is turned off and the owner is notified
+ * @param {object} pool - Database pool
+ * @param {object} transfer - Pending domain_transfers_out row
+ * @returns {Promise<void>}
+ */
+async function completeTransferOut(pool, transfer) {
+  await pool.query(
+    `UPDATE domain_transfers_out SET status = 'completed', completed_at = CURRENT_TIMESTAMP, last_checked_at = CURRENT_TIMESTAMP
+     WHERE id = $1`,
+    [transfer.id]
+  );
+
+  if (transfer.domain_id) {
+    await pool.query(
+      `UPDATE domains SET status = 'transferred_away', auto_renew = false, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $1`,
+      [transfer.domain_id]
+    );
+  }
+
+  if (transfer.user_id) {
+    const user = await pool.query('SELECT email, username FROM users WHERE id = $1', [transfer.user_id]);
+    if (user.rows[0]) {
+      await email.sendTransferOutComplete(user.rows[0].email, {
+        domain: `${transfer.domain_name}.${transfer.tld}`,
+        username: user.rows[0].username
+      });
+    }
+  }
+}
+
+/**
+ * List transfers away, newest first
+ * @param {object} pool - Database pool
+ * @param {object} filters - { userId, domainId, status, limit }
+ * @returns {Promise<Array>}
+ */
+async function listTransfersOut(pool, { userId = null, domainId = null, status = null, limit = 50 } = {}) {
+  const conditions = [];
+  const params = [];
+
+  if (userId) {
+    params.push(userId);
+    conditions.push(`t.user_id = $${params.length}`);
+  }
+  if (domainId) {
+    params.push(domainId);
+    conditions.push(`t.domain_id = $${params.length}`);
+  }
+  if (status) {
+    params.push(status);
+    conditions.push(`t.status = $${params.length}`);
+  }
+  params.push(limit);
+
+  const result = await pool.query(
+    `SELECT t.*, u.username, u.email, r.username as requested_by_username
+     FROM domain_transfers_out t
+     LEFT JOIN users u ON u.id = t.user_id
+     LEFT JOIN users r ON r.id = t.requested_by
+     ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+     ORDER BY t.id DESC
+     LIMIT $${params.length}`,
+    params
+  );
+  return result.rows;
+}
+
+module.exports = {
+  TRANSFER_LOCK_DAYS,
+  getTransferLockEnd,
+  isTransferredAway,
+  getPendingTransferOut,
+  startTransferOut,
+  cancelTransferOut,
+  completeTransferOut,
+  listTransfersOut
+};
@@ -0,0 +1,482 @@
+/**
+ * Domain Watchlist Utilities
+ * Customers watch domains that are taken. The watchDomains job re-checks each watch
+ * every check_interval_hours with checkDomainBulk and, once a name is available,
+ * acts on it according to the watch mode:
+ *   notify   - email the customer
+ *   cart     - add a 1-year registration to the customer's cart, then email
+ *   register - charge the saved card and register the domain straight away, then email
+ *
+ * Premium names are never registered automatically; a 'register' watch falls back to
+ * the cart for them (and to notify when they can't be bought online at all).
+ *
+ * A charge whose registration then fails at the registrar is refunded straight away and
+ * admins are emailed. When several customers auto-register the same name, the job only
+ * lets the oldest watch try (see watchDomains).
+ */
+
+const email = require('../services/email');
+const stripeService = require('../services/stripe');
+const { CART } = require('../config/constants');
+const { buildPremiumQuote, registerItemPrice } = require('./premiumPricing');
+
+const WATCH_MODES = ['notify', 'cart', 'register'];
+
+// Re-check cadences a customer can pick (hours); the job itself runs hourly
+const WATCH_INTERVALS = [1, 6, 24, 168];
+const DEFAULT_WATCH_INTERVAL = 24;
+
+const MAX_WATCHES_PER_USER = 50;
+
+// Names per checkDomainBulk call, and the most watches re-checked in one job run
+const WATCH_CHECK_BATCH_SIZE = 20;
+const MAX_WATCH_CHECKS_PER_RUN = 500;
+
+/**
+ * Validate the mode and interval of a watch
+ * @param {object} options - { mode, intervalHours }
+ * @returns {string|null} - Error message, or null if valid
+ */
+function validateWatchOptions({ mode, intervalHours }) {
+  if (mode !== undefined && !WATCH_MODES.includes(mode)) {
+    return `Mode must be one of: ${WATCH_MODES.join(', ')}`;
+  }
+  if (intervalHours !== undefined && !WATCH_INTERVALS.includes(parseInt(intervalHours))) {
+    return `Check interval must be one of: ${WATCH_INTERVALS.join(', ')} hours`;
+  }
+  return null;
+}
+
+/**
+ * Check that a user can be charged off-session and has a registrant contact,
+ * which 'register' watches need when the domain comes free
+ * @returns {Promise<string|null>} - Error message, or null if ready
+ */
+async function checkAutoRegisterReady(pool, userId) {
+  const result = await pool.query(
+    `SELECT u.default_payment_method_id,
+            EXISTS (SELECT 1 FROM domain_contacts c WHERE c.user_id = u.id AND c.is_default = true) as has_contact
+     FROM users u WHERE u.id = $1`,
+    [userId]
+  );
+  const user = result.rows[0];
+  if (!user?.default_payment_method_id) {
+    return 'Auto-register needs a saved payment card. Add one in your account settings first.';
+  }
+  if (!user.has_contact) {
+    return 'Auto-register needs a default contact. Add one on the Contacts page first.';
+  }
+  return null;
+}
+
+/**
+ * List a user's watches, newest first
+ */
+async function listUserWatches(pool, userId) {
+  const result = await pool.query(
+    `SELECT id, domain_name, tld, mode, check_interval_hours, status, result_message,
+            last_checked_at, available_at, domain_id, created_at, updated_at
+     FROM domain_watchlist
+     WHERE user_id = $1
+     ORDER BY created_at DESC`,
+    [userId]
+  );
+  return result.rows;
+}
+
+/**
+ * Get one of a user's watches
+ */
+async function getUserWatch(pool, watchId, userId) {
+  const result = await pool.query(
+    'SELECT * FROM domain_watchlist WHERE id = $1 AND user_id = $2',
+    [watchId, userId]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Watches that are due for a re-check, oldest check first
+ * @param {object} pool - Database pool
+ * @param {number} limit - Most watches to return
+ */
+async function getDueWatches(pool, limit = MAX_WATCH_CHECKS_PER_RUN) {
+  const result = await pool.query(
+    `SELECT w.*, u.email, u.username
+     FROM domain_watchlist w
+     JOIN users u ON u.id = w.user_id
+     WHERE w.status = 'watching'
+       AND (w.last_checked_at IS NULL
+            OR w.last_checked_at <= CURRENT_TIMESTAMP - w.check_interval_hours * INTERVAL '1 hour')
+     ORDER BY w.last_checked_at ASC NULLS FIRST
+     LIMIT $1`,
+    [limit]
+  );
+  return result.rows;
+}
+
+/**
+ * The most-watched names across all customers
+ * @param {object} pool - Database pool
+ * @param {number} limit - Most names to return
+ * @returns {Promise<Array>} - { domain_name, tld, watchers, watching, auto_register, first_watched_at, last_checked_at }
+ */
+async function listMostWatched(pool, limit = 50) {
+  const result = await pool.query(
+    `SELECT domain_name, tld,
+            COUNT(*)::int as watchers,
+            COUNT(*) FILTER (WHERE status = 'watching')::int as watching,
+            COUNT(*) FILTER (WHERE status = 'watching' AND mode = 'register')::int as auto_register,
+            MIN(created_at) as first_watched_at,
+            MAX(last_checked_at) as last_checked_at
+     FROM domain_watchlist
+     GROUP BY domain_name, tld
+     ORDER BY watching DESC, watchers DESC, first_watched_at ASC
+     LIMIT $1`,
+    [limit]
+  );
+  return result.rows;
+}
+
+/**
+ * Record a re-check that found the domain still taken (or couldn't check it)
+ */
+async function markWatchChecked(pool, watchId, message = null) {
+  await pool.query(
+    `UPDATE domain_watchlist
+     SET last_checked_at = CURRENT_TIMESTAMP, result_message = $1, updated_at = CURRENT_TIMESTAMP
+     WHERE id = $2`,
+    [message, watchId]
+  );
+}
+
+/**
+ * Put a registration of a watched domain in the owner's cart (or refresh the one already there)
+ * @returns {Promise<object>} - { success, price } or { success: false, error }
+ */
+async function addWatchToCart(pool, watch, pricing, quote) {
+  const options = quote ? { premium: quote } : {};
+  const price = registerItemPrice(pricing, 1, options);
+
+  const updated = await pool.query(
+    `UPDATE cart_items
+     SET price = $1, years = 1, options = $2, expires_at = CURRENT_TIMESTAMP + INTERVAL '24 hours'
+     WHERE user_id = $3 AND item_type = 'register' AND domain_name = $4 AND tld = $5`,
+    [price, JSON.stringify(options), watch.user_id, watch.domain_name, watch.tld]
+  );
+  if (updated.rowCount > 0) {
+    return { success: true, price };
+  }
+
+  const countResult = await pool.query(
+    'SELECT COUNT(*) FROM cart_items WHERE user_id = $1 AND expires_at > CURRENT_TIMESTAMP',
+    [watch.user_id]
+  );
+  if (parseInt(countResult.rows[0].count) >= CART.MAX_ITEMS) {
+    return { success: false, error: 'your cart is full' };
+  }
+
+  await pool.query(
+    `INSERT INTO cart_items (user_id, item_type, domain_name, tld, years, price, options)
+     VALUES ($1, 'register', $2, $3, 1, $4, $5)`,
+    [watch.user_id, watch.domain_name, watch.tld, price, JSON.stringify(options)]
+  );
+  return { success: true, price };
+}
+
+/**
+ * Email the admin notification address about a charged registration that failed, if admin emails are on
+ * @param {string} outcome - Short status for the subject, 'Refunded' or 'Refund Failed'
+ * @param {string} message - What happened and what (if anything) an admin needs to do
+ */
+async function notifyAdminsOfFailedRegistration(pool, watch, { amount, paymentIntentId, error, outcome, message }) {
+  const fullDomain = `${watch.domain_name}.${watch.tld}`;
+  try {
+    const adminSettings = await pool.query(
+      "SELECT key, value FROM app_settings WHERE key IN ('admin_notification_email', 'admin_email_notifications', 'notify_on_failed_order')"
+    );
+    const settings = {};
+    for (const row of adminSettings.rows) {
+      settings[row.key] = row.value;
+    }
+
+    if (settings.admin_email_notifications !== 'false' && settings.notify_on_failed_order !== 'false' && settings.admin_notification_email) {
+      await email.sendAdminWatchlistRegisterFailed(settings.admin_notification_email, {
+        domain: fullDomain,
+        customerEmail: watch.email || 'Unknown',
+        amount,
+        paymentIntentId: paymentIntentId || 'N/A',
+        error,
+        outcome,
+        message
+      });
+    }
+  } catch (emailError) {
+    console.error(`[watchDomains] Failed to send admin alert for ${fullDomain}:`, emailError.message);
+  }
+}
+
+/**
+ * Refund the charge for a watch registration that failed at the registrar, then alert admins
+ * @returns {Promise<object>} - { refunded, refundId } or { refunded: false, refundError }
+ */
+async function refundFailedRegistration(pool, watch, { amount, paymentIntentId, error }) {
+  let refund;
+  try {
+    if (!paymentIntentId) {
+      throw new Error('No payment intent recorded for this charge');
+    }
+    refund = await stripeService.createRefund({
+      payment_intent: paymentIntentId,
+      reason: 'requested_by_customer'
+    });
+  } catch (refundError) {
+    await notifyAdminsOfFailedRegistration(pool, watch, {
+      amount,
+      paymentIntentId,
+      error: `${error}; refund failed: ${refundError.message}`,
+      outcome: 'Refund Failed',
+      message: 'The registration failed and the automatic refund failed too. The customer is still charged - refund them in Stripe or register the domain for them manually.'
+    });
+    return { refunded: false, refundError: refundError.message };
+  }
+
+  await notifyAdminsOfFailedRegistration(pool, watch, {
+    amount,
+    paymentIntentId,
+    error,
+    outcome: 'Refunded',
+    message: 'The charge was refunded automatically and the customer was emailed. No action is needed.'
+  });
+  return { refunded: true, refundId: refund.id };
+}
+
+/**
+ * Register a watched domain for 1 year, paid with the owner's saved card
+ * The card is charged first; if the registrar then fails, the charge is refunded and
+ * admins are alerted.
+ * @returns {Promise<object>} - { success, price, domainId, expirationDate } or { success: false, error, charged?, refunded? }
+ */
+async function registerWatchedDomain(pool, registrar, watch, pricing) {
+  const fullDomain = `${watch.domain_name}.${watch.tld}`;
+
+  const contactResult = await pool.query(
+    'SELECT * FROM domain_contacts WHERE user_id = $1 AND is_default = true LIMIT 1',
+    [watch.user_id]
+  );
+  const contact = contactResult.rows[0];
+  if (!contact) {
+    return { success: false, error: 'No default contact to register the domain with' };
+  }
+
+  const price = registerItemPrice(pricing, 1);
+  const cost = parseFloat(pricing.cost_register) || price;
+
+  // Required lazily, as in autoRenewDomains
+  const { chargeForAutoRenewal } = require('../routes/stripe');
+  const chargeResult = await chargeForAutoRenewal(pool, watch.user_id, price, fullDomain, null, 'watchlist_registration');
+  if (!chargeResult.success) {
+    return { success: false, error: chargeResult.error };
+  }
+
+  // The card has been charged: a registrar error must not escape before it is recorded
+  let smartResult;
+  try {
+    smartResult = await registrar.smartPurchase({
+      sld: watch.domain_name,
+      tld: watch.tld,
+      years: 1,
+      registrant: {
+        firstName: contact.first_name,
+        lastName: contact.last_name,
+        organization: contact.organization || '',
+        email: contact.email,
+        phone: contact.phone,
+        address1: contact.address_line1,
+        address2: contact.address_line2 || '',
+        city: contact.city,
+        state: contact.state,
+        postalCode: contact.postal_code,
+        country: contact.country || 'US'
+      },
+      privacy: false,
+      cost
+    });
+  } catch (error) {
+    smartResult = { success: false, error: error.message };
+  }
+  const result = smartResult.purchaseResult || smartResult;
+
+  if (!result.success) {
+    const error = result.error || 'Registration failed';
+    const refund = await refundFailedRegistration(pool, watch, {
+      amount: price,
+      paymentIntentId: chargeResult.paymentIntentId,
+      error
+    });
+
+    await pool.query(
+      `INSERT INTO activity_logs (user_id, action, entity_type, entity_id, details)
+       VALUES ($1, $2, $3, $4, $5)`,
+      [
+        watch.user_id,
+        'watchlist_register_failed',
+        'domain_watch',
+        watch.id,
+        JSON.stringify({
+          domain: fullDomain,
+          stripePaymentIntent: chargeResult.paymentIntentId,
+          customerCharged: price,
+          error,
+          refunded: refund.refunded,
+          refundId: refund.refundId || null,
+          refundError: refund.refundError || null,
+          requiresManualResolution: !refund.refunded
+        })
+      ]
+    );
+    return { success: false, charged: true, refunded: refund.refunded, price, error };
+  }
+
+  const expirationDate = result.expirationDate || new Date(Date.now() + 365 * 24 * 60 * 60 * 1000);
+  const domainResult = await pool.query(
+    `INSERT INTO domains (
+      user_id, domain_name, tld, status, expiration_date,
+      auto_renew, enom_order_id, enom_mode, registrar, created_at
+    ) VALUES ($1, $2, $3, 'active', $4, true, $5, $6, $7, CURRENT_TIMESTAMP)
+    ON CONFLICT (domain_name, tld) DO UPDATE SET
+      user_id = $1,
+      status = 'active',
+      expiration_date = $4,
+      auto_renew = true,
+      enom_order_id = $5,
+      enom_mode = $6,
+      registrar = $7,
+      updated_at = CURRENT_TIMESTAMP
+    RETURNING id`,
+    [watch.user_id, watch.domain_name, watch.tld, expirationDate, result.orderId, registrar.getMode().mode, registrar.name]
+  );
+
+  await pool.query(
+    `INSERT INTO balance_transactions
+     (transaction_type, amount, domain_name, auto_refill, notes, stripe_payment_intent_id)
+     VALUES ($1, $2, $3, $4, $5, $6)`,
+    [
+      'purchase',
+      price,
+      fullDomain,
+      smartResult.refillResult ? true : false,
+      'Watchlist auto-registration (customer charged via Stripe)',
+      chargeResult.paymentIntentId
+    ]
+  );
+
+  return { success: true, price, domainId: domainResult.rows[0].id, expirationDate };
+}
+
+/**
+ * Act on a watch whose domain was found available, then email the owner
+ * @param {object} pool - Database pool
+ * @param {object} registrar - Default registrar provider
+ * @param {object} watch - domain_watchlist row joined with the user's email and username
+ * @param {object} check - checkDomainBulk() result for the domain
+ * @param {object} premiumSettings - From loadPremiumSettings()
+ * @param {object} options - { autoRegister } (false: another watch of the name gets to register it,
+ *   so a 'register' watch falls back to the cart)
+ * @returns {Promise<string>} - The status the watch ended in
+ */
+async function handleAvailableWatch(pool, registrar, watch, check, premiumSettings, { autoRegister = true } = {}) {
+  const fullDomain = `${watch.domain_name}.${watch.tld}`;
+
+  const pricingResult = await pool.query(
+    'SELECT * FROM tld_pricing WHERE tld = $1 AND is_active = true',
+    [watch.tld]
+  );
+  const pricing = pricingResult.rows[0];
+  const quote = buildPremiumQuote(check, premiumSettings);
+  const purchasable = pricing && (!quote || quote.purchasable);
+
+  let status = 'available';
+  let message;
+  let domainId = null;
+
+  if (!purchasable) {
+    message = quote ? quote.reason : `.${watch.tld} registrations are not offered online right now. Contact support.`;
+  } else if (watch.mode === 'register' && !quote && autoRegister) {
+    const registration = await registerWatchedDomain(pool, registrar, watch, pricing);
+    if (registration.success) {
+      status = 'registered';
+      domainId = registration.domainId;
+      message = `Registered to your account for $${registration.price.toFixed(2)}`;
+
+      await email.sendDomainWatchRegistered(watch.email, {
+        domain: fullDomain,
+        username: watch.username,
+        cost: registration.price,
+        expirationDate: new Date(registration.expirationDate).toLocaleDateString()
+      });
+    } else if (registration.charged && registration.refunded) {
+      message = `We couldn't register it (${registration.error}), so the $${registration.price.toFixed(2)} charged to your card has been refunded. Register it from the search page.`;
+    } else if (registration.charged) {
+      message = `Your card was charged $${registration.price.toFixed(2)} but the registration failed (${registration.error}). Our team has been alerted and will refund you or complete the registration.`;
+    } else {
+      message = `We couldn't register it automatically (${registration.error}). Register it from the search page.`;
+    }
+  } else if (watch.mode === 'cart' || watch.mode === 'register') {
+    const added = await addWatchToCart(pool, watch, pricing, quote);
+    let fallbackNote = '';
+    if (quote && watch.mode === 'register') {
+      fallbackNote = 'It is a premium domain, so it was not registered automatically. ';
+    } else if (watch.mode === 'register') {
+      fallbackNote = 'Another registration attempt for it was already under way, so it was not registered automatically. ';
+    }
+    message = added.success
+      ? `${fallbackNote}It has been added to your cart at $${added.price.toFixed(2)}. Check out before someone else registers it.`
+      : `${fallbackNote}We couldn't add it to your cart (${added.error}). Register it from the search page.`;
+  } else {
+    message = quote
+      ? `It is a premium domain, priced at $${quote.price.toFixed(2)} for the first year. Register it from the search page.`
+      : 'Register it from the search page before someone else does.';
+  }
+
+  await pool.query(
+    `UPDATE domain_watchlist
+     SET status = $1, result_message = $2, domain_id = $3, last_checked_at = CURRENT_TIMESTAMP,
+         available_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+     WHERE id = $4`,
+    [status, message, domainId, watch.id]
+  );
+
+  await pool.query(
+    `INSERT INTO activity_logs (user_id, action, entity_type, entity_id, details)
+     VALUES ($1, $2, $3, $4, $5)`,
+    [watch.user_id, status === 'registered' ? 'watchlist_registered' : 'watchlist_available', 'domain_watch', watch.id, JSON.stringify({ domain: fullDomain, mode: watch.mode, message })]
+  );
+
+  if (status !== 'registered') {
+    await email.sendDomainWatchAvailable(watch.email, {
+      domain: fullDomain,
+      username: watch.username,
+      actionMessage: message
+    });
+  }
+
+  return status;
+}
+
+module.exports = {
+  WATCH_MODES,
+  WATCH_INTERVALS,
+  DEFAULT_WATCH_INTERVAL,
+  MAX_WATCHES_PER_USER,
+  WATCH_CHECK_BATCH_SIZE,
+  MAX_WATCH_CHECKS_PER_RUN,
+  validateWatchOptions,
+  checkAutoRegisterReady,
+  listUserWatches,
+  getUserWatch,
+  getDueWatches,
+  listMostWatched,
+  markWatchChecked,
+  handleAvailableWatch
+};
@@ -0,0 +1,390 @@
+/**
+ * BIND Zone File Utilities
+ * Export host records as an RFC 1035 zone file and parse pasted/uploaded zone files
+ * back into host records for setHostRecords()
+ *
+ * Only record types eNom hosts can be imported (see HOST_RECORD_TYPES). Everything else
+ * (SOA, apex NS, PTR, TLSA, ...) is returned in `unsupported` with a reason so the
+ * caller can show it instead of dropping it silently.
+ */
+
+const { MAX_HOST_RECORDS, formatHostAddress, validateHostRecord } = require('./dnsRecords');
+
+// Record types a zone file may contain that map onto eNom host records
+const IMPORTABLE_TYPES = ['A', 'AAAA', 'CNAME', 'MX', 'TXT', 'SRV', 'CAA', 'NS'];
+
+// Types managed elsewhere (URL forwarding) and never written to the zone file
+const FORWARDING_TYPES = ['URL', 'URL301', 'Frame'];
+
+const CLASSES = ['IN', 'CH', 'HS'];
+const TTL_PATTERN = /^\d+[smhdw]?$/i;
+
+/**
+ * Quote a TXT value, splitting into 255-character strings as BIND requires
+ */
+function quoteTxt(value) {
+  const escaped = String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"');
+  const chunks = escaped.match(/(\\.|[^\\]){1,255}/g) || [''];
+  return chunks.map(c => `"${c}"`).join(' ');
+}
+
+/**
+ * Make a target hostname absolute for the zone file
+ */
+function toAbsolute(name) {
+  if (!name || name === '@' || name === '.' || name.endsWith('.')) return name;
+  return name.includes('.') ? `${name}.` : name;
+}
+
+/**
+ * Build a BIND zone file from host records
+ * @param {string} domainName - sld.tld
+ * @param {Array} records - Records from getHostRecords()
+ * @returns {string}
+ */
+function exportZoneFile(domainName, records) {
+  const lines = [
+    `; Zone file for ${domainName}`,
+    `; Exported ${new Date().toISOString()}`,
+    '; SOA and apex NS records are managed by the DNS host and are not included',
+    `$ORIGIN ${domainName}.`,
+    '$TTL 300',
+    ''
+  ];
+
+  const skipped = records.filter(r => FORWARDING_TYPES.includes(r.recordType));
+  const exportable = records.filter(r => !FORWARDING_TYPES.includes(r.recordType));
+
+  for (const record of exportable) {
+    const owner = (record.hostName || '@').padEnd(24);
+    const ttl = record.ttl || 300;
+    let rdata;
+
+    switch (record.recordType) {
+      case 'MX':
+        rdata = `${record.mxPref ?? 10} ${toAbsolute(record.address)}`;
+        break;
+      case 'CNAME':
+      case 'NS':
+        rdata = toAbsolute(record.address);
+        break;
+      case 'TXT':
+        rdata = quoteTxt(record.address);
+        break;
+      case 'SRV':
+        rdata = record.target
+          ? `${record.priority} ${record.weight} ${record.port} ${toAbsolute(record.target)}`
+          : record.address;
+        break;
+      default:
+        rdata = formatHostAddress(record);
+    }
+
+    lines.push(`${owner} ${ttl} IN ${record.recordType.padEnd(6)} ${rdata}`);
+  }
+
+  if (skipped.length > 0) {
+    lines.push('');
+    lines.push('; URL forwarding records (not standard DNS, managed in the Forwarding tab):');
+    for (const record of skipped) {
+      lines.push(`; ${record.hostName || '@'} ${record.recordType} ${record.address}`);
+    }
+  }
+
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Remove a ; comment from a line, ignoring semicolons inside quoted strings
+ */
+function stripComment(line) {
+  let inQuote = false;
+  for (let i = 0; i < line.length; i++) {
+    const ch = line[i];
+    if (ch === '\\') { i++; continue; }
+    if (ch === '"') inQuote = !inQuote;
+    if (ch === ';' && !inQuote) return line.substring(0, i);
+  }
+  return line;
+}
+
+/**
+ * Split a zone entry into tokens, keeping quoted strings intact
+ */
+function tokenize(text) {
+  const tokens = [];
+  const pattern = /"((?:\\.|[^"\\])*)"|(\S+)/g;
+  let match;
+  while ((match = pattern.exec(text)) !== null) {
+    if (match[1] !== undefined) {
+      tokens.push({ quoted: true, value: match[1].replace(/\\(.)/g, '$1') });
+    } else {
+      tokens.push({ quoted: false, value: match[2] });
+    }
+  }
+  return tokens;
+}
+
+/**
+ * Join multi-line entries (parentheses) into logical entries with their starting line number
+ */
+function logicalEntries(text) {
+  const entries = [];
+  let current = null;
+  let depth = 0;
+
+  text.split(/\r?\n/).forEach((rawLine, idx) => {
+    const line = stripComment(rawLine);
+    if (current === null) {
+      if (!line.trim()) return;
+      current = { line: idx + 1, text: line, startsWithSpace: /^\s/.test(line) };
+    } else {
+      current.text += ' ' + line;
+    }
+
+    const withoutQuotes = line.replace(/"(?:\\.|[^"\\])*"/g, '');
+    depth += (withoutQuotes.match(/\(/g) || []).length - (withoutQuotes.match(/\)/g) || []).length;
+
+    if (depth <= 0) {
+      current.text = current.text.replace(/[()]/g, ' ');
+      entries.push(current);
+      current = null;
+      depth = 0;
+    }
+  });
+
+  if (current) {
+    current.text = current.text.replace(/[()]/g, ' ');
+    current.unterminated = true;
+    entries.push(current);
+  }
+
+  return entries;
+}
+
+/**
+ * Convert an owner name to an eNom host name relative to the domain
+ * @returns {string|null} - Host name, '@', or null when outside the domain
+ */
+function toHostName(owner, origin, domainName) {
+  let fqdn;
+  if (owner === '@') {
+    fqdn = origin;
+  } else if (owner.endsWith('.')) {
+    fqdn = owner.slice(0, -1);
+  } else {
+    fqdn = origin ? `${owner}.${origin}` : owner;
+  }
+
+  fqdn = fqdn.toLowerCase();
+  const domain = domainName.toLowerCase();
+  if (fqdn === domain) return '@';
+  if (fqdn.endsWith(`.${domain}`)) return fqdn.slice(0, -(domain.length + 1));
+  return null;
+}
+
+/**
+ * Convert a target name in rdata to the form eNom stores (FQDN without trailing dot)
+ */
+function toTarget(name, origin) {
+  if (name === '@') return origin;
+  if (name === '.') return '.';
+  if (name.endsWith('.')) return name.slice(0, -1).toLowerCase();
+  return (origin ? `${name}.${origin}` : name).toLowerCase();
+}
+
+/**
+ * Parse a BIND zone file into host records
+ * @param {string} text - Zone file contents
+ * @param {string} domainName - sld.tld the zone belongs to
+ * @returns {object} - { records, unsupported: [{ line, type, text, reason }], errors: [{ line, text, message }] }
+ */
+function parseZoneFile(text, domainName) {
+  const records = [];
+  const unsupported = [];
+  const errors = [];
+
+  let origin = domainName.toLowerCase();
+  let lastOwner = '@';
+
+  for (const entry of logicalEntries(text || '')) {
+    const snippet = entry.text.trim().replace(/\s+/g, ' ').substring(0, 200);
+
+    if (entry.unterminated) {
+      errors.push({ line: entry.line, text: snippet, message: 'Unterminated parenthesis' });
+      continue;
+    }
+
+    const tokens = tokenize(entry.text);
+    if (tokens.length === 0) continue;
+
+    // Directives
+    const first = tokens[0].value.toUpperCase();
+    if (!entry.startsWithSpace && first.startsWith('$')) {
+      if (first === '$ORIGIN' && tokens[1]) {
+        origin = toTarget(tokens[1].value, origin);
+      } else if (first === '$TTL') {
+        // eNom does not support per-record TTLs; nothing to keep
+      } else {
+        unsupported.push({ line: entry.line, type: first, text: snippet, reason: `${first} directive is not supported` });
+      }
+      continue;
+    }
+
+    // Owner is omitted when the line starts with whitespace
+    let owner = lastOwner;
+    let pos = 0;
+    if (!entry.startsWithSpace) {
+      owner = tokens[0].value;
+      pos = 1;
+    }
+
+    // Optional TTL and class, in either order
+    for (let i = 0; i < 2 && pos < tokens.length; i++) {
+      const value = tokens[pos].value.toUpperCase();
+      if (!tokens[pos].quoted && (TTL_PATTERN.test(value) || CLASSES.includes(value))) {
+        pos++;
+      }
+    }
+
+    if (pos >= tokens.length) {
+      errors.push({ line: entry.line, text: snippet, message: 'Missing record type' });
+      continue;
+    }
+
+    const type = tokens[pos].value.toUpperCase();
+    const rdata = tokens.slice(pos + 1);
+    lastOwner = owner;
+
+    const hostName = toHostName(owner, origin, domainName);
+    if (hostName === null) {
+      errors.push({ line: entry.line, text: snippet, message: `${owner} is outside ${domainName}` });
+      continue;
+    }
+
+    if (type === 'SOA') {
+      unsupported.push({ line: entry.line, type, text: snippet, reason: 'SOA is managed by the DNS host' });
+      continue;
+    }
+    if (type === 'NS' && hostName === '@') {
+      unsupported.push({ line: entry.line, type, text: snippet, reason: 'Apex NS records are set with the domain nameservers, not as DNS records' });
+      continue;
+    }
+    if (!IMPORTABLE_TYPES.includes(type)) {
+      unsupported.push({ line: entry.line, type, text: snippet, reason: `${type} records are not supported by the DNS host` });
+      continue;
+    }
+
+    const values = rdata.map(t => t.value);
+    let record = { hostName, recordType: type };
+
+    switch (type) {
+      case 'A':
+      case 'AAAA':
+        record.address = values[0];
+        break;
+      case 'CNAME':
+      case 'NS':
+        record.address = values[0] ? toTarget(values[0], origin) : '';
+        break;
+      case 'MX':
+        record.mxPref = values[0];
+        record.address = values[1] ? toTarget(values[1], origin) : '';
+        break;
+      case 'TXT':
+        record.address = values.join('');
+        break;
+      case 'SRV':
+        record = {
+          ...record,
+          priority: values[0],
+          weight: values[1],
+          port: values[2],
+          target: values[3] ? toTarget(values[3], origin) : ''
+        };
+        break;
+      case 'CAA':
+        record = { ...record, flags: values[0], tag: values[1], value: values.slice(2).join(' ') };
+        break;
+    }
+
+    const { error, record: valid } = validateHostRecord(record);
+    if (error) {
+      errors.push({ line: entry.line, text: snippet, message: error });
+      continue;
+    }
+    records.push(valid);
+  }
+
+  return { records, unsupported, errors };
+}
+
+/**
+ * Key used to compare records between the current zone and an import
+ */
+function recordKey(record) {
+  const mxPref = record.recordType === 'MX' ? (record.mxPref ?? 10) : '';
+  return [
+    (record.hostName || '@').toLowerCase(),
+    record.recordType.toUpperCase(),
+    String(formatHostAddress(record)).replace(/\.$/, '').toLowerCase(),
+    mxPref
+  ].join('|');
+}
+
+/**
+ * Compare current DNS records with imported ones
+ * @param {Array} current - Records from getHostRecords() (URL forwarding records excluded)
+ * @param {Array} incoming - Records from parseZoneFile()
+ * @returns {object} - { added, removed, unchanged }
+ */
+function diffRecords(current, incoming) {
+  const currentKeys = new Map(current.map(r => [recordKey(r), r]));
+  const incomingKeys = new Map(incoming.map(r => [recordKey(r), r]));
+
+  return {
+    added: incoming.filter(r => !currentKeys.has(recordKey(r))),
+    removed: current.filter(r => !incomingKeys.has(recordKey(r))),
+    unchanged: incoming.filter(r => currentKeys.has(recordKey(r))).length
+  };
+}
+
+/**
+ * Parse a zone file and work out the record set that applying it would produce
+ * Imported records replace all DNS records; URL forwarding records are kept as they are.
+ * @param {Array} currentRecords - Records from getHostRecords()
+ * @param {string} zoneText - Zone file contents
+ * @param {string} domainName - sld.tld
+ * @returns {object} - { records (full set for setHostRecords), diff, unsupported, errors }
+ */
+function planZoneImport(currentRecords, zoneText, domainName) {
+  const { records, unsupported, errors } = parseZoneFile(zoneText, domainName);
+
+  const forwarding = currentRecords.filter(r => FORWARDING_TYPES.includes(r.recordType));
+  const currentDns = currentRecords.filter(r => !FORWARDING_TYPES.includes(r.recordType));
+  const finalRecords = [...records, ...forwarding];
+
+  if (finalRecords.length > MAX_HOST_RECORDS) {
+    errors.push({
+      line: null,
+      text: null,
+      message: `The DNS host allows at most ${MAX_HOST_RECORDS} records (this import would create ${finalRecords.length})`
+    });
+  }
+
+  return {
+    records: finalRecords,
+    diff: diffRecords(currentDns, records),
+    unsupported,
+    errors
+  };
+}
+
+module.exports = {
+  FORWARDING_TYPES,
+  exportZoneFile,
+  parseZoneFile,
+  recordKey,
+  diffRecords,
+  planZoneImport
+};
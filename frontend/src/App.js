@@ -19,6 +19,8 @@ import VerifyEmailPage from './pages/VerifyEmail';
 import LoginPage from './pages/Login';
 import ForgotPasswordPage from './pages/ForgotPassword';
 import ResetPasswordPage from './pages/ResetPassword';
+import RenewalPaymentPage from './pages/RenewalPayment';
+import RenewalAuthenticationPage from './pages/RenewalAuthentication';
 import TransferPage from './pages/Transfer';
 import { API_URL } from './config/api';
 import { ThemeConfigProvider } from './context/ThemeConfigContext';
@@ -595,6 +597,8 @@ function AppContent() {
                 <Route path="/login" element={<LoginPage />} />
                 <Route path="/forgot-password" element={<ForgotPasswordPage />} />
                 <Route path="/reset-password" element={<ResetPasswordPage />} />
+                <Route path="/renew/pay" element={<RenewalPaymentPage />} />
+                <Route path="/renew/authenticate" element={<RenewalAuthenticationPage />} />
                 <Route path="*" element={<Navigate to="/" replace />} />
               </Routes>
             </main>
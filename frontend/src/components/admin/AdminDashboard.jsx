@@ -7,6 +7,12 @@ import AdminDomains from './AdminDomains';
 import AdminSettings from './AdminSettings';
 import AdminUserDetail from './AdminUserDetail';
 import AdminAuditLogs from './AdminAuditLogs';
+import AdminEnomLogs from './AdminEnomLogs';
+import AdminDnsTemplates from './AdminDnsTemplates';
+import AdminTransfersOut from './AdminTransfersOut';
+import AdminWatchlist from './AdminWatchlist';
+import AdminRenewalReconciliation from './AdminRenewalReconciliation';
+import AdminJobs from './AdminJobs';
 import AdminRoles from './AdminRoles';
 
 // Role level constants (mirror backend)
@@ -292,9 +298,9 @@ function AdminDashboard() {
       <div className="border-b border-slate-200 dark:border-slate-800 mb-8">
         <nav className="flex gap-8 overflow-x-auto">
           {/* Base tabs for all staff (level 1+) */}
-          {['overview', 'users', 'orders', 'domains'].map((tab) => (<button key={tab} onClick={() => setActiveTab(tab)} className={'pb-4 px-1 border-b-2 font-medium text-sm capitalize transition-colors whitespace-nowrap ' + (activeTab === tab ? 'border-primary-500 text-primary-600 dark:text-primary-400' : 'border-transparent text-slate-500 hover:text-slate-700 dark:hover:text-slate-300')}>{tab}</button>))}
+          {['overview', 'users', 'orders', 'domains', 'transfers out', 'watchlist', 'reconciliation'].map((tab) => (<button key={tab} onClick={() => setActiveTab(tab)} className={'pb-4 px-1 border-b-2 font-medium text-sm capitalize transition-colors whitespace-nowrap ' + (activeTab === tab ? 'border-primary-500 text-primary-600 dark:text-primary-400' : 'border-transparent text-slate-500 hover:text-slate-700 dark:hover:text-slate-300')}>{tab}</button>))}
           {/* Admin-only tabs (level 3+) */}
-          {isAdmin && ['pricing', 'balance', 'roles', 'audit', 'settings'].map((tab) => (<button key={tab} onClick={() => setActiveTab(tab)} className={'pb-4 px-1 border-b-2 font-medium text-sm capitalize transition-colors whitespace-nowrap ' + (activeTab === tab ? 'border-primary-500 text-primary-600 dark:text-primary-400' : 'border-transparent text-slate-500 hover:text-slate-700 dark:hover:text-slate-300')}>{tab}</button>))}
+          {isAdmin && ['pricing', 'balance', 'dns templates', 'roles', 'audit', 'api logs', 'jobs', 'settings'].map((tab) => (<button key={tab} onClick={() => setActiveTab(tab)} className={'pb-4 px-1 border-b-2 font-medium text-sm capitalize transition-colors whitespace-nowrap ' + (activeTab === tab ? 'border-primary-500 text-primary-600 dark:text-primary-400' : 'border-transparent text-slate-500 hover:text-slate-700 dark:hover:text-slate-300')}>{tab}</button>))}
         </nav>
       </div>
 
@@ -306,7 +312,7 @@ function AdminDashboard() {
 
       {activeTab === 'domains' && <AdminDomains />}
 
-      {activeTab === 'pricing' && (<div className="space-y-6"><div className="flex gap-4 flex-wrap"><button onClick={syncPricingFromEnom} disabled={syncingPrices} className="btn-primary">{syncingPrices ? <Loader2 className="w-4 h-4 mr-2 animate-spin" /> : <Download className="w-4 h-4 mr-2" />}Sync Costs from eNom</button><button onClick={() => setNewTld({ tld: '', cost_register: '', cost_renew: '', price_register: '', price_renew: '', price_privacy: '9.99' })} className="btn-secondary">+ Add TLD</button><button onClick={fetchPricing} className="btn-secondary ml-auto"><RefreshCw className={'w-4 h-4 ' + (pricingLoading ? 'animate-spin' : '')} /></button></div><div className="card overflow-hidden"><div className="overflow-x-auto"><table className="w-full"><thead className="bg-slate-50 dark:bg-slate-800/50"><tr><th className="px-4 py-3 text-left text-xs font-medium text-slate-500 uppercase">TLD</th><th className="px-4 py-3 text-left text-xs font-medium text-slate-500 uppercase">Cost</th><th className="px-4 py-3 text-left text-xs font-medium text-slate-500 uppercase">Price</th><th className="px-4 py-3 text-left text-xs font-medium text-slate-500 uppercase">Privacy</th><th className="px-4 py-3 text-left text-xs font-medium text-slate-500 uppercase">Margin</th><th className="px-4 py-3 text-left text-xs font-medium text-slate-500 uppercase">Active</th><th className="px-4 py-3 text-right text-xs font-medium text-slate-500 uppercase">Actions</th></tr></thead><tbody className="divide-y divide-slate-200 dark:divide-slate-700">{pricingLoading ? <tr><td colSpan="7" className="px-4 py-8 text-center"><Loader2 className="w-6 h-6 animate-spin mx-auto" /></td></tr> : pricing.length === 0 ? <tr><td colSpan="7" className="px-4 py-8 text-center text-slate-500">No pricing</td></tr> : pricing.map((p) => (<tr key={p.tld} className="hover:bg-slate-50 dark:hover:bg-slate-800/50">{editingPrice === p.tld ? (<><td className="px-4 py-3 font-bold">.{p.tld}</td><td className="px-4 py-3"><input type="number" step="0.01" min="0" defaultValue={p.cost_register} id={'cost_' + p.tld} className="input w-20 text-sm py-1" /></td><td className="px-4 py-3"><input type="number" step="0.01" min="0" defaultValue={p.price_register} id={'price_' + p.tld} className="input w-20 text-sm py-1" /></td><td className="px-4 py-3"><input type="number" step="0.01" min="0" defaultValue={p.price_privacy} id={'priv_' + p.tld} className="input w-20 text-sm py-1" /></td><td className="px-4 py-3">-</td><td className="px-4 py-3"><input type="checkbox" defaultChecked={p.is_active} id={'active_' + p.tld} className="rounded" /></td><td className="px-4 py-3 text-right"><button onClick={() => { updatePricing(p.tld, { cost_register: parseFloat(document.getElementById('cost_' + p.tld).value), cost_renew: parseFloat(document.getElementById('cost_' + p.tld).value), price_register: parseFloat(document.getElementById('price_' + p.tld).value), price_renew: parseFloat(document.getElementById('price_' + p.tld).value), price_transfer: parseFloat(document.getElementById('price_' + p.tld).value), price_privacy: parseFloat(document.getElementById('priv_' + p.tld).value), is_active: document.getElementById('active_' + p.tld).checked }); }} className="p-1 text-green-600"><Save className="w-4 h-4" /></button><button onClick={() => setEditingPrice(null)} className="p-1 text-slate-400"><X className="w-4 h-4" /></button></td></>) : (<><td className="px-4 py-3 font-bold">.{p.tld}</td><td className="px-4 py-3 text-slate-600">${parseFloat(p.cost_register || 0).toFixed(2)}</td><td className="px-4 py-3 font-semibold">${parseFloat(p.price_register || 0).toFixed(2)}</td><td className="px-4 py-3 text-slate-600">${parseFloat(p.price_privacy || 0).toFixed(2)}</td><td className="px-4 py-3 text-green-600">${(parseFloat(p.price_register || 0) - parseFloat(p.cost_register || 0)).toFixed(2)}</td><td className="px-4 py-3">{p.is_active ? <Check className="w-5 h-5 text-green-500" /> : <X className="w-5 h-5 text-slate-400" />}</td><td className="px-4 py-3 text-right"><button onClick={() => setEditingPrice(p.tld)} className="p-1 text-slate-400 hover:text-primary-600"><Edit2 className="w-4 h-4" /></button></td></>)}</tr>))}</tbody></table></div></div>{newTld && (<div className="fixed inset-0 bg-black/50 flex items-center justify-center z-50 p-4"><div className="bg-white dark:bg-slate-800 rounded-xl max-w-md w-full p-6"><div className="flex justify-between items-start mb-6"><h3 className="text-xl font-bold">Add New TLD</h3><button onClick={() => setNewTld(null)} className="text-slate-400 hover:text-slate-600"><X className="w-6 h-6" /></button></div><div className="space-y-4"><div><label className="block text-sm font-medium mb-1">TLD</label><input type="text" placeholder="com" value={newTld.tld} onChange={(e) => setNewTld({ ...newTld, tld: e.target.value.toLowerCase().replace('.', '') })} className="input w-full" /></div><div className="grid grid-cols-2 gap-4"><div><label className="block text-sm font-medium mb-1">Cost</label><input type="number" step="0.01" min="0" placeholder="10.00" value={newTld.cost_register} onChange={(e) => setNewTld({ ...newTld, cost_register: e.target.value })} className="input w-full" /></div><div><label className="block text-sm font-medium mb-1">Price</label><input type="number" step="0.01" min="0" placeholder="14.99" value={newTld.price_register} onChange={(e) => setNewTld({ ...newTld, price_register: e.target.value })} className="input w-full" /></div></div><div><label className="block text-sm font-medium mb-1">Privacy Price</label><input type="number" step="0.01" min="0" placeholder="9.99" value={newTld.price_privacy} onChange={(e) => setNewTld({ ...newTld, price_privacy: e.target.value })} className="input w-full" /></div><div className="flex gap-4 pt-4"><button onClick={() => addTldPricing({ tld: newTld.tld, cost_register: parseFloat(newTld.cost_register) || 0, cost_renew: parseFloat(newTld.cost_register) || 0, cost_transfer: parseFloat(newTld.cost_register) || 0, price_register: parseFloat(newTld.price_register) || 0, price_renew: parseFloat(newTld.price_register) || 0, price_transfer: parseFloat(newTld.price_register) || 0, price_privacy: parseFloat(newTld.price_privacy) || 9.99 })} disabled={!newTld.tld || !newTld.price_register} className="btn-primary flex-1">Add TLD</button><button onClick={() => setNewTld(null)} className="btn-secondary">Cancel</button></div></div></div></div>)}</div>)}
+      {activeTab === 'pricing' && (<div className="space-y-6"><div className="flex gap-4 flex-wrap"><button onClick={syncPricingFromEnom} disabled={syncingPrices} className="btn-primary">{syncingPrices ? <Loader2 className="w-4 h-4 mr-2 animate-spin" /> : <Download className="w-4 h-4 mr-2" />}Sync Costs from eNom</button><button onClick={() => setNewTld({ tld: '', cost_register: '', cost_renew: '', price_register: '', price_renew: '', price_privacy: '9.99' })} className="btn-secondary">+ Add TLD</button><button onClick={fetchPricing} className="btn-secondary ml-auto"><RefreshCw className={'w-4 h-4 ' + (pricingLoading ? 'animate-spin' : '')} /></button></div><div className="card overflow-hidden"><div className="overflow-x-auto"><table className="w-full"><thead className="bg-slate-50 dark:bg-slate-800/50"><tr><th className="px-4 py-3 text-left text-xs font-medium text-slate-500 uppercase">TLD</th><th className="px-4 py-3 text-left text-xs font-medium text-slate-500 uppercase">Cost</th><th className="px-4 py-3 text-left text-xs font-medium text-slate-500 uppercase">Price</th><th className="px-4 py-3 text-left text-xs font-medium text-slate-500 uppercase">Privacy</th><th className="px-4 py-3 text-left text-xs font-medium text-slate-500 uppercase" title="Late renewal (grace period) / restore fee (redemption)">Late / Restore</th><th className="px-4 py-3 text-left text-xs font-medium text-slate-500 uppercase">Margin</th><th className="px-4 py-3 text-left text-xs font-medium text-slate-500 uppercase">Active</th><th className="px-4 py-3 text-right text-xs font-medium text-slate-500 uppercase">Actions</th></tr></thead><tbody className="divide-y divide-slate-200 dark:divide-slate-700">{pricingLoading ? <tr><td colSpan="8" className="px-4 py-8 text-center"><Loader2 className="w-6 h-6 animate-spin mx-auto" /></td></tr> : pricing.length === 0 ? <tr><td colSpan="8" className="px-4 py-8 text-center text-slate-500">No pricing</td></tr> : pricing.map((p) => (<tr key={p.tld} className="hover:bg-slate-50 dark:hover:bg-slate-800/50">{editingPrice === p.tld ? (<><td className="px-4 py-3 font-bold">.{p.tld}</td><td className="px-4 py-3"><input type="number" step="0.01" min="0" defaultValue={p.cost_register} id={'cost_' + p.tld} className="input w-20 text-sm py-1" /></td><td className="px-4 py-3"><input type="number" step="0.01" min="0" defaultValue={p.price_register} id={'price_' + p.tld} className="input w-20 text-sm py-1" /></td><td className="px-4 py-3"><input type="number" step="0.01" min="0" defaultValue={p.price_privacy} id={'priv_' + p.tld} className="input w-20 text-sm py-1" /></td><td className="px-4 py-3"><div className="flex gap-1"><input type="number" step="0.01" min="0" defaultValue={p.price_late_renew ?? ''} placeholder="Renew" id={'late_' + p.tld} className="input w-20 text-sm py-1" title="Late renewal price (blank = normal renewal price)" /><input type="number" step="0.01" min="0" defaultValue={p.price_redemption} id={'redeem_' + p.tld} className="input w-20 text-sm py-1" title="Restore fee, charged with a 1-year renewal" /></div></td><td className="px-4 py-3">-</td><td className="px-4 py-3"><input type="checkbox" defaultChecked={p.is_active} id={'active_' + p.tld} className="rounded" /></td><td className="px-4 py-3 text-right"><button onClick={() => { updatePricing(p.tld, { cost_register: parseFloat(document.getElementById('cost_' + p.tld).value), cost_renew: parseFloat(document.getElementById('cost_' + p.tld).value), price_register: parseFloat(document.getElementById('price_' + p.tld).value), price_renew: parseFloat(document.getElementById('price_' + p.tld).value), price_transfer: parseFloat(document.getElementById('price_' + p.tld).value), price_privacy: parseFloat(document.getElementById('priv_' + p.tld).value), price_late_renew: document.getElementById('late_' + p.tld).value, price_redemption: parseFloat(document.getElementById('redeem_' + p.tld).value), is_active: document.getElementById('active_' + p.tld).checked }); }} className="p-1 text-green-600"><Save className="w-4 h-4" /></button><button onClick={() => setEditingPrice(null)} className="p-1 text-slate-400"><X className="w-4 h-4" /></button></td></>) : (<><td className="px-4 py-3 font-bold">.{p.tld}</td><td className="px-4 py-3 text-slate-600">${parseFloat(p.cost_register || 0).toFixed(2)}</td><td className="px-4 py-3 font-semibold">${parseFloat(p.price_register || 0).toFixed(2)}</td><td className="px-4 py-3 text-slate-600">${parseFloat(p.price_privacy || 0).toFixed(2)}</td><td className="px-4 py-3 text-slate-600 whitespace-nowrap">{p.price_late_renew ? '$' + parseFloat(p.price_late_renew).toFixed(2) : '-'} / ${parseFloat(p.price_redemption || 0).toFixed(2)}</td><td className="px-4 py-3 text-green-600">${(parseFloat(p.price_register || 0) - parseFloat(p.cost_register || 0)).toFixed(2)}</td><td className="px-4 py-3">{p.is_active ? <Check className="w-5 h-5 text-green-500" /> : <X className="w-5 h-5 text-slate-400" />}</td><td className="px-4 py-3 text-right"><button onClick={() => setEditingPrice(p.tld)} className="p-1 text-slate-400 hover:text-primary-600"><Edit2 className="w-4 h-4" /></button></td></>)}</tr>))}</tbody></table></div></div>{newTld && (<div className="fixed inset-0 bg-black/50 flex items-center justify-center z-50 p-4"><div className="bg-white dark:bg-slate-800 rounded-xl max-w-md w-full p-6"><div className="flex justify-between items-start mb-6"><h3 className="text-xl font-bold">Add New TLD</h3><button onClick={() => setNewTld(null)} className="text-slate-400 hover:text-slate-600"><X className="w-6 h-6" /></button></div><div className="space-y-4"><div><label className="block text-sm font-medium mb-1">TLD</label><input type="text" placeholder="com" value={newTld.tld} onChange={(e) => setNewTld({ ...newTld, tld: e.target.value.toLowerCase().replace('.', '') })} className="input w-full" /></div><div className="grid grid-cols-2 gap-4"><div><label className="block text-sm font-medium mb-1">Cost</label><input type="number" step="0.01" min="0" placeholder="10.00" value={newTld.cost_register} onChange={(e) => setNewTld({ ...newTld, cost_register: e.target.value })} className="input w-full" /></div><div><label className="block text-sm font-medium mb-1">Price</label><input type="number" step="0.01" min="0" placeholder="14.99" value={newTld.price_register} onChange={(e) => setNewTld({ ...newTld, price_register: e.target.value })} className="input w-full" /></div></div><div><label className="block text-sm font-medium mb-1">Privacy Price</label><input type="number" step="0.01" min="0" placeholder="9.99" value={newTld.price_privacy} onChange={(e) => setNewTld({ ...newTld, price_privacy: e.target.value })} className="input w-full" /></div><div className="flex gap-4 pt-4"><button onClick={() => addTldPricing({ tld: newTld.tld, cost_register: parseFloat(newTld.cost_register) || 0, cost_renew: parseFloat(newTld.cost_register) || 0, cost_transfer: parseFloat(newTld.cost_register) || 0, price_register: parseFloat(newTld.price_register) || 0, price_renew: parseFloat(newTld.price_register) || 0, price_transfer: parseFloat(newTld.price_register) || 0, price_privacy: parseFloat(newTld.price_privacy) || 9.99 })} disabled={!newTld.tld || !newTld.price_register} className="btn-primary flex-1">Add TLD</button><button onClick={() => setNewTld(null)} className="btn-secondary">Cancel</button></div></div></div></div>)}</div>)}
 
       {activeTab === 'balance' && (
         <div className="space-y-6">
@@ -541,6 +547,12 @@ function AdminDashboard() {
       )}
 
       {activeTab === 'audit' && <AdminAuditLogs />}
+      {activeTab === 'dns templates' && <AdminDnsTemplates />}
+      {activeTab === 'transfers out' && <AdminTransfersOut isAdmin={isAdmin} />}
+      {activeTab === 'watchlist' && <AdminWatchlist />}
+      {activeTab === 'reconciliation' && <AdminRenewalReconciliation isAdmin={isAdmin} />}
+      {activeTab === 'api logs' && <AdminEnomLogs />}
+      {activeTab === 'jobs' && <AdminJobs />}
       {activeTab === 'roles' && <AdminRoles />}
 
       {activeTab === 'settings' && <AdminSettings />}
@@ -0,0 +1,360 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Plus, RefreshCw, Loader2, Edit2, Trash2, X, Save, Check, LayoutTemplate } from 'lucide-react';
+import { useAuth } from '../../App';
+import { API_URL } from '../../config/api';
+import { toast } from 'react-hot-toast';
+
+const CATEGORIES = ['email', 'website', 'other'];
+const BUILTIN_PLACEHOLDERS = ['domain', 'sld', 'tld', 'domain_dashed'];
+
+const EMPTY_TEMPLATE = {
+  name: '',
+  slug: '',
+  description: '',
+  category: 'email',
+  sort_order: 100,
+  is_active: true,
+  recordsJson: '[\n  { "hostName": "@", "recordType": "TXT", "address": "example-verification={verification_token}" }\n]',
+  variables: []
+};
+
+// Customer variables referenced by the records JSON (built-in placeholders excluded)
+const findVariables = (json) => {
+  const keys = [];
+  for (const match of json.matchAll(/\{([a-z0-9_]+)\}/gi)) {
+    const key = match[1].toLowerCase();
+    if (!BUILTIN_PLACEHOLDERS.includes(key) && !keys.includes(key)) keys.push(key);
+  }
+  return keys;
+};
+
+function AdminDnsTemplates() {
+  const { token } = useAuth();
+  const [templates, setTemplates] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [editing, setEditing] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  const fetchTemplates = useCallback(async () => {
+    setLoading(true);
+    try {
+      const res = await fetch(`${API_URL}/admin/dns-templates`, {
+        headers: { 'Authorization': `Bearer ${token}` }
+      });
+      if (res.ok) {
+        setTemplates(await res.json());
+      }
+    } catch (err) {
+      toast.error('Failed to load DNS templates');
+    }
+    setLoading(false);
+  }, [token]);
+
+  useEffect(() => {
+    fetchTemplates();
+  }, [fetchTemplates]);
+
+  const openEditor = (template) => {
+    if (!template) {
+      setEditing({ ...EMPTY_TEMPLATE });
+      return;
+    }
+    setEditing({
+      id: template.id,
+      is_builtin: template.is_builtin,
+      name: template.name,
+      slug: template.slug,
+      description: template.description || '',
+      category: template.category,
+      sort_order: template.sort_order,
+      is_active: template.is_active,
+      recordsJson: JSON.stringify(template.records, null, 2),
+      variables: template.variables
+    });
+  };
+
+  const variableFor = (key) => editing.variables.find(v => v.key === key) || { key, label: '', placeholder: '', required: true };
+
+  const updateVariable = (key, changes) => {
+    const others = editing.variables.filter(v => v.key !== key);
+    setEditing({ ...editing, variables: [...others, { ...variableFor(key), ...changes }] });
+  };
+
+  const saveTemplate = async () => {
+    let records;
+    try {
+      records = JSON.parse(editing.recordsJson);
+    } catch (err) {
+      toast.error('Records must be valid JSON');
+      return;
+    }
+
+    setSaving(true);
+    try {
+      const res = await fetch(
+        editing.id ? `${API_URL}/admin/dns-templates/${editing.id}` : `${API_URL}/admin/dns-templates`,
+        {
+          method: editing.id ? 'PUT' : 'POST',
+          headers: {
+            'Content-Type': 'application/json',
+            'Authorization': `Bearer ${token}`
+          },
+          body: JSON.stringify({
+            name: editing.name,
+            slug: editing.slug,
+            description: editing.description,
+            category: editing.category,
+            sort_order: editing.sort_order,
+            is_active: editing.is_active,
+            records,
+            variables: findVariables(editing.recordsJson).map(variableFor)
+          })
+        }
+      );
+      const data = await res.json();
+      if (res.ok) {
+        toast.success(editing.id ? 'Template updated' : 'Template created');
+        setEditing(null);
+        fetchTemplates();
+      } else {
+        toast.error(data.error || 'Failed to save template');
+      }
+    } catch (err) {
+      toast.error('Connection error');
+    }
+    setSaving(false);
+  };
+
+  const toggleActive = async (template) => {
+    try {
+      const res = await fetch(`${API_URL}/admin/dns-templates/${template.id}`, {
+        method: 'PUT',
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${token}`
+        },
+        body: JSON.stringify({ is_active: !template.is_active })
+      });
+      const data = await res.json();
+      if (res.ok) {
+        toast.success(data.is_active ? 'Template activated' : 'Template deactivated');
+        fetchTemplates();
+      } else {
+        toast.error(data.error || 'Failed to update template');
+      }
+    } catch (err) {
+      toast.error('Connection error');
+    }
+  };
+
+  const deleteTemplate = async (template) => {
+    if (!window.confirm(`Delete the "${template.name}" template?`)) return;
+    try {
+      const res = await fetch(`${API_URL}/admin/dns-templates/${template.id}`, {
+        method: 'DELETE',
+        headers: { 'Authorization': `Bearer ${token}` }
+      });
+      const data = await res.json();
+      if (res.ok) {
+        toast.success('Template deleted');
+        fetchTemplates();
+      } else {
+        toast.error(data.error || 'Failed to delete template');
+      }
+    } catch (err) {
+      toast.error('Connection error');
+    }
+  };
+
+  return (
+    <div className="space-y-6">
+      <div className="flex items-center justify-between">
+        <div>
+          <h2 className="text-lg font-semibold text-slate-900 dark:text-slate-100 flex items-center gap-2">
+            <LayoutTemplate className="w-5 h-5" />
+            DNS Templates
+          </h2>
+          <p className="text-sm text-slate-500 dark:text-slate-400">
+            Record sets customers can apply from DNS management. Use {'{domain}'}, {'{sld}'}, {'{tld}'} or {'{domain_dashed}'}
+            for the domain; any other {'{placeholder}'} is asked from the customer.
+          </p>
+        </div>
+        <div className="flex gap-2">
+          <button onClick={() => openEditor(null)} className="btn-primary">
+            <Plus className="w-4 h-4 mr-2" />
+            New Template
+          </button>
+          <button onClick={fetchTemplates} className="btn-secondary">
+            <RefreshCw className={'w-4 h-4 ' + (loading ? 'animate-spin' : '')} />
+          </button>
+        </div>
+      </div>
+
+      <div className="card overflow-hidden">
+        <div className="overflow-x-auto">
+          <table className="w-full">
+            <thead className="bg-slate-50 dark:bg-slate-800/50">
+              <tr>
+                <th className="px-4 py-3 text-left text-xs font-medium text-slate-500 uppercase">Template</th>
+                <th className="px-4 py-3 text-left text-xs font-medium text-slate-500 uppercase">Category</th>
+                <th className="px-4 py-3 text-left text-xs font-medium text-slate-500 uppercase">Records</th>
+                <th className="px-4 py-3 text-left text-xs font-medium text-slate-500 uppercase">Variables</th>
+                <th className="px-4 py-3 text-left text-xs font-medium text-slate-500 uppercase">Active</th>
+                <th className="px-4 py-3 text-right text-xs font-medium text-slate-500 uppercase">Actions</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-slate-200 dark:divide-slate-700">
+              {loading ? (
+                <tr><td colSpan="6" className="px-4 py-8 text-center"><Loader2 className="w-6 h-6 animate-spin mx-auto" /></td></tr>
+              ) : templates.length === 0 ? (
+                <tr><td colSpan="6" className="px-4 py-8 text-center text-slate-500">No DNS templates</td></tr>
+              ) : templates.map(t => (
+                <tr key={t.id} className="hover:bg-slate-50 dark:hover:bg-slate-800/50">
+                  <td className="px-4 py-3">
+                    <p className="font-medium text-slate-900 dark:text-slate-100">
+                      {t.name}
+                      {t.is_builtin && (
+                        <span className="ml-2 px-2 py-0.5 text-xs rounded-full bg-slate-100 text-slate-600 dark:bg-slate-700 dark:text-slate-300">Built-in</span>
+                      )}
+                    </p>
+                    <p className="text-xs text-slate-500 font-mono">{t.slug}</p>
+                  </td>
+                  <td className="px-4 py-3 text-sm text-slate-600 dark:text-slate-400 capitalize">{t.category}</td>
+                  <td className="px-4 py-3 text-sm text-slate-600 dark:text-slate-400">{t.records.length}</td>
+                  <td className="px-4 py-3 text-xs font-mono text-slate-600 dark:text-slate-400">
+                    {t.variables.length > 0 ? t.variables.map(v => v.key).join(', ') : '-'}
+                  </td>
+                  <td className="px-4 py-3">
+                    <button onClick={() => toggleActive(t)} title={t.is_active ? 'Deactivate' : 'Activate'}>
+                      {t.is_active ? <Check className="w-5 h-5 text-green-500" /> : <X className="w-5 h-5 text-slate-400" />}
+                    </button>
+                  </td>
+                  <td className="px-4 py-3 text-right">
+                    <button onClick={() => openEditor(t)} className="p-1 text-slate-400 hover:text-primary-600" title="Edit">
+                      <Edit2 className="w-4 h-4" />
+                    </button>
+                    {!t.is_builtin && (
+                      <button onClick={() => deleteTemplate(t)} className="p-1 text-slate-400 hover:text-red-600" title="Delete">
+                        <Trash2 className="w-4 h-4" />
+                      </button>
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      </div>
+
+      {editing && (
+        <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-50 p-4">
+          <div className="bg-white dark:bg-slate-800 rounded-xl max-w-2xl w-full p-6 max-h-[90vh] overflow-y-auto">
+            <div className="flex justify-between items-start mb-6">
+              <h3 className="text-xl font-bold">{editing.id ? 'Edit DNS Template' : 'New DNS Template'}</h3>
+              <button onClick={() => setEditing(null)} className="text-slate-400 hover:text-slate-600"><X className="w-6 h-6" /></button>
+            </div>
+
+            <div className="space-y-4">
+              <div className="grid grid-cols-2 gap-4">
+                <div>
+                  <label className="block text-sm font-medium mb-1">Name</label>
+                  <input type="text" value={editing.name} onChange={(e) => setEditing({ ...editing, name: e.target.value })} className="input w-full" />
+                </div>
+                <div>
+                  <label className="block text-sm font-medium mb-1">Slug</label>
+                  <input
+                    type="text"
+                    value={editing.slug}
+                    onChange={(e) => setEditing({ ...editing, slug: e.target.value.toLowerCase() })}
+                    placeholder="Generated from name"
+                    disabled={editing.is_builtin}
+                    className="input w-full font-mono disabled:opacity-60"
+                  />
+                </div>
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium mb-1">Description</label>
+                <input type="text" value={editing.description} onChange={(e) => setEditing({ ...editing, description: e.target.value })} className="input w-full" />
+              </div>
+
+              <div className="grid grid-cols-3 gap-4">
+                <div>
+                  <label className="block text-sm font-medium mb-1">Category</label>
+                  <select value={editing.category} onChange={(e) => setEditing({ ...editing, category: e.target.value })} className="input w-full capitalize">
+                    {CATEGORIES.map(c => <option key={c} value={c}>{c}</option>)}
+                  </select>
+                </div>
+                <div>
+                  <label className="block text-sm font-medium mb-1">Sort Order</label>
+                  <input type="number" value={editing.sort_order} onChange={(e) => setEditing({ ...editing, sort_order: e.target.value })} className="input w-full" />
+                </div>
+                <label className="flex items-center gap-2 text-sm font-medium pt-6">
+                  <input type="checkbox" checked={editing.is_active} onChange={(e) => setEditing({ ...editing, is_active: e.target.checked })} className="rounded" />
+                  Active
+                </label>
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium mb-1">Records (JSON)</label>
+                <textarea
+                  value={editing.recordsJson}
+                  onChange={(e) => setEditing({ ...editing, recordsJson: e.target.value })}
+                  rows={10}
+                  className="input w-full font-mono text-xs"
+                />
+                <p className="text-xs text-slate-500 mt-1">
+                  Each record takes hostName, recordType and address, plus mxPref for MX, priority/weight/port/target for SRV
+                  and flags/tag/value for CAA.
+                </p>
+              </div>
+
+              {findVariables(editing.recordsJson).length > 0 && (
+                <div className="space-y-2">
+                  <label className="block text-sm font-medium">Customer Variables</label>
+                  {findVariables(editing.recordsJson).map(key => {
+                    const v = variableFor(key);
+                    return (
+                      <div key={key} className="grid grid-cols-12 gap-2 items-center">
+                        <span className="col-span-3 text-xs font-mono text-slate-600 dark:text-slate-400">{`{${key}}`}</span>
+                        <input
+                          type="text"
+                          value={v.label}
+                          onChange={(e) => updateVariable(key, { label: e.target.value })}
+                          placeholder="Label"
+                          className="input col-span-4 text-sm"
+                        />
+                        <input
+                          type="text"
+                          value={v.placeholder}
+                          onChange={(e) => updateVariable(key, { placeholder: e.target.value })}
+                          placeholder="Hint"
+                          className="input col-span-3 text-sm"
+                        />
+                        <label className="col-span-2 flex items-center gap-1 text-xs">
+                          <input type="checkbox" checked={v.required} onChange={(e) => updateVariable(key, { required: e.target.checked })} className="rounded" />
+                          Required
+                        </label>
+                      </div>
+                    );
+                  })}
+                  <p className="text-xs text-slate-500">Records using an optional variable are skipped when the customer leaves it blank.</p>
+                </div>
+              )}
+
+              <div className="flex gap-4 pt-4">
+                <button onClick={saveTemplate} disabled={saving || !editing.name} className="btn-primary flex-1">
+                  {saving ? <Loader2 className="w-4 h-4 mr-2 animate-spin" /> : <Save className="w-4 h-4 mr-2" />}
+                  Save Template
+                </button>
+                <button onClick={() => setEditing(null)} className="btn-secondary">Cancel</button>
+              </div>
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default AdminDnsTemplates;
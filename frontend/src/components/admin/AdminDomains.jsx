@@ -3,13 +3,17 @@ import {
   Globe, Search, RefreshCw, Loader2, Download, ChevronLeft, ChevronRight,
   Check, X, Shield, Lock, Unlock, Edit2, Eye, Calendar, User, Server,
   AlertTriangle, Clock, Filter, MoreVertical, Trash2, Key, ExternalLink,
-  Save, Users, ArrowRight, Plus, Contact, Database
+  Save, Users, ArrowRight, Plus, Contact, Database, Layers, Mail
 } from 'lucide-react';
 import { useAuth } from '../../App';
 import { API_URL } from '../../config/api';
 import toast from 'react-hot-toast';
 import DomainContactsPanel from '../dashboard/DomainContactsPanel';
 import DnsManagementPanel from '../dashboard/DnsManagementPanel';
+import DnssecPanel from '../dashboard/DnssecPanel';
+import ChildNameserversPanel from '../dashboard/ChildNameserversPanel';
+import BulkDnsModal from '../dashboard/BulkDnsModal';
+import EmailForwardingPanel from '../dashboard/EmailForwardingPanel';
 
 // Status badge component
 const StatusBadge = ({ status }) => {
@@ -17,8 +21,12 @@ const StatusBadge = ({ status }) => {
     active: 'bg-green-100 dark:bg-green-900/30 text-green-700 dark:text-green-400',
     pending: 'bg-yellow-100 dark:bg-yellow-900/30 text-yellow-700 dark:text-yellow-400',
     expired: 'bg-red-100 dark:bg-red-900/30 text-red-700 dark:text-red-400',
+    grace: 'bg-orange-100 dark:bg-orange-900/30 text-orange-700 dark:text-orange-400',
+    redemption: 'bg-red-100 dark:bg-red-900/30 text-red-700 dark:text-red-400',
+    pending_delete: 'bg-red-200 dark:bg-red-900/50 text-red-800 dark:text-red-300',
     suspended: 'bg-slate-100 dark:bg-slate-800 text-slate-600 dark:text-slate-400',
-    transfer: 'bg-blue-100 dark:bg-blue-900/30 text-blue-700 dark:text-blue-400'
+    transfer: 'bg-blue-100 dark:bg-blue-900/30 text-blue-700 dark:text-blue-400',
+    transferred_away: 'bg-slate-100 dark:bg-slate-800 text-slate-500 dark:text-slate-400'
   };
   return (
     <span className={`px-2.5 py-1 rounded-full text-xs font-medium ${styles[status] || styles.pending}`}>
@@ -386,6 +394,7 @@ export function DomainDetailModal({ domain, onClose, onSave, onRefresh, token, i
             { id: 'details', label: 'Details', icon: Eye },
             { id: 'nameservers', label: 'Nameservers', icon: Server },
             { id: 'dns', label: 'DNS', icon: Database },
+            { id: 'email', label: 'Email', icon: Mail },
             { id: 'settings', label: 'Settings', icon: Edit2 },
             { id: 'contacts', label: 'Contacts', icon: Contact },
             { id: 'transfer', label: 'Transfer', icon: Users },
@@ -610,6 +619,16 @@ export function DomainDetailModal({ domain, onClose, onSave, onRefresh, token, i
                   </div>
                 </div>
               )}
+
+              <div className="pt-4 border-t border-slate-200 dark:border-slate-700">
+                <ChildNameserversPanel
+                  domainId={domain.id}
+                  domainName={domain.domain_name}
+                  tld={domain.tld}
+                  isAdmin
+                  readOnly={!isAdmin}
+                />
+              </div>
             </div>
           )}
 
@@ -637,9 +656,27 @@ export function DomainDetailModal({ domain, onClose, onSave, onRefresh, token, i
                   setNameservers([...newNs, '', '', '', ''].slice(0, 4));
                 }}
               />
+              <DnssecPanel
+                domainId={domain.id}
+                domainName={domain.domain_name}
+                tld={domain.tld}
+                isAdmin
+                readOnly={!isAdmin}
+              />
             </div>
           )}
 
+          {/* Email Forwarding Tab */}
+          {activeSection === 'email' && (
+            <EmailForwardingPanel
+              domainId={domain.id}
+              domainName={domain.domain_name}
+              tld={domain.tld}
+              isAdmin
+              readOnly={!isAdmin}
+            />
+          )}
+
           {activeSection === 'settings' && (
             <div className="space-y-6">
               {!isAdmin && (
@@ -664,6 +701,9 @@ export function DomainDetailModal({ domain, onClose, onSave, onRefresh, token, i
                     <option value="active">Active</option>
                     <option value="pending">Pending</option>
                     <option value="expired">Expired</option>
+                    <option value="grace">Renewal Grace</option>
+                    <option value="redemption">Redemption</option>
+                    <option value="pending_delete">Pending Delete</option>
                     <option value="suspended">Suspended</option>
                   </select>
                   <p className="text-xs text-slate-500 mt-1">
@@ -877,6 +917,51 @@ export function DomainDetailModal({ domain, onClose, onSave, onRefresh, token, i
                 <p className="text-slate-500 dark:text-slate-400 text-center py-8">No order history found</p>
               )}
 
+              {(details.renewalAttempts?.length > 0 || details.dunning) && (
+                <>
+                  <h4 className="font-medium text-slate-900 dark:text-slate-100 mt-6">Auto-Renew Payment Attempts</h4>
+                  {details.dunning && (
+                    <div className="p-3 bg-slate-50 dark:bg-slate-700/50 rounded-xl text-sm text-slate-600 dark:text-slate-400">
+                      Latest retry cycle: <span className="font-medium text-slate-900 dark:text-slate-100">{details.dunning.status}</span>
+                      {' '}- {details.dunning.attempts} failed charge{details.dunning.attempts === 1 ? '' : 's'}
+                      {details.dunning.status === 'active' && details.dunning.next_attempt_date &&
+                        `, next retry ${new Date(details.dunning.next_attempt_date).toLocaleDateString()}`}
+                    </div>
+                  )}
+                  <div className="space-y-2">
+                    {details.renewalAttempts?.map((attempt) => (
+                      <div key={attempt.id} className="p-3 bg-slate-50 dark:bg-slate-700/50 rounded-xl">
+                        <div className="flex items-center justify-between">
+                          <div className="text-sm">
+                            <span className={`px-2 py-0.5 rounded text-xs font-medium ${
+                              attempt.status === 'succeeded'
+                                ? 'bg-green-100 text-green-700'
+                                : attempt.status === 'requires_action'
+                                  ? 'bg-yellow-100 text-yellow-700'
+                                  : 'bg-red-100 text-red-700'
+                            }`}>
+                              {attempt.status.replace('_', ' ')}
+                            </span>
+                            <span className="ml-2 text-slate-600 dark:text-slate-400">
+                              {attempt.source.replace('_', ' ')} - ${parseFloat(attempt.amount).toFixed(2)}
+                            </span>
+                          </div>
+                          <span className="text-sm text-slate-500">
+                            {new Date(attempt.created_at).toLocaleString()}
+                          </span>
+                        </div>
+                        {attempt.error && (
+                          <p className="text-sm text-red-600 dark:text-red-400 mt-1">{attempt.error}</p>
+                        )}
+                        {attempt.email_sent && (
+                          <p className="text-xs text-slate-500 mt-1">Emailed: {attempt.email_sent.replace(/_/g, ' ')}</p>
+                        )}
+                      </div>
+                    ))}
+                  </div>
+                </>
+              )}
+
               {details.notes?.length > 0 && (
                 <>
                   <h4 className="font-medium text-slate-900 dark:text-slate-100 mt-6">Staff Notes</h4>
@@ -968,6 +1053,7 @@ export default function AdminDomains() {
   const [tldFilter, setTldFilter] = useState('');
   const [syncing, setSyncing] = useState(false);
   const [selectedDomain, setSelectedDomain] = useState(null);
+  const [showBulkDns, setShowBulkDns] = useState(false);
   const [availableTlds, setAvailableTlds] = useState([]);
 
   const fetchDomains = useCallback(async () => {
@@ -1056,6 +1142,12 @@ export default function AdminDomains() {
               Sync All from eNom
             </button>
           )}
+          {isAdmin && (
+            <button onClick={() => setShowBulkDns(true)} disabled={domains.length === 0} className="btn-secondary">
+              <Layers className="w-4 h-4 mr-2" />
+              Bulk DNS
+            </button>
+          )}
           <button onClick={fetchDomains} disabled={loading} className="btn-secondary">
             <RefreshCw className={`w-4 h-4 ${loading ? 'animate-spin' : ''}`} />
           </button>
@@ -1087,7 +1179,11 @@ export default function AdminDomains() {
             <option value="active">Active</option>
             <option value="pending">Pending</option>
             <option value="expired">Expired</option>
+            <option value="grace">Renewal Grace</option>
+            <option value="redemption">Redemption</option>
+            <option value="pending_delete">Pending Delete</option>
             <option value="suspended">Suspended</option>
+            <option value="transferred_away">Transferred Away</option>
           </select>
 
           {/* Expiring Filter */}
@@ -1267,6 +1363,15 @@ export default function AdminDomains() {
           isAdmin={isAdmin}
         />
       )}
+
+      {/* Bulk DNS Modal (domains on the current page) */}
+      {showBulkDns && (
+        <BulkDnsModal
+          domains={domains}
+          isAdmin
+          onClose={() => setShowBulkDns(false)}
+        />
+      )}
     </div>
   );
 }
@@ -0,0 +1,482 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Search, RefreshCw, Loader2, ChevronLeft, ChevronRight, Filter, Activity, AlertTriangle, Eye, X, Trash2, Server } from 'lucide-react';
+import { useAuth } from '../../App';
+import { API_URL } from '../../config/api';
+import { toast } from 'react-hot-toast';
+
+function AdminEnomLogs() {
+  const { token } = useAuth();
+  const [logs, setLogs] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [page, setPage] = useState(1);
+  const [totalPages, setTotalPages] = useState(1);
+  const [total, setTotal] = useState(0);
+
+  // Filters
+  const [domain, setDomain] = useState('');
+  const [command, setCommand] = useState('');
+  const [mode, setMode] = useState('');
+  const [success, setSuccess] = useState('');
+  const [orderId, setOrderId] = useState('');
+  const [startDate, setStartDate] = useState('');
+  const [endDate, setEndDate] = useState('');
+  const [showFilters, setShowFilters] = useState(false);
+
+  // Filter options
+  const [commands, setCommands] = useState([]);
+
+  // Detail view
+  const [selectedLog, setSelectedLog] = useState(null);
+  const [loadingDetail, setLoadingDetail] = useState(false);
+  const [purging, setPurging] = useState(false);
+
+  const fetchLogs = useCallback(async () => {
+    setLoading(true);
+    try {
+      const params = new URLSearchParams({ page, limit: 50 });
+      if (domain) params.append('domain', domain);
+      if (command) params.append('command', command);
+      if (mode) params.append('mode', mode);
+      if (success) params.append('success', success);
+      if (orderId) params.append('order_id', orderId);
+      if (startDate) params.append('start_date', startDate);
+      if (endDate) params.append('end_date', endDate);
+
+      const res = await fetch(`${API_URL}/admin/enom/api-logs?${params}`, {
+        headers: { 'Authorization': `Bearer ${token}` }
+      });
+      if (res.ok) {
+        const data = await res.json();
+        setLogs(data.logs || []);
+        setTotalPages(data.totalPages || 1);
+        setTotal(data.total || 0);
+      }
+    } catch (err) {
+      toast.error('Failed to load eNom API logs');
+    }
+    setLoading(false);
+  }, [token, page, domain, command, mode, success, orderId, startDate, endDate]);
+
+  const fetchCommands = useCallback(async () => {
+    try {
+      const res = await fetch(`${API_URL}/admin/enom/api-logs/commands`, {
+        headers: { 'Authorization': `Bearer ${token}` }
+      });
+      if (res.ok) setCommands(await res.json());
+    } catch (err) {
+      console.error('Error fetching commands:', err);
+    }
+  }, [token]);
+
+  useEffect(() => {
+    fetchLogs();
+  }, [fetchLogs]);
+
+  useEffect(() => {
+    fetchCommands();
+  }, [fetchCommands]);
+
+  const viewLog = async (id) => {
+    setLoadingDetail(true);
+    try {
+      const res = await fetch(`${API_URL}/admin/enom/api-logs/${id}`, {
+        headers: { 'Authorization': `Bearer ${token}` }
+      });
+      if (res.ok) {
+        setSelectedLog(await res.json());
+      } else {
+        toast.error('Failed to load API call');
+      }
+    } catch (err) {
+      toast.error('Failed to load API call');
+    }
+    setLoadingDetail(false);
+  };
+
+  const purgeLogs = async () => {
+    if (!window.confirm('Delete API log entries older than the retention period?')) return;
+    setPurging(true);
+    try {
+      const res = await fetch(`${API_URL}/admin/enom/api-logs`, {
+        method: 'DELETE',
+        headers: { 'Authorization': `Bearer ${token}` }
+      });
+      const data = await res.json();
+      if (res.ok) {
+        toast.success(`Deleted ${data.deleted} entries older than ${data.olderThanDays} days`);
+        fetchLogs();
+        fetchCommands();
+      } else {
+        toast.error(data.error || 'Failed to purge logs');
+      }
+    } catch (err) {
+      toast.error('Failed to purge logs');
+    }
+    setPurging(false);
+  };
+
+  const handleSearch = (e) => {
+    e.preventDefault();
+    setPage(1);
+    fetchLogs();
+  };
+
+  const clearFilters = () => {
+    setDomain('');
+    setCommand('');
+    setMode('');
+    setSuccess('');
+    setOrderId('');
+    setStartDate('');
+    setEndDate('');
+    setPage(1);
+  };
+
+  const failedCount = commands.reduce((sum, c) => sum + parseInt(c.failed || 0), 0);
+
+  const getModeColor = (logMode) => {
+    if (logMode === 'production') return 'text-green-600 bg-green-50 dark:bg-green-900/20 dark:text-green-400';
+    if (logMode === 'simulator') return 'text-purple-600 bg-purple-50 dark:bg-purple-900/20 dark:text-purple-400';
+    return 'text-yellow-600 bg-yellow-50 dark:bg-yellow-900/20 dark:text-yellow-400';
+  };
+
+  return (
+    <div className="space-y-6">
+      {/* Summary Cards */}
+      <div className="grid grid-cols-2 md:grid-cols-3 gap-4">
+        <div className="card p-4">
+          <div className="flex items-center gap-3">
+            <div className="w-10 h-10 rounded-lg bg-primary-100 dark:bg-primary-900/30 flex items-center justify-center">
+              <Activity className="w-5 h-5 text-primary-600 dark:text-primary-400" />
+            </div>
+            <div>
+              <p className="text-2xl font-bold text-slate-900 dark:text-slate-100">{total.toLocaleString()}</p>
+              <p className="text-xs text-slate-500">Matching Calls</p>
+            </div>
+          </div>
+        </div>
+        <div className="card p-4">
+          <div className="flex items-center gap-3">
+            <div className="w-10 h-10 rounded-lg bg-red-100 dark:bg-red-900/30 flex items-center justify-center">
+              <AlertTriangle className="w-5 h-5 text-red-600 dark:text-red-400" />
+            </div>
+            <div>
+              <p className="text-2xl font-bold text-slate-900 dark:text-slate-100">{failedCount.toLocaleString()}</p>
+              <p className="text-xs text-slate-500">Failed Calls (retained)</p>
+            </div>
+          </div>
+        </div>
+        <div className="card p-4">
+          <div className="flex items-center gap-3">
+            <div className="w-10 h-10 rounded-lg bg-blue-100 dark:bg-blue-900/30 flex items-center justify-center">
+              <Server className="w-5 h-5 text-blue-600 dark:text-blue-400" />
+            </div>
+            <div>
+              <p className="text-2xl font-bold text-slate-900 dark:text-slate-100">{commands.length}</p>
+              <p className="text-xs text-slate-500">Commands</p>
+            </div>
+          </div>
+        </div>
+      </div>
+
+      {/* Search and Filters */}
+      <div className="card p-4">
+        <form onSubmit={handleSearch} className="flex flex-wrap gap-4">
+          <div className="relative flex-1 min-w-[200px]">
+            <Search className="absolute left-3 top-1/2 -translate-y-1/2 w-5 h-5 text-slate-400" />
+            <input
+              type="text"
+              placeholder="Search by domain..."
+              value={domain}
+              onChange={(e) => setDomain(e.target.value)}
+              className="input pl-10 w-full"
+            />
+          </div>
+          <button
+            type="button"
+            onClick={() => setShowFilters(!showFilters)}
+            className={`btn-secondary ${showFilters ? 'bg-primary-100 dark:bg-primary-900/30' : ''}`}
+          >
+            <Filter className="w-4 h-4 mr-2" />
+            Filters
+          </button>
+          <button
+            type="button"
+            onClick={purgeLogs}
+            disabled={purging}
+            className="btn-secondary text-red-600"
+          >
+            {purging ? <Loader2 className="w-4 h-4 mr-2 animate-spin" /> : <Trash2 className="w-4 h-4 mr-2" />}
+            Purge Old
+          </button>
+          <button
+            type="button"
+            onClick={() => { fetchLogs(); fetchCommands(); }}
+            className="btn-secondary"
+          >
+            <RefreshCw className={`w-4 h-4 ${loading ? 'animate-spin' : ''}`} />
+          </button>
+        </form>
+
+        {showFilters && (
+          <div className="mt-4 pt-4 border-t border-slate-200 dark:border-slate-700 grid md:grid-cols-3 gap-4">
+            <div>
+              <label className="block text-sm font-medium text-slate-700 dark:text-slate-300 mb-1">Command</label>
+              <select
+                value={command}
+                onChange={(e) => { setCommand(e.target.value); setPage(1); }}
+                className="input w-full"
+              >
+                <option value="">All Commands</option>
+                {commands.map(c => (
+                  <option key={c.command} value={c.command}>{c.command} ({c.count})</option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-slate-700 dark:text-slate-300 mb-1">Result</label>
+              <select
+                value={success}
+                onChange={(e) => { setSuccess(e.target.value); setPage(1); }}
+                className="input w-full"
+              >
+                <option value="">All Results</option>
+                <option value="true">Success</option>
+                <option value="false">Failed</option>
+              </select>
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-slate-700 dark:text-slate-300 mb-1">Mode</label>
+              <select
+                value={mode}
+                onChange={(e) => { setMode(e.target.value); setPage(1); }}
+                className="input w-full"
+              >
+                <option value="">All Modes</option>
+                <option value="production">Production</option>
+                <option value="test">Test</option>
+                <option value="simulator">Simulator</option>
+              </select>
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-slate-700 dark:text-slate-300 mb-1">Order ID</label>
+              <input
+                type="number"
+                min="1"
+                value={orderId}
+                onChange={(e) => { setOrderId(e.target.value); setPage(1); }}
+                className="input w-full"
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-slate-700 dark:text-slate-300 mb-1">Start Date</label>
+              <input
+                type="date"
+                value={startDate}
+                onChange={(e) => { setStartDate(e.target.value); setPage(1); }}
+                className="input w-full"
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-slate-700 dark:text-slate-300 mb-1">End Date</label>
+              <input
+                type="date"
+                value={endDate}
+                onChange={(e) => { setEndDate(e.target.value); setPage(1); }}
+                className="input w-full"
+              />
+            </div>
+            <div className="md:col-span-3 flex justify-end">
+              <button
+                onClick={clearFilters}
+                className="text-sm text-slate-500 hover:text-slate-700 dark:hover:text-slate-300"
+              >
+                Clear all filters
+              </button>
+            </div>
+          </div>
+        )}
+      </div>
+
+      {/* Logs Table */}
+      <div className="card overflow-hidden">
+        <div className="overflow-x-auto">
+          <table className="w-full">
+            <thead className="bg-slate-50 dark:bg-slate-800/50">
+              <tr>
+                <th className="px-4 py-3 text-left text-xs font-medium text-slate-500 uppercase">Timestamp</th>
+                <th className="px-4 py-3 text-left text-xs font-medium text-slate-500 uppercase">Command</th>
+                <th className="px-4 py-3 text-left text-xs font-medium text-slate-500 uppercase">Domain</th>
+                <th className="px-4 py-3 text-left text-xs font-medium text-slate-500 uppercase">Result</th>
+                <th className="px-4 py-3 text-left text-xs font-medium text-slate-500 uppercase">Duration</th>
+                <th className="px-4 py-3 text-left text-xs font-medium text-slate-500 uppercase">Links</th>
+                <th className="px-4 py-3 text-right text-xs font-medium text-slate-500 uppercase">Details</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-slate-200 dark:divide-slate-700">
+              {loading ? (
+                <tr>
+                  <td colSpan="7" className="px-4 py-12 text-center">
+                    <Loader2 className="w-8 h-8 animate-spin mx-auto text-primary-600" />
+                  </td>
+                </tr>
+              ) : logs.length === 0 ? (
+                <tr>
+                  <td colSpan="7" className="px-4 py-12 text-center text-slate-500">
+                    No API calls found
+                  </td>
+                </tr>
+              ) : (
+                logs.map((log) => (
+                  <tr key={log.id} className="hover:bg-slate-50 dark:hover:bg-slate-800/50">
+                    <td className="px-4 py-3 text-sm text-slate-600 dark:text-slate-400 whitespace-nowrap">
+                      {new Date(log.created_at).toLocaleString()}
+                    </td>
+                    <td className="px-4 py-3">
+                      <p className="font-mono text-sm text-slate-900 dark:text-slate-100">{log.command}</p>
+                      <span className={`px-2 py-0.5 rounded-full text-xs font-medium ${getModeColor(log.mode)}`}>
+                        {log.mode}
+                      </span>
+                    </td>
+                    <td className="px-4 py-3 text-sm text-slate-600 dark:text-slate-400">
+                      {log.domain_name || '-'}
+                    </td>
+                    <td className="px-4 py-3">
+                      {log.success ? (
+                        <span className="px-2 py-1 rounded-full text-xs font-medium text-green-600 bg-green-50 dark:bg-green-900/20 dark:text-green-400">OK</span>
+                      ) : (
+                        <div>
+                          <span className="px-2 py-1 rounded-full text-xs font-medium text-red-600 bg-red-50 dark:bg-red-900/20 dark:text-red-400">Failed</span>
+                          <p className="text-xs text-red-600 dark:text-red-400 mt-1 max-w-xs truncate">
+                            {Array.isArray(log.errors) ? log.errors.join(', ') : ''}
+                          </p>
+                        </div>
+                      )}
+                    </td>
+                    <td className="px-4 py-3 text-sm text-slate-600 dark:text-slate-400 whitespace-nowrap">
+                      {log.duration_ms != null ? `${log.duration_ms}ms` : '-'}
+                      {log.attempts > 1 && <span className="text-xs text-slate-400"> ({log.attempts} tries)</span>}
+                    </td>
+                    <td className="px-4 py-3 text-sm text-slate-600 dark:text-slate-400">
+                      {log.order_id && <p>Order #{log.order_id}</p>}
+                      {log.username && <p className="text-xs text-slate-500">{log.username}</p>}
+                      {!log.order_id && !log.username && '-'}
+                    </td>
+                    <td className="px-4 py-3 text-right">
+                      <button
+                        onClick={() => viewLog(log.id)}
+                        disabled={loadingDetail}
+                        className="p-1 text-slate-400 hover:text-primary-600 hover:bg-primary-50 dark:hover:bg-primary-900/20 rounded"
+                      >
+                        <Eye className="w-4 h-4" />
+                      </button>
+                    </td>
+                  </tr>
+                ))
+              )}
+            </tbody>
+          </table>
+        </div>
+
+        {/* Pagination */}
+        <div className="px-4 py-3 border-t border-slate-200 dark:border-slate-700 flex items-center justify-between">
+          <p className="text-sm text-slate-600 dark:text-slate-400">
+            Showing {total === 0 ? 0 : ((page - 1) * 50) + 1} to {Math.min(page * 50, total)} of {total.toLocaleString()} calls
+          </p>
+          <div className="flex gap-2">
+            <button
+              onClick={() => setPage(Math.max(1, page - 1))}
+              disabled={page === 1}
+              className="btn-secondary text-sm disabled:opacity-50"
+            >
+              <ChevronLeft className="w-4 h-4" />
+            </button>
+            <span className="px-3 py-2 text-sm text-slate-600 dark:text-slate-400">
+              Page {page} of {totalPages || 1}
+            </span>
+            <button
+              onClick={() => setPage(Math.min(totalPages, page + 1))}
+              disabled={page >= totalPages}
+              className="btn-secondary text-sm disabled:opacity-50"
+            >
+              <ChevronRight className="w-4 h-4" />
+            </button>
+          </div>
+        </div>
+      </div>
+
+      {/* Detail Modal */}
+      {selectedLog && (
+        <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-50 p-4">
+          <div className="bg-white dark:bg-slate-800 rounded-xl max-w-2xl w-full max-h-[80vh] overflow-auto">
+            <div className="p-6 border-b border-slate-200 dark:border-slate-700 flex items-center justify-between">
+              <div>
+                <h3 className="text-lg font-semibold text-slate-900 dark:text-slate-100">
+                  <span className="font-mono">{selectedLog.command}</span> #{selectedLog.id}
+                </h3>
+                <p className="text-sm text-slate-500">{new Date(selectedLog.created_at).toLocaleString()}</p>
+              </div>
+              <button
+                onClick={() => setSelectedLog(null)}
+                className="p-2 text-slate-400 hover:text-slate-600 hover:bg-slate-100 dark:hover:bg-slate-700 rounded-lg"
+              >
+                <X className="w-5 h-5" />
+              </button>
+            </div>
+            <div className="p-6 space-y-4">
+              <div className="grid md:grid-cols-2 gap-4">
+                <div>
+                  <label className="block text-sm font-medium text-slate-500 mb-1">Mode</label>
+                  <span className={`px-2 py-1 rounded-full text-xs font-medium ${getModeColor(selectedLog.mode)}`}>
+                    {selectedLog.mode}
+                  </span>
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-slate-500 mb-1">Duration</label>
+                  <p className="text-slate-900 dark:text-slate-100">
+                    {selectedLog.duration_ms}ms, {selectedLog.attempts} attempt{selectedLog.attempts === 1 ? '' : 's'}
+                  </p>
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-slate-500 mb-1">Domain</label>
+                  <p className="text-slate-900 dark:text-slate-100">
+                    {selectedLog.domain_name || '-'}
+                    {selectedLog.domain_id && <span className="text-slate-400"> #{selectedLog.domain_id}</span>}
+                  </p>
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-slate-500 mb-1">Customer / Order</label>
+                  <p className="text-slate-900 dark:text-slate-100">
+                    {selectedLog.username || '-'}
+                    {selectedLog.order_id && <span className="text-slate-400"> (order #{selectedLog.order_id})</span>}
+                  </p>
+                  {selectedLog.email && <p className="text-sm text-slate-500">{selectedLog.email}</p>}
+                </div>
+              </div>
+
+              {!selectedLog.success && (
+                <div>
+                  <label className="block text-sm font-medium text-slate-500 mb-1">
+                    Errors {selectedLog.err_count > 0 && `(ErrCount ${selectedLog.err_count})`}
+                  </label>
+                  <ul className="text-sm text-red-700 dark:text-red-300 bg-red-50 dark:bg-red-900/20 p-3 rounded-lg space-y-1">
+                    {(selectedLog.errors || []).map((err, i) => <li key={i}>{err}</li>)}
+                  </ul>
+                </div>
+              )}
+
+              <div>
+                <label className="block text-sm font-medium text-slate-500 mb-1">Request Params (sanitized)</label>
+                <pre className="text-sm text-slate-600 dark:text-slate-400 bg-slate-50 dark:bg-slate-700/50 p-3 rounded-lg overflow-auto max-h-60">
+                  {JSON.stringify(selectedLog.params, null, 2)}
+                </pre>
+              </div>
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default AdminEnomLogs;
@@ -0,0 +1,367 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { RefreshCw, Loader2, Play, XCircle, Activity, ChevronLeft, ChevronRight } from 'lucide-react';
+import { useAuth } from '../../App';
+import { API_URL } from '../../config/api';
+import { toast } from 'react-hot-toast';
+
+const STATUS_STYLES = {
+  queued: 'bg-slate-100 text-slate-600 dark:bg-slate-700 dark:text-slate-300',
+  running: 'bg-blue-100 text-blue-700 dark:bg-blue-900/30 dark:text-blue-400',
+  succeeded: 'bg-green-100 text-green-700 dark:bg-green-900/30 dark:text-green-400',
+  failed: 'bg-red-100 text-red-700 dark:bg-red-900/30 dark:text-red-400',
+  cancelled: 'bg-amber-100 text-amber-700 dark:bg-amber-900/30 dark:text-amber-400'
+};
+
+const ACTIVE_STATUSES = ['queued', 'running'];
+
+// Refresh while something is queued or running
+const LIVE_REFRESH_MS = 3000;
+
+const PAGE_SIZE = 25;
+
+const formatDuration = (ms) => {
+  if (ms === null || ms === undefined) return '-';
+  if (ms < 1000) return `${ms}ms`;
+  if (ms < 60000) return `${(ms / 1000).toFixed(1)}s`;
+  return `${Math.floor(ms / 60000)}m ${Math.round((ms % 60000) / 1000)}s`;
+};
+
+const formatResult = (result) => {
+  if (!result) return '-';
+  return Object.entries(result).map(([key, value]) => `${key.replace(/_/g, ' ')} ${value}`).join(' · ');
+};
+
+const StatusBadge = ({ status }) => (
+  <span className={'px-2 py-1 rounded-full text-xs font-medium whitespace-nowrap ' + (STATUS_STYLES[status] || STATUS_STYLES.queued)}>
+    {status}
+  </span>
+);
+
+const ProgressBar = ({ progress }) => {
+  if (!progress?.total) return <p className="text-xs text-slate-500">Starting...</p>;
+  const percent = Math.min(100, Math.round((progress.done / progress.total) * 100));
+  return (
+    <div className="min-w-[8rem]">
+      <div className="h-2 bg-slate-200 dark:bg-slate-700 rounded-full overflow-hidden">
+        <div className="h-full bg-primary-500 transition-all" style={{ width: `${percent}%` }} />
+      </div>
+      <p className="text-xs text-slate-500 mt-1 truncate">
+        {progress.done}/{progress.total}{progress.message && ` - ${progress.message}`}
+      </p>
+    </div>
+  );
+};
+
+// Background job schedule, live runs and run history
+function AdminJobs() {
+  const { token } = useAuth();
+  const [schedulerRunning, setSchedulerRunning] = useState(false);
+  const [instance, setInstance] = useState(null);
+  const [jobs, setJobs] = useState([]);
+  const [runs, setRuns] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [page, setPage] = useState(1);
+  const [jobFilter, setJobFilter] = useState('');
+  const [statusFilter, setStatusFilter] = useState('');
+  const [loading, setLoading] = useState(true);
+  const [working, setWorking] = useState(null);
+  const [expandedRun, setExpandedRun] = useState(null);
+
+  const fetchJobs = useCallback(async () => {
+    try {
+      const params = new URLSearchParams({ page, limit: PAGE_SIZE });
+      if (jobFilter) params.set('job', jobFilter);
+      if (statusFilter) params.set('status', statusFilter);
+
+      const [jobsRes, runsRes] = await Promise.all([
+        fetch(`${API_URL}/admin/jobs`, { headers: { 'Authorization': `Bearer ${token}` } }),
+        fetch(`${API_URL}/admin/jobs/runs?${params}`, { headers: { 'Authorization': `Bearer ${token}` } })
+      ]);
+      if (jobsRes.ok) {
+        const data = await jobsRes.json();
+        setSchedulerRunning(data.running);
+        setInstance(data.instance);
+        setJobs(data.jobs);
+      }
+      if (runsRes.ok) {
+        const data = await runsRes.json();
+        setRuns(data.runs);
+        setTotal(data.total);
+      }
+    } catch (err) {
+      toast.error('Failed to load jobs');
+    }
+    setLoading(false);
+  }, [token, page, jobFilter, statusFilter]);
+
+  useEffect(() => {
+    fetchJobs();
+  }, [fetchJobs]);
+
+  const hasActiveRuns = jobs.some(job => job.activeRuns.length > 0) || runs.some(run => ACTIVE_STATUSES.includes(run.status));
+
+  useEffect(() => {
+    if (!hasActiveRuns) return;
+    const timer = setInterval(fetchJobs, LIVE_REFRESH_MS);
+    return () => clearInterval(timer);
+  }, [hasActiveRuns, fetchJobs]);
+
+  const post = async (key, url, fallbackError) => {
+    setWorking(key);
+    try {
+      const res = await fetch(url, {
+        method: 'POST',
+        headers: { 'Authorization': `Bearer ${token}` }
+      });
+      const data = await res.json();
+      if (res.ok) {
+        toast.success(data.message);
+      } else {
+        toast.error(data.error || fallbackError);
+      }
+      fetchJobs();
+    } catch (err) {
+      toast.error('Connection error');
+    }
+    setWorking(null);
+  };
+
+  const triggerJob = (name) => post(`trigger-${name}`, `${API_URL}/admin/jobs/${name}/trigger`, 'Failed to start job');
+
+  const cancelRun = (run) => {
+    if (!window.confirm(`Cancel ${run.status} run #${run.id} of ${run.job_name}?`)) return;
+    post(`cancel-${run.id}`, `${API_URL}/admin/jobs/runs/${run.id}/cancel`, 'Failed to cancel run');
+  };
+
+  const toggleRun = async (run) => {
+    if (expandedRun?.id === run.id) {
+      setExpandedRun(null);
+      return;
+    }
+    try {
+      const res = await fetch(`${API_URL}/admin/jobs/runs/${run.id}`, {
+        headers: { 'Authorization': `Bearer ${token}` }
+      });
+      if (res.ok) {
+        setExpandedRun(await res.json());
+      }
+    } catch (err) {
+      toast.error('Failed to load run');
+    }
+  };
+
+  const totalPages = Math.max(1, Math.ceil(total / PAGE_SIZE));
+
+  return (
+    <div className="space-y-6">
+      <div className="flex items-center justify-between">
+        <div>
+          <h2 className="text-lg font-semibold text-slate-900 dark:text-slate-100 flex items-center gap-2">
+            <Activity className="w-5 h-5" />
+            Background Jobs
+            <span className={'px-2 py-0.5 rounded-full text-xs font-medium ' + (schedulerRunning ? STATUS_STYLES.succeeded : STATUS_STYLES.cancelled)}>
+              scheduler {schedulerRunning ? 'running' : 'stopped'}
+            </span>
+          </h2>
+          <p className="text-sm text-slate-500 dark:text-slate-400">
+            Every run is recorded with its outcome and counts. Failed runs are retried with backoff (see Settings).
+            Each run happens on one instance at a time.
+          </p>
+          {instance && <p className="text-xs text-slate-500 font-mono mt-1">This instance: {instance}</p>}
+        </div>
+        <button onClick={fetchJobs} className="btn-secondary">
+          <RefreshCw className={'w-4 h-4 ' + (loading ? 'animate-spin' : '')} />
+        </button>
+      </div>
+
+      <div className="card overflow-hidden">
+        <div className="overflow-x-auto">
+          <table className="w-full">
+            <thead className="bg-slate-50 dark:bg-slate-800/50">
+              <tr>
+                <th className="px-4 py-3 text-left text-xs font-medium text-slate-500 uppercase">Job</th>
+                <th className="px-4 py-3 text-left text-xs font-medium text-slate-500 uppercase">Schedule</th>
+                <th className="px-4 py-3 text-left text-xs font-medium text-slate-500 uppercase">Last Run</th>
+                <th className="px-4 py-3 text-left text-xs font-medium text-slate-500 uppercase">Last Success</th>
+                <th className="px-4 py-3 text-left text-xs font-medium text-slate-500 uppercase">Now</th>
+                <th className="px-4 py-3 text-right text-xs font-medium text-slate-500 uppercase">Actions</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-slate-200 dark:divide-slate-700">
+              {loading ? (
+                <tr><td colSpan="6" className="px-4 py-8 text-center"><Loader2 className="w-6 h-6 animate-spin mx-auto" /></td></tr>
+              ) : jobs.length === 0 ? (
+                <tr><td colSpan="6" className="px-4 py-8 text-center text-slate-500">No jobs scheduled (set ENABLE_JOB_SCHEDULER=true)</td></tr>
+              ) : jobs.map(job => {
+                const runningRun = job.activeRuns.find(run => run.status === 'running');
+                const queuedRun = job.activeRuns.find(run => run.status === 'queued');
+                return (
+                  <tr key={job.name} className="hover:bg-slate-50 dark:hover:bg-slate-800/50">
+                    <td className="px-4 py-3 font-mono text-sm text-slate-900 dark:text-slate-100">{job.name}</td>
+                    <td className="px-4 py-3 font-mono text-xs text-slate-500">
+                      {job.cronExpression || (job.intervalMs ? `every ${job.intervalMs / 1000}s` : 'not scheduled')}
+                    </td>
+                    <td className="px-4 py-3">
+                      {job.lastRun ? (
+                        <>
+                          <StatusBadge status={job.lastRun.status} />
+                          <p className="text-xs text-slate-500 mt-1 whitespace-nowrap">
+                            {new Date(job.lastRun.started_at || job.lastRun.created_at).toLocaleString()} ({formatDuration(job.lastRun.duration_ms)})
+                          </p>
+                        </>
+                      ) : <span className="text-sm text-slate-400">Never</span>}
+                    </td>
+                    <td className="px-4 py-3 text-xs text-slate-500">
+                      {job.lastSuccess ? (
+                        <>
+                          <p className="whitespace-nowrap">{new Date(job.lastSuccess.finished_at).toLocaleString()}</p>
+                          <p>{formatResult(job.lastSuccess.result)}</p>
+                        </>
+                      ) : '-'}
+                    </td>
+                    <td className="px-4 py-3">
+                      {runningRun ? (
+                        <>
+                          <ProgressBar progress={runningRun.progress} />
+                          <p className="text-xs text-slate-500 font-mono truncate">on {runningRun.instance_id}</p>
+                        </>
+                      ) : queuedRun ? (
+                        <p className="text-xs text-slate-500 whitespace-nowrap">
+                          {queuedRun.trigger === 'retry' ? `Retry ${queuedRun.attempt - 1}` : 'Queued'} at {new Date(queuedRun.scheduled_at).toLocaleTimeString()}
+                        </p>
+                      ) : <span className="text-sm text-slate-400">Idle</span>}
+                    </td>
+                    <td className="px-4 py-3 text-right">
+                      <div className="flex justify-end gap-1">
+                        {working === `trigger-${job.name}` || (runningRun && working === `cancel-${runningRun.id}`) ? (
+                          <Loader2 className="w-4 h-4 animate-spin" />
+                        ) : (
+                          <>
+                            {job.type && !runningRun && (
+                              <button onClick={() => triggerJob(job.name)} title="Run now" className="p-1 text-slate-400 hover:text-primary-600">
+                                <Play className="w-4 h-4" />
+                              </button>
+                            )}
+                            {(runningRun || queuedRun) && (
+                              <button onClick={() => cancelRun(runningRun || queuedRun)} title="Cancel run" className="p-1 text-slate-400 hover:text-red-600">
+                                <XCircle className="w-4 h-4" />
+                              </button>
+                            )}
+                          </>
+                        )}
+                      </div>
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </div>
+      </div>
+
+      <div className="flex items-center justify-between">
+        <h3 className="font-semibold text-slate-900 dark:text-slate-100">Run History</h3>
+        <div className="flex gap-2">
+          <select value={jobFilter} onChange={(e) => { setJobFilter(e.target.value); setPage(1); }} className="input">
+            <option value="">All jobs</option>
+            {jobs.map(job => <option key={job.name} value={job.name}>{job.name}</option>)}
+          </select>
+          <select value={statusFilter} onChange={(e) => { setStatusFilter(e.target.value); setPage(1); }} className="input">
+            <option value="">All statuses</option>
+            {Object.keys(STATUS_STYLES).map(status => <option key={status} value={status}>{status}</option>)}
+          </select>
+        </div>
+      </div>
+
+      <div className="card overflow-hidden">
+        <div className="overflow-x-auto">
+          <table className="w-full">
+            <thead className="bg-slate-50 dark:bg-slate-800/50">
+              <tr>
+                <th className="px-4 py-3 text-left text-xs font-medium text-slate-500 uppercase">Run</th>
+                <th className="px-4 py-3 text-left text-xs font-medium text-slate-500 uppercase">Job</th>
+                <th className="px-4 py-3 text-left text-xs font-medium text-slate-500 uppercase">Trigger</th>
+                <th className="px-4 py-3 text-left text-xs font-medium text-slate-500 uppercase">Status</th>
+                <th className="px-4 py-3 text-left text-xs font-medium text-slate-500 uppercase">Instance</th>
+                <th className="px-4 py-3 text-left text-xs font-medium text-slate-500 uppercase">Started</th>
+                <th className="px-4 py-3 text-right text-xs font-medium text-slate-500 uppercase">Duration</th>
+                <th className="px-4 py-3 text-left text-xs font-medium text-slate-500 uppercase">Result</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-slate-200 dark:divide-slate-700">
+              {runs.length === 0 ? (
+                <tr><td colSpan="8" className="px-4 py-8 text-center text-slate-500">No runs recorded</td></tr>
+              ) : runs.map(run => (
+                <React.Fragment key={run.id}>
+                  <tr onClick={() => toggleRun(run)} className="hover:bg-slate-50 dark:hover:bg-slate-800/50 cursor-pointer">
+                    <td className="px-4 py-3 font-mono text-sm text-slate-500">#{run.id}</td>
+                    <td className="px-4 py-3 font-mono text-sm text-slate-900 dark:text-slate-100">{run.job_name}</td>
+                    <td className="px-4 py-3 text-sm text-slate-600 dark:text-slate-400">
+                      {run.trigger}
+                      {run.attempt > 1 && <span className="text-xs text-slate-500"> (attempt {run.attempt})</span>}
+                      {run.triggered_by_username && <p className="text-xs text-slate-500">{run.triggered_by_username}</p>}
+                    </td>
+                    <td className="px-4 py-3">
+                      <StatusBadge status={run.status} />
+                      {run.cancel_requested_at && run.status === 'running' && (
+                        <p className="text-xs text-amber-600 mt-1">Cancelling...</p>
+                      )}
+                    </td>
+                    <td className="px-4 py-3 font-mono text-xs text-slate-500">{run.instance_id || '-'}</td>
+                    <td className="px-4 py-3 text-sm text-slate-600 dark:text-slate-400 whitespace-nowrap">
+                      {run.started_at
+                        ? new Date(run.started_at).toLocaleString()
+                        : `Scheduled ${new Date(run.scheduled_at).toLocaleString()}`}
+                    </td>
+                    <td className="px-4 py-3 text-sm text-right text-slate-600 dark:text-slate-400">{formatDuration(run.duration_ms)}</td>
+                    <td className="px-4 py-3 text-sm max-w-sm">
+                      {run.status === 'running' ? (
+                        <ProgressBar progress={run.progress} />
+                      ) : run.error ? (
+                        <span className="text-red-600 dark:text-red-400">{run.error}</span>
+                      ) : (
+                        <span className="text-slate-600 dark:text-slate-400">{formatResult(run.result)}</span>
+                      )}
+                    </td>
+                  </tr>
+                  {expandedRun?.id === run.id && (
+                    <tr className="bg-slate-50 dark:bg-slate-800/50">
+                      <td colSpan="8" className="px-4 py-3 text-sm space-y-2">
+                        <div className="grid md:grid-cols-3 gap-2 text-slate-600 dark:text-slate-400">
+                          <p>Queued: {new Date(expandedRun.scheduled_at).toLocaleString()}</p>
+                          <p>Finished: {expandedRun.finished_at ? new Date(expandedRun.finished_at).toLocaleString() : '-'}</p>
+                          {expandedRun.retry_of && <p>Retry of run #{expandedRun.retry_of}</p>}
+                          {expandedRun.progress && (
+                            <p>Progress: {expandedRun.progress.done}/{expandedRun.progress.total}{expandedRun.progress.message && ` (${expandedRun.progress.message})`}</p>
+                          )}
+                          {expandedRun.cancelled_by_username && <p>Cancelled by {expandedRun.cancelled_by_username}</p>}
+                        </div>
+                        {expandedRun.error_stack && (
+                          <pre className="p-3 bg-slate-900 text-red-300 rounded-lg text-xs overflow-x-auto">{expandedRun.error_stack}</pre>
+                        )}
+                      </td>
+                    </tr>
+                  )}
+                </React.Fragment>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      </div>
+
+      {totalPages > 1 && (
+        <div className="flex items-center justify-center gap-2">
+          <button onClick={() => setPage(p => p - 1)} disabled={page <= 1} className="btn-secondary">
+            <ChevronLeft className="w-4 h-4" />
+          </button>
+          <span className="text-sm text-slate-600 dark:text-slate-400">Page {page} of {totalPages}</span>
+          <button onClick={() => setPage(p => p + 1)} disabled={page >= totalPages} className="btn-secondary">
+            <ChevronRight className="w-4 h-4" />
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default AdminJobs;
@@ -0,0 +1,244 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { RefreshCw, Loader2, RotateCcw, Undo2, CheckCircle, AlertTriangle } from 'lucide-react';
+import { useAuth } from '../../App';
+import { API_URL } from '../../config/api';
+import { toast } from 'react-hot-toast';
+
+const STATUS_STYLES = {
+  pending: 'bg-amber-100 text-amber-700 dark:bg-amber-900/30 dark:text-amber-400',
+  processing: 'bg-purple-100 text-purple-700 dark:bg-purple-900/30 dark:text-purple-400',
+  refund_failed: 'bg-red-100 text-red-700 dark:bg-red-900/30 dark:text-red-400',
+  renewed: 'bg-green-100 text-green-700 dark:bg-green-900/30 dark:text-green-400',
+  refunded: 'bg-blue-100 text-blue-700 dark:bg-blue-900/30 dark:text-blue-400',
+  resolved: 'bg-slate-100 text-slate-600 dark:bg-slate-700 dark:text-slate-300'
+};
+
+const UNRESOLVED_STATUSES = ['pending', 'processing', 'refund_failed'];
+
+// A 'processing' charge is being retried or refunded right now
+const ACTIONABLE_STATUSES = ['pending', 'refund_failed'];
+
+const formatPrice = (price) => `$${parseFloat(price || 0).toFixed(2)}`;
+
+// Auto-renewals that charged the customer but failed at the registrar
+function AdminRenewalReconciliation({ isAdmin = false }) {
+  const { token } = useAuth();
+  const [reconciliations, setReconciliations] = useState([]);
+  const [totals, setTotals] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [statusFilter, setStatusFilter] = useState('unresolved');
+  const [working, setWorking] = useState(null);
+  const [resolving, setResolving] = useState(null);
+  const [resolveNote, setResolveNote] = useState('');
+
+  const fetchReconciliations = useCallback(async () => {
+    setLoading(true);
+    try {
+      const res = await fetch(`${API_URL}/admin/renewal-reconciliations?status=${statusFilter}`, {
+        headers: { 'Authorization': `Bearer ${token}` }
+      });
+      if (res.ok) {
+        const data = await res.json();
+        setReconciliations(data.reconciliations);
+        setTotals(data.totals);
+      }
+    } catch (err) {
+      toast.error('Failed to load renewal reconciliations');
+    }
+    setLoading(false);
+  }, [token, statusFilter]);
+
+  useEffect(() => {
+    fetchReconciliations();
+  }, [fetchReconciliations]);
+
+  const runAction = async (reconciliation, action, body = {}) => {
+    setWorking(reconciliation.id);
+    try {
+      const res = await fetch(`${API_URL}/admin/renewal-reconciliations/${reconciliation.id}/${action}`, {
+        method: 'POST',
+        headers: {
+          'Authorization': `Bearer ${token}`,
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify(body)
+      });
+      const data = await res.json();
+      if (res.ok) {
+        toast.success(data.message);
+        setResolving(null);
+        setResolveNote('');
+      } else {
+        toast.error(data.error || `Failed to ${action}`);
+      }
+      fetchReconciliations();
+    } catch (err) {
+      toast.error('Connection error');
+    }
+    setWorking(null);
+  };
+
+  const refund = (reconciliation) => {
+    if (!window.confirm(`Refund ${formatPrice(reconciliation.amount)} to the customer for ${reconciliation.domain_name}? Auto-renew will be turned off for the domain.`)) return;
+    runAction(reconciliation, 'refund');
+  };
+
+  const totalFor = (statuses) => totals
+    .filter(t => statuses.includes(t.status))
+    .reduce((sum, t) => ({ count: sum.count + t.count, amount: sum.amount + parseFloat(t.amount) }), { count: 0, amount: 0 });
+
+  return (
+    <div className="space-y-6">
+      <div className="flex items-center justify-between">
+        <div>
+          <h2 className="text-lg font-semibold text-slate-900 dark:text-slate-100 flex items-center gap-2">
+            <AlertTriangle className="w-5 h-5" />
+            Renewal Reconciliation
+          </h2>
+          <p className="text-sm text-slate-500 dark:text-slate-400">
+            Auto-renewals where the card was charged but the registrar renewal failed. They are retried automatically and refunded once the retries run out.
+          </p>
+        </div>
+        <div className="flex gap-2">
+          <select value={statusFilter} onChange={(e) => setStatusFilter(e.target.value)} className="input">
+            <option value="unresolved">Unresolved</option>
+            <option value="all">All</option>
+            <option value="pending">Retrying</option>
+            <option value="processing">Processing now</option>
+            <option value="refund_failed">Refund failed</option>
+            <option value="renewed">Renewed on retry</option>
+            <option value="refunded">Refunded</option>
+            <option value="resolved">Resolved by admin</option>
+          </select>
+          <button onClick={fetchReconciliations} className="btn-secondary">
+            <RefreshCw className={'w-4 h-4 ' + (loading ? 'animate-spin' : '')} />
+          </button>
+        </div>
+      </div>
+
+      <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+        {[
+          ['Unresolved', totalFor(UNRESOLVED_STATUSES)],
+          ['Refund failed', totalFor(['refund_failed'])],
+          ['Renewed on retry', totalFor(['renewed'])],
+          ['Refunded', totalFor(['refunded'])]
+        ].map(([label, total]) => (
+          <div key={label} className="card p-4">
+            <p className="text-sm text-slate-500 dark:text-slate-400">{label}</p>
+            <p className="text-2xl font-bold text-slate-900 dark:text-slate-100">{total.count}</p>
+            <p className="text-xs text-slate-500 dark:text-slate-400">{formatPrice(total.amount)}</p>
+          </div>
+        ))}
+      </div>
+
+      <div className="card overflow-hidden">
+        <div className="overflow-x-auto">
+          <table className="w-full">
+            <thead className="bg-slate-50 dark:bg-slate-800/50">
+              <tr>
+                <th className="px-4 py-3 text-left text-xs font-medium text-slate-500 uppercase">Domain</th>
+                <th className="px-4 py-3 text-left text-xs font-medium text-slate-500 uppercase">Customer</th>
+                <th className="px-4 py-3 text-right text-xs font-medium text-slate-500 uppercase">Charged</th>
+                <th className="px-4 py-3 text-left text-xs font-medium text-slate-500 uppercase">Status</th>
+                <th className="px-4 py-3 text-right text-xs font-medium text-slate-500 uppercase">Retries</th>
+                <th className="px-4 py-3 text-left text-xs font-medium text-slate-500 uppercase">Last Error</th>
+                <th className="px-4 py-3 text-left text-xs font-medium text-slate-500 uppercase">Charged On</th>
+                <th className="px-4 py-3 text-right text-xs font-medium text-slate-500 uppercase">Actions</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-slate-200 dark:divide-slate-700">
+              {loading ? (
+                <tr><td colSpan="8" className="px-4 py-8 text-center"><Loader2 className="w-6 h-6 animate-spin mx-auto" /></td></tr>
+              ) : reconciliations.length === 0 ? (
+                <tr><td colSpan="8" className="px-4 py-8 text-center text-slate-500">No charged renewals to reconcile</td></tr>
+              ) : reconciliations.map(r => (
+                <React.Fragment key={r.id}>
+                  <tr className="hover:bg-slate-50 dark:hover:bg-slate-800/50">
+                    <td className="px-4 py-3">
+                      <p className="font-mono text-sm text-slate-900 dark:text-slate-100">{r.domain_name}</p>
+                      <p className="text-xs text-slate-500">
+                        {r.years} year{r.years > 1 ? 's' : ''}
+                        {r.expiration_date && ` - expires ${new Date(r.expiration_date).toLocaleDateString()}`}
+                      </p>
+                    </td>
+                    <td className="px-4 py-3">
+                      <p className="text-sm font-medium text-slate-900 dark:text-slate-100">{r.username || 'Unknown'}</p>
+                      <p className="text-xs text-slate-500">{r.customer_email}</p>
+                    </td>
+                    <td className="px-4 py-3 text-sm text-right font-semibold text-slate-900 dark:text-slate-100">
+                      {formatPrice(r.amount)}
+                      <p className="text-xs font-normal font-mono text-slate-500">{r.stripe_payment_intent_id}</p>
+                    </td>
+                    <td className="px-4 py-3">
+                      <span className={'px-2 py-1 rounded-full text-xs font-medium whitespace-nowrap ' + (STATUS_STYLES[r.status] || STATUS_STYLES.resolved)}>
+                        {r.status.replace('_', ' ')}
+                      </span>
+                      {r.status === 'pending' && r.next_retry_at && (
+                        <p className="text-xs text-slate-500 mt-1 whitespace-nowrap">Next: {new Date(r.next_retry_at).toLocaleString()}</p>
+                      )}
+                      {r.resolution_note && (
+                        <p className="text-xs text-slate-500 mt-1">
+                          {r.resolution_note}{r.resolved_by_username && ` (${r.resolved_by_username})`}
+                        </p>
+                      )}
+                    </td>
+                    <td className="px-4 py-3 text-sm text-right text-slate-600 dark:text-slate-400">{r.attempts}</td>
+                    <td className="px-4 py-3 text-sm text-red-600 dark:text-red-400 max-w-xs">{r.last_error || '-'}</td>
+                    <td className="px-4 py-3 text-sm text-slate-600 dark:text-slate-400 whitespace-nowrap">{new Date(r.created_at).toLocaleString()}</td>
+                    <td className="px-4 py-3 text-right">
+                      {isAdmin && ACTIONABLE_STATUSES.includes(r.status) && (
+                        <div className="flex justify-end gap-1">
+                          {working === r.id ? (
+                            <Loader2 className="w-4 h-4 animate-spin" />
+                          ) : (
+                            <>
+                              <button onClick={() => runAction(r, 'retry')} title="Retry renewal now" className="p-1 text-slate-400 hover:text-primary-600">
+                                <RotateCcw className="w-4 h-4" />
+                              </button>
+                              <button onClick={() => refund(r)} title="Refund charge" className="p-1 text-slate-400 hover:text-red-600">
+                                <Undo2 className="w-4 h-4" />
+                              </button>
+                              <button onClick={() => { setResolving(r.id); setResolveNote(''); }} title="Mark resolved" className="p-1 text-slate-400 hover:text-green-600">
+                                <CheckCircle className="w-4 h-4" />
+                              </button>
+                            </>
+                          )}
+                        </div>
+                      )}
+                    </td>
+                  </tr>
+                  {resolving === r.id && (
+                    <tr className="bg-slate-50 dark:bg-slate-800/50">
+                      <td colSpan="8" className="px-4 py-3">
+                        <div className="flex gap-2">
+                          <input
+                            type="text"
+                            value={resolveNote}
+                            onChange={(e) => setResolveNote(e.target.value)}
+                            placeholder="How was this resolved? e.g. renewed manually at the registrar"
+                            className="input flex-1"
+                            autoFocus
+                          />
+                          <button
+                            onClick={() => runAction(r, 'resolve', { note: resolveNote })}
+                            disabled={!resolveNote.trim() || working === r.id}
+                            className="btn-primary"
+                          >
+                            Mark Resolved
+                          </button>
+                          <button onClick={() => setResolving(null)} className="btn-secondary">Cancel</button>
+                        </div>
+                      </td>
+                    </tr>
+                  )}
+                </React.Fragment>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default AdminRenewalReconciliation;
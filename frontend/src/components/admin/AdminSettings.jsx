@@ -1606,6 +1606,77 @@ function AdminSettings() {
                   </div>
                 </div>
               </div>
+
+              <div className="border-t border-slate-200 dark:border-slate-700 pt-6">
+                <h3 className="font-semibold text-slate-900 dark:text-slate-100 mb-4">Search Suggestions</h3>
+                <div className="grid md:grid-cols-2 gap-6">
+                  <div>
+                    <label className="block text-sm font-medium text-slate-700 dark:text-slate-300 mb-2">
+                      Prefixes
+                    </label>
+                    <input
+                      type="text"
+                      value={settings.suggestion_prefixes || ''}
+                      onChange={(e) => handleChange('suggestion_prefixes', e.target.value)}
+                      className="input w-full font-mono text-sm"
+                      placeholder="get,my,the,try,go"
+                    />
+                    <p className="text-xs text-slate-500 mt-1">Comma-separated words added before the search term</p>
+                  </div>
+                  <div>
+                    <label className="block text-sm font-medium text-slate-700 dark:text-slate-300 mb-2">
+                      Suffixes
+                    </label>
+                    <input
+                      type="text"
+                      value={settings.suggestion_suffixes || ''}
+                      onChange={(e) => handleChange('suggestion_suffixes', e.target.value)}
+                      className="input w-full font-mono text-sm"
+                      placeholder="hq,app,hub,online,now,pro"
+                    />
+                    <p className="text-xs text-slate-500 mt-1">Comma-separated words added after the search term</p>
+                  </div>
+                  <div className="md:col-span-2">
+                    <label className="block text-sm font-medium text-slate-700 dark:text-slate-300 mb-2">
+                      Synonyms
+                    </label>
+                    <textarea
+                      value={settings.suggestion_synonyms || ''}
+                      onChange={(e) => handleChange('suggestion_synonyms', e.target.value)}
+                      rows={6}
+                      className="input w-full font-mono text-sm"
+                      placeholder={'shop: store, market, boutique\ncoffee: cafe, brew'}
+                    />
+                    <p className="text-xs text-slate-500 mt-1">One word per line followed by its synonyms. These words are also used to split run-together searches like "coffeeshop".</p>
+                  </div>
+                  <div>
+                    <label className="block text-sm font-medium text-slate-700 dark:text-slate-300 mb-2">
+                      TLD Weights
+                    </label>
+                    <input
+                      type="text"
+                      value={settings.suggestion_tld_weights || ''}
+                      onChange={(e) => handleChange('suggestion_tld_weights', e.target.value)}
+                      className="input w-full font-mono text-sm"
+                      placeholder="com:1,net:0.8,org:0.75,io:0.7"
+                    />
+                    <p className="text-xs text-slate-500 mt-1">Higher weights rank a TLD first. Unlisted TLDs get 0.5; 0 leaves a TLD out.</p>
+                  </div>
+                  <div>
+                    <label className="block text-sm font-medium text-slate-700 dark:text-slate-300 mb-2">
+                      Suggestions Shown
+                    </label>
+                    <input
+                      type="number"
+                      min="1"
+                      max="50"
+                      value={settings.suggestion_max_results || '12'}
+                      onChange={(e) => handleChange('suggestion_max_results', e.target.value)}
+                      className="input w-full"
+                    />
+                  </div>
+                </div>
+              </div>
             </div>
           )}
 
@@ -1882,6 +1953,66 @@ function AdminSettings() {
                 </div>
               </div>
 
+              <div className="border-t border-slate-200 dark:border-slate-700 pt-6">
+                <h3 className="font-semibold text-slate-900 dark:text-slate-100 mb-4">Premium Domains</h3>
+                <div className="space-y-4">
+                  <label className="flex items-center gap-3">
+                    <input
+                      type="checkbox"
+                      checked={settings.premium_enabled === 'true'}
+                      onChange={(e) => handleChange('premium_enabled', e.target.checked ? 'true' : 'false')}
+                      className="w-4 h-4 rounded border-slate-300 text-primary-600 focus:ring-primary-500"
+                    />
+                    <span className="text-slate-700 dark:text-slate-300">Sell premium domains online</span>
+                  </label>
+                  <div className="grid md:grid-cols-3 gap-6">
+                    <div>
+                      <label className="block text-sm font-medium text-slate-700 dark:text-slate-300 mb-2">
+                        Premium Markup (multiplier)
+                      </label>
+                      <input
+                        type="number"
+                        min="1"
+                        max="10"
+                        step="0.01"
+                        value={settings.premium_price_markup || '1.15'}
+                        onChange={(e) => handleChange('premium_price_markup', e.target.value)}
+                        className="input w-full"
+                      />
+                      <p className="text-xs text-slate-500 mt-1">Applied to the registry premium price</p>
+                    </div>
+                    <div>
+                      <label className="block text-sm font-medium text-slate-700 dark:text-slate-300 mb-2">
+                        Minimum Margin ($)
+                      </label>
+                      <input
+                        type="number"
+                        min="0"
+                        step="0.01"
+                        value={settings.premium_min_margin || '25'}
+                        onChange={(e) => handleChange('premium_min_margin', e.target.value)}
+                        className="input w-full"
+                      />
+                      <p className="text-xs text-slate-500 mt-1">Used when the markup would earn less</p>
+                    </div>
+                    <div>
+                      <label className="block text-sm font-medium text-slate-700 dark:text-slate-300 mb-2">
+                        Maximum Online Price ($)
+                      </label>
+                      <input
+                        type="number"
+                        min="0"
+                        step="1"
+                        value={settings.premium_max_price || '10000'}
+                        onChange={(e) => handleChange('premium_max_price', e.target.value)}
+                        className="input w-full"
+                      />
+                      <p className="text-xs text-slate-500 mt-1">Pricier names must go through support (0 = no limit)</p>
+                    </div>
+                  </div>
+                </div>
+              </div>
+
               <div className="border-t border-slate-200 dark:border-slate-700 pt-6">
                 <h3 className="font-semibold text-slate-900 dark:text-slate-100 mb-4">Tax Settings</h3>
                 <div className="space-y-4">
@@ -2525,13 +2656,68 @@ function AdminSettings() {
                     </label>
                     <input
                       type="number"
-                      min="7"
+                      min="1"
                       max="90"
                       value={settings.auto_renew_threshold_days || '30'}
                       onChange={(e) => handleChange('auto_renew_threshold_days', e.target.value)}
                       className="input w-full"
                     />
-                    <p className="text-xs text-slate-500 mt-1">Domains expiring within this many days will be auto-renewed</p>
+                    <p className="text-xs text-slate-500 mt-1">Domains expiring within this many days will be auto-renewed, unless the customer picked their own window</p>
+                  </div>
+                  <div>
+                    <label className="block text-sm font-medium text-slate-700 dark:text-slate-300 mb-2">
+                      Default Auto-Renew Term (years)
+                    </label>
+                    <input
+                      type="number"
+                      min="1"
+                      max="10"
+                      value={settings.auto_renew_default_years || '1'}
+                      onChange={(e) => handleChange('auto_renew_default_years', e.target.value)}
+                      className="input w-full"
+                    />
+                    <p className="text-xs text-slate-500 mt-1">Years each auto-renewal adds when the customer hasn't chosen a term</p>
+                  </div>
+                  <div>
+                    <label className="block text-sm font-medium text-slate-700 dark:text-slate-300 mb-2">
+                      Registrar Retry Attempts
+                    </label>
+                    <input
+                      type="number"
+                      min="0"
+                      max="10"
+                      value={settings.renewal_retry_attempts ?? '3'}
+                      onChange={(e) => handleChange('renewal_retry_attempts', e.target.value)}
+                      className="input w-full"
+                    />
+                    <p className="text-xs text-slate-500 mt-1">Times to retry a charged renewal that failed at the registrar before refunding the customer</p>
+                  </div>
+                  <div>
+                    <label className="block text-sm font-medium text-slate-700 dark:text-slate-300 mb-2">
+                      Retry Interval (minutes)
+                    </label>
+                    <input
+                      type="number"
+                      min="5"
+                      max="1440"
+                      value={settings.renewal_retry_interval_minutes || '60'}
+                      onChange={(e) => handleChange('renewal_retry_interval_minutes', e.target.value)}
+                      className="input w-full"
+                    />
+                    <p className="text-xs text-slate-500 mt-1">Wait between retries of a charged renewal</p>
+                  </div>
+                  <div>
+                    <label className="block text-sm font-medium text-slate-700 dark:text-slate-300 mb-2">
+                      Payment Retry Days
+                    </label>
+                    <input
+                      type="text"
+                      value={settings.auto_renew_dunning_days || '[7,3,1]'}
+                      onChange={(e) => handleChange('auto_renew_dunning_days', e.target.value)}
+                      className="input w-full font-mono text-sm"
+                      placeholder="[7,3,1]"
+                    />
+                    <p className="text-xs text-slate-500 mt-1">JSON array of days before expiration to retry a failed auto-renew charge. Auto-renew is turned off after the last one</p>
                   </div>
                   <div>
                     <label className="block text-sm font-medium text-slate-700 dark:text-slate-300 mb-2">
@@ -2626,6 +2812,112 @@ function AdminSettings() {
                     />
                     <p className="text-xs text-slate-500 mt-1">Default: Every hour at :30</p>
                   </div>
+                  <div>
+                    <label className="block text-sm font-medium text-slate-700 dark:text-slate-300 mb-2">
+                      eNom API Log Cleanup
+                    </label>
+                    <input
+                      type="text"
+                      value={settings.job_clean_enom_logs_schedule || '0 4 * * *'}
+                      onChange={(e) => handleChange('job_clean_enom_logs_schedule', e.target.value)}
+                      className="input w-full font-mono text-sm"
+                    />
+                    <p className="text-xs text-slate-500 mt-1">Default: Daily at 4 AM</p>
+                  </div>
+                  <div>
+                    <label className="block text-sm font-medium text-slate-700 dark:text-slate-300 mb-2">
+                      Domain Watchlist Check
+                    </label>
+                    <input
+                      type="text"
+                      value={settings.job_domain_watch_schedule || '15 * * * *'}
+                      onChange={(e) => handleChange('job_domain_watch_schedule', e.target.value)}
+                      className="input w-full font-mono text-sm"
+                    />
+                    <p className="text-xs text-slate-500 mt-1">Default: Every hour at :15</p>
+                  </div>
+                  <div>
+                    <label className="block text-sm font-medium text-slate-700 dark:text-slate-300 mb-2">
+                      Renewal Reconciliation
+                    </label>
+                    <input
+                      type="text"
+                      value={settings.job_renewal_reconcile_schedule || '*/15 * * * *'}
+                      onChange={(e) => handleChange('job_renewal_reconcile_schedule', e.target.value)}
+                      className="input w-full font-mono text-sm"
+                    />
+                    <p className="text-xs text-slate-500 mt-1">Default: Every 15 minutes</p>
+                  </div>
+                </div>
+              </div>
+
+              {/* Job Retries & History */}
+              <div className="border-t border-slate-200 dark:border-slate-700 pt-6">
+                <h3 className="font-semibold text-slate-900 dark:text-slate-100 mb-4">Job Retries &amp; History</h3>
+                <div className="grid md:grid-cols-3 gap-6">
+                  <div>
+                    <label className="block text-sm font-medium text-slate-700 dark:text-slate-300 mb-2">
+                      Retry Attempts
+                    </label>
+                    <input
+                      type="number"
+                      min="0"
+                      max="10"
+                      value={settings.job_retry_attempts ?? '3'}
+                      onChange={(e) => handleChange('job_retry_attempts', e.target.value)}
+                      className="input w-full"
+                    />
+                    <p className="text-xs text-slate-500 mt-1">Times a failed job run is retried</p>
+                  </div>
+                  <div>
+                    <label className="block text-sm font-medium text-slate-700 dark:text-slate-300 mb-2">
+                      Retry Backoff (seconds)
+                    </label>
+                    <input
+                      type="number"
+                      min="10"
+                      max="3600"
+                      value={settings.job_retry_backoff_seconds || '60'}
+                      onChange={(e) => handleChange('job_retry_backoff_seconds', e.target.value)}
+                      className="input w-full"
+                    />
+                    <p className="text-xs text-slate-500 mt-1">Wait before the first retry; doubles for each further retry</p>
+                  </div>
+                  <div>
+                    <label className="block text-sm font-medium text-slate-700 dark:text-slate-300 mb-2">
+                      History Retention (days)
+                    </label>
+                    <input
+                      type="number"
+                      min="1"
+                      max="365"
+                      value={settings.job_run_retention_days || '30'}
+                      onChange={(e) => handleChange('job_run_retention_days', e.target.value)}
+                      className="input w-full"
+                    />
+                    <p className="text-xs text-slate-500 mt-1">Finished job runs older than this are deleted</p>
+                  </div>
+                </div>
+              </div>
+
+              {/* eNom API Log Retention */}
+              <div className="border-t border-slate-200 dark:border-slate-700 pt-6">
+                <h3 className="font-semibold text-slate-900 dark:text-slate-100 mb-4">eNom API Call Log</h3>
+                <div className="grid md:grid-cols-2 gap-6">
+                  <div>
+                    <label className="block text-sm font-medium text-slate-700 dark:text-slate-300 mb-2">
+                      Retention (days)
+                    </label>
+                    <input
+                      type="number"
+                      min="1"
+                      max="365"
+                      value={settings.enom_api_log_retention_days || '30'}
+                      onChange={(e) => handleChange('enom_api_log_retention_days', e.target.value)}
+                      className="input w-full"
+                    />
+                    <p className="text-xs text-slate-500 mt-1">API calls older than this are purged by the cleanup job</p>
+                  </div>
                 </div>
               </div>
             </div>
@@ -0,0 +1,149 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { RefreshCw, Loader2, X, ArrowRightLeft } from 'lucide-react';
+import { useAuth } from '../../App';
+import { API_URL } from '../../config/api';
+import { toast } from 'react-hot-toast';
+
+const STATUS_STYLES = {
+  pending: 'bg-amber-100 text-amber-700 dark:bg-amber-900/30 dark:text-amber-400',
+  completed: 'bg-green-100 text-green-700 dark:bg-green-900/30 dark:text-green-400',
+  cancelled: 'bg-slate-100 text-slate-600 dark:bg-slate-700 dark:text-slate-300'
+};
+
+// Domains customers are moving to other registrars
+function AdminTransfersOut({ isAdmin = false }) {
+  const { token } = useAuth();
+  const [transfers, setTransfers] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [statusFilter, setStatusFilter] = useState('');
+  const [cancelling, setCancelling] = useState(null);
+
+  const fetchTransfers = useCallback(async () => {
+    setLoading(true);
+    try {
+      const params = new URLSearchParams({ limit: 200 });
+      if (statusFilter) params.append('status', statusFilter);
+      const res = await fetch(`${API_URL}/admin/transfers-out?${params}`, {
+        headers: { 'Authorization': `Bearer ${token}` }
+      });
+      if (res.ok) {
+        setTransfers(await res.json());
+      }
+    } catch (err) {
+      toast.error('Failed to load outgoing transfers');
+    }
+    setLoading(false);
+  }, [token, statusFilter]);
+
+  useEffect(() => {
+    fetchTransfers();
+  }, [fetchTransfers]);
+
+  const cancelTransfer = async (transfer) => {
+    if (!window.confirm(`Cancel the transfer of ${transfer.domain_name}.${transfer.tld}? The domain will be locked again.`)) return;
+
+    setCancelling(transfer.id);
+    try {
+      const res = await fetch(`${API_URL}/admin/domains/${transfer.domain_id}/transfer-out`, {
+        method: 'DELETE',
+        headers: { 'Authorization': `Bearer ${token}` }
+      });
+      const data = await res.json();
+      if (res.ok) {
+        toast.success('Transfer cancelled');
+        fetchTransfers();
+      } else {
+        toast.error(data.error || 'Failed to cancel transfer');
+      }
+    } catch (err) {
+      toast.error('Connection error');
+    }
+    setCancelling(null);
+  };
+
+  return (
+    <div className="space-y-6">
+      <div className="flex items-center justify-between">
+        <div>
+          <h2 className="text-lg font-semibold text-slate-900 dark:text-slate-100 flex items-center gap-2">
+            <ArrowRightLeft className="w-5 h-5" />
+            Outgoing Transfers
+          </h2>
+          <p className="text-sm text-slate-500 dark:text-slate-400">
+            Domains being transferred to other registrars. Pending transfers are marked complete by the domain sync once the domain leaves the account.
+          </p>
+        </div>
+        <div className="flex gap-2">
+          <select value={statusFilter} onChange={(e) => setStatusFilter(e.target.value)} className="input">
+            <option value="">All statuses</option>
+            <option value="pending">Pending</option>
+            <option value="completed">Completed</option>
+            <option value="cancelled">Cancelled</option>
+          </select>
+          <button onClick={fetchTransfers} className="btn-secondary">
+            <RefreshCw className={'w-4 h-4 ' + (loading ? 'animate-spin' : '')} />
+          </button>
+        </div>
+      </div>
+
+      <div className="card overflow-hidden">
+        <div className="overflow-x-auto">
+          <table className="w-full">
+            <thead className="bg-slate-50 dark:bg-slate-800/50">
+              <tr>
+                <th className="px-4 py-3 text-left text-xs font-medium text-slate-500 uppercase">Domain</th>
+                <th className="px-4 py-3 text-left text-xs font-medium text-slate-500 uppercase">Owner</th>
+                <th className="px-4 py-3 text-left text-xs font-medium text-slate-500 uppercase">Auth Code Sent To</th>
+                <th className="px-4 py-3 text-left text-xs font-medium text-slate-500 uppercase">Status</th>
+                <th className="px-4 py-3 text-left text-xs font-medium text-slate-500 uppercase">Started</th>
+                <th className="px-4 py-3 text-left text-xs font-medium text-slate-500 uppercase">Finished</th>
+                {isAdmin && <th className="px-4 py-3 text-right text-xs font-medium text-slate-500 uppercase">Actions</th>}
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-slate-200 dark:divide-slate-700">
+              {loading ? (
+                <tr><td colSpan="7" className="px-4 py-8 text-center"><Loader2 className="w-6 h-6 animate-spin mx-auto" /></td></tr>
+              ) : transfers.length === 0 ? (
+                <tr><td colSpan="7" className="px-4 py-8 text-center text-slate-500">No outgoing transfers</td></tr>
+              ) : transfers.map(t => (
+                <tr key={t.id} className="hover:bg-slate-50 dark:hover:bg-slate-800/50">
+                  <td className="px-4 py-3 font-mono text-sm text-slate-900 dark:text-slate-100">{t.domain_name}.{t.tld}</td>
+                  <td className="px-4 py-3 text-sm text-slate-600 dark:text-slate-400">
+                    {t.username || '-'}
+                    {t.source === 'admin' && t.requested_by_username && (
+                      <p className="text-xs text-slate-400">started by {t.requested_by_username}</p>
+                    )}
+                  </td>
+                  <td className="px-4 py-3 text-sm font-mono text-slate-600 dark:text-slate-400">{t.auth_code_sent_to || '-'}</td>
+                  <td className="px-4 py-3">
+                    <span className={`px-2 py-0.5 text-xs rounded-full capitalize ${STATUS_STYLES[t.status]}`}>{t.status}</span>
+                  </td>
+                  <td className="px-4 py-3 text-sm text-slate-600 dark:text-slate-400 whitespace-nowrap">{new Date(t.created_at).toLocaleString()}</td>
+                  <td className="px-4 py-3 text-sm text-slate-600 dark:text-slate-400 whitespace-nowrap">
+                    {t.completed_at ? new Date(t.completed_at).toLocaleString() : t.cancelled_at ? new Date(t.cancelled_at).toLocaleString() : '-'}
+                  </td>
+                  {isAdmin && (
+                    <td className="px-4 py-3 text-right">
+                      {t.status === 'pending' && t.domain_id && (
+                        <button
+                          onClick={() => cancelTransfer(t)}
+                          disabled={cancelling === t.id}
+                          className="text-sm text-red-600 hover:text-red-700 flex items-center gap-1 ml-auto"
+                        >
+                          {cancelling === t.id ? <Loader2 className="w-4 h-4 animate-spin" /> : <X className="w-4 h-4" />}
+                          Cancel
+                        </button>
+                      )}
+                    </td>
+                  )}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default AdminTransfersOut;
@@ -0,0 +1,107 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { RefreshCw, Loader2, Eye } from 'lucide-react';
+import { useAuth } from '../../App';
+import { API_URL } from '../../config/api';
+import { toast } from 'react-hot-toast';
+
+// Domain names customers are waiting on, most watched first
+function AdminWatchlist() {
+  const { token } = useAuth();
+  const [names, setNames] = useState([]);
+  const [totals, setTotals] = useState(null);
+  const [loading, setLoading] = useState(true);
+
+  const fetchWatchlist = useCallback(async () => {
+    setLoading(true);
+    try {
+      const res = await fetch(`${API_URL}/admin/watchlist?limit=100`, {
+        headers: { 'Authorization': `Bearer ${token}` }
+      });
+      if (res.ok) {
+        const data = await res.json();
+        setNames(data.names);
+        setTotals(data.totals);
+      }
+    } catch (err) {
+      toast.error('Failed to load watchlist');
+    }
+    setLoading(false);
+  }, [token]);
+
+  useEffect(() => {
+    fetchWatchlist();
+  }, [fetchWatchlist]);
+
+  return (
+    <div className="space-y-6">
+      <div className="flex items-center justify-between">
+        <div>
+          <h2 className="text-lg font-semibold text-slate-900 dark:text-slate-100 flex items-center gap-2">
+            <Eye className="w-5 h-5" />
+            Domain Watchlist
+          </h2>
+          <p className="text-sm text-slate-500 dark:text-slate-400">
+            Taken domains customers are watching. The watchlist job re-checks them hourly and emails, adds to cart or registers once they drop.
+          </p>
+        </div>
+        <button onClick={fetchWatchlist} className="btn-secondary">
+          <RefreshCw className={'w-4 h-4 ' + (loading ? 'animate-spin' : '')} />
+        </button>
+      </div>
+
+      {totals && (
+        <div className="grid grid-cols-2 md:grid-cols-5 gap-4">
+          {[
+            ['Watches', totals.watches],
+            ['Customers', totals.customers],
+            ['Watching', totals.watching],
+            ['Became available', totals.available],
+            ['Auto-registered', totals.registered]
+          ].map(([label, value]) => (
+            <div key={label} className="card p-4">
+              <p className="text-sm text-slate-500 dark:text-slate-400">{label}</p>
+              <p className="text-2xl font-bold text-slate-900 dark:text-slate-100">{value}</p>
+            </div>
+          ))}
+        </div>
+      )}
+
+      <div className="card overflow-hidden">
+        <div className="overflow-x-auto">
+          <table className="w-full">
+            <thead className="bg-slate-50 dark:bg-slate-800/50">
+              <tr>
+                <th className="px-4 py-3 text-left text-xs font-medium text-slate-500 uppercase">Domain</th>
+                <th className="px-4 py-3 text-right text-xs font-medium text-slate-500 uppercase">Watching</th>
+                <th className="px-4 py-3 text-right text-xs font-medium text-slate-500 uppercase">Auto-register</th>
+                <th className="px-4 py-3 text-right text-xs font-medium text-slate-500 uppercase">All Time</th>
+                <th className="px-4 py-3 text-left text-xs font-medium text-slate-500 uppercase">First Watched</th>
+                <th className="px-4 py-3 text-left text-xs font-medium text-slate-500 uppercase">Last Checked</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-slate-200 dark:divide-slate-700">
+              {loading ? (
+                <tr><td colSpan="6" className="px-4 py-8 text-center"><Loader2 className="w-6 h-6 animate-spin mx-auto" /></td></tr>
+              ) : names.length === 0 ? (
+                <tr><td colSpan="6" className="px-4 py-8 text-center text-slate-500">No watched domains</td></tr>
+              ) : names.map(n => (
+                <tr key={`${n.domain_name}.${n.tld}`} className="hover:bg-slate-50 dark:hover:bg-slate-800/50">
+                  <td className="px-4 py-3 font-mono text-sm text-slate-900 dark:text-slate-100">{n.domain_name}.{n.tld}</td>
+                  <td className="px-4 py-3 text-sm text-right font-semibold text-slate-900 dark:text-slate-100">{n.watching}</td>
+                  <td className="px-4 py-3 text-sm text-right text-slate-600 dark:text-slate-400">{n.auto_register}</td>
+                  <td className="px-4 py-3 text-sm text-right text-slate-600 dark:text-slate-400">{n.watchers}</td>
+                  <td className="px-4 py-3 text-sm text-slate-600 dark:text-slate-400 whitespace-nowrap">{new Date(n.first_watched_at).toLocaleDateString()}</td>
+                  <td className="px-4 py-3 text-sm text-slate-600 dark:text-slate-400 whitespace-nowrap">
+                    {n.last_checked_at ? new Date(n.last_checked_at).toLocaleString() : '-'}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default AdminWatchlist;
@@ -10,6 +10,7 @@ function CartSidebar({ onClose, onCheckout }) {
       case 'register': return 'Registration';
       case 'transfer': return 'Transfer';
       case 'renew': return 'Renewal';
+      case 'restore': return 'Restore';
       default: return type;
     }
   };
@@ -69,6 +70,11 @@ function CartSidebar({ onClose, onCheckout }) {
                     <p className="text-sm text-slate-500 dark:text-slate-400">
                       {getItemTypeLabel(item.item_type)} • {item.years} year{item.years > 1 ? 's' : ''}
                     </p>
+                    {item.options?.premium && (
+                      <p className="text-xs text-amber-600 dark:text-amber-400">
+                        Premium • renews at ${parseFloat(item.options.premium.renewPrice).toFixed(2)}/year
+                      </p>
+                    )}
                   </div>
                   <div className="flex items-center gap-3">
                     <p className="font-semibold text-slate-900 dark:text-slate-100">
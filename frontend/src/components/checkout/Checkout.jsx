@@ -464,6 +464,10 @@ function Checkout({ onComplete }) {
       const data = await res.json();
 
       if (!res.ok) {
+        // 409: prices were re-verified with the registrar and the cart was updated
+        if (res.status === 409) {
+          await fetchCart();
+        }
         throw new Error(data.error || 'Failed to initialize payment');
       }
 
@@ -548,6 +552,9 @@ function Checkout({ onComplete }) {
       const data = await res.json();
 
       if (!res.ok) {
+        if (res.status === 409) {
+          await fetchCart();
+        }
         throw new Error(data.error || 'Failed to place order');
       }
 
@@ -1060,6 +1067,11 @@ function Checkout({ onComplete }) {
                     <span className="text-slate-500 dark:text-slate-400 text-xs ml-2">
                       ({item.item_type})
                     </span>
+                    {item.options?.premium && (
+                      <p className="text-xs text-amber-600 dark:text-amber-400">
+                        Premium - renews at ${parseFloat(item.options.premium.renewPrice).toFixed(2)}/year
+                      </p>
+                    )}
                   </div>
                   <span className="text-slate-900 dark:text-slate-100 whitespace-nowrap">
                     ${parseFloat(item.price).toFixed(2)}
@@ -0,0 +1,117 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Loader2 } from 'lucide-react';
+import { useAuth } from '../../App';
+import { API_URL } from '../../config/api';
+import toast from 'react-hot-toast';
+
+const formatPrice = (price) => `$${parseFloat(price).toFixed(2)}`;
+
+// Term and renewal-window selects; '' means the site default
+export function AutoRenewTermFields({ status, years, daysBefore, onChange, disabled }) {
+  const selectClass = 'input w-full py-1.5 text-sm';
+
+  return (
+    <div className="grid grid-cols-2 gap-3">
+      <div>
+        <label className="block text-xs font-medium text-slate-600 dark:text-slate-400 mb-1">Renew for</label>
+        <select
+          value={years ?? ''}
+          onChange={(e) => onChange({ years: e.target.value ? parseInt(e.target.value) : null, daysBefore })}
+          disabled={disabled}
+          className={selectClass}
+        >
+          <option value="">Default ({status.defaults.years} year{status.defaults.years > 1 ? 's' : ''})</option>
+          {status.options.years.map(y => (
+            <option key={y} value={y}>
+              {y} year{y > 1 ? 's' : ''}{status.termPrices?.[y] ? ` - ${formatPrice(status.termPrices[y])}` : ''}
+            </option>
+          ))}
+        </select>
+      </div>
+      <div>
+        <label className="block text-xs font-medium text-slate-600 dark:text-slate-400 mb-1">Renew when</label>
+        <select
+          value={daysBefore ?? ''}
+          onChange={(e) => onChange({ years, daysBefore: e.target.value ? parseInt(e.target.value) : null })}
+          disabled={disabled}
+          className={selectClass}
+        >
+          <option value="">Default ({status.defaults.daysBefore} days before)</option>
+          {status.options.daysBefore.map(d => (
+            <option key={d} value={d}>{d} days before expiry</option>
+          ))}
+        </select>
+      </div>
+    </div>
+  );
+}
+
+// Auto-renew term and window for a domain that already has auto-renew on
+function AutoRenewPreferences({ domainId }) {
+  const { token } = useAuth();
+  const [status, setStatus] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  const fetchStatus = useCallback(async () => {
+    try {
+      const res = await fetch(`${API_URL}/domains/${domainId}/auto-renew-status`, {
+        headers: { 'Authorization': `Bearer ${token}` }
+      });
+      if (res.ok) {
+        setStatus(await res.json());
+      }
+    } catch (err) {
+      // Preferences stay hidden until the status loads
+    }
+  }, [domainId, token]);
+
+  useEffect(() => {
+    fetchStatus();
+  }, [fetchStatus]);
+
+  const handleChange = async (prefs) => {
+    setSaving(true);
+    try {
+      const res = await fetch(`${API_URL}/domains/${domainId}/auto-renew-preferences`, {
+        method: 'PUT',
+        headers: {
+          'Authorization': `Bearer ${token}`,
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify(prefs)
+      });
+      const data = await res.json();
+      if (res.ok) {
+        toast.success(data.message);
+        fetchStatus();
+      } else {
+        toast.error(data.error || 'Failed to update auto-renew preferences');
+      }
+    } catch (err) {
+      toast.error('Connection error');
+    }
+    setSaving(false);
+  };
+
+  if (!status) return null;
+
+  return (
+    <div className="mt-3 pt-3 border-t border-slate-200 dark:border-slate-600 space-y-2">
+      <AutoRenewTermFields
+        status={status}
+        years={status.yearsIsDefault ? null : status.years}
+        daysBefore={status.daysBeforeIsDefault ? null : status.daysBefore}
+        onChange={handleChange}
+        disabled={saving}
+      />
+      <p className="text-xs text-slate-500 dark:text-slate-400 flex items-center gap-1">
+        {saving && <Loader2 className="w-3 h-3 animate-spin" />}
+        {status.nextAttemptDate && `Next renewal from ${new Date(status.nextAttemptDate).toLocaleDateString()}: `}
+        {status.years} year{status.years > 1 ? 's' : ''} for {formatPrice(status.termPrice)}
+        {status.promoApplied && ' (includes promo pricing)'}
+      </p>
+    </div>
+  );
+}
+
+export default AutoRenewPreferences;
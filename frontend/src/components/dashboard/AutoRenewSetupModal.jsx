@@ -4,16 +4,23 @@ import { loadStripe } from '@stripe/stripe-js';
 import { Elements, PaymentElement, useStripe, useElements } from '@stripe/react-stripe-js';
 import { API_URL } from '../../config/api';
 import { useAuth } from '../../App';
+import { AutoRenewTermFields } from './AutoRenewPreferences';
 
 // Stripe promise loaded dynamically from API config
 let stripePromise = null;
 
 // Inner form component that uses Stripe hooks
-function AutoRenewForm({ domainId, domainName, renewalPrice, setupIntentId, onSuccess, onCancel, token }) {
+function AutoRenewForm({ domainId, domainName, renewalPrice, renewStatus, setupIntentId, onSuccess, onCancel, token }) {
   const stripe = useStripe();
   const elements = useElements();
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
+  // null = site default
+  const [prefs, setPrefs] = useState({
+    years: renewStatus && !renewStatus.yearsIsDefault ? renewStatus.years : null,
+    daysBefore: renewStatus && !renewStatus.daysBeforeIsDefault ? renewStatus.daysBefore : null
+  });
+  const daysBefore = prefs.daysBefore || renewStatus?.defaults.daysBefore || 30;
 
   const handleSubmit = async (e) => {
     e.preventDefault();
@@ -49,7 +56,7 @@ function AutoRenewForm({ domainId, domainName, renewalPrice, setupIntentId, onSu
             'Content-Type': 'application/json',
             'Authorization': `Bearer ${token}`
           },
-          body: JSON.stringify({ setup_intent_id: setupIntentId })
+          body: JSON.stringify({ setup_intent_id: setupIntentId, ...prefs })
         });
 
         if (!confirmResponse.ok) {
@@ -78,12 +85,23 @@ function AutoRenewForm({ domainId, domainName, renewalPrice, setupIntentId, onSu
           <div>
             <p className="font-semibold text-slate-900 dark:text-white">{domainName}</p>
             <p className="text-sm text-slate-500 dark:text-slate-400">
-              Renewal price: ${renewalPrice?.toFixed(2) || '14.99'}/year
+              Renewal price: ${renewalPrice ? parseFloat(renewalPrice).toFixed(2) : '14.99'}/year
             </p>
           </div>
         </div>
       </div>
 
+      {/* Term and renewal window */}
+      {renewStatus && (
+        <AutoRenewTermFields
+          status={renewStatus}
+          years={prefs.years}
+          daysBefore={prefs.daysBefore}
+          onChange={setPrefs}
+          disabled={loading}
+        />
+      )}
+
       {/* Benefits */}
       <div className="space-y-2">
         <div className="flex items-start gap-2 text-sm text-slate-600 dark:text-slate-300">
@@ -96,7 +114,7 @@ function AutoRenewForm({ domainId, domainName, renewalPrice, setupIntentId, onSu
         </div>
         <div className="flex items-start gap-2 text-sm text-slate-600 dark:text-slate-300">
           <Check className="w-4 h-4 text-emerald-500 mt-0.5 flex-shrink-0" />
-          <span>Automatic renewal 30 days before expiration</span>
+          <span>Automatic renewal {daysBefore} days before expiration</span>
         </div>
         <div className="flex items-start gap-2 text-sm text-slate-600 dark:text-slate-300">
           <Check className="w-4 h-4 text-emerald-500 mt-0.5 flex-shrink-0" />
@@ -161,6 +179,7 @@ export default function AutoRenewSetupModal({ isOpen, onClose, domain, onSuccess
   const [successData, setSuccessData] = useState(null);
   const [clientSecret, setClientSecret] = useState(null);
   const [setupIntentId, setSetupIntentId] = useState(null);
+  const [renewStatus, setRenewStatus] = useState(null);
   const [initError, setInitError] = useState(null);
 
   // Create fresh Setup Intent when modal opens
@@ -170,6 +189,7 @@ export default function AutoRenewSetupModal({ isOpen, onClose, domain, onSuccess
       setSuccessData(null);
       setClientSecret(null);
       setSetupIntentId(null);
+      setRenewStatus(null);
       setInitError(null);
 
       const createSetupIntent = async () => {
@@ -199,6 +219,15 @@ export default function AutoRenewSetupModal({ isOpen, onClose, domain, onSuccess
           }
 
           const data = await response.json();
+
+          // Term options, defaults and prices for the selects
+          const statusRes = await fetch(`${API_URL}/domains/${domain.id}/auto-renew-status`, {
+            headers: { 'Authorization': `Bearer ${token}` }
+          });
+          if (statusRes.ok) {
+            setRenewStatus(await statusRes.json());
+          }
+
           setClientSecret(data.clientSecret);
           setSetupIntentId(data.setupIntentId);
         } catch (err) {
@@ -311,7 +340,8 @@ export default function AutoRenewSetupModal({ isOpen, onClose, domain, onSuccess
               <AutoRenewForm
                 domainId={domain.id}
                 domainName={`${domain.domain_name}.${domain.tld}`}
-                renewalPrice={domain.renewalPrice}
+                renewalPrice={renewStatus?.renewalPrice ?? domain.renewalPrice}
+                renewStatus={renewStatus}
                 setupIntentId={setupIntentId}
                 onSuccess={handleSuccess}
                 onCancel={handleClose}
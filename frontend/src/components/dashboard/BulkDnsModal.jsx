@@ -0,0 +1,314 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { X, Loader2, Layers, Plus, Trash2, Play, CheckCircle, XCircle, MinusCircle, Clock } from 'lucide-react';
+import { useAuth } from '../../App';
+import { API_URL } from '../../config/api';
+import toast from 'react-hot-toast';
+
+const RECORD_TYPES = ['A', 'AAAA', 'CNAME', 'MX', 'TXT', 'NS'];
+
+const OPERATIONS = [
+  { value: 'add', label: 'Add records', description: 'Add the records below to every selected domain' },
+  { value: 'replace', label: 'Replace records', description: 'Remove all records matching the host and type, then add the records below' },
+  { value: 'delete', label: 'Delete records', description: 'Remove records matching the host and type (and value, if given)' }
+];
+
+const EMPTY_RECORD = { hostName: '@', recordType: 'A', address: '', mxPref: 10 };
+
+const ITEM_ICONS = {
+  success: <CheckCircle className="w-4 h-4 text-green-500" />,
+  skipped: <MinusCircle className="w-4 h-4 text-slate-400" />,
+  failed: <XCircle className="w-4 h-4 text-red-500" />,
+  pending: <Clock className="w-4 h-4 text-slate-400" />
+};
+
+// Apply one DNS change to many domains. Customers pick from their own domains;
+// admins pass the domains to choose from (any customer's).
+function BulkDnsModal({ domains: providedDomains, isAdmin = false, onClose }) {
+  const { token } = useAuth();
+  const basePath = isAdmin ? `${API_URL}/admin/dns-batches` : `${API_URL}/domains/dns-batches`;
+  const [domains, setDomains] = useState(providedDomains || []);
+  const [loadingDomains, setLoadingDomains] = useState(!providedDomains);
+  const [selectedIds, setSelectedIds] = useState([]);
+  const [operation, setOperation] = useState('add');
+  const [match, setMatch] = useState({ hostName: '@', recordType: 'MX', address: '' });
+  const [records, setRecords] = useState([{ ...EMPTY_RECORD }]);
+  const [submitting, setSubmitting] = useState(false);
+  const [batch, setBatch] = useState(null);
+
+  useEffect(() => {
+    if (providedDomains) return;
+    const fetchDomains = async () => {
+      try {
+        const res = await fetch(`${API_URL}/domains`, {
+          headers: { 'Authorization': `Bearer ${token}` }
+        });
+        if (res.ok) {
+          const data = await res.json();
+          setDomains((Array.isArray(data) ? data : data.domains || []).filter(d => d.status === 'active'));
+        }
+      } catch (err) {
+        toast.error('Failed to load domains');
+      }
+      setLoadingDomains(false);
+    };
+    fetchDomains();
+  }, [providedDomains, token]);
+
+  const fetchBatch = useCallback(async (batchId) => {
+    try {
+      const res = await fetch(`${basePath}/${batchId}`, {
+        headers: { 'Authorization': `Bearer ${token}` }
+      });
+      if (res.ok) {
+        setBatch(await res.json());
+      }
+    } catch (err) {
+      // Keep polling; a transient error shouldn't end the progress view
+    }
+  }, [basePath, token]);
+
+  // Poll until every domain has been processed
+  useEffect(() => {
+    if (!batch || batch.status === 'completed' || batch.status === 'failed') return;
+    const timer = setTimeout(() => fetchBatch(batch.id), 2000);
+    return () => clearTimeout(timer);
+  }, [batch, fetchBatch]);
+
+  const toggleDomain = (id) => {
+    setSelectedIds(selectedIds.includes(id) ? selectedIds.filter(s => s !== id) : [...selectedIds, id]);
+  };
+
+  const updateRecord = (index, changes) => {
+    setRecords(records.map((r, i) => (i === index ? { ...r, ...changes } : r)));
+  };
+
+  const submit = async () => {
+    if (selectedIds.length === 0) {
+      toast.error('Select at least one domain');
+      return;
+    }
+    const opLabel = OPERATIONS.find(o => o.value === operation).label.toLowerCase();
+    if (!window.confirm(`${opLabel.charAt(0).toUpperCase() + opLabel.slice(1)} on ${selectedIds.length} domain(s)?`)) return;
+
+    setSubmitting(true);
+    try {
+      const body = { domainIds: selectedIds, operation };
+      if (operation !== 'delete') body.records = records;
+      if (operation !== 'add') body.match = match;
+
+      const res = await fetch(basePath, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${token}`
+        },
+        body: JSON.stringify(body)
+      });
+      const data = await res.json();
+      if (res.ok) {
+        toast.success(`Bulk DNS change started for ${data.total} domain(s)`);
+        fetchBatch(data.id);
+      } else {
+        toast.error(data.error || 'Failed to start bulk DNS change');
+      }
+    } catch (err) {
+      toast.error('Connection error');
+    }
+    setSubmitting(false);
+  };
+
+  const finished = batch && (batch.status === 'completed' || batch.status === 'failed');
+
+  return (
+    <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-50 p-4">
+      <div className="bg-white dark:bg-slate-800 rounded-xl max-w-3xl w-full max-h-[90vh] overflow-y-auto">
+        <div className="flex items-center justify-between p-6 border-b border-slate-200 dark:border-slate-700">
+          <h3 className="text-lg font-bold text-slate-900 dark:text-slate-100 flex items-center gap-2">
+            <Layers className="w-5 h-5" />
+            Bulk DNS Changes
+          </h3>
+          <button onClick={onClose} className="text-slate-400 hover:text-slate-600">
+            <X className="w-5 h-5" />
+          </button>
+        </div>
+
+        {batch ? (
+          <div className="p-6 space-y-4">
+            <div className="flex flex-wrap items-center gap-4 text-sm text-slate-600 dark:text-slate-400">
+              {!finished && <Loader2 className="w-4 h-4 animate-spin text-indigo-600" />}
+              <span><strong>{batch.processed}</strong> of {batch.total} processed</span>
+              {finished && (
+                <>
+                  <span><strong className="text-green-600">{batch.succeeded}</strong> changed</span>
+                  <span><strong>{batch.skipped}</strong> unchanged</span>
+                  <span><strong className="text-red-600">{batch.failed}</strong> failed</span>
+                </>
+              )}
+            </div>
+            <div className="divide-y divide-slate-200 dark:divide-slate-700 border border-slate-200 dark:border-slate-700 rounded-lg">
+              {batch.items.map(item => (
+                <div key={item.id} className="flex items-center gap-3 px-3 py-2 text-sm">
+                  {ITEM_ICONS[item.status]}
+                  <span className="font-mono text-slate-900 dark:text-slate-100">{item.domain_name}</span>
+                  <span className="text-slate-500 dark:text-slate-400 ml-auto text-right">{item.message}</span>
+                </div>
+              ))}
+            </div>
+            <div className="flex gap-2">
+              <button onClick={() => setBatch(null)} disabled={!finished} className="btn-secondary flex-1">
+                New Change
+              </button>
+              <button onClick={onClose} className="btn-primary flex-1">
+                {finished ? 'Done' : 'Close (keeps running)'}
+              </button>
+            </div>
+          </div>
+        ) : (
+          <div className="p-6 space-y-6">
+            {/* Domains */}
+            <div>
+              <div className="flex items-center justify-between mb-2">
+                <label className="text-sm font-medium text-slate-700 dark:text-slate-300">
+                  Domains ({selectedIds.length} selected)
+                </label>
+                <button
+                  onClick={() => setSelectedIds(selectedIds.length === domains.length ? [] : domains.map(d => d.id))}
+                  className="text-xs text-indigo-600 dark:text-indigo-400 hover:text-indigo-700"
+                >
+                  {selectedIds.length === domains.length ? 'Select none' : 'Select all'}
+                </button>
+              </div>
+              {loadingDomains ? (
+                <Loader2 className="w-5 h-5 animate-spin text-slate-400" />
+              ) : (
+                <div className="max-h-48 overflow-y-auto border border-slate-200 dark:border-slate-700 rounded-lg p-2 grid grid-cols-1 sm:grid-cols-2 gap-1">
+                  {domains.map(d => (
+                    <label key={d.id} className="flex items-center gap-2 text-sm px-2 py-1 rounded hover:bg-slate-50 dark:hover:bg-slate-700/50">
+                      <input type="checkbox" checked={selectedIds.includes(d.id)} onChange={() => toggleDomain(d.id)} className="rounded" />
+                      <span className="font-mono text-slate-900 dark:text-slate-100">{d.domain_name}.{d.tld}</span>
+                      {isAdmin && d.username && <span className="text-xs text-slate-500 ml-auto">{d.username}</span>}
+                    </label>
+                  ))}
+                </div>
+              )}
+            </div>
+
+            {/* Operation */}
+            <div>
+              <label className="block text-sm font-medium text-slate-700 dark:text-slate-300 mb-2">Change</label>
+              <div className="grid grid-cols-3 gap-2">
+                {OPERATIONS.map(op => (
+                  <button
+                    key={op.value}
+                    onClick={() => setOperation(op.value)}
+                    className={`p-2 text-sm rounded-lg border ${
+                      operation === op.value
+                        ? 'border-indigo-500 bg-indigo-50 dark:bg-indigo-900/20 text-indigo-700 dark:text-indigo-300'
+                        : 'border-slate-200 dark:border-slate-600 text-slate-600 dark:text-slate-400'
+                    }`}
+                  >
+                    {op.label}
+                  </button>
+                ))}
+              </div>
+              <p className="text-xs text-slate-500 dark:text-slate-400 mt-2">
+                {OPERATIONS.find(o => o.value === operation).description}
+              </p>
+            </div>
+
+            {/* Match */}
+            {operation !== 'add' && (
+              <div className="grid grid-cols-3 gap-2">
+                <div>
+                  <label className="block text-xs font-medium text-slate-500 dark:text-slate-400 mb-1">Host</label>
+                  <input type="text" value={match.hostName} onChange={(e) => setMatch({ ...match, hostName: e.target.value })} className="input w-full text-sm font-mono" />
+                </div>
+                <div>
+                  <label className="block text-xs font-medium text-slate-500 dark:text-slate-400 mb-1">Type</label>
+                  <select value={match.recordType} onChange={(e) => setMatch({ ...match, recordType: e.target.value })} className="input w-full text-sm">
+                    {RECORD_TYPES.map(t => <option key={t} value={t}>{t}</option>)}
+                  </select>
+                </div>
+                {operation === 'delete' && (
+                  <div>
+                    <label className="block text-xs font-medium text-slate-500 dark:text-slate-400 mb-1">Value (optional)</label>
+                    <input type="text" value={match.address} onChange={(e) => setMatch({ ...match, address: e.target.value })} className="input w-full text-sm font-mono" />
+                  </div>
+                )}
+              </div>
+            )}
+
+            {/* Records */}
+            {operation !== 'delete' && (
+              <div className="space-y-2">
+                <label className="block text-sm font-medium text-slate-700 dark:text-slate-300">Records</label>
+                {records.map((record, index) => (
+                  <div key={index} className="grid grid-cols-12 gap-2 items-center">
+                    <input
+                      type="text"
+                      value={record.hostName}
+                      onChange={(e) => updateRecord(index, { hostName: e.target.value })}
+                      placeholder="@"
+                      className="input col-span-3 text-sm font-mono"
+                    />
+                    <select
+                      value={record.recordType}
+                      onChange={(e) => updateRecord(index, { recordType: e.target.value })}
+                      className="input col-span-2 text-sm"
+                    >
+                      {RECORD_TYPES.map(t => <option key={t} value={t}>{t}</option>)}
+                    </select>
+                    <input
+                      type="text"
+                      value={record.address}
+                      onChange={(e) => updateRecord(index, { address: e.target.value })}
+                      placeholder="Value"
+                      className={`input text-sm font-mono ${record.recordType === 'MX' ? 'col-span-4' : 'col-span-6'}`}
+                    />
+                    {record.recordType === 'MX' && (
+                      <input
+                        type="number"
+                        min="0"
+                        max="65535"
+                        value={record.mxPref}
+                        onChange={(e) => updateRecord(index, { mxPref: e.target.value })}
+                        title="Priority"
+                        className="input col-span-2 text-sm"
+                      />
+                    )}
+                    <button
+                      onClick={() => setRecords(records.filter((_, i) => i !== index))}
+                      disabled={records.length === 1}
+                      className="col-span-1 p-1.5 text-red-500 hover:bg-red-50 dark:hover:bg-red-900/20 rounded-lg disabled:opacity-30"
+                    >
+                      <Trash2 className="w-4 h-4" />
+                    </button>
+                  </div>
+                ))}
+                <button
+                  onClick={() => setRecords([...records, { ...EMPTY_RECORD, recordType: records[records.length - 1].recordType }])}
+                  disabled={records.length >= 10}
+                  className="text-sm text-indigo-600 dark:text-indigo-400 hover:text-indigo-700 flex items-center gap-1 disabled:opacity-50"
+                >
+                  <Plus className="w-4 h-4" />
+                  Add another record
+                </button>
+              </div>
+            )}
+
+            <p className="text-xs text-slate-500 dark:text-slate-400">
+              Each domain is changed separately and its previous records are saved to its DNS history.
+            </p>
+
+            <button onClick={submit} disabled={submitting || selectedIds.length === 0} className="btn-primary w-full">
+              {submitting ? <Loader2 className="w-4 h-4 mr-2 animate-spin" /> : <Play className="w-4 h-4 mr-2" />}
+              Apply to {selectedIds.length} Domain{selectedIds.length === 1 ? '' : 's'}
+            </button>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default BulkDnsModal;
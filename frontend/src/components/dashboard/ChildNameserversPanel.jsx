@@ -0,0 +1,390 @@
+import React, { useState, useEffect } from 'react';
+import { Server, Loader2, AlertCircle, Plus, Trash2, Save, RefreshCw, Info, Edit2, X } from 'lucide-react';
+import { useAuth } from '../../App';
+import { API_URL } from '../../config/api';
+import toast from 'react-hot-toast';
+
+const IPV4_PATTERN = /^((25[0-5]|2[0-4]\d|1\d\d|[1-9]?\d)\.){3}(25[0-5]|2[0-4]\d|1\d\d|[1-9]?\d)$/;
+const HOST_LABEL_PATTERN = /^[a-z0-9]([a-z0-9-]{0,61}[a-z0-9])?(\.[a-z0-9]([a-z0-9-]{0,61}[a-z0-9])?)*$/;
+
+// Loose IPv6 check - the backend does the authoritative validation
+const isValidIpv6 = (value) => value.includes(':') && /^[0-9a-f:.]+$/i.test(value);
+
+function ChildNameserversPanel({ domainId, domainName, tld, isAdmin = false, readOnly = false }) {
+  const { token } = useAuth();
+  const basePath = isAdmin ? `${API_URL}/admin/domains` : `${API_URL}/domains`;
+  const suffix = `${domainName}.${tld}`;
+  const [nameservers, setNameservers] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const [deleting, setDeleting] = useState(null);
+
+  // Add form
+  const [showAddForm, setShowAddForm] = useState(false);
+  const [newHost, setNewHost] = useState({ label: '', ipv4: '', ipv6: '' });
+
+  // Inline edit of glue addresses
+  const [editing, setEditing] = useState(null);
+  const [editIps, setEditIps] = useState({ ipv4: '', ipv6: '' });
+
+  useEffect(() => {
+    fetchNameservers();
+  }, [domainId]); // eslint-disable-line react-hooks/exhaustive-deps
+
+  const fetchNameservers = async () => {
+    setLoading(true);
+    setError(null);
+    try {
+      const res = await fetch(`${basePath}/${domainId}/child-nameservers`, {
+        headers: { 'Authorization': `Bearer ${token}` }
+      });
+      const data = await res.json();
+
+      if (res.ok) {
+        setNameservers(data.nameservers || []);
+      } else {
+        setError(data.error || 'Failed to load child nameservers');
+      }
+    } catch (err) {
+      setError('Connection error');
+    }
+    setLoading(false);
+  };
+
+  const validateIps = (ipv4, ipv6) => {
+    if (!ipv4 && !ipv6) {
+      toast.error('Enter an IPv4 or IPv6 address');
+      return false;
+    }
+    if (ipv4 && !IPV4_PATTERN.test(ipv4)) {
+      toast.error('Invalid IPv4 address');
+      return false;
+    }
+    if (ipv6 && !isValidIpv6(ipv6)) {
+      toast.error('Invalid IPv6 address');
+      return false;
+    }
+    return true;
+  };
+
+  const handleAdd = async (e) => {
+    e.preventDefault();
+
+    const label = newHost.label.trim().toLowerCase().replace(/\.$/, '');
+    if (!label || !HOST_LABEL_PATTERN.test(label)) {
+      toast.error('Enter a host name such as ns1');
+      return;
+    }
+
+    const ipv4 = newHost.ipv4.trim();
+    const ipv6 = newHost.ipv6.trim();
+    if (!validateIps(ipv4, ipv6)) return;
+
+    setSaving(true);
+    try {
+      const res = await fetch(`${basePath}/${domainId}/child-nameservers`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${token}`
+        },
+        body: JSON.stringify({ hostname: `${label}.${suffix}`, ipv4, ipv6 })
+      });
+
+      if (res.ok) {
+        toast.success(`${label}.${suffix} registered`);
+        setNewHost({ label: '', ipv4: '', ipv6: '' });
+        setShowAddForm(false);
+        fetchNameservers();
+      } else {
+        const data = await res.json();
+        toast.error(data.error || 'Failed to register nameserver');
+      }
+    } catch (err) {
+      toast.error('Connection error');
+    }
+    setSaving(false);
+  };
+
+  const startEdit = (ns) => {
+    setEditing(ns.hostname);
+    setEditIps({ ipv4: ns.ipv4 || '', ipv6: ns.ipv6 || '' });
+  };
+
+  const handleUpdate = async (hostname) => {
+    const ipv4 = editIps.ipv4.trim();
+    const ipv6 = editIps.ipv6.trim();
+    if (!validateIps(ipv4, ipv6)) return;
+
+    setSaving(true);
+    try {
+      const res = await fetch(`${basePath}/${domainId}/child-nameservers/${encodeURIComponent(hostname)}`, {
+        method: 'PUT',
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${token}`
+        },
+        body: JSON.stringify({ ipv4, ipv6 })
+      });
+
+      if (res.ok) {
+        toast.success('Glue addresses updated');
+        setEditing(null);
+        fetchNameservers();
+      } else {
+        const data = await res.json();
+        toast.error(data.error || 'Failed to update nameserver');
+      }
+    } catch (err) {
+      toast.error('Connection error');
+    }
+    setSaving(false);
+  };
+
+  const handleDelete = async (hostname) => {
+    if (!window.confirm(`Delete ${hostname} from the registry?`)) return;
+
+    setDeleting(hostname);
+    try {
+      const res = await fetch(`${basePath}/${domainId}/child-nameservers/${encodeURIComponent(hostname)}`, {
+        method: 'DELETE',
+        headers: { 'Authorization': `Bearer ${token}` }
+      });
+
+      if (res.ok) {
+        toast.success(`${hostname} deleted`);
+        fetchNameservers();
+      } else {
+        const data = await res.json();
+        toast.error(data.error || 'Failed to delete nameserver');
+      }
+    } catch (err) {
+      toast.error('Connection error');
+    }
+    setDeleting(null);
+  };
+
+  if (loading) {
+    return (
+      <div className="flex items-center justify-center py-8">
+        <Loader2 className="w-6 h-6 animate-spin text-indigo-600" />
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-4">
+      <div className="p-4 bg-blue-50 dark:bg-blue-900/20 rounded-xl border border-blue-200 dark:border-blue-800 flex items-start gap-3">
+        <Info className="w-5 h-5 text-blue-500 flex-shrink-0 mt-0.5" />
+        <p className="text-sm text-blue-700 dark:text-blue-400">
+          Running your own DNS? Register hosts like <span className="font-mono">ns1.{suffix}</span> with their IP addresses (glue records)
+          here before using them as nameservers for this domain.
+        </p>
+      </div>
+
+      {error && (
+        <div className="p-4 bg-red-50 dark:bg-red-900/20 rounded-xl border border-red-200 dark:border-red-800 flex items-center gap-2">
+          <AlertCircle className="w-5 h-5 text-red-500" />
+          <p className="text-sm text-red-700 dark:text-red-400">{error}</p>
+        </div>
+      )}
+
+      <div className="space-y-2">
+        <div className="flex items-center justify-between">
+          <h4 className="text-sm font-semibold text-slate-900 dark:text-slate-100 flex items-center gap-2">
+            <Server className="w-4 h-4" />
+            Child Nameservers ({nameservers.length})
+          </h4>
+          <button
+            onClick={fetchNameservers}
+            className="text-sm text-slate-500 hover:text-slate-700 dark:hover:text-slate-300 flex items-center gap-1"
+          >
+            <RefreshCw className="w-4 h-4" />
+            Refresh
+          </button>
+        </div>
+
+        {nameservers.length === 0 ? (
+          <div className="p-6 bg-slate-50 dark:bg-slate-700/50 rounded-xl text-center">
+            <Server className="w-8 h-8 text-slate-400 mx-auto mb-2" />
+            <p className="text-sm text-slate-500 dark:text-slate-400">No child nameservers registered</p>
+          </div>
+        ) : (
+          <div className="space-y-2">
+            {nameservers.map((ns) => (
+              <div key={ns.hostname} className="p-3 bg-slate-50 dark:bg-slate-700/50 rounded-lg">
+                <div className="flex items-center justify-between gap-3">
+                  <div className="min-w-0">
+                    <div className="flex items-center gap-2 flex-wrap">
+                      <span className="font-mono text-sm text-slate-900 dark:text-slate-100">{ns.hostname}</span>
+                      {ns.inUse && (
+                        <span className="px-2 py-0.5 text-xs rounded-full bg-green-100 text-green-700 dark:bg-green-900/30 dark:text-green-400">In use</span>
+                      )}
+                      {!ns.registered && (
+                        <span className="px-2 py-0.5 text-xs rounded-full bg-amber-100 text-amber-700 dark:bg-amber-900/30 dark:text-amber-400">Not found at registry</span>
+                      )}
+                    </div>
+                    {editing !== ns.hostname && (
+                      <p className="text-xs font-mono text-slate-500 dark:text-slate-400 mt-1">
+                        {[ns.ipv4, ns.ipv6].filter(Boolean).join('  ·  ') || 'No addresses'}
+                      </p>
+                    )}
+                  </div>
+                  {!readOnly && editing !== ns.hostname && (
+                    <div className="flex items-center gap-1 flex-shrink-0">
+                      {ns.registered && (
+                        <button
+                          onClick={() => startEdit(ns)}
+                          className="p-1.5 text-slate-500 hover:bg-slate-100 dark:hover:bg-slate-700 rounded-lg transition-colors"
+                          title="Edit addresses"
+                        >
+                          <Edit2 className="w-4 h-4" />
+                        </button>
+                      )}
+                      <button
+                        onClick={() => handleDelete(ns.hostname)}
+                        disabled={deleting === ns.hostname || ns.inUse}
+                        className="p-1.5 text-red-500 hover:bg-red-50 dark:hover:bg-red-900/20 rounded-lg transition-colors disabled:opacity-50"
+                        title={ns.inUse ? 'Remove it from the nameserver list first' : 'Delete nameserver'}
+                      >
+                        {deleting === ns.hostname ? (
+                          <Loader2 className="w-4 h-4 animate-spin" />
+                        ) : (
+                          <Trash2 className="w-4 h-4" />
+                        )}
+                      </button>
+                    </div>
+                  )}
+                </div>
+
+                {editing === ns.hostname && (
+                  <div className="mt-3 grid grid-cols-1 sm:grid-cols-[1fr_1fr_auto] gap-2">
+                    <input
+                      type="text"
+                      value={editIps.ipv4}
+                      onChange={(e) => setEditIps(prev => ({ ...prev, ipv4: e.target.value }))}
+                      placeholder="IPv4 address"
+                      className="input w-full font-mono text-sm"
+                    />
+                    <input
+                      type="text"
+                      value={editIps.ipv6}
+                      onChange={(e) => setEditIps(prev => ({ ...prev, ipv6: e.target.value }))}
+                      placeholder="IPv6 address (optional)"
+                      className="input w-full font-mono text-sm"
+                    />
+                    <div className="flex gap-1">
+                      <button
+                        onClick={() => handleUpdate(ns.hostname)}
+                        disabled={saving}
+                        className="btn-primary text-sm"
+                      >
+                        {saving ? <Loader2 className="w-4 h-4 animate-spin" /> : <Save className="w-4 h-4" />}
+                      </button>
+                      <button
+                        onClick={() => setEditing(null)}
+                        className="btn-secondary text-sm"
+                      >
+                        <X className="w-4 h-4" />
+                      </button>
+                    </div>
+                  </div>
+                )}
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+
+      {readOnly ? null : !showAddForm ? (
+        <button
+          onClick={() => setShowAddForm(true)}
+          className="flex items-center gap-2 text-sm text-indigo-600 dark:text-indigo-400 hover:text-indigo-700 dark:hover:text-indigo-300"
+        >
+          <Plus className="w-4 h-4" />
+          Register Child Nameserver
+        </button>
+      ) : (
+        <form onSubmit={handleAdd} className="p-4 bg-slate-50 dark:bg-slate-700/50 rounded-xl space-y-4">
+          <h4 className="text-sm font-semibold text-slate-900 dark:text-slate-100">Register Child Nameserver</h4>
+
+          <div>
+            <label className="block text-sm font-medium text-slate-700 dark:text-slate-300 mb-1">
+              Host Name
+            </label>
+            <div className="flex items-center gap-2">
+              <input
+                type="text"
+                value={newHost.label}
+                onChange={(e) => setNewHost(prev => ({ ...prev, label: e.target.value }))}
+                placeholder="ns1"
+                className="input flex-1 font-mono"
+              />
+              <span className="text-sm font-mono text-slate-500 dark:text-slate-400">.{suffix}</span>
+            </div>
+          </div>
+
+          <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+            <div>
+              <label className="block text-sm font-medium text-slate-700 dark:text-slate-300 mb-1">
+                IPv4 Address
+              </label>
+              <input
+                type="text"
+                value={newHost.ipv4}
+                onChange={(e) => setNewHost(prev => ({ ...prev, ipv4: e.target.value }))}
+                placeholder="192.0.2.10"
+                className="input w-full font-mono"
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-slate-700 dark:text-slate-300 mb-1">
+                IPv6 Address <span className="text-slate-400 font-normal">(optional)</span>
+              </label>
+              <input
+                type="text"
+                value={newHost.ipv6}
+                onChange={(e) => setNewHost(prev => ({ ...prev, ipv6: e.target.value }))}
+                placeholder="2001:db8::10"
+                className="input w-full font-mono"
+              />
+            </div>
+          </div>
+
+          <div className="flex gap-2">
+            <button
+              type="submit"
+              disabled={saving}
+              className="btn-primary flex-1"
+            >
+              {saving ? (
+                <>
+                  <Loader2 className="w-4 h-4 mr-2 animate-spin" />
+                  Registering...
+                </>
+              ) : (
+                <>
+                  <Save className="w-4 h-4 mr-2" />
+                  Register
+                </>
+              )}
+            </button>
+            <button
+              type="button"
+              onClick={() => {
+                setShowAddForm(false);
+                setNewHost({ label: '', ipv4: '', ipv6: '' });
+              }}
+              className="btn-secondary"
+            >
+              Cancel
+            </button>
+          </div>
+        </form>
+      )}
+    </div>
+  );
+}
+
+export default ChildNameserversPanel;
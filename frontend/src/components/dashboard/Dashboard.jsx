@@ -1,13 +1,22 @@
 import React, { useState, useEffect, useCallback } from 'react';
-import { Globe, RefreshCw, Settings, AlertTriangle, Check, Clock, Loader2, X, Server, Shield, Lock, Unlock, Key, ShoppingCart, Users, Search, ChevronLeft, ChevronRight, Eye, CreditCard, Trash2, Plus, ExternalLink, Database, Send, ArrowRightLeft, CheckCircle, XCircle } from 'lucide-react';
+import { Globe, RefreshCw, Settings, AlertTriangle, Check, Clock, Loader2, X, Server, Shield, Lock, Unlock, Key, ShoppingCart, Users, Search, ChevronLeft, ChevronRight, Eye, CreditCard, Trash2, Plus, ExternalLink, Database, Send, ArrowRightLeft, CheckCircle, XCircle, Layers } from 'lucide-react';
 import { useAuth, useCart } from '../../App';
 import { API_URL } from '../../config/api';
 import toast from 'react-hot-toast';
 import DomainContactsPanel from './DomainContactsPanel';
 import PrivacyPurchaseModal from './PrivacyPurchaseModal';
 import AutoRenewSetupModal from './AutoRenewSetupModal';
+import AutoRenewPreferences from './AutoRenewPreferences';
 import UrlForwardingPanel from './UrlForwardingPanel';
+import EmailForwardingPanel from './EmailForwardingPanel';
 import DnsManagementPanel from './DnsManagementPanel';
+import DnssecPanel from './DnssecPanel';
+import TransferOutPanel from './TransferOutPanel';
+import TransfersPanel from './TransfersPanel';
+import WatchlistPanel from './WatchlistPanel';
+import DomainLifecycleNotice, { lifecycleSummary } from './DomainLifecycleNotice';
+import ChildNameserversPanel from './ChildNameserversPanel';
+import BulkDnsModal from './BulkDnsModal';
 
 function Dashboard() {
   const { token } = useAuth();
@@ -40,6 +49,7 @@ function Dashboard() {
   const [showContacts, setShowContacts] = useState(false);
   const [privacyPurchaseDomain, setPrivacyPurchaseDomain] = useState(null);
   const [autoRenewSetupDomain, setAutoRenewSetupDomain] = useState(null);
+  const [showBulkDns, setShowBulkDns] = useState(false);
   const [renewalYears, setRenewalYears] = useState(1);
 
   // Push requests state
@@ -456,34 +466,6 @@ function Dashboard() {
     }
   };
 
-  const handleGetAuthCode = async () => {
-    if (!selectedDomain) return;
-    try {
-      const res = await fetch(`${API_URL}/domains/${selectedDomain.id}/authcode`, {
-        headers: { 'Authorization': `Bearer ${token}` }
-      });
-
-      if (res.ok) {
-        const data = await res.json();
-        setManagementData(prev => ({
-          ...prev,
-          [selectedDomain.id]: { ...prev[selectedDomain.id], authCode: data.authCode }
-        }));
-        // Also update lock status since getting auth code unlocks domain
-        setSelectedDomain(prev => ({ ...prev, lock_status: false }));
-        setDomains(prev => prev.map(d =>
-          d.id === selectedDomain.id ? { ...d, lock_status: false } : d
-        ));
-        toast.success('Auth code retrieved. Domain has been unlocked.');
-      } else {
-        const data = await res.json();
-        toast.error(data.error || 'Failed to get auth code');
-      }
-    } catch (err) {
-      toast.error("Connection error");
-    }
-  };
-
   const handleAddRenewalToCart = () => {
     if (!selectedDomain) return;
     // domain_name is just the SLD, tld is in separate column
@@ -497,13 +479,36 @@ function Dashboard() {
     setRenewalYears(1); // Reset after adding
   };
 
+  const handleAddRestoreToCart = () => {
+    if (!selectedDomain) return;
+    // A restore is always the redemption fee plus one year
+    addToCart({
+      item_type: 'restore',
+      domain_name: selectedDomain.domain_name,
+      tld: selectedDomain.tld,
+      years: 1,
+      options: {}
+    });
+  };
+
+  const STATUS_LABELS = {
+    transfer_pending: 'Transfer Pending',
+    transferred_away: 'Transferred Away',
+    grace: 'Renewal Grace',
+    pending_delete: 'Pending Delete'
+  };
+
   const StatusBadge = ({ status }) => {
     const styles = {
       active: 'bg-emerald-100 text-emerald-700 dark:bg-emerald-900/30 dark:text-emerald-400',
       pending: 'bg-yellow-100 text-yellow-700 dark:bg-yellow-900/30 dark:text-yellow-400',
       transfer_pending: 'bg-yellow-100 text-yellow-700 dark:bg-yellow-900/30 dark:text-yellow-400',
       expired: 'bg-red-100 text-red-700 dark:bg-red-900/30 dark:text-red-400',
-      suspended: 'bg-red-100 text-red-700 dark:bg-red-900/30 dark:text-red-400'
+      grace: 'bg-amber-100 text-amber-700 dark:bg-amber-900/30 dark:text-amber-400',
+      redemption: 'bg-red-100 text-red-700 dark:bg-red-900/30 dark:text-red-400',
+      pending_delete: 'bg-slate-200 text-slate-700 dark:bg-slate-700 dark:text-slate-300',
+      suspended: 'bg-red-100 text-red-700 dark:bg-red-900/30 dark:text-red-400',
+      transferred_away: 'bg-slate-100 text-slate-600 dark:bg-slate-800 dark:text-slate-400'
     };
 
     const icons = {
@@ -511,13 +516,17 @@ function Dashboard() {
       pending: <Clock className="w-3 h-3" />,
       transfer_pending: <Clock className="w-3 h-3" />,
       expired: <AlertTriangle className="w-3 h-3" />,
-      suspended: <AlertTriangle className="w-3 h-3" />
+      grace: <Clock className="w-3 h-3" />,
+      redemption: <AlertTriangle className="w-3 h-3" />,
+      pending_delete: <Trash2 className="w-3 h-3" />,
+      suspended: <AlertTriangle className="w-3 h-3" />,
+      transferred_away: <ArrowRightLeft className="w-3 h-3" />
     };
 
     return (
       <span className={`inline-flex items-center gap-1 px-2 py-1 text-xs font-medium rounded-full ${styles[status] || 'bg-slate-100 text-slate-700 dark:bg-slate-800 dark:text-slate-300'}`}>
         {icons[status]}
-        {status === 'transfer_pending' ? 'Transfer Pending' : status?.charAt(0).toUpperCase() + status?.slice(1)}
+        {STATUS_LABELS[status] || status?.charAt(0).toUpperCase() + status?.slice(1)}
       </span>
     );
   };
@@ -594,13 +603,22 @@ function Dashboard() {
             Manage your registered domains
           </p>
         </div>
-        <button
-          onClick={() => { setLoading(true); fetchDomains(); }}
-          className="btn-secondary"
-        >
-          <RefreshCw className={`w-4 h-4 mr-2 ${loading ? 'animate-spin' : ''}`} />
-          Refresh
-        </button>
+        <div className="flex gap-2">
+          <button
+            onClick={() => setShowBulkDns(true)}
+            className="btn-secondary"
+          >
+            <Layers className="w-4 h-4 mr-2" />
+            Bulk DNS
+          </button>
+          <button
+            onClick={() => { setLoading(true); fetchDomains(); }}
+            className="btn-secondary"
+          >
+            <RefreshCw className={`w-4 h-4 mr-2 ${loading ? 'animate-spin' : ''}`} />
+            Refresh
+          </button>
+        </div>
       </div>
 
       {/* Pending Incoming Push Requests */}
@@ -712,6 +730,12 @@ function Dashboard() {
         </div>
       )}
 
+      {/* Inbound Transfers */}
+      <TransfersPanel />
+
+      {/* Watched Domains */}
+      <WatchlistPanel />
+
       {/* Filters */}
       <div className="card mb-6">
         <div className="p-4 flex flex-col sm:flex-row gap-4">
@@ -734,6 +758,9 @@ function Dashboard() {
             <option value="active">Active</option>
             <option value="pending">Pending</option>
             <option value="expired">Expired</option>
+            <option value="grace">Renewal Grace</option>
+            <option value="redemption">Redemption</option>
+            <option value="pending_delete">Pending Delete</option>
           </select>
           <select
             value={expiringFilter}
@@ -820,7 +847,7 @@ function Dashboard() {
                           )}
                           {isExpired && (
                             <div className="text-xs text-red-600 dark:text-red-400">
-                              Expired
+                              {lifecycleSummary(domain.lifecycle) || 'Expired'}
                             </div>
                           )}
                         </td>
@@ -995,25 +1022,29 @@ function Dashboard() {
                     )}
                   </div>
 
-                  {/* Renew Button */}
-                  <div className="flex items-center gap-3">
-                    <select
-                      value={renewalYears}
-                      onChange={(e) => setRenewalYears(parseInt(e.target.value))}
-                      className="bg-white dark:bg-slate-700 border border-slate-300 dark:border-slate-600 rounded-lg px-3 py-3 text-sm font-medium text-slate-900 dark:text-slate-100 focus:ring-2 focus:ring-indigo-500"
-                    >
-                      {[1, 2, 3, 4, 5, 6, 7, 8, 9, 10].map(y => (
-                        <option key={y} value={y}>{y} year{y > 1 ? 's' : ''}</option>
-                      ))}
-                    </select>
-                    <button
-                      onClick={handleAddRenewalToCart}
-                      className="flex-1 flex items-center justify-center gap-2 p-3 bg-indigo-50 dark:bg-indigo-900/20 text-indigo-700 dark:text-indigo-400 rounded-xl border border-indigo-200 dark:border-indigo-800 hover:bg-indigo-100 dark:hover:bg-indigo-900/30 transition-colors"
-                    >
-                      <ShoppingCart className="w-5 h-5" />
-                      <span className="font-medium">Add Renewal to Cart</span>
-                    </button>
-                  </div>
+                  <DomainLifecycleNotice domain={selectedDomain} onRestore={handleAddRestoreToCart} />
+
+                  {/* Renew Button - past the grace period only a restore is possible */}
+                  {!['redemption', 'pending_delete'].includes(selectedDomain.lifecycle?.stage) && (
+                    <div className="flex items-center gap-3">
+                      <select
+                        value={renewalYears}
+                        onChange={(e) => setRenewalYears(parseInt(e.target.value))}
+                        className="bg-white dark:bg-slate-700 border border-slate-300 dark:border-slate-600 rounded-lg px-3 py-3 text-sm font-medium text-slate-900 dark:text-slate-100 focus:ring-2 focus:ring-indigo-500"
+                      >
+                        {[1, 2, 3, 4, 5, 6, 7, 8, 9, 10].map(y => (
+                          <option key={y} value={y}>{y} year{y > 1 ? 's' : ''}</option>
+                        ))}
+                      </select>
+                      <button
+                        onClick={handleAddRenewalToCart}
+                        className="flex-1 flex items-center justify-center gap-2 p-3 bg-indigo-50 dark:bg-indigo-900/20 text-indigo-700 dark:text-indigo-400 rounded-xl border border-indigo-200 dark:border-indigo-800 hover:bg-indigo-100 dark:hover:bg-indigo-900/30 transition-colors"
+                      >
+                        <ShoppingCart className="w-5 h-5" />
+                        <span className="font-medium">Add Renewal to Cart</span>
+                      </button>
+                    </div>
+                  )}
                 </div>
               )}
 
@@ -1088,25 +1119,40 @@ function Dashboard() {
                       'Save Nameservers'
                     )}
                   </button>
+
+                  <div className="pt-4 border-t border-slate-200 dark:border-slate-700">
+                    <ChildNameserversPanel
+                      domainId={selectedDomain.id}
+                      domainName={selectedDomain.domain_name}
+                      tld={selectedDomain.tld}
+                    />
+                  </div>
                 </div>
               )}
 
               {/* DNS Tab */}
               {activeTab === 'dns' && (
-                <DnsManagementPanel
-                  domainId={selectedDomain.id}
-                  domainName={selectedDomain.domain_name}
-                  tld={selectedDomain.tld}
-                  nameservers={managementData[selectedDomain.id]?.nameservers || []}
-                  onNameserversUpdated={(newNs) => {
-                    // Update local state when nameservers are restored via DNS panel
-                    setManagementData(prev => ({
-                      ...prev,
-                      [selectedDomain.id]: { ...prev[selectedDomain.id], nameservers: newNs }
-                    }));
-                    setNsInputs([newNs[0] || '', newNs[1] || '', newNs[2] || '', newNs[3] || '']);
-                  }}
-                />
+                <div className="space-y-6">
+                  <DnsManagementPanel
+                    domainId={selectedDomain.id}
+                    domainName={selectedDomain.domain_name}
+                    tld={selectedDomain.tld}
+                    nameservers={managementData[selectedDomain.id]?.nameservers || []}
+                    onNameserversUpdated={(newNs) => {
+                      // Update local state when nameservers are restored via DNS panel
+                      setManagementData(prev => ({
+                        ...prev,
+                        [selectedDomain.id]: { ...prev[selectedDomain.id], nameservers: newNs }
+                      }));
+                      setNsInputs([newNs[0] || '', newNs[1] || '', newNs[2] || '', newNs[3] || '']);
+                    }}
+                  />
+                  <DnssecPanel
+                    domainId={selectedDomain.id}
+                    domainName={selectedDomain.domain_name}
+                    tld={selectedDomain.tld}
+                  />
+                </div>
               )}
 
               {/* Forwarding Tab */}
@@ -1126,6 +1172,15 @@ function Dashboard() {
                       setNsInputs([newNs[0] || '', newNs[1] || '', newNs[2] || '', newNs[3] || '']);
                     }}
                   />
+
+                  {/* Email Forwarding Section */}
+                  <div className="pt-6 border-t border-slate-200 dark:border-slate-700">
+                    <EmailForwardingPanel
+                      domainId={selectedDomain.id}
+                      domainName={selectedDomain.domain_name}
+                      tld={selectedDomain.tld}
+                    />
+                  </div>
                 </div>
               )}
 
@@ -1150,6 +1205,9 @@ function Dashboard() {
                         loading={togglingAutoRenew}
                       />
                     </div>
+                    {selectedDomain.auto_renew && (
+                      <AutoRenewPreferences key={selectedDomain.id} domainId={selectedDomain.id} />
+                    )}
                     {/* Show payment method info if auto-renew enabled */}
                     {selectedDomain.auto_renew && selectedDomain.auto_renew_payment_method_id && (
                       <div className="mt-3 pt-3 border-t border-slate-200 dark:border-slate-600">
@@ -1226,59 +1284,16 @@ function Dashboard() {
               {/* Transfer Tab */}
               {activeTab === 'transfer' && (
                 <div className="space-y-6">
-                  <div className="p-4 bg-amber-50 dark:bg-amber-900/20 rounded-xl border border-amber-200 dark:border-amber-800">
-                    <div className="flex items-start gap-3">
-                      <AlertTriangle className="w-5 h-5 text-amber-600 dark:text-amber-400 flex-shrink-0 mt-0.5" />
-                      <div>
-                        <h4 className="font-medium text-amber-800 dark:text-amber-300">Transfer Out</h4>
-                        <p className="text-sm text-amber-700 dark:text-amber-400 mt-1">
-                          To transfer this domain to another registrar, you'll need the EPP auth code below.
-                          Getting the auth code will automatically unlock the domain.
-                        </p>
-                      </div>
-                    </div>
-                  </div>
-
-                  {/* Domain Status */}
-                  <div className="p-4 bg-slate-50 dark:bg-slate-700/50 rounded-xl">
-                    <div className="flex items-center justify-between mb-4">
-                      <span className="text-sm font-medium text-slate-700 dark:text-slate-300">Transfer Lock Status</span>
-                      <span className={`text-sm font-medium ${selectedDomain.lock_status ? 'text-emerald-600' : 'text-amber-600'}`}>
-                        {selectedDomain.lock_status ? 'Locked' : 'Unlocked'}
-                      </span>
-                    </div>
-
-                    {/* Auth Code */}
-                    <div>
-                      <label className="block text-sm font-medium text-slate-700 dark:text-slate-300 mb-2">
-                        EPP Auth Code
-                      </label>
-                      {managementData[selectedDomain.id]?.authCode ? (
-                        <div className="p-3 bg-white dark:bg-slate-800 rounded-lg border border-slate-200 dark:border-slate-600 font-mono text-sm break-all">
-                          {managementData[selectedDomain.id].authCode}
-                        </div>
-                      ) : (
-                        <button
-                          onClick={handleGetAuthCode}
-                          className="btn-secondary w-full"
-                        >
-                          <Key className="w-4 h-4 mr-2" />
-                          Get Auth Code
-                        </button>
-                      )}
-                    </div>
-                  </div>
-
-                  <div className="p-4 bg-slate-50 dark:bg-slate-700/50 rounded-xl">
-                    <h4 className="font-medium text-slate-900 dark:text-slate-100 mb-2">Transfer Steps</h4>
-                    <ol className="text-sm text-slate-600 dark:text-slate-400 space-y-2 list-decimal list-inside">
-                      <li>Get the EPP auth code above (domain will be unlocked)</li>
-                      <li>Initiate a transfer at your new registrar</li>
-                      <li>Provide the auth code when requested</li>
-                      <li>Approve the transfer confirmation email</li>
-                      <li>Transfer typically completes within 5-7 days</li>
-                    </ol>
-                  </div>
+                  {/* Transfer to Another Registrar */}
+                  <TransferOutPanel
+                    domain={selectedDomain}
+                    onLockChange={(locked) => {
+                      setSelectedDomain(prev => ({ ...prev, lock_status: locked }));
+                      setDomains(prev => prev.map(d =>
+                        d.id === selectedDomain.id ? { ...d, lock_status: locked } : d
+                      ));
+                    }}
+                  />
 
                   {/* Push to Another User */}
                   <div className="p-4 bg-indigo-50 dark:bg-indigo-900/20 rounded-xl border border-indigo-200 dark:border-indigo-800">
@@ -1359,6 +1374,11 @@ function Dashboard() {
         domain={autoRenewSetupDomain}
         onSuccess={handleAutoRenewSetupSuccess}
       />
+
+      {/* Bulk DNS Modal */}
+      {showBulkDns && (
+        <BulkDnsModal onClose={() => setShowBulkDns(false)} />
+      )}
     </div>
   );
 }
@@ -0,0 +1,207 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Loader2, X, History, Eye, RotateCcw } from 'lucide-react';
+import { useAuth } from '../../App';
+import toast from 'react-hot-toast';
+
+const ACTION_LABELS = {
+  set_records: 'Records saved',
+  add_record: 'Record added',
+  delete_record: 'Record deleted',
+  import_zone: 'Zone file imported',
+  apply_template: 'Template applied',
+  set_url_forwarding: 'URL forwarding set',
+  disable_url_forwarding: 'URL forwarding disabled',
+  restore: 'Snapshot restored',
+  bulk_add: 'Bulk records added',
+  bulk_replace: 'Bulk records replaced',
+  bulk_delete: 'Bulk records deleted'
+};
+
+const describeRecord = (record) => {
+  const host = record.hostName || '@';
+  const priority = record.recordType === 'MX' ? `${record.mxPref} ` : '';
+  return `${host} ${record.recordType} ${priority}${record.address}`;
+};
+
+function DnsHistoryPanel({ domainId, basePath, isAdmin = false, onRestored, onClose }) {
+  const { token } = useAuth();
+  const [snapshots, setSnapshots] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [preview, setPreview] = useState(null);
+  const [loadingPreview, setLoadingPreview] = useState(null);
+  const [restoring, setRestoring] = useState(false);
+
+  const fetchHistory = useCallback(async () => {
+    setLoading(true);
+    try {
+      const res = await fetch(`${basePath}/${domainId}/dns/history`, {
+        headers: { 'Authorization': `Bearer ${token}` }
+      });
+      if (res.ok) {
+        setSnapshots(await res.json());
+      } else {
+        toast.error('Failed to load DNS history');
+      }
+    } catch (err) {
+      toast.error('Connection error');
+    }
+    setLoading(false);
+  }, [basePath, domainId, token]);
+
+  useEffect(() => {
+    fetchHistory();
+  }, [fetchHistory]);
+
+  const loadPreview = async (snapshotId) => {
+    setLoadingPreview(snapshotId);
+    try {
+      const res = await fetch(`${basePath}/${domainId}/dns/history/${snapshotId}`, {
+        headers: { 'Authorization': `Bearer ${token}` }
+      });
+      const data = await res.json();
+      if (res.ok) {
+        setPreview(data);
+      } else {
+        toast.error(data.error || 'Failed to load snapshot');
+      }
+    } catch (err) {
+      toast.error('Connection error');
+    }
+    setLoadingPreview(null);
+  };
+
+  const restore = async () => {
+    if (!window.confirm('Replace the current DNS records with this snapshot? The current records are saved to history first.')) return;
+
+    setRestoring(true);
+    try {
+      const res = await fetch(`${basePath}/${domainId}/dns/history/${preview.id}/restore`, {
+        method: 'POST',
+        headers: { 'Authorization': `Bearer ${token}` }
+      });
+      const data = await res.json();
+      if (res.ok) {
+        toast.success('DNS records restored');
+        setPreview(null);
+        fetchHistory();
+        onRestored();
+      } else {
+        toast.error(data.error || 'Failed to restore snapshot');
+      }
+    } catch (err) {
+      toast.error('Connection error');
+    }
+    setRestoring(false);
+  };
+
+  const changedBy = (snapshot) => {
+    if (!isAdmin) {
+      return snapshot.source === 'admin' ? 'Support' : 'Domain owner';
+    }
+    const user = snapshot.username || `User #${snapshot.user_id}`;
+    if (snapshot.impersonated_by) {
+      return `${snapshot.impersonated_by_username || `User #${snapshot.impersonated_by}`} as ${user}`;
+    }
+    return snapshot.source === 'admin' ? `${user} (staff)` : user;
+  };
+
+  return (
+    <div className="p-4 bg-slate-50 dark:bg-slate-700/50 rounded-xl space-y-4">
+      <div className="flex items-center justify-between">
+        <h4 className="text-sm font-semibold text-slate-900 dark:text-slate-100 flex items-center gap-2">
+          <History className="w-4 h-4" />
+          DNS Change History
+        </h4>
+        <button onClick={onClose} className="text-slate-400 hover:text-slate-600 dark:hover:text-slate-300">
+          <X className="w-4 h-4" />
+        </button>
+      </div>
+
+      <p className="text-xs text-slate-500 dark:text-slate-400">
+        The records as they were before each change. Restoring a snapshot replaces all current DNS records.
+      </p>
+
+      {loading ? (
+        <div className="flex justify-center py-4">
+          <Loader2 className="w-5 h-5 animate-spin text-slate-400" />
+        </div>
+      ) : snapshots.length === 0 ? (
+        <p className="text-sm text-slate-500 dark:text-slate-400">No DNS changes recorded yet.</p>
+      ) : (
+        <div className="max-h-72 overflow-y-auto">
+          <table className="w-full text-sm">
+            <thead>
+              <tr>
+                <th className="px-2 py-1 text-left text-xs font-medium text-slate-500 dark:text-slate-400 uppercase">Before</th>
+                <th className="px-2 py-1 text-left text-xs font-medium text-slate-500 dark:text-slate-400 uppercase">Changed By</th>
+                <th className="px-2 py-1 text-left text-xs font-medium text-slate-500 dark:text-slate-400 uppercase">When</th>
+                <th className="px-2 py-1 text-center text-xs font-medium text-slate-500 dark:text-slate-400 uppercase">Records</th>
+                <th className="px-2 py-1"></th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-slate-200 dark:divide-slate-600">
+              {snapshots.map(s => (
+                <tr key={s.id} className={preview?.id === s.id ? 'bg-indigo-50 dark:bg-indigo-900/20' : ''}>
+                  <td className="px-2 py-1.5 text-slate-900 dark:text-slate-100">{ACTION_LABELS[s.action] || s.action}</td>
+                  <td className="px-2 py-1.5 text-slate-600 dark:text-slate-400">{changedBy(s)}</td>
+                  <td className="px-2 py-1.5 text-slate-600 dark:text-slate-400 whitespace-nowrap">{new Date(s.created_at).toLocaleString()}</td>
+                  <td className="px-2 py-1.5 text-center text-slate-600 dark:text-slate-400">{s.record_count}</td>
+                  <td className="px-2 py-1.5 text-right">
+                    <button
+                      onClick={() => loadPreview(s.id)}
+                      disabled={loadingPreview === s.id}
+                      className="text-xs text-indigo-600 dark:text-indigo-400 hover:text-indigo-700 flex items-center gap-1 ml-auto"
+                    >
+                      {loadingPreview === s.id ? <Loader2 className="w-3 h-3 animate-spin" /> : <Eye className="w-3 h-3" />}
+                      View
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {preview && (
+        <div className="space-y-3 text-sm">
+          <div className="flex flex-wrap gap-4 text-slate-600 dark:text-slate-400">
+            <span>Restoring the snapshot from {new Date(preview.created_at).toLocaleString()}:</span>
+            <span><strong className="text-green-600">{preview.diff.added.length}</strong> to add</span>
+            <span><strong className="text-red-600">{preview.diff.removed.length}</strong> to remove</span>
+            <span><strong>{preview.diff.unchanged}</strong> unchanged</span>
+          </div>
+
+          {preview.diff.added.length > 0 || preview.diff.removed.length > 0 ? (
+            <div className="font-mono text-xs bg-white dark:bg-slate-800 rounded-lg p-3 max-h-60 overflow-y-auto space-y-0.5">
+              {preview.diff.added.map((r, i) => (
+                <div key={`a${i}`} className="text-green-700 dark:text-green-400 break-all">+ {describeRecord(r)}</div>
+              ))}
+              {preview.diff.removed.map((r, i) => (
+                <div key={`r${i}`} className="text-red-700 dark:text-red-400 break-all">- {describeRecord(r)}</div>
+              ))}
+            </div>
+          ) : (
+            <p className="text-xs text-slate-500 dark:text-slate-400">The current records already match this snapshot.</p>
+          )}
+
+          <div className="flex gap-2">
+            <button onClick={() => setPreview(null)} className="btn-secondary flex-1">
+              Cancel
+            </button>
+            <button
+              onClick={restore}
+              disabled={restoring || (preview.diff.added.length === 0 && preview.diff.removed.length === 0)}
+              className="btn-primary flex-1"
+            >
+              {restoring ? <Loader2 className="w-4 h-4 mr-2 animate-spin" /> : <RotateCcw className="w-4 h-4 mr-2" />}
+              Restore Snapshot
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default DnsHistoryPanel;
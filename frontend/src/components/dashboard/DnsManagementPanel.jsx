@@ -1,10 +1,33 @@
 import React, { useState, useEffect } from 'react';
-import { Server, Loader2, AlertCircle, Plus, Trash2, Save, RefreshCw, Info, RotateCcw } from 'lucide-react';
+import { Server, Loader2, AlertCircle, Plus, Trash2, Save, RefreshCw, Info, RotateCcw, Download, Upload, LayoutTemplate, History } from 'lucide-react';
 import { useAuth } from '../../App';
 import { API_URL } from '../../config/api';
 import toast from 'react-hot-toast';
-
-const RECORD_TYPES = ['A', 'AAAA', 'CNAME', 'MX', 'TXT'];
+import ZoneFileImport from './ZoneFileImport';
+import DnsTemplateApply from './DnsTemplateApply';
+import DnsHistoryPanel from './DnsHistoryPanel';
+
+const RECORD_TYPES = ['A', 'AAAA', 'CNAME', 'MX', 'TXT', 'SRV', 'CAA', 'NS'];
+
+const CAA_TAGS = ['issue', 'issuewild', 'iodef'];
+
+const EMPTY_RECORD = {
+  hostName: '',
+  recordType: 'A',
+  address: '',
+  mxPref: 10,
+  // SRV
+  priority: 10,
+  weight: 5,
+  port: '',
+  target: '',
+  // CAA
+  flags: 0,
+  tag: 'issue',
+  value: ''
+};
+
+const isInRange = (value, max) => /^\d+$/.test(String(value).trim()) && parseInt(value) <= max;
 
 // eNom default nameservers (required for DNS hosting to work)
 const DEFAULT_NAMESERVERS = [
@@ -27,14 +50,14 @@ function DnsManagementPanel({ domainId, domainName, tld, nameservers, isAdmin =
   const [forwardingActive, setForwardingActive] = useState(false);
   const [forwardingUrl, setForwardingUrl] = useState(null);
 
+  const [exporting, setExporting] = useState(false);
+  const [showImport, setShowImport] = useState(false);
+  const [showTemplates, setShowTemplates] = useState(false);
+  const [showHistory, setShowHistory] = useState(false);
+
   // New record form
   const [showAddForm, setShowAddForm] = useState(false);
-  const [newRecord, setNewRecord] = useState({
-    hostName: '',
-    recordType: 'A',
-    address: '',
-    mxPref: 10
-  });
+  const [newRecord, setNewRecord] = useState(EMPTY_RECORD);
 
   // Check if using eNom nameservers (required for DNS management)
   const isUsingEnomNS = React.useMemo(() => {
@@ -142,10 +165,83 @@ function DnsManagementPanel({ domainId, domainName, tld, nameservers, isAdmin =
     setLoading(false);
   };
 
+  const handleExportZone = async () => {
+    setExporting(true);
+    try {
+      const res = await fetch(`${basePath}/${domainId}/dns/export`, {
+        headers: { 'Authorization': `Bearer ${token}` }
+      });
+
+      if (res.ok) {
+        const blob = await res.blob();
+        const url = window.URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `${domainName}.${tld}.zone`;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        window.URL.revokeObjectURL(url);
+      } else {
+        const data = await res.json();
+        toast.error(data.error || 'Failed to export zone file');
+      }
+    } catch (err) {
+      toast.error('Connection error');
+    }
+    setExporting(false);
+  };
+
   const handleAddRecord = async (e) => {
     e.preventDefault();
 
-    if (!newRecord.address.trim()) {
+    const hostName = newRecord.hostName.trim() || '@';
+    let payload = {
+      hostName,
+      recordType: newRecord.recordType,
+      address: newRecord.address.trim(),
+      mxPref: newRecord.recordType === 'MX' ? parseInt(newRecord.mxPref) : undefined
+    };
+
+    // SRV and CAA are entered as separate fields; the backend builds the value
+    if (newRecord.recordType === 'SRV') {
+      if (!/^_[a-z0-9-]+\._(tcp|udp|tls|sctp)(\..+)?$/i.test(hostName)) {
+        toast.error('SRV host name must look like _service._protocol (e.g. _sip._tls)');
+        return;
+      }
+      if (!isInRange(newRecord.priority, 65535) || !isInRange(newRecord.weight, 65535) || !isInRange(newRecord.port, 65535)) {
+        toast.error('Priority, weight and port must be numbers between 0 and 65535');
+        return;
+      }
+      if (!newRecord.target.trim().includes('.')) {
+        toast.error('Please enter a valid target hostname');
+        return;
+      }
+      payload = {
+        hostName,
+        recordType: 'SRV',
+        priority: parseInt(newRecord.priority),
+        weight: parseInt(newRecord.weight),
+        port: parseInt(newRecord.port),
+        target: newRecord.target.trim()
+      };
+    } else if (newRecord.recordType === 'CAA') {
+      if (!isInRange(newRecord.flags, 255)) {
+        toast.error('Flags must be a number between 0 and 255');
+        return;
+      }
+      if (!newRecord.value.trim()) {
+        toast.error(newRecord.tag === 'iodef' ? 'Please enter a mailto: or https:// URL' : 'Please enter a CA domain (e.g. letsencrypt.org)');
+        return;
+      }
+      payload = {
+        hostName,
+        recordType: 'CAA',
+        flags: parseInt(newRecord.flags),
+        tag: newRecord.tag,
+        value: newRecord.value.trim()
+      };
+    } else if (!newRecord.address.trim()) {
       toast.error('Please enter a value for the record');
       return;
     }
@@ -169,6 +265,15 @@ function DnsManagementPanel({ domainId, domainName, tld, nameservers, isAdmin =
         toast.error('Please enter a valid hostname');
         return;
       }
+    } else if (newRecord.recordType === 'NS') {
+      if (hostName === '@') {
+        toast.error('NS records delegate a subdomain. Use the Nameservers tab for the domain itself');
+        return;
+      }
+      if (!newRecord.address.includes('.')) {
+        toast.error('Please enter a valid nameserver hostname');
+        return;
+      }
     }
 
     setSaving(true);
@@ -179,17 +284,12 @@ function DnsManagementPanel({ domainId, domainName, tld, nameservers, isAdmin =
           'Content-Type': 'application/json',
           'Authorization': `Bearer ${token}`
         },
-        body: JSON.stringify({
-          hostName: newRecord.hostName.trim() || '@',
-          recordType: newRecord.recordType,
-          address: newRecord.address.trim(),
-          mxPref: newRecord.recordType === 'MX' ? parseInt(newRecord.mxPref) : undefined
-        })
+        body: JSON.stringify(payload)
       });
 
       if (res.ok) {
         toast.success('DNS record added');
-        setNewRecord({ hostName: '', recordType: 'A', address: '', mxPref: 10 });
+        setNewRecord(EMPTY_RECORD);
         setShowAddForm(false);
         fetchRecords();
       } else {
@@ -232,6 +332,9 @@ function DnsManagementPanel({ domainId, domainName, tld, nameservers, isAdmin =
       case 'CNAME': return 'Alias to another hostname';
       case 'MX': return 'Mail server for receiving email';
       case 'TXT': return 'Text record (SPF, DKIM, verification)';
+      case 'SRV': return 'Service location (Microsoft 365, SIP, XMPP)';
+      case 'CAA': return 'Which certificate authorities may issue certificates';
+      case 'NS': return 'Delegate a subdomain to other nameservers';
       default: return '';
     }
   };
@@ -345,7 +448,40 @@ function DnsManagementPanel({ domainId, domainName, tld, nameservers, isAdmin =
             <Server className="w-4 h-4" />
             DNS Records ({records.length})
           </h4>
-          <div className="flex gap-2">
+          <div className="flex gap-3">
+            <button
+              onClick={() => setShowTemplates(!showTemplates)}
+              className="text-sm text-slate-500 hover:text-slate-700 dark:hover:text-slate-300 flex items-center gap-1"
+              title="Apply records for Google Workspace, Microsoft 365, Shopify and more"
+            >
+              <LayoutTemplate className="w-4 h-4" />
+              Templates
+            </button>
+            <button
+              onClick={handleExportZone}
+              disabled={exporting}
+              className="text-sm text-slate-500 hover:text-slate-700 dark:hover:text-slate-300 flex items-center gap-1 disabled:opacity-50"
+              title="Download as a BIND zone file"
+            >
+              {exporting ? <Loader2 className="w-4 h-4 animate-spin" /> : <Download className="w-4 h-4" />}
+              Export
+            </button>
+            <button
+              onClick={() => setShowImport(!showImport)}
+              className="text-sm text-slate-500 hover:text-slate-700 dark:hover:text-slate-300 flex items-center gap-1"
+              title="Import a BIND zone file"
+            >
+              <Upload className="w-4 h-4" />
+              Import
+            </button>
+            <button
+              onClick={() => setShowHistory(!showHistory)}
+              className="text-sm text-slate-500 hover:text-slate-700 dark:hover:text-slate-300 flex items-center gap-1"
+              title="View earlier record sets and roll back"
+            >
+              <History className="w-4 h-4" />
+              History
+            </button>
             <button
               onClick={fetchRecords}
               className="text-sm text-slate-500 hover:text-slate-700 dark:hover:text-slate-300 flex items-center gap-1"
@@ -388,16 +524,21 @@ function DnsManagementPanel({ domainId, domainName, tld, nameservers, isAdmin =
                         record.recordType === 'CNAME' ? 'bg-blue-100 text-blue-700 dark:bg-blue-900/30 dark:text-blue-400' :
                         record.recordType === 'MX' ? 'bg-amber-100 text-amber-700 dark:bg-amber-900/30 dark:text-amber-400' :
                         record.recordType === 'TXT' ? 'bg-slate-100 text-slate-700 dark:bg-slate-700 dark:text-slate-300' :
+                        record.recordType === 'SRV' ? 'bg-cyan-100 text-cyan-700 dark:bg-cyan-900/30 dark:text-cyan-400' :
+                        record.recordType === 'CAA' ? 'bg-rose-100 text-rose-700 dark:bg-rose-900/30 dark:text-rose-400' :
+                        record.recordType === 'NS' ? 'bg-indigo-100 text-indigo-700 dark:bg-indigo-900/30 dark:text-indigo-400' :
                         'bg-slate-100 text-slate-700'
                       }`}>
                         {record.recordType}
                       </span>
                     </td>
                     <td className="px-3 py-2 font-mono text-slate-600 dark:text-slate-400 max-w-[200px] truncate" title={record.address}>
-                      {record.address}
+                      {record.recordType === 'SRV' && record.target
+                        ? `${record.target}:${record.port} (weight ${record.weight})`
+                        : record.address}
                     </td>
                     <td className="px-3 py-2 text-center text-slate-600 dark:text-slate-400">
-                      {record.recordType === 'MX' ? record.mxPref : '-'}
+                      {record.recordType === 'MX' ? record.mxPref : record.recordType === 'SRV' ? record.priority : '-'}
                     </td>
                     <td className="px-3 py-2 text-right">
                       <button
@@ -421,6 +562,44 @@ function DnsManagementPanel({ domainId, domainName, tld, nameservers, isAdmin =
         )}
       </div>
 
+      {showHistory && (
+        <DnsHistoryPanel
+          domainId={domainId}
+          basePath={basePath}
+          isAdmin={isAdmin}
+          onRestored={fetchRecords}
+          onClose={() => setShowHistory(false)}
+        />
+      )}
+
+      {showTemplates && (
+        <DnsTemplateApply
+          domainId={domainId}
+          domainName={domainName}
+          tld={tld}
+          basePath={basePath}
+          onApplied={() => {
+            setShowTemplates(false);
+            fetchRecords();
+          }}
+          onClose={() => setShowTemplates(false)}
+        />
+      )}
+
+      {showImport && (
+        <ZoneFileImport
+          domainId={domainId}
+          domainName={domainName}
+          tld={tld}
+          basePath={basePath}
+          onApplied={() => {
+            setShowImport(false);
+            fetchRecords();
+          }}
+          onClose={() => setShowImport(false)}
+        />
+      )}
+
       {/* Add Record Button / Form */}
       {!showAddForm ? (
         <button
@@ -443,11 +622,19 @@ function DnsManagementPanel({ domainId, domainName, tld, nameservers, isAdmin =
                 type="text"
                 value={newRecord.hostName}
                 onChange={(e) => setNewRecord(prev => ({ ...prev, hostName: e.target.value }))}
-                placeholder="@ for root, or subdomain"
+                placeholder={
+                  newRecord.recordType === 'SRV' ? '_sip._tls' :
+                  newRecord.recordType === 'NS' ? 'subdomain' :
+                  '@ for root, or subdomain'
+                }
                 className="input w-full font-mono"
               />
               <p className="text-xs text-slate-500 mt-1">
-                Leave blank or use @ for {domainName}.{tld}
+                {newRecord.recordType === 'SRV'
+                  ? 'Service and protocol, e.g. _autodiscover._tcp'
+                  : newRecord.recordType === 'NS'
+                    ? `Subdomain of ${domainName}.${tld} to delegate`
+                    : `Leave blank or use @ for ${domainName}.${tld}`}
               </p>
             </div>
 
@@ -469,24 +656,108 @@ function DnsManagementPanel({ domainId, domainName, tld, nameservers, isAdmin =
               </p>
             </div>
 
-            <div className={newRecord.recordType === 'MX' ? 'sm:col-span-1' : 'sm:col-span-2'}>
-              <label className="block text-sm font-medium text-slate-700 dark:text-slate-300 mb-1">
-                Value
-              </label>
-              <input
-                type="text"
-                value={newRecord.address}
-                onChange={(e) => setNewRecord(prev => ({ ...prev, address: e.target.value }))}
-                placeholder={
-                  newRecord.recordType === 'A' ? '192.0.2.1' :
-                  newRecord.recordType === 'AAAA' ? '2001:db8::1' :
-                  newRecord.recordType === 'CNAME' ? 'target.example.com' :
-                  newRecord.recordType === 'MX' ? 'mail.example.com' :
-                  'v=spf1 include:_spf.google.com ~all'
-                }
-                className="input w-full font-mono"
-              />
-            </div>
+            {newRecord.recordType === 'SRV' && (
+              <>
+                <div>
+                  <label className="block text-sm font-medium text-slate-700 dark:text-slate-300 mb-1">
+                    Target
+                  </label>
+                  <input
+                    type="text"
+                    value={newRecord.target}
+                    onChange={(e) => setNewRecord(prev => ({ ...prev, target: e.target.value }))}
+                    placeholder="sipdir.online.lync.com"
+                    className="input w-full font-mono"
+                  />
+                </div>
+                <div className="grid grid-cols-3 gap-2">
+                  {['priority', 'weight', 'port'].map(field => (
+                    <div key={field}>
+                      <label className="block text-sm font-medium text-slate-700 dark:text-slate-300 mb-1 capitalize">
+                        {field}
+                      </label>
+                      <input
+                        type="number"
+                        min="0"
+                        max="65535"
+                        value={newRecord[field]}
+                        onChange={(e) => setNewRecord(prev => ({ ...prev, [field]: e.target.value }))}
+                        placeholder={field === 'port' ? '443' : ''}
+                        className="input w-full"
+                      />
+                    </div>
+                  ))}
+                </div>
+              </>
+            )}
+
+            {newRecord.recordType === 'CAA' && (
+              <>
+                <div className="grid grid-cols-2 gap-2">
+                  <div>
+                    <label className="block text-sm font-medium text-slate-700 dark:text-slate-300 mb-1">
+                      Flags
+                    </label>
+                    <input
+                      type="number"
+                      min="0"
+                      max="255"
+                      value={newRecord.flags}
+                      onChange={(e) => setNewRecord(prev => ({ ...prev, flags: e.target.value }))}
+                      className="input w-full"
+                    />
+                  </div>
+                  <div>
+                    <label className="block text-sm font-medium text-slate-700 dark:text-slate-300 mb-1">
+                      Tag
+                    </label>
+                    <select
+                      value={newRecord.tag}
+                      onChange={(e) => setNewRecord(prev => ({ ...prev, tag: e.target.value }))}
+                      className="input w-full"
+                    >
+                      {CAA_TAGS.map(tag => (
+                        <option key={tag} value={tag}>{tag}</option>
+                      ))}
+                    </select>
+                  </div>
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-slate-700 dark:text-slate-300 mb-1">
+                    Value
+                  </label>
+                  <input
+                    type="text"
+                    value={newRecord.value}
+                    onChange={(e) => setNewRecord(prev => ({ ...prev, value: e.target.value }))}
+                    placeholder={newRecord.tag === 'iodef' ? 'mailto:security@example.com' : 'letsencrypt.org'}
+                    className="input w-full font-mono"
+                  />
+                </div>
+              </>
+            )}
+
+            {!['SRV', 'CAA'].includes(newRecord.recordType) && (
+              <div className={newRecord.recordType === 'MX' ? 'sm:col-span-1' : 'sm:col-span-2'}>
+                <label className="block text-sm font-medium text-slate-700 dark:text-slate-300 mb-1">
+                  Value
+                </label>
+                <input
+                  type="text"
+                  value={newRecord.address}
+                  onChange={(e) => setNewRecord(prev => ({ ...prev, address: e.target.value }))}
+                  placeholder={
+                    newRecord.recordType === 'A' ? '192.0.2.1' :
+                    newRecord.recordType === 'AAAA' ? '2001:db8::1' :
+                    newRecord.recordType === 'CNAME' ? 'target.example.com' :
+                    newRecord.recordType === 'MX' ? 'mail.example.com' :
+                    newRecord.recordType === 'NS' ? 'ns1.otherprovider.com' :
+                    'v=spf1 include:_spf.google.com ~all'
+                  }
+                  className="input w-full font-mono"
+                />
+              </div>
+            )}
 
             {newRecord.recordType === 'MX' && (
               <div>
@@ -530,7 +801,7 @@ function DnsManagementPanel({ domainId, domainName, tld, nameservers, isAdmin =
               type="button"
               onClick={() => {
                 setShowAddForm(false);
-                setNewRecord({ hostName: '', recordType: 'A', address: '', mxPref: 10 });
+                setNewRecord(EMPTY_RECORD);
               }}
               className="btn-secondary"
             >
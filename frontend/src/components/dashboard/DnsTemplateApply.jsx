@@ -0,0 +1,249 @@
+import React, { useState, useEffect } from 'react';
+import { Loader2, Eye, Check, X, AlertTriangle, AlertCircle, LayoutTemplate } from 'lucide-react';
+import { useAuth } from '../../App';
+import toast from 'react-hot-toast';
+
+const describeRecord = (record) => {
+  const host = record.hostName || '@';
+  const priority = record.recordType === 'MX' ? `${record.mxPref} ` : '';
+  return `${host} ${record.recordType} ${priority}${record.address}`;
+};
+
+function DnsTemplateApply({ domainId, domainName, tld, basePath, onApplied, onClose }) {
+  const { token } = useAuth();
+  const [templates, setTemplates] = useState([]);
+  const [loadingTemplates, setLoadingTemplates] = useState(true);
+  const [selectedId, setSelectedId] = useState(null);
+  const [values, setValues] = useState({});
+  const [mode, setMode] = useState('merge');
+  const [preview, setPreview] = useState(null);
+  const [loading, setLoading] = useState(false);
+
+  useEffect(() => {
+    const fetchTemplates = async () => {
+      try {
+        const res = await fetch(`${basePath}/${domainId}/dns/templates`, {
+          headers: { 'Authorization': `Bearer ${token}` }
+        });
+        if (res.ok) {
+          setTemplates(await res.json());
+        } else {
+          toast.error('Failed to load DNS templates');
+        }
+      } catch (err) {
+        toast.error('Connection error');
+      }
+      setLoadingTemplates(false);
+    };
+    fetchTemplates();
+  }, [basePath, domainId, token]);
+
+  const selected = templates.find(t => t.id === selectedId);
+
+  const selectTemplate = (id) => {
+    setSelectedId(id);
+    setValues({});
+    setPreview(null);
+  };
+
+  const submit = async (apply) => {
+    setLoading(true);
+    try {
+      const res = await fetch(`${basePath}/${domainId}/dns/templates/${selectedId}`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${token}`
+        },
+        body: JSON.stringify({ values, mode, apply })
+      });
+      const data = await res.json();
+
+      if (data.diff) {
+        setPreview(data);
+      }
+
+      if (!res.ok) {
+        toast.error(data.error || 'Failed to apply template');
+      } else if (data.applied) {
+        toast.success(`${selected.name} applied: ${data.diff.added.length} added, ${data.diff.removed.length} removed`);
+        onApplied();
+      }
+    } catch (err) {
+      toast.error('Connection error');
+    }
+    setLoading(false);
+  };
+
+  return (
+    <div className="p-4 bg-slate-50 dark:bg-slate-700/50 rounded-xl space-y-4">
+      <div className="flex items-center justify-between">
+        <h4 className="text-sm font-semibold text-slate-900 dark:text-slate-100">Apply DNS Template</h4>
+        <button onClick={onClose} className="text-slate-400 hover:text-slate-600 dark:hover:text-slate-300">
+          <X className="w-4 h-4" />
+        </button>
+      </div>
+
+      {loadingTemplates ? (
+        <div className="flex justify-center py-4">
+          <Loader2 className="w-5 h-5 animate-spin text-slate-400" />
+        </div>
+      ) : templates.length === 0 ? (
+        <p className="text-sm text-slate-500 dark:text-slate-400">No DNS templates are available.</p>
+      ) : (
+        <div className="grid grid-cols-2 md:grid-cols-3 gap-2">
+          {templates.map(t => (
+            <button
+              key={t.id}
+              onClick={() => selectTemplate(t.id)}
+              className={`p-3 text-left rounded-lg border transition-colors ${
+                selectedId === t.id
+                  ? 'border-indigo-500 bg-indigo-50 dark:bg-indigo-900/20'
+                  : 'border-slate-200 dark:border-slate-600 bg-white dark:bg-slate-800 hover:border-slate-300'
+              }`}
+            >
+              <p className="text-sm font-medium text-slate-900 dark:text-slate-100 flex items-center gap-1.5">
+                <LayoutTemplate className="w-4 h-4 text-slate-400" />
+                {t.name}
+              </p>
+              <p className="text-xs text-slate-500 dark:text-slate-400 capitalize">{t.category}</p>
+            </button>
+          ))}
+        </div>
+      )}
+
+      {selected && (
+        <div className="space-y-3">
+          {selected.description && (
+            <p className="text-xs text-slate-500 dark:text-slate-400">{selected.description}</p>
+          )}
+
+          {selected.variables.map(v => (
+            <div key={v.key}>
+              <label className="block text-xs font-medium text-slate-500 dark:text-slate-400 mb-1">
+                {v.label}{v.required && <span className="text-red-500"> *</span>}
+              </label>
+              <input
+                type="text"
+                value={values[v.key] || ''}
+                onChange={(e) => {
+                  setValues({ ...values, [v.key]: e.target.value });
+                  setPreview(null);
+                }}
+                placeholder={v.placeholder}
+                className="input w-full text-sm font-mono"
+              />
+            </div>
+          ))}
+
+          <div className="flex flex-wrap gap-4 text-sm text-slate-700 dark:text-slate-300">
+            <label className="flex items-center gap-2">
+              <input
+                type="radio"
+                checked={mode === 'merge'}
+                onChange={() => {
+                  setMode('merge');
+                  setPreview(null);
+                }}
+              />
+              Merge with existing records
+            </label>
+            <label className="flex items-center gap-2">
+              <input
+                type="radio"
+                checked={mode === 'replace'}
+                onChange={() => {
+                  setMode('replace');
+                  setPreview(null);
+                }}
+              />
+              Replace all DNS records
+            </label>
+          </div>
+        </div>
+      )}
+
+      {preview && (
+        <div className="space-y-3 text-sm">
+          <div className="flex flex-wrap gap-4 text-slate-600 dark:text-slate-400">
+            <span><strong className="text-green-600">{preview.diff.added.length}</strong> to add</span>
+            <span><strong className="text-red-600">{preview.diff.removed.length}</strong> to remove</span>
+            <span><strong>{preview.diff.unchanged}</strong> unchanged</span>
+            <span><strong>{preview.recordCount}</strong> records after applying</span>
+            {preview.skipped > 0 && <span><strong>{preview.skipped}</strong> skipped (optional values left blank)</span>}
+          </div>
+
+          {(preview.diff.added.length > 0 || preview.diff.removed.length > 0) && (
+            <div className="font-mono text-xs bg-white dark:bg-slate-800 rounded-lg p-3 max-h-60 overflow-y-auto space-y-0.5">
+              {preview.diff.added.map((r, i) => (
+                <div key={`a${i}`} className="text-green-700 dark:text-green-400 break-all">+ {describeRecord(r)}</div>
+              ))}
+              {preview.diff.removed.map((r, i) => (
+                <div key={`r${i}`} className="text-red-700 dark:text-red-400 break-all">- {describeRecord(r)}</div>
+              ))}
+            </div>
+          )}
+
+          {preview.conflicts.length > 0 && (
+            <div className="p-3 bg-amber-50 dark:bg-amber-900/20 rounded-lg border border-amber-200 dark:border-amber-800">
+              <p className="font-medium text-amber-800 dark:text-amber-300 flex items-center gap-2 mb-1">
+                <AlertTriangle className="w-4 h-4" />
+                Conflicting records that will be removed ({preview.conflicts.length})
+              </p>
+              <ul className="text-xs text-amber-700 dark:text-amber-400 space-y-1">
+                {preview.conflicts.map((c, i) => (
+                  <li key={i}>
+                    <span className="font-mono">{describeRecord(c.record)}</span> - {c.reason}
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+
+          {preview.errors.length > 0 && (
+            <div className="p-3 bg-red-50 dark:bg-red-900/20 rounded-lg border border-red-200 dark:border-red-800">
+              <p className="font-medium text-red-800 dark:text-red-300 flex items-center gap-2 mb-1">
+                <AlertCircle className="w-4 h-4" />
+                Errors ({preview.errors.length})
+              </p>
+              <ul className="text-xs text-red-700 dark:text-red-400 space-y-1">
+                {preview.errors.map((e, i) => (
+                  <li key={i}>{e.message}</li>
+                ))}
+              </ul>
+            </div>
+          )}
+        </div>
+      )}
+
+      {selected && (
+        <div className="flex gap-2">
+          <button
+            onClick={() => submit(false)}
+            disabled={loading}
+            className="btn-secondary flex-1"
+          >
+            {loading ? <Loader2 className="w-4 h-4 mr-2 animate-spin" /> : <Eye className="w-4 h-4 mr-2" />}
+            Preview Changes
+          </button>
+          <button
+            onClick={() => {
+              const message = mode === 'replace'
+                ? `Replace all DNS records for ${domainName}.${tld} with ${selected.name}?`
+                : `Apply ${selected.name} to ${domainName}.${tld}?`;
+              if (!window.confirm(message)) return;
+              submit(true);
+            }}
+            disabled={loading || !preview || preview.errors.length > 0}
+            className="btn-primary flex-1"
+          >
+            {loading ? <Loader2 className="w-4 h-4 mr-2 animate-spin" /> : <Check className="w-4 h-4 mr-2" />}
+            Apply Template
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default DnsTemplateApply;
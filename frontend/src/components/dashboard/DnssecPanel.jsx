@@ -0,0 +1,345 @@
+import React, { useState, useEffect } from 'react';
+import { ShieldCheck, Loader2, AlertCircle, Plus, Trash2, Save, RefreshCw, Info } from 'lucide-react';
+import { useAuth } from '../../App';
+import { API_URL } from '../../config/api';
+import toast from 'react-hot-toast';
+
+// Mirrors backend/utils/dnssec.js
+const ALGORITHMS = {
+  8: 'RSA/SHA-256',
+  10: 'RSA/SHA-512',
+  13: 'ECDSA P-256/SHA-256',
+  14: 'ECDSA P-384/SHA-384',
+  15: 'Ed25519',
+  16: 'Ed448'
+};
+
+const DIGEST_TYPES = {
+  2: { name: 'SHA-256', length: 64 },
+  4: { name: 'SHA-384', length: 96 }
+};
+
+const EMPTY_RECORD = { keyTag: '', algorithm: '13', digestType: '2', digest: '' };
+
+function DnssecPanel({ domainId, domainName, tld, isAdmin = false, readOnly = false }) {
+  const { token } = useAuth();
+  const basePath = isAdmin ? `${API_URL}/admin/domains` : `${API_URL}/domains`;
+  const [records, setRecords] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const [deleting, setDeleting] = useState(null);
+
+  // New record form
+  const [showAddForm, setShowAddForm] = useState(false);
+  const [newRecord, setNewRecord] = useState(EMPTY_RECORD);
+
+  useEffect(() => {
+    fetchRecords();
+  }, [domainId]); // eslint-disable-line react-hooks/exhaustive-deps
+
+  const fetchRecords = async () => {
+    setLoading(true);
+    setError(null);
+    try {
+      const res = await fetch(`${basePath}/${domainId}/dnssec`, {
+        headers: { 'Authorization': `Bearer ${token}` }
+      });
+      const data = await res.json();
+
+      if (res.ok) {
+        setRecords(data.records || []);
+      } else {
+        setError(data.error || 'Failed to load DNSSEC records');
+      }
+    } catch (err) {
+      setError('Connection error');
+    }
+    setLoading(false);
+  };
+
+  const handleAddRecord = async (e) => {
+    e.preventDefault();
+
+    const keyTag = parseInt(newRecord.keyTag);
+    if (!/^\d+$/.test(newRecord.keyTag.trim()) || keyTag > 65535) {
+      toast.error('Key tag must be a number between 0 and 65535');
+      return;
+    }
+
+    const digest = newRecord.digest.replace(/\s+/g, '').toUpperCase();
+    const expected = DIGEST_TYPES[newRecord.digestType];
+    if (!/^[0-9A-F]+$/.test(digest)) {
+      toast.error('Digest must be a hexadecimal string');
+      return;
+    }
+    if (digest.length !== expected.length) {
+      toast.error(`${expected.name} digest must be ${expected.length} hex characters (got ${digest.length})`);
+      return;
+    }
+
+    setSaving(true);
+    try {
+      const res = await fetch(`${basePath}/${domainId}/dnssec`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${token}`
+        },
+        body: JSON.stringify({
+          keyTag,
+          algorithm: parseInt(newRecord.algorithm),
+          digestType: parseInt(newRecord.digestType),
+          digest
+        })
+      });
+
+      if (res.ok) {
+        toast.success('DS record added');
+        setNewRecord(EMPTY_RECORD);
+        setShowAddForm(false);
+        fetchRecords();
+      } else {
+        const data = await res.json();
+        toast.error(data.error || 'Failed to add DS record');
+      }
+    } catch (err) {
+      toast.error('Connection error');
+    }
+    setSaving(false);
+  };
+
+  const recordKey = (record) => `${record.keyTag}/${record.algorithm}/${record.digestType}/${record.digest}`;
+
+  const handleDeleteRecord = async (record) => {
+    if (!window.confirm('Remove this DS record? If the zone is still signed with this key, validating resolvers may fail to resolve the domain until a matching DS record is published.')) return;
+
+    const key = recordKey(record);
+    setDeleting(key);
+    try {
+      const res = await fetch(`${basePath}/${domainId}/dnssec/${key}`, {
+        method: 'DELETE',
+        headers: { 'Authorization': `Bearer ${token}` }
+      });
+
+      if (res.ok) {
+        toast.success('DS record removed');
+        fetchRecords();
+      } else {
+        const data = await res.json();
+        toast.error(data.error || 'Failed to remove DS record');
+      }
+    } catch (err) {
+      toast.error('Connection error');
+    }
+    setDeleting(null);
+  };
+
+  if (loading) {
+    return (
+      <div className="flex items-center justify-center py-8">
+        <Loader2 className="w-6 h-6 animate-spin text-indigo-600" />
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-4">
+      <div className="p-4 bg-blue-50 dark:bg-blue-900/20 rounded-xl border border-blue-200 dark:border-blue-800 flex items-start gap-3">
+        <Info className="w-5 h-5 text-blue-500 flex-shrink-0 mt-0.5" />
+        <p className="text-sm text-blue-700 dark:text-blue-400">
+          DS records link <span className="font-mono">{domainName}.{tld}</span> to the DNSSEC keys used by your DNS provider.
+          Copy the DS values from your DNS host exactly. An incorrect record can make the domain unreachable for validating resolvers.
+        </p>
+      </div>
+
+      {error && (
+        <div className="p-4 bg-red-50 dark:bg-red-900/20 rounded-xl border border-red-200 dark:border-red-800 flex items-center gap-2">
+          <AlertCircle className="w-5 h-5 text-red-500" />
+          <p className="text-sm text-red-700 dark:text-red-400">{error}</p>
+        </div>
+      )}
+
+      {/* Records List */}
+      <div className="space-y-2">
+        <div className="flex items-center justify-between">
+          <h4 className="text-sm font-semibold text-slate-900 dark:text-slate-100 flex items-center gap-2">
+            <ShieldCheck className="w-4 h-4" />
+            DNSSEC DS Records ({records.length})
+          </h4>
+          <button
+            onClick={fetchRecords}
+            className="text-sm text-slate-500 hover:text-slate-700 dark:hover:text-slate-300 flex items-center gap-1"
+          >
+            <RefreshCw className="w-4 h-4" />
+            Refresh
+          </button>
+        </div>
+
+        {records.length === 0 ? (
+          <div className="p-6 bg-slate-50 dark:bg-slate-700/50 rounded-xl text-center">
+            <ShieldCheck className="w-8 h-8 text-slate-400 mx-auto mb-2" />
+            <p className="text-sm text-slate-500 dark:text-slate-400">
+              DNSSEC is not enabled (no DS records published)
+            </p>
+          </div>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="w-full text-sm">
+              <thead className="bg-slate-50 dark:bg-slate-700/50">
+                <tr>
+                  <th className="px-3 py-2 text-left text-xs font-medium text-slate-500 dark:text-slate-400 uppercase">Key Tag</th>
+                  <th className="px-3 py-2 text-left text-xs font-medium text-slate-500 dark:text-slate-400 uppercase">Algorithm</th>
+                  <th className="px-3 py-2 text-left text-xs font-medium text-slate-500 dark:text-slate-400 uppercase">Digest Type</th>
+                  <th className="px-3 py-2 text-left text-xs font-medium text-slate-500 dark:text-slate-400 uppercase">Digest</th>
+                  {!readOnly && <th className="px-3 py-2 text-right text-xs font-medium text-slate-500 dark:text-slate-400 uppercase">Actions</th>}
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-slate-200 dark:divide-slate-700">
+                {records.map((record) => (
+                  <tr key={recordKey(record)} className="hover:bg-slate-50 dark:hover:bg-slate-700/30">
+                    <td className="px-3 py-2 font-mono text-slate-900 dark:text-slate-100">{record.keyTag}</td>
+                    <td className="px-3 py-2 text-slate-600 dark:text-slate-400">
+                      {record.algorithm} <span className="text-xs text-slate-400">{ALGORITHMS[record.algorithm] || ''}</span>
+                    </td>
+                    <td className="px-3 py-2 text-slate-600 dark:text-slate-400">
+                      {record.digestType} <span className="text-xs text-slate-400">{DIGEST_TYPES[record.digestType]?.name || ''}</span>
+                    </td>
+                    <td className="px-3 py-2 font-mono text-slate-600 dark:text-slate-400 max-w-[200px] truncate" title={record.digest}>
+                      {record.digest}
+                    </td>
+                    {!readOnly && (
+                      <td className="px-3 py-2 text-right">
+                        <button
+                          onClick={() => handleDeleteRecord(record)}
+                          disabled={deleting === recordKey(record)}
+                          className="p-1.5 text-red-500 hover:bg-red-50 dark:hover:bg-red-900/20 rounded-lg transition-colors disabled:opacity-50"
+                          title="Remove DS record"
+                        >
+                          {deleting === recordKey(record) ? (
+                            <Loader2 className="w-4 h-4 animate-spin" />
+                          ) : (
+                            <Trash2 className="w-4 h-4" />
+                          )}
+                        </button>
+                      </td>
+                    )}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+
+      {/* Add Record Button / Form */}
+      {readOnly ? null : !showAddForm ? (
+        <button
+          onClick={() => setShowAddForm(true)}
+          className="flex items-center gap-2 text-sm text-indigo-600 dark:text-indigo-400 hover:text-indigo-700 dark:hover:text-indigo-300"
+        >
+          <Plus className="w-4 h-4" />
+          Add DS Record
+        </button>
+      ) : (
+        <form onSubmit={handleAddRecord} className="p-4 bg-slate-50 dark:bg-slate-700/50 rounded-xl space-y-4">
+          <h4 className="text-sm font-semibold text-slate-900 dark:text-slate-100">Add DS Record</h4>
+
+          <div className="grid grid-cols-1 sm:grid-cols-3 gap-4">
+            <div>
+              <label className="block text-sm font-medium text-slate-700 dark:text-slate-300 mb-1">
+                Key Tag
+              </label>
+              <input
+                type="text"
+                inputMode="numeric"
+                value={newRecord.keyTag}
+                onChange={(e) => setNewRecord(prev => ({ ...prev, keyTag: e.target.value }))}
+                placeholder="2371"
+                className="input w-full font-mono"
+              />
+            </div>
+
+            <div>
+              <label className="block text-sm font-medium text-slate-700 dark:text-slate-300 mb-1">
+                Algorithm
+              </label>
+              <select
+                value={newRecord.algorithm}
+                onChange={(e) => setNewRecord(prev => ({ ...prev, algorithm: e.target.value }))}
+                className="input w-full"
+              >
+                {Object.entries(ALGORITHMS).map(([value, name]) => (
+                  <option key={value} value={value}>{value} - {name}</option>
+                ))}
+              </select>
+            </div>
+
+            <div>
+              <label className="block text-sm font-medium text-slate-700 dark:text-slate-300 mb-1">
+                Digest Type
+              </label>
+              <select
+                value={newRecord.digestType}
+                onChange={(e) => setNewRecord(prev => ({ ...prev, digestType: e.target.value }))}
+                className="input w-full"
+              >
+                {Object.entries(DIGEST_TYPES).map(([value, type]) => (
+                  <option key={value} value={value}>{value} - {type.name}</option>
+                ))}
+              </select>
+            </div>
+
+            <div className="sm:col-span-3">
+              <label className="block text-sm font-medium text-slate-700 dark:text-slate-300 mb-1">
+                Digest
+              </label>
+              <input
+                type="text"
+                value={newRecord.digest}
+                onChange={(e) => setNewRecord(prev => ({ ...prev, digest: e.target.value }))}
+                placeholder="Hex digest from your DNS provider"
+                className="input w-full font-mono"
+              />
+              <p className="text-xs text-slate-500 mt-1">
+                {DIGEST_TYPES[newRecord.digestType].name} digests are {DIGEST_TYPES[newRecord.digestType].length} hex characters
+              </p>
+            </div>
+          </div>
+
+          <div className="flex gap-2">
+            <button
+              type="submit"
+              disabled={saving}
+              className="btn-primary flex-1"
+            >
+              {saving ? (
+                <>
+                  <Loader2 className="w-4 h-4 mr-2 animate-spin" />
+                  Adding...
+                </>
+              ) : (
+                <>
+                  <Save className="w-4 h-4 mr-2" />
+                  Add Record
+                </>
+              )}
+            </button>
+            <button
+              type="button"
+              onClick={() => {
+                setShowAddForm(false);
+                setNewRecord(EMPTY_RECORD);
+              }}
+              className="btn-secondary"
+            >
+              Cancel
+            </button>
+          </div>
+        </form>
+      )}
+    </div>
+  );
+}
+
+export default DnssecPanel;
@@ -0,0 +1,78 @@
+import React from 'react';
+import { AlertTriangle, ShoppingCart, Trash2 } from 'lucide-react';
+
+const formatDate = (date) => new Date(date).toLocaleDateString('en-US', {
+  year: 'numeric',
+  month: 'short',
+  day: 'numeric'
+});
+
+const formatPrice = (price) => `$${parseFloat(price).toFixed(2)}`;
+
+// Short line for the domain list: what's left to do and by when
+export function lifecycleSummary(lifecycle) {
+  if (!lifecycle) return null;
+  if (lifecycle.stage === 'grace') return `Renew by ${formatDate(lifecycle.deadline)}`;
+  if (lifecycle.stage === 'redemption') return `Restore by ${formatDate(lifecycle.deadline)}`;
+  return 'Being deleted';
+}
+
+// Explains where an expired domain is in the deletion cycle and what the customer can still do
+function DomainLifecycleNotice({ domain, onRestore }) {
+  const { lifecycle } = domain;
+  if (!lifecycle) return null;
+
+  const fullName = `${domain.domain_name}.${domain.tld}`;
+
+  if (lifecycle.stage === 'grace') {
+    return (
+      <div className="p-4 bg-amber-50 dark:bg-amber-900/20 rounded-xl border border-amber-200 dark:border-amber-800">
+        <h4 className="text-sm font-semibold text-amber-800 dark:text-amber-300 flex items-center gap-2 mb-1">
+          <AlertTriangle className="w-4 h-4" />
+          Expired - renewal grace period
+        </h4>
+        <p className="text-sm text-amber-700 dark:text-amber-400">
+          {fullName} expired on {formatDate(lifecycle.expiredAt)}. You can still renew it until{' '}
+          <strong>{formatDate(lifecycle.deadline)}</strong> for {formatPrice(lifecycle.renewPrice)}/year.
+          After that it goes into redemption and can only be recovered for a restore fee.
+        </p>
+      </div>
+    );
+  }
+
+  if (lifecycle.stage === 'redemption') {
+    return (
+      <div className="p-4 bg-red-50 dark:bg-red-900/20 rounded-xl border border-red-200 dark:border-red-800">
+        <h4 className="text-sm font-semibold text-red-800 dark:text-red-300 flex items-center gap-2 mb-1">
+          <AlertTriangle className="w-4 h-4" />
+          In redemption
+        </h4>
+        <p className="text-sm text-red-700 dark:text-red-400 mb-3">
+          {fullName} has been deleted by the registry and can no longer be renewed. You can restore it until{' '}
+          <strong>{formatDate(lifecycle.deadline)}</strong> for {formatPrice(lifecycle.restorePrice)}, which
+          includes a one-year renewal. After that it will be deleted for good.
+        </p>
+        <button onClick={onRestore} className="btn-primary py-2 px-4 text-sm">
+          <ShoppingCart className="w-4 h-4 mr-2" />
+          Add Restore to Cart
+        </button>
+      </div>
+    );
+  }
+
+  return (
+    <div className="p-4 bg-slate-100 dark:bg-slate-700/50 rounded-xl border border-slate-200 dark:border-slate-600">
+      <h4 className="text-sm font-semibold text-slate-800 dark:text-slate-200 flex items-center gap-2 mb-1">
+        <Trash2 className="w-4 h-4" />
+        Pending deletion
+      </h4>
+      <p className="text-sm text-slate-600 dark:text-slate-400">
+        {fullName} is past redemption and can no longer be renewed or restored. The registry will release it
+        around {formatDate(lifecycle.deleteAt)}; add it to your watchlist from domain search to be told when
+        you can register it again.
+      </p>
+    </div>
+  );
+}
+
+export default DomainLifecycleNotice;
@@ -0,0 +1,355 @@
+import React, { useState, useEffect } from 'react';
+import { Mail, Loader2, AlertCircle, Plus, Trash2, Save, RefreshCw, Info, Edit2, X } from 'lucide-react';
+import { useAuth } from '../../App';
+import { API_URL } from '../../config/api';
+import toast from 'react-hot-toast';
+
+// Mirrors backend/utils/emailForwarding.js
+const CATCH_ALL = '*';
+const LOCAL_PART_PATTERN = /^[a-z0-9_%+-]+(\.[a-z0-9_%+-]+)*$/i;
+const ADDRESS_PATTERN = /^[a-z0-9_%+-]+(\.[a-z0-9_%+-]+)*@([a-z0-9]([a-z0-9-]*[a-z0-9])?\.)+[a-z]{2,}$/i;
+
+const EMPTY_FORWARD = { emailUser: '', forwardTo: '', catchAll: false };
+
+function EmailForwardingPanel({ domainId, domainName, tld, isAdmin = false, readOnly = false }) {
+  const { token } = useAuth();
+  const basePath = isAdmin ? `${API_URL}/admin/domains` : `${API_URL}/domains`;
+  const fullDomain = `${domainName}.${tld}`;
+  const [forwards, setForwards] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const [deleting, setDeleting] = useState(null);
+
+  // Add / edit form (editing holds the alias being edited)
+  const [showForm, setShowForm] = useState(false);
+  const [editing, setEditing] = useState(null);
+  const [form, setForm] = useState(EMPTY_FORWARD);
+
+  useEffect(() => {
+    fetchForwards();
+  }, [domainId]); // eslint-disable-line react-hooks/exhaustive-deps
+
+  const fetchForwards = async () => {
+    setLoading(true);
+    setError(null);
+    try {
+      const res = await fetch(`${basePath}/${domainId}/email-forwarding`, {
+        headers: { 'Authorization': `Bearer ${token}` }
+      });
+      const data = await res.json();
+
+      if (res.ok) {
+        // Catch-all last, everything else alphabetical
+        const sorted = [...(data.forwards || [])].sort((a, b) => {
+          if (a.emailUser === CATCH_ALL) return 1;
+          if (b.emailUser === CATCH_ALL) return -1;
+          return a.emailUser.localeCompare(b.emailUser);
+        });
+        setForwards(sorted);
+      } else {
+        setError(data.error || 'Failed to load email forwarding');
+      }
+    } catch (err) {
+      setError('Connection error');
+    }
+    setLoading(false);
+  };
+
+  const hasCatchAll = forwards.some(f => f.emailUser === CATCH_ALL);
+
+  const openAddForm = () => {
+    setEditing(null);
+    setForm(EMPTY_FORWARD);
+    setShowForm(true);
+  };
+
+  const openEditForm = (forward) => {
+    const catchAll = forward.emailUser === CATCH_ALL;
+    setEditing(forward.emailUser);
+    setForm({ emailUser: catchAll ? '' : forward.emailUser, forwardTo: forward.forwardTo, catchAll });
+    setShowForm(true);
+  };
+
+  const closeForm = () => {
+    setShowForm(false);
+    setEditing(null);
+    setForm(EMPTY_FORWARD);
+  };
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+
+    const emailUser = form.catchAll ? CATCH_ALL : form.emailUser.trim().toLowerCase();
+    const forwardTo = form.forwardTo.trim().toLowerCase();
+    if (!form.catchAll && (!emailUser || emailUser.length > 64 || !LOCAL_PART_PATTERN.test(emailUser))) {
+      toast.error('Alias may only contain letters, numbers and . _ % + -');
+      return;
+    }
+    if (!ADDRESS_PATTERN.test(forwardTo)) {
+      toast.error('Enter a valid destination email address');
+      return;
+    }
+    if (forwardTo === `${emailUser}@${fullDomain}`.toLowerCase()) {
+      toast.error('An address cannot forward to itself');
+      return;
+    }
+    if (form.catchAll && forwardTo.endsWith(`@${fullDomain}`.toLowerCase())) {
+      toast.error(`The catch-all must forward to an address outside ${fullDomain}`);
+      return;
+    }
+
+    setSaving(true);
+    try {
+      const url = editing
+        ? `${basePath}/${domainId}/email-forwarding/${encodeURIComponent(editing)}`
+        : `${basePath}/${domainId}/email-forwarding`;
+      const res = await fetch(url, {
+        method: editing ? 'PUT' : 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${token}`
+        },
+        body: JSON.stringify({ emailUser, forwardTo })
+      });
+
+      if (res.ok) {
+        toast.success(editing ? 'Email forward updated' : 'Email forward added');
+        closeForm();
+        fetchForwards();
+      } else {
+        const data = await res.json();
+        toast.error(data.error || 'Failed to save email forward');
+      }
+    } catch (err) {
+      toast.error('Connection error');
+    }
+    setSaving(false);
+  };
+
+  const handleDelete = async (forward) => {
+    const label = forward.emailUser === CATCH_ALL ? 'the catch-all forward' : `${forward.emailUser}@${fullDomain}`;
+    if (!window.confirm(`Delete ${label}? Mail sent to it will no longer be forwarded.`)) return;
+
+    setDeleting(forward.emailUser);
+    try {
+      const res = await fetch(`${basePath}/${domainId}/email-forwarding/${encodeURIComponent(forward.emailUser)}`, {
+        method: 'DELETE',
+        headers: { 'Authorization': `Bearer ${token}` }
+      });
+
+      if (res.ok) {
+        toast.success('Email forward deleted');
+        if (editing === forward.emailUser) closeForm();
+        fetchForwards();
+      } else {
+        const data = await res.json();
+        toast.error(data.error || 'Failed to delete email forward');
+      }
+    } catch (err) {
+      toast.error('Connection error');
+    }
+    setDeleting(null);
+  };
+
+  if (loading) {
+    return (
+      <div className="flex items-center justify-center py-8">
+        <Loader2 className="w-6 h-6 animate-spin text-indigo-600" />
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-4">
+      <div className="p-4 bg-blue-50 dark:bg-blue-900/20 rounded-xl border border-blue-200 dark:border-blue-800 flex items-start gap-3">
+        <Info className="w-5 h-5 text-blue-500 flex-shrink-0 mt-0.5" />
+        <p className="text-sm text-blue-700 dark:text-blue-400">
+          Forward mail sent to addresses at <span className="font-mono">{fullDomain}</span> to an existing mailbox.
+          A catch-all forward receives mail for every address that has no forward of its own.
+          Forwarding requires the domain's MX records to point to eNom's mail servers.
+        </p>
+      </div>
+
+      {error && (
+        <div className="p-4 bg-red-50 dark:bg-red-900/20 rounded-xl border border-red-200 dark:border-red-800 flex items-center gap-2">
+          <AlertCircle className="w-5 h-5 text-red-500" />
+          <p className="text-sm text-red-700 dark:text-red-400">{error}</p>
+        </div>
+      )}
+
+      {/* Forwards List */}
+      <div className="space-y-2">
+        <div className="flex items-center justify-between">
+          <h4 className="text-sm font-semibold text-slate-900 dark:text-slate-100 flex items-center gap-2">
+            <Mail className="w-4 h-4" />
+            Email Forwards ({forwards.length})
+          </h4>
+          <button
+            onClick={fetchForwards}
+            className="text-sm text-slate-500 hover:text-slate-700 dark:hover:text-slate-300 flex items-center gap-1"
+          >
+            <RefreshCw className="w-4 h-4" />
+            Refresh
+          </button>
+        </div>
+
+        {forwards.length === 0 ? (
+          <div className="p-6 bg-slate-50 dark:bg-slate-700/50 rounded-xl text-center">
+            <Mail className="w-8 h-8 text-slate-400 mx-auto mb-2" />
+            <p className="text-sm text-slate-500 dark:text-slate-400">
+              No email forwards set up
+            </p>
+          </div>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="w-full text-sm">
+              <thead className="bg-slate-50 dark:bg-slate-700/50">
+                <tr>
+                  <th className="px-3 py-2 text-left text-xs font-medium text-slate-500 dark:text-slate-400 uppercase">Address</th>
+                  <th className="px-3 py-2 text-left text-xs font-medium text-slate-500 dark:text-slate-400 uppercase">Forwards To</th>
+                  {!readOnly && <th className="px-3 py-2 text-right text-xs font-medium text-slate-500 dark:text-slate-400 uppercase">Actions</th>}
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-slate-200 dark:divide-slate-700">
+                {forwards.map(forward => (
+                  <tr key={forward.emailUser} className={editing === forward.emailUser ? 'bg-indigo-50 dark:bg-indigo-900/20' : 'hover:bg-slate-50 dark:hover:bg-slate-700/30'}>
+                    <td className="px-3 py-2 font-mono text-slate-900 dark:text-slate-100">
+                      {forward.emailUser === CATCH_ALL ? (
+                        <span>
+                          *@{fullDomain}
+                          <span className="ml-2 px-2 py-0.5 text-xs font-sans rounded-full bg-amber-100 dark:bg-amber-900/30 text-amber-700 dark:text-amber-400">Catch-all</span>
+                        </span>
+                      ) : (
+                        `${forward.emailUser}@${fullDomain}`
+                      )}
+                    </td>
+                    <td className="px-3 py-2 font-mono text-slate-600 dark:text-slate-400">{forward.forwardTo}</td>
+                    {!readOnly && (
+                      <td className="px-3 py-2 text-right whitespace-nowrap">
+                        <button
+                          onClick={() => openEditForm(forward)}
+                          className="p-1.5 text-slate-500 hover:bg-slate-100 dark:hover:bg-slate-700 rounded-lg transition-colors"
+                          title="Edit forward"
+                        >
+                          <Edit2 className="w-4 h-4" />
+                        </button>
+                        <button
+                          onClick={() => handleDelete(forward)}
+                          disabled={deleting === forward.emailUser}
+                          className="p-1.5 text-red-500 hover:bg-red-50 dark:hover:bg-red-900/20 rounded-lg transition-colors disabled:opacity-50"
+                          title="Delete forward"
+                        >
+                          {deleting === forward.emailUser ? (
+                            <Loader2 className="w-4 h-4 animate-spin" />
+                          ) : (
+                            <Trash2 className="w-4 h-4" />
+                          )}
+                        </button>
+                      </td>
+                    )}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+
+      {/* Add Button / Form */}
+      {readOnly ? null : !showForm ? (
+        <button
+          onClick={openAddForm}
+          className="flex items-center gap-2 text-sm text-indigo-600 dark:text-indigo-400 hover:text-indigo-700 dark:hover:text-indigo-300"
+        >
+          <Plus className="w-4 h-4" />
+          Add Email Forward
+        </button>
+      ) : (
+        <form onSubmit={handleSave} className="p-4 bg-slate-50 dark:bg-slate-700/50 rounded-xl space-y-4">
+          <div className="flex items-center justify-between">
+            <h4 className="text-sm font-semibold text-slate-900 dark:text-slate-100">
+              {editing ? 'Edit Email Forward' : 'Add Email Forward'}
+            </h4>
+            <button type="button" onClick={closeForm} className="text-slate-400 hover:text-slate-600 dark:hover:text-slate-300">
+              <X className="w-4 h-4" />
+            </button>
+          </div>
+
+          <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+            <div>
+              <label className="block text-sm font-medium text-slate-700 dark:text-slate-300 mb-1">
+                Address
+              </label>
+              <div className="flex items-center gap-1">
+                <input
+                  type="text"
+                  value={form.catchAll ? '*' : form.emailUser}
+                  onChange={(e) => setForm(prev => ({ ...prev, emailUser: e.target.value }))}
+                  disabled={form.catchAll}
+                  placeholder="info"
+                  className="input w-full font-mono"
+                />
+                <span className="text-sm font-mono text-slate-500 whitespace-nowrap">@{fullDomain}</span>
+              </div>
+              <label className="flex items-center gap-2 mt-2">
+                <input
+                  type="checkbox"
+                  checked={form.catchAll}
+                  onChange={(e) => setForm(prev => ({ ...prev, catchAll: e.target.checked }))}
+                  disabled={hasCatchAll && editing !== CATCH_ALL}
+                  className="rounded text-indigo-600"
+                />
+                <span className="text-sm text-slate-700 dark:text-slate-300">
+                  Catch-all (any other address)
+                </span>
+              </label>
+            </div>
+
+            <div>
+              <label className="block text-sm font-medium text-slate-700 dark:text-slate-300 mb-1">
+                Forward To
+              </label>
+              <input
+                type="email"
+                value={form.forwardTo}
+                onChange={(e) => setForm(prev => ({ ...prev, forwardTo: e.target.value }))}
+                placeholder="you@example.org"
+                className="input w-full font-mono"
+              />
+            </div>
+          </div>
+
+          <div className="flex gap-2">
+            <button
+              type="submit"
+              disabled={saving}
+              className="btn-primary flex-1"
+            >
+              {saving ? (
+                <>
+                  <Loader2 className="w-4 h-4 mr-2 animate-spin" />
+                  Saving...
+                </>
+              ) : (
+                <>
+                  <Save className="w-4 h-4 mr-2" />
+                  {editing ? 'Save Forward' : 'Add Forward'}
+                </>
+              )}
+            </button>
+            <button
+              type="button"
+              onClick={closeForm}
+              className="btn-secondary"
+            >
+              Cancel
+            </button>
+          </div>
+        </form>
+      )}
+    </div>
+  );
+}
+
+export default EmailForwardingPanel;
@@ -0,0 +1,201 @@
+import React, { useState, useEffect } from 'react';
+import { AlertTriangle, Loader2, ArrowRightLeft, Clock, Mail, X, CheckCircle, Lock } from 'lucide-react';
+import { useAuth } from '../../App';
+import { API_URL } from '../../config/api';
+import toast from 'react-hot-toast';
+
+// Transfer a domain to another registrar: unlocks it and emails the auth code to the registrant
+function TransferOutPanel({ domain, onLockChange }) {
+  const { token } = useAuth();
+  const [status, setStatus] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [starting, setStarting] = useState(false);
+  const [cancelling, setCancelling] = useState(false);
+
+  useEffect(() => {
+    fetchStatus();
+  }, [domain.id]); // eslint-disable-line react-hooks/exhaustive-deps
+
+  const fetchStatus = async () => {
+    setLoading(true);
+    try {
+      const res = await fetch(`${API_URL}/domains/${domain.id}/transfer-out`, {
+        headers: { 'Authorization': `Bearer ${token}` }
+      });
+      const data = await res.json();
+      if (res.ok) {
+        setStatus(data);
+      } else {
+        toast.error(data.error || 'Failed to load transfer status');
+      }
+    } catch (err) {
+      toast.error('Connection error');
+    }
+    setLoading(false);
+  };
+
+  const handleStart = async () => {
+    if (!window.confirm(`Transfer ${domain.domain_name}.${domain.tld} to another registrar? The domain will be unlocked and its auth code emailed to the registrant contact.`)) return;
+
+    setStarting(true);
+    try {
+      const res = await fetch(`${API_URL}/domains/${domain.id}/transfer-out`, {
+        method: 'POST',
+        headers: { 'Authorization': `Bearer ${token}` }
+      });
+      const data = await res.json();
+      if (res.ok) {
+        if (data.emailSent) {
+          toast.success(data.message);
+        } else {
+          toast.error(data.message);
+        }
+        onLockChange(false);
+        fetchStatus();
+      } else {
+        toast.error(data.error || 'Failed to start transfer');
+      }
+    } catch (err) {
+      toast.error('Connection error');
+    }
+    setStarting(false);
+  };
+
+  const handleCancel = async () => {
+    if (!window.confirm("Cancel this transfer? The domain will be locked again, so your new registrar won't be able to complete the transfer.")) return;
+
+    setCancelling(true);
+    try {
+      const res = await fetch(`${API_URL}/domains/${domain.id}/transfer-out`, {
+        method: 'DELETE',
+        headers: { 'Authorization': `Bearer ${token}` }
+      });
+      const data = await res.json();
+      if (res.ok) {
+        toast.success(data.message);
+        onLockChange(true);
+        fetchStatus();
+      } else {
+        toast.error(data.error || 'Failed to cancel transfer');
+      }
+    } catch (err) {
+      toast.error('Connection error');
+    }
+    setCancelling(false);
+  };
+
+  if (loading) {
+    return (
+      <div className="flex items-center justify-center py-8">
+        <Loader2 className="w-6 h-6 animate-spin text-indigo-600" />
+      </div>
+    );
+  }
+
+  const transfer = status?.transfer;
+
+  if (transfer?.status === 'completed') {
+    return (
+      <div className="p-4 bg-emerald-50 dark:bg-emerald-900/20 rounded-xl border border-emerald-200 dark:border-emerald-800 flex items-start gap-3">
+        <CheckCircle className="w-5 h-5 text-emerald-600 flex-shrink-0 mt-0.5" />
+        <div>
+          <h4 className="font-medium text-emerald-800 dark:text-emerald-300">Transferred Away</h4>
+          <p className="text-sm text-emerald-700 dark:text-emerald-400 mt-1">
+            This domain left your account on {new Date(transfer.completed_at).toLocaleDateString()} and auto-renew has been turned off.
+          </p>
+        </div>
+      </div>
+    );
+  }
+
+  if (transfer?.status === 'pending') {
+    return (
+      <div className="space-y-4">
+        <div className="p-4 bg-amber-50 dark:bg-amber-900/20 rounded-xl border border-amber-200 dark:border-amber-800">
+          <div className="flex items-start gap-3">
+            <Clock className="w-5 h-5 text-amber-600 dark:text-amber-400 flex-shrink-0 mt-0.5" />
+            <div className="flex-1">
+              <h4 className="font-medium text-amber-800 dark:text-amber-300">Transfer Away in Progress</h4>
+              <p className="text-sm text-amber-700 dark:text-amber-400 mt-1">
+                Started {new Date(transfer.created_at).toLocaleString()}. The domain is unlocked and the auth code was emailed to:
+              </p>
+              <p className="text-sm font-mono text-amber-800 dark:text-amber-300 mt-1 flex items-center gap-2">
+                <Mail className="w-4 h-4" />
+                {transfer.auth_code_sent_to}
+              </p>
+              <p className="text-sm text-amber-700 dark:text-amber-400 mt-2">
+                We check for completion every few hours. Once the domain has left your account, auto-renew is turned off.
+              </p>
+            </div>
+          </div>
+        </div>
+
+        <button
+          onClick={handleCancel}
+          disabled={cancelling}
+          className="btn-secondary w-full text-red-600 dark:text-red-400"
+        >
+          {cancelling ? <Loader2 className="w-4 h-4 mr-2 animate-spin" /> : <X className="w-4 h-4 mr-2" />}
+          Cancel Transfer
+        </button>
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-4">
+      <div className="p-4 bg-amber-50 dark:bg-amber-900/20 rounded-xl border border-amber-200 dark:border-amber-800">
+        <div className="flex items-start gap-3">
+          <AlertTriangle className="w-5 h-5 text-amber-600 dark:text-amber-400 flex-shrink-0 mt-0.5" />
+          <div>
+            <h4 className="font-medium text-amber-800 dark:text-amber-300">Transfer Out</h4>
+            <p className="text-sm text-amber-700 dark:text-amber-400 mt-1">
+              Moving this domain to another registrar unlocks it and emails the EPP auth code to the registrant contact.
+            </p>
+          </div>
+        </div>
+      </div>
+
+      <div className="p-4 bg-slate-50 dark:bg-slate-700/50 rounded-xl space-y-4">
+        <div className="flex items-center justify-between">
+          <span className="text-sm font-medium text-slate-700 dark:text-slate-300">Transfer Lock Status</span>
+          <span className={`text-sm font-medium ${domain.lock_status ? 'text-emerald-600' : 'text-amber-600'}`}>
+            {domain.lock_status ? 'Locked' : 'Unlocked'}
+          </span>
+        </div>
+
+        {status?.transferLockedUntil ? (
+          <div className="flex items-start gap-2 text-sm text-slate-600 dark:text-slate-400">
+            <Lock className="w-4 h-4 flex-shrink-0 mt-0.5" />
+            <span>
+              Domains can't be transferred within {status.transferLockDays} days of registration or a previous transfer.
+              This domain can be transferred from {new Date(status.transferLockedUntil).toLocaleDateString()}.
+            </span>
+          </div>
+        ) : (
+          <button
+            onClick={handleStart}
+            disabled={starting || !status?.eligible}
+            className="btn-primary w-full"
+          >
+            {starting ? <Loader2 className="w-4 h-4 mr-2 animate-spin" /> : <ArrowRightLeft className="w-4 h-4 mr-2" />}
+            Start Transfer Out
+          </button>
+        )}
+      </div>
+
+      <div className="p-4 bg-slate-50 dark:bg-slate-700/50 rounded-xl">
+        <h4 className="font-medium text-slate-900 dark:text-slate-100 mb-2">Transfer Steps</h4>
+        <ol className="text-sm text-slate-600 dark:text-slate-400 space-y-2 list-decimal list-inside">
+          <li>Start the transfer above (the auth code is emailed to the registrant)</li>
+          <li>Initiate a transfer at your new registrar</li>
+          <li>Provide the auth code when requested</li>
+          <li>Approve the transfer confirmation email</li>
+          <li>Transfer typically completes within 5-7 days</li>
+        </ol>
+      </div>
+    </div>
+  );
+}
+
+export default TransferOutPanel;
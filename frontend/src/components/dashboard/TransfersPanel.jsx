@@ -0,0 +1,215 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { ArrowRightLeft, Loader2, Mail, Key, X, RefreshCw } from 'lucide-react';
+import { useAuth } from '../../App';
+import { API_URL } from '../../config/api';
+import toast from 'react-hot-toast';
+
+const STATUS_STYLES = {
+  pending: 'bg-slate-100 text-slate-600 dark:bg-slate-700 dark:text-slate-300',
+  processing: 'bg-amber-100 text-amber-700 dark:bg-amber-900/30 dark:text-amber-400',
+  pending_approval: 'bg-amber-100 text-amber-700 dark:bg-amber-900/30 dark:text-amber-400',
+  awaiting_auth: 'bg-red-100 text-red-700 dark:bg-red-900/30 dark:text-red-400',
+  rejected: 'bg-red-100 text-red-700 dark:bg-red-900/30 dark:text-red-400',
+  completed: 'bg-green-100 text-green-700 dark:bg-green-900/30 dark:text-green-400',
+  failed: 'bg-red-100 text-red-700 dark:bg-red-900/30 dark:text-red-400',
+  cancelled: 'bg-slate-100 text-slate-600 dark:bg-slate-700 dark:text-slate-300'
+};
+
+const STATUS_LABELS = {
+  pending: 'Ordered',
+  processing: 'Awaiting approval',
+  pending_approval: 'Awaiting approval',
+  awaiting_auth: 'Auth code needed',
+  rejected: 'Rejected',
+  completed: 'Transferred',
+  failed: 'Failed',
+  cancelled: 'Cancelled'
+};
+
+// Statuses the registrar is still working on; these can be cancelled or given a new auth code
+const ACTIVE_STATUSES = ['processing', 'pending_approval', 'awaiting_auth', 'rejected'];
+
+// Inbound transfers: current stage, history and the customer-side actions for each
+function TransfersPanel() {
+  const { token } = useAuth();
+  const [transfers, setTransfers] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [busyId, setBusyId] = useState(null);
+  const [editingId, setEditingId] = useState(null);
+  const [authCode, setAuthCode] = useState('');
+
+  const fetchTransfers = useCallback(async () => {
+    try {
+      const res = await fetch(`${API_URL}/domains/transfers`, {
+        headers: { 'Authorization': `Bearer ${token}` }
+      });
+      if (res.ok) {
+        setTransfers(await res.json());
+      }
+    } catch (err) {
+      // The panel is hidden until transfers load
+    }
+    setLoading(false);
+  }, [token]);
+
+  useEffect(() => {
+    fetchTransfers();
+  }, [fetchTransfers]);
+
+  const runAction = async (transfer, path, options, fallbackError) => {
+    setBusyId(transfer.id);
+    try {
+      const res = await fetch(`${API_URL}/domains/transfers/${transfer.id}${path}`, {
+        ...options,
+        headers: {
+          'Authorization': `Bearer ${token}`,
+          'Content-Type': 'application/json'
+        }
+      });
+      const data = await res.json();
+      if (res.ok) {
+        toast.success(data.message);
+        setEditingId(null);
+        setAuthCode('');
+        fetchTransfers();
+      } else {
+        toast.error(data.error || fallbackError);
+      }
+    } catch (err) {
+      toast.error('Connection error');
+    }
+    setBusyId(null);
+  };
+
+  const handleResend = (transfer) => {
+    runAction(transfer, '/resend', { method: 'POST' }, 'Failed to resend approval email');
+  };
+
+  const handleAuthCode = (transfer) => {
+    if (!authCode.trim()) {
+      toast.error('Enter the new auth code');
+      return;
+    }
+    runAction(transfer, '/auth-code', {
+      method: 'PUT',
+      body: JSON.stringify({ authCode: authCode.trim() })
+    }, 'Failed to update auth code');
+  };
+
+  const handleCancel = (transfer) => {
+    if (!window.confirm(`Cancel the transfer of ${transfer.domain_name}.${transfer.tld}? The domain stays with its current registrar.`)) return;
+    runAction(transfer, '', { method: 'DELETE' }, 'Failed to cancel transfer');
+  };
+
+  if (loading || transfers.length === 0) {
+    return null;
+  }
+
+  const activeCount = transfers.filter(t => ACTIVE_STATUSES.includes(t.status)).length;
+
+  return (
+    <div className="card mb-6">
+      <div className="p-4 border-b border-slate-200 dark:border-slate-700 flex items-center justify-between">
+        <div className="flex items-center gap-2">
+          <ArrowRightLeft className="w-5 h-5 text-primary-600" />
+          <h3 className="font-semibold text-slate-900 dark:text-slate-100">
+            Transfers In {activeCount > 0 && `(${activeCount} in progress)`}
+          </h3>
+        </div>
+        <button onClick={fetchTransfers} className="btn-secondary py-1.5 px-2" title="Refresh">
+          <RefreshCw className="w-4 h-4" />
+        </button>
+      </div>
+      <div className="divide-y divide-slate-200 dark:divide-slate-700 max-h-96 overflow-y-auto">
+        {transfers.map(transfer => {
+          const active = transfer.submitted && ACTIVE_STATUSES.includes(transfer.status);
+          const canResend = transfer.submitted && ['processing', 'pending_approval'].includes(transfer.status);
+          const canEditCode = active || (!transfer.submitted && ['pending', 'failed'].includes(transfer.status));
+          const busy = busyId === transfer.id;
+
+          return (
+            <div key={transfer.id} className="p-4">
+              <div className="flex items-center justify-between gap-4">
+                <div className="flex-1 min-w-0">
+                  <div className="flex items-center gap-2">
+                    <p className="font-medium font-mono text-slate-900 dark:text-slate-100 truncate">
+                      {transfer.domain_name}.{transfer.tld}
+                    </p>
+                    <span className={`px-2 py-0.5 text-xs rounded-full whitespace-nowrap ${STATUS_STYLES[transfer.status] || STATUS_STYLES.pending}`}>
+                      {STATUS_LABELS[transfer.status] || transfer.status}
+                    </span>
+                  </div>
+                  {transfer.error_message && (
+                    <p className="text-sm text-slate-500 dark:text-slate-400 mt-1">{transfer.error_message}</p>
+                  )}
+                  <p className="text-xs text-slate-400 dark:text-slate-500 mt-1">
+                    {transfer.transfer_completed_at
+                      ? `Completed ${new Date(transfer.transfer_completed_at).toLocaleDateString()}`
+                      : transfer.transfer_requested_at
+                        ? `Submitted ${new Date(transfer.transfer_requested_at).toLocaleDateString()}`
+                        : `Ordered ${new Date(transfer.created_at).toLocaleDateString()}`}
+                    {' · '}Updated {new Date(transfer.updated_at).toLocaleString()}
+                  </p>
+                </div>
+                <div className="flex items-center gap-2">
+                  {busy && <Loader2 className="w-4 h-4 animate-spin text-slate-400" />}
+                  {canResend && (
+                    <button
+                      onClick={() => handleResend(transfer)}
+                      disabled={busy}
+                      className="btn-secondary py-2 px-3"
+                      title="Resend the approval email to the domain's administrative contact"
+                    >
+                      <Mail className="w-4 h-4 mr-1" />
+                      Resend
+                    </button>
+                  )}
+                  {canEditCode && editingId !== transfer.id && (
+                    <button
+                      onClick={() => { setEditingId(transfer.id); setAuthCode(''); }}
+                      disabled={busy}
+                      className="btn-secondary py-2 px-3"
+                    >
+                      <Key className="w-4 h-4 mr-1" />
+                      Auth Code
+                    </button>
+                  )}
+                  {active && (
+                    <button
+                      onClick={() => handleCancel(transfer)}
+                      disabled={busy}
+                      className="btn-secondary py-2 px-3 text-red-600 dark:text-red-400"
+                    >
+                      Cancel
+                    </button>
+                  )}
+                </div>
+              </div>
+
+              {editingId === transfer.id && (
+                <div className="mt-3 flex gap-2">
+                  <input
+                    type="text"
+                    value={authCode}
+                    onChange={(e) => setAuthCode(e.target.value)}
+                    placeholder="New auth code from your current registrar"
+                    className="input flex-1 font-mono text-sm"
+                    autoFocus
+                  />
+                  <button onClick={() => handleAuthCode(transfer)} disabled={busy} className="btn-primary py-2 px-3">
+                    {active ? 'Save & Resubmit' : 'Save'}
+                  </button>
+                  <button onClick={() => setEditingId(null)} className="btn-secondary py-2 px-2" title="Close">
+                    <X className="w-4 h-4" />
+                  </button>
+                </div>
+              )}
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+}
+
+export default TransfersPanel;
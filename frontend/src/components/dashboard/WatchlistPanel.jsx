@@ -0,0 +1,193 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Eye, Loader2, Trash2, RefreshCw, RotateCcw } from 'lucide-react';
+import { useAuth } from '../../App';
+import { API_URL } from '../../config/api';
+import toast from 'react-hot-toast';
+
+const STATUS_STYLES = {
+  watching: 'bg-slate-100 text-slate-600 dark:bg-slate-700 dark:text-slate-300',
+  available: 'bg-green-100 text-green-700 dark:bg-green-900/30 dark:text-green-400',
+  registered: 'bg-primary-100 text-primary-700 dark:bg-primary-900/30 dark:text-primary-400'
+};
+
+const STATUS_LABELS = {
+  watching: 'Watching',
+  available: 'Available',
+  registered: 'Registered'
+};
+
+const MODE_OPTIONS = [
+  { value: 'notify', label: 'Email me' },
+  { value: 'cart', label: 'Add to cart' },
+  { value: 'register', label: 'Auto-register' }
+];
+
+const INTERVAL_OPTIONS = [
+  { value: 1, label: 'Hourly' },
+  { value: 6, label: 'Every 6 hours' },
+  { value: 24, label: 'Daily' },
+  { value: 168, label: 'Weekly' }
+];
+
+// Watched domains: when each was last checked, what happens once it's available, and its outcome
+function WatchlistPanel() {
+  const { token } = useAuth();
+  const [watches, setWatches] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [busyId, setBusyId] = useState(null);
+
+  const fetchWatches = useCallback(async () => {
+    try {
+      const res = await fetch(`${API_URL}/domains/watchlist`, {
+        headers: { 'Authorization': `Bearer ${token}` }
+      });
+      if (res.ok) {
+        setWatches(await res.json());
+      }
+    } catch (err) {
+      // The panel is hidden until the watchlist loads
+    }
+    setLoading(false);
+  }, [token]);
+
+  useEffect(() => {
+    fetchWatches();
+  }, [fetchWatches]);
+
+  const runAction = async (watch, options, fallbackError) => {
+    setBusyId(watch.id);
+    try {
+      const res = await fetch(`${API_URL}/domains/watchlist/${watch.id}`, {
+        ...options,
+        headers: {
+          'Authorization': `Bearer ${token}`,
+          'Content-Type': 'application/json'
+        }
+      });
+      const data = await res.json();
+      if (res.ok) {
+        toast.success(data.message);
+        fetchWatches();
+      } else {
+        toast.error(data.error || fallbackError);
+      }
+    } catch (err) {
+      toast.error('Connection error');
+    }
+    setBusyId(null);
+  };
+
+  const handleUpdate = (watch, changes) => {
+    runAction(watch, { method: 'PUT', body: JSON.stringify(changes) }, 'Failed to update watch');
+  };
+
+  const handleRemove = (watch) => {
+    if (!window.confirm(`Stop watching ${watch.domain_name}.${watch.tld}?`)) return;
+    runAction(watch, { method: 'DELETE' }, 'Failed to remove watch');
+  };
+
+  if (loading || watches.length === 0) {
+    return null;
+  }
+
+  const watchingCount = watches.filter(w => w.status === 'watching').length;
+
+  return (
+    <div className="card mb-6">
+      <div className="p-4 border-b border-slate-200 dark:border-slate-700 flex items-center justify-between">
+        <div className="flex items-center gap-2">
+          <Eye className="w-5 h-5 text-primary-600" />
+          <h3 className="font-semibold text-slate-900 dark:text-slate-100">
+            Watchlist {watchingCount > 0 && `(${watchingCount} watching)`}
+          </h3>
+        </div>
+        <button onClick={fetchWatches} className="btn-secondary py-1.5 px-2" title="Refresh">
+          <RefreshCw className="w-4 h-4" />
+        </button>
+      </div>
+      <div className="divide-y divide-slate-200 dark:divide-slate-700 max-h-96 overflow-y-auto">
+        {watches.map(watch => {
+          const busy = busyId === watch.id;
+          const editable = watch.status !== 'registered';
+
+          return (
+            <div key={watch.id} className="p-4">
+              <div className="flex flex-col md:flex-row md:items-center justify-between gap-3">
+                <div className="flex-1 min-w-0">
+                  <div className="flex items-center gap-2">
+                    <p className="font-medium font-mono text-slate-900 dark:text-slate-100 truncate">
+                      {watch.domain_name}.{watch.tld}
+                    </p>
+                    <span className={`px-2 py-0.5 text-xs rounded-full whitespace-nowrap ${STATUS_STYLES[watch.status] || STATUS_STYLES.watching}`}>
+                      {STATUS_LABELS[watch.status] || watch.status}
+                    </span>
+                  </div>
+                  {watch.result_message && (
+                    <p className="text-sm text-slate-500 dark:text-slate-400 mt-1">{watch.result_message}</p>
+                  )}
+                  <p className="text-xs text-slate-400 dark:text-slate-500 mt-1">
+                    {watch.available_at
+                      ? `Available since ${new Date(watch.available_at).toLocaleString()}`
+                      : watch.last_checked_at
+                        ? `Last checked ${new Date(watch.last_checked_at).toLocaleString()}`
+                        : 'Not checked yet'}
+                  </p>
+                </div>
+                <div className="flex items-center gap-2">
+                  {busy && <Loader2 className="w-4 h-4 animate-spin text-slate-400" />}
+                  {editable && (
+                    <>
+                      <select
+                        value={watch.mode}
+                        onChange={(e) => handleUpdate(watch, { mode: e.target.value })}
+                        disabled={busy}
+                        className="input py-1.5 text-sm"
+                        title="What happens when the domain is available"
+                      >
+                        {MODE_OPTIONS.map(option => (
+                          <option key={option.value} value={option.value}>{option.label}</option>
+                        ))}
+                      </select>
+                      <select
+                        value={watch.check_interval_hours}
+                        onChange={(e) => handleUpdate(watch, { intervalHours: parseInt(e.target.value) })}
+                        disabled={busy}
+                        className="input py-1.5 text-sm"
+                        title="How often the domain is checked"
+                      >
+                        {INTERVAL_OPTIONS.map(option => (
+                          <option key={option.value} value={option.value}>{option.label}</option>
+                        ))}
+                      </select>
+                    </>
+                  )}
+                  {watch.status === 'available' && (
+                    <button
+                      onClick={() => handleUpdate(watch, { resume: true })}
+                      disabled={busy}
+                      className="btn-secondary py-2 px-3"
+                      title="Keep watching if someone else registered it first"
+                    >
+                      <RotateCcw className="w-4 h-4 mr-1" />
+                      Watch Again
+                    </button>
+                  )}
+                  <button
+                    onClick={() => handleRemove(watch)}
+                    disabled={busy}
+                    className="btn-secondary py-2 px-2 text-red-600 dark:text-red-400"
+                    title="Stop watching"
+                  >
+                    <Trash2 className="w-4 h-4" />
+                  </button>
+                </div>
+              </div>
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+}
+
+export default WatchlistPanel;
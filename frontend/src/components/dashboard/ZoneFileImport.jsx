@@ -0,0 +1,177 @@
+import React, { useState } from 'react';
+import { Loader2, Upload, Eye, Check, X, AlertTriangle, AlertCircle } from 'lucide-react';
+import { useAuth } from '../../App';
+import toast from 'react-hot-toast';
+
+const describeRecord = (record) => {
+  const host = record.hostName || '@';
+  const priority = record.recordType === 'MX' ? `${record.mxPref} ` : '';
+  return `${host} ${record.recordType} ${priority}${record.address}`;
+};
+
+function ZoneFileImport({ domainId, domainName, tld, basePath, onApplied, onClose }) {
+  const { token } = useAuth();
+  const [zoneText, setZoneText] = useState('');
+  const [preview, setPreview] = useState(null);
+  const [loading, setLoading] = useState(false);
+
+  const handleFile = (e) => {
+    const file = e.target.files?.[0];
+    if (!file) return;
+    if (file.size > 256 * 1024) {
+      toast.error('Zone file must be 256KB or smaller');
+      return;
+    }
+    const reader = new FileReader();
+    reader.onload = () => {
+      setZoneText(reader.result);
+      setPreview(null);
+    };
+    reader.readAsText(file);
+  };
+
+  const submit = async (apply) => {
+    if (!zoneText.trim()) {
+      toast.error('Paste or upload a zone file first');
+      return;
+    }
+
+    setLoading(true);
+    try {
+      const res = await fetch(`${basePath}/${domainId}/dns/import`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${token}`
+        },
+        body: JSON.stringify({ zone: zoneText, apply })
+      });
+      const data = await res.json();
+
+      if (data.diff) {
+        setPreview(data);
+      }
+
+      if (!res.ok) {
+        toast.error(data.error || 'Failed to import zone file');
+      } else if (data.applied) {
+        toast.success(`Zone imported: ${data.diff.added.length} added, ${data.diff.removed.length} removed`);
+        onApplied();
+      }
+    } catch (err) {
+      toast.error('Connection error');
+    }
+    setLoading(false);
+  };
+
+  return (
+    <div className="p-4 bg-slate-50 dark:bg-slate-700/50 rounded-xl space-y-4">
+      <div className="flex items-center justify-between">
+        <h4 className="text-sm font-semibold text-slate-900 dark:text-slate-100">Import Zone File</h4>
+        <button onClick={onClose} className="text-slate-400 hover:text-slate-600 dark:hover:text-slate-300">
+          <X className="w-4 h-4" />
+        </button>
+      </div>
+
+      <p className="text-xs text-slate-500 dark:text-slate-400">
+        Paste a BIND zone file for {domainName}.{tld} or upload one. Importing replaces all DNS records
+        (URL forwarding is kept). Review the changes before applying.
+      </p>
+
+      <label className="inline-flex items-center gap-2 text-sm text-indigo-600 dark:text-indigo-400 hover:text-indigo-700 cursor-pointer">
+        <Upload className="w-4 h-4" />
+        Upload file
+        <input type="file" accept=".zone,.txt,.db,text/plain" onChange={handleFile} className="hidden" />
+      </label>
+
+      <textarea
+        value={zoneText}
+        onChange={(e) => {
+          setZoneText(e.target.value);
+          setPreview(null);
+        }}
+        rows={10}
+        placeholder={`$ORIGIN ${domainName}.${tld}.\n@    IN A     192.0.2.1\nwww  IN CNAME @\n@    IN MX    10 mail.${domainName}.${tld}.`}
+        className="input w-full font-mono text-xs"
+      />
+
+      {preview && (
+        <div className="space-y-3 text-sm">
+          <div className="flex flex-wrap gap-4 text-slate-600 dark:text-slate-400">
+            <span><strong className="text-green-600">{preview.diff.added.length}</strong> to add</span>
+            <span><strong className="text-red-600">{preview.diff.removed.length}</strong> to remove</span>
+            <span><strong>{preview.diff.unchanged}</strong> unchanged</span>
+            <span><strong>{preview.recordCount}</strong> records after import</span>
+          </div>
+
+          {(preview.diff.added.length > 0 || preview.diff.removed.length > 0) && (
+            <div className="font-mono text-xs bg-white dark:bg-slate-800 rounded-lg p-3 max-h-60 overflow-y-auto space-y-0.5">
+              {preview.diff.added.map((r, i) => (
+                <div key={`a${i}`} className="text-green-700 dark:text-green-400 break-all">+ {describeRecord(r)}</div>
+              ))}
+              {preview.diff.removed.map((r, i) => (
+                <div key={`r${i}`} className="text-red-700 dark:text-red-400 break-all">- {describeRecord(r)}</div>
+              ))}
+            </div>
+          )}
+
+          {preview.unsupported.length > 0 && (
+            <div className="p-3 bg-amber-50 dark:bg-amber-900/20 rounded-lg border border-amber-200 dark:border-amber-800">
+              <p className="font-medium text-amber-800 dark:text-amber-300 flex items-center gap-2 mb-1">
+                <AlertTriangle className="w-4 h-4" />
+                Not imported ({preview.unsupported.length})
+              </p>
+              <ul className="text-xs text-amber-700 dark:text-amber-400 space-y-1">
+                {preview.unsupported.map((u, i) => (
+                  <li key={i}>
+                    Line {u.line}: <span className="font-mono">{u.text}</span> - {u.reason}
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+
+          {preview.errors.length > 0 && (
+            <div className="p-3 bg-red-50 dark:bg-red-900/20 rounded-lg border border-red-200 dark:border-red-800">
+              <p className="font-medium text-red-800 dark:text-red-300 flex items-center gap-2 mb-1">
+                <AlertCircle className="w-4 h-4" />
+                Errors ({preview.errors.length})
+              </p>
+              <ul className="text-xs text-red-700 dark:text-red-400 space-y-1">
+                {preview.errors.map((e, i) => (
+                  <li key={i}>
+                    {e.line ? <>Line {e.line}: <span className="font-mono">{e.text}</span> - </> : null}{e.message}
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+        </div>
+      )}
+
+      <div className="flex gap-2">
+        <button
+          onClick={() => submit(false)}
+          disabled={loading}
+          className="btn-secondary flex-1"
+        >
+          {loading ? <Loader2 className="w-4 h-4 mr-2 animate-spin" /> : <Eye className="w-4 h-4 mr-2" />}
+          Preview Changes
+        </button>
+        <button
+          onClick={() => {
+            if (!window.confirm('Replace the DNS records with this zone file?')) return;
+            submit(true);
+          }}
+          disabled={loading || !preview || preview.errors.length > 0}
+          className="btn-primary flex-1"
+        >
+          {loading ? <Loader2 className="w-4 h-4 mr-2 animate-spin" /> : <Check className="w-4 h-4 mr-2" />}
+          Apply Import
+        </button>
+      </div>
+    </div>
+  );
+}
+
+export default ZoneFileImport;
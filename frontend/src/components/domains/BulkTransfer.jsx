@@ -0,0 +1,281 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { Loader2, Upload, ShoppingCart, RefreshCw, AlertCircle, ListChecks } from 'lucide-react';
+import { useAuth, useCart } from '../../App';
+import { API_URL } from '../../config/api';
+import { toast } from 'react-hot-toast';
+
+const STATUS_STYLES = {
+  checking: 'bg-slate-100 text-slate-600 dark:bg-slate-700 dark:text-slate-300',
+  ineligible: 'bg-red-100 text-red-700 dark:bg-red-900/30 dark:text-red-400',
+  in_cart: 'bg-blue-100 text-blue-700 dark:bg-blue-900/30 dark:text-blue-400',
+  removed: 'bg-slate-100 text-slate-600 dark:bg-slate-700 dark:text-slate-300',
+  pending: 'bg-amber-100 text-amber-700 dark:bg-amber-900/30 dark:text-amber-400',
+  processing: 'bg-amber-100 text-amber-700 dark:bg-amber-900/30 dark:text-amber-400',
+  pending_approval: 'bg-amber-100 text-amber-700 dark:bg-amber-900/30 dark:text-amber-400',
+  awaiting_auth: 'bg-red-100 text-red-700 dark:bg-red-900/30 dark:text-red-400',
+  rejected: 'bg-red-100 text-red-700 dark:bg-red-900/30 dark:text-red-400',
+  completed: 'bg-green-100 text-green-700 dark:bg-green-900/30 dark:text-green-400',
+  failed: 'bg-red-100 text-red-700 dark:bg-red-900/30 dark:text-red-400',
+  cancelled: 'bg-slate-100 text-slate-600 dark:bg-slate-700 dark:text-slate-300'
+};
+
+const STATUS_LABELS = {
+  checking: 'Checking',
+  ineligible: 'Not eligible',
+  in_cart: 'In cart',
+  removed: 'Removed from cart',
+  pending: 'Ordered',
+  processing: 'Awaiting approval',
+  pending_approval: 'Awaiting approval',
+  awaiting_auth: 'Auth code needed',
+  rejected: 'Rejected',
+  completed: 'Transferred',
+  failed: 'Failed',
+  cancelled: 'Cancelled'
+};
+
+// A transfer that passed the check but has since left the cart (removed or expired)
+const boardStatus = (item) => (item.status === 'in_cart' && !item.in_cart ? 'removed' : item.status);
+
+// Transfer many domains at once from a pasted or uploaded domain,authcode list
+function BulkTransfer({ initialBatchId = null }) {
+  const navigate = useNavigate();
+  const { token } = useAuth();
+  const { fetchCart } = useCart();
+  const [listText, setListText] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+  const [rejected, setRejected] = useState([]);
+  const [batch, setBatch] = useState(null);
+  const [batches, setBatches] = useState([]);
+
+  const fetchBatches = useCallback(async () => {
+    try {
+      const res = await fetch(`${API_URL}/domains/transfer-batches`, {
+        headers: { 'Authorization': `Bearer ${token}` }
+      });
+      if (res.ok) {
+        setBatches(await res.json());
+      }
+    } catch (err) {
+      // The list of earlier batches is optional
+    }
+  }, [token]);
+
+  const fetchBatch = useCallback(async (batchId) => {
+    try {
+      const res = await fetch(`${API_URL}/domains/transfer-batches/${batchId}`, {
+        headers: { 'Authorization': `Bearer ${token}` }
+      });
+      if (res.ok) {
+        const data = await res.json();
+        setBatch(data);
+        if (data.status === 'completed') {
+          fetchCart();
+        }
+      }
+    } catch (err) {
+      // Keep polling; a transient error shouldn't end the progress view
+    }
+  }, [token, fetchCart]);
+
+  useEffect(() => {
+    if (!token) return;
+    fetchBatches();
+    if (initialBatchId) {
+      fetchBatch(initialBatchId);
+    }
+  }, [token, initialBatchId, fetchBatches, fetchBatch]);
+
+  // Poll until every domain has been checked
+  useEffect(() => {
+    if (!batch || batch.status !== 'checking') return;
+    const timer = setTimeout(() => fetchBatch(batch.id), 2000);
+    return () => clearTimeout(timer);
+  }, [batch, fetchBatch]);
+
+  const handleFile = (e) => {
+    const file = e.target.files?.[0];
+    if (!file) return;
+    if (file.size > 64 * 1024) {
+      toast.error('The list must be 64KB or smaller');
+      return;
+    }
+    const reader = new FileReader();
+    reader.onload = () => setListText(reader.result);
+    reader.readAsText(file);
+  };
+
+  const submit = async () => {
+    if (!listText.trim()) {
+      toast.error('Paste or upload a list of domains first');
+      return;
+    }
+
+    setSubmitting(true);
+    try {
+      const res = await fetch(`${API_URL}/domains/transfer-batches`, {
+        method: 'POST',
+        headers: {
+          'Authorization': `Bearer ${token}`,
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ list: listText })
+      });
+      const data = await res.json();
+      setRejected(data.rejected || []);
+
+      if (res.ok) {
+        setListText('');
+        fetchBatch(data.id);
+        fetchBatches();
+      } else {
+        toast.error(data.error || 'Failed to check domains');
+      }
+    } catch (err) {
+      toast.error('Connection error');
+    }
+    setSubmitting(false);
+  };
+
+  if (!token) {
+    return (
+      <div className="card p-6 text-center text-sm text-slate-500">
+        <button onClick={() => navigate('/login')} className="text-primary-600 hover:underline">Log in</button>
+        {' '}to transfer several domains at once.
+      </div>
+    );
+  }
+
+  const cartItems = batch ? batch.items.filter(item => boardStatus(item) === 'in_cart') : [];
+  const cartTotal = cartItems.reduce((sum, item) => sum + parseFloat(item.price || 0), 0);
+
+  return (
+    <div className="space-y-6">
+      <div className="card p-6 space-y-4">
+        <div>
+          <label className="block text-sm font-medium text-slate-700 dark:text-slate-300 mb-2">
+            Domains and Auth Codes
+          </label>
+          <textarea
+            value={listText}
+            onChange={(e) => setListText(e.target.value)}
+            rows={8}
+            placeholder={'domain,authcode\nexample.com,Xy7#kP2q\nexample.net,9fT!mW4z'}
+            className="input w-full font-mono text-sm"
+          />
+          <p className="text-xs text-slate-500 mt-1">
+            One domain per line with its auth code, separated by a comma, semicolon or tab. Up to 100 domains.
+          </p>
+        </div>
+
+        {rejected.length > 0 && (
+          <div className="p-3 bg-red-50 dark:bg-red-900/20 border border-red-200 dark:border-red-800 rounded-lg">
+            <p className="text-sm font-medium text-red-700 dark:text-red-400 flex items-center gap-2 mb-1">
+              <AlertCircle className="w-4 h-4" />
+              {rejected.length} line{rejected.length === 1 ? '' : 's'} skipped
+            </p>
+            <ul className="text-xs text-red-600 dark:text-red-400 space-y-0.5">
+              {rejected.map(r => (
+                <li key={r.line}>Line {r.line}: {r.input || '(empty)'} - {r.error}</li>
+              ))}
+            </ul>
+          </div>
+        )}
+
+        <div className="flex gap-2">
+          <label className="btn-secondary cursor-pointer">
+            <Upload className="w-4 h-4 mr-2" />
+            Upload CSV
+            <input type="file" accept=".csv,.txt,text/csv,text/plain" onChange={handleFile} className="hidden" />
+          </label>
+          <button onClick={submit} disabled={submitting || !listText.trim()} className="btn-primary flex-1">
+            {submitting ? <Loader2 className="w-4 h-4 mr-2 animate-spin" /> : <ListChecks className="w-4 h-4 mr-2" />}
+            Check Domains &amp; Add to Cart
+          </button>
+        </div>
+      </div>
+
+      {batch && (
+        <div className="card p-6 space-y-4">
+          <div className="flex items-center justify-between">
+            <div>
+              <h3 className="font-semibold text-slate-900 dark:text-slate-100">Transfer Status</h3>
+              <p className="text-sm text-slate-500">
+                {batch.status === 'checking'
+                  ? `Checking ${batch.checked} of ${batch.total} domains...`
+                  : `${batch.eligible} of ${batch.total} domains eligible`}
+              </p>
+            </div>
+            <button onClick={() => fetchBatch(batch.id)} className="btn-secondary" title="Refresh">
+              <RefreshCw className={'w-4 h-4 ' + (batch.status === 'checking' ? 'animate-spin' : '')} />
+            </button>
+          </div>
+
+          <div className="overflow-x-auto">
+            <table className="w-full">
+              <thead className="bg-slate-50 dark:bg-slate-800/50">
+                <tr>
+                  <th className="px-3 py-2 text-left text-xs font-medium text-slate-500 uppercase">Domain</th>
+                  <th className="px-3 py-2 text-left text-xs font-medium text-slate-500 uppercase">Status</th>
+                  <th className="px-3 py-2 text-right text-xs font-medium text-slate-500 uppercase">Price</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-slate-200 dark:divide-slate-700">
+                {batch.items.map(item => {
+                  const status = boardStatus(item);
+                  return (
+                    <tr key={item.id}>
+                      <td className="px-3 py-2 text-sm">
+                        <span className="font-mono text-slate-900 dark:text-slate-100">{item.domain_name}.{item.tld}</span>
+                        {item.error_message && (
+                          <p className={`text-xs mt-0.5 ${item.status === 'pending_approval' ? 'text-slate-500' : 'text-red-600 dark:text-red-400'}`}>{item.error_message}</p>
+                        )}
+                      </td>
+                      <td className="px-3 py-2">
+                        <span className={`px-2 py-0.5 text-xs rounded-full whitespace-nowrap ${STATUS_STYLES[status]}`}>
+                          {status === 'checking' && <Loader2 className="w-3 h-3 mr-1 inline animate-spin" />}
+                          {STATUS_LABELS[status] || status}
+                        </span>
+                      </td>
+                      <td className="px-3 py-2 text-sm text-right text-slate-600 dark:text-slate-400">
+                        {item.price ? `$${parseFloat(item.price).toFixed(2)}` : '-'}
+                      </td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          </div>
+
+          {cartItems.length > 0 && (
+            <button onClick={() => navigate('/checkout')} className="btn-primary w-full py-3">
+              <ShoppingCart className="w-5 h-5 mr-2" />
+              Checkout {cartItems.length} Transfer{cartItems.length === 1 ? '' : 's'} - ${cartTotal.toFixed(2)}
+            </button>
+          )}
+        </div>
+      )}
+
+      {batches.length > 0 && (
+        <div className="card p-6">
+          <h3 className="font-semibold text-slate-900 dark:text-slate-100 mb-3">Earlier Lists</h3>
+          <div className="divide-y divide-slate-200 dark:divide-slate-700">
+            {batches.map(b => (
+              <button
+                key={b.id}
+                onClick={() => fetchBatch(b.id)}
+                className={`w-full flex items-center justify-between py-2 text-sm text-left hover:text-primary-600 ${batch?.id === b.id ? 'text-primary-600' : 'text-slate-600 dark:text-slate-400'}`}
+              >
+                <span>{new Date(b.created_at).toLocaleString()}</span>
+                <span>{b.status === 'checking' ? 'Checking...' : `${b.eligible} of ${b.total} eligible`}</span>
+              </button>
+            ))}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default BulkTransfer;
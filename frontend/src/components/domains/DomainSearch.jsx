@@ -1,8 +1,18 @@
 import React, { useState, useEffect } from 'react';
-import { Search, Check, X, ShoppingCart, Loader2, Sparkles, Shield, Clock, Headphones, Globe, Lock, Zap } from 'lucide-react';
+import { Search, Check, X, ShoppingCart, Loader2, Sparkles, Shield, Clock, Headphones, Globe, Lock, Zap, Eye } from 'lucide-react';
+import { useAuth } from '../../App';
 import { API_URL } from '../../config/api';
+import toast from 'react-hot-toast';
+
+// What the watchlist job does once a watched domain is available
+const WATCH_MODES = [
+  { value: 'notify', label: 'Email me' },
+  { value: 'cart', label: 'Email me & add to cart' },
+  { value: 'register', label: 'Register it with my saved card' }
+];
 
 function DomainSearch({ onAddToCart }) {
+  const { token, openAuth } = useAuth();
   const [searchTerm, setSearchTerm] = useState('');
   const [searching, setSearching] = useState(false);
   const [results, setResults] = useState(null);
@@ -10,6 +20,9 @@ function DomainSearch({ onAddToCart }) {
   const [pricing, setPricing] = useState([]);
   const [error, setError] = useState(null);
   const [selectedYears, setSelectedYears] = useState({}); // Track years per domain
+  const [watchMode, setWatchMode] = useState('notify');
+  const [watching, setWatching] = useState(false);
+  const [watched, setWatched] = useState(null); // Domain added to the watchlist in this search
 
   useEffect(() => {
     fetchPricing();
@@ -35,9 +48,15 @@ function DomainSearch({ onAddToCart }) {
     setError(null);
     setResults(null);
     setSuggestions([]);
-
-    let domain = searchTerm.toLowerCase().trim();
-    domain = domain.replace(/^(https?:\/\/)?(www\.)?/, '');
+    setWatched(null);
+
+    let term = searchTerm.toLowerCase().trim();
+    term = term.replace(/^(https?:\/\/)?(www\.)?/, '');
+    // Keywords like "best coffee shop" are checked as bestcoffeeshop.com
+    let domain = term.replace(/\s+/g, '');
+    if (!domain.includes('.')) {
+      domain = `${domain}.com`;
+    }
 
     try {
       const res = await fetch(`${API_URL}/domains/check/${domain}`);
@@ -51,8 +70,7 @@ function DomainSearch({ onAddToCart }) {
       const data = await res.json();
       setResults(data);
 
-      const sld = domain.split('.')[0];
-      const suggestRes = await fetch(`${API_URL}/domains/suggestions/${sld}`);
+      const suggestRes = await fetch(`${API_URL}/domains/suggestions/${encodeURIComponent(term)}`);
       if (suggestRes.ok) {
         const suggestData = await suggestRes.json();
         setSuggestions(suggestData.filter(s => s.domain !== data.domain));
@@ -64,6 +82,35 @@ function DomainSearch({ onAddToCart }) {
     setSearching(false);
   };
 
+  const handleWatch = async () => {
+    if (!token) {
+      openAuth('login');
+      return;
+    }
+
+    setWatching(true);
+    try {
+      const res = await fetch(`${API_URL}/domains/watchlist`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${token}`
+        },
+        body: JSON.stringify({ domain: results.domain, mode: watchMode })
+      });
+      const data = await res.json();
+      if (res.ok) {
+        setWatched(results.domain);
+        toast.success(`Watching ${results.domain}. We'll email you if it becomes available.`);
+      } else {
+        toast.error(data.error || 'Failed to watch domain');
+      }
+    } catch (err) {
+      toast.error('Connection error');
+    }
+    setWatching(false);
+  };
+
   const getYearsForDomain = (domain) => selectedYears[domain] || 1;
 
   const handleAddToCart = (domain, tld, price) => {
@@ -77,7 +124,8 @@ function DomainSearch({ onAddToCart }) {
     });
   };
 
-  const YearSelector = ({ domain, price }) => {
+  // Premium names pay the premium price once, then the premium renewal price for extra years
+  const YearSelector = ({ domain, price, renewPrice = price }) => {
     const years = getYearsForDomain(domain);
     return (
       <div className="flex items-center gap-2">
@@ -92,7 +140,7 @@ function DomainSearch({ onAddToCart }) {
         </select>
         <div className="text-right min-w-[80px]">
           <p className="text-lg font-bold text-slate-900 dark:text-slate-100">
-            ${(price * years).toFixed(2)}
+            ${(price + renewPrice * (years - 1)).toFixed(2)}
           </p>
         </div>
       </div>
@@ -231,14 +279,26 @@ function DomainSearch({ onAddToCart }) {
                             ? 'text-emerald-600 dark:text-emerald-400'
                             : 'text-red-600 dark:text-red-400'
                         }`}>
-                          {results.available ? 'Available for registration' : 'Already registered'}
+                          {results.available
+                            ? 'Available for registration'
+                            : results.unavailableReason || 'Already registered'}
                         </p>
+                        {results.premium && (
+                          <p className="text-sm text-amber-600 dark:text-amber-400 mt-1 flex items-center gap-1">
+                            <Sparkles className="w-4 h-4" />
+                            Premium domain - renews at ${parseFloat(results.pricing.renew).toFixed(2)}/year
+                          </p>
+                        )}
                       </div>
                     </div>
 
                     {results.available && (
                       <div className="flex items-center gap-4">
-                        <YearSelector domain={results.domain} price={results.pricing.register} />
+                        <YearSelector
+                          domain={results.domain}
+                          price={results.pricing.register}
+                          renewPrice={results.premium ? results.pricing.renew : results.pricing.register}
+                        />
                         <button
                           onClick={() => handleAddToCart(results.domain, results.tld, results.pricing.register)}
                           className="bg-emerald-600 hover:bg-emerald-700 text-white font-semibold py-3 px-6 rounded-xl transition-colors flex items-center gap-2"
@@ -248,6 +308,36 @@ function DomainSearch({ onAddToCart }) {
                         </button>
                       </div>
                     )}
+
+                    {/* Taken names can be watched for when they drop */}
+                    {!results.available && !results.unavailableReason && (
+                      watched === results.domain ? (
+                        <p className="text-sm font-medium text-emerald-600 dark:text-emerald-400 flex items-center gap-2">
+                          <Eye className="w-4 h-4" />
+                          On your watchlist
+                        </p>
+                      ) : (
+                        <div className="flex items-center gap-3">
+                          <select
+                            value={watchMode}
+                            onChange={(e) => setWatchMode(e.target.value)}
+                            className="bg-white dark:bg-slate-700 border border-slate-300 dark:border-slate-600 rounded-lg px-3 py-2 text-sm font-medium text-slate-900 dark:text-slate-100 focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500"
+                          >
+                            {WATCH_MODES.map(mode => (
+                              <option key={mode.value} value={mode.value}>{mode.label}</option>
+                            ))}
+                          </select>
+                          <button
+                            onClick={handleWatch}
+                            disabled={watching}
+                            className="bg-indigo-600 hover:bg-indigo-700 disabled:opacity-50 text-white font-semibold py-3 px-6 rounded-xl transition-colors flex items-center gap-2"
+                          >
+                            {watching ? <Loader2 className="w-5 h-5 animate-spin" /> : <Eye className="w-5 h-5" />}
+                            Watch
+                          </button>
+                        </div>
+                      )
+                    )}
                   </div>
                 </div>
 
@@ -276,14 +366,21 @@ function DomainSearch({ onAddToCart }) {
                                 <X className="w-5 h-5 text-slate-400" />
                               )}
                             </div>
-                            <span className="font-mono font-semibold text-slate-900 dark:text-slate-100">
-                              {s.domain}
-                            </span>
+                            <div>
+                              <span className="font-mono font-semibold text-slate-900 dark:text-slate-100">
+                                {s.domain}
+                              </span>
+                              {s.premium && (
+                                <p className="text-xs text-amber-600 dark:text-amber-400">
+                                  Premium - renews at ${parseFloat(s.renew).toFixed(2)}/year
+                                </p>
+                              )}
+                            </div>
                           </div>
 
                           {s.available && (
                             <div className="flex items-center gap-3 sm:ml-auto">
-                              <YearSelector domain={s.domain} price={s.price} />
+                              <YearSelector domain={s.domain} price={s.price} renewPrice={s.premium ? s.renew : s.price} />
                               <button
                                 onClick={() => handleAddToCart(s.domain, s.tld, s.price)}
                                 className="bg-indigo-600 hover:bg-indigo-700 text-white font-medium py-2 px-4 rounded-lg transition-colors text-sm"
@@ -0,0 +1,244 @@
+import React, { useState, useEffect } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import { loadStripe } from '@stripe/stripe-js';
+import { Loader2, Lock, ShieldCheck, CheckCircle, AlertTriangle, AlertCircle, RefreshCw } from 'lucide-react';
+import { API_URL } from '../config/api';
+
+// Complete an auto-renewal payment that the bank wants authenticated (3-D Secure)
+function RenewalAuthentication() {
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token');
+
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [payment, setPayment] = useState(null);
+  const [stripe, setStripe] = useState(null);
+  const [processing, setProcessing] = useState(false);
+  const [paymentError, setPaymentError] = useState(null);
+  const [result, setResult] = useState(null);
+
+  useEffect(() => {
+    if (!token) {
+      setError('No payment link provided');
+      setLoading(false);
+      return;
+    }
+
+    async function loadPayment() {
+      try {
+        const configRes = await fetch(`${API_URL}/stripe/config`);
+        const config = await configRes.json();
+
+        if (!config.publishableKey) {
+          throw new Error('Payment processing is not configured');
+        }
+
+        const res = await fetch(`${API_URL}/stripe/renewal-authentication/${encodeURIComponent(token)}`);
+        const data = await res.json();
+
+        if (!res.ok) {
+          throw new Error(data.error || 'Failed to load payment');
+        }
+
+        // Already authenticated from another tab or device
+        if (data.completed) {
+          setResult(data);
+          return;
+        }
+
+        setStripe(await loadStripe(config.publishableKey));
+        setPayment(data);
+      } catch (err) {
+        setError(err.message);
+      } finally {
+        setLoading(false);
+      }
+    }
+
+    loadPayment();
+  }, [token]);
+
+  const handleAuthenticate = async () => {
+    if (!stripe || !payment) return;
+
+    setProcessing(true);
+    setPaymentError(null);
+
+    // Resume the declined PaymentIntent with the same card; Stripe.js shows the bank's challenge
+    const { error: confirmError, paymentIntent } = await stripe.confirmCardPayment(payment.clientSecret, {
+      payment_method: payment.paymentMethodId
+    });
+
+    if (confirmError) {
+      setPaymentError(confirmError.message);
+      setProcessing(false);
+      return;
+    }
+    if (paymentIntent?.status !== 'succeeded') {
+      setPaymentError('Payment was not completed. Please try again.');
+      setProcessing(false);
+      return;
+    }
+
+    try {
+      const res = await fetch(`${API_URL}/stripe/renewal-authentication/${encodeURIComponent(token)}/confirm`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' }
+      });
+      const data = await res.json();
+
+      if (res.ok || data.charged) {
+        setResult(data);
+      } else {
+        setPaymentError(data.error || 'Failed to complete renewal');
+      }
+    } catch (err) {
+      setPaymentError('Connection error. Your payment went through - your domain will be renewed shortly.');
+    }
+    setProcessing(false);
+  };
+
+  if (loading) {
+    return (
+      <div className="min-h-screen flex items-center justify-center bg-slate-50 dark:bg-slate-900 px-4">
+        <div className="w-full max-w-md">
+          <div className="bg-white dark:bg-slate-800 rounded-2xl shadow-xl p-8 text-center">
+            <Loader2 className="w-8 h-8 animate-spin mx-auto text-primary-500 mb-4" />
+            <p className="text-slate-600 dark:text-slate-400">Loading payment...</p>
+          </div>
+        </div>
+      </div>
+    );
+  }
+
+  // Paid - renewed, or charged with the registrar renewal queued for retry
+  if (result) {
+    const delayed = !result.success;
+    return (
+      <div className="min-h-screen flex items-center justify-center bg-slate-50 dark:bg-slate-900 px-4">
+        <div className="w-full max-w-md">
+          <div className="bg-white dark:bg-slate-800 rounded-2xl shadow-xl p-8 text-center">
+            <div className={'w-16 h-16 rounded-full flex items-center justify-center mx-auto mb-6 ' +
+              (delayed ? 'bg-amber-100 dark:bg-amber-900/30' : 'bg-green-100 dark:bg-green-900/30')}>
+              {delayed ? (
+                <RefreshCw className="w-8 h-8 text-amber-600 dark:text-amber-400" />
+              ) : (
+                <CheckCircle className="w-8 h-8 text-green-600 dark:text-green-400" />
+              )}
+            </div>
+            <h1 className="text-2xl font-bold text-slate-900 dark:text-slate-100 mb-2">
+              {delayed ? 'Payment Received' : 'Domain Renewed'}
+            </h1>
+            <p className="text-slate-600 dark:text-slate-400 mb-6">
+              {delayed
+                ? result.error
+                : result.newExpiration
+                  ? `Thank you! Your domain now expires on ${new Date(result.newExpiration).toLocaleDateString()}.`
+                  : 'Thank you! Your renewal has been paid.'}
+            </p>
+            <Link to="/" className="btn-primary inline-flex items-center">
+              Go to Dashboard
+            </Link>
+          </div>
+        </div>
+      </div>
+    );
+  }
+
+  if (error || !payment) {
+    return (
+      <div className="min-h-screen flex items-center justify-center bg-slate-50 dark:bg-slate-900 px-4">
+        <div className="w-full max-w-md">
+          <div className="bg-white dark:bg-slate-800 rounded-2xl shadow-xl p-8 text-center">
+            <div className="w-16 h-16 bg-red-100 dark:bg-red-900/30 rounded-full flex items-center justify-center mx-auto mb-6">
+              <AlertTriangle className="w-8 h-8 text-red-600 dark:text-red-400" />
+            </div>
+            <h1 className="text-2xl font-bold text-slate-900 dark:text-slate-100 mb-2">
+              Payment Link Unavailable
+            </h1>
+            <p className="text-slate-600 dark:text-slate-400 mb-6">
+              {error || 'This payment link is invalid or has expired.'}
+            </p>
+            <Link to="/" className="btn-primary inline-flex items-center">
+              Go to Dashboard
+            </Link>
+          </div>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-slate-50 dark:bg-slate-900 px-4 py-12">
+      <div className="w-full max-w-md">
+        <div className="bg-white dark:bg-slate-800 rounded-2xl shadow-xl p-8">
+          <div className="text-center mb-6">
+            <div className="w-12 h-12 bg-primary-100 dark:bg-primary-900/30 rounded-xl flex items-center justify-center mx-auto mb-4">
+              <ShieldCheck className="w-6 h-6 text-primary-600 dark:text-primary-400" />
+            </div>
+            <h1 className="text-2xl font-bold text-slate-900 dark:text-slate-100">Complete Your Renewal Payment</h1>
+            <p className="font-mono text-lg text-slate-700 dark:text-slate-300 mt-2">{payment.domainName}</p>
+          </div>
+
+          <p className="text-sm text-slate-600 dark:text-slate-400 mb-4">
+            Your bank needs you to confirm this auto-renewal payment. You'll be asked to verify it with your bank, then your domain is renewed straight away.
+          </p>
+
+          <div className="mb-6 p-4 bg-slate-50 dark:bg-slate-700/50 rounded-xl text-sm space-y-1">
+            <div className="flex justify-between">
+              <span className="text-slate-500 dark:text-slate-400">Renewal</span>
+              <span className="text-slate-900 dark:text-slate-100">{payment.years} year{payment.years > 1 ? 's' : ''}</span>
+            </div>
+            <div className="flex justify-between">
+              <span className="text-slate-500 dark:text-slate-400">Expires</span>
+              <span className="text-slate-900 dark:text-slate-100">{new Date(payment.expirationDate).toLocaleDateString()}</span>
+            </div>
+            {payment.card && (
+              <div className="flex justify-between">
+                <span className="text-slate-500 dark:text-slate-400">Card</span>
+                <span className="text-slate-900 dark:text-slate-100 capitalize">{payment.card.brand} ending {payment.card.last4}</span>
+              </div>
+            )}
+            <div className="flex justify-between font-semibold">
+              <span className="text-slate-700 dark:text-slate-300">Total</span>
+              <span className="text-slate-900 dark:text-slate-100">${payment.amount.toFixed(2)}</span>
+            </div>
+          </div>
+
+          {paymentError && (
+            <div className="mb-4 flex items-center gap-2 text-red-600 dark:text-red-400 text-sm bg-red-50 dark:bg-red-900/20 p-3 rounded-lg">
+              <AlertCircle className="w-4 h-4 flex-shrink-0" />
+              {paymentError}
+            </div>
+          )}
+
+          <button
+            onClick={handleAuthenticate}
+            disabled={!stripe || !payment.paymentMethodId || processing}
+            className="w-full btn-primary flex items-center justify-center gap-2"
+          >
+            {processing ? (
+              <>
+                <Loader2 className="w-4 h-4 animate-spin" />
+                Processing...
+              </>
+            ) : (
+              <>
+                <Lock className="w-4 h-4" />
+                Authenticate &amp; Pay ${payment.amount.toFixed(2)}
+              </>
+            )}
+          </button>
+
+          {!payment.paymentMethodId && (
+            <p className="text-xs text-slate-500 mt-3 text-center">
+              The card for this payment is no longer available. Please renew the domain from your dashboard.
+            </p>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default RenewalAuthentication;
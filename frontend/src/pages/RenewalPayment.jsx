@@ -0,0 +1,294 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import { loadStripe } from '@stripe/stripe-js';
+import { Elements, PaymentElement, useStripe, useElements } from '@stripe/react-stripe-js';
+import { Loader2, Lock, CreditCard, CheckCircle, AlertTriangle, AlertCircle, RefreshCw } from 'lucide-react';
+import { API_URL } from '../config/api';
+
+let stripePromise = null;
+
+// Card form (inside Elements provider)
+function RenewalPaymentForm({ token, amount, onPaid }) {
+  const stripe = useStripe();
+  const elements = useElements();
+  const [processing, setProcessing] = useState(false);
+  const [error, setError] = useState(null);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    if (!stripe || !elements) return;
+
+    setProcessing(true);
+    setError(null);
+
+    const { error: submitError } = await elements.submit();
+    if (submitError) {
+      setError(submitError.message);
+      setProcessing(false);
+      return;
+    }
+
+    const { error: confirmError, paymentIntent } = await stripe.confirmPayment({
+      elements,
+      confirmParams: {
+        // Card authentication that needs a redirect comes back here with ?payment_intent=
+        return_url: `${window.location.origin}/renew/pay?token=${encodeURIComponent(token)}`
+      },
+      redirect: 'if_required'
+    });
+
+    if (confirmError) {
+      setError(confirmError.message);
+      setProcessing(false);
+    } else if (paymentIntent && paymentIntent.status === 'succeeded') {
+      onPaid(paymentIntent.id);
+    } else {
+      setError('Payment was not completed. Please try again.');
+      setProcessing(false);
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-4">
+      <PaymentElement options={{ layout: 'tabs' }} />
+
+      {error && (
+        <div className="flex items-center gap-2 text-red-600 dark:text-red-400 text-sm bg-red-50 dark:bg-red-900/20 p-3 rounded-lg">
+          <AlertCircle className="w-4 h-4 flex-shrink-0" />
+          {error}
+        </div>
+      )}
+
+      <button
+        type="submit"
+        disabled={!stripe || processing}
+        className="w-full btn-primary flex items-center justify-center gap-2"
+      >
+        {processing ? (
+          <>
+            <Loader2 className="w-4 h-4 animate-spin" />
+            Processing...
+          </>
+        ) : (
+          <>
+            <Lock className="w-4 h-4" />
+            Pay ${(parseFloat(amount) || 0).toFixed(2)}
+          </>
+        )}
+      </button>
+    </form>
+  );
+}
+
+// Pay page linked from the failed auto-renewal emails
+function RenewalPayment() {
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token');
+  const returnedPaymentIntent = searchParams.get('payment_intent');
+
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [renewal, setRenewal] = useState(null);
+  const [completing, setCompleting] = useState(false);
+  const [result, setResult] = useState(null);
+
+  const completePayment = useCallback(async (paymentIntentId) => {
+    setCompleting(true);
+    setError(null);
+    try {
+      const res = await fetch(`${API_URL}/stripe/renewal-payment/${encodeURIComponent(token)}/confirm`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ payment_intent_id: paymentIntentId })
+      });
+      const data = await res.json();
+
+      if (res.ok || data.charged) {
+        setResult(data);
+      } else {
+        setError(data.error || 'Failed to complete renewal');
+      }
+    } catch (err) {
+      setError('Connection error. Your payment may have gone through - please check your email before trying again.');
+    }
+    setCompleting(false);
+  }, [token]);
+
+  useEffect(() => {
+    if (!token) {
+      setError('No payment link provided');
+      setLoading(false);
+      return;
+    }
+
+    // Back from a card authentication redirect
+    if (returnedPaymentIntent) {
+      completePayment(returnedPaymentIntent).then(() => setLoading(false));
+      return;
+    }
+
+    async function initPayment() {
+      try {
+        const configRes = await fetch(`${API_URL}/stripe/config`);
+        const config = await configRes.json();
+
+        if (!config.publishableKey) {
+          throw new Error('Payment processing is not configured');
+        }
+
+        stripePromise = loadStripe(config.publishableKey);
+
+        const res = await fetch(`${API_URL}/stripe/renewal-payment/${encodeURIComponent(token)}`);
+        const data = await res.json();
+
+        if (!res.ok) {
+          throw new Error(data.error || 'Failed to load payment');
+        }
+
+        setRenewal(data);
+      } catch (err) {
+        setError(err.message);
+      } finally {
+        setLoading(false);
+      }
+    }
+
+    initPayment();
+  }, [token, returnedPaymentIntent, completePayment]);
+
+  if (loading || completing) {
+    return (
+      <div className="min-h-screen flex items-center justify-center bg-slate-50 dark:bg-slate-900 px-4">
+        <div className="w-full max-w-md">
+          <div className="bg-white dark:bg-slate-800 rounded-2xl shadow-xl p-8 text-center">
+            <Loader2 className="w-8 h-8 animate-spin mx-auto text-primary-500 mb-4" />
+            <p className="text-slate-600 dark:text-slate-400">
+              {completing ? 'Renewing your domain...' : 'Loading payment...'}
+            </p>
+          </div>
+        </div>
+      </div>
+    );
+  }
+
+  // Paid - renewed, or charged with the registrar renewal queued for retry
+  if (result) {
+    const delayed = !result.success;
+    return (
+      <div className="min-h-screen flex items-center justify-center bg-slate-50 dark:bg-slate-900 px-4">
+        <div className="w-full max-w-md">
+          <div className="bg-white dark:bg-slate-800 rounded-2xl shadow-xl p-8 text-center">
+            <div className={'w-16 h-16 rounded-full flex items-center justify-center mx-auto mb-6 ' +
+              (delayed ? 'bg-amber-100 dark:bg-amber-900/30' : 'bg-green-100 dark:bg-green-900/30')}>
+              {delayed ? (
+                <RefreshCw className="w-8 h-8 text-amber-600 dark:text-amber-400" />
+              ) : (
+                <CheckCircle className="w-8 h-8 text-green-600 dark:text-green-400" />
+              )}
+            </div>
+            <h1 className="text-2xl font-bold text-slate-900 dark:text-slate-100 mb-2">
+              {delayed ? 'Payment Received' : 'Domain Renewed'}
+            </h1>
+            <p className="text-slate-600 dark:text-slate-400 mb-6">
+              {delayed
+                ? result.error
+                : result.newExpiration
+                  ? `Thank you! Your domain now expires on ${new Date(result.newExpiration).toLocaleDateString()}. Auto-renew is back on with this card.`
+                  : 'Thank you! Your renewal has been paid.'}
+            </p>
+            <Link to="/" className="btn-primary inline-flex items-center">
+              Go to Dashboard
+            </Link>
+          </div>
+        </div>
+      </div>
+    );
+  }
+
+  if (error || !renewal) {
+    return (
+      <div className="min-h-screen flex items-center justify-center bg-slate-50 dark:bg-slate-900 px-4">
+        <div className="w-full max-w-md">
+          <div className="bg-white dark:bg-slate-800 rounded-2xl shadow-xl p-8 text-center">
+            <div className="w-16 h-16 bg-red-100 dark:bg-red-900/30 rounded-full flex items-center justify-center mx-auto mb-6">
+              <AlertTriangle className="w-8 h-8 text-red-600 dark:text-red-400" />
+            </div>
+            <h1 className="text-2xl font-bold text-slate-900 dark:text-slate-100 mb-2">
+              Payment Link Unavailable
+            </h1>
+            <p className="text-slate-600 dark:text-slate-400 mb-6">
+              {error || 'This payment link is invalid or has expired.'}
+            </p>
+            <Link to="/" className="btn-primary inline-flex items-center">
+              Go to Dashboard
+            </Link>
+          </div>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-slate-50 dark:bg-slate-900 px-4 py-12">
+      <div className="w-full max-w-lg">
+        <div className="bg-white dark:bg-slate-800 rounded-2xl shadow-xl p-8">
+          <div className="text-center mb-6">
+            <div className="w-12 h-12 bg-primary-100 dark:bg-primary-900/30 rounded-xl flex items-center justify-center mx-auto mb-4">
+              <CreditCard className="w-6 h-6 text-primary-600 dark:text-primary-400" />
+            </div>
+            <h1 className="text-2xl font-bold text-slate-900 dark:text-slate-100">Renew Your Domain</h1>
+            <p className="font-mono text-lg text-slate-700 dark:text-slate-300 mt-2">{renewal.domainName}</p>
+          </div>
+
+          <div className="mb-6 p-4 bg-slate-50 dark:bg-slate-700/50 rounded-xl text-sm space-y-1">
+            <div className="flex justify-between">
+              <span className="text-slate-500 dark:text-slate-400">Renewal</span>
+              <span className="text-slate-900 dark:text-slate-100">{renewal.years} year{renewal.years > 1 ? 's' : ''}</span>
+            </div>
+            <div className="flex justify-between">
+              <span className="text-slate-500 dark:text-slate-400">Expires</span>
+              <span className="text-slate-900 dark:text-slate-100">{new Date(renewal.expirationDate).toLocaleDateString()}</span>
+            </div>
+            <div className="flex justify-between font-semibold">
+              <span className="text-slate-700 dark:text-slate-300">Total</span>
+              <span className="text-slate-900 dark:text-slate-100">${renewal.amount.toFixed(2)}</span>
+            </div>
+          </div>
+
+          {renewal.autoRenewDisabled && (
+            <div className="mb-6 flex items-start gap-2 text-amber-700 dark:text-amber-400 text-sm bg-amber-50 dark:bg-amber-900/20 p-3 rounded-lg">
+              <AlertTriangle className="w-4 h-4 flex-shrink-0 mt-0.5" />
+              Auto-renew was turned off after the last failed charge. Paying now renews the domain and turns it back on with this card.
+            </div>
+          )}
+
+          <div className="flex items-center gap-2 mb-4 text-sm text-slate-600 dark:text-slate-400">
+            <Lock className="w-4 h-4" />
+            <span>Secure payment powered by Stripe. This card will be used for future auto-renewals of this domain.</span>
+          </div>
+
+          {stripePromise && (
+            <Elements
+              stripe={stripePromise}
+              options={{
+                clientSecret: renewal.clientSecret,
+                appearance: {
+                  theme: document.documentElement.classList.contains('dark') ? 'night' : 'stripe',
+                  variables: {
+                    colorPrimary: '#4f46e5'
+                  }
+                },
+                loader: 'auto'
+              }}
+            >
+              <RenewalPaymentForm token={token} amount={renewal.amount} onPaid={completePayment} />
+            </Elements>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default RenewalPayment;
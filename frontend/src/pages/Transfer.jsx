@@ -1,20 +1,24 @@
 import React, { useState } from 'react';
-import { useNavigate } from 'react-router-dom';
-import { ArrowRight, Check, AlertCircle, Loader2, ShoppingCart, Key, Globe, Info, ChevronRight } from 'lucide-react';
+import { useNavigate, useSearchParams } from 'react-router-dom';
+import { ArrowRight, Check, AlertCircle, Loader2, ShoppingCart, Key, Globe, Info, ChevronRight, List } from 'lucide-react';
 import { useAuth, useCart } from '../App';
 import { API_URL } from '../config/api';
 import { toast } from 'react-hot-toast';
+import BulkTransfer from '../components/domains/BulkTransfer';
 
 function Transfer() {
   const navigate = useNavigate();
+  const [searchParams] = useSearchParams();
   const { token } = useAuth();
-  const { refreshCart } = useCart();
+  const { fetchCart } = useCart();
   const [domain, setDomain] = useState('');
   const [authCode, setAuthCode] = useState('');
   const [checking, setChecking] = useState(false);
   const [transferInfo, setTransferInfo] = useState(null);
   const [error, setError] = useState('');
   const [adding, setAdding] = useState(false);
+  const initialBatchId = searchParams.get('batch');
+  const [mode, setMode] = useState(initialBatchId || searchParams.get('bulk') ? 'bulk' : 'single');
 
   const parseDomain = (input) => {
     const cleaned = input.toLowerCase().trim().replace(/^https?:\/\//, '').replace(/\/.*$/, '').replace(/^www\./, '');
@@ -111,7 +115,7 @@ function Transfer() {
 
       if (res.ok) {
         toast.success('Transfer added to cart');
-        refreshCart();
+        fetchCart();
         navigate('/checkout');
       } else {
         const data = await res.json();
@@ -152,161 +156,185 @@ function Transfer() {
           </div>
         </div>
 
-        {/* Domain Input */}
-        <div className="card p-6 mb-6">
-          <div className="space-y-4">
-            <div>
-              <label className="block text-sm font-medium text-slate-700 dark:text-slate-300 mb-2">
-                Domain Name
-              </label>
-              <div className="flex gap-2">
-                <div className="relative flex-1">
-                  <Globe className="absolute left-3 top-1/2 -translate-y-1/2 w-5 h-5 text-slate-400" />
-                  <input
-                    type="text"
-                    value={domain}
-                    onChange={(e) => setDomain(e.target.value)}
-                    onKeyPress={(e) => e.key === 'Enter' && checkDomain()}
-                    placeholder="example.com"
-                    className="input pl-10 w-full"
-                  />
-                </div>
-                <button
-                  onClick={checkDomain}
-                  disabled={checking || !domain}
-                  className="btn-primary"
-                >
-                  {checking ? (
-                    <Loader2 className="w-5 h-5 animate-spin" />
-                  ) : (
-                    <>Check<ArrowRight className="w-4 h-4 ml-2" /></>
-                  )}
-                </button>
-              </div>
-            </div>
+        {/* Mode Toggle */}
+        <div className="flex gap-2 mb-6">
+          <button
+            onClick={() => setMode('single')}
+            className={`flex-1 ${mode === 'single' ? 'btn-primary' : 'btn-secondary'}`}
+          >
+            <Globe className="w-4 h-4 mr-2" />
+            Single Domain
+          </button>
+          <button
+            onClick={() => setMode('bulk')}
+            className={`flex-1 ${mode === 'bulk' ? 'btn-primary' : 'btn-secondary'}`}
+          >
+            <List className="w-4 h-4 mr-2" />
+            Bulk Transfer
+          </button>
+        </div>
 
-            {error && (
-              <div className="flex items-start gap-2 text-red-600 dark:text-red-400 text-sm">
-                <AlertCircle className="w-5 h-5 flex-shrink-0" />
-                <p>{error}</p>
-              </div>
-            )}
+        {mode === 'bulk' && <BulkTransfer initialBatchId={initialBatchId} />}
 
-            {/* Available for Registration - offer register instead */}
-            {transferInfo?.available && (
-              <div className="bg-green-50 dark:bg-green-900/20 border border-green-200 dark:border-green-800 rounded-lg p-4">
-                <div className="flex items-center gap-2 text-green-700 dark:text-green-300 mb-2">
-                  <Check className="w-5 h-5" />
-                  <span className="font-medium">This domain is available!</span>
+        {mode === 'single' && (
+          <>
+            {/* Domain Input */}
+            <div className="card p-6 mb-6">
+              <div className="space-y-4">
+                <div>
+                  <label className="block text-sm font-medium text-slate-700 dark:text-slate-300 mb-2">
+                    Domain Name
+                  </label>
+                  <div className="flex gap-2">
+                    <div className="relative flex-1">
+                      <Globe className="absolute left-3 top-1/2 -translate-y-1/2 w-5 h-5 text-slate-400" />
+                      <input
+                        type="text"
+                        value={domain}
+                        onChange={(e) => setDomain(e.target.value)}
+                        onKeyPress={(e) => e.key === 'Enter' && checkDomain()}
+                        placeholder="example.com"
+                        className="input pl-10 w-full"
+                      />
+                    </div>
+                    <button
+                      onClick={checkDomain}
+                      disabled={checking || !domain}
+                      className="btn-primary"
+                    >
+                      {checking ? (
+                        <Loader2 className="w-5 h-5 animate-spin" />
+                      ) : (
+                        <>Check<ArrowRight className="w-4 h-4 ml-2" /></>
+                      )}
+                    </button>
+                  </div>
                 </div>
-                <p className="text-sm text-green-600 dark:text-green-400 mb-3">
-                  You can register this domain instead of transferring it.
-                </p>
-                <button
-                  onClick={() => navigate(`/?search=${transferInfo.sld}.${transferInfo.tld}`)}
-                  className="btn-primary"
-                >
-                  Register {transferInfo.sld}.{transferInfo.tld}
-                  <ChevronRight className="w-4 h-4 ml-1" />
-                </button>
-              </div>
-            )}
-          </div>
-        </div>
 
-        {/* Transfer Details */}
-        {transferInfo && !transferInfo.available && (
-          <div className="card p-6 space-y-6">
-            <div className="flex items-center justify-between border-b border-slate-200 dark:border-slate-700 pb-4">
-              <div>
-                <p className="text-sm text-slate-500">Domain to Transfer</p>
-                <p className="text-xl font-bold text-slate-900 dark:text-slate-100">
-                  {transferInfo.sld}.{transferInfo.tld}
-                </p>
-              </div>
-              <div className="text-right">
-                <p className="text-sm text-slate-500">Transfer Price</p>
-                <p className="text-2xl font-bold text-accent-600">
-                  ${transferInfo.price?.toFixed(2)}
-                </p>
-                <p className="text-xs text-slate-500">+1 year added to expiration</p>
-              </div>
-            </div>
+                {error && (
+                  <div className="flex items-start gap-2 text-red-600 dark:text-red-400 text-sm">
+                    <AlertCircle className="w-5 h-5 flex-shrink-0" />
+                    <p>{error}</p>
+                  </div>
+                )}
 
-            {/* Auth Code Input */}
-            <div>
-              <label className="block text-sm font-medium text-slate-700 dark:text-slate-300 mb-2">
-                Authorization Code (EPP Code)
-              </label>
-              <div className="relative">
-                <Key className="absolute left-3 top-1/2 -translate-y-1/2 w-5 h-5 text-slate-400" />
-                <input
-                  type="text"
-                  value={authCode}
-                  onChange={(e) => setAuthCode(e.target.value)}
-                  placeholder="Enter the code from your current registrar"
-                  className="input pl-10 w-full font-mono"
-                />
+                {/* Available for Registration - offer register instead */}
+                {transferInfo?.available && (
+                  <div className="bg-green-50 dark:bg-green-900/20 border border-green-200 dark:border-green-800 rounded-lg p-4">
+                    <div className="flex items-center gap-2 text-green-700 dark:text-green-300 mb-2">
+                      <Check className="w-5 h-5" />
+                      <span className="font-medium">This domain is available!</span>
+                    </div>
+                    <p className="text-sm text-green-600 dark:text-green-400 mb-3">
+                      You can register this domain instead of transferring it.
+                    </p>
+                    <button
+                      onClick={() => navigate(`/?search=${transferInfo.sld}.${transferInfo.tld}`)}
+                      className="btn-primary"
+                    >
+                      Register {transferInfo.sld}.{transferInfo.tld}
+                      <ChevronRight className="w-4 h-4 ml-1" />
+                    </button>
+                  </div>
+                )}
               </div>
-              <p className="text-xs text-slate-500 mt-1">
-                Get this code from your current registrar's control panel
-              </p>
             </div>
 
-            {/* Transfer Features */}
-            <div className="bg-slate-50 dark:bg-slate-800/50 rounded-lg p-4">
-              <p className="font-medium text-slate-900 dark:text-slate-100 mb-3">What you get:</p>
-              <ul className="space-y-2">
-                {[
-                  'Free 1-year extension added to your domain',
-                  'Easy DNS management',
-                  'WHOIS privacy available',
-                  'Auto-renewal option',
-                  '24/7 support'
-                ].map((feature, i) => (
-                  <li key={i} className="flex items-center gap-2 text-sm text-slate-600 dark:text-slate-400">
-                    <Check className="w-4 h-4 text-accent-600" />
-                    {feature}
-                  </li>
-                ))}
-              </ul>
-            </div>
+            {/* Transfer Details */}
+            {transferInfo && !transferInfo.available && (
+              <div className="card p-6 space-y-6">
+                <div className="flex items-center justify-between border-b border-slate-200 dark:border-slate-700 pb-4">
+                  <div>
+                    <p className="text-sm text-slate-500">Domain to Transfer</p>
+                    <p className="text-xl font-bold text-slate-900 dark:text-slate-100">
+                      {transferInfo.sld}.{transferInfo.tld}
+                    </p>
+                  </div>
+                  <div className="text-right">
+                    <p className="text-sm text-slate-500">Transfer Price</p>
+                    <p className="text-2xl font-bold text-accent-600">
+                      ${transferInfo.price?.toFixed(2)}
+                    </p>
+                    <p className="text-xs text-slate-500">+1 year added to expiration</p>
+                  </div>
+                </div>
 
-            {/* Add to Cart Button */}
-            <button
-              onClick={addToCart}
-              disabled={adding || !authCode.trim()}
-              className="btn-primary w-full py-3"
-            >
-              {adding ? (
-                <Loader2 className="w-5 h-5 animate-spin" />
-              ) : (
-                <>
-                  <ShoppingCart className="w-5 h-5 mr-2" />
-                  Add Transfer to Cart - ${transferInfo.price?.toFixed(2)}
-                </>
-              )}
-            </button>
+                {/* Auth Code Input */}
+                <div>
+                  <label className="block text-sm font-medium text-slate-700 dark:text-slate-300 mb-2">
+                    Authorization Code (EPP Code)
+                  </label>
+                  <div className="relative">
+                    <Key className="absolute left-3 top-1/2 -translate-y-1/2 w-5 h-5 text-slate-400" />
+                    <input
+                      type="text"
+                      value={authCode}
+                      onChange={(e) => setAuthCode(e.target.value)}
+                      placeholder="Enter the code from your current registrar"
+                      className="input pl-10 w-full font-mono"
+                    />
+                  </div>
+                  <p className="text-xs text-slate-500 mt-1">
+                    Get this code from your current registrar's control panel
+                  </p>
+                </div>
 
-            {!token && (
-              <p className="text-center text-sm text-slate-500">
-                <button
-                  onClick={() => navigate('/login')}
-                  className="text-primary-600 hover:underline"
-                >
-                  Log in
-                </button>
-                {' '}or{' '}
+                {/* Transfer Features */}
+                <div className="bg-slate-50 dark:bg-slate-800/50 rounded-lg p-4">
+                  <p className="font-medium text-slate-900 dark:text-slate-100 mb-3">What you get:</p>
+                  <ul className="space-y-2">
+                    {[
+                      'Free 1-year extension added to your domain',
+                      'Easy DNS management',
+                      'WHOIS privacy available',
+                      'Auto-renewal option',
+                      '24/7 support'
+                    ].map((feature, i) => (
+                      <li key={i} className="flex items-center gap-2 text-sm text-slate-600 dark:text-slate-400">
+                        <Check className="w-4 h-4 text-accent-600" />
+                        {feature}
+                      </li>
+                    ))}
+                  </ul>
+                </div>
+
+                {/* Add to Cart Button */}
                 <button
-                  onClick={() => navigate('/login?register=true')}
-                  className="text-primary-600 hover:underline"
+                  onClick={addToCart}
+                  disabled={adding || !authCode.trim()}
+                  className="btn-primary w-full py-3"
                 >
-                  create an account
+                  {adding ? (
+                    <Loader2 className="w-5 h-5 animate-spin" />
+                  ) : (
+                    <>
+                      <ShoppingCart className="w-5 h-5 mr-2" />
+                      Add Transfer to Cart - ${transferInfo.price?.toFixed(2)}
+                    </>
+                  )}
                 </button>
-                {' '}to continue
-              </p>
+
+                {!token && (
+                  <p className="text-center text-sm text-slate-500">
+                    <button
+                      onClick={() => navigate('/login')}
+                      className="text-primary-600 hover:underline"
+                    >
+                      Log in
+                    </button>
+                    {' '}or{' '}
+                    <button
+                      onClick={() => navigate('/login?register=true')}
+                      className="text-primary-600 hover:underline"
+                    >
+                      create an account
+                    </button>
+                    {' '}to continue
+                  </p>
+                )}
+              </div>
             )}
-          </div>
+          </>
         )}
 
         {/* Transfer Steps */}